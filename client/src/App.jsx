@@ -15,11 +15,24 @@ import Consignaciones from './pages/Consignaciones';
 import GoodsReceipt from './pages/GoodsReceipt';
 import GoodsReceiptHistory from './pages/GoodsReceiptHistory';
 import ConsumptionHistory from './pages/ConsumptionHistory';
+import ConsumptionReviews from './pages/ConsumptionReviews';
+import ConsumptionBatches from './pages/ConsumptionBatches';
+import PriceLists from './pages/PriceLists';
+import ImplantRegistry from './pages/ImplantRegistry';
+import DoctorAnalytics from './pages/DoctorAnalytics';
 import Reconciliation from './pages/Reconciliation';
 import Pedidos from './pages/Pedidos';
+import Proveedores from './pages/Proveedores';
+import Notificaciones from './pages/Notificaciones';
 import Settings from './pages/Settings';
 import UserManagement from './pages/UserManagement';
 import Movimientos from './pages/Movimientos';
+import Recalls from './pages/Recalls';
+import Devoluciones from './pages/Devoluciones';
+import Rotacion from './pages/Rotacion';
+import Ajustes from './pages/Ajustes';
+import Conteos from './pages/Conteos';
+import SapOutbox from './pages/SapOutbox';
 
 const queryClient = new QueryClient({
   defaultOptions: {
@@ -59,17 +72,30 @@ function App() {
                         <Route path="/locations" element={<Locations />} />
                         <Route path="/consumption" element={<Consumption />} />
                         <Route path="/consumption/history" element={<ConsumptionHistory />} />
+                        <Route path="/consumption/reviews" element={<ConsumptionReviews />} />
+                        <Route path="/consumption/batches" element={<ConsumptionBatches />} />
                         <Route path="/inventory" element={<Inventory />} />
                         <Route path="/transactions" element={<TransactionHistory />} />
                         <Route path="/planning" element={<Planning />} />
                         <Route path="/consignaciones" element={<Consignaciones />} />
                         <Route path="/movimientos" element={<Movimientos />} />
+                        <Route path="/devoluciones" element={<Devoluciones />} />
+                        <Route path="/rotacion" element={<Rotacion />} />
+                        <Route path="/ajustes" element={<Ajustes />} />
+                        <Route path="/conteos" element={<Conteos />} />
                         <Route path="/goods-receipt" element={<GoodsReceipt />} />
                         <Route path="/goods-receipt-history" element={<GoodsReceiptHistory />} />
                         <Route path="/reconciliation" element={<Reconciliation />} />
+                        <Route path="/sap-outbox" element={<SapOutbox />} />
+                        <Route path="/precios" element={<PriceLists />} />
                         <Route path="/pedidos" element={<Pedidos />} />
+                        <Route path="/proveedores" element={<Proveedores />} />
+                        <Route path="/notificaciones" element={<Notificaciones />} />
                         <Route path="/settings" element={<Settings />} />
                         <Route path="/users" element={<UserManagement />} />
+                        <Route path="/recalls" element={<Recalls />} />
+                        <Route path="/implantes" element={<ImplantRegistry />} />
+                        <Route path="/medicos/analisis" element={<DoctorAnalytics />} />
                       </Routes>
                     </Layout>
                   </PrivateRoute>
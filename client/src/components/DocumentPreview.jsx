@@ -0,0 +1,53 @@
+import { useState, useEffect } from 'react';
+import { FileText } from 'lucide-react';
+import { documentsApi } from '../lib/api';
+
+/**
+ * DocumentPreview component
+ * Shows a stored source document (packing list, consumption form). The file
+ * is fetched with the auth header and displayed from a blob URL: images
+ * inline, anything else as a link that opens in a new tab.
+ */
+export default function DocumentPreview({ document }) {
+  const [url, setUrl] = useState(null);
+  const [failed, setFailed] = useState(false);
+
+  useEffect(() => {
+    let objectUrl = null;
+    let cancelled = false;
+    documentsApi.getContent(document.documentId).then((res) => {
+      if (cancelled) return;
+      objectUrl = URL.createObjectURL(res.data);
+      setUrl(objectUrl);
+    }).catch(() => {
+      if (!cancelled) setFailed(true);
+    });
+    return () => {
+      cancelled = true;
+      if (objectUrl) URL.revokeObjectURL(objectUrl);
+    };
+  }, [document.documentId]);
+
+  if (failed) {
+    return <p className="text-xs text-muted-foreground">{document.filename}: no se pudo cargar el documento</p>;
+  }
+
+  if (!url) {
+    return <div className="h-40 rounded-md bg-muted animate-pulse" />;
+  }
+
+  if (!document.mimetype?.startsWith('image/')) {
+    return (
+      <a href={url} target="_blank" rel="noreferrer" className="flex items-center gap-2 text-sm text-blue-600 underline">
+        <FileText className="h-4 w-4" />
+        {document.filename}
+      </a>
+    );
+  }
+
+  return (
+    <a href={url} target="_blank" rel="noreferrer">
+      <img src={url} alt={document.filename} className="w-full rounded-md border" />
+    </a>
+  );
+}
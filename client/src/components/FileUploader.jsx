@@ -7,7 +7,7 @@ import { Button } from './ui/button';
  * FileUploader component with drag & drop support
  * Uses react-dropzone for file handling
  */
-export default function FileUploader({ files, onFilesChange, disabled }) {
+export default function FileUploader({ files, onFilesChange, disabled, maxFiles = 10 }) {
   const onDrop = useCallback((acceptedFiles) => {
     // Add new files to existing files
     onFilesChange([...files, ...acceptedFiles]);
@@ -23,7 +23,7 @@ export default function FileUploader({ files, onFilesChange, disabled }) {
       'application/pdf': ['.pdf']
     },
     maxSize: 10 * 1024 * 1024, // 10MB
-    maxFiles: 10,
+    maxFiles,
     disabled
   });
 
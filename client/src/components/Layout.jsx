@@ -1,7 +1,8 @@
 import { Link, useLocation } from 'react-router-dom';
 import { useAuth } from '../context/AuthContext';
 import { Button } from './ui/button';
-import { Package, MapPin, LogOut, Home, Boxes, History, BarChart3, Truck, PackagePlus, FileBox, Activity, ClipboardList, RefreshCw, ShoppingCart, Settings, Users, TrendingUp } from 'lucide-react';
+import NotificationBell from './NotificationBell';
+import { Package, MapPin, LogOut, Home, Boxes, History, BarChart3, Truck, PackagePlus, FileBox, Activity, ClipboardList, RefreshCw, ShoppingCart, Settings, Users, TrendingUp, ShieldAlert, Undo2, SlidersHorizontal, ClipboardCheck, Inbox, CalendarClock, FileSearch, Layers, DollarSign, HeartPulse, Stethoscope, Factory } from 'lucide-react';
 
 export default function Layout({ children }) {
   const { user, company, profile, logout, hasPermission } = useAuth();
@@ -14,24 +15,36 @@ export default function Layout({ children }) {
     { name: 'Nueva Recepción', href: '/goods-receipt', icon: PackagePlus },
     { name: 'Historial', href: '/goods-receipt-history', icon: FileBox },
     { name: 'Pedidos', href: '/pedidos', icon: ShoppingCart },
+    { name: 'Proveedores', href: '/proveedores', icon: Factory },
 
     { type: 'header', name: 'Consignación' },
     { name: 'Planificación', href: '/planning', icon: BarChart3 },
     { name: 'Envíos', href: '/consignaciones', icon: Truck },
     { name: 'Movimientos', href: '/movimientos', icon: TrendingUp },
+    { name: 'Devoluciones', href: '/devoluciones', icon: Undo2 },
+    { name: 'Rotación', href: '/rotacion', icon: CalendarClock },
 
     { type: 'header', name: 'Consumo' },
     { name: 'Registrar', href: '/consumption', icon: Activity },
+    { name: 'Tandas', href: '/consumption/batches', icon: Layers },
     { name: 'Historial', href: '/consumption/history', icon: ClipboardList },
+    { name: 'Revisión', href: '/consumption/reviews', icon: FileSearch },
+    { name: 'Por Médico', href: '/medicos/analisis', icon: Stethoscope },
 
     { type: 'divider' },
     { name: 'Inventario', href: '/inventory', icon: Boxes },
     { name: 'Productos', href: '/products', icon: Package },
     { name: 'Locaciones', href: '/locations', icon: MapPin },
     { name: 'Transacciones', href: '/transactions', icon: History },
+    { name: 'Ajustes', href: '/ajustes', icon: SlidersHorizontal },
+    { name: 'Conteos', href: '/conteos', icon: ClipboardCheck },
+    { name: 'Retiros', href: '/recalls', icon: ShieldAlert },
+    { name: 'Implantes', href: '/implantes', icon: HeartPulse },
 
     { type: 'header', name: 'Admin' },
+    { name: 'Precios', href: '/precios', icon: DollarSign },
     { name: 'Reconciliación SAP', href: '/reconciliation', icon: RefreshCw },
+    { name: 'Cola SAP', href: '/sap-outbox', icon: Inbox, permission: 'manageSapQueue' },
     { name: 'Usuarios', href: '/users', icon: Users, permission: 'manageUsers' },
 
     { type: 'divider' },
@@ -42,8 +55,9 @@ export default function Layout({ children }) {
     <div className="flex h-screen bg-gray-50">
       {/* Sidebar */}
       <div className="flex w-64 flex-col bg-white border-r">
-        <div className="flex h-16 items-center border-b px-6">
+        <div className="flex h-16 items-center justify-between border-b px-6">
           <h1 className="text-xl font-bold text-primary">Vasculares</h1>
+          <NotificationBell />
         </div>
 
         <div className="flex-1 overflow-y-auto px-3 py-4">
@@ -0,0 +1,172 @@
+import { useEffect, useRef, useState } from 'react';
+import { Link, useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { formatDistanceToNow } from 'date-fns';
+import { es } from 'date-fns/locale';
+import { notificationsApi } from '../lib/api';
+import { cn } from '../lib/utils';
+import { Bell, Truck, Clock, XCircle, FileSearch, AlertTriangle, CheckCircle2, CalendarClock, TrendingUp, UserCog } from 'lucide-react';
+
+const EVENT_ICONS = {
+  CONSIGNMENT_CREATED: { icon: Truck, className: 'text-blue-600' },
+  CONSIGNMENT_IN_TRANSIT: { icon: Clock, className: 'text-yellow-600' },
+  SAP_PUSH_FAILED: { icon: XCircle, className: 'text-red-600' },
+  EXTERNAL_SAP_DOCUMENTS: { icon: FileSearch, className: 'text-orange-600' },
+  RECONCILIATION_FAILED: { icon: AlertTriangle, className: 'text-red-600' },
+  RECONCILIATION_COMPLETED: { icon: CheckCircle2, className: 'text-green-600' },
+  LOTS_EXPIRING: { icon: CalendarClock, className: 'text-yellow-600' },
+  STOCK_BELOW_TARGET: { icon: TrendingUp, className: 'text-yellow-600' },
+  ROLE_CHANGED: { icon: UserCog, className: 'text-primary' },
+};
+
+/**
+ * Marks a notification as read and opens its link
+ */
+export function useOpenNotification() {
+  const queryClient = useQueryClient();
+  const navigate = useNavigate();
+
+  const readMutation = useMutation({
+    mutationFn: (id) => notificationsApi.markRead(id),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['notifications'] }),
+  });
+
+  return (notification) => {
+    if (!notification.readAt) readMutation.mutate(notification._id);
+    if (notification.link) navigate(notification.link);
+  };
+}
+
+/**
+ * One notification: icon, title, summary and age
+ */
+export function NotificationItem({ notification, onOpen, compact = false }) {
+  const { icon: Icon, className } = EVENT_ICONS[notification.event] || { icon: Bell, className: 'text-muted-foreground' };
+  const unread = !notification.readAt;
+
+  return (
+    <button
+      type="button"
+      onClick={() => onOpen(notification)}
+      className={cn(
+        'flex w-full gap-3 px-4 py-3 text-left transition-colors hover:bg-accent',
+        unread && 'bg-blue-50/60'
+      )}
+    >
+      <Icon className={cn('mt-0.5 h-5 w-5 shrink-0', className)} />
+      <div className="min-w-0 flex-1">
+        <div className="flex items-start justify-between gap-2">
+          <p className={cn('text-sm', unread ? 'font-semibold' : 'font-medium')}>{notification.title}</p>
+          {unread && <span className="mt-1.5 h-2 w-2 shrink-0 rounded-full bg-blue-600" />}
+        </div>
+        {notification.message && (
+          <p className={cn('text-xs text-muted-foreground', compact && 'line-clamp-2')}>{notification.message}</p>
+        )}
+        <p className="mt-1 text-xs text-muted-foreground">
+          {formatDistanceToNow(new Date(notification.createdAt), { addSuffix: true, locale: es })}
+        </p>
+      </div>
+    </button>
+  );
+}
+
+/**
+ * Bell with the unread count and the latest notifications
+ */
+export default function NotificationBell() {
+  const [open, setOpen] = useState(false);
+  const containerRef = useRef(null);
+  const queryClient = useQueryClient();
+  const openNotification = useOpenNotification();
+
+  const { data: unread } = useQuery({
+    queryKey: ['notifications', 'unread-count'],
+    queryFn: () => notificationsApi.getUnreadCount().then((res) => res.data),
+    refetchInterval: 60000,
+  });
+
+  const { data: latest, isLoading } = useQuery({
+    queryKey: ['notifications', 'latest'],
+    queryFn: () => notificationsApi.getAll({ limit: 8 }).then((res) => res.data),
+    enabled: open,
+  });
+
+  const readAllMutation = useMutation({
+    mutationFn: () => notificationsApi.markAllRead(),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['notifications'] }),
+  });
+
+  // Close when clicking outside
+  useEffect(() => {
+    if (!open) return;
+    const handleClick = (e) => {
+      if (!containerRef.current?.contains(e.target)) setOpen(false);
+    };
+    document.addEventListener('mousedown', handleClick);
+    return () => document.removeEventListener('mousedown', handleClick);
+  }, [open]);
+
+  const count = unread?.count || 0;
+
+  return (
+    <div ref={containerRef} className="relative">
+      <button
+        type="button"
+        onClick={() => setOpen(!open)}
+        className="relative rounded-md p-2 text-muted-foreground hover:bg-accent hover:text-accent-foreground"
+        aria-label="Notificaciones"
+      >
+        <Bell className="h-5 w-5" />
+        {count > 0 && (
+          <span className="absolute -right-0.5 -top-0.5 flex h-5 min-w-5 items-center justify-center rounded-full bg-red-600 px-1 text-[10px] font-semibold text-white">
+            {count > 99 ? '99+' : count}
+          </span>
+        )}
+      </button>
+
+      {open && (
+        <div className="absolute left-0 top-full z-50 mt-2 w-96 rounded-lg border bg-white shadow-lg">
+          <div className="flex items-center justify-between border-b px-4 py-3">
+            <span className="font-semibold">Notificaciones</span>
+            <button
+              type="button"
+              onClick={() => readAllMutation.mutate()}
+              disabled={count === 0 || readAllMutation.isPending}
+              className="text-xs text-primary hover:underline disabled:text-muted-foreground disabled:no-underline"
+            >
+              Marcar todas como leídas
+            </button>
+          </div>
+
+          <div className="max-h-96 divide-y overflow-y-auto">
+            {isLoading ? (
+              <p className="px-4 py-6 text-center text-sm text-muted-foreground">Cargando...</p>
+            ) : latest?.notifications.length ? (
+              latest.notifications.map((notification) => (
+                <NotificationItem
+                  key={notification._id}
+                  notification={notification}
+                  compact
+                  onOpen={(n) => {
+                    setOpen(false);
+                    openNotification(n);
+                  }}
+                />
+              ))
+            ) : (
+              <p className="px-4 py-6 text-center text-sm text-muted-foreground">No tiene notificaciones</p>
+            )}
+          </div>
+
+          <Link
+            to="/notificaciones"
+            onClick={() => setOpen(false)}
+            className="block border-t px-4 py-2 text-center text-sm text-primary hover:bg-accent"
+          >
+            Ver todas
+          </Link>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,154 @@
+import { useState, useRef, useEffect } from 'react';
+import { useMutation } from '@tanstack/react-query';
+import { ScanLine, Camera, Loader2 } from 'lucide-react';
+import { scanApi } from '../lib/api';
+import { Input } from './ui/input';
+import { Button } from './ui/button';
+import { Dialog, DialogContent, DialogDescription, DialogHeader, DialogTitle } from './ui/dialog';
+import { useToast } from './ui/toast';
+
+const CAMERA_FORMATS = ['data_matrix', 'qr_code', 'code_128', 'ean_13'];
+const hasBarcodeDetector = typeof window !== 'undefined' && 'BarcodeDetector' in window;
+
+/**
+ * ScannerInput component for GS1 DataMatrix / UDI codes
+ * USB wedge scanners type into the field and end with Enter; the camera
+ * button uses the browser BarcodeDetector where available.
+ * Every scan is resolved on the server (product by GTIN, lot, expiry) and
+ * handed to onResolved; lookup errors are shown as toasts.
+ */
+export default function ScannerInput({ locationId, onResolved, disabled, placeholder }) {
+  const [code, setCode] = useState('');
+  const [cameraOpen, setCameraOpen] = useState(false);
+  const inputRef = useRef(null);
+  const toast = useToast();
+
+  const resolveMutation = useMutation({
+    mutationFn: (raw) => scanApi.resolve(raw, locationId),
+    onSuccess: (response) => {
+      setCode('');
+      onResolved(response.data);
+      inputRef.current?.focus();
+    },
+    onError: (error) => {
+      setCode('');
+      toast.error(error?.response?.data?.error || 'Error al leer el código');
+      inputRef.current?.focus();
+    },
+  });
+
+  const submit = (raw) => {
+    if (!raw.trim() || resolveMutation.isPending) return;
+    resolveMutation.mutate(raw);
+  };
+
+  const handleKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      e.preventDefault();
+      submit(code);
+    }
+  };
+
+  return (
+    <div className="flex gap-2">
+      <div className="relative flex-1">
+        <ScanLine className="absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-muted-foreground" />
+        <Input
+          ref={inputRef}
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          onKeyDown={handleKeyDown}
+          placeholder={placeholder || 'Escanear código DataMatrix...'}
+          disabled={disabled || resolveMutation.isPending}
+          className="pl-9 font-mono"
+          autoComplete="off"
+        />
+        {resolveMutation.isPending && (
+          <Loader2 className="absolute right-3 top-1/2 h-4 w-4 -translate-y-1/2 animate-spin text-muted-foreground" />
+        )}
+      </div>
+      {hasBarcodeDetector && (
+        <Button type="button" variant="outline" onClick={() => setCameraOpen(true)} disabled={disabled}>
+          <Camera className="h-4 w-4 mr-2" />
+          Cámara
+        </Button>
+      )}
+
+      {cameraOpen && (
+        <CameraScanner
+          onDetected={(raw) => {
+            setCameraOpen(false);
+            submit(raw);
+          }}
+          onClose={() => setCameraOpen(false)}
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * Camera preview that polls BarcodeDetector until a code is read
+ */
+function CameraScanner({ onDetected, onClose }) {
+  const videoRef = useRef(null);
+  const [error, setError] = useState(null);
+  // Parent passes a new callback on every render; don't restart the camera for it
+  const onDetectedRef = useRef(onDetected);
+  onDetectedRef.current = onDetected;
+
+  useEffect(() => {
+    let stream = null;
+    let timer = null;
+    let stopped = false;
+
+    const start = async () => {
+      try {
+        const supported = await window.BarcodeDetector.getSupportedFormats();
+        const detector = new window.BarcodeDetector({
+          formats: CAMERA_FORMATS.filter((format) => supported.includes(format)),
+        });
+        stream = await navigator.mediaDevices.getUserMedia({ video: { facingMode: 'environment' } });
+        if (stopped) return;
+        videoRef.current.srcObject = stream;
+        await videoRef.current.play();
+
+        const scan = async () => {
+          if (stopped) return;
+          const codes = await detector.detect(videoRef.current).catch(() => []);
+          if (codes.length > 0) {
+            onDetectedRef.current(codes[0].rawValue);
+            return;
+          }
+          timer = setTimeout(scan, 300);
+        };
+        scan();
+      } catch (err) {
+        setError(err?.message || 'No se pudo acceder a la cámara');
+      }
+    };
+    start();
+
+    return () => {
+      stopped = true;
+      clearTimeout(timer);
+      stream?.getTracks().forEach((track) => track.stop());
+    };
+  }, []);
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onClose()}>
+      <DialogContent>
+        <DialogHeader>
+          <DialogTitle>Escanear con cámara</DialogTitle>
+          <DialogDescription>Apunte al código DataMatrix de la caja o sticker</DialogDescription>
+        </DialogHeader>
+        {error ? (
+          <p className="text-sm text-red-600">{error}</p>
+        ) : (
+          <video ref={videoRef} className="w-full rounded-md bg-black" muted playsInline />
+        )}
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,63 @@
+import { Paperclip, CheckCircle2, AlertCircle, RefreshCw } from 'lucide-react';
+import { Button } from './ui/button';
+import { Badge } from './ui/badge';
+import DocumentPreview from './DocumentPreview';
+
+/**
+ * SourceDocuments component
+ * Packing list / consumption form stored with a goods receipt or consumption,
+ * and whether it made it into the SAP document's attachments. When the SAP
+ * document exists but the attachment failed, onAttach retries it.
+ */
+export default function SourceDocuments({ documents, sapIntegration, onAttach, attaching }) {
+  if (!documents?.length) return null;
+
+  const sap = sapIntegration || {};
+  const canAttach = onAttach && sap.docEntry && !sap.attachedAt;
+
+  return (
+    <div className="space-y-2">
+      <div className="flex items-center justify-between gap-2">
+        <h4 className="text-sm font-medium flex items-center gap-1">
+          <Paperclip className="h-4 w-4" />
+          Documentos de origen ({documents.length})
+        </h4>
+        {sap.attachedAt ? (
+          <Badge variant="outline" className="text-xs bg-green-50 text-green-700">
+            <CheckCircle2 className="h-3 w-3 mr-1" />
+            Adjunto en SAP
+          </Badge>
+        ) : sap.docEntry ? (
+          <Badge variant="outline" className="text-xs bg-orange-50 text-orange-700">
+            <AlertCircle className="h-3 w-3 mr-1" />
+            Sin adjuntar en SAP
+          </Badge>
+        ) : null}
+      </div>
+
+      {sap.attachmentError && !sap.attachedAt && (
+        <div className="text-xs text-red-600 bg-red-50 px-2 py-1 rounded">
+          Error al adjuntar: {sap.attachmentError}
+        </div>
+      )}
+
+      <div className="grid grid-cols-2 gap-2">
+        {documents.map((document) => (
+          <DocumentPreview key={document.documentId} document={document} />
+        ))}
+      </div>
+
+      {canAttach && (
+        <Button
+          variant="outline"
+          size="sm"
+          onClick={onAttach}
+          disabled={attaching}
+        >
+          <RefreshCw className={`h-4 w-4 mr-1 ${attaching ? 'animate-spin' : ''}`} />
+          Adjuntar a SAP
+        </Button>
+      )}
+    </div>
+  );
+}
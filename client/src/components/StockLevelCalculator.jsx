@@ -0,0 +1,319 @@
+import { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { inventarioObjetivosApi } from '../lib/api';
+import { useAuth } from '../context/AuthContext';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from './ui/dialog';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from './ui/select';
+import { Label } from './ui/label';
+import { Button } from './ui/button';
+import { useToast } from './ui/toast';
+import { Calculator, Loader2, History } from 'lucide-react';
+
+const SERVICE_LEVELS = ['0.9', '0.95', '0.98', '0.99'];
+
+const LEAD_TIME_SOURCES = {
+  PRODUCT: 'pedidos del producto',
+  SUPPLIER: 'pedidos del proveedor',
+  ALL_PEDIDOS: 'todos los pedidos',
+  DEFAULT: 'predeterminado',
+  CENTRO: 'reposición a centro',
+};
+
+const formatPercent = (value) => `${Math.round(value * 1000) / 10}%`;
+
+const itemKey = (item) => `${item.productId}:${item.locationId || 'WAREHOUSE'}`;
+
+const sameLevels = (a, b) =>
+  a.safetyStock === b.safetyStock && a.reorderPoint === b.reorderPoint && a.targetStock === b.targetStock;
+
+function LevelsCell({ from, to }) {
+  if (!from || from === to) return <span>{to}</span>;
+  return (
+    <span>
+      <span className="text-muted-foreground line-through mr-1">{from}</span>
+      <span className="font-medium text-blue-600">{to}</span>
+    </span>
+  );
+}
+
+/**
+ * StockLevelCalculator component
+ * Dialog that calculates safety stock, reorder point and target stock from
+ * consumption variability and measured lead times, lets the user pick which
+ * rows to apply, and lists earlier applied runs with the values they replaced.
+ */
+export default function StockLevelCalculator({ open, onOpenChange, locationId, category }) {
+  const { hasPermission } = useAuth();
+  const canApply = hasPermission('editTargetStock');
+  const queryClient = useQueryClient();
+  const toast = useToast();
+
+  const [serviceLevel, setServiceLevel] = useState(null);
+  const [run, setRun] = useState(null);
+  const [selected, setSelected] = useState({});
+  const [historyRunId, setHistoryRunId] = useState(null);
+
+  const { data: config } = useQuery({
+    queryKey: ['stock-level-config'],
+    queryFn: () => inventarioObjetivosApi.getCalculatorConfig().then((res) => res.data),
+    enabled: open,
+  });
+
+  const { data: appliedRuns } = useQuery({
+    queryKey: ['stock-level-runs', 'APPLIED'],
+    queryFn: () => inventarioObjetivosApi.getCalculationRuns({ status: 'APPLIED' }).then((res) => res.data),
+    enabled: open,
+  });
+
+  const { data: historyRun } = useQuery({
+    queryKey: ['stock-level-run', historyRunId],
+    queryFn: () => inventarioObjetivosApi.getCalculationRun(historyRunId).then((res) => res.data),
+    enabled: !!historyRunId,
+  });
+
+  // Start from the configured service level
+  useEffect(() => {
+    if (config && serviceLevel === null) setServiceLevel(String(config.serviceLevel));
+  }, [config, serviceLevel]);
+
+  // A new filter means a new calculation
+  useEffect(() => {
+    setRun(null);
+    setSelected({});
+  }, [locationId, category]);
+
+  const previewMutation = useMutation({
+    mutationFn: (data) => inventarioObjetivosApi.previewCalculation(data),
+    onSuccess: (response) => {
+      const preview = response.data;
+      setRun(preview);
+      // Preselect the rows that change
+      setSelected(Object.fromEntries(
+        preview.items.map((item) => [itemKey(item), !sameLevels(item.calculated, item.current)])
+      ));
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.error || 'Error al calcular niveles');
+    },
+  });
+
+  const applyMutation = useMutation({
+    mutationFn: ({ id, items }) => inventarioObjetivosApi.applyCalculation(id, { items }),
+    onSuccess: (response) => {
+      const applied = response.data.items.filter((item) => item.applied).length;
+      queryClient.invalidateQueries({ queryKey: ['planning-data'] });
+      queryClient.invalidateQueries({ queryKey: ['stock-level-runs'] });
+      setRun(null);
+      setSelected({});
+      toast.success(`Niveles aplicados a ${applied} ${applied === 1 ? 'producto' : 'productos'}`);
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.error || 'Error al aplicar niveles');
+    },
+  });
+
+  const saveConfigMutation = useMutation({
+    mutationFn: (data) => inventarioObjetivosApi.updateCalculatorConfig(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['stock-level-config'] });
+      toast.success('Nivel de servicio guardado');
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.error || 'Error al guardar');
+    },
+  });
+
+  const handleCalculate = () => {
+    const data = { serviceLevel: parseFloat(serviceLevel) };
+    if (locationId && locationId !== 'warehouse') data.locationId = locationId;
+    if (category && category !== 'all') data.category = category;
+    previewMutation.mutate(data);
+  };
+
+  const handleApply = () => {
+    const items = run.items
+      .filter((item) => selected[itemKey(item)])
+      .map((item) => ({ productId: item.productId, locationId: item.locationId || null }));
+    applyMutation.mutate({ id: run._id, items });
+  };
+
+  const selectedCount = Object.values(selected).filter(Boolean).length;
+
+  return (
+    <Dialog open={open} onOpenChange={onOpenChange}>
+      <DialogContent className="max-w-5xl max-h-[85vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle className="flex items-center gap-2">
+            <Calculator className="h-5 w-5" />
+            Calcular Mín/Máx
+          </DialogTitle>
+          <DialogDescription>
+            Stock de seguridad, punto de reorden y stock objetivo según la variabilidad del consumo (últimos 12 meses),
+            el tiempo de entrega de los pedidos y el nivel de servicio.
+          </DialogDescription>
+        </DialogHeader>
+
+        <div className="flex flex-wrap items-end gap-3">
+          <div className="grid gap-2 w-48">
+            <Label>Nivel de servicio</Label>
+            <Select value={serviceLevel ?? ''} onValueChange={setServiceLevel}>
+              <SelectTrigger>
+                <SelectValue placeholder="..." />
+              </SelectTrigger>
+              <SelectContent>
+                {[...new Set([...SERVICE_LEVELS, ...(config ? [String(config.serviceLevel)] : [])])].map((level) => (
+                  <SelectItem key={level} value={level}>{formatPercent(parseFloat(level))}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <Button onClick={handleCalculate} disabled={!serviceLevel || previewMutation.isPending}>
+            {previewMutation.isPending && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Calcular
+          </Button>
+          {canApply && config && serviceLevel && parseFloat(serviceLevel) !== config.serviceLevel && (
+            <Button
+              variant="outline"
+              onClick={() => saveConfigMutation.mutate({ serviceLevel: parseFloat(serviceLevel) })}
+              disabled={saveConfigMutation.isPending}
+            >
+              Guardar como predeterminado
+            </Button>
+          )}
+          {config && (
+            <p className="text-xs text-muted-foreground">
+              Revisión cada {config.reviewPeriodDays} días · reposición a centros {config.centroLeadTimeDays} días
+            </p>
+          )}
+        </div>
+
+        {run && (
+          run.items.length === 0 ? (
+            <div className="text-center py-8 text-muted-foreground">
+              Sin consumos en los últimos 12 meses para calcular niveles.
+            </div>
+          ) : (
+            <div className="border rounded-md overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b bg-muted/50">
+                    <th className="p-2"></th>
+                    <th className="text-left p-2">Producto</th>
+                    <th className="text-left p-2">Locación</th>
+                    <th className="text-right p-2">Consumo/mes</th>
+                    <th className="text-right p-2">Entrega</th>
+                    <th className="text-right p-2">Seguridad</th>
+                    <th className="text-right p-2">Reorden</th>
+                    <th className="text-right p-2">Objetivo</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {run.items.map((item) => (
+                    <tr key={itemKey(item)} className="border-b">
+                      <td className="p-2">
+                        <input
+                          type="checkbox"
+                          checked={!!selected[itemKey(item)]}
+                          onChange={(e) => setSelected({ ...selected, [itemKey(item)]: e.target.checked })}
+                          className="h-4 w-4"
+                        />
+                      </td>
+                      <td className="p-2">{item.productName}</td>
+                      <td className="p-2">{item.locationName}</td>
+                      <td className="p-2 text-right">
+                        {item.inputs.avgMonthlyDemand}
+                        <span className="text-xs text-muted-foreground"> ±{item.inputs.stdMonthlyDemand}</span>
+                      </td>
+                      <td className="p-2 text-right" title={LEAD_TIME_SOURCES[item.inputs.leadTimeSource]}>
+                        {item.inputs.leadTimeDays} d
+                        {item.inputs.leadTimeStdDays > 0 && (
+                          <span className="text-xs text-muted-foreground"> ±{item.inputs.leadTimeStdDays}</span>
+                        )}
+                      </td>
+                      <td className="p-2 text-right">
+                        <LevelsCell from={item.current.safetyStock} to={item.calculated.safetyStock} />
+                      </td>
+                      <td className="p-2 text-right">
+                        <LevelsCell from={item.current.reorderPoint} to={item.calculated.reorderPoint} />
+                      </td>
+                      <td className="p-2 text-right">
+                        <LevelsCell from={item.current.targetStock} to={item.calculated.targetStock} />
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )
+        )}
+
+        {appliedRuns?.length > 0 && (
+          <div className="space-y-2">
+            <h4 className="text-sm font-medium flex items-center gap-1">
+              <History className="h-4 w-4" />
+              Cálculos aplicados
+            </h4>
+            <div className="flex flex-wrap gap-2">
+              {appliedRuns.slice(0, 5).map((applied) => (
+                <Button
+                  key={applied._id}
+                  size="sm"
+                  variant={historyRunId === applied._id ? 'default' : 'outline'}
+                  onClick={() => setHistoryRunId(historyRunId === applied._id ? null : applied._id)}
+                >
+                  {new Date(applied.appliedAt).toLocaleDateString('es-DO')} · {applied.appliedBy?.firstname} ·{' '}
+                  {formatPercent(applied.config.serviceLevel)} · {applied.appliedCount} productos
+                </Button>
+              ))}
+            </div>
+            {historyRun && (
+              <div className="border rounded-md max-h-56 overflow-y-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b bg-muted/50">
+                      <th className="text-left p-2">Producto</th>
+                      <th className="text-left p-2">Locación</th>
+                      <th className="text-right p-2">Seguridad</th>
+                      <th className="text-right p-2">Reorden</th>
+                      <th className="text-right p-2">Objetivo</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {historyRun.items.filter((item) => item.applied).map((item) => (
+                      <tr key={itemKey(item)} className="border-b">
+                        <td className="p-2">{item.productName}</td>
+                        <td className="p-2">{item.locationName}</td>
+                        <td className="p-2 text-right">
+                          <LevelsCell from={item.previous.safetyStock} to={item.calculated.safetyStock} />
+                        </td>
+                        <td className="p-2 text-right">
+                          <LevelsCell from={item.previous.reorderPoint} to={item.calculated.reorderPoint} />
+                        </td>
+                        <td className="p-2 text-right">
+                          <LevelsCell from={item.previous.targetStock} to={item.calculated.targetStock} />
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )}
+          </div>
+        )}
+
+        <DialogFooter>
+          {run && !canApply && (
+            <p className="text-xs text-muted-foreground mr-auto">Solo usuarios con permiso de editar objetivos pueden aplicar.</p>
+          )}
+          <Button
+            onClick={handleApply}
+            disabled={!run || !canApply || selectedCount === 0 || applyMutation.isPending}
+          >
+            {applyMutation.isPending && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+            Aplicar seleccionados ({selectedCount})
+          </Button>
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -81,8 +81,8 @@ export function AuthProvider({ children }) {
     const permissions = profile.userPermissions || [];
     // Also check from the role directly if userPermissions not included
     const rolePermissions = {
-      admin: ['pedidos', 'goodsReceipts', 'consignments', 'viewInventory', 'editTargetStock', 'manageUsers'],
-      almacen: ['pedidos', 'goodsReceipts', 'consignments', 'viewInventory'],
+      admin: ['pedidos', 'goodsReceipts', 'consignments', 'viewInventory', 'editTargetStock', 'manageUsers', 'approveAdjustments', 'manageSapQueue', 'reviewExtractions', 'managePrices', 'viewPatientData', 'manageRecalls'],
+      almacen: ['pedidos', 'goodsReceipts', 'consignments', 'viewInventory', 'reviewExtractions', 'manageRecalls'],
       sales: ['viewInventory', 'editTargetStock'],
       viewer: ['viewInventory']
     };
@@ -81,6 +81,8 @@ export const inventarioApi = {
   getLotes: (params) => api.get('/inventario/lotes', { params }),
   getLotesByLocation: (locationId, params) => api.get(`/inventario/lotes/location/${locationId}`, { params }),
   getExpiringLotes: (params) => api.get('/inventario/lotes/expiring', { params }),
+  // Centro stock that will expire before it is consumed, with suggested moves
+  getRotationSuggestions: (params) => api.get('/inventario/lotes/rotation', { params }),
 
   // Dashboard
   getDashboardStats: () => api.get('/inventario/dashboard/stats'),
@@ -93,9 +95,16 @@ export const analyticsApi = {
   getConsumptionByLocation: (params) => api.get('/analytics/consumption/by-location', { params }),
   getConsumptionTrends: (params) => api.get('/analytics/consumption/trends', { params }),
   getConsumptionBySize: (params) => api.get('/analytics/consumption/by-size', { params }),
+  // Per doctor (managed doctors and free-text names) and size demand split by doctor
+  getConsumptionByDoctor: (params) => api.get('/analytics/consumption/by-doctor', { params }),
+  getSizeDemand: (params) => api.get('/analytics/consumption/size-demand', { params }),
+
+  // Revenue per centro (prices stamped on consumptions)
+  getRevenueByLocation: (params) => api.get('/analytics/revenue/by-location', { params }),
 
   // Planning data
   getPlanningData: (params) => api.get('/analytics/planning-data', { params }),
+  getForecast: (params) => api.get('/analytics/forecast', { params }),
 
   // Monthly movements per product per centro
   getMonthlyMovements: (params) => api.get('/analytics/monthly-movements', { params }),
@@ -111,6 +120,14 @@ export const inventarioObjetivosApi = {
   upsert: (data) => api.post('/inventario-objetivos', data), // Create or update
   update: (id, data) => api.put(`/inventario-objetivos/${id}`, data),
   delete: (id) => api.delete(`/inventario-objetivos/${id}`),
+
+  // Stock level calculator (safety stock, reorder point, target stock)
+  getCalculatorConfig: () => api.get('/inventario-objetivos/calculator/config'),
+  updateCalculatorConfig: (data) => api.put('/inventario-objetivos/calculator/config', data),
+  previewCalculation: (data) => api.post('/inventario-objetivos/calculator/preview', data),
+  getCalculationRuns: (params) => api.get('/inventario-objetivos/calculator/runs', { params }),
+  getCalculationRun: (id) => api.get(`/inventario-objetivos/calculator/runs/${id}`),
+  applyCalculation: (id, data) => api.post(`/inventario-objetivos/calculator/runs/${id}/apply`, data),
 };
 
 // Consignaciones API (Bulk consignments)
@@ -150,6 +167,10 @@ export const goodsReceiptApi = {
   getHistory: (params) => api.get('/goods-receipt/history', { params }),
   getOne: (id) => api.get(`/goods-receipt/${id}`),
   retrySap: (id) => api.post(`/goods-receipt/${id}/retry-sap`),
+  // Allocate a receipt created without allocation to open pedidos
+  allocatePedidos: (id) => api.post(`/goods-receipt/${id}/allocate-pedidos`),
+  // Re-send the packing list to the SAP document
+  attachDocuments: (id) => api.post(`/goods-receipt/${id}/attach-documents`),
   // Packing list extraction
   extract: (files) => {
     const formData = new FormData();
@@ -174,6 +195,8 @@ export const consumptionApi = {
   getOne: (id) => api.get(`/consumption/${id}`),
   // Retry failed SAP sync
   retrySap: (id) => api.post(`/consumption/${id}/retry-sap`),
+  // Re-send the consumption form to the SAP document
+  attachDocuments: (id) => api.post(`/consumption/${id}/attach-documents`),
   // Pre-operation guard: validate SAP stock before creating
   validateSapStock: (data) => api.post('/consumption/validate-sap-stock', data),
   // Extract from uploaded documents
@@ -226,6 +249,10 @@ export const pedidosApi = {
   // GoodsReceipt linking
   suggestForItems: (productIds) => api.get('/pedidos/suggest-for-items', { params: { productIds: productIds.join(',') } }),
   receiveItems: (id, data) => api.post(`/pedidos/${id}/receive`, data),
+  previewAllocation: (data) => api.post('/pedidos/allocation-preview', data),
+  // SAP Purchase Order
+  getSapStatus: (id) => api.get(`/pedidos/${id}/sap-status`),
+  retrySap: (id) => api.post(`/pedidos/${id}/retry-sap`),
 };
 
 // User Profiles API (roles, SAP credentials)
@@ -245,4 +272,170 @@ export const userProfilesApi = {
   updateStatus: (id, isActive) => api.put(`/user-profiles/${id}/status`, { isActive }),
 };
 
+// Devoluciones API (returns from centros back to warehouse)
+export const devolucionesApi = {
+  getAll: (params) => api.get('/devoluciones', { params }),
+  getOne: (id) => api.get(`/devoluciones/${id}`),
+  // Lots at a centro that can be returned
+  getAvailableLots: (centroId) => api.get(`/devoluciones/available/${centroId}`),
+  create: (data) => api.post('/devoluciones', data),
+  confirm: (id, data) => api.put(`/devoluciones/${id}/confirm`, data),
+  retrySap: (id) => api.post(`/devoluciones/${id}/retry-sap`),
+  // Pre-operation guard: validate SAP stock in the centro bin before creating
+  validateSapStock: (data) => api.post('/devoluciones/validate-sap-stock', data),
+};
+
+// Traslados API (direct centro → centro transfers)
+export const trasladosApi = {
+  getAll: (params) => api.get('/traslados', { params }),
+  getOne: (id) => api.get(`/traslados/${id}`),
+  create: (data) => api.post('/traslados', data),
+  retrySap: (id) => api.post(`/traslados/${id}/retry-sap`),
+};
+
+// SAP Outbox API (queue of SAP document pushes)
+export const sapOutboxApi = {
+  getAll: (params) => api.get('/sap-outbox', { params }),
+  getStats: () => api.get('/sap-outbox/stats'),
+  getOne: (id) => api.get(`/sap-outbox/${id}`),
+  retry: (id) => api.post(`/sap-outbox/${id}/retry`),
+  // Deliver every due entry now instead of waiting for the worker
+  processNow: () => api.post('/sap-outbox/process'),
+};
+
+// Ajustes API (inventory adjustments with admin approval)
+export const ajustesApi = {
+  getAll: (params) => api.get('/ajustes', { params }),
+  getOne: (id) => api.get(`/ajustes/${id}`),
+  create: (data) => api.post('/ajustes', data),
+  approve: (id, data) => api.put(`/ajustes/${id}/approve`, data),
+  reject: (id, data) => api.put(`/ajustes/${id}/reject`, data),
+  retrySap: (id) => api.post(`/ajustes/${id}/retry-sap`),
+  // Settings
+  getConfig: () => api.get('/ajustes/config'),
+  updateConfig: (data) => api.put('/ajustes/config', data),
+};
+
+// Conteos API (physical cycle counts)
+export const conteosApi = {
+  getAll: (params) => api.get('/conteos', { params }),
+  getOne: (id) => api.get(`/conteos/${id}`),
+  create: (data) => api.post('/conteos', data),
+  // Three-way comparison: pull SAP batch stock for the location
+  fetchSapStock: (id) => api.post(`/conteos/${id}/sap-stock`),
+  saveCounts: (id, data) => api.put(`/conteos/${id}/counts`, data),
+  submit: (id) => api.put(`/conteos/${id}/submit`),
+  cancel: (id) => api.put(`/conteos/${id}/cancel`),
+  approveVariance: (id, itemId) => api.post(`/conteos/${id}/items/${itemId}/approve`),
+  rejectVariance: (id, itemId, data) => api.post(`/conteos/${id}/items/${itemId}/reject`, data),
+};
+
+// Recalls API (manufacturer recall notices and pull-back plan)
+export const recallsApi = {
+  getAll: (params) => api.get('/recalls', { params }),
+  getOne: (id) => api.get(`/recalls/${id}`),
+  // Preview affected lots/locations before opening the recall
+  preview: (data) => api.post('/recalls/preview', data),
+  create: (data) => api.post('/recalls', data),
+  // All locations currently holding recalled units
+  getExposure: () => api.get('/recalls/exposure'),
+  resolveUnit: (id, unitId, data) => api.post(`/recalls/${id}/units/${unitId}/resolve`, data),
+  close: (id, notes) => api.put(`/recalls/${id}/close`, { notes }),
+  // Procedures that implanted the recalled lots
+  getPatients: (id) => api.get(`/recalls/${id}/patients`),
+};
+
+// Scan API (GS1 DataMatrix / UDI codes)
+export const scanApi = {
+  // Resolve a scan to product, lot and expiry; validates the lot at locationId when given
+  resolve: (code, locationId) => api.post('/scan/resolve', { code, locationId }),
+};
+
+// Extraction Reviews API (low-confidence consumption extractions)
+export const extractionReviewsApi = {
+  getAll: (params) => api.get('/extraction-reviews', { params }),
+  getOne: (id) => api.get(`/extraction-reviews/${id}`),
+  approve: (id, data) => api.put(`/extraction-reviews/${id}/approve`, data),
+  reject: (id, reason) => api.put(`/extraction-reviews/${id}/reject`, { reason }),
+};
+
+// Price Lists API (negotiated prices per centro)
+export const priceListsApi = {
+  getAll: (params) => api.get('/price-lists', { params }),
+  create: (data) => api.post('/price-lists', data),
+  update: (id, data) => api.put(`/price-lists/${id}`, data),
+  deactivate: (id) => api.delete(`/price-lists/${id}`),
+};
+
+// Medicos API (implanting physicians per centro)
+export const medicosApi = {
+  getAll: (params) => api.get('/medicos', { params }),
+  create: (data) => api.post('/medicos', data),
+  update: (id, data) => api.put(`/medicos/${id}`, data),
+};
+
+// Proveedores API (supplier master data from SAP, delivery scorecard)
+export const proveedoresApi = {
+  getAll: (params) => api.get('/proveedores', { params }),
+  sync: () => api.post('/proveedores/sync'),
+  getScorecard: (params) => api.get('/proveedores/scorecard', { params }),
+  getOne: (id, params) => api.get(`/proveedores/${id}`, { params }),
+  update: (id, data) => api.put(`/proveedores/${id}`, data),
+};
+
+// Procedimientos API (implant registry)
+export const procedimientosApi = {
+  getAll: (params) => api.get('/procedimientos', { params }),
+  // By lotNumber, loteId, patientIdentifier or doctorId
+  search: (params) => api.get('/procedimientos/search', { params }),
+  getOne: (id) => api.get(`/procedimientos/${id}`),
+  update: (id, data) => api.put(`/procedimientos/${id}`, data),
+  // Requires viewPatientData
+  getPatientIdentifier: (id) => api.get(`/procedimientos/${id}/patient-identifier`),
+};
+
+// Consumption Batches API (a day's consumption forms, grouped per centro and date)
+export const consumptionBatchesApi = {
+  // Upload the forms (one image or PDF each); extraction runs in the background
+  create: (files) => {
+    const formData = new FormData();
+    files.forEach((file) => {
+      formData.append('files', file);
+    });
+    return api.post('/consumption-batches', formData, {
+      headers: { 'Content-Type': 'multipart/form-data' }
+    });
+  },
+  getAll: () => api.get('/consumption-batches'),
+  getOne: (id) => api.get(`/consumption-batches/${id}`),
+  assignCentro: (id, formId, centroId) => api.put(`/consumption-batches/${id}/forms/${formId}/centro`, { centroId }),
+  approveDraft: (id, draftId, items) => api.put(`/consumption-batches/${id}/drafts/${draftId}/approve`, { items }),
+  discardDraft: (id, draftId) => api.put(`/consumption-batches/${id}/drafts/${draftId}/discard`),
+};
+
+// Documents API (uploaded packing lists and consumption forms)
+export const documentsApi = {
+  getOne: (id) => api.get(`/documents/${id}`),
+  // File as a Blob (needs the auth header, so not a plain <img src>)
+  getContent: (id) => api.get(`/documents/${id}/content`, { responseType: 'blob' }),
+};
+
+// Extraction API (document OCR provider settings)
+export const extractionApi = {
+  getConfig: () => api.get('/extraction/config'),
+  updateConfig: (data) => api.put('/extraction/config', data),
+};
+
+export const notificationsApi = {
+  getAll: (params) => api.get('/notifications', { params }),
+  getUnreadCount: () => api.get('/notifications/unread-count'),
+  markRead: (id) => api.put(`/notifications/${id}/read`),
+  markAllRead: () => api.put('/notifications/read-all'),
+  getSubscriptions: () => api.get('/notifications/subscriptions'),
+  updateSubscriptions: (data) => api.put('/notifications/subscriptions', data),
+  sendTest: () => api.post('/notifications/subscriptions/test'),
+  getConfig: () => api.get('/notifications/config'),
+  updateConfig: (data) => api.put('/notifications/config', data),
+};
+
 export default api;
@@ -0,0 +1,510 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { ajustesApi, inventarioApi, locacionesApi } from '../lib/api';
+import { useAuth } from '../context/AuthContext';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '../components/ui/dialog';
+import { Label } from '../components/ui/label';
+import { Input } from '../components/ui/input';
+import { Button } from '../components/ui/button';
+import { Badge } from '../components/ui/badge';
+import { useToast } from '../components/ui/toast';
+import { formatDate, formatDateTime } from '../lib/utils';
+import { Plus, SlidersHorizontal, CheckCircle2, XCircle, Clock, Package, RefreshCw } from 'lucide-react';
+
+const REASONS = {
+  DAMAGED: 'Dañado',
+  EXPIRED: 'Vencido',
+  LOST: 'Perdido',
+  FOUND: 'Encontrado',
+  CORRECTION: 'Corrección de conteo',
+};
+
+// Direction implied by each reason (CORRECTION lets the user choose)
+const REASON_DIRECTION = {
+  DAMAGED: 'OUT',
+  EXPIRED: 'OUT',
+  LOST: 'OUT',
+  FOUND: 'IN',
+};
+
+const emptyForm = {
+  locationId: '',
+  loteId: '',
+  reason: 'DAMAGED',
+  direction: 'OUT',
+  quantity: 1,
+  notes: '',
+};
+
+export default function Ajustes() {
+  const queryClient = useQueryClient();
+  const toast = useToast();
+  const { hasPermission } = useAuth();
+  const canApprove = hasPermission('approveAdjustments');
+
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [createOpen, setCreateOpen] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [thresholdInput, setThresholdInput] = useState('');
+
+  const { data: locations } = useQuery({
+    queryKey: ['locaciones'],
+    queryFn: () => locacionesApi.getAll({ active: true }).then((res) => res.data),
+  });
+
+  const { data: ajustes, isLoading } = useQuery({
+    queryKey: ['ajustes', statusFilter],
+    queryFn: () => {
+      const params = {};
+      if (statusFilter !== 'all') params.status = statusFilter;
+      return ajustesApi.getAll(params).then((res) => res.data);
+    },
+  });
+
+  const { data: config } = useQuery({
+    queryKey: ['ajustes', 'config'],
+    queryFn: () => ajustesApi.getConfig().then((res) => res.data),
+  });
+
+  const { data: lotes } = useQuery({
+    queryKey: ['lotes', 'location', form.locationId],
+    queryFn: () => inventarioApi.getLotesByLocation(form.locationId).then((res) => res.data),
+    enabled: !!form.locationId,
+  });
+
+  const selectedLote = lotes?.find((l) => l._id === form.loteId);
+  const direction = REASON_DIRECTION[form.reason] || form.direction;
+  const needsApproval = config && form.quantity > config.approvalThreshold;
+
+  const resetCreate = () => {
+    setCreateOpen(false);
+    setForm(emptyForm);
+  };
+
+  const invalidate = () => {
+    queryClient.invalidateQueries(['ajustes']);
+    queryClient.invalidateQueries(['lotes']);
+    queryClient.invalidateQueries(['inventario']);
+  };
+
+  // Applied adjustments whose SAP document is still queued get a warning
+  const notifyApplied = (sapResult, label) => {
+    if (sapResult && !sapResult.success) {
+      toast.warning(`${label}. Quedó en la cola SAP y se reintentará automáticamente.`);
+    } else {
+      toast.success(sapResult?.sapDocNum ? `${label} - SAP DocNum: ${sapResult.sapDocNum}` : label);
+    }
+  };
+
+  const createMutation = useMutation({
+    mutationFn: (data) => ajustesApi.create(data),
+    onSuccess: (response) => {
+      invalidate();
+      if (response.data.pendingApproval) {
+        toast.success('Ajuste registrado - pendiente de aprobación');
+      } else {
+        notifyApplied(response.data.sapResult, 'Ajuste aplicado');
+      }
+      resetCreate();
+    },
+    onError: (error) => {
+      console.error('Create adjustment error:', error);
+      const data = error?.response?.data;
+      toast.error(data?.error || data?.errors?.[0]?.msg || 'Error al registrar ajuste');
+    },
+  });
+
+  const approveMutation = useMutation({
+    mutationFn: (id) => ajustesApi.approve(id, {}),
+    onSuccess: (response) => {
+      invalidate();
+      notifyApplied(response.data.sapResult, 'Ajuste aprobado');
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.error || error?.response?.data?.message || 'Error al aprobar ajuste');
+    },
+  });
+
+  const retrySapMutation = useMutation({
+    mutationFn: (id) => ajustesApi.retrySap(id),
+    onSuccess: (response) => {
+      invalidate();
+      if (response.data.success) {
+        toast.success(`SAP sync exitoso - DocNum: ${response.data.sapResult?.sapDocNum}`);
+      } else {
+        toast.error(`Error SAP: ${response.data.error}. Se reintentará automáticamente.`);
+      }
+    },
+    onError: (error) => {
+      console.error('Retry SAP error:', error);
+      const message = error?.response?.data?.error || error?.message || 'Error al reintentar SAP';
+      toast.error(message);
+    },
+  });
+
+  const rejectMutation = useMutation({
+    mutationFn: (id) => ajustesApi.reject(id, {}),
+    onSuccess: () => {
+      invalidate();
+      toast.success('Ajuste rechazado');
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.error || error?.response?.data?.message || 'Error al rechazar ajuste');
+    },
+  });
+
+  const configMutation = useMutation({
+    mutationFn: (data) => ajustesApi.updateConfig(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['ajustes', 'config']);
+      setThresholdInput('');
+      toast.success('Umbral de aprobación actualizado');
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.error || error?.response?.data?.message || 'Error al actualizar umbral');
+    },
+  });
+
+  const handleCreate = () => {
+    createMutation.mutate({
+      locationId: form.locationId,
+      loteId: form.loteId,
+      reason: form.reason,
+      direction,
+      quantity: form.quantity,
+      notes: form.notes || undefined,
+    });
+  };
+
+  const getStatusBadge = (ajuste) => {
+    if (ajuste.status === 'APLICADO') {
+      return (
+        <Badge className="bg-green-100 text-green-800 border-0">
+          <CheckCircle2 className="h-3 w-3 mr-1" />
+          Aplicado
+        </Badge>
+      );
+    }
+    if (ajuste.status === 'RECHAZADO') {
+      return (
+        <Badge className="bg-gray-100 text-gray-800 border-0">
+          <XCircle className="h-3 w-3 mr-1" />
+          Rechazado
+        </Badge>
+      );
+    }
+    if (ajuste.status === 'APLICANDO') {
+      return (
+        <Badge className="bg-blue-100 text-blue-800 border-0">
+          <Clock className="h-3 w-3 mr-1" />
+          Aplicando
+        </Badge>
+      );
+    }
+    return (
+      <Badge className="bg-yellow-100 text-yellow-800 border-0">
+        <Clock className="h-3 w-3 mr-1" />
+        Pendiente de aprobación
+      </Badge>
+    );
+  };
+
+  if (isLoading) return <div>Cargando...</div>;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between">
+        <div>
+          <h1 className="text-3xl font-bold">Ajustes de Inventario</h1>
+          <p className="text-muted-foreground">Dañados, vencidos, perdidos y correcciones de conteo por lote</p>
+        </div>
+        <Button onClick={() => setCreateOpen(true)}>
+          <Plus className="h-4 w-4 mr-2" />
+          Nuevo Ajuste
+        </Button>
+      </div>
+
+      {/* Filters and settings */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Filtros</CardTitle>
+          <CardDescription>
+            Ajustes mayores a {config?.approvalThreshold ?? '...'} unidades requieren aprobación de un administrador
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          <div className="grid gap-4 md:grid-cols-3">
+            <div className="grid gap-2">
+              <Label>Estado</Label>
+              <Select value={statusFilter} onValueChange={setStatusFilter}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">Todos</SelectItem>
+                  <SelectItem value="PENDIENTE">Pendientes</SelectItem>
+                  <SelectItem value="APLICADO">Aplicados</SelectItem>
+                  <SelectItem value="RECHAZADO">Rechazados</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+            {canApprove && (
+              <div className="grid gap-2">
+                <Label>Umbral de aprobación (unidades)</Label>
+                <div className="flex gap-2">
+                  <Input
+                    type="number"
+                    min="0"
+                    placeholder={String(config?.approvalThreshold ?? '')}
+                    value={thresholdInput}
+                    onChange={(e) => setThresholdInput(e.target.value)}
+                  />
+                  <Button
+                    variant="outline"
+                    disabled={thresholdInput === '' || configMutation.isPending}
+                    onClick={() => configMutation.mutate({ approvalThreshold: parseInt(thresholdInput) || 0 })}
+                  >
+                    Guardar
+                  </Button>
+                </div>
+              </div>
+            )}
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Adjustments List */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Ajustes ({ajustes?.length || 0})</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {ajustes && ajustes.length > 0 ? (
+            <div className="space-y-3">
+              {ajustes.map((ajuste) => (
+                <Card key={ajuste._id}>
+                  <CardContent className="p-4">
+                    <div className="flex items-start justify-between gap-4">
+                      <div className="space-y-2 flex-1">
+                        <div className="flex items-center gap-3">
+                          <SlidersHorizontal className="h-5 w-5 text-muted-foreground" />
+                          <div>
+                            <div className="font-medium">
+                              {ajuste.productId?.name} • Lote <span className="font-mono">{ajuste.lotNumber}</span>
+                            </div>
+                            <div className="text-sm text-muted-foreground">
+                              {ajuste.locationId?.name} • {REASONS[ajuste.reason]} •{' '}
+                              <span className={ajuste.direction === 'OUT' ? 'text-red-600' : 'text-green-600'}>
+                                {ajuste.direction === 'OUT' ? '-' : '+'}
+                                {ajuste.quantity}
+                              </span>{' '}
+                              unidades
+                            </div>
+                          </div>
+                        </div>
+                        <div className="flex flex-wrap items-center gap-4 text-sm text-muted-foreground">
+                          <div>
+                            <span className="font-medium">Creado:</span> {formatDateTime(ajuste.createdAt)}
+                          </div>
+                          <div>
+                            <span className="font-medium">Por:</span> {ajuste.createdBy?.firstname}{' '}
+                            {ajuste.createdBy?.lastname}
+                          </div>
+                          {ajuste.approvedBy?._id && (
+                            <div>
+                              <span className="font-medium">Aprobado por:</span> {ajuste.approvedBy.firstname}{' '}
+                              {ajuste.approvedBy.lastname}
+                            </div>
+                          )}
+                          {ajuste.sapIntegration?.docNum && (
+                            <div>
+                              <span className="font-medium">SAP:</span> #{ajuste.sapIntegration.docNum}
+                            </div>
+                          )}
+                        </div>
+                        {ajuste.notes && <div className="text-sm">{ajuste.notes}</div>}
+                        {['FAILED', 'RETRYING'].includes(ajuste.sapIntegration?.status) && (
+                          <div className="bg-red-50 border border-red-200 p-3 rounded-md text-sm">
+                            <div className="flex items-center gap-2 mb-2">
+                              <XCircle className="h-4 w-4 text-red-600" />
+                              <p className="font-medium text-red-900">Error de sincronización SAP</p>
+                            </div>
+                            {ajuste.sapIntegration.status === 'RETRYING' && (
+                              <p className="text-red-700 mb-2">En cola: se reintentará automáticamente.</p>
+                            )}
+                            <p className="text-red-700 mb-3 font-mono text-xs bg-red-100 p-2 rounded">
+                              {ajuste.sapIntegration.error || 'Error desconocido'}
+                            </p>
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => retrySapMutation.mutate(ajuste._id)}
+                              disabled={retrySapMutation.isPending}
+                              className="border-red-300 text-red-700 hover:bg-red-100"
+                            >
+                              <RefreshCw className={`h-4 w-4 mr-2 ${retrySapMutation.isPending ? 'animate-spin' : ''}`} />
+                              {retrySapMutation.isPending ? 'Reintentando...' : 'Reintentar SAP'}
+                            </Button>
+                          </div>
+                        )}
+                      </div>
+                      <div className="flex flex-col items-end gap-2">
+                        {getStatusBadge(ajuste)}
+                        {ajuste.status === 'PENDIENTE' && canApprove && (
+                          <div className="flex gap-2">
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              disabled={rejectMutation.isPending}
+                              onClick={() => rejectMutation.mutate(ajuste._id)}
+                            >
+                              Rechazar
+                            </Button>
+                            <Button
+                              size="sm"
+                              disabled={approveMutation.isPending}
+                              onClick={() => approveMutation.mutate(ajuste._id)}
+                            >
+                              Aprobar
+                            </Button>
+                          </div>
+                        )}
+                      </div>
+                    </div>
+                  </CardContent>
+                </Card>
+              ))}
+            </div>
+          ) : (
+            <div className="text-center py-12">
+              <Package className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
+              <p className="text-lg font-medium">No hay ajustes</p>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Create Dialog */}
+      <Dialog open={createOpen} onOpenChange={(open) => (open ? setCreateOpen(true) : resetCreate())}>
+        <DialogContent className="max-w-xl">
+          <DialogHeader>
+            <DialogTitle>Nuevo Ajuste</DialogTitle>
+            <DialogDescription>
+              Las salidas generan una Salida de Mercancía en SAP y las entradas una Entrada de Mercancía
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4">
+            <div className="grid gap-2">
+              <Label>Locación</Label>
+              <Select value={form.locationId} onValueChange={(value) => setForm({ ...form, locationId: value, loteId: '' })}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Seleccionar locación" />
+                </SelectTrigger>
+                <SelectContent>
+                  {locations?.map((location) => (
+                    <SelectItem key={location._id} value={location._id}>
+                      {location.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="grid gap-2">
+              <Label>Lote</Label>
+              <Select
+                value={form.loteId}
+                onValueChange={(value) => setForm({ ...form, loteId: value })}
+                disabled={!form.locationId}
+              >
+                <SelectTrigger>
+                  <SelectValue placeholder="Seleccionar lote" />
+                </SelectTrigger>
+                <SelectContent>
+                  {lotes?.map((lote) => (
+                    <SelectItem key={lote._id} value={lote._id}>
+                      {lote.productId?.name} • {lote.lotNumber} • Disp: {lote.quantityAvailable} • Vence{' '}
+                      {formatDate(lote.expiryDate)}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="grid gap-4 md:grid-cols-2">
+              <div className="grid gap-2">
+                <Label>Motivo</Label>
+                <Select value={form.reason} onValueChange={(value) => setForm({ ...form, reason: value })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(REASONS).map(([value, label]) => (
+                      <SelectItem key={value} value={value}>
+                        {label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="grid gap-2">
+                <Label>Dirección</Label>
+                <Select
+                  value={direction}
+                  onValueChange={(value) => setForm({ ...form, direction: value })}
+                  disabled={form.reason !== 'CORRECTION'}
+                >
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="OUT">Salida (restar)</SelectItem>
+                    <SelectItem value="IN">Entrada (sumar)</SelectItem>
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div className="grid gap-2">
+              <Label>Cantidad</Label>
+              <Input
+                type="number"
+                min="1"
+                max={direction === 'OUT' ? selectedLote?.quantityAvailable : undefined}
+                value={form.quantity}
+                onChange={(e) => setForm({ ...form, quantity: Math.max(1, parseInt(e.target.value) || 1) })}
+              />
+              {needsApproval && (
+                <p className="text-sm text-yellow-700">
+                  Supera el umbral de {config.approvalThreshold} unidades: quedará pendiente de aprobación
+                </p>
+              )}
+            </div>
+
+            <div className="grid gap-2">
+              <Label>Notas</Label>
+              <Input value={form.notes} onChange={(e) => setForm({ ...form, notes: e.target.value })} placeholder="Opcional" />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={resetCreate}>
+              Cancelar
+            </Button>
+            <Button
+              onClick={handleCreate}
+              disabled={
+                !form.loteId ||
+                (direction === 'OUT' && selectedLote && form.quantity > selectedLote.quantityAvailable) ||
+                createMutation.isPending
+              }
+            >
+              {createMutation.isPending ? 'Registrando...' : needsApproval ? 'Solicitar Aprobación' : 'Aplicar Ajuste'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { consignacionesApi, locacionesApi } from '../lib/api';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
@@ -9,6 +10,7 @@ import { Input } from '../components/ui/input';
 import { Button } from '../components/ui/button';
 import { Badge } from '../components/ui/badge';
 import { useToast } from '../components/ui/toast';
+import ScannerInput from '../components/ScannerInput';
 import { Package, Truck, AlertTriangle, CheckCircle2, Clock, XCircle, RefreshCw, Download } from 'lucide-react';
 
 export default function Consignaciones() {
@@ -16,8 +18,12 @@ export default function Consignaciones() {
   const [selectedConsignment, setSelectedConsignment] = useState(null);
   const [confirmOpen, setConfirmOpen] = useState(false);
   const [confirmItems, setConfirmItems] = useState([]);
+  // Once the first unit is scanned, received quantities are counted by scan
+  const [scanCounting, setScanCounting] = useState(false);
   const queryClient = useQueryClient();
   const toast = useToast();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const linkedId = searchParams.get('id');
 
   const { data: locations } = useQuery({
     queryKey: ['locaciones'],
@@ -53,8 +59,12 @@ export default function Consignaciones() {
     mutationFn: (id) => consignacionesApi.retrySap(id),
     onSuccess: (response) => {
       queryClient.invalidateQueries(['consignaciones']);
-      toast.success(`SAP sync exitoso - DocNum: ${response.data.sapDocNum}`);
-      setConfirmOpen(false);
+      if (response.data.success) {
+        toast.success(`SAP sync exitoso - DocNum: ${response.data.sapResult?.sapDocNum}`);
+        setConfirmOpen(false);
+      } else {
+        toast.error(`Error SAP: ${response.data.error}. Se reintentará automáticamente.`);
+      }
     },
     onError: (error) => {
       console.error('Retry SAP error:', error);
@@ -71,15 +81,62 @@ export default function Consignaciones() {
         productId: item.productId._id,
         productName: item.productId.name,
         productCode: item.productId.code,
+        lotNumber: item.lotNumber,
         size: item.productId.specifications?.size || 'N/A',
         quantitySent: item.quantitySent,
         quantityReceived: item.quantityReceived !== null ? item.quantityReceived : item.quantitySent,
         notes: item.notes || '',
       }))
     );
+    setScanCounting(false);
     setConfirmOpen(true);
   };
 
+  // Link from a notification (?id=): open that consignment, then drop the
+  // parameter so closing the dialog doesn't reopen it
+  useEffect(() => {
+    if (!linkedId) return;
+    consignacionesApi
+      .getOne(linkedId)
+      .then((res) => handleViewConsignment(res.data))
+      .catch(() => toast.error('Consignación no encontrada'))
+      .finally(() => setSearchParams({}, { replace: true }));
+  }, [linkedId]);
+
+  // Handle a GS1 scan: count one received unit of the scanned product and lot
+  const handleScan = (result) => {
+    const { product, gs1 } = result;
+    const productLines = confirmItems.filter((item) => item.productId === product._id);
+    if (productLines.length === 0) {
+      toast.error(`${product.name} no está en esta consignación`);
+      return;
+    }
+    const lotLines = productLines.filter((item) => !gs1.lotNumber || item.lotNumber === gs1.lotNumber);
+    if (lotLines.length === 0) {
+      toast.error(`Lote ${gs1.lotNumber} no corresponde a esta consignación`);
+      return;
+    }
+
+    // First scan starts the count from zero
+    const counted = scanCounting ? confirmItems : confirmItems.map((item) => ({ ...item, quantityReceived: 0 }));
+    const target = lotLines
+      .map((line) => counted[confirmItems.indexOf(line)])
+      .find((item) => item.quantityReceived < item.quantitySent);
+    if (!target) {
+      toast.error(`Ya se escanearon todas las unidades de ${product.name} lote ${gs1.lotNumber}`);
+      return;
+    }
+
+    setConfirmItems(counted.map((item) =>
+      item === target ? { ...item, quantityReceived: item.quantityReceived + 1 } : item
+    ));
+    setScanCounting(true);
+
+    if (result.warnings.length > 0) {
+      toast.warning(result.warnings.join('. '));
+    }
+  };
+
   const handleConfirmReceipt = () => {
     const data = {
       items: confirmItems.map((item) => ({
@@ -106,6 +163,14 @@ export default function Consignaciones() {
           </Badge>
         );
       }
+      if (sapStatus === 'RETRYING') {
+        return (
+          <Badge className="bg-orange-100 text-orange-800 border-0">
+            <RefreshCw className="h-3 w-3 mr-1" />
+            Reintentando SAP
+          </Badge>
+        );
+      }
       if (sapStatus === 'SYNCED') {
         return (
           <Badge className="bg-green-100 text-green-800 border-0">
@@ -280,6 +345,17 @@ export default function Consignaciones() {
               </DialogDescription>
             </DialogHeader>
             <div className="space-y-4">
+              {selectedConsignment.status === 'EN_TRANSITO' && (
+                <div className="grid gap-2">
+                  <ScannerInput onResolved={handleScan} placeholder="Escanear cada unidad recibida..." />
+                  <p className="text-xs text-muted-foreground">
+                    {scanCounting
+                      ? 'Contando por escaneo: las cantidades recibidas son las unidades escaneadas.'
+                      : 'Al escanear la primera unidad, las cantidades recibidas se cuentan desde cero.'}
+                  </p>
+                </div>
+              )}
+
               <div className="border rounded-md">
                 <table className="w-full text-sm">
                   <thead>
@@ -300,7 +376,10 @@ export default function Consignaciones() {
                         <td className="p-2">
                           <div>
                             <div className="font-medium">{item.productName}</div>
-                            <div className="text-xs text-muted-foreground">Código: {item.productCode}</div>
+                            <div className="text-xs text-muted-foreground">
+                              Código: {item.productCode}
+                              {item.lotNumber && <span className="ml-2 font-mono">Lote: {item.lotNumber}</span>}
+                            </div>
                           </div>
                         </td>
                         <td className="p-2">{item.size}</td>
@@ -345,12 +424,15 @@ export default function Consignaciones() {
               )}
 
               {/* SAP Sync Status */}
-              {selectedConsignment.status === 'RECIBIDO' && selectedConsignment.sapIntegration?.status === 'FAILED' && (
+              {['FAILED', 'RETRYING'].includes(selectedConsignment.sapIntegration?.status) && (
                 <div className="bg-red-50 border border-red-200 p-3 rounded-md text-sm">
                   <div className="flex items-center gap-2 mb-2">
                     <XCircle className="h-4 w-4 text-red-600" />
                     <p className="font-medium text-red-900">Error de sincronización SAP</p>
                   </div>
+                  {selectedConsignment.sapIntegration?.status === 'RETRYING' && (
+                    <p className="text-red-700 mb-2">En cola: se reintentará automáticamente.</p>
+                  )}
                   <p className="text-red-700 mb-3 font-mono text-xs bg-red-100 p-2 rounded">
                     {selectedConsignment.sapIntegration?.error || 'Error desconocido'}
                   </p>
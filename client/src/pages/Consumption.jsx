@@ -1,7 +1,7 @@
 import { useState, useMemo } from 'react';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
-import { useNavigate } from 'react-router-dom';
-import { locacionesApi, consumptionApi } from '../lib/api';
+import { useNavigate, Link } from 'react-router-dom';
+import { locacionesApi, consumptionApi, medicosApi } from '../lib/api';
 import { Button } from '../components/ui/button';
 import { Input } from '../components/ui/input';
 import { Label } from '../components/ui/label';
@@ -13,6 +13,7 @@ import { Activity, Plus, Trash2, Loader2, CheckCircle2, AlertCircle, Edit3, File
 import { useToast } from '../components/ui/toast';
 import { formatDate } from '../lib/utils';
 import FileUploader from '../components/FileUploader';
+import ScannerInput from '../components/ScannerInput';
 
 export default function Consumption() {
   // Tab state
@@ -33,10 +34,16 @@ export default function Consumption() {
   const [uploadedFiles, setUploadedFiles] = useState([]);
   const [extractedItems, setExtractedItems] = useState([]);
   const [extractionWarnings, setExtractionWarnings] = useState([]);
+  // Set when the extraction scored low and was queued for a second person
+  const [extractionReview, setExtractionReview] = useState(null);
+  const [reviewThreshold, setReviewThreshold] = useState(0.8);
+  const [sourceDocuments, setSourceDocuments] = useState([]); // Stored uploads, linked to the consumption
 
   // Optional fields
   const [patientName, setPatientName] = useState('');
   const [doctorName, setDoctorName] = useState('');
+  const [doctorId, setDoctorId] = useState(''); // Managed doctor; free-text doctorName otherwise
+  const [patientIdentifier, setPatientIdentifier] = useState('');
   const [procedureDate, setProcedureDate] = useState('');
   const [procedureType, setProcedureType] = useState('');
   const [notes, setNotes] = useState('');
@@ -70,6 +77,13 @@ export default function Consumption() {
     return centros.find((c) => c._id === selectedCentro);
   }, [centros, selectedCentro]);
 
+  // Doctors registered at the selected Centro (implant registry)
+  const { data: medicos = [] } = useQuery({
+    queryKey: ['medicos', selectedCentro],
+    queryFn: () => medicosApi.getAll({ centroId: selectedCentro }).then((res) => res.data),
+    enabled: !!selectedCentro,
+  });
+
   // Query available inventory at selected Centro
   const { data: inventoryData, isLoading: loadingInventory } = useQuery({
     queryKey: ['consumption-inventory', selectedCentro],
@@ -130,10 +144,19 @@ export default function Consumption() {
           needsLotSelection: item.needsLotSelection,
           price: item.price,
           currency: item.currency,
+          confidence: item.confidence,
+          flags: item.flags || [],
         }));
         setExtractedItems(formItems);
         setExtractionWarnings(data.warnings || []);
-        toast.success(`${formItems.length} items extraidos`);
+        setExtractionReview(data.review);
+        setSourceDocuments(data.documents || []);
+        setReviewThreshold(data.reviewThreshold ?? 0.8);
+        if (data.review) {
+          toast.warning('Lectura con baja confianza: enviada a revisión');
+        } else {
+          toast.success(`${formItems.length} items extraidos`);
+        }
       } else {
         toast.error('No se encontraron items en los documentos');
       }
@@ -159,48 +182,47 @@ export default function Consumption() {
     },
   });
 
-  // Handle adding item in manual mode
-  const handleAddManualItem = () => {
-    if (!selectedLot || quantity < 1) {
-      toast.error('Selecciona un lote y cantidad');
-      return;
-    }
-
-    if (selectedLotData && quantity > selectedLotData.quantityAvailable) {
-      toast.error(`Cantidad maxima disponible: ${selectedLotData.quantityAvailable}`);
-      return;
+  // Add units of a lot to the manual list (merging with a line for the same lot)
+  const addManualUnits = (productData, lotData, qty) => {
+    const existing = manualItems.find((item) => item.loteId === lotData.loteId);
+    const newQty = (existing?.quantity || 0) + qty;
+    if (newQty > lotData.quantityAvailable) {
+      toast.error(`Cantidad maxima disponible: ${lotData.quantityAvailable}`);
+      return false;
     }
 
-    // Check if this lot is already in the list
-    const existingIndex = manualItems.findIndex((item) => item.loteId === selectedLot);
-    if (existingIndex >= 0) {
-      // Update quantity
-      const newItems = [...manualItems];
-      const newQty = newItems[existingIndex].quantity + quantity;
-      if (newQty > selectedLotData.quantityAvailable) {
-        toast.error(`Cantidad maxima disponible: ${selectedLotData.quantityAvailable}`);
-        return;
-      }
-      newItems[existingIndex].quantity = newQty;
-      setManualItems(newItems);
+    if (existing) {
+      setManualItems(manualItems.map((item) =>
+        item.loteId === lotData.loteId ? { ...item, quantity: newQty } : item
+      ));
     } else {
-      // Add new item
       setManualItems([
         ...manualItems,
         {
           id: Date.now(),
-          productId: selectedProductData.productId,
-          productName: selectedProductData.productName,
-          sapItemCode: selectedProductData.sapItemCode,
-          loteId: selectedLot,
-          lotNumber: selectedLotData.lotNumber,
-          quantity: quantity,
-          expiryDate: selectedLotData.expiryDate,
-          price: selectedProductData.price,
-          currency: selectedProductData.currency,
+          productId: productData.productId,
+          productName: productData.productName,
+          sapItemCode: productData.sapItemCode,
+          loteId: lotData.loteId,
+          lotNumber: lotData.lotNumber,
+          quantity: qty,
+          expiryDate: lotData.expiryDate,
+          price: productData.price,
+          currency: productData.currency,
         },
       ]);
     }
+    return true;
+  };
+
+  // Handle adding item in manual mode
+  const handleAddManualItem = () => {
+    if (!selectedLot || quantity < 1) {
+      toast.error('Selecciona un lote y cantidad');
+      return;
+    }
+
+    if (!addManualUnits(selectedProductData, selectedLotData, quantity)) return;
 
     // Reset selection
     setSelectedProduct('');
@@ -210,6 +232,29 @@ export default function Consumption() {
     toast.success('Item agregado');
   };
 
+  // Handle a GS1 scan: one scan = one unit of the scanned lot at this Centro
+  const handleScan = (result) => {
+    if (!result.valid) {
+      toast.error(result.warnings.join('. ') || 'Código no válido para este Centro');
+      return;
+    }
+
+    const productData = availableProducts.find((p) => p.productId === result.product._id);
+    const lotData = productData?.lots.find((l) => l.loteId === result.lote?._id);
+    if (!lotData) {
+      toast.error(`Lote ${result.gs1.lotNumber} no disponible en este Centro`);
+      return;
+    }
+
+    if (!addManualUnits(productData, lotData, 1)) return;
+
+    if (result.warnings.length > 0) {
+      toast.warning(result.warnings.join('. '));
+    } else {
+      toast.success(`${productData.productName} - Lote ${lotData.lotNumber}`);
+    }
+  };
+
   const handleRemoveManualItem = (id) => {
     setManualItems(manualItems.filter((item) => item.id !== id));
   };
@@ -315,11 +360,15 @@ export default function Consumption() {
       centroId: selectedCentro,
       items: itemsData,
       patientName: patientName || undefined,
-      doctorName: doctorName || undefined,
+      doctorId: doctorId || undefined,
+      doctorName: doctorId ? undefined : doctorName || undefined,
+      patientIdentifier: patientIdentifier.trim() || undefined,
       procedureDate: procedureDate || undefined,
       procedureType: procedureType || undefined,
       notes: notes || undefined,
       docDate,
+      // Keep the signed form with the consumption (and its SAP document)
+      documentIds: activeTab === 'document' ? sourceDocuments.map((doc) => doc.documentId) : undefined,
     };
 
     createMutation.mutate(data);
@@ -356,9 +405,12 @@ export default function Consumption() {
                   value={selectedCentro}
                   onValueChange={(value) => {
                     setSelectedCentro(value);
+                    setDoctorId('');
                     // Reset items when changing centro
                     setManualItems([]);
                     setExtractedItems([]);
+                    setExtractionReview(null);
+                    setSourceDocuments([]);
                     setSelectedProduct('');
                     setSelectedLot('');
                     setProductSearch('');
@@ -462,6 +514,12 @@ export default function Consumption() {
                 </div>
               ) : (
                 <>
+                  {/* GS1 DataMatrix scan */}
+                  <div className="grid gap-2">
+                    <Label>Escanear</Label>
+                    <ScannerInput locationId={selectedCentro} onResolved={handleScan} />
+                  </div>
+
                   {/* Product/Lot Selection */}
                   <div className="grid gap-4 md:grid-cols-4 items-end">
                     <div className="md:col-span-2 grid gap-2">
@@ -723,6 +781,20 @@ export default function Consumption() {
                     </div>
                   )}
 
+                  {/* Review queue banner */}
+                  {extractionReview && (
+                    <div className="bg-orange-50 border border-orange-200 rounded-lg p-3 text-sm text-orange-700">
+                      <div className="flex items-center gap-2 font-medium mb-1">
+                        <AlertTriangle className="h-4 w-4" />
+                        Enviado a revisión
+                      </div>
+                      Algunos datos se leyeron con baja confianza o no coinciden con el inventario del Centro.
+                      Otra persona debe revisarlos contra las imágenes y aprobarlos en{' '}
+                      <Link to="/consumption/reviews" className="underline font-medium">Revisión de Extracciones</Link>{' '}
+                      antes de registrar el consumo.
+                    </div>
+                  )}
+
                   {/* Extracted Items Table */}
                   {extractedItems.length > 0 && (
                     <div className="space-y-4">
@@ -738,6 +810,8 @@ export default function Consumption() {
                             setExtractedItems([]);
                             setUploadedFiles([]);
                             setExtractionWarnings([]);
+                            setExtractionReview(null);
+                            setSourceDocuments([]);
                           }}
                         >
                           Limpiar
@@ -765,6 +839,12 @@ export default function Consumption() {
                                   <div className="text-xs text-muted-foreground">
                                     SAP: {item.sapItemCode || item.code}
                                   </div>
+                                  {item.flags?.map((flag, idx) => (
+                                    <div key={idx} className="text-xs text-orange-600 mt-0.5">
+                                      {flag.message}
+                                      {flag.suggestion && ` (¿${flag.suggestion.lotNumber}?)`}
+                                    </div>
+                                  ))}
                                 </td>
                                 <td className="px-3 py-2">
                                   {item.needsLotSelection && item.availableLots?.length > 0 ? (
@@ -805,6 +885,9 @@ export default function Consumption() {
                                   />
                                 </td>
                                 <td className="px-3 py-2">
+                                  {item.confidence && (
+                                    <ConfidenceBadge value={item.confidence.overall} threshold={reviewThreshold} />
+                                  )}
                                   {item.loteId ? (
                                     <Badge variant="outline" className="text-xs bg-green-50 text-green-700">
                                       OK
@@ -868,14 +951,45 @@ export default function Consumption() {
                 />
               </div>
               <div className="grid gap-2">
-                <Label htmlFor="doctorName">Doctor</Label>
+                <Label htmlFor="patientIdentifier">Cédula / Récord del Paciente</Label>
                 <Input
-                  id="doctorName"
-                  value={doctorName}
-                  onChange={(e) => setDoctorName(e.target.value)}
-                  placeholder="Nombre del doctor"
+                  id="patientIdentifier"
+                  value={patientIdentifier}
+                  onChange={(e) => setPatientIdentifier(e.target.value)}
+                  placeholder="Se guarda cifrado, para trazabilidad del implante"
+                  autoComplete="off"
                 />
               </div>
+              <div className="grid gap-2">
+                <Label htmlFor="doctorName">Doctor</Label>
+                {medicos.length > 0 && (
+                  <Select
+                    value={doctorId || 'other'}
+                    onValueChange={(value) => setDoctorId(value === 'other' ? '' : value)}
+                  >
+                    <SelectTrigger>
+                      <SelectValue placeholder="Seleccione el doctor" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {medicos.map((medico) => (
+                        <SelectItem key={medico._id} value={medico._id}>
+                          {medico.name}
+                          {medico.specialty && <span className="text-muted-foreground"> - {medico.specialty}</span>}
+                        </SelectItem>
+                      ))}
+                      <SelectItem value="other">Otro (no registrado)</SelectItem>
+                    </SelectContent>
+                  </Select>
+                )}
+                {!doctorId && (
+                  <Input
+                    id="doctorName"
+                    value={doctorName}
+                    onChange={(e) => setDoctorName(e.target.value)}
+                    placeholder="Nombre del doctor"
+                  />
+                )}
+              </div>
               <div className="grid gap-2">
                 <Label htmlFor="procedureDate">Fecha del Procedimiento</Label>
                 <Input
@@ -936,6 +1050,7 @@ export default function Consumption() {
                   disabled={
                     createMutation.isPending ||
                     validatingSap ||
+                    (activeTab === 'document' && !!extractionReview) ||
                     !selectedCentro ||
                     currentItems.length === 0 ||
                     !selectedCentroData?.sapIntegration?.cardCode
@@ -1033,7 +1148,9 @@ export default function Consumption() {
                   <div className="text-sm text-muted-foreground">
                     {consumptionResult.sapResult?.error || 'Los datos se guardaron localmente pero no se enviaron a SAP'}
                     <div className="mt-2">
-                      Puede reintentar desde el historial de consumos.
+                      {consumptionResult.sapResult?.queued
+                        ? 'Quedó en la cola SAP y se reintentará automáticamente.'
+                        : 'Puede reintentar desde el historial de consumos.'}
                     </div>
                   </div>
                 )}
@@ -1117,3 +1234,19 @@ export default function Consumption() {
     </div>
   );
 }
+
+/**
+ * Extraction confidence as a percentage, orange below the review threshold
+ */
+function ConfidenceBadge({ value, threshold }) {
+  const low = value < threshold;
+  return (
+    <Badge
+      variant="outline"
+      className={`text-xs mr-1 ${low ? 'bg-orange-50 text-orange-700' : 'bg-gray-50 text-gray-600'}`}
+      title="Confianza de la lectura"
+    >
+      {Math.round(value * 100)}%
+    </Badge>
+  );
+}
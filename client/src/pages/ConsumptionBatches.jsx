@@ -0,0 +1,529 @@
+import { useState, useEffect, useMemo } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { consumptionBatchesApi, consumptionApi, locacionesApi } from '../lib/api';
+import { useAuth } from '../context/AuthContext';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Input } from '../components/ui/input';
+import { Button } from '../components/ui/button';
+import { Badge } from '../components/ui/badge';
+import { useToast } from '../components/ui/toast';
+import FileUploader from '../components/FileUploader';
+import DocumentPreview from '../components/DocumentPreview';
+import { formatDateTime } from '../lib/utils';
+import { Layers, Loader2, CheckCircle2, XCircle, FileImage, Trash2 } from 'lucide-react';
+
+// Same limit as the server (middleware/upload.js)
+const MAX_BATCH_FILES = 60;
+
+const BATCH_STATUS = {
+  PROCESANDO: { label: 'Procesando', style: 'bg-blue-50 text-blue-700' },
+  COMPLETADA: { label: 'Completada', style: 'bg-green-50 text-green-700' },
+  FALLIDA: { label: 'Fallida', style: 'bg-red-50 text-red-700' },
+};
+
+const FORM_STATUS = {
+  PENDIENTE: { label: 'Pendiente', style: 'bg-gray-50 text-gray-600' },
+  PROCESADO: { label: 'Procesado', style: 'bg-green-50 text-green-700' },
+  SIN_CENTRO: { label: 'Sin centro', style: 'bg-orange-50 text-orange-700' },
+  ERROR: { label: 'Error', style: 'bg-red-50 text-red-700' },
+};
+
+const DRAFT_STATUS = {
+  BORRADOR: { label: 'Borrador', style: 'bg-gray-50 text-gray-600' },
+  APROBADO: { label: 'Confirmado', style: 'bg-blue-50 text-blue-700' },
+  REGISTRADO: { label: 'Registrado', style: 'bg-green-50 text-green-700' },
+  DESCARTADO: { label: 'Descartado', style: 'bg-red-50 text-red-700' },
+};
+
+const MATCHED_BY = {
+  CARD_CODE: 'código SAP',
+  NAME: 'nombre',
+  MANUAL: 'asignado',
+};
+
+const percent = (value) => `${Math.round((value ?? 0) * 100)}%`;
+const joinUnique = (values) => [...new Set(values.filter(Boolean))].join(', ');
+
+/**
+ * Batch mode for consumption forms: upload a day's forms from several
+ * hospitals at once, follow the extraction, assign a centro to the forms
+ * whose hospital was not recognized, and confirm one draft consumption per
+ * centro and procedure date.
+ */
+export default function ConsumptionBatches() {
+  const queryClient = useQueryClient();
+  const toast = useToast();
+  const [files, setFiles] = useState([]);
+  const [selectedId, setSelectedId] = useState(null);
+
+  const { data: batches } = useQuery({
+    queryKey: ['consumption-batches'],
+    queryFn: () => consumptionBatchesApi.getAll().then((res) => res.data),
+  });
+
+  // Open the latest batch by default
+  useEffect(() => {
+    if (!selectedId && batches?.length) setSelectedId(batches[0]._id);
+  }, [batches, selectedId]);
+
+  const uploadMutation = useMutation({
+    mutationFn: () => consumptionBatchesApi.create(files),
+    onSuccess: (res) => {
+      setFiles([]);
+      setSelectedId(res.data.batch._id);
+      queryClient.invalidateQueries(['consumption-batches']);
+      toast.success(`Procesando ${res.data.batch.progress.total} formularios`);
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.error || 'Error al subir la tanda');
+    },
+  });
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold flex items-center gap-2">
+          <Layers className="h-8 w-8" />
+          Tandas de Consumo
+        </h1>
+        <p className="text-muted-foreground">
+          Sube los formularios del día de varios hospitales. Se agrupan en un borrador por centro y fecha para confirmar.
+        </p>
+      </div>
+
+      <div className="grid gap-6 lg:grid-cols-[2fr_1fr]">
+        <Card>
+          <CardHeader>
+            <CardTitle>Nueva tanda</CardTitle>
+            <CardDescription>Un formulario por imagen o PDF (hasta {MAX_BATCH_FILES})</CardDescription>
+          </CardHeader>
+          <CardContent className="space-y-4">
+            <FileUploader
+              files={files}
+              onFilesChange={setFiles}
+              disabled={uploadMutation.isPending}
+              maxFiles={MAX_BATCH_FILES}
+            />
+            <Button
+              onClick={() => uploadMutation.mutate()}
+              disabled={files.length === 0 || files.length > MAX_BATCH_FILES || uploadMutation.isPending}
+            >
+              {uploadMutation.isPending && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Procesar {files.length > 0 ? `${files.length} formularios` : 'tanda'}
+            </Button>
+          </CardContent>
+        </Card>
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Tandas recientes</CardTitle>
+          </CardHeader>
+          <CardContent className="space-y-1">
+            {!batches?.length ? (
+              <div className="text-sm text-muted-foreground">No hay tandas</div>
+            ) : (
+              batches.map((batch) => (
+                <button
+                  key={batch._id}
+                  onClick={() => setSelectedId(batch._id)}
+                  className={`w-full flex items-center justify-between rounded px-2 py-1.5 text-sm text-left hover:bg-muted ${
+                    batch._id === selectedId ? 'bg-muted' : ''
+                  }`}
+                >
+                  <span>
+                    {formatDateTime(batch.createdAt)}
+                    <span className="text-muted-foreground"> · {batch.progress.total} form.</span>
+                  </span>
+                  <Badge variant="outline" className={`text-xs ${BATCH_STATUS[batch.status].style}`}>
+                    {BATCH_STATUS[batch.status].label}
+                  </Badge>
+                </button>
+              ))
+            )}
+          </CardContent>
+        </Card>
+      </div>
+
+      {selectedId && <BatchDetail batchId={selectedId} toast={toast} />}
+    </div>
+  );
+}
+
+/**
+ * Progress, forms and drafts of one batch (polls while processing)
+ */
+function BatchDetail({ batchId, toast }) {
+  const queryClient = useQueryClient();
+
+  const { data: batch } = useQuery({
+    queryKey: ['consumption-batches', batchId],
+    queryFn: () => consumptionBatchesApi.getOne(batchId).then((res) => res.data),
+    refetchInterval: (query) => (query.state.data?.status === 'PROCESANDO' ? 2000 : false),
+  });
+
+  // Refresh the list once processing finishes
+  useEffect(() => {
+    if (batch && batch.status !== 'PROCESANDO') {
+      queryClient.invalidateQueries({ queryKey: ['consumption-batches'], exact: true });
+    }
+  }, [batch?.status]);
+
+  const { data: allLocations } = useQuery({
+    queryKey: ['locations'],
+    queryFn: () => locacionesApi.getAll({ active: true }).then((res) => res.data),
+  });
+
+  const centros = useMemo(() => {
+    return allLocations?.filter((loc) => loc.type === 'CENTRO') || [];
+  }, [allLocations]);
+
+  const assignMutation = useMutation({
+    mutationFn: ({ formId, centroId }) => consumptionBatchesApi.assignCentro(batchId, formId, centroId),
+    onSuccess: (res) => {
+      queryClient.setQueryData(['consumption-batches', batchId], res.data.batch);
+      toast.success('Centro asignado');
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.error || 'Error al asignar centro');
+    },
+  });
+
+  if (!batch) {
+    return <div className="text-center py-8 text-muted-foreground">Cargando...</div>;
+  }
+
+  const { total, processed, failed } = batch.progress;
+  const drafts = batch.drafts.filter((draft) => draft.status !== 'DESCARTADO');
+
+  return (
+    <div className="space-y-6">
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            Formularios
+            <Badge variant="outline" className={`text-xs ${BATCH_STATUS[batch.status].style}`}>
+              {BATCH_STATUS[batch.status].label}
+            </Badge>
+          </CardTitle>
+          <CardDescription>
+            {processed} de {total} procesados{failed > 0 && ` · ${failed} con error`} · subida por{' '}
+            {batch.createdBy?.firstname} {batch.createdBy?.lastname}
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="h-2 rounded bg-muted overflow-hidden">
+            <div
+              className="h-full bg-primary transition-all"
+              style={{ width: `${total ? Math.round((processed / total) * 100) : 0}%` }}
+            />
+          </div>
+          {batch.status === 'FALLIDA' && (
+            <p className="text-sm text-red-600">La tanda falló: {batch.error}</p>
+          )}
+
+          <div className="border rounded-lg overflow-hidden">
+            <table className="w-full text-sm">
+              <thead className="bg-muted/50">
+                <tr>
+                  <th className="px-3 py-2 text-left font-medium">Archivo</th>
+                  <th className="px-3 py-2 text-left font-medium">Hospital leído</th>
+                  <th className="px-3 py-2 text-left font-medium">Centro</th>
+                  <th className="px-3 py-2 text-left font-medium">Fecha</th>
+                  <th className="px-3 py-2 text-left font-medium">Estado</th>
+                </tr>
+              </thead>
+              <tbody>
+                {batch.forms.map((form) => (
+                  <tr key={form._id} className="border-t align-top">
+                    <td className="px-3 py-2">
+                      <div className="flex items-center gap-1">
+                        <FileImage className="h-3 w-3 text-muted-foreground" />
+                        {form.filename}
+                      </div>
+                    </td>
+                    <td className="px-3 py-2">
+                      {form.hospital || '-'}
+                      {form.customerCode && (
+                        <span className="text-xs text-muted-foreground font-mono"> ({form.customerCode})</span>
+                      )}
+                    </td>
+                    <td className="px-3 py-2">
+                      {form.status === 'SIN_CENTRO' && batch.status !== 'PROCESANDO' ? (
+                        <Select
+                          value=""
+                          onValueChange={(centroId) => assignMutation.mutate({ formId: form._id, centroId })}
+                          disabled={assignMutation.isPending}
+                        >
+                          <SelectTrigger className="h-8 text-xs w-48">
+                            <SelectValue placeholder="Asignar centro" />
+                          </SelectTrigger>
+                          <SelectContent>
+                            {centros.map((centro) => (
+                              <SelectItem key={centro._id} value={centro._id}>{centro.name}</SelectItem>
+                            ))}
+                          </SelectContent>
+                        </Select>
+                      ) : form.centroName ? (
+                        <>
+                          {form.centroName}
+                          <span className="text-xs text-muted-foreground"> · {MATCHED_BY[form.matchedBy]}</span>
+                        </>
+                      ) : (
+                        '-'
+                      )}
+                    </td>
+                    <td className="px-3 py-2">{form.procedureDate || '-'}</td>
+                    <td className="px-3 py-2">
+                      <Badge variant="outline" className={`text-xs ${FORM_STATUS[form.status].style}`}>
+                        {FORM_STATUS[form.status].label}
+                      </Badge>
+                      {form.error && <div className="text-xs text-red-600 mt-1">{form.error}</div>}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </CardContent>
+      </Card>
+
+      {drafts.map((draft) => (
+        <DraftCard key={draft._id} batch={batch} draft={draft} toast={toast} />
+      ))}
+    </div>
+  );
+}
+
+/**
+ * One draft consumption: the lines read from its forms, the lot picked at the
+ * centro for each, and confirm + register
+ */
+function DraftCard({ batch, draft, toast }) {
+  const queryClient = useQueryClient();
+  const { hasPermission } = useAuth();
+  const [lines, setLines] = useState([]);
+  const [showForms, setShowForms] = useState(false);
+
+  const { data: inventory } = useQuery({
+    queryKey: ['consumption-inventory', draft.centroId],
+    queryFn: () => consumptionApi.getInventory(draft.centroId).then((res) => res.data),
+    enabled: draft.status === 'BORRADOR',
+  });
+
+  // Start from the extraction, preselecting the matched or suggested lot
+  useEffect(() => {
+    setLines(draft.items.map((item) => {
+      const suggestion = item.flags?.find((flag) => flag.suggestion?.loteId)?.suggestion;
+      return {
+        key: item._id,
+        item,
+        loteId: item.loteId || suggestion?.loteId || '',
+        quantity: item.quantity || 1,
+      };
+    }));
+  }, [draft.items]);
+
+  const lotOptions = (inventory?.items || []).flatMap((product) =>
+    product.lots.map((lot) => ({
+      ...lot,
+      productId: product.productId,
+      label: `${lot.lotNumber} · ${product.productName} (${lot.quantityAvailable})`,
+    }))
+  );
+
+  const refresh = (updated) => {
+    if (updated) queryClient.setQueryData(['consumption-batches', batch._id], updated);
+    queryClient.invalidateQueries(['consumption-batches', batch._id]);
+  };
+
+  const register = (approvedItems) => consumptionApi.create({
+    centroId: draft.centroId,
+    items: approvedItems.map((item) => ({
+      loteId: item.loteId,
+      productId: item.productId,
+      quantity: item.quantity,
+    })),
+    patientName: joinUnique(draft.items.map((item) => item.patientName)) || undefined,
+    doctorName: joinUnique(draft.items.map((item) => item.doctorName)) || undefined,
+    procedureDate: draft.date || undefined,
+    extractionBatchId: batch._id,
+    batchDraftId: draft._id,
+  });
+
+  const confirmMutation = useMutation({
+    mutationFn: async () => {
+      const approved = await consumptionBatchesApi.approveDraft(
+        batch._id,
+        draft._id,
+        lines.map((line) => ({ loteId: line.loteId, quantity: parseInt(line.quantity) }))
+      );
+      refresh(approved.data.batch);
+      const approvedDraft = approved.data.batch.drafts.find((d) => d._id === draft._id);
+      try {
+        await register(approvedDraft.approvedItems);
+      } catch (error) {
+        // Confirmation stands; registration can be retried from the draft
+        error.approved = true;
+        throw error;
+      }
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(['consumption-inventory']);
+      refresh();
+      toast.success(`Consumo registrado para ${draft.centroName}`);
+    },
+    onError: (error) => {
+      const message = error?.response?.data?.error || 'Error al confirmar';
+      toast.error(error.approved ? `Confirmado, pero no se pudo registrar el consumo: ${message}` : message);
+    },
+  });
+
+  const registerMutation = useMutation({
+    mutationFn: () => register(draft.approvedItems),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['consumption-inventory']);
+      refresh();
+      toast.success('Consumo registrado');
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.error || 'Error al registrar consumo');
+    },
+  });
+
+  const discardMutation = useMutation({
+    mutationFn: () => consumptionBatchesApi.discardDraft(batch._id, draft._id),
+    onSuccess: (res) => {
+      refresh(res.data.batch);
+      toast.success('Borrador descartado');
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.error || 'Error al descartar');
+    },
+  });
+
+  const updateLine = (key, field, value) => {
+    setLines(lines.map((line) => (line.key === key ? { ...line, [field]: value } : line)));
+  };
+
+  const editable = draft.status === 'BORRADOR';
+  const busy = confirmMutation.isPending || registerMutation.isPending || discardMutation.isPending;
+  const canConfirm = lines.length > 0 && lines.every((line) => line.loteId && parseInt(line.quantity) > 0) &&
+    (!draft.needsReview || hasPermission('reviewExtractions'));
+
+  return (
+    <Card>
+      <CardHeader>
+        <div className="flex items-start justify-between gap-4">
+          <div>
+            <CardTitle className="flex items-center gap-2">
+              {draft.centroName} · {draft.date || 'Sin fecha'}
+              <Badge variant="outline" className={`text-xs ${DRAFT_STATUS[draft.status].style}`}>
+                {DRAFT_STATUS[draft.status].label}
+              </Badge>
+              {draft.needsReview && editable && (
+                <Badge variant="outline" className="text-xs bg-orange-50 text-orange-700">
+                  Confianza {percent(draft.minConfidence)}
+                </Badge>
+              )}
+            </CardTitle>
+            <CardDescription>
+              {draft.documentIds.length} formularios · {draft.items.length} líneas
+              {draft.needsReview && editable && ' · lecturas de baja confianza: debe confirmarlo otra persona'}
+              {draft.approvedBy && ` · confirmado por ${draft.approvedBy.firstname} ${draft.approvedBy.lastname}`}
+            </CardDescription>
+          </div>
+          <Button variant="outline" size="sm" onClick={() => setShowForms(!showForms)}>
+            <FileImage className="mr-2 h-4 w-4" />
+            {showForms ? 'Ocultar formularios' : 'Ver formularios'}
+          </Button>
+        </div>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        {showForms && (
+          <div className="grid gap-3 md:grid-cols-2">
+            {batch.forms.filter((form) => form.draftId === draft._id).map((form) => (
+              <DocumentPreview key={form.documentId} document={form} />
+            ))}
+          </div>
+        )}
+
+        <div className="space-y-2">
+          {lines.map((line) => (
+            <div key={line.key} className="grid gap-2 md:grid-cols-[1fr_16rem_5rem_2rem] items-center border rounded-lg p-2">
+              <div>
+                <div className="font-medium text-sm">{line.item.productName || line.item.name || line.item.code || 'Sin código'}</div>
+                <div className="text-xs text-muted-foreground">
+                  <span className="font-mono">Leído: {line.item.code || '-'} · lote {line.item.lotNumber || '-'}</span>
+                  {line.item.patientName && ` · ${line.item.patientName}`}
+                </div>
+                {line.item.flags?.map((flag, idx) => (
+                  <div key={idx} className="text-xs text-orange-600">{flag.message}</div>
+                ))}
+              </div>
+              <Select
+                value={line.loteId ? String(line.loteId) : ''}
+                onValueChange={(value) => updateLine(line.key, 'loteId', value)}
+                disabled={!editable}
+              >
+                <SelectTrigger className="h-8 text-xs">
+                  <SelectValue placeholder="Seleccionar lote en el centro" />
+                </SelectTrigger>
+                <SelectContent>
+                  {lotOptions.map((lot) => (
+                    <SelectItem key={lot.loteId} value={String(lot.loteId)}>
+                      {lot.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+              <Input
+                type="number"
+                min="1"
+                value={line.quantity}
+                onChange={(e) => updateLine(line.key, 'quantity', e.target.value)}
+                className="h-8 text-xs text-center"
+                disabled={!editable}
+              />
+              {editable && (
+                <Button
+                  variant="ghost"
+                  size="sm"
+                  className="h-6 w-6 p-0 text-red-500"
+                  onClick={() => setLines(lines.filter((l) => l.key !== line.key))}
+                >
+                  <Trash2 className="h-3 w-3" />
+                </Button>
+              )}
+            </div>
+          ))}
+        </div>
+
+        <div className="flex justify-end gap-2">
+          {['BORRADOR', 'APROBADO'].includes(draft.status) && (
+            <Button variant="outline" className="text-red-600" onClick={() => discardMutation.mutate()} disabled={busy}>
+              <XCircle className="mr-2 h-4 w-4" />
+              Descartar
+            </Button>
+          )}
+          {editable && (
+            <Button onClick={() => confirmMutation.mutate()} disabled={busy || !canConfirm}>
+              {confirmMutation.isPending ? (
+                <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+              ) : (
+                <CheckCircle2 className="mr-2 h-4 w-4" />
+              )}
+              Confirmar y registrar
+            </Button>
+          )}
+          {draft.status === 'APROBADO' && (
+            <Button onClick={() => registerMutation.mutate()} disabled={busy}>
+              {registerMutation.isPending && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Registrar consumo
+            </Button>
+          )}
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -1,4 +1,5 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { consumptionApi, locacionesApi } from '../lib/api';
 import { Button } from '../components/ui/button';
@@ -28,8 +29,10 @@ import {
   FileText,
   Download,
   Clock,
+  Paperclip,
 } from 'lucide-react';
 import { useToast } from '../components/ui/toast';
+import SourceDocuments from '../components/SourceDocuments';
 import { formatDate, formatDateTime } from '../lib/utils';
 
 export default function ConsumptionHistory() {
@@ -42,6 +45,22 @@ export default function ConsumptionHistory() {
 
   const queryClient = useQueryClient();
   const toast = useToast();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const linkedId = searchParams.get('id');
+
+  // Link from a notification (?id=): open that consumption, then drop the
+  // parameter so closing the dialog doesn't reopen it
+  useEffect(() => {
+    if (!linkedId) return;
+    consumptionApi
+      .getOne(linkedId)
+      .then((res) => {
+        setSelectedConsumo(res.data);
+        setDetailDialogOpen(true);
+      })
+      .catch(() => toast.error('Consumo no encontrado'))
+      .finally(() => setSearchParams({}, { replace: true }));
+  }, [linkedId]);
 
   // Query Centros for filter
   const { data: allLocations } = useQuery({
@@ -81,6 +100,21 @@ export default function ConsumptionHistory() {
     },
   });
 
+  // Re-send the consumption form to the SAP DeliveryNote
+  const attachMutation = useMutation({
+    mutationFn: (id) => consumptionApi.attachDocuments(id),
+    onSuccess: async (_response, id) => {
+      queryClient.invalidateQueries(['consumption-history']);
+      toast.success('Formulario adjuntado al documento SAP');
+      const updated = await consumptionApi.getOne(id);
+      setSelectedConsumo(updated.data);
+    },
+    onError: (error) => {
+      queryClient.invalidateQueries(['consumption-history']);
+      toast.error(error.response?.data?.error || 'Error al adjuntar documentos en SAP');
+    },
+  });
+
   const consumos = historyData?.consumos || [];
 
   const getStatusBadge = (consumo) => {
@@ -100,6 +134,14 @@ export default function ConsumptionHistory() {
         </Badge>
       );
     }
+    if (consumo.status === 'RETRYING') {
+      return (
+        <Badge variant="outline" className="bg-orange-50 text-orange-700">
+          <RefreshCw className="h-3 w-3 mr-1" />
+          Reintentando SAP
+        </Badge>
+      );
+    }
     return (
       <Badge variant="outline" className="bg-yellow-50 text-yellow-700">
         <AlertCircle className="h-3 w-3 mr-1" />
@@ -250,6 +292,9 @@ export default function ConsumptionHistory() {
                       <div className="text-sm">
                         <span className="text-muted-foreground">Items: </span>
                         <span className="font-medium">{consumo.totalItems || consumo.items?.length}</span>
+                        {consumo.documents?.length > 0 && (
+                          <Paperclip className="inline h-3 w-3 ml-1 text-muted-foreground" aria-label="Con documentos de origen" />
+                        )}
                       </div>
                       <div className="text-sm">
                         <span className="text-muted-foreground">Cant: </span>
@@ -260,7 +305,7 @@ export default function ConsumptionHistory() {
                         {getStatusBadge(consumo)}
                       </div>
                       <div className="flex justify-end gap-2">
-                        {consumo.status === 'FAILED' && (
+                        {['FAILED', 'RETRYING'].includes(consumo.status) && (
                           <Button
                             variant="outline"
                             size="sm"
@@ -470,9 +515,13 @@ export default function ConsumptionHistory() {
                         {selectedConsumo.totalQuantity}
                       </td>
                       <td className="px-3 py-2 text-right font-medium">
-                        {selectedConsumo.totalValue
-                          ? `USD ${selectedConsumo.totalValue.toFixed(2)}`
-                          : '-'}
+                        {selectedConsumo.totalsByCurrency?.length > 0
+                          ? selectedConsumo.totalsByCurrency.map(({ currency, amount }) => (
+                              <div key={currency}>{`${currency} ${amount.toFixed(2)}`}</div>
+                            ))
+                          : selectedConsumo.totalValue
+                            ? `USD ${selectedConsumo.totalValue.toFixed(2)}`
+                            : '-'}
                       </td>
                     </tr>
                   </tfoot>
@@ -529,6 +578,13 @@ export default function ConsumptionHistory() {
                 </div>
               )}
 
+              <SourceDocuments
+                documents={selectedConsumo.documents}
+                sapIntegration={selectedConsumo.sapIntegration}
+                onAttach={() => attachMutation.mutate(selectedConsumo._id)}
+                attaching={attachMutation.isPending}
+              />
+
               {/* Created By */}
               <div className="text-xs text-muted-foreground pt-2 border-t">
                 Registrado por: {selectedConsumo.createdBy?.firstname} {selectedConsumo.createdBy?.lastname}
@@ -0,0 +1,463 @@
+import { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { extractionReviewsApi, consumptionApi } from '../lib/api';
+import { useAuth } from '../context/AuthContext';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '../components/ui/dialog';
+import { Label } from '../components/ui/label';
+import { Input } from '../components/ui/input';
+import { Button } from '../components/ui/button';
+import { Badge } from '../components/ui/badge';
+import { useToast } from '../components/ui/toast';
+import DocumentPreview from '../components/DocumentPreview';
+import { formatDateTime } from '../lib/utils';
+import { FileSearch, CheckCircle2, XCircle, Loader2, Trash2 } from 'lucide-react';
+
+const STATUS_LABELS = {
+  PENDIENTE: 'Pendiente',
+  APROBADA: 'Aprobada',
+  RECHAZADA: 'Rechazada',
+  REGISTRADA: 'Registrada',
+};
+
+const STATUS_STYLES = {
+  PENDIENTE: 'bg-orange-50 text-orange-700',
+  APROBADA: 'bg-blue-50 text-blue-700',
+  RECHAZADA: 'bg-red-50 text-red-700',
+  REGISTRADA: 'bg-green-50 text-green-700',
+};
+
+const FIELD_LABELS = {
+  code: 'Código',
+  lotNumber: 'Lote',
+  quantity: 'Cantidad',
+};
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+const percent = (value) => `${Math.round((value ?? 0) * 100)}%`;
+
+/**
+ * Review queue for consumption extractions that scored below the threshold.
+ * The reviewer checks each reading against the uploaded images, picks the
+ * right lot at the centro and approves; the consumption is registered with
+ * exactly the approved lines.
+ */
+export default function ConsumptionReviews() {
+  const queryClient = useQueryClient();
+  const toast = useToast();
+  const { hasPermission } = useAuth();
+  const canReview = hasPermission('reviewExtractions');
+
+  const [statusFilter, setStatusFilter] = useState('PENDIENTE');
+  const [selectedId, setSelectedId] = useState(null);
+
+  const { data: reviews, isLoading } = useQuery({
+    queryKey: ['extraction-reviews', statusFilter],
+    queryFn: () => {
+      const params = {};
+      if (statusFilter !== 'all') params.status = statusFilter;
+      return extractionReviewsApi.getAll(params).then((res) => res.data);
+    },
+  });
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold flex items-center gap-2">
+          <FileSearch className="h-8 w-8" />
+          Revisión de Extracciones
+        </h1>
+        <p className="text-muted-foreground">
+          Documentos de consumo leídos con baja confianza. Otra persona debe confirmarlos antes de registrar en SAP.
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Cola de revisión</CardTitle>
+          <CardDescription>La confianza es la del campo más dudoso de cada documento</CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="grid gap-2 max-w-xs">
+            <Label>Estado</Label>
+            <Select value={statusFilter} onValueChange={setStatusFilter}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">Todos</SelectItem>
+                {Object.entries(STATUS_LABELS).map(([value, label]) => (
+                  <SelectItem key={value} value={value}>{label}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          {isLoading ? (
+            <div className="text-center py-8 text-muted-foreground">Cargando...</div>
+          ) : !reviews?.length ? (
+            <div className="text-center py-8 text-muted-foreground">No hay documentos en revisión</div>
+          ) : (
+            <div className="border rounded-lg overflow-hidden">
+              <table className="w-full text-sm">
+                <thead className="bg-muted/50">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium">Fecha</th>
+                    <th className="px-3 py-2 text-left font-medium">Centro</th>
+                    <th className="px-3 py-2 text-left font-medium">Subido por</th>
+                    <th className="px-3 py-2 text-center font-medium">Items</th>
+                    <th className="px-3 py-2 text-center font-medium">Confianza</th>
+                    <th className="px-3 py-2 text-left font-medium">Estado</th>
+                    <th className="px-3 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {reviews.map((review) => (
+                    <tr key={review._id} className="border-t">
+                      <td className="px-3 py-2">{formatDateTime(review.createdAt)}</td>
+                      <td className="px-3 py-2">{review.centroName}</td>
+                      <td className="px-3 py-2">
+                        {review.createdBy?.firstname} {review.createdBy?.lastname}
+                      </td>
+                      <td className="px-3 py-2 text-center">{review.items.length}</td>
+                      <td className="px-3 py-2 text-center">
+                        <Badge variant="outline" className="text-xs bg-orange-50 text-orange-700">
+                          {percent(review.minConfidence)}
+                        </Badge>
+                      </td>
+                      <td className="px-3 py-2">
+                        <Badge variant="outline" className={`text-xs ${STATUS_STYLES[review.status]}`}>
+                          {STATUS_LABELS[review.status]}
+                        </Badge>
+                      </td>
+                      <td className="px-3 py-2 text-right">
+                        <Button size="sm" variant="outline" onClick={() => setSelectedId(review._id)}>
+                          {review.status === 'PENDIENTE' && canReview ? 'Revisar' : 'Ver'}
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {selectedId && (
+        <ReviewDialog
+          reviewId={selectedId}
+          canReview={canReview}
+          onClose={() => setSelectedId(null)}
+          onDone={() => {
+            queryClient.invalidateQueries(['extraction-reviews']);
+            setSelectedId(null);
+          }}
+          toast={toast}
+        />
+      )}
+    </div>
+  );
+}
+
+/**
+ * One review: images on the left, the reading and the corrections on the right
+ */
+function ReviewDialog({ reviewId, canReview, onClose, onDone, toast }) {
+  const queryClient = useQueryClient();
+  const [lines, setLines] = useState([]);
+  const [info, setInfo] = useState({ patientName: '', doctorName: '', procedureDate: '' });
+  const [rejectReason, setRejectReason] = useState('');
+
+  const { data: review } = useQuery({
+    queryKey: ['extraction-reviews', 'detail', reviewId],
+    queryFn: () => extractionReviewsApi.getOne(reviewId).then((res) => res.data),
+  });
+
+  const { data: inventory } = useQuery({
+    queryKey: ['consumption-inventory', review?.centroId],
+    queryFn: () => consumptionApi.getInventory(review.centroId).then((res) => res.data),
+    enabled: !!review?.centroId,
+  });
+
+  // Start from the extraction, preselecting the matched or suggested lot
+  useEffect(() => {
+    if (!review) return;
+    setLines(review.items.map((item) => {
+      const suggestion = item.flags?.find((flag) => flag.suggestion?.loteId)?.suggestion;
+      return {
+        key: item._id,
+        item,
+        loteId: item.loteId || suggestion?.loteId || '',
+        quantity: item.quantity || 1,
+      };
+    }));
+    setInfo({
+      patientName: review.patientName || '',
+      doctorName: review.doctorName || '',
+      procedureDate: toDateInput(review.procedureDate),
+    });
+  }, [review]);
+
+  const lotOptions = (inventory?.items || []).flatMap((product) =>
+    product.lots.map((lot) => ({
+      ...lot,
+      productId: product.productId,
+      label: `${lot.lotNumber} · ${product.productName} (${lot.quantityAvailable})`,
+    }))
+  );
+
+  const register = async (reviewData) => {
+    const items = reviewData.approvedItems.map((item) => ({
+      loteId: item.loteId,
+      productId: item.productId,
+      quantity: item.quantity,
+    }));
+    return consumptionApi.create({
+      centroId: reviewData.centroId,
+      items,
+      patientName: reviewData.patientName || undefined,
+      doctorName: reviewData.doctorName || undefined,
+      procedureDate: reviewData.procedureDate || undefined,
+      extractionReviewId: reviewData._id,
+    });
+  };
+
+  const approveMutation = useMutation({
+    mutationFn: async () => {
+      const approved = await extractionReviewsApi.approve(reviewId, {
+        items: lines.map((line) => ({ loteId: line.loteId, quantity: parseInt(line.quantity) })),
+        patientName: info.patientName,
+        doctorName: info.doctorName,
+        procedureDate: info.procedureDate || null,
+      });
+      try {
+        await register(approved.data.review);
+      } catch (error) {
+        // Approval stands; registration can be retried from the queue
+        error.approved = true;
+        throw error;
+      }
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(['consumption-inventory']);
+      toast.success('Revisión aprobada y consumo registrado');
+      onDone();
+    },
+    onError: (error) => {
+      const message = error?.response?.data?.error || 'Error al aprobar';
+      if (error.approved) {
+        toast.error(`Aprobada, pero no se pudo registrar el consumo: ${message}`);
+        onDone();
+      } else {
+        toast.error(message);
+      }
+    },
+  });
+
+  const registerMutation = useMutation({
+    mutationFn: () => register(review),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['consumption-inventory']);
+      toast.success('Consumo registrado');
+      onDone();
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.error || 'Error al registrar consumo');
+    },
+  });
+
+  const rejectMutation = useMutation({
+    mutationFn: () => extractionReviewsApi.reject(reviewId, rejectReason || undefined),
+    onSuccess: () => {
+      toast.success('Revisión rechazada');
+      onDone();
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.error || 'Error al rechazar');
+    },
+  });
+
+  const updateLine = (key, field, value) => {
+    setLines(lines.map((line) => (line.key === key ? { ...line, [field]: value } : line)));
+  };
+
+  const editable = review?.status === 'PENDIENTE' && canReview;
+  const busy = approveMutation.isPending || rejectMutation.isPending || registerMutation.isPending;
+  const canApprove = lines.length > 0 && lines.every((line) => line.loteId && parseInt(line.quantity) > 0);
+
+  return (
+    <Dialog open onOpenChange={(open) => !open && onClose()}>
+      <DialogContent className="max-w-5xl max-h-[90vh] overflow-y-auto">
+        <DialogHeader>
+          <DialogTitle>Revisión de extracción</DialogTitle>
+          <DialogDescription>
+            {review
+              ? `${review.centroName} · subido por ${review.createdBy?.firstname || ''} ${review.createdBy?.lastname || ''} · ${formatDateTime(review.createdAt)}`
+              : 'Cargando...'}
+          </DialogDescription>
+        </DialogHeader>
+
+        {review && (
+          <div className="grid gap-6 md:grid-cols-2">
+            {/* Source documents */}
+            <div className="space-y-3">
+              {review.files.map((file) => (
+                <DocumentPreview key={file.documentId} document={file} />
+              ))}
+            </div>
+
+            {/* Reading and corrections */}
+            <div className="space-y-4">
+              {review.warnings?.length > 0 && (
+                <ul className="text-xs text-yellow-700 bg-yellow-50 rounded p-2 list-disc list-inside">
+                  {review.warnings.map((warning, idx) => <li key={idx}>{warning}</li>)}
+                </ul>
+              )}
+
+              {lines.map((line) => (
+                <div key={line.key} className="border rounded-lg p-3 space-y-2">
+                  <div className="flex items-start justify-between gap-2">
+                    <div>
+                      <div className="font-medium text-sm">{line.item.name || line.item.code || 'Sin código'}</div>
+                      <div className="text-xs text-muted-foreground font-mono">
+                        Leído: {line.item.code || '-'} · lote {line.item.lotNumber || '-'} · cant. {line.item.quantity}
+                      </div>
+                    </div>
+                    {editable && (
+                      <Button
+                        variant="ghost"
+                        size="sm"
+                        className="h-6 w-6 p-0 text-red-500"
+                        onClick={() => setLines(lines.filter((l) => l.key !== line.key))}
+                      >
+                        <Trash2 className="h-3 w-3" />
+                      </Button>
+                    )}
+                  </div>
+
+                  <div className="flex flex-wrap gap-1">
+                    {Object.entries(FIELD_LABELS).map(([field, label]) => {
+                      const value = line.item.confidence?.[field];
+                      const low = value < review.reviewThreshold;
+                      return (
+                        <Badge
+                          key={field}
+                          variant="outline"
+                          className={`text-xs ${low ? 'bg-orange-50 text-orange-700' : 'bg-gray-50 text-gray-600'}`}
+                        >
+                          {label}: {percent(value)}
+                        </Badge>
+                      );
+                    })}
+                  </div>
+
+                  {line.item.flags?.map((flag, idx) => (
+                    <div key={idx} className="text-xs text-orange-600">{flag.message}</div>
+                  ))}
+
+                  <div className="grid grid-cols-[1fr_5rem] gap-2">
+                    <Select
+                      value={line.loteId ? String(line.loteId) : ''}
+                      onValueChange={(value) => updateLine(line.key, 'loteId', value)}
+                      disabled={!editable}
+                    >
+                      <SelectTrigger className="h-8 text-xs">
+                        <SelectValue placeholder="Seleccionar lote en el centro" />
+                      </SelectTrigger>
+                      <SelectContent>
+                        {lotOptions.map((lot) => (
+                          <SelectItem key={lot.loteId} value={String(lot.loteId)}>
+                            {lot.label}
+                          </SelectItem>
+                        ))}
+                      </SelectContent>
+                    </Select>
+                    <Input
+                      type="number"
+                      min="1"
+                      value={line.quantity}
+                      onChange={(e) => updateLine(line.key, 'quantity', e.target.value)}
+                      className="h-8 text-xs text-center"
+                      disabled={!editable}
+                    />
+                  </div>
+                </div>
+              ))}
+
+              <div className="grid gap-3 md:grid-cols-3">
+                <div className="grid gap-1">
+                  <Label className="text-xs">Paciente</Label>
+                  <Input
+                    value={info.patientName}
+                    onChange={(e) => setInfo({ ...info, patientName: e.target.value })}
+                    disabled={!editable}
+                  />
+                </div>
+                <div className="grid gap-1">
+                  <Label className="text-xs">Doctor</Label>
+                  <Input
+                    value={info.doctorName}
+                    onChange={(e) => setInfo({ ...info, doctorName: e.target.value })}
+                    disabled={!editable}
+                  />
+                </div>
+                <div className="grid gap-1">
+                  <Label className="text-xs">Fecha</Label>
+                  <Input
+                    type="date"
+                    value={info.procedureDate}
+                    onChange={(e) => setInfo({ ...info, procedureDate: e.target.value })}
+                    disabled={!editable}
+                  />
+                </div>
+              </div>
+
+              {review.status === 'RECHAZADA' && review.rejectionReason && (
+                <p className="text-sm text-red-600">Motivo del rechazo: {review.rejectionReason}</p>
+              )}
+
+              {editable && (
+                <div className="grid gap-1">
+                  <Label className="text-xs">Motivo (si rechaza)</Label>
+                  <Input
+                    value={rejectReason}
+                    onChange={(e) => setRejectReason(e.target.value)}
+                    placeholder="Ej: imagen ilegible, subir de nuevo"
+                  />
+                </div>
+              )}
+            </div>
+          </div>
+        )}
+
+        <DialogFooter>
+          <Button variant="outline" onClick={onClose}>Cerrar</Button>
+          {editable && (
+            <>
+              <Button variant="outline" className="text-red-600" onClick={() => rejectMutation.mutate()} disabled={busy}>
+                <XCircle className="mr-2 h-4 w-4" />
+                Rechazar
+              </Button>
+              <Button onClick={() => approveMutation.mutate()} disabled={busy || !canApprove}>
+                {approveMutation.isPending ? (
+                  <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+                ) : (
+                  <CheckCircle2 className="mr-2 h-4 w-4" />
+                )}
+                Aprobar y registrar
+              </Button>
+            </>
+          )}
+          {review?.status === 'APROBADA' && canReview && (
+            <Button onClick={() => registerMutation.mutate()} disabled={busy}>
+              {registerMutation.isPending && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Registrar consumo
+            </Button>
+          )}
+        </DialogFooter>
+      </DialogContent>
+    </Dialog>
+  );
+}
@@ -0,0 +1,458 @@
+import { useState, useEffect } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { conteosApi, locacionesApi } from '../lib/api';
+import { useAuth } from '../context/AuthContext';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '../components/ui/dialog';
+import { Label } from '../components/ui/label';
+import { Input } from '../components/ui/input';
+import { Button } from '../components/ui/button';
+import { Badge } from '../components/ui/badge';
+import { useToast } from '../components/ui/toast';
+import { formatDate, formatDateTime } from '../lib/utils';
+import { ClipboardCheck, Plus, ArrowLeft, RefreshCw, Save, CheckCircle2, Loader2, AlertTriangle } from 'lucide-react';
+
+const STATUS = {
+  ABIERTO: { label: 'Contando', className: 'bg-blue-100 text-blue-800' },
+  EN_REVISION: { label: 'En revisión', className: 'bg-yellow-100 text-yellow-800' },
+  COMPLETADO: { label: 'Completado', className: 'bg-green-100 text-green-800' },
+  CANCELADO: { label: 'Cancelado', className: 'bg-gray-100 text-gray-800' },
+};
+
+const VARIANCE_STATUS = {
+  SIN_DIFERENCIA: { label: 'OK', className: 'bg-green-100 text-green-800' },
+  PENDIENTE: { label: 'Pendiente', className: 'bg-yellow-100 text-yellow-800' },
+  APLICANDO: { label: 'Aplicando', className: 'bg-blue-100 text-blue-800' },
+  APROBADO: { label: 'Ajustado', className: 'bg-blue-100 text-blue-800' },
+  RECHAZADO: { label: 'Rechazado', className: 'bg-gray-100 text-gray-800' },
+};
+
+function getErrorMessage(error, fallback) {
+  const data = error?.response?.data;
+  return data?.error || data?.message || data?.errors?.[0]?.msg || fallback;
+}
+
+export default function Conteos() {
+  const queryClient = useQueryClient();
+  const toast = useToast();
+  const { hasPermission } = useAuth();
+  const canApprove = hasPermission('approveAdjustments');
+
+  const [selectedId, setSelectedId] = useState(null);
+  const [createOpen, setCreateOpen] = useState(false);
+  const [newLocationId, setNewLocationId] = useState('');
+  const [counts, setCounts] = useState({});
+
+  const { data: locations } = useQuery({
+    queryKey: ['locaciones'],
+    queryFn: () => locacionesApi.getAll({ active: true }).then((res) => res.data),
+  });
+
+  const { data: conteos, isLoading } = useQuery({
+    queryKey: ['conteos'],
+    queryFn: () => conteosApi.getAll().then((res) => res.data),
+  });
+
+  const { data: conteo, isLoading: loadingConteo } = useQuery({
+    queryKey: ['conteos', selectedId],
+    queryFn: () => conteosApi.getOne(selectedId).then((res) => res.data),
+    enabled: !!selectedId,
+  });
+
+  // Seed editable counts from the saved session, keeping unsaved entries on refetch
+  useEffect(() => {
+    if (!conteo) return;
+    setCounts((prev) => {
+      const next = {};
+      conteo.items.forEach((item) => {
+        const pending = prev[item._id];
+        next[item._id] = pending !== undefined && pending !== '' ? pending : item.countedQuantity ?? '';
+      });
+      return next;
+    });
+  }, [conteo]);
+
+  const refresh = () => {
+    queryClient.invalidateQueries(['conteos']);
+  };
+
+  const createMutation = useMutation({
+    mutationFn: (data) => conteosApi.create(data),
+    onSuccess: (response) => {
+      refresh();
+      setCreateOpen(false);
+      setNewLocationId('');
+      setSelectedId(response.data._id);
+      toast.success(`Conteo abierto con ${response.data.items.length} lotes`);
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Error al abrir conteo')),
+  });
+
+  const sapMutation = useMutation({
+    mutationFn: () => conteosApi.fetchSapStock(selectedId),
+    onSuccess: () => {
+      refresh();
+      toast.success('Existencias SAP actualizadas');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Error consultando SAP')),
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: () => {
+      const items = Object.entries(counts)
+        .filter(([, value]) => value !== '' && value !== null)
+        .map(([itemId, value]) => ({ itemId, countedQuantity: parseInt(value) || 0 }));
+      return conteosApi.saveCounts(selectedId, { items });
+    },
+    onSuccess: () => {
+      refresh();
+      toast.success('Conteo guardado');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Error al guardar conteo')),
+  });
+
+  const submitMutation = useMutation({
+    mutationFn: async () => {
+      await saveMutation.mutateAsync();
+      return conteosApi.submit(selectedId);
+    },
+    onSuccess: () => {
+      refresh();
+      toast.success('Conteo finalizado - diferencias calculadas');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Error al finalizar conteo')),
+  });
+
+  const cancelMutation = useMutation({
+    mutationFn: () => conteosApi.cancel(selectedId),
+    onSuccess: () => {
+      refresh();
+      setSelectedId(null);
+      toast.success('Conteo cancelado');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Error al cancelar conteo')),
+  });
+
+  const approveMutation = useMutation({
+    mutationFn: (itemId) => conteosApi.approveVariance(selectedId, itemId),
+    onSuccess: (response) => {
+      refresh();
+      queryClient.invalidateQueries(['ajustes']);
+      const { sapResult } = response.data;
+      if (sapResult && !sapResult.success) {
+        toast.warning('Ajuste aplicado. Quedó en la cola SAP y se reintentará automáticamente.');
+      } else {
+        toast.success(sapResult?.sapDocNum ? `Ajuste aplicado - SAP DocNum: ${sapResult.sapDocNum}` : 'Ajuste aplicado');
+      }
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Error al aprobar diferencia')),
+  });
+
+  const rejectMutation = useMutation({
+    mutationFn: (itemId) => conteosApi.rejectVariance(selectedId, itemId, {}),
+    onSuccess: () => {
+      refresh();
+      toast.success('Diferencia rechazada');
+    },
+    onError: (error) => toast.error(getErrorMessage(error, 'Error al rechazar diferencia')),
+  });
+
+  const statusBadge = (status) => (
+    <Badge className={`${STATUS[status]?.className} border-0`}>{STATUS[status]?.label}</Badge>
+  );
+
+  // ============================================
+  // DETAIL VIEW
+  // ============================================
+  if (selectedId) {
+    if (loadingConteo || !conteo) return <div>Cargando...</div>;
+
+    const isOpen = conteo.status === 'ABIERTO';
+    const hasSap = conteo.items.some((item) => item.sapQuantity !== null && item.sapQuantity !== undefined);
+
+    return (
+      <div className="space-y-6">
+        <div className="flex items-start justify-between">
+          <div>
+            <Button variant="ghost" size="sm" onClick={() => setSelectedId(null)} className="mb-2">
+              <ArrowLeft className="h-4 w-4 mr-2" />
+              Volver
+            </Button>
+            <h1 className="text-3xl font-bold flex items-center gap-3">
+              Conteo - {conteo.locationId?.name}
+              {statusBadge(conteo.status)}
+            </h1>
+            <p className="text-muted-foreground">
+              Abierto el {formatDateTime(conteo.createdAt)} por {conteo.createdBy?.firstname}{' '}
+              {conteo.createdBy?.lastname} • {conteo.countedItems}/{conteo.items.length} lotes contados
+            </p>
+          </div>
+          <div className="flex gap-2">
+            {conteo.locationId?.sapIntegration?.warehouseCode && (
+              <Button variant="outline" onClick={() => sapMutation.mutate()} disabled={sapMutation.isPending}>
+                {sapMutation.isPending ? (
+                  <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                ) : (
+                  <RefreshCw className="h-4 w-4 mr-2" />
+                )}
+                Consultar SAP
+              </Button>
+            )}
+            {isOpen && (
+              <>
+                <Button variant="outline" onClick={() => cancelMutation.mutate()} disabled={cancelMutation.isPending}>
+                  Cancelar
+                </Button>
+                <Button variant="outline" onClick={() => saveMutation.mutate()} disabled={saveMutation.isPending}>
+                  <Save className="h-4 w-4 mr-2" />
+                  Guardar
+                </Button>
+                <Button onClick={() => submitMutation.mutate()} disabled={submitMutation.isPending}>
+                  <CheckCircle2 className="h-4 w-4 mr-2" />
+                  Finalizar Conteo
+                </Button>
+              </>
+            )}
+          </div>
+        </div>
+
+        {conteo.sapSnapshot?.error && (
+          <div className="bg-red-50 text-red-700 p-3 rounded-md text-sm">
+            Error al consultar SAP: {conteo.sapSnapshot.error}
+          </div>
+        )}
+
+        <Card>
+          <CardHeader>
+            <CardTitle>Lotes</CardTitle>
+            <CardDescription>
+              App = existencia esperada al abrir el conteo
+              {conteo.sapSnapshot?.fetchedAt && ` • SAP consultado ${formatDateTime(conteo.sapSnapshot.fetchedAt)}`}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b bg-muted/50">
+                    <th className="text-left p-3">Producto</th>
+                    <th className="text-left p-3">Lote</th>
+                    <th className="text-right p-3">App</th>
+                    {hasSap && <th className="text-right p-3">SAP</th>}
+                    <th className="text-right p-3">Físico</th>
+                    <th className="text-right p-3">Diferencia</th>
+                    {!isOpen && <th className="text-right p-3">Estado</th>}
+                  </tr>
+                </thead>
+                <tbody>
+                  {conteo.items.map((item) => {
+                    const counted = isOpen ? counts[item._id] : item.countedQuantity;
+                    const variance =
+                      counted === '' || counted === null || counted === undefined
+                        ? null
+                        : parseInt(counted) - item.expectedQuantity;
+                    const sapMismatch =
+                      item.sapQuantity !== null && item.sapQuantity !== undefined && item.sapQuantity !== item.expectedQuantity;
+
+                    return (
+                      <tr key={item._id} className="border-b">
+                        <td className="p-3">
+                          <div className="font-medium">{item.productId?.name}</div>
+                          <div className="text-xs text-muted-foreground">Código: {item.productId?.code}</div>
+                        </td>
+                        <td className="p-3">
+                          <div className="font-mono">{item.lotNumber}</div>
+                          <div className="text-xs text-muted-foreground">Vence {formatDate(item.expiryDate)}</div>
+                        </td>
+                        <td className="p-3 text-right font-medium">{item.expectedQuantity}</td>
+                        {hasSap && (
+                          <td className={`p-3 text-right font-medium ${sapMismatch ? 'text-orange-600' : ''}`}>
+                            {item.sapQuantity ?? '-'}
+                          </td>
+                        )}
+                        <td className="p-3">
+                          {isOpen ? (
+                            <div className="flex justify-end">
+                              <Input
+                                type="number"
+                                inputMode="numeric"
+                                min="0"
+                                value={counts[item._id] ?? ''}
+                                onChange={(e) => setCounts({ ...counts, [item._id]: e.target.value })}
+                                className="w-24 h-12 text-right text-lg"
+                              />
+                            </div>
+                          ) : (
+                            <div className="text-right font-medium">{item.countedQuantity}</div>
+                          )}
+                        </td>
+                        <td
+                          className={`p-3 text-right font-medium ${
+                            variance > 0 ? 'text-green-600' : variance < 0 ? 'text-red-600' : ''
+                          }`}
+                        >
+                          {variance === null ? '-' : variance > 0 ? `+${variance}` : variance}
+                        </td>
+                        {!isOpen && (
+                          <td className="p-3">
+                            <div className="flex items-center justify-end gap-2">
+                              {item.varianceStatus === 'PENDIENTE' && canApprove ? (
+                                <>
+                                  <Button
+                                    size="sm"
+                                    variant="outline"
+                                    disabled={rejectMutation.isPending}
+                                    onClick={() => rejectMutation.mutate(item._id)}
+                                  >
+                                    Rechazar
+                                  </Button>
+                                  <Button
+                                    size="sm"
+                                    disabled={approveMutation.isPending}
+                                    onClick={() => approveMutation.mutate(item._id)}
+                                  >
+                                    Ajustar
+                                  </Button>
+                                </>
+                              ) : (
+                                item.varianceStatus && (
+                                  <Badge className={`${VARIANCE_STATUS[item.varianceStatus]?.className} border-0`}>
+                                    {VARIANCE_STATUS[item.varianceStatus]?.label}
+                                  </Badge>
+                                )
+                              )}
+                            </div>
+                          </td>
+                        )}
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+        </Card>
+
+        {conteo.sapSnapshot?.unmatched?.length > 0 && (
+          <Card>
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <AlertTriangle className="h-5 w-5 text-orange-500" />
+                Lotes en SAP no registrados en la app
+              </CardTitle>
+              <CardDescription>Revise si deben registrarse con una recepción o ajuste</CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="space-y-1 text-sm">
+                {conteo.sapSnapshot.unmatched.map((batch) => (
+                  <div key={`${batch.itemCode}-${batch.batchNumber}`} className="flex justify-between border-b py-1">
+                    <span>
+                      {batch.itemCode} • <span className="font-mono">{batch.batchNumber}</span>
+                    </span>
+                    <span className="font-medium">{batch.quantity}</span>
+                  </div>
+                ))}
+              </div>
+            </CardContent>
+          </Card>
+        )}
+      </div>
+    );
+  }
+
+  // ============================================
+  // LIST VIEW
+  // ============================================
+  if (isLoading) return <div>Cargando...</div>;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between">
+        <div>
+          <h1 className="text-3xl font-bold">Conteos Físicos</h1>
+          <p className="text-muted-foreground">Conteos cíclicos por locación con comparación App / SAP / Físico</p>
+        </div>
+        <Button onClick={() => setCreateOpen(true)}>
+          <Plus className="h-4 w-4 mr-2" />
+          Nuevo Conteo
+        </Button>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Conteos ({conteos?.length || 0})</CardTitle>
+        </CardHeader>
+        <CardContent>
+          {conteos && conteos.length > 0 ? (
+            <div className="space-y-3">
+              {conteos.map((item) => (
+                <Card
+                  key={item._id}
+                  className="cursor-pointer hover:bg-muted/50 transition-colors"
+                  onClick={() => setSelectedId(item._id)}
+                >
+                  <CardContent className="p-4">
+                    <div className="flex items-start justify-between">
+                      <div className="flex items-center gap-3">
+                        <ClipboardCheck className="h-5 w-5 text-muted-foreground" />
+                        <div>
+                          <div className="font-medium">{item.locationId?.name}</div>
+                          <div className="text-sm text-muted-foreground">
+                            {formatDateTime(item.createdAt)} • {item.countedItems}/{item.items.length} lotes contados
+                            {item.pendingVariances > 0 && ` • ${item.pendingVariances} diferencias pendientes`}
+                          </div>
+                        </div>
+                      </div>
+                      {statusBadge(item.status)}
+                    </div>
+                  </CardContent>
+                </Card>
+              ))}
+            </div>
+          ) : (
+            <div className="text-center py-12">
+              <ClipboardCheck className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
+              <p className="text-lg font-medium">No hay conteos</p>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog open={createOpen} onOpenChange={setCreateOpen}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>Nuevo Conteo</DialogTitle>
+            <DialogDescription>Se toma una foto de los lotes registrados en la locación</DialogDescription>
+          </DialogHeader>
+          <div className="grid gap-2">
+            <Label>Locación</Label>
+            <Select value={newLocationId} onValueChange={setNewLocationId}>
+              <SelectTrigger>
+                <SelectValue placeholder="Seleccionar locación" />
+              </SelectTrigger>
+              <SelectContent>
+                {locations?.map((location) => (
+                  <SelectItem key={location._id} value={location._id}>
+                    {location.name}
+                  </SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setCreateOpen(false)}>
+              Cancelar
+            </Button>
+            <Button
+              onClick={() => createMutation.mutate({ locationId: newLocationId })}
+              disabled={!newLocationId || createMutation.isPending}
+            >
+              {createMutation.isPending ? 'Abriendo...' : 'Abrir Conteo'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -0,0 +1,571 @@
+import { useState, useEffect } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { devolucionesApi, locacionesApi } from '../lib/api';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '../components/ui/dialog';
+import { Label } from '../components/ui/label';
+import { Input } from '../components/ui/input';
+import { Button } from '../components/ui/button';
+import { Badge } from '../components/ui/badge';
+import { useToast } from '../components/ui/toast';
+import { formatDate, formatDateTime } from '../lib/utils';
+import { Undo2, Plus, Package, AlertTriangle, CheckCircle2, Clock, Loader2, RefreshCw, XCircle } from 'lucide-react';
+
+const REASONS = {
+  VENCIMIENTO: 'Próximo a vencer',
+  RETIRO: 'Retiro del fabricante',
+  EXCESO: 'Exceso de inventario',
+  OTRO: 'Otro',
+};
+
+export default function Devoluciones() {
+  const queryClient = useQueryClient();
+  const toast = useToast();
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [createOpen, setCreateOpen] = useState(false);
+  const [centroId, setCentroId] = useState('');
+  const [reason, setReason] = useState('VENCIMIENTO');
+  const [notes, setNotes] = useState('');
+  const [quantities, setQuantities] = useState({});
+  const [selectedDevolucion, setSelectedDevolucion] = useState(null);
+  const [confirmItems, setConfirmItems] = useState([]);
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  // Draft handed over by another page (e.g. rotation suggestions): open the
+  // create dialog prefilled, then drop the state so a reload doesn't reopen it
+  useEffect(() => {
+    const draft = location.state?.devolucionDraft;
+    if (!draft) return;
+    setCentroId(draft.centroId);
+    setReason(draft.reason || 'VENCIMIENTO');
+    setNotes(draft.notes || '');
+    setQuantities(draft.quantities || {});
+    setCreateOpen(true);
+    navigate(location.pathname, { replace: true, state: null });
+  }, [location.state, location.pathname, navigate]);
+
+  const { data: locations } = useQuery({
+    queryKey: ['locaciones'],
+    queryFn: () => locacionesApi.getAll({ active: true }).then((res) => res.data),
+  });
+
+  const centros = locations?.filter((l) => l.type === 'CENTRO') || [];
+  const warehouse = locations?.find((l) => l.type === 'WAREHOUSE');
+
+  const { data: devoluciones, isLoading } = useQuery({
+    queryKey: ['devoluciones', statusFilter],
+    queryFn: () => {
+      const params = {};
+      if (statusFilter !== 'all') params.status = statusFilter;
+      return devolucionesApi.getAll(params).then((res) => res.data);
+    },
+  });
+
+  const { data: availableLots, isLoading: loadingLots } = useQuery({
+    queryKey: ['devoluciones', 'available', centroId],
+    queryFn: () => devolucionesApi.getAvailableLots(centroId).then((res) => res.data),
+    enabled: !!centroId,
+  });
+
+  const resetCreate = () => {
+    setCreateOpen(false);
+    setCentroId('');
+    setReason('VENCIMIENTO');
+    setNotes('');
+    setQuantities({});
+  };
+
+  const createMutation = useMutation({
+    mutationFn: async (data) => {
+      // Pre-operation guard: make sure SAP has the batches in the centro bin
+      const validation = await devolucionesApi.validateSapStock(data).catch((error) => error.response);
+      if (validation?.data && validation.data.valid === false && !validation.data.sapUnavailable) {
+        const mismatch = validation.data.mismatches?.[0];
+        throw new Error(mismatch?.message || validation.data.error || 'Stock en SAP no coincide');
+      }
+      return devolucionesApi.create(data);
+    },
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['devoluciones']);
+      const { sapDocNum, sapResult } = response.data;
+      if (sapResult && !sapResult.success) {
+        toast.warning(sapResult.queued
+          ? 'Devolución creada. Quedó en la cola SAP y se reintentará automáticamente.'
+          : `Devolución creada, pero no se pudo enviar a SAP: ${sapResult.error}`);
+      } else {
+        toast.success(sapDocNum ? `Devolución creada - SAP DocNum: ${sapDocNum}` : 'Devolución creada');
+      }
+      resetCreate();
+    },
+    onError: (error) => {
+      console.error('Create return error:', error);
+      const message = error?.response?.data?.error || error?.message || 'Error al crear devolución';
+      toast.error(message);
+    },
+  });
+
+  const confirmMutation = useMutation({
+    mutationFn: ({ id, data }) => devolucionesApi.confirm(id, data),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['devoluciones']);
+      setSelectedDevolucion(null);
+      setConfirmItems([]);
+      toast.success('Devolución confirmada exitosamente');
+    },
+    onError: (error) => {
+      console.error('Confirm error:', error);
+      const message = error?.response?.data?.error || error?.message || 'Error al confirmar devolución';
+      toast.error(message);
+    },
+  });
+
+  const retrySapMutation = useMutation({
+    mutationFn: (id) => devolucionesApi.retrySap(id),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['devoluciones']);
+      if (response.data.success) {
+        toast.success(`SAP sync exitoso - DocNum: ${response.data.sapResult?.sapDocNum}`);
+        setSelectedDevolucion(null);
+      } else {
+        toast.error(`Error SAP: ${response.data.error}. Se reintentará automáticamente.`);
+      }
+    },
+    onError: (error) => {
+      console.error('Retry SAP error:', error);
+      const message = error?.response?.data?.error || error?.message || 'Error al reintentar SAP';
+      toast.error(message);
+    },
+  });
+
+  const selectedItems = (availableLots || []).filter((lot) => quantities[lot.loteId] > 0);
+
+  const handleCreate = () => {
+    createMutation.mutate({
+      fromLocationId: centroId,
+      toLocationId: warehouse?._id,
+      reason,
+      notes,
+      items: selectedItems.map((lot) => ({
+        loteId: lot.loteId,
+        quantitySent: quantities[lot.loteId],
+      })),
+    });
+  };
+
+  const handleViewDevolucion = (devolucion) => {
+    setSelectedDevolucion(devolucion);
+    setConfirmItems(
+      devolucion.items.map((item) => ({
+        loteId: item.loteId,
+        productName: item.productId?.name,
+        productCode: item.productId?.code,
+        lotNumber: item.lotNumber,
+        quantitySent: item.quantitySent,
+        quantityReceived: item.quantityReceived !== null ? item.quantityReceived : item.quantitySent,
+      }))
+    );
+  };
+
+  const handleConfirm = () => {
+    confirmMutation.mutate({
+      id: selectedDevolucion._id,
+      data: {
+        items: confirmItems.map((item) => ({
+          loteId: item.loteId,
+          quantityReceived: item.quantityReceived,
+        })),
+      },
+    });
+  };
+
+  const getStatusBadge = (devolucion) => {
+    if (devolucion.status === 'RECIBIDO') {
+      return (
+        <Badge className="bg-green-100 text-green-800 border-0">
+          <CheckCircle2 className="h-3 w-3 mr-1" />
+          Recibido
+        </Badge>
+      );
+    }
+    if (devolucion.isOld) {
+      return (
+        <Badge className="bg-red-100 text-red-800 border-0">
+          <AlertTriangle className="h-3 w-3 mr-1" />
+          En Tránsito (Retrasado)
+        </Badge>
+      );
+    }
+    return (
+      <Badge className="bg-blue-100 text-blue-800 border-0">
+        <Clock className="h-3 w-3 mr-1" />
+        En Tránsito
+      </Badge>
+    );
+  };
+
+  const getLotBadge = (lot) => {
+    if (lot.status === 'RECALLED') {
+      return <Badge className="bg-red-100 text-red-800 border-0">Retiro</Badge>;
+    }
+    const days = Math.floor((new Date(lot.expiryDate) - new Date()) / (1000 * 60 * 60 * 24));
+    if (days < 0) {
+      return <Badge className="bg-red-100 text-red-800 border-0">Vencido</Badge>;
+    }
+    if (days <= 90) {
+      return <Badge className="bg-yellow-100 text-yellow-800 border-0">Vence en {days} días</Badge>;
+    }
+    return null;
+  };
+
+  if (isLoading) return <div>Cargando...</div>;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between">
+        <div>
+          <h1 className="text-3xl font-bold">Devoluciones</h1>
+          <p className="text-muted-foreground">Retorno de productos desde los centros al almacén</p>
+        </div>
+        <Button onClick={() => setCreateOpen(true)}>
+          <Plus className="h-4 w-4 mr-2" />
+          Nueva Devolución
+        </Button>
+      </div>
+
+      {/* Filters */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Filtros</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="grid gap-4 md:grid-cols-3">
+            <div className="grid gap-2">
+              <Label>Estado</Label>
+              <Select value={statusFilter} onValueChange={setStatusFilter}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">Todos</SelectItem>
+                  <SelectItem value="EN_TRANSITO">En Tránsito</SelectItem>
+                  <SelectItem value="RECIBIDO">Recibido</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Returns List */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Devoluciones ({devoluciones?.length || 0})</CardTitle>
+          <CardDescription>Listado de todas las devoluciones</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {devoluciones && devoluciones.length > 0 ? (
+            <div className="space-y-3">
+              {devoluciones.map((devolucion) => (
+                <Card
+                  key={devolucion._id}
+                  className="cursor-pointer hover:bg-muted/50 transition-colors"
+                  onClick={() => handleViewDevolucion(devolucion)}
+                >
+                  <CardContent className="p-4">
+                    <div className="flex items-start justify-between">
+                      <div className="space-y-2 flex-1">
+                        <div className="flex items-center gap-3">
+                          <Undo2 className="h-5 w-5 text-muted-foreground" />
+                          <div>
+                            <div className="font-medium">
+                              {devolucion.fromLocationId?.name} → {devolucion.toLocationId?.name}
+                            </div>
+                            <div className="text-sm text-muted-foreground">
+                              {REASONS[devolucion.reason]} • {devolucion.items.length} lote
+                              {devolucion.items.length !== 1 ? 's' : ''} •{' '}
+                              {devolucion.items.reduce((sum, item) => sum + item.quantitySent, 0)} unidades
+                            </div>
+                          </div>
+                        </div>
+                        <div className="flex items-center gap-4 text-sm text-muted-foreground">
+                          <div>
+                            <span className="font-medium">Creado:</span> {formatDateTime(devolucion.createdAt)}
+                          </div>
+                          <div>
+                            <span className="font-medium">Por:</span>{' '}
+                            {devolucion.createdBy?.firstname} {devolucion.createdBy?.lastname}
+                          </div>
+                          {devolucion.sapIntegration?.docNum && (
+                            <div>
+                              <span className="font-medium">SAP:</span> #{devolucion.sapIntegration.docNum}
+                            </div>
+                          )}
+                        </div>
+                      </div>
+                      {getStatusBadge(devolucion)}
+                    </div>
+                  </CardContent>
+                </Card>
+              ))}
+            </div>
+          ) : (
+            <div className="text-center py-12">
+              <Package className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
+              <p className="text-lg font-medium">No hay devoluciones</p>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Create Dialog */}
+      <Dialog open={createOpen} onOpenChange={(open) => (open ? setCreateOpen(true) : resetCreate())}>
+        <DialogContent className="max-w-4xl max-h-[85vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>Nueva Devolución</DialogTitle>
+            <DialogDescription>
+              Los lotes seleccionados se transfieren en SAP del bin del centro al almacén {warehouse?.name}
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4">
+            <div className="grid gap-4 md:grid-cols-2">
+              <div className="grid gap-2">
+                <Label>Centro</Label>
+                <Select
+                  value={centroId}
+                  onValueChange={(value) => {
+                    setCentroId(value);
+                    setQuantities({});
+                  }}
+                >
+                  <SelectTrigger>
+                    <SelectValue placeholder="Seleccionar centro" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {centros.map((centro) => (
+                      <SelectItem key={centro._id} value={centro._id}>
+                        {centro.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+              <div className="grid gap-2">
+                <Label>Motivo</Label>
+                <Select value={reason} onValueChange={setReason}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {Object.entries(REASONS).map(([value, label]) => (
+                      <SelectItem key={value} value={value}>
+                        {label}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            {centroId && (
+              <div className="border rounded-md">
+                {loadingLots ? (
+                  <div className="flex justify-center py-8">
+                    <Loader2 className="h-6 w-6 animate-spin text-muted-foreground" />
+                  </div>
+                ) : availableLots?.length > 0 ? (
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="border-b bg-muted/50">
+                        <th className="text-left p-2">Producto</th>
+                        <th className="text-left p-2">Lote</th>
+                        <th className="text-left p-2">Vence</th>
+                        <th className="text-right p-2">Disponible</th>
+                        <th className="text-right p-2">Devolver</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {availableLots.map((lot) => (
+                        <tr key={lot.loteId} className="border-b">
+                          <td className="p-2">
+                            <div className="font-medium">{lot.product?.name}</div>
+                            <div className="text-xs text-muted-foreground">Código: {lot.product?.code}</div>
+                          </td>
+                          <td className="p-2">
+                            <div className="flex items-center gap-2">
+                              <span className="font-mono">{lot.lotNumber}</span>
+                              {getLotBadge(lot)}
+                            </div>
+                          </td>
+                          <td className="p-2">{formatDate(lot.expiryDate)}</td>
+                          <td className="p-2 text-right">{lot.quantityAvailable}</td>
+                          <td className="p-2">
+                            <div className="flex justify-end">
+                              <Input
+                                type="number"
+                                min="0"
+                                max={lot.quantityAvailable}
+                                value={quantities[lot.loteId] || 0}
+                                onChange={(e) =>
+                                  setQuantities((prev) => ({
+                                    ...prev,
+                                    [lot.loteId]: Math.max(
+                                      0,
+                                      Math.min(lot.quantityAvailable, parseInt(e.target.value) || 0)
+                                    ),
+                                  }))
+                                }
+                                className="w-20 text-right"
+                              />
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                ) : (
+                  <p className="text-sm text-muted-foreground p-4">No hay lotes disponibles en este centro</p>
+                )}
+              </div>
+            )}
+
+            <div className="grid gap-2">
+              <Label>Notas</Label>
+              <Input value={notes} onChange={(e) => setNotes(e.target.value)} placeholder="Opcional" />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={resetCreate}>
+              Cancelar
+            </Button>
+            <Button
+              onClick={handleCreate}
+              disabled={!warehouse || selectedItems.length === 0 || createMutation.isPending}
+            >
+              {createMutation.isPending
+                ? 'Creando...'
+                : `Crear Devolución (${selectedItems.reduce((sum, lot) => sum + quantities[lot.loteId], 0)} unidades)`}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Confirmation Dialog */}
+      {selectedDevolucion && (
+        <Dialog open={!!selectedDevolucion} onOpenChange={(open) => !open && setSelectedDevolucion(null)}>
+          <DialogContent className="max-w-4xl max-h-[80vh] overflow-y-auto">
+            <DialogHeader>
+              <DialogTitle>
+                {selectedDevolucion.status === 'RECIBIDO' ? 'Detalles de Devolución' : 'Confirmar Recepción en Almacén'}
+              </DialogTitle>
+              <DialogDescription>
+                {selectedDevolucion.fromLocationId?.name} → {selectedDevolucion.toLocationId?.name} •{' '}
+                {REASONS[selectedDevolucion.reason]}
+                <br />
+                Creado el {formatDateTime(selectedDevolucion.createdAt)}
+                {selectedDevolucion.sapIntegration?.docNum && ` • SAP DocNum: ${selectedDevolucion.sapIntegration.docNum}`}
+              </DialogDescription>
+            </DialogHeader>
+            <div className="space-y-4">
+              <div className="border rounded-md">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b bg-muted/50">
+                      <th className="text-left p-2">Producto</th>
+                      <th className="text-left p-2">Lote</th>
+                      <th className="text-right p-2">Enviado</th>
+                      <th className="text-right p-2">Recibido</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {confirmItems.map((item, index) => (
+                      <tr key={`${item.loteId}-${index}`} className="border-b">
+                        <td className="p-2">
+                          <div className="font-medium">{item.productName}</div>
+                          <div className="text-xs text-muted-foreground">Código: {item.productCode}</div>
+                        </td>
+                        <td className="p-2 font-mono">{item.lotNumber}</td>
+                        <td className="p-2 text-right font-medium">{item.quantitySent}</td>
+                        <td className="p-2">
+                          {selectedDevolucion.status === 'EN_TRANSITO' ? (
+                            <div className="flex justify-end">
+                              <Input
+                                type="number"
+                                min="0"
+                                max={item.quantitySent}
+                                value={item.quantityReceived}
+                                onChange={(e) => {
+                                  const newItems = [...confirmItems];
+                                  newItems[index].quantityReceived = Math.max(
+                                    0,
+                                    Math.min(item.quantitySent, parseInt(e.target.value) || 0)
+                                  );
+                                  setConfirmItems(newItems);
+                                }}
+                                className="w-20 text-right"
+                              />
+                            </div>
+                          ) : (
+                            <div className="text-right font-medium text-green-600">{item.quantityReceived}</div>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {selectedDevolucion.status === 'EN_TRANSITO' && (
+                <div className="bg-blue-50 p-3 rounded-md text-sm">
+                  <p className="font-medium text-blue-900 mb-1">Nota:</p>
+                  <p className="text-blue-700">
+                    Ajusta las cantidades recibidas si hay diferencias. Las cantidades no recibidas se reintegran al
+                    inventario del centro.
+                  </p>
+                </div>
+              )}
+
+              {/* SAP Sync Status */}
+              {['FAILED', 'RETRYING'].includes(selectedDevolucion.sapIntegration?.status) && (
+                <div className="bg-red-50 border border-red-200 p-3 rounded-md text-sm">
+                  <div className="flex items-center gap-2 mb-2">
+                    <XCircle className="h-4 w-4 text-red-600" />
+                    <p className="font-medium text-red-900">Error de sincronización SAP</p>
+                  </div>
+                  {selectedDevolucion.sapIntegration?.status === 'RETRYING' && (
+                    <p className="text-red-700 mb-2">En cola: se reintentará automáticamente.</p>
+                  )}
+                  <p className="text-red-700 mb-3 font-mono text-xs bg-red-100 p-2 rounded">
+                    {selectedDevolucion.sapIntegration?.error || 'Error desconocido'}
+                  </p>
+                  <Button
+                    variant="outline"
+                    size="sm"
+                    onClick={() => retrySapMutation.mutate(selectedDevolucion._id)}
+                    disabled={retrySapMutation.isPending}
+                    className="border-red-300 text-red-700 hover:bg-red-100"
+                  >
+                    <RefreshCw className={`h-4 w-4 mr-2 ${retrySapMutation.isPending ? 'animate-spin' : ''}`} />
+                    {retrySapMutation.isPending ? 'Reintentando...' : 'Reintentar SAP'}
+                  </Button>
+                </div>
+              )}
+            </div>
+            <DialogFooter>
+              <Button variant="outline" onClick={() => setSelectedDevolucion(null)}>
+                {selectedDevolucion.status === 'RECIBIDO' ? 'Cerrar' : 'Cancelar'}
+              </Button>
+              {selectedDevolucion.status === 'EN_TRANSITO' && (
+                <Button onClick={handleConfirm} disabled={confirmMutation.isPending}>
+                  {confirmMutation.isPending ? 'Confirmando...' : 'Confirmar Recepción'}
+                </Button>
+              )}
+            </DialogFooter>
+          </DialogContent>
+        </Dialog>
+      )}
+    </div>
+  );
+}
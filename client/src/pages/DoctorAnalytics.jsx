@@ -0,0 +1,333 @@
+import { useState, useMemo } from 'react';
+import { useQuery } from '@tanstack/react-query';
+import { analyticsApi, locacionesApi } from '../lib/api';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Label } from '../components/ui/label';
+import { Badge } from '../components/ui/badge';
+import { BarChart, Bar, XAxis, YAxis, Tooltip, ResponsiveContainer, CartesianGrid } from 'recharts';
+import { Stethoscope, Loader2 } from 'lucide-react';
+
+const MONTH_LABELS = ['Ene', 'Feb', 'Mar', 'Abr', 'May', 'Jun', 'Jul', 'Ago', 'Sep', 'Oct', 'Nov', 'Dic'];
+
+const PERIODS = {
+  6: 'Últimos 6 meses',
+  12: 'Últimos 12 meses',
+  24: 'Últimos 24 meses',
+};
+
+const CATEGORY_LABELS = {
+  all: 'Todas',
+  STENTS_CORONARIOS: 'Stents coronarios',
+  STENTS_RECUBIERTOS: 'Stents recubiertos',
+  GUIAS: 'Guías',
+};
+
+const formatShare = (share) => `${Math.round(share * 100)}%`;
+
+/**
+ * First day of the month, `months` calendar months back (this month included)
+ */
+function periodStart(months) {
+  const date = new Date();
+  date.setMonth(date.getMonth() - months + 1, 1);
+  return date.toISOString().split('T')[0];
+}
+
+/**
+ * Monthly bar chart data for the whole period, with empty months at zero
+ */
+function buildMonthlyChart(doctor, startDate, endDate) {
+  const byMonth = new Map(doctor.monthly.map((m) => [`${m.year}-${m.month}`, m.quantity]));
+  const data = [];
+  const cursor = new Date(startDate);
+  const end = new Date(endDate);
+  cursor.setUTCDate(1);
+  while (cursor <= end) {
+    const year = cursor.getUTCFullYear();
+    const month = cursor.getUTCMonth() + 1;
+    data.push({
+      month: `${MONTH_LABELS[month - 1]} ${String(year).slice(2)}`,
+      cantidad: byMonth.get(`${year}-${month}`) || 0,
+    });
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return data;
+}
+
+function ShareBar({ share }) {
+  return (
+    <div className="h-2 w-24 rounded bg-muted">
+      <div className="h-2 rounded bg-blue-500" style={{ width: formatShare(share) }} />
+    </div>
+  );
+}
+
+/**
+ * Consumption per implanting physician, for visit planning and
+ * size demand per hospital.
+ */
+export default function DoctorAnalytics() {
+  const [centroFilter, setCentroFilter] = useState('all');
+  const [category, setCategory] = useState('STENTS_CORONARIOS');
+  const [period, setPeriod] = useState('12');
+  const [selectedDoctorKey, setSelectedDoctorKey] = useState(null);
+
+  const params = useMemo(() => {
+    const result = { startDate: periodStart(parseInt(period)) };
+    if (centroFilter !== 'all') result.locationId = centroFilter;
+    if (category !== 'all') result.category = category;
+    return result;
+  }, [centroFilter, category, period]);
+
+  const { data: allLocations } = useQuery({
+    queryKey: ['locations'],
+    queryFn: () => locacionesApi.getAll({ active: true }).then((res) => res.data),
+  });
+
+  const centros = useMemo(() => {
+    return allLocations?.filter((loc) => loc.type === 'CENTRO') || [];
+  }, [allLocations]);
+
+  const { data: stats, isLoading } = useQuery({
+    queryKey: ['analytics', 'by-doctor', params],
+    queryFn: () => analyticsApi.getConsumptionByDoctor(params).then((res) => res.data),
+  });
+
+  const { data: sizeDemand } = useQuery({
+    queryKey: ['analytics', 'size-demand', params],
+    queryFn: () => analyticsApi.getSizeDemand(params).then((res) => res.data),
+    enabled: centroFilter !== 'all',
+  });
+
+  const doctors = stats?.doctors || [];
+  const selectedDoctor = doctors.find((d) => d.doctorKey === selectedDoctorKey) || doctors[0];
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold flex items-center gap-2">
+          <Stethoscope className="h-8 w-8" />
+          Consumo por Médico
+        </h1>
+        <p className="text-muted-foreground">
+          Unidades por médico, medidas preferidas y participación por línea de producto.
+        </p>
+      </div>
+
+      <div className="grid gap-4 md:grid-cols-3 max-w-3xl">
+        <div className="grid gap-2">
+          <Label>Centro</Label>
+          <Select value={centroFilter} onValueChange={setCentroFilter}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              <SelectItem value="all">Todos</SelectItem>
+              {centros.map((centro) => (
+                <SelectItem key={centro._id} value={centro._id}>{centro.name}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="grid gap-2">
+          <Label>Categoría</Label>
+          <Select value={category} onValueChange={setCategory}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(CATEGORY_LABELS).map(([value, label]) => (
+                <SelectItem key={value} value={value}>{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+        <div className="grid gap-2">
+          <Label>Período</Label>
+          <Select value={period} onValueChange={setPeriod}>
+            <SelectTrigger>
+              <SelectValue />
+            </SelectTrigger>
+            <SelectContent>
+              {Object.entries(PERIODS).map(([value, label]) => (
+                <SelectItem key={value} value={value}>{label}</SelectItem>
+              ))}
+            </SelectContent>
+          </Select>
+        </div>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="h-6 w-6 animate-spin" />
+        </div>
+      ) : doctors.length === 0 ? (
+        <Card>
+          <CardContent className="py-12 text-center text-muted-foreground">
+            Sin consumos en el período.
+          </CardContent>
+        </Card>
+      ) : (
+        <>
+          <Card>
+            <CardHeader>
+              <CardTitle>Médicos</CardTitle>
+              <CardDescription>
+                Los nombres escritos a mano se agrupan con el médico registrado del mismo nombre. Seleccione un médico para ver el detalle.
+              </CardDescription>
+            </CardHeader>
+            <CardContent>
+              <div className="border rounded-md">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b bg-muted/50">
+                      <th className="text-left p-2">Médico</th>
+                      <th className="text-right p-2">Unidades</th>
+                      <th className="text-right p-2">Prom./mes</th>
+                      <th className="text-right p-2">Procedimientos</th>
+                      <th className="text-left p-2">Líneas</th>
+                      <th className="text-left p-2">Medidas preferidas</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {doctors.map((doctor) => (
+                      <tr
+                        key={doctor.doctorKey}
+                        className={`border-b cursor-pointer hover:bg-muted/30 ${
+                          doctor.doctorKey === selectedDoctor?.doctorKey ? 'bg-muted/50' : ''
+                        }`}
+                        onClick={() => setSelectedDoctorKey(doctor.doctorKey)}
+                      >
+                        <td className="p-2 font-medium">
+                          {doctor.doctorName}
+                          {!doctor.doctorId && doctor.doctorKey !== 'none' && (
+                            <Badge variant="outline" className="ml-2">No registrado</Badge>
+                          )}
+                        </td>
+                        <td className="p-2 text-right">{doctor.totalQuantity}</td>
+                        <td className="p-2 text-right">{doctor.avgMonthly}</td>
+                        <td className="p-2 text-right">{doctor.consumptionCount}</td>
+                        <td className="p-2">
+                          {doctor.productLines.map((line) => `${line.line} ${formatShare(line.share)}`).join(' · ')}
+                        </td>
+                        <td className="p-2">
+                          <div className="flex flex-wrap gap-1">
+                            {doctor.sizes.slice(0, 3).map((size) => (
+                              <Badge key={size.size} variant="secondary" className="font-mono">
+                                {size.size} ({size.quantity})
+                              </Badge>
+                            ))}
+                          </div>
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </CardContent>
+          </Card>
+
+          {selectedDoctor && (
+            <div className="grid gap-4 lg:grid-cols-2">
+              <Card>
+                <CardHeader>
+                  <CardTitle>{selectedDoctor.doctorName}</CardTitle>
+                  <CardDescription>
+                    Unidades por mes · {selectedDoctor.centros.map((c) => c.locationName).join(', ')}
+                  </CardDescription>
+                </CardHeader>
+                <CardContent>
+                  <ResponsiveContainer width="100%" height={240}>
+                    <BarChart data={buildMonthlyChart(selectedDoctor, stats.startDate, stats.endDate)}>
+                      <CartesianGrid strokeDasharray="3 3" vertical={false} />
+                      <XAxis dataKey="month" tick={{ fontSize: 11 }} />
+                      <YAxis allowDecimals={false} tick={{ fontSize: 11 }} width={30} />
+                      <Tooltip formatter={(value) => [value, 'Unidades']} labelStyle={{ fontWeight: 'bold' }} />
+                      <Bar dataKey="cantidad" fill="#3b82f6" radius={[3, 3, 0, 0]} />
+                    </BarChart>
+                  </ResponsiveContainer>
+                </CardContent>
+              </Card>
+
+              <Card>
+                <CardHeader>
+                  <CardTitle>Medidas y líneas</CardTitle>
+                  <CardDescription>Participación en el período</CardDescription>
+                </CardHeader>
+                <CardContent className="space-y-4">
+                  <div className="flex flex-wrap gap-2">
+                    {selectedDoctor.productLines.map((line) => (
+                      <Badge key={line.line} variant="outline">
+                        {line.line}: {line.quantity} ({formatShare(line.share)})
+                      </Badge>
+                    ))}
+                  </div>
+                  <div className="border rounded-md max-h-64 overflow-y-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="border-b bg-muted/50">
+                          <th className="text-left p-2">Medida</th>
+                          <th className="text-right p-2">Unidades</th>
+                          <th className="text-right p-2">Prom./mes</th>
+                          <th className="p-2"></th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {selectedDoctor.sizes.map((size) => (
+                          <tr key={size.size} className="border-b">
+                            <td className="p-2 font-mono">{size.size}</td>
+                            <td className="p-2 text-right">{size.quantity}</td>
+                            <td className="p-2 text-right">{size.avgMonthly}</td>
+                            <td className="p-2"><ShareBar share={size.share} /></td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </CardContent>
+              </Card>
+            </div>
+          )}
+
+          {sizeDemand?.sizes?.length > 0 && (
+            <Card>
+              <CardHeader>
+                <CardTitle>Demanda por medida</CardTitle>
+                <CardDescription>
+                  Promedio mensual de cada medida en {centros.find((c) => c._id === centroFilter)?.name} y qué médicos la usan
+                </CardDescription>
+              </CardHeader>
+              <CardContent>
+                <div className="border rounded-md">
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="border-b bg-muted/50">
+                        <th className="text-left p-2">Medida</th>
+                        <th className="text-right p-2">Unidades</th>
+                        <th className="text-right p-2">Prom./mes</th>
+                        <th className="text-left p-2">Médicos</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {sizeDemand.sizes.map((size) => (
+                        <tr key={size.size} className="border-b">
+                          <td className="p-2 font-mono">{size.size}</td>
+                          <td className="p-2 text-right">{size.quantity}</td>
+                          <td className="p-2 text-right font-medium">{size.avgMonthly}</td>
+                          <td className="p-2 text-muted-foreground">
+                            {size.doctors.map((d) => `${d.doctorName} ${formatShare(d.share)}`).join(' · ')}
+                          </td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </div>
+              </CardContent>
+            </Card>
+          )}
+        </>
+      )}
+    </div>
+  );
+}
@@ -13,6 +13,7 @@ import { Package, Plus, Trash2, Loader2, CheckCircle2, AlertCircle, Search, File
 import { useToast } from '../components/ui/toast';
 import { formatDate } from '../lib/utils';
 import FileUploader from '../components/FileUploader';
+import ScannerInput from '../components/ScannerInput';
 
 export default function GoodsReceipt() {
   // Tab state
@@ -39,6 +40,7 @@ export default function GoodsReceipt() {
   const [uploadedFiles, setUploadedFiles] = useState([]);
   const [extractedItems, setExtractedItems] = useState([]);
   const [extractionWarnings, setExtractionWarnings] = useState([]);
+  const [sourceDocuments, setSourceDocuments] = useState([]); // Stored uploads, linked to the receipt
 
   // Result dialog
   const [resultDialogOpen, setResultDialogOpen] = useState(false);
@@ -49,10 +51,8 @@ export default function GoodsReceipt() {
   const [mismatchDialogOpen, setMismatchDialogOpen] = useState(false);
   const [validatingBatches, setValidatingBatches] = useState(false);
 
-  // Pedido linking state
-  const [pedidoLinkingOpen, setPedidoLinkingOpen] = useState(false);
-  const [suggestedPedidos, setSuggestedPedidos] = useState([]);
-  const [linkingPedido, setLinkingPedido] = useState(false);
+  // Pedidos the receipt fills: 'auto' (oldest open first), 'none' or a pedido ID
+  const [selectedPedido, setSelectedPedido] = useState('auto');
 
   const queryClient = useQueryClient();
   const navigate = useNavigate();
@@ -92,21 +92,8 @@ export default function GoodsReceipt() {
       queryClient.invalidateQueries(['dashboard-stats']);
       setReceiptResult(response.data);
       setResultDialogOpen(true);
-
-      // Check for matching pedidos
-      try {
-        // Get productIds from lotes (response includes lotes, not items)
-        const productIds = response.data.lotes?.map(lote => lote.productId?.toString() || lote.productId).filter(Boolean);
-        const uniqueProductIds = [...new Set(productIds)];
-        if (uniqueProductIds?.length > 0) {
-          const pedidosRes = await pedidosApi.suggestForItems(uniqueProductIds);
-          if (pedidosRes.data?.length > 0) {
-            setSuggestedPedidos(pedidosRes.data);
-          }
-        }
-      } catch (err) {
-        // Silent fail - pedido linking is optional
-        console.log('Could not fetch suggested pedidos:', err);
+      if (response.data.pedidos?.length > 0) {
+        queryClient.invalidateQueries(['pedidos']);
       }
     },
     onError: (error) => {
@@ -134,6 +121,7 @@ export default function GoodsReceipt() {
         }));
         setExtractedItems(formItems);
         setExtractionWarnings(data.warnings || []);
+        setSourceDocuments(data.documents || []);
         toast.success(`${formItems.length} productos extraidos`);
       } else {
         toast.error('No se encontraron productos en las imagenes');
@@ -191,6 +179,39 @@ export default function GoodsReceipt() {
     setProductSearch('');
   };
 
+  // Handle a GS1 scan: one scan = one unit; repeated scans of a lot add up
+  const handleScan = (result) => {
+    const { product, gs1 } = result;
+    const expiryDate = gs1.expiryDate ? gs1.expiryDate.split('T')[0] : '';
+    const existing = items.find(
+      (item) => item.productId === product._id && gs1.lotNumber && item.lotNumber === gs1.lotNumber
+    );
+
+    if (existing) {
+      setItems(items.map((item) =>
+        item.id === existing.id ? { ...item, quantity: (parseInt(item.quantity) || 0) + 1 } : item
+      ));
+    } else {
+      const scanned = {
+        ...createEmptyItem(),
+        productId: product._id,
+        productName: product.name,
+        sapItemCode: product.sapItemCode,
+        lotNumber: gs1.lotNumber || '',
+        expiryDate,
+      };
+      // Fill the blank starter row instead of leaving it behind
+      const blank = items.filter((item) => !item.productId && !item.lotNumber);
+      setItems([...items.filter((item) => !blank.includes(item)), scanned]);
+    }
+
+    if (result.warnings.length > 0) {
+      toast.warning(result.warnings.join('. '));
+    } else {
+      toast.success(`${product.name} - Lote ${gs1.lotNumber}`);
+    }
+  };
+
   const handleExtract = () => {
     if (uploadedFiles.length === 0) {
       toast.error('Selecciona al menos un archivo');
@@ -279,6 +300,10 @@ export default function GoodsReceipt() {
         quantity: parseInt(item.quantity),
         expiryDate: item.expiryDate,
       })),
+      // Keep the packing list with the receipt (and its SAP document)
+      documentIds: activeTab === 'packing' ? sourceDocuments.map((doc) => doc.documentId) : undefined,
+      allocateToPedidos: selectedPedido !== 'none',
+      pedidoId: selectedPedido !== 'auto' && selectedPedido !== 'none' ? selectedPedido : undefined,
     };
 
     createMutation.mutate(data);
@@ -286,86 +311,47 @@ export default function GoodsReceipt() {
 
   const handleCloseResult = () => {
     setResultDialogOpen(false);
-    // If there are suggested pedidos, show linking dialog instead of navigating
-    if (suggestedPedidos.length > 0) {
-      setPedidoLinkingOpen(true);
-    } else {
-      navigate('/inventory');
-    }
-  };
-
-  const handleSkipPedidoLinking = () => {
-    setPedidoLinkingOpen(false);
-    setSuggestedPedidos([]);
     navigate('/inventory');
   };
 
-  const handleLinkPedido = async (pedido) => {
-    if (!receiptResult?.receiptId) {
-      console.error('handleLinkPedido called without receiptResult');
-      return;
-    }
-
-    setLinkingPedido(true);
-    try {
-      // Build items to receive based on what matches between receipt lotes and pedido
-      // Group receipt lotes by productId and sum quantities
-      const receiptByProduct = {};
-      (receiptResult.lotes || []).forEach(lote => {
-        const productId = lote.productId?.toString() || lote.productId;
-        if (!receiptByProduct[productId]) {
-          receiptByProduct[productId] = 0;
-        }
-        receiptByProduct[productId] += lote.quantityTotal || lote.quantityAvailable || 0;
-      });
-
-      const itemsToReceive = pedido.items
-        .filter(item => receiptByProduct[item.productId.toString()])
-        .map(item => {
-          const productId = item.productId.toString();
-          const receiptQty = receiptByProduct[productId] || 0;
-          const pendingQty = item.quantityOrdered - item.quantityReceived;
-          // Receive the minimum of: pending quantity or received quantity
-          const qtyToReceive = Math.min(pendingQty, receiptQty);
-          return {
-            productId: item.productId,
-            quantityReceived: qtyToReceive,
-          };
-        })
-        .filter(item => item.quantityReceived > 0);
-
-      if (itemsToReceive.length === 0) {
-        toast.warning('No hay productos coincidentes para vincular');
-        setLinkingPedido(false);
-        return;
-      }
-
-      await pedidosApi.receiveItems(pedido._id, {
-        items: itemsToReceive,
-        goodsReceiptId: receiptResult.receiptId,
-      });
-
-      toast.success('Pedido actualizado exitosamente');
-      queryClient.invalidateQueries(['pedidos']);
-
-      // Remove this pedido from suggestions
-      setSuggestedPedidos(prev => prev.filter(p => p._id !== pedido._id));
-
-      // If no more suggestions, close and navigate
-      if (suggestedPedidos.length <= 1) {
-        setPedidoLinkingOpen(false);
-        navigate('/inventory');
-      }
-    } catch (error) {
-      toast.error(error.response?.data?.error || 'Error al vincular pedido');
-    } finally {
-      setLinkingPedido(false);
-    }
-  };
-
   const currentItems = activeTab === 'packing' ? extractedItems : items;
   const totalQuantity = currentItems.reduce((sum, item) => sum + (parseInt(item.quantity) || 0), 0);
 
+  // Open pedidos of this supplier with the products being received
+  const currentProductIds = [...new Set(currentItems.map((item) => item.productId).filter(Boolean))].sort();
+  const { data: openPedidos } = useQuery({
+    queryKey: ['pedidos-suggest', currentProductIds],
+    queryFn: () => pedidosApi.suggestForItems(currentProductIds).then((res) => res.data),
+    enabled: currentProductIds.length > 0,
+  });
+  const supplierPedidos = (openPedidos || []).filter(
+    (pedido) => !pedido.supplierCode || pedido.supplierCode === selectedSupplier
+  );
+
+  // How the items will fill open pedidos (oldest first, legacy codes as substitutes)
+  const allocationItems = currentItems
+    .filter((item) => item.productId && parseInt(item.quantity) > 0)
+    .map((item) => ({ productId: item.productId, quantity: parseInt(item.quantity) }));
+  const supplierCodeForPreview = selectedSupplier && selectedSupplier !== 'other' ? selectedSupplier : undefined;
+  const { data: allocationPreview } = useQuery({
+    queryKey: ['pedidos-allocation-preview', allocationItems, supplierCodeForPreview, selectedPedido],
+    queryFn: () => pedidosApi.previewAllocation({
+      items: allocationItems,
+      supplierCode: supplierCodeForPreview,
+      pedidoId: selectedPedido !== 'auto' ? selectedPedido : undefined,
+    }).then((res) => res.data),
+    enabled: allocationItems.length > 0 && selectedPedido !== 'none',
+  });
+  const productNames = Object.fromEntries(
+    currentItems.filter((item) => item.productId).map((item) => [item.productId, item.productName])
+  );
+  const allocatedRows = (allocationPreview || []).flatMap((entry) =>
+    entry.allocations.map((allocation) => ({ ...allocation, receivedProductId: entry.productId }))
+  );
+  const unallocatedTotal = (allocationPreview || []).reduce((sum, entry) => sum + entry.unallocatedQuantity, 0);
+  const pedidoLabel = (pedido) =>
+    `${pedido.docNum ? `OC #${pedido.docNum}` : 'Pedido'} del ${formatDate(pedido.orderDate)}`;
+
   return (
     <div className="space-y-6 max-w-4xl">
       <div>
@@ -440,6 +426,31 @@ export default function GoodsReceipt() {
                   max={`${new Date().getFullYear() + 1}-12-31`}
                 />
               </div>
+              <div className="grid gap-2">
+                <Label>Pedido</Label>
+                <Select value={selectedPedido} onValueChange={setSelectedPedido}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="Automatico" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="auto">Automatico (mas antiguos primero)</SelectItem>
+                    <SelectItem value="none">No asignar a pedidos</SelectItem>
+                    {supplierPedidos.map((pedido) => (
+                      <SelectItem key={pedido._id} value={pedido._id}>
+                        {pedido.sapIntegration?.docNum ? `OC #${pedido.sapIntegration.docNum}` : 'Pedido'} del {formatDate(pedido.orderDate)}
+                        <span className="text-muted-foreground ml-2">
+                          ({pedido.items.reduce((sum, item) => sum + item.quantityOrdered - item.quantityReceived, 0)} pendientes)
+                        </span>
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+                {selectedPedido !== 'none' && (
+                  <p className="text-xs text-muted-foreground">
+                    Las cantidades se asignan a los pedidos pendientes y a sus ordenes de compra en SAP
+                  </p>
+                )}
+              </div>
             </div>
           </CardContent>
         </Card>
@@ -491,6 +502,16 @@ export default function GoodsReceipt() {
             </CardHeader>
             <CardContent>
               <div className="space-y-4">
+                {/* GS1 DataMatrix scan */}
+                <div className="grid gap-2">
+                  <Label>Escanear</Label>
+                  <ScannerInput
+                    locationId={selectedWarehouse || undefined}
+                    onResolved={handleScan}
+                    placeholder="Escanear DataMatrix de la caja..."
+                  />
+                </div>
+
                 {items.map((item, index) => (
                   <div key={item.id} className="border rounded-lg p-4 space-y-4">
                     <div className="flex items-center justify-between">
@@ -697,6 +718,7 @@ export default function GoodsReceipt() {
                         setExtractedItems([]);
                         setUploadedFiles([]);
                         setExtractionWarnings([]);
+                        setSourceDocuments([]);
                       }}
                     >
                       Limpiar
@@ -796,6 +818,48 @@ export default function GoodsReceipt() {
           </Card>
         )}
 
+        {/* Pedido allocation preview */}
+        {selectedPedido !== 'none' && allocationPreview && (
+          <Card className="mb-6">
+            <CardHeader>
+              <CardTitle className="flex items-center gap-2">
+                <ShoppingCart className="h-5 w-5 text-purple-600" />
+                Asignacion a Pedidos
+              </CardTitle>
+              <CardDescription>
+                {allocatedRows.length > 0
+                  ? 'Al guardar, la recepcion se descuenta de estos pedidos pendientes'
+                  : 'Ningun pedido pendiente espera estos productos'}
+              </CardDescription>
+            </CardHeader>
+            {(allocatedRows.length > 0 || unallocatedTotal > 0) && (
+              <CardContent className="space-y-2">
+                {allocatedRows.map((row, idx) => (
+                  <div key={idx} className="flex items-center justify-between text-sm">
+                    <div className="flex items-center gap-2">
+                      <Link2 className="h-4 w-4 text-muted-foreground" />
+                      <span>{productNames[row.receivedProductId] || 'Producto'}</span>
+                      {row.substitution && (
+                        <Badge className="bg-blue-100 text-blue-800 border-0">Codigo equivalente</Badge>
+                      )}
+                    </div>
+                    <div className="flex items-center gap-2">
+                      <span className="text-muted-foreground">{pedidoLabel(row)}</span>
+                      <Badge variant="secondary">{row.quantity}</Badge>
+                    </div>
+                  </div>
+                ))}
+                {unallocatedTotal > 0 && (
+                  <div className="text-sm text-yellow-700 bg-yellow-50 p-2 rounded-lg">
+                    <AlertCircle className="h-4 w-4 inline-block mr-2" />
+                    {unallocatedTotal} unidad(es) sin pedido pendiente (sobre-entrega o producto no pedido)
+                  </div>
+                )}
+              </CardContent>
+            )}
+          </Card>
+        )}
+
         {/* Summary & Submit */}
         <Card>
           <CardContent className="pt-6">
@@ -914,37 +978,32 @@ export default function GoodsReceipt() {
                 ) : (
                   <div className="text-sm text-muted-foreground">
                     {receiptResult.sapResult?.error || 'Los datos se guardaron localmente pero no se enviaron a SAP'}
+                    {receiptResult.sapResult?.queued && (
+                      <div className="mt-2">Quedó en la cola SAP y se reintentará automáticamente.</div>
+                    )}
                   </div>
                 )}
               </div>
             </div>
           )}
 
-          {suggestedPedidos.length > 0 && (
-            <div className="bg-purple-50 border border-purple-200 rounded-lg p-3 flex items-center gap-3">
-              <ShoppingCart className="h-5 w-5 text-purple-600 flex-shrink-0" />
-              <div className="text-sm">
-                <span className="font-medium text-purple-800">
-                  {suggestedPedidos.length} pedido{suggestedPedidos.length !== 1 ? 's' : ''} pendiente{suggestedPedidos.length !== 1 ? 's' : ''}
-                </span>
-                <span className="text-purple-700">
-                  {' '}con productos de esta recepcion
-                </span>
+          {receiptResult?.pedidos?.length > 0 && (
+            <div className="bg-purple-50 border border-purple-200 rounded-lg p-3 space-y-1">
+              <div className="flex items-center gap-2 text-sm font-medium text-purple-800">
+                <ShoppingCart className="h-4 w-4 text-purple-600" />
+                Pedidos actualizados
               </div>
+              {receiptResult.pedidos.map((pedido) => (
+                <div key={pedido._id} className="flex justify-between text-sm text-purple-700">
+                  <span>{pedidoLabel(pedido)}</span>
+                  <span>{pedido.status === 'COMPLETO' ? 'Completo' : 'Parcial'}</span>
+                </div>
+              ))}
             </div>
           )}
 
           <DialogFooter>
-            <Button onClick={handleCloseResult}>
-              {suggestedPedidos.length > 0 ? (
-                <>
-                  <Link2 className="h-4 w-4 mr-2" />
-                  Vincular Pedidos
-                </>
-              ) : (
-                'Ver Inventario'
-              )}
-            </Button>
+            <Button onClick={handleCloseResult}>Ver Inventario</Button>
           </DialogFooter>
         </DialogContent>
       </Dialog>
@@ -1016,97 +1075,6 @@ export default function GoodsReceipt() {
         </DialogContent>
       </Dialog>
 
-      {/* Pedido Linking Dialog */}
-      <Dialog open={pedidoLinkingOpen} onOpenChange={(open) => {
-        if (!open) {
-          // User dismissed dialog - navigate to inventory
-          handleSkipPedidoLinking();
-        }
-      }}>
-        <DialogContent className="max-w-2xl max-h-[80vh] overflow-y-auto">
-          <DialogHeader>
-            <DialogTitle className="flex items-center gap-2">
-              <Link2 className="h-5 w-5 text-purple-600" />
-              Vincular a Pedido
-            </DialogTitle>
-            <DialogDescription>
-              Se encontraron pedidos pendientes con productos de esta recepcion.
-              Selecciona cual actualizar.
-            </DialogDescription>
-          </DialogHeader>
-
-          <div className="space-y-4">
-            {suggestedPedidos.map((pedido) => {
-              const totalPending = pedido.items.reduce(
-                (sum, item) => sum + (item.quantityOrdered - item.quantityReceived),
-                0
-              );
-              return (
-                <div
-                  key={pedido._id}
-                  className="border rounded-lg p-4 hover:bg-muted/50 transition-colors"
-                >
-                  <div className="flex items-start justify-between">
-                    <div className="space-y-2">
-                      <div className="flex items-center gap-2">
-                        <ShoppingCart className="h-4 w-4 text-purple-600" />
-                        <span className="font-medium">
-                          Pedido del {formatDate(pedido.orderDate)}
-                        </span>
-                        <Badge className="bg-yellow-100 text-yellow-800 border-0">
-                          {totalPending} pendientes
-                        </Badge>
-                      </div>
-                      <div className="text-sm text-muted-foreground">
-                        {pedido.items.length} producto{pedido.items.length !== 1 ? 's' : ''} coincidentes
-                      </div>
-                      <div className="mt-2 space-y-1">
-                        {pedido.items.slice(0, 3).map((item, idx) => (
-                          <div key={idx} className="text-sm flex items-center gap-2">
-                            <span className="text-muted-foreground">•</span>
-                            <span>
-                              {item.quantityOrdered - item.quantityReceived} x Producto {item.productId.toString().slice(-6)}
-                            </span>
-                          </div>
-                        ))}
-                        {pedido.items.length > 3 && (
-                          <div className="text-sm text-muted-foreground">
-                            ... y {pedido.items.length - 3} mas
-                          </div>
-                        )}
-                      </div>
-                    </div>
-                    <Button
-                      onClick={() => handleLinkPedido(pedido)}
-                      disabled={linkingPedido}
-                      className="bg-purple-600 hover:bg-purple-700"
-                    >
-                      {linkingPedido ? (
-                        <Loader2 className="h-4 w-4 animate-spin" />
-                      ) : (
-                        <>
-                          <Link2 className="h-4 w-4 mr-1" />
-                          Vincular
-                        </>
-                      )}
-                    </Button>
-                  </div>
-                </div>
-              );
-            })}
-          </div>
-
-          <DialogFooter>
-            <Button
-              variant="outline"
-              onClick={handleSkipPedidoLinking}
-              disabled={linkingPedido}
-            >
-              Omitir
-            </Button>
-          </DialogFooter>
-        </DialogContent>
-      </Dialog>
     </div>
   );
 }
@@ -6,10 +6,11 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '.
 import { Input } from '../components/ui/input';
 import { Label } from '../components/ui/label';
 import { Button } from '../components/ui/button';
-import { Package, Filter, X, CheckCircle2, XCircle, RefreshCw, ChevronDown, ChevronUp, FileBox, Download } from 'lucide-react';
+import { Package, Filter, X, CheckCircle2, XCircle, RefreshCw, ChevronDown, ChevronUp, FileBox, Download, Paperclip, ShoppingCart } from 'lucide-react';
 import { Badge } from '../components/ui/badge';
 import { formatDate } from '../lib/utils';
 import { useToast } from '../components/ui/toast';
+import SourceDocuments from '../components/SourceDocuments';
 
 export default function GoodsReceiptHistory() {
   const queryClient = useQueryClient();
@@ -43,14 +44,43 @@ export default function GoodsReceiptHistory() {
     mutationFn: (receiptId) => goodsReceiptApi.retrySap(receiptId),
     onSuccess: (response) => {
       queryClient.invalidateQueries(['goods-receipts']);
-      if (response.data.sapIntegration?.pushed) {
-        toast.success(`Sincronizado con SAP - Doc #${response.data.sapIntegration.docNum}`);
+      if (response.data.success) {
+        toast.success(`Sincronizado con SAP - Doc #${response.data.sapResult?.sapDocNum}`);
       } else {
-        toast.error(`Error SAP: ${response.data.sapIntegration?.error}`);
+        toast.error(`Error SAP: ${response.data.error}. Se reintentará automáticamente.`);
       }
     },
     onError: (error) => {
-      toast.error(error.response?.data?.message || 'Error al reintentar sincronización');
+      toast.error(error.response?.data?.error || 'Error al reintentar sincronización');
+    },
+  });
+
+  const attachMutation = useMutation({
+    mutationFn: (receiptId) => goodsReceiptApi.attachDocuments(receiptId),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['goods-receipts']);
+      toast.success('Packing list adjuntado al documento SAP');
+    },
+    onError: (error) => {
+      queryClient.invalidateQueries(['goods-receipts']);
+      toast.error(error.response?.data?.error || 'Error al adjuntar documentos en SAP');
+    },
+  });
+
+  const allocateMutation = useMutation({
+    mutationFn: (receiptId) => goodsReceiptApi.allocatePedidos(receiptId),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['goods-receipts']);
+      queryClient.invalidateQueries(['pedidos']);
+      const count = response.data.pedidoIds?.length || 0;
+      if (count > 0) {
+        toast.success(`Entrada asignada a ${count} pedido${count !== 1 ? 's' : ''}`);
+      } else {
+        toast.warning('Ningun pedido pendiente coincide con esta entrada');
+      }
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Error al asignar a pedidos');
     },
   });
 
@@ -80,6 +110,15 @@ export default function GoodsReceiptHistory() {
         color: 'bg-green-100 text-green-700 border-green-200',
       };
     }
+    if (sap.status === 'RETRYING') {
+      return {
+        status: 'failed',
+        label: 'Reintentando SAP',
+        icon: RefreshCw,
+        color: 'bg-orange-100 text-orange-700 border-orange-200',
+        error: sap.error,
+      };
+    }
     return {
       status: 'failed',
       label: 'Error SAP',
@@ -235,8 +274,14 @@ export default function GoodsReceiptHistory() {
                                 {sapStatus.label}
                               </Badge>
                             </div>
-                            <div className="text-sm text-muted-foreground">
+                            <div className="text-sm text-muted-foreground flex items-center gap-1">
                               {receipt.items?.length || 0} líneas | Proveedor: {receipt.supplier || 'N/A'}
+                              {receipt.documents?.length > 0 && (
+                                <span className="flex items-center gap-0.5 ml-1" title="Documentos de origen">
+                                  <Paperclip className="h-3 w-3" />
+                                  {receipt.documents.length}
+                                </span>
+                              )}
                             </div>
                           </div>
                           <div className="flex items-center gap-2">
@@ -302,16 +347,51 @@ export default function GoodsReceiptHistory() {
                                   <span className="text-muted-foreground ml-2">
                                     Vence: {formatDate(item.expiryDate)}
                                   </span>
+                                  {receipt.pedidosAllocatedAt && (
+                                    <div className="text-xs text-muted-foreground">
+                                      {item.pedidoAllocations?.reduce((sum, a) => sum + a.quantity, 0) || 0} en pedidos
+                                      {item.pedidoAllocations?.some((a) => a.substitution) && ' (codigo equivalente)'}
+                                      {item.unallocatedQuantity > 0 && `, ${item.unallocatedQuantity} sin pedido`}
+                                    </div>
+                                  )}
                                 </div>
                               </div>
                             ))}
                           </div>
                         </div>
+                        <div className="mt-3 flex items-center justify-between text-sm">
+                          <div className="flex items-center gap-2 text-muted-foreground">
+                            <ShoppingCart className="h-4 w-4" />
+                            {receipt.pedidosAllocatedAt
+                              ? `Asignada a ${receipt.pedidoIds?.length || 0} pedido${receipt.pedidoIds?.length !== 1 ? 's' : ''}`
+                              : 'Sin asignar a pedidos'}
+                          </div>
+                          {!receipt.pedidosAllocatedAt && (
+                            <Button
+                              variant="outline"
+                              size="sm"
+                              onClick={() => allocateMutation.mutate(receipt._id)}
+                              disabled={allocateMutation.isPending}
+                            >
+                              Asignar a pedidos
+                            </Button>
+                          )}
+                        </div>
                         {receipt.notes && (
                           <div className="mt-3 text-sm text-muted-foreground">
                             <span className="font-medium">Notas:</span> {receipt.notes}
                           </div>
                         )}
+                        {receipt.documents?.length > 0 && (
+                          <div className="mt-3">
+                            <SourceDocuments
+                              documents={receipt.documents}
+                              sapIntegration={receipt.sapIntegration}
+                              onAttach={() => attachMutation.mutate(receipt._id)}
+                              attaching={attachMutation.isPending}
+                            />
+                          </div>
+                        )}
                       </div>
                     )}
                   </div>
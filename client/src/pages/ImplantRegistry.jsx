@@ -0,0 +1,412 @@
+import { useState, useMemo } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { procedimientosApi, medicosApi, locacionesApi } from '../lib/api';
+import { useAuth } from '../context/AuthContext';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '../components/ui/dialog';
+import { Label } from '../components/ui/label';
+import { Input } from '../components/ui/input';
+import { Button } from '../components/ui/button';
+import { Badge } from '../components/ui/badge';
+import { useToast } from '../components/ui/toast';
+import { formatDate } from '../lib/utils';
+import { HeartPulse, Search, Plus, Pencil, Eye, Loader2 } from 'lucide-react';
+
+const SEARCH_MODES = {
+  lotNumber: { label: 'Lote', placeholder: 'Uno o varios lotes, separados por coma' },
+  patientIdentifier: { label: 'Paciente', placeholder: 'Cédula o récord del paciente' },
+};
+
+const EMPTY_MEDICO = {
+  name: '',
+  licenseNumber: '',
+  specialty: '',
+  phone: '',
+  email: '',
+  centroIds: [],
+  active: true,
+};
+
+/**
+ * Implant registry: which patients received a lot (recalls, adverse events)
+ * and the doctors that implant at each centro.
+ */
+export default function ImplantRegistry() {
+  const queryClient = useQueryClient();
+  const toast = useToast();
+  const { hasPermission } = useAuth();
+  const canViewPatientData = hasPermission('viewPatientData');
+
+  const [searchMode, setSearchMode] = useState('lotNumber');
+  const [searchTerm, setSearchTerm] = useState('');
+  const [searchParams, setSearchParams] = useState(null);
+  const [revealed, setRevealed] = useState({});
+
+  const [medicoDialogOpen, setMedicoDialogOpen] = useState(false);
+  const [editingMedicoId, setEditingMedicoId] = useState(null);
+  const [medicoForm, setMedicoForm] = useState(EMPTY_MEDICO);
+
+  const { data: allLocations } = useQuery({
+    queryKey: ['locations'],
+    queryFn: () => locacionesApi.getAll({ active: true }).then((res) => res.data),
+  });
+
+  const centros = useMemo(() => {
+    return allLocations?.filter((loc) => loc.type === 'CENTRO') || [];
+  }, [allLocations]);
+
+  const { data: results, isFetching: searching, error: searchError } = useQuery({
+    queryKey: ['procedimientos', 'search', searchParams],
+    queryFn: () => procedimientosApi.search(searchParams).then((res) => res.data),
+    enabled: !!searchParams,
+    retry: false,
+  });
+
+  const { data: medicos, isLoading: loadingMedicos } = useQuery({
+    queryKey: ['medicos', 'all'],
+    queryFn: () => medicosApi.getAll({ active: 'all' }).then((res) => res.data),
+  });
+
+  const handleSearch = (e) => {
+    e.preventDefault();
+    if (!searchTerm.trim()) return;
+    setRevealed({});
+    setSearchParams({ [searchMode]: searchTerm.trim() });
+  };
+
+  const revealMutation = useMutation({
+    mutationFn: (id) => procedimientosApi.getPatientIdentifier(id),
+    onSuccess: (response, id) => {
+      setRevealed((prev) => ({ ...prev, [id]: response.data.identifier }));
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.error || 'Error al ver el identificador');
+    },
+  });
+
+  const closeMedicoDialog = () => {
+    setMedicoDialogOpen(false);
+    setEditingMedicoId(null);
+    setMedicoForm(EMPTY_MEDICO);
+  };
+
+  const openEditMedico = (medico) => {
+    setEditingMedicoId(medico._id);
+    setMedicoForm({
+      name: medico.name,
+      licenseNumber: medico.licenseNumber || '',
+      specialty: medico.specialty || '',
+      phone: medico.phone || '',
+      email: medico.email || '',
+      centroIds: medico.centroIds.map((centro) => centro._id),
+      active: medico.active,
+    });
+    setMedicoDialogOpen(true);
+  };
+
+  const toggleCentro = (centroId, checked) => {
+    setMedicoForm((prev) => ({
+      ...prev,
+      centroIds: checked
+        ? [...prev.centroIds, centroId]
+        : prev.centroIds.filter((id) => id !== centroId),
+    }));
+  };
+
+  const saveMedicoMutation = useMutation({
+    mutationFn: () =>
+      editingMedicoId ? medicosApi.update(editingMedicoId, medicoForm) : medicosApi.create(medicoForm),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['medicos']);
+      toast.success(editingMedicoId ? 'Médico actualizado' : 'Médico creado');
+      closeMedicoDialog();
+    },
+    onError: (error) => {
+      const data = error?.response?.data;
+      toast.error(data?.error || data?.errors?.[0]?.msg || 'Error al guardar el médico');
+    },
+  });
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold flex items-center gap-2">
+          <HeartPulse className="h-8 w-8" />
+          Registro de Implantes
+        </h1>
+        <p className="text-muted-foreground">
+          Qué pacientes recibieron cada lote, para retiros y eventos adversos. Cada consumo registra su procedimiento.
+        </p>
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Buscar</CardTitle>
+          <CardDescription>
+            Los consumos anteriores al registro aparecen por lote, sin identificador del paciente.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <form onSubmit={handleSearch} className="flex flex-wrap items-end gap-3">
+            <div className="grid gap-2 w-40">
+              <Label>Buscar por</Label>
+              <Select value={searchMode} onValueChange={setSearchMode}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(SEARCH_MODES).map(([mode, { label }]) => (
+                    <SelectItem key={mode} value={mode}>{label}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="grid gap-2 flex-1 min-w-[240px]">
+              <Label htmlFor="registrySearch">{SEARCH_MODES[searchMode].label}</Label>
+              <Input
+                id="registrySearch"
+                value={searchTerm}
+                onChange={(e) => setSearchTerm(e.target.value)}
+                placeholder={SEARCH_MODES[searchMode].placeholder}
+                autoComplete="off"
+              />
+            </div>
+            <Button type="submit" disabled={!searchTerm.trim() || searching}>
+              {searching ? <Loader2 className="mr-2 h-4 w-4 animate-spin" /> : <Search className="mr-2 h-4 w-4" />}
+              Buscar
+            </Button>
+          </form>
+
+          {searchError && (
+            <p className="text-sm text-red-600">
+              {searchError.response?.data?.error || 'Error al buscar en el registro'}
+            </p>
+          )}
+
+          {results && (
+            results.length === 0 ? (
+              <p className="text-sm text-muted-foreground">Sin procedimientos registrados.</p>
+            ) : (
+              <div className="border rounded-md overflow-x-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b bg-muted/50">
+                      <th className="text-left p-2">Fecha</th>
+                      <th className="text-left p-2">Centro</th>
+                      <th className="text-left p-2">Paciente</th>
+                      <th className="text-left p-2">Doctor</th>
+                      <th className="text-left p-2">Implantes</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {results.map((procedimiento) => (
+                      <tr key={procedimiento._id || procedimiento.consumoId} className="border-b align-top">
+                        <td className="p-2 whitespace-nowrap">
+                          {formatDate(procedimiento.procedureDate)}
+                          {procedimiento.procedureType && (
+                            <div className="text-xs text-muted-foreground">{procedimiento.procedureType}</div>
+                          )}
+                        </td>
+                        <td className="p-2">{procedimiento.centroName}</td>
+                        <td className="p-2">
+                          <div>{procedimiento.patient?.name || <span className="text-muted-foreground">Sin nombre</span>}</div>
+                          {procedimiento.patient?.hasIdentifier && (
+                            <div className="flex items-center gap-1 text-xs text-muted-foreground">
+                              {revealed[procedimiento._id] ? (
+                                <span className="font-mono">{revealed[procedimiento._id]}</span>
+                              ) : (
+                                <>
+                                  <span className="font-mono">···{procedimiento.patient.identifierLast4}</span>
+                                  {canViewPatientData && (
+                                    <Button
+                                      variant="ghost"
+                                      size="sm"
+                                      className="h-6 px-1"
+                                      disabled={revealMutation.isPending}
+                                      onClick={() => revealMutation.mutate(procedimiento._id)}
+                                      title="Ver identificador"
+                                    >
+                                      <Eye className="h-3 w-3" />
+                                    </Button>
+                                  )}
+                                </>
+                              )}
+                            </div>
+                          )}
+                          {procedimiento.legacy && <Badge variant="outline" className="mt-1">Anterior al registro</Badge>}
+                        </td>
+                        <td className="p-2">{procedimiento.doctorName || '-'}</td>
+                        <td className="p-2">
+                          {procedimiento.implants.map((implant, index) => (
+                            <div key={index}>
+                              <span className="font-mono">{implant.lotNumber}</span>
+                              <span className="text-muted-foreground"> · {implant.productName} × {implant.quantity}</span>
+                            </div>
+                          ))}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            )
+          )}
+        </CardContent>
+      </Card>
+
+      <Card>
+        <CardHeader className="flex flex-row items-start justify-between gap-4">
+          <div>
+            <CardTitle>Médicos</CardTitle>
+            <CardDescription>
+              Médicos que implantan en cada centro. Sin centros asignados, se ofrecen en todos.
+            </CardDescription>
+          </div>
+          <Button onClick={() => setMedicoDialogOpen(true)}>
+            <Plus className="mr-2 h-4 w-4" />
+            Nuevo médico
+          </Button>
+        </CardHeader>
+        <CardContent>
+          {loadingMedicos ? (
+            <div className="flex justify-center py-8">
+              <Loader2 className="h-6 w-6 animate-spin" />
+            </div>
+          ) : !medicos?.length ? (
+            <p className="text-sm text-muted-foreground">No hay médicos registrados.</p>
+          ) : (
+            <div className="border rounded-md">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b bg-muted/50">
+                    <th className="text-left p-2">Nombre</th>
+                    <th className="text-left p-2">Exequátur</th>
+                    <th className="text-left p-2">Especialidad</th>
+                    <th className="text-left p-2">Centros</th>
+                    <th className="text-left p-2">Estado</th>
+                    <th className="text-right p-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {medicos.map((medico) => (
+                    <tr key={medico._id} className="border-b">
+                      <td className="p-2 font-medium">{medico.name}</td>
+                      <td className="p-2">{medico.licenseNumber || '-'}</td>
+                      <td className="p-2">{medico.specialty || '-'}</td>
+                      <td className="p-2">
+                        {medico.centroIds.length
+                          ? medico.centroIds.map((centro) => centro.name).join(', ')
+                          : <span className="text-muted-foreground">Todos</span>}
+                      </td>
+                      <td className="p-2">
+                        {medico.active ? <Badge variant="outline">Activo</Badge> : <Badge variant="secondary">Inactivo</Badge>}
+                      </td>
+                      <td className="p-2 text-right">
+                        <Button variant="ghost" size="sm" onClick={() => openEditMedico(medico)}>
+                          <Pencil className="h-4 w-4" />
+                        </Button>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <Dialog open={medicoDialogOpen} onOpenChange={(open) => !open && closeMedicoDialog()}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{editingMedicoId ? 'Editar médico' : 'Nuevo médico'}</DialogTitle>
+            <DialogDescription>Los procedimientos ya registrados conservan el nombre con que se registraron.</DialogDescription>
+          </DialogHeader>
+
+          <div className="grid gap-4">
+            <div className="grid gap-2">
+              <Label htmlFor="medicoName">Nombre *</Label>
+              <Input
+                id="medicoName"
+                value={medicoForm.name}
+                onChange={(e) => setMedicoForm({ ...medicoForm, name: e.target.value })}
+              />
+            </div>
+            <div className="grid gap-4 md:grid-cols-2">
+              <div className="grid gap-2">
+                <Label htmlFor="medicoLicense">Exequátur</Label>
+                <Input
+                  id="medicoLicense"
+                  value={medicoForm.licenseNumber}
+                  onChange={(e) => setMedicoForm({ ...medicoForm, licenseNumber: e.target.value })}
+                />
+              </div>
+              <div className="grid gap-2">
+                <Label htmlFor="medicoSpecialty">Especialidad</Label>
+                <Input
+                  id="medicoSpecialty"
+                  value={medicoForm.specialty}
+                  onChange={(e) => setMedicoForm({ ...medicoForm, specialty: e.target.value })}
+                />
+              </div>
+              <div className="grid gap-2">
+                <Label htmlFor="medicoPhone">Teléfono</Label>
+                <Input
+                  id="medicoPhone"
+                  value={medicoForm.phone}
+                  onChange={(e) => setMedicoForm({ ...medicoForm, phone: e.target.value })}
+                />
+              </div>
+              <div className="grid gap-2">
+                <Label htmlFor="medicoEmail">Email</Label>
+                <Input
+                  id="medicoEmail"
+                  type="email"
+                  value={medicoForm.email}
+                  onChange={(e) => setMedicoForm({ ...medicoForm, email: e.target.value })}
+                />
+              </div>
+            </div>
+            <div className="grid gap-2">
+              <Label>Centros</Label>
+              <div className="grid grid-cols-2 gap-2 max-h-40 overflow-y-auto">
+                {centros.map((centro) => (
+                  <label key={centro._id} className="flex items-center gap-2 text-sm">
+                    <input
+                      type="checkbox"
+                      checked={medicoForm.centroIds.includes(centro._id)}
+                      onChange={(e) => toggleCentro(centro._id, e.target.checked)}
+                      className="h-4 w-4"
+                    />
+                    {centro.name}
+                  </label>
+                ))}
+              </div>
+            </div>
+            {editingMedicoId && (
+              <label className="flex items-center gap-2 text-sm">
+                <input
+                  type="checkbox"
+                  checked={medicoForm.active}
+                  onChange={(e) => setMedicoForm({ ...medicoForm, active: e.target.checked })}
+                  className="h-4 w-4"
+                />
+                Activo
+              </label>
+            )}
+          </div>
+
+          <DialogFooter>
+            <Button variant="outline" onClick={closeMedicoDialog}>Cancelar</Button>
+            <Button
+              onClick={() => saveMedicoMutation.mutate()}
+              disabled={!medicoForm.name.trim() || saveMedicoMutation.isPending}
+            >
+              {saveMedicoMutation.isPending ? 'Guardando...' : 'Guardar'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
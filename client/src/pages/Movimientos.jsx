@@ -1,6 +1,7 @@
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
+import { useLocation, useNavigate } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient, keepPreviousData } from '@tanstack/react-query';
-import { analyticsApi, locacionesApi, inventarioObjetivosApi } from '../lib/api';
+import { analyticsApi, locacionesApi, inventarioObjetivosApi, trasladosApi, consumptionApi } from '../lib/api';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
 import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
 import { Dialog, DialogContent, DialogFooter, DialogHeader, DialogTitle } from '../components/ui/dialog';
@@ -9,7 +10,7 @@ import { Input } from '../components/ui/input';
 import { Button } from '../components/ui/button';
 import { Badge } from '../components/ui/badge';
 import { useToast } from '../components/ui/toast';
-import { AlertTriangle, CheckCircle2, Edit, Loader2, TrendingUp } from 'lucide-react';
+import { AlertTriangle, ArrowLeftRight, ArrowDownLeft, ArrowUpRight, CheckCircle2, Edit, Loader2, RefreshCw, TrendingUp } from 'lucide-react';
 
 const MONTH_LABELS = {
   '01': 'Ene', '02': 'Feb', '03': 'Mar', '04': 'Abr',
@@ -28,8 +29,25 @@ export default function Movimientos() {
   const [category, setCategory] = useState('all');
   const [editingProduct, setEditingProduct] = useState(null);
   const [editOpen, setEditOpen] = useState(false);
+  const [transferOpen, setTransferOpen] = useState(false);
+  const [transferTo, setTransferTo] = useState('');
+  const [transferQuantities, setTransferQuantities] = useState({});
   const queryClient = useQueryClient();
   const toast = useToast();
+  const location = useLocation();
+  const navigate = useNavigate();
+
+  // Draft handed over by another page (e.g. rotation suggestions): open the
+  // transfer dialog prefilled, then drop the state so a reload doesn't reopen it
+  useEffect(() => {
+    const draft = location.state?.trasladoDraft;
+    if (!draft) return;
+    setCentro(draft.fromLocationId);
+    setTransferTo(draft.toLocationId || '');
+    setTransferQuantities(draft.quantities || {});
+    setTransferOpen(true);
+    navigate(location.pathname, { replace: true, state: null });
+  }, [location.state, location.pathname, navigate]);
 
   const { data: locations } = useQuery({
     queryKey: ['locaciones'],
@@ -52,6 +70,58 @@ export default function Movimientos() {
     placeholderData: keepPreviousData,
   });
 
+  const { data: traslados } = useQuery({
+    queryKey: ['traslados', selectedCentro],
+    queryFn: () => trasladosApi.getAll({ centroId: selectedCentro, limit: 20 }).then((res) => res.data),
+    enabled: !!selectedCentro,
+  });
+
+  const { data: centroInventory, isLoading: inventoryLoading } = useQuery({
+    queryKey: ['centro-inventory', selectedCentro],
+    queryFn: () => consumptionApi.getInventory(selectedCentro).then((res) => res.data),
+    enabled: !!selectedCentro && transferOpen,
+  });
+
+  const createTrasladoMutation = useMutation({
+    mutationFn: (data) => trasladosApi.create(data),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries(['traslados']);
+      queryClient.invalidateQueries(['monthly-movements']);
+      queryClient.invalidateQueries(['centro-inventory']);
+      setTransferOpen(false);
+      setTransferTo('');
+      setTransferQuantities({});
+      const sapResult = res.data?.sapResult;
+      if (sapResult && !sapResult.success) {
+        toast.warning(sapResult.queued
+          ? 'Traslado creado. Quedó en la cola SAP y se reintentará automáticamente.'
+          : `Traslado creado, pero no se pudo enviar a SAP: ${sapResult.error}`);
+      } else {
+        toast.success(sapResult?.sapDocNum ? `Traslado creado (SAP #${sapResult.sapDocNum})` : 'Traslado creado');
+      }
+    },
+    onError: (error) => {
+      const message = error?.response?.data?.error || error?.message || 'Error al crear traslado';
+      toast.error(message);
+    },
+  });
+
+  const retrySapMutation = useMutation({
+    mutationFn: (id) => trasladosApi.retrySap(id),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries(['traslados']);
+      if (res.data.success) {
+        toast.success(`SAP sync exitoso - DocNum: ${res.data.sapResult?.sapDocNum}`);
+      } else {
+        toast.error(`Error SAP: ${res.data.error}. Se reintentará automáticamente.`);
+      }
+    },
+    onError: (error) => {
+      const message = error?.response?.data?.error || error?.message || 'Error al reintentar SAP';
+      toast.error(message);
+    },
+  });
+
   const upsertTargetMutation = useMutation({
     mutationFn: (data) => inventarioObjetivosApi.upsert(data),
     onSuccess: () => {
@@ -82,6 +152,37 @@ export default function Movimientos() {
     });
   };
 
+  const openTransfer = () => {
+    setTransferTo('');
+    setTransferQuantities({});
+    setTransferOpen(true);
+  };
+
+  const handleTransferQuantity = (loteId, value, max) => {
+    const qty = Math.max(0, Math.min(parseInt(value) || 0, max));
+    setTransferQuantities((prev) => ({ ...prev, [loteId]: qty }));
+  };
+
+  const transferItems = Object.entries(transferQuantities)
+    .filter(([, quantity]) => quantity > 0)
+    .map(([loteId, quantity]) => ({ loteId, quantity }));
+
+  const handleCreateTransfer = () => {
+    if (!transferTo) {
+      toast.error('Seleccione el centro destino');
+      return;
+    }
+    if (transferItems.length === 0) {
+      toast.error('Ingrese al menos una cantidad');
+      return;
+    }
+    createTrasladoMutation.mutate({
+      fromLocationId: selectedCentro,
+      toLocationId: transferTo,
+      items: transferItems,
+    });
+  };
+
   const getStatusColor = (status) => {
     switch (status) {
       case 'critical': return 'bg-red-100 text-red-800';
@@ -115,11 +216,17 @@ export default function Movimientos() {
 
   return (
     <div className="space-y-6">
-      <div>
-        <h1 className="text-3xl font-bold">Movimientos por Centro</h1>
-        <p className="text-muted-foreground">
-          Consumo mensual por producto en los últimos 12 meses
-        </p>
+      <div className="flex items-center justify-between">
+        <div>
+          <h1 className="text-3xl font-bold">Movimientos por Centro</h1>
+          <p className="text-muted-foreground">
+            Consumo mensual por producto en los últimos 12 meses
+          </p>
+        </div>
+        <Button onClick={openTransfer} disabled={!selectedCentro || centros.length < 2}>
+          <ArrowLeftRight className="mr-2 h-4 w-4" />
+          Trasladar a otro centro
+        </Button>
       </div>
 
       {/* Summary Cards */}
@@ -296,6 +403,157 @@ export default function Movimientos() {
         </CardContent>
       </Card>
 
+      {/* Transfers between centros */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Traslados entre Centros</CardTitle>
+          <CardDescription>
+            Últimos traslados desde o hacia {centros.find((c) => c._id === selectedCentro)?.name || 'el centro seleccionado'}
+          </CardDescription>
+        </CardHeader>
+        <CardContent>
+          {traslados?.length > 0 ? (
+            <div className="space-y-3">
+              {traslados.map((traslado) => {
+                const outgoing = traslado.fromLocationId?._id === selectedCentro;
+                const totalQty = traslado.items.reduce((sum, i) => sum + i.quantity, 0);
+                return (
+                  <div key={traslado._id} className="flex items-start justify-between border rounded-lg p-3">
+                    <div className="flex items-start gap-3">
+                      {outgoing ? (
+                        <ArrowUpRight className="h-5 w-5 text-orange-600 mt-0.5" />
+                      ) : (
+                        <ArrowDownLeft className="h-5 w-5 text-green-600 mt-0.5" />
+                      )}
+                      <div>
+                        <div className="font-medium text-sm">
+                          {outgoing
+                            ? `Enviado a ${traslado.toLocationId?.name || '-'}`
+                            : `Recibido de ${traslado.fromLocationId?.name || '-'}`}
+                        </div>
+                        <div className="text-xs text-muted-foreground">
+                          {traslado.items.map((i) => `${i.productId?.name || i.lotNumber} (${i.lotNumber}) × ${i.quantity}`).join(', ')}
+                        </div>
+                      </div>
+                    </div>
+                    <div className="text-right text-xs text-muted-foreground">
+                      <div className="font-medium text-foreground">{totalQty} u.</div>
+                      <div>{new Date(traslado.createdAt).toLocaleDateString('es-ES')}</div>
+                      {traslado.sapIntegration?.docNum && <div>SAP #{traslado.sapIntegration.docNum}</div>}
+                      {['FAILED', 'RETRYING'].includes(traslado.sapIntegration?.status) && (
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          className="mt-1 h-7 border-red-300 text-red-700 hover:bg-red-100"
+                          title={traslado.sapIntegration.error || undefined}
+                          onClick={() => retrySapMutation.mutate(traslado._id)}
+                          disabled={retrySapMutation.isPending}
+                        >
+                          <RefreshCw className={`h-3 w-3 mr-1 ${retrySapMutation.isPending ? 'animate-spin' : ''}`} />
+                          Reintentar SAP
+                        </Button>
+                      )}
+                    </div>
+                  </div>
+                );
+              })}
+            </div>
+          ) : (
+            <p className="text-center py-6 text-muted-foreground text-sm">
+              No hay traslados para este centro
+            </p>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Transfer Dialog */}
+      <Dialog open={transferOpen} onOpenChange={setTransferOpen}>
+        <DialogContent className="max-w-2xl">
+          <DialogHeader>
+            <DialogTitle>Trasladar a otro centro</DialogTitle>
+          </DialogHeader>
+          <div className="space-y-4 py-2">
+            <div className="grid gap-2">
+              <Label>Origen</Label>
+              <p className="text-sm font-medium">{centros.find((c) => c._id === selectedCentro)?.name}</p>
+            </div>
+            <div className="grid gap-2">
+              <Label>Centro destino</Label>
+              <Select value={transferTo} onValueChange={setTransferTo}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Seleccionar centro destino" />
+                </SelectTrigger>
+                <SelectContent>
+                  {centros.filter((c) => c._id !== selectedCentro).map((loc) => (
+                    <SelectItem key={loc._id} value={loc._id}>
+                      {loc.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="max-h-[360px] overflow-y-auto border rounded-lg">
+              {inventoryLoading ? (
+                <div className="flex justify-center py-6">
+                  <Loader2 className="h-5 w-5 animate-spin text-muted-foreground" />
+                </div>
+              ) : centroInventory?.items?.length > 0 ? (
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b bg-muted/50">
+                      <th className="text-left p-2 font-medium">Producto</th>
+                      <th className="text-left p-2 font-medium">Lote</th>
+                      <th className="text-left p-2 font-medium">Vence</th>
+                      <th className="text-center p-2 font-medium">Disp.</th>
+                      <th className="text-center p-2 font-medium w-[90px]">Cantidad</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {centroInventory.items.flatMap((product) =>
+                      product.lots.map((lot) => (
+                        <tr key={lot.loteId} className="border-b">
+                          <td className="p-2 text-xs">
+                            <div className="font-medium">{product.productName}</div>
+                            <div className="text-muted-foreground">{product.sapItemCode}</div>
+                          </td>
+                          <td className="p-2 text-xs">{lot.lotNumber}</td>
+                          <td className="p-2 text-xs">
+                            {lot.expiryDate ? new Date(lot.expiryDate).toLocaleDateString('es-ES') : '-'}
+                          </td>
+                          <td className="p-2 text-center text-xs">{lot.quantityAvailable}</td>
+                          <td className="p-2">
+                            <Input
+                              type="number"
+                              min="0"
+                              max={lot.quantityAvailable}
+                              value={transferQuantities[lot.loteId] || ''}
+                              onChange={(e) => handleTransferQuantity(lot.loteId, e.target.value, lot.quantityAvailable)}
+                              className="h-8 text-center"
+                            />
+                          </td>
+                        </tr>
+                      ))
+                    )}
+                  </tbody>
+                </table>
+              ) : (
+                <p className="text-center py-6 text-muted-foreground text-sm">
+                  No hay lotes disponibles en este centro
+                </p>
+              )}
+            </div>
+          </div>
+          <DialogFooter>
+            <Button type="button" variant="outline" onClick={() => setTransferOpen(false)}>
+              Cancelar
+            </Button>
+            <Button onClick={handleCreateTransfer} disabled={createTrasladoMutation.isPending || transferItems.length === 0}>
+              {createTrasladoMutation.isPending ? 'Trasladando...' : `Trasladar (${transferItems.reduce((sum, i) => sum + i.quantity, 0)} u.)`}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
       {/* Edit Target Dialog */}
       <Dialog open={editOpen} onOpenChange={setEditOpen}>
         <DialogContent>
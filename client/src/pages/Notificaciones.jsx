@@ -0,0 +1,93 @@
+import { useState } from 'react';
+import { useInfiniteQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { notificationsApi } from '../lib/api';
+import { Card, CardContent } from '../components/ui/card';
+import { Button } from '../components/ui/button';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { NotificationItem, useOpenNotification } from '../components/NotificationBell';
+import { CheckCheck, Loader2 } from 'lucide-react';
+
+const PAGE_SIZE = 30;
+
+export default function Notificaciones() {
+  const [filter, setFilter] = useState('all');
+  const queryClient = useQueryClient();
+  const openNotification = useOpenNotification();
+
+  const { data, isLoading, fetchNextPage, hasNextPage, isFetchingNextPage } = useInfiniteQuery({
+    queryKey: ['notifications', 'feed', filter],
+    queryFn: ({ pageParam }) =>
+      notificationsApi
+        .getAll({ unread: filter === 'unread' || undefined, before: pageParam, limit: PAGE_SIZE })
+        .then((res) => res.data),
+    initialPageParam: undefined,
+    getNextPageParam: (lastPage) =>
+      lastPage.hasMore ? lastPage.notifications[lastPage.notifications.length - 1].createdAt : undefined,
+  });
+
+  const readAllMutation = useMutation({
+    mutationFn: () => notificationsApi.markAllRead(),
+    onSuccess: () => queryClient.invalidateQueries({ queryKey: ['notifications'] }),
+  });
+
+  const notifications = data?.pages.flatMap((page) => page.notifications) || [];
+  const unreadCount = data?.pages[0]?.unreadCount || 0;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between">
+        <div>
+          <h1 className="text-3xl font-bold">Notificaciones</h1>
+          <p className="text-muted-foreground">
+            Actividad de consignaciones, SAP y reconciliación que le concierne
+          </p>
+        </div>
+        <Button
+          variant="outline"
+          onClick={() => readAllMutation.mutate()}
+          disabled={unreadCount === 0 || readAllMutation.isPending}
+        >
+          <CheckCheck className="h-4 w-4 mr-2" />
+          Marcar todas como leídas
+        </Button>
+      </div>
+
+      <Select value={filter} onValueChange={setFilter}>
+        <SelectTrigger className="w-48">
+          <SelectValue />
+        </SelectTrigger>
+        <SelectContent>
+          <SelectItem value="all">Todas</SelectItem>
+          <SelectItem value="unread">No leídas ({unreadCount})</SelectItem>
+        </SelectContent>
+      </Select>
+
+      <Card>
+        <CardContent className="p-0">
+          {isLoading ? (
+            <p className="py-12 text-center text-muted-foreground">Cargando...</p>
+          ) : notifications.length === 0 ? (
+            <p className="py-12 text-center text-muted-foreground">
+              {filter === 'unread' ? 'No tiene notificaciones sin leer' : 'No tiene notificaciones'}
+            </p>
+          ) : (
+            <div className="divide-y">
+              {notifications.map((notification) => (
+                <NotificationItem key={notification._id} notification={notification} onOpen={openNotification} />
+              ))}
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {hasNextPage && (
+        <div className="text-center">
+          <Button variant="outline" onClick={() => fetchNextPage()} disabled={isFetchingNextPage}>
+            {isFetchingNextPage && <Loader2 className="h-4 w-4 mr-2 animate-spin" />}
+            Ver más
+          </Button>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -8,8 +8,8 @@ import { Input } from '../components/ui/input';
 import { Label } from '../components/ui/label';
 import { Button } from '../components/ui/button';
 import { Badge } from '../components/ui/badge';
-import { ShoppingCart, Filter, X, ChevronDown, ChevronUp, Package, Clock, CheckCircle2, XCircle, AlertTriangle, Loader2 } from 'lucide-react';
-import { formatDate } from '../lib/utils';
+import { ShoppingCart, Filter, X, ChevronDown, ChevronUp, Package, Clock, CheckCircle2, XCircle, AlertTriangle, Loader2, RefreshCw, Send } from 'lucide-react';
+import { formatDate, formatDateTime } from '../lib/utils';
 import { useToast } from '../components/ui/toast';
 
 export default function Pedidos() {
@@ -34,6 +34,35 @@ export default function Pedidos() {
     },
   });
 
+  // Open quantities of the expanded pedido's Purchase Order, read from SAP
+  const expandedWithPo = pedidos?.some((p) => p._id === expandedPedido && p.sapIntegration?.docEntry);
+  const {
+    data: sapStatus,
+    isFetching: loadingSapStatus,
+    error: sapStatusError,
+    refetch: refetchSapStatus,
+  } = useQuery({
+    queryKey: ['pedido-sap-status', expandedPedido],
+    queryFn: () => pedidosApi.getSapStatus(expandedPedido).then((res) => res.data),
+    enabled: !!expandedWithPo,
+    retry: false,
+  });
+
+  const retrySapMutation = useMutation({
+    mutationFn: (pedidoId) => pedidosApi.retrySap(pedidoId),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['pedidos']);
+      if (response.data.success) {
+        toast.success(`Orden de compra SAP #${response.data.sapResult?.sapDocNum} creada`);
+      } else {
+        toast.error(response.data.error || 'SAP no aceptó la orden de compra');
+      }
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Error al enviar el pedido a SAP');
+    },
+  });
+
   const cancelMutation = useMutation({
     mutationFn: (pedidoId) => pedidosApi.cancel(pedidoId),
     onSuccess: () => {
@@ -93,6 +122,32 @@ export default function Pedidos() {
     }
   };
 
+  const getSapBadge = (pedido) => {
+    const sap = pedido.sapIntegration;
+    if (sap?.docNum) {
+      const closed = sap.documentStatus === 'CLOSED' || sap.documentStatus === 'CANCELLED';
+      return (
+        <Badge variant="outline" className={closed ? 'text-gray-600' : 'text-purple-700 border-purple-200'}>
+          OC SAP #{sap.docNum}{closed && ' (cerrada)'}
+        </Badge>
+      );
+    }
+    switch (sap?.status) {
+      case 'PENDING':
+      case 'RETRYING':
+        return <Badge className="bg-yellow-100 text-yellow-800 border-0">OC en cola SAP</Badge>;
+      case 'FAILED':
+        return <Badge className="bg-red-100 text-red-800 border-0">OC SAP con error</Badge>;
+      default:
+        return null;
+    }
+  };
+
+  const canSendToSap = (pedido) =>
+    !pedido.sapIntegration?.docNum &&
+    (pedido.status === 'PENDIENTE' || pedido.status === 'PARCIAL') &&
+    (pedido.supplierCode || pedido.sapIntegration?.status);
+
   const getTotalItems = (pedido) => {
     return pedido.items.reduce((sum, item) => sum + item.quantityOrdered, 0);
   };
@@ -126,7 +181,7 @@ export default function Pedidos() {
           Pedidos a Proveedor
         </h1>
         <p className="text-muted-foreground">
-          Seguimiento de pedidos al fabricante (uso interno, no sincronizado con SAP)
+          Seguimiento de pedidos al fabricante. Los pedidos con proveedor SAP se crean como Órdenes de Compra.
         </p>
       </div>
 
@@ -265,6 +320,9 @@ export default function Pedidos() {
                 const totalOrdered = getTotalItems(pedido);
                 const totalReceived = getTotalReceived(pedido);
                 const totalPending = getTotalPending(pedido);
+                // Expanded: items and SAP status as just read from SAP
+                const sapView = isExpanded && sapStatus?._id === pedido._id ? sapStatus : pedido;
+                const hasPo = !!pedido.sapIntegration?.docEntry;
 
                 return (
                   <div
@@ -283,6 +341,7 @@ export default function Pedidos() {
                               {formatDate(pedido.orderDate)}
                             </span>
                             {getStatusBadge(pedido.status)}
+                            {getSapBadge(sapView)}
                           </div>
                           <div className="text-sm text-muted-foreground">
                             {pedido.items.length} producto{pedido.items.length !== 1 ? 's' : ''} •
@@ -349,6 +408,61 @@ export default function Pedidos() {
                           </div>
                         </div>
 
+                        {/* SAP Purchase Order */}
+                        {(hasPo || canSendToSap(pedido)) && (
+                          <div className="mb-4 p-3 border rounded bg-white flex items-center justify-between gap-4 text-sm">
+                            {hasPo ? (
+                              <div>
+                                <span className="text-muted-foreground">Orden de compra SAP:</span>
+                                <span className="ml-2 font-medium">#{pedido.sapIntegration.docNum}</span>
+                                {sapView.sapIntegration?.documentStatus && (
+                                  <span className="ml-2">
+                                    {sapView.sapIntegration.documentStatus === 'OPEN' ? 'Abierta' : 'Cerrada'} en SAP
+                                  </span>
+                                )}
+                                {sapView.sapIntegration?.statusCheckedAt && (
+                                  <span className="ml-2 text-xs text-muted-foreground">
+                                    (consultado {formatDateTime(sapView.sapIntegration.statusCheckedAt)})
+                                  </span>
+                                )}
+                                {isExpanded && sapStatusError && (
+                                  <div className="text-xs text-red-600 mt-1">
+                                    No se pudo consultar SAP: {sapStatusError.response?.data?.error || sapStatusError.message}
+                                  </div>
+                                )}
+                              </div>
+                            ) : (
+                              <div>
+                                <span className="text-muted-foreground">Orden de compra SAP:</span>
+                                <span className="ml-2">no creada</span>
+                                {pedido.sapIntegration?.error && (
+                                  <div className="text-xs text-red-600 mt-1">{pedido.sapIntegration.error}</div>
+                                )}
+                              </div>
+                            )}
+                            {hasPo ? (
+                              <Button variant="outline" size="sm" onClick={() => refetchSapStatus()} disabled={loadingSapStatus}>
+                                <RefreshCw className={`h-4 w-4 mr-1 ${loadingSapStatus ? 'animate-spin' : ''}`} />
+                                Consultar SAP
+                              </Button>
+                            ) : (
+                              <Button
+                                variant="outline"
+                                size="sm"
+                                onClick={() => retrySapMutation.mutate(pedido._id)}
+                                disabled={retrySapMutation.isPending}
+                              >
+                                {retrySapMutation.isPending ? (
+                                  <Loader2 className="h-4 w-4 mr-1 animate-spin" />
+                                ) : (
+                                  <Send className="h-4 w-4 mr-1" />
+                                )}
+                                Enviar a SAP
+                              </Button>
+                            )}
+                          </div>
+                        )}
+
                         {/* Notes */}
                         {pedido.notes && (
                           <div className="mb-4 p-2 bg-yellow-50 border border-yellow-200 rounded text-sm">
@@ -367,12 +481,14 @@ export default function Pedidos() {
                                 <th className="text-right p-2 font-medium">Ordenado</th>
                                 <th className="text-right p-2 font-medium">Recibido</th>
                                 <th className="text-right p-2 font-medium">Pendiente</th>
+                                {hasPo && <th className="text-right p-2 font-medium">Abierto en SAP</th>}
                               </tr>
                             </thead>
                             <tbody>
                               {pedido.items.map((item, idx) => {
                                 const product = item.product;
                                 const pending = Math.max(0, item.quantityOrdered - item.quantityReceived);
+                                const sapItem = sapView.items[idx];
                                 return (
                                   <tr key={idx} className="border-b last:border-0 hover:bg-muted/20">
                                     <td className="p-2">
@@ -413,6 +529,21 @@ export default function Pedidos() {
                                         </span>
                                       )}
                                     </td>
+                                    {hasPo && (
+                                      <td className="p-2 text-right">
+                                        {sapItem?.sapOpenQuantity == null ? (
+                                          <span className="text-muted-foreground">-</span>
+                                        ) : sapItem.sapLineStatus === 'CLOSED' ? (
+                                          <span className="text-muted-foreground" title="Línea cerrada en SAP">
+                                            {sapItem.sapOpenQuantity} (cerrada)
+                                          </span>
+                                        ) : (
+                                          <span className={sapItem.sapOpenQuantity !== pending ? 'text-orange-600 font-medium' : 'font-medium'}>
+                                            {sapItem.sapOpenQuantity}
+                                          </span>
+                                        )}
+                                      </td>
+                                    )}
                                   </tr>
                                 );
                               })}
@@ -452,6 +583,7 @@ export default function Pedidos() {
               </DialogTitle>
               <DialogDescription>
                 Esta acción cancelará el pedido y no se puede deshacer.
+                {cancelDialog.sapIntegration?.docNum && ` La orden de compra SAP #${cancelDialog.sapIntegration.docNum} se cerrará.`}
               </DialogDescription>
             </DialogHeader>
             <div className="py-4">
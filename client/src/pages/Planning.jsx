@@ -9,11 +9,32 @@ import { Input } from '../components/ui/input';
 import { Button } from '../components/ui/button';
 import { Badge } from '../components/ui/badge';
 import { useToast } from '../components/ui/toast';
-import { BarChart3, TrendingUp, AlertTriangle, CheckCircle2, Edit, Warehouse, Truck, Loader2, Check, Package, ChevronDown, ChevronRight, XCircle, ShoppingCart } from 'lucide-react';
+import StockLevelCalculator from '../components/StockLevelCalculator';
+import { BarChart3, TrendingUp, AlertTriangle, CheckCircle2, Edit, Warehouse, Truck, Loader2, Check, Package, ChevronDown, ChevronRight, XCircle, ShoppingCart, Calculator } from 'lucide-react';
+
+const FORECAST_MODEL_LABELS = {
+  SES: 'Suavizado exponencial',
+  HOLT: 'Tendencia (Holt)',
+  SEASONAL_NAIVE: 'Estacional',
+  CROSTON: 'Croston (intermitente)',
+  AVERAGE: 'Promedio',
+};
+
+/**
+ * Back-test error of the chosen model: WAPE when there was demand in the
+ * back-test months, else the mean absolute error in units
+ */
+function formatForecastError(forecast) {
+  if (!forecast?.backtested) return 'sin historial suficiente';
+  if (forecast.wape != null) return `error ${Math.round(forecast.wape * 100)}%`;
+  return `error ±${forecast.mae} u.`;
+}
 
 export default function Planning() {
   const [category, setCategory] = useState('all');
   const [location, setLocation] = useState('warehouse');
+  const [basis, setBasis] = useState('forecast');
+  const [coverageMonths, setCoverageMonths] = useState('default');
   const [editingProduct, setEditingProduct] = useState(null);
   const [editOpen, setEditOpen] = useState(false);
   const [consignmentOpen, setConsignmentOpen] = useState(false);
@@ -29,6 +50,9 @@ export default function Planning() {
   // Order dialog state (bulk orders)
   const [orderOpen, setOrderOpen] = useState(false);
   const [orderItems, setOrderItems] = useState([]);
+  const [orderSupplier, setOrderSupplier] = useState('P00031');
+  // Stock level calculator dialog
+  const [calculatorOpen, setCalculatorOpen] = useState(false);
   const queryClient = useQueryClient();
   const toast = useToast();
 
@@ -41,11 +65,12 @@ export default function Planning() {
   });
 
   const { data: planningData, isLoading, isFetching } = useQuery({
-    queryKey: ['planning-data', category, location],
+    queryKey: ['planning-data', category, location, basis, coverageMonths],
     queryFn: () => {
-      const params = {};
+      const params = { basis };
       if (category && category !== 'all') params.category = category;
       if (location && location !== 'warehouse') params.locationId = location;
+      if (basis === 'forecast' && coverageMonths !== 'default') params.coverageMonths = coverageMonths;
       return analyticsApi.getPlanningData(params).then((res) => res.data);
     },
     placeholderData: keepPreviousData,
@@ -95,8 +120,12 @@ export default function Planning() {
       createConsignmentMutation.reset();
 
       // Show success toast after closing so it's visible
+      const sapResult = response.data?.sapResult;
       setTimeout(() => {
         toast.success('¡Consignación creada exitosamente! Stock deducido del almacén.');
+        if (sapResult && !sapResult.success) {
+          toast.error(`SAP: ${sapResult.error || 'no se pudo enviar'}. Quedó en cola y se reintentará automáticamente.`);
+        }
       }, 100);
     },
     onError: (error) => {
@@ -106,14 +135,28 @@ export default function Planning() {
     },
   });
 
+  // Known suppliers with SAP codes (pedidos to them become SAP Purchase Orders)
+  const orderSuppliers = [
+    { code: 'P00031', name: 'Centralmed' },
+    { code: 'other', name: 'Otro (solo interno)' },
+  ];
+
   // Mutation for creating supplier orders (bulk)
   const createOrderMutation = useMutation({
     mutationFn: pedidosApi.create,
-    onSuccess: () => {
+    onSuccess: (response) => {
       queryClient.invalidateQueries(['planning-data']);
+      queryClient.invalidateQueries(['pedidos']);
       setOrderOpen(false);
       setOrderItems([]);
-      toast.success('Pedido creado exitosamente');
+      const { sapIntegration, sapResult } = response.data;
+      if (sapIntegration?.docNum) {
+        toast.success(`Pedido creado - Orden de compra SAP #${sapIntegration.docNum}`);
+      } else if (sapResult && !sapResult.success) {
+        toast.warning('Pedido creado. La orden de compra quedó en cola para enviarse a SAP.');
+      } else {
+        toast.success('Pedido creado exitosamente');
+      }
     },
     onError: (error) => {
       console.error('Order error:', error);
@@ -159,7 +202,11 @@ export default function Planning() {
       return;
     }
 
-    createOrderMutation.mutate({ items: itemsToOrder });
+    const supplier = orderSuppliers.find(s => s.code === orderSupplier);
+    createOrderMutation.mutate({
+      items: itemsToOrder,
+      ...(orderSupplier !== 'other' && { supplier: supplier?.name, supplierCode: orderSupplier }),
+    });
   };
 
   // Load lots for warehouse when opening consignment dialog
@@ -324,12 +371,16 @@ export default function Planning() {
     e.preventDefault();
     const formData = new FormData(e.target);
     const targetStock = parseInt(formData.get('targetStock')) || 0;
+    const safetyStock = parseInt(formData.get('safetyStock')) || 0;
+    const reorderPoint = parseInt(formData.get('reorderPoint')) || 0;
 
     if (isWarehouseView) {
       // Update product inventory settings
       const data = {
         inventorySettings: {
           targetStockWarehouse: targetStock,
+          safetyStockWarehouse: safetyStock,
+          reorderPointWarehouse: reorderPoint,
         },
       };
       updateProductMutation.mutate({ productId: editingProduct.productId, data });
@@ -339,6 +390,8 @@ export default function Planning() {
         productId: editingProduct.productId,
         locationId: location,
         targetStock,
+        safetyStock,
+        reorderPoint,
       };
       upsertTargetMutation.mutate(data);
     }
@@ -466,6 +519,10 @@ export default function Planning() {
         <CardHeader>
           <div className="flex items-center justify-between">
             <CardTitle>Filtros</CardTitle>
+            <Button variant="outline" onClick={() => setCalculatorOpen(true)} className="ml-auto mr-2">
+              <Calculator className="mr-2 h-4 w-4" />
+              Calcular Mín/Máx
+            </Button>
             {isWarehouseView && (
               <Button onClick={handleOpenOrderDialog} className="bg-purple-600 hover:bg-purple-700">
                 <ShoppingCart className="mr-2 h-4 w-4" />
@@ -510,7 +567,7 @@ export default function Planning() {
           </div>
         </CardHeader>
         <CardContent>
-          <div className="grid gap-4 md:grid-cols-3">
+          <div className="grid gap-4 md:grid-cols-4">
             <div className="grid gap-2">
               <Label>Locación</Label>
               <Select value={location} onValueChange={setLocation}>
@@ -559,6 +616,40 @@ export default function Planning() {
                 </SelectContent>
               </Select>
             </div>
+
+            <div className="grid gap-2">
+              <Label>Base de sugerencias</Label>
+              <Select value={basis} onValueChange={setBasis}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="forecast">Pronóstico de demanda</SelectItem>
+                  <SelectItem value="target">Stock objetivo</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
+            {basis === 'forecast' && (
+              <div className="grid gap-2">
+                <Label>Meses a cubrir</Label>
+                <Select value={coverageMonths} onValueChange={setCoverageMonths}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    <SelectItem value="default">
+                      {isWarehouseView ? 'Predeterminado (3 meses)' : 'Predeterminado (1 mes)'}
+                    </SelectItem>
+                    {[1, 2, 3, 4, 6].map((months) => (
+                      <SelectItem key={months} value={String(months)}>
+                        {months} {months === 1 ? 'mes' : 'meses'}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            )}
           </div>
         </CardContent>
       </Card>
@@ -598,8 +689,10 @@ export default function Planning() {
                     </>
                   )}
                   <th className="text-right p-2 font-medium">Consumo Mensual</th>
+                  <th className="text-right p-2 font-medium">Pronóstico</th>
                   <th className="text-right p-2 font-medium">Días Cobertura</th>
                   <th className="text-right p-2 font-medium">Stock Objetivo</th>
+                  <th className="text-right p-2 font-medium">Stock Requerido</th>
                   <th className="text-right p-2 font-medium">
                     {isWarehouseView ? 'Sugerido Ordenar' : 'Sugerido Consignar'}
                   </th>
@@ -708,6 +801,23 @@ export default function Planning() {
                             ? product.avgMonthlyConsumption.toFixed(1)
                             : '-'}
                         </td>
+                        <td className="p-2 text-right">
+                          {product.forecast ? (
+                            <div title={`Intervalo 80%: ${product.forecast.lower} – ${product.forecast.upper} en ${product.coverageMonths} ${product.coverageMonths === 1 ? 'mes' : 'meses'}`}>
+                              <div className="font-medium">
+                                {product.forecast.expected}
+                                <span className="text-xs font-normal text-muted-foreground">
+                                  {' '}({Math.floor(product.forecast.lower)}–{Math.ceil(product.forecast.upper)})
+                                </span>
+                              </div>
+                              <div className="text-xs text-muted-foreground">
+                                {FORECAST_MODEL_LABELS[product.forecast.model]} · {formatForecastError(product.forecast)}
+                              </div>
+                            </div>
+                          ) : (
+                            '-'
+                          )}
+                        </td>
                         <td className="p-2 text-right">
                           {product.daysOfCoverage < 999 ? (
                             <span
@@ -727,6 +837,21 @@ export default function Planning() {
                         </td>
                         <td className="p-2 text-right text-muted-foreground">
                           {product.targetStock || '-'}
+                          {product.reorderPoint > 0 && (
+                            <div className="text-xs">reorden {product.reorderPoint}</div>
+                          )}
+                        </td>
+                        <td className="p-2 text-right">
+                          {product.requiredStock > 0 ? (
+                            <div>
+                              <div className="font-medium">{product.requiredStock}</div>
+                              <div className="text-xs text-muted-foreground">
+                                {product.planningBasis === 'FORECAST' ? 'pronóstico' : 'objetivo'}
+                              </div>
+                            </div>
+                          ) : (
+                            '-'
+                          )}
                         </td>
                         <td className="p-2 text-right">
                           {suggested > 0 ? (
@@ -774,7 +899,7 @@ export default function Planning() {
                   })
                 ) : (
                   <tr>
-                    <td colSpan="12" className="p-8 text-center text-muted-foreground">
+                    <td colSpan="15" className="p-8 text-center text-muted-foreground">
                       No hay productos disponibles
                     </td>
                   </tr>
@@ -785,6 +910,13 @@ export default function Planning() {
         </CardContent>
       </Card>
 
+      <StockLevelCalculator
+        open={calculatorOpen}
+        onOpenChange={setCalculatorOpen}
+        locationId={location}
+        category={category}
+      />
+
       {/* Edit Dialog */}
       {editingProduct && (
         <Dialog open={editOpen} onOpenChange={setEditOpen}>
@@ -815,6 +947,28 @@ export default function Planning() {
                     Cantidad ideal a mantener. El sugerido a {isWarehouseView ? 'ordenar' : 'consignar'} se calcula como: Stock Objetivo - Stock Actual
                   </p>
                 </div>
+                <div className="grid grid-cols-2 gap-4">
+                  <div className="grid gap-2">
+                    <Label htmlFor="reorderPoint">Punto de Reorden</Label>
+                    <Input
+                      id="reorderPoint"
+                      name="reorderPoint"
+                      type="number"
+                      min="0"
+                      defaultValue={editingProduct.reorderPoint || 0}
+                    />
+                  </div>
+                  <div className="grid gap-2">
+                    <Label htmlFor="safetyStock">Stock de Seguridad</Label>
+                    <Input
+                      id="safetyStock"
+                      name="safetyStock"
+                      type="number"
+                      min="0"
+                      defaultValue={editingProduct.safetyStock || 0}
+                    />
+                  </div>
+                </div>
                 <div className="bg-muted/50 p-3 rounded-md text-sm">
                   <div className="flex justify-between mb-1">
                     <span className="text-muted-foreground">Stock Actual:</span>
@@ -1180,10 +1334,25 @@ export default function Planning() {
               Crear Pedido al Proveedor
             </DialogTitle>
             <DialogDescription>
-              Selecciona los productos a ordenar. Este pedido es interno (no se sincroniza con SAP).
+              Selecciona los productos a ordenar. Con un proveedor SAP el pedido se crea como Orden de Compra en SAP.
             </DialogDescription>
           </DialogHeader>
           <div className="space-y-4">
+            <div className="grid gap-2 max-w-xs">
+              <Label>Proveedor</Label>
+              <Select value={orderSupplier} onValueChange={setOrderSupplier}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {orderSuppliers.map((sup) => (
+                    <SelectItem key={sup.code} value={sup.code}>
+                      {sup.name}{sup.code !== 'other' && ` (${sup.code})`}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
             {orderItems.length === 0 ? (
               <div className="text-center py-8 text-muted-foreground">
                 No hay productos con necesidad de pedido (Sugerido Ordenar = 0 para todos)
@@ -0,0 +1,524 @@
+import { useState, useMemo } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { priceListsApi, analyticsApi, locacionesApi, productosApi } from '../lib/api';
+import { useAuth } from '../context/AuthContext';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '../components/ui/dialog';
+import { Label } from '../components/ui/label';
+import { Input } from '../components/ui/input';
+import { Button } from '../components/ui/button';
+import { Badge } from '../components/ui/badge';
+import { useToast } from '../components/ui/toast';
+import { formatDate } from '../lib/utils';
+import { DollarSign, Plus, Pencil, Trash2, Loader2 } from 'lucide-react';
+
+const CATEGORY_LABELS = {
+  GUIAS: 'Guías',
+  STENTS_CORONARIOS: 'Stents coronarios',
+  STENTS_RECUBIERTOS: 'Stents recubiertos',
+};
+
+const CURRENCIES = ['USD', 'DOP'];
+
+const EMPTY_FORM = {
+  centroId: '',
+  scope: 'product',
+  productId: '',
+  category: '',
+  diameter: '',
+  length: '',
+  price: '',
+  currency: 'USD',
+  validFrom: '',
+  validTo: '',
+  notes: '',
+};
+
+const toDateInput = (date) => (date ? new Date(date).toISOString().split('T')[0] : '');
+
+const formatMoney = (amount, currency) =>
+  `${currency} ${Number(amount || 0).toLocaleString('es-DO', { minimumFractionDigits: 2, maximumFractionDigits: 2 })}`;
+
+/**
+ * Scope of a price as shown in the table
+ */
+function scopeLabel(precio) {
+  if (precio.productName) return precio.productName;
+  const size = [precio.diameter, precio.length].filter((value) => value != null).join('/');
+  return `${CATEGORY_LABELS[precio.category] || precio.category}${size ? ` · ${size}` : ''}`;
+}
+
+/**
+ * Negotiated prices per centro and the revenue they produce.
+ * Prices in effect on the procedure date are stamped onto each consumption
+ * and sent to SAP, so finance no longer re-keys them.
+ */
+export default function PriceLists() {
+  const queryClient = useQueryClient();
+  const toast = useToast();
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('managePrices');
+
+  const [centroFilter, setCentroFilter] = useState('all');
+  const [dialogOpen, setDialogOpen] = useState(false);
+  const [editingId, setEditingId] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+
+  const { data: allLocations } = useQuery({
+    queryKey: ['locations'],
+    queryFn: () => locacionesApi.getAll({ active: true }).then((res) => res.data),
+  });
+
+  const centros = useMemo(() => {
+    return allLocations?.filter((loc) => loc.type === 'CENTRO') || [];
+  }, [allLocations]);
+
+  const { data: products } = useQuery({
+    queryKey: ['productos', 'active'],
+    queryFn: () => productosApi.getAll({ active: true }).then((res) => res.data),
+  });
+
+  const { data: precios, isLoading } = useQuery({
+    queryKey: ['price-lists', centroFilter],
+    queryFn: () => {
+      const params = {};
+      if (centroFilter !== 'all') params.centroId = centroFilter;
+      return priceListsApi.getAll(params).then((res) => res.data);
+    },
+  });
+
+  const closeDialog = () => {
+    setDialogOpen(false);
+    setEditingId(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const openEdit = (precio) => {
+    setEditingId(precio._id);
+    setForm({
+      centroId: precio.centroId,
+      scope: precio.productId ? 'product' : 'category',
+      productId: precio.productId || '',
+      category: precio.category || '',
+      diameter: precio.diameter ?? '',
+      length: precio.length ?? '',
+      price: precio.price,
+      currency: precio.currency,
+      validFrom: toDateInput(precio.validFrom),
+      validTo: toDateInput(precio.validTo),
+      notes: precio.notes || '',
+    });
+    setDialogOpen(true);
+  };
+
+  const saveMutation = useMutation({
+    mutationFn: () => {
+      const byProduct = form.scope === 'product';
+      const data = {
+        centroId: form.centroId,
+        productId: byProduct ? form.productId : '',
+        category: byProduct ? '' : form.category,
+        diameter: byProduct ? '' : form.diameter,
+        length: byProduct ? '' : form.length,
+        price: parseFloat(form.price),
+        currency: form.currency,
+        validFrom: form.validFrom,
+        validTo: form.validTo || null,
+        notes: form.notes,
+      };
+      return editingId ? priceListsApi.update(editingId, data) : priceListsApi.create(data);
+    },
+    onSuccess: () => {
+      queryClient.invalidateQueries(['price-lists']);
+      toast.success(editingId ? 'Precio actualizado' : 'Precio creado');
+      closeDialog();
+    },
+    onError: (error) => {
+      const data = error?.response?.data;
+      toast.error(data?.error || data?.errors?.[0]?.msg || 'Error al guardar el precio');
+    },
+  });
+
+  const deactivateMutation = useMutation({
+    mutationFn: (id) => priceListsApi.deactivate(id),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['price-lists']);
+      toast.success('Precio desactivado');
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.error || 'Error al desactivar');
+    },
+  });
+
+  const canSave = form.centroId && form.validFrom && form.price !== '' &&
+    (form.scope === 'product' ? form.productId : form.category);
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold flex items-center gap-2">
+            <DollarSign className="h-8 w-8" />
+            Precios por Centro
+          </h1>
+          <p className="text-muted-foreground">
+            Precios negociados. Se aplican a cada consumo según la fecha del procedimiento y se envían a SAP.
+          </p>
+        </div>
+        {canManage && (
+          <Button onClick={() => setDialogOpen(true)}>
+            <Plus className="mr-2 h-4 w-4" />
+            Nuevo precio
+          </Button>
+        )}
+      </div>
+
+      <Card>
+        <CardHeader>
+          <CardTitle>Lista de precios</CardTitle>
+          <CardDescription>
+            Si varios precios aplican a un producto gana el más específico: producto, luego categoría con medida, luego categoría.
+          </CardDescription>
+        </CardHeader>
+        <CardContent className="space-y-4">
+          <div className="grid gap-2 max-w-xs">
+            <Label>Centro</Label>
+            <Select value={centroFilter} onValueChange={setCentroFilter}>
+              <SelectTrigger>
+                <SelectValue />
+              </SelectTrigger>
+              <SelectContent>
+                <SelectItem value="all">Todos</SelectItem>
+                {centros.map((centro) => (
+                  <SelectItem key={centro._id} value={centro._id}>{centro.name}</SelectItem>
+                ))}
+              </SelectContent>
+            </Select>
+          </div>
+
+          {isLoading ? (
+            <div className="text-center py-8 text-muted-foreground">Cargando...</div>
+          ) : !precios?.length ? (
+            <div className="text-center py-8 text-muted-foreground">No hay precios</div>
+          ) : (
+            <div className="border rounded-lg overflow-hidden">
+              <table className="w-full text-sm">
+                <thead className="bg-muted/50">
+                  <tr>
+                    <th className="px-3 py-2 text-left font-medium">Centro</th>
+                    <th className="px-3 py-2 text-left font-medium">Aplica a</th>
+                    <th className="px-3 py-2 text-right font-medium">Precio</th>
+                    <th className="px-3 py-2 text-left font-medium">Vigencia</th>
+                    <th className="px-3 py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {precios.map((precio) => (
+                    <tr key={precio._id} className="border-t">
+                      <td className="px-3 py-2">{precio.centroName}</td>
+                      <td className="px-3 py-2">
+                        {scopeLabel(precio)}
+                        {!precio.productId && (
+                          <Badge variant="outline" className="ml-2 text-xs">Categoría</Badge>
+                        )}
+                      </td>
+                      <td className="px-3 py-2 text-right font-mono">{formatMoney(precio.price, precio.currency)}</td>
+                      <td className="px-3 py-2">
+                        {formatDate(precio.validFrom)} – {precio.validTo ? formatDate(precio.validTo) : 'sin fin'}
+                      </td>
+                      <td className="px-3 py-2 text-right whitespace-nowrap">
+                        {canManage && (
+                          <>
+                            <Button variant="ghost" size="sm" className="h-7 w-7 p-0" onClick={() => openEdit(precio)}>
+                              <Pencil className="h-3 w-3" />
+                            </Button>
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              className="h-7 w-7 p-0 text-red-500"
+                              onClick={() => deactivateMutation.mutate(precio._id)}
+                              disabled={deactivateMutation.isPending}
+                            >
+                              <Trash2 className="h-3 w-3" />
+                            </Button>
+                          </>
+                        )}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      <RevenueReport centroId={centroFilter} />
+
+      <Dialog open={dialogOpen} onOpenChange={(open) => (open ? setDialogOpen(true) : closeDialog())}>
+        <DialogContent className="max-w-xl">
+          <DialogHeader>
+            <DialogTitle>{editingId ? 'Editar precio' : 'Nuevo precio'}</DialogTitle>
+            <DialogDescription>Un producto, o una categoría con o sin medida</DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4">
+            <div className="grid gap-2">
+              <Label>Centro</Label>
+              <Select value={form.centroId} onValueChange={(value) => setForm({ ...form, centroId: value })}>
+                <SelectTrigger>
+                  <SelectValue placeholder="Seleccionar centro" />
+                </SelectTrigger>
+                <SelectContent>
+                  {centros.map((centro) => (
+                    <SelectItem key={centro._id} value={centro._id}>{centro.name}</SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+
+            <div className="grid gap-2">
+              <Label>Aplica a</Label>
+              <Select value={form.scope} onValueChange={(value) => setForm({ ...form, scope: value })}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="product">Un producto</SelectItem>
+                  <SelectItem value="category">Categoría y medida</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+
+            {form.scope === 'product' ? (
+              <div className="grid gap-2">
+                <Label>Producto</Label>
+                <Select value={form.productId} onValueChange={(value) => setForm({ ...form, productId: value })}>
+                  <SelectTrigger>
+                    <SelectValue placeholder="Seleccionar producto" />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {products?.map((product) => (
+                      <SelectItem key={product._id} value={product._id}>
+                        {product.code} · {product.name}
+                      </SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            ) : (
+              <div className="grid gap-4 md:grid-cols-3">
+                <div className="grid gap-2">
+                  <Label>Categoría</Label>
+                  <Select value={form.category} onValueChange={(value) => setForm({ ...form, category: value })}>
+                    <SelectTrigger>
+                      <SelectValue placeholder="Categoría" />
+                    </SelectTrigger>
+                    <SelectContent>
+                      {Object.entries(CATEGORY_LABELS).map(([value, label]) => (
+                        <SelectItem key={value} value={value}>{label}</SelectItem>
+                      ))}
+                    </SelectContent>
+                  </Select>
+                </div>
+                <div className="grid gap-2">
+                  <Label>Diámetro (mm)</Label>
+                  <Input
+                    type="number"
+                    step="0.25"
+                    min="0"
+                    value={form.diameter}
+                    onChange={(e) => setForm({ ...form, diameter: e.target.value })}
+                    placeholder="Todos"
+                  />
+                </div>
+                <div className="grid gap-2">
+                  <Label>Largo (mm)</Label>
+                  <Input
+                    type="number"
+                    min="0"
+                    value={form.length}
+                    onChange={(e) => setForm({ ...form, length: e.target.value })}
+                    placeholder="Todos"
+                  />
+                </div>
+              </div>
+            )}
+
+            <div className="grid gap-4 md:grid-cols-[1fr_8rem]">
+              <div className="grid gap-2">
+                <Label>Precio unitario</Label>
+                <Input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={form.price}
+                  onChange={(e) => setForm({ ...form, price: e.target.value })}
+                />
+              </div>
+              <div className="grid gap-2">
+                <Label>Moneda</Label>
+                <Select value={form.currency} onValueChange={(value) => setForm({ ...form, currency: value })}>
+                  <SelectTrigger>
+                    <SelectValue />
+                  </SelectTrigger>
+                  <SelectContent>
+                    {CURRENCIES.map((currency) => (
+                      <SelectItem key={currency} value={currency}>{currency}</SelectItem>
+                    ))}
+                  </SelectContent>
+                </Select>
+              </div>
+            </div>
+
+            <div className="grid gap-4 md:grid-cols-2">
+              <div className="grid gap-2">
+                <Label>Vigente desde</Label>
+                <Input
+                  type="date"
+                  value={form.validFrom}
+                  onChange={(e) => setForm({ ...form, validFrom: e.target.value })}
+                />
+              </div>
+              <div className="grid gap-2">
+                <Label>Hasta (opcional)</Label>
+                <Input
+                  type="date"
+                  value={form.validTo}
+                  onChange={(e) => setForm({ ...form, validTo: e.target.value })}
+                />
+              </div>
+            </div>
+
+            <div className="grid gap-2">
+              <Label>Notas</Label>
+              <Input
+                value={form.notes}
+                onChange={(e) => setForm({ ...form, notes: e.target.value })}
+                placeholder="Ej: contrato 2026"
+              />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={closeDialog}>Cancelar</Button>
+            <Button onClick={() => saveMutation.mutate()} disabled={!canSave || saveMutation.isPending}>
+              {saveMutation.isPending && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Guardar
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
+
+/**
+ * Revenue per centro for a date range, from the prices stamped on consumptions
+ */
+function RevenueReport({ centroId }) {
+  const [startDate, setStartDate] = useState(() => {
+    const date = new Date();
+    date.setMonth(date.getMonth() - 3);
+    return toDateInput(date);
+  });
+  const [endDate, setEndDate] = useState(() => toDateInput(new Date()));
+
+  const { data: rows, isLoading } = useQuery({
+    queryKey: ['revenue-by-location', centroId, startDate, endDate],
+    queryFn: () => {
+      const params = { startDate, endDate: `${endDate}T23:59:59` };
+      if (centroId !== 'all') params.locationId = centroId;
+      return analyticsApi.getRevenueByLocation(params).then((res) => res.data);
+    },
+    enabled: !!startDate && !!endDate,
+  });
+
+  // Grand totals per currency
+  const totals = useMemo(() => {
+    const byCurrency = {};
+    (rows || []).forEach((row) => {
+      row.revenue.forEach(({ currency, amount }) => {
+        byCurrency[currency] = (byCurrency[currency] || 0) + amount;
+      });
+    });
+    return Object.entries(byCurrency);
+  }, [rows]);
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Ingresos por Centro</CardTitle>
+        <CardDescription>
+          Según la fecha de consumo. Las unidades sin precio se registraron sin un precio vigente.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid gap-4 md:grid-cols-2 max-w-md">
+          <div className="grid gap-2">
+            <Label>Desde</Label>
+            <Input type="date" value={startDate} onChange={(e) => setStartDate(e.target.value)} />
+          </div>
+          <div className="grid gap-2">
+            <Label>Hasta</Label>
+            <Input type="date" value={endDate} onChange={(e) => setEndDate(e.target.value)} />
+          </div>
+        </div>
+
+        {isLoading ? (
+          <div className="text-center py-8 text-muted-foreground">Cargando...</div>
+        ) : !rows?.length ? (
+          <div className="text-center py-8 text-muted-foreground">No hay consumos en el período</div>
+        ) : (
+          <div className="border rounded-lg overflow-hidden">
+            <table className="w-full text-sm">
+              <thead className="bg-muted/50">
+                <tr>
+                  <th className="px-3 py-2 text-left font-medium">Centro</th>
+                  <th className="px-3 py-2 text-center font-medium">Consumos</th>
+                  <th className="px-3 py-2 text-center font-medium">Unidades</th>
+                  <th className="px-3 py-2 text-center font-medium">Sin precio</th>
+                  <th className="px-3 py-2 text-right font-medium">Ingresos</th>
+                </tr>
+              </thead>
+              <tbody>
+                {rows.map((row) => (
+                  <tr key={row.locationId} className="border-t">
+                    <td className="px-3 py-2">{row.locationName}</td>
+                    <td className="px-3 py-2 text-center">{row.consumptionCount}</td>
+                    <td className="px-3 py-2 text-center">{row.totalQuantity}</td>
+                    <td className="px-3 py-2 text-center">
+                      {row.unpricedQuantity > 0 ? (
+                        <Badge variant="outline" className="text-xs bg-orange-50 text-orange-700">
+                          {row.unpricedQuantity}
+                        </Badge>
+                      ) : (
+                        '-'
+                      )}
+                    </td>
+                    <td className="px-3 py-2 text-right font-mono">
+                      {row.revenue.length === 0
+                        ? '-'
+                        : row.revenue.map(({ currency, amount }) => (
+                          <div key={currency}>{formatMoney(amount, currency)}</div>
+                        ))}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+              <tfoot className="bg-muted/50 font-medium">
+                <tr className="border-t">
+                  <td className="px-3 py-2" colSpan={4}>Total</td>
+                  <td className="px-3 py-2 text-right font-mono">
+                    {totals.map(([currency, amount]) => (
+                      <div key={currency}>{formatMoney(amount, currency)}</div>
+                    ))}
+                  </td>
+                </tr>
+              </tfoot>
+            </table>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
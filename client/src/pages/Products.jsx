@@ -106,6 +106,7 @@ export default function Products() {
       code: parseInt(formData.get('code')),
       category: selectedCategory,
       subcategory: formData.get('subcategory') || undefined,
+      gtin: formData.get('gtin').trim(),
       active: isActive,
     };
 
@@ -166,6 +167,19 @@ export default function Products() {
                     required
                   />
                 </div>
+                <div className="grid gap-2">
+                  <Label htmlFor="gtin">GTIN</Label>
+                  <Input
+                    id="gtin"
+                    name="gtin"
+                    inputMode="numeric"
+                    placeholder="04035479123451"
+                    defaultValue={editingProduct?.gtin || ''}
+                  />
+                  <p className="text-xs text-muted-foreground">
+                    Código (01) del DataMatrix de la caja. Permite registrar por escaneo.
+                  </p>
+                </div>
                 <div className="grid gap-2">
                   <Label htmlFor="category">Categoría *</Label>
                   <Select value={selectedCategory} onValueChange={setSelectedCategory} required>
@@ -297,6 +311,12 @@ export default function Products() {
                     <span className="font-medium">{product.subcategory}</span>
                   </div>
                 )}
+                {product.gtin && (
+                  <div className="flex justify-between">
+                    <span className="text-muted-foreground">GTIN:</span>
+                    <span className="font-mono">{product.gtin}</span>
+                  </div>
+                )}
                 {(product.specifications?.diameter || product.specifications?.size) && (
                   <div className="flex justify-between">
                     <span className="text-muted-foreground">Tamaño:</span>
@@ -0,0 +1,361 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { proveedoresApi } from '../lib/api';
+import { useAuth } from '../context/AuthContext';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '../components/ui/dialog';
+import { Label } from '../components/ui/label';
+import { Input } from '../components/ui/input';
+import { Button } from '../components/ui/button';
+import { Badge } from '../components/ui/badge';
+import { useToast } from '../components/ui/toast';
+import { formatDate } from '../lib/utils';
+import { Factory, RefreshCw, Pencil, Loader2 } from 'lucide-react';
+
+const PERIODS = {
+  6: 'Últimos 6 meses',
+  12: 'Últimos 12 meses',
+  24: 'Últimos 24 meses',
+};
+
+const STATUS_LABELS = {
+  PENDIENTE: 'Pendiente',
+  PARCIAL: 'Parcial',
+  COMPLETO: 'Completo',
+};
+
+const formatRate = (rate) => (rate == null ? '—' : `${Math.round(rate * 100)}%`);
+
+/**
+ * Color of an on-time or fill rate
+ */
+function rateClass(rate) {
+  if (rate == null) return 'text-muted-foreground';
+  if (rate >= 0.9) return 'text-green-600';
+  if (rate >= 0.75) return 'text-yellow-600';
+  return 'text-red-600';
+}
+
+/**
+ * Supplier master data synced from SAP, and how each supplier delivers:
+ * lead time from order to first receipt, on-time rate against the expected
+ * arrival date (or the committed lead time) and fill rate.
+ */
+export default function Proveedores() {
+  const queryClient = useQueryClient();
+  const toast = useToast();
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('pedidos');
+
+  const [period, setPeriod] = useState('12');
+  const [selectedId, setSelectedId] = useState(null);
+  const [editing, setEditing] = useState(null);
+  const [form, setForm] = useState({ leadTimeCommitmentDays: '', notes: '' });
+
+  const { data: scorecard, isLoading } = useQuery({
+    queryKey: ['proveedores', 'scorecard', period],
+    queryFn: () => proveedoresApi.getScorecard({ months: period }).then((res) => res.data),
+  });
+
+  const { data: detail, isLoading: detailLoading } = useQuery({
+    queryKey: ['proveedores', selectedId, period],
+    queryFn: () => proveedoresApi.getOne(selectedId, { months: period }).then((res) => res.data),
+    enabled: !!selectedId,
+  });
+
+  const syncMutation = useMutation({
+    mutationFn: () => proveedoresApi.sync(),
+    onSuccess: (res) => {
+      queryClient.invalidateQueries({ queryKey: ['proveedores'] });
+      const { total, created, deactivated } = res.data;
+      toast.success(`${total} proveedores sincronizados (${created} nuevos, ${deactivated} desactivados)`);
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.error || 'Error al sincronizar con SAP');
+    },
+  });
+
+  const saveMutation = useMutation({
+    mutationFn: () => proveedoresApi.update(editing._id, {
+      leadTimeCommitmentDays: form.leadTimeCommitmentDays === '' ? null : parseInt(form.leadTimeCommitmentDays),
+      notes: form.notes,
+    }),
+    onSuccess: () => {
+      queryClient.invalidateQueries({ queryKey: ['proveedores'] });
+      toast.success('Proveedor actualizado');
+      setEditing(null);
+    },
+    onError: (error) => {
+      const data = error?.response?.data;
+      toast.error(data?.error || data?.errors?.[0]?.msg || 'Error al guardar el proveedor');
+    },
+  });
+
+  const openEdit = (proveedor) => {
+    setEditing(proveedor);
+    setForm({
+      leadTimeCommitmentDays: proveedor.leadTimeCommitmentDays ?? '',
+      notes: proveedor.notes || '',
+    });
+  };
+
+  const proveedores = scorecard || [];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between gap-4">
+        <div>
+          <h1 className="text-3xl font-bold flex items-center gap-2">
+            <Factory className="h-8 w-8" />
+            Proveedores
+          </h1>
+          <p className="text-muted-foreground">
+            Tiempo de entrega, cumplimiento de fecha y nivel de servicio medidos sobre los pedidos.
+          </p>
+        </div>
+        {canManage && (
+          <Button variant="outline" onClick={() => syncMutation.mutate()} disabled={syncMutation.isPending}>
+            {syncMutation.isPending ? (
+              <Loader2 className="mr-2 h-4 w-4 animate-spin" />
+            ) : (
+              <RefreshCw className="mr-2 h-4 w-4" />
+            )}
+            Sincronizar con SAP
+          </Button>
+        )}
+      </div>
+
+      <div className="grid gap-2 max-w-xs">
+        <Label>Período</Label>
+        <Select value={period} onValueChange={setPeriod}>
+          <SelectTrigger>
+            <SelectValue />
+          </SelectTrigger>
+          <SelectContent>
+            {Object.entries(PERIODS).map(([value, label]) => (
+              <SelectItem key={value} value={value}>{label}</SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="h-6 w-6 animate-spin" />
+        </div>
+      ) : proveedores.length === 0 ? (
+        <Card>
+          <CardContent className="py-12 text-center text-muted-foreground">
+            Sin proveedores. Sincronice los socios de negocio de SAP.
+          </CardContent>
+        </Card>
+      ) : (
+        <Card>
+          <CardHeader>
+            <CardTitle>Desempeño</CardTitle>
+            <CardDescription>
+              Pedidos con código de proveedor ordenados en el período. La fecha comprometida es la fecha esperada del pedido, o la fecha del pedido más el plazo comprometido del proveedor.
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            <div className="border rounded-md">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b bg-muted/50">
+                    <th className="text-left p-2">Proveedor</th>
+                    <th className="text-right p-2">Pedidos</th>
+                    <th className="text-right p-2">Entrega (días)</th>
+                    <th className="text-right p-2">Comprometido</th>
+                    <th className="text-right p-2">A tiempo</th>
+                    <th className="text-right p-2">Nivel de servicio</th>
+                    <th className="text-right p-2">Vencidos</th>
+                    <th className="p-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {proveedores.map((proveedor) => {
+                    const { stats } = proveedor;
+                    const selectable = !!proveedor._id;
+                    return (
+                      <tr
+                        key={proveedor.cardCode}
+                        className={`border-b ${selectable ? 'cursor-pointer hover:bg-muted/30' : ''} ${
+                          selectable && proveedor._id === selectedId ? 'bg-muted/50' : ''
+                        }`}
+                        onClick={() => selectable && setSelectedId(proveedor._id)}
+                      >
+                        <td className="p-2">
+                          <div className="font-medium">
+                            {proveedor.name}
+                            {proveedor.notInMasterData && (
+                              <Badge variant="outline" className="ml-2">No sincronizado</Badge>
+                            )}
+                            {!proveedor.active && (
+                              <Badge variant="secondary" className="ml-2">Inactivo</Badge>
+                            )}
+                          </div>
+                          <div className="text-xs text-muted-foreground font-mono">{proveedor.cardCode}</div>
+                        </td>
+                        <td className="p-2 text-right">
+                          {stats.pedidos}
+                          {stats.openPedidos > 0 && (
+                            <span className="text-muted-foreground"> ({stats.openPedidos} abiertos)</span>
+                          )}
+                        </td>
+                        <td className="p-2 text-right">
+                          {stats.leadTime ? (
+                            <span title={`Mediana ${stats.leadTime.medianDays} · mín ${stats.leadTime.minDays} · máx ${stats.leadTime.maxDays}`}>
+                              {stats.leadTime.meanDays} ± {stats.leadTime.stdDays}
+                            </span>
+                          ) : '—'}
+                        </td>
+                        <td className="p-2 text-right">
+                          {proveedor.leadTimeCommitmentDays != null ? `${proveedor.leadTimeCommitmentDays} días` : '—'}
+                        </td>
+                        <td className={`p-2 text-right font-medium ${rateClass(stats.onTimeRate)}`}>
+                          {formatRate(stats.onTimeRate)}
+                          {stats.avgDelayDays != null && (
+                            <div className="text-xs font-normal text-muted-foreground">
+                              {stats.lateCount} tarde, +{stats.avgDelayDays} días
+                            </div>
+                          )}
+                        </td>
+                        <td className={`p-2 text-right font-medium ${rateClass(stats.fillRate)}`}>
+                          {formatRate(stats.fillRate)}
+                        </td>
+                        <td className="p-2 text-right">
+                          {stats.overduePedidos > 0 ? (
+                            <Badge className="bg-red-100 text-red-800 border-0">{stats.overduePedidos}</Badge>
+                          ) : '—'}
+                        </td>
+                        <td className="p-2 text-right">
+                          {canManage && selectable && (
+                            <Button
+                              variant="ghost"
+                              size="sm"
+                              onClick={(e) => {
+                                e.stopPropagation();
+                                openEdit(proveedor);
+                              }}
+                            >
+                              <Pencil className="h-4 w-4" />
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          </CardContent>
+        </Card>
+      )}
+
+      {selectedId && (
+        <Card>
+          <CardHeader>
+            <CardTitle>{detail?.name || 'Proveedor'}</CardTitle>
+            <CardDescription>
+              {[detail?.cardCode, detail?.phone, detail?.email].filter(Boolean).join(' · ')}
+            </CardDescription>
+          </CardHeader>
+          <CardContent>
+            {detailLoading ? (
+              <div className="flex justify-center py-6">
+                <Loader2 className="h-6 w-6 animate-spin" />
+              </div>
+            ) : detail?.deliveries?.length ? (
+              <div className="border rounded-md max-h-96 overflow-y-auto">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b bg-muted/50">
+                      <th className="text-left p-2">Pedido</th>
+                      <th className="text-left p-2">Estado</th>
+                      <th className="text-left p-2">Comprometido</th>
+                      <th className="text-left p-2">Primera recepción</th>
+                      <th className="text-right p-2">Días</th>
+                      <th className="text-right p-2">Recibido</th>
+                      <th className="text-left p-2">Cumplimiento</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {detail.deliveries.map((delivery) => (
+                      <tr key={delivery.pedidoId} className="border-b">
+                        <td className="p-2">
+                          {formatDate(delivery.orderDate)}
+                          {delivery.docNum && (
+                            <span className="ml-2 text-xs text-muted-foreground">OC {delivery.docNum}</span>
+                          )}
+                        </td>
+                        <td className="p-2">{STATUS_LABELS[delivery.status] || delivery.status}</td>
+                        <td className="p-2">{delivery.dueDate ? formatDate(delivery.dueDate) : '—'}</td>
+                        <td className="p-2">{delivery.firstReceiptDate ? formatDate(delivery.firstReceiptDate) : '—'}</td>
+                        <td className="p-2 text-right">{delivery.leadTimeDays ?? '—'}</td>
+                        <td className="p-2 text-right">{delivery.received} / {delivery.ordered}</td>
+                        <td className="p-2">
+                          {delivery.onTime == null ? (
+                            <span className="text-muted-foreground">—</span>
+                          ) : delivery.onTime ? (
+                            <Badge variant="outline" className="text-green-600">A tiempo</Badge>
+                          ) : (
+                            <Badge className="bg-red-100 text-red-800 border-0">
+                              {delivery.firstReceiptDate ? 'Tarde' : 'Vencido'} +{delivery.delayDays} días
+                            </Badge>
+                          )}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : (
+              <p className="py-6 text-center text-muted-foreground">Sin pedidos en el período.</p>
+            )}
+          </CardContent>
+        </Card>
+      )}
+
+      <Dialog open={!!editing} onOpenChange={(open) => !open && setEditing(null)}>
+        <DialogContent>
+          <DialogHeader>
+            <DialogTitle>{editing?.name}</DialogTitle>
+            <DialogDescription>
+              Los datos de contacto vienen de SAP; el plazo comprometido y las notas se guardan en la app.
+            </DialogDescription>
+          </DialogHeader>
+          <div className="grid gap-4">
+            <div className="grid gap-2">
+              <Label>Plazo de entrega comprometido (días)</Label>
+              <Input
+                type="number"
+                min="0"
+                value={form.leadTimeCommitmentDays}
+                onChange={(e) => setForm({ ...form, leadTimeCommitmentDays: e.target.value })}
+                placeholder="Sin compromiso"
+              />
+              <p className="text-xs text-muted-foreground">
+                Se usa como fecha comprometida de los pedidos sin fecha esperada.
+              </p>
+            </div>
+            <div className="grid gap-2">
+              <Label>Notas</Label>
+              <Input
+                value={form.notes}
+                onChange={(e) => setForm({ ...form, notes: e.target.value })}
+              />
+            </div>
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setEditing(null)}>Cancelar</Button>
+            <Button onClick={() => saveMutation.mutate()} disabled={saveMutation.isPending}>
+              {saveMutation.isPending && <Loader2 className="mr-2 h-4 w-4 animate-spin" />}
+              Guardar
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -0,0 +1,588 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { recallsApi } from '../lib/api';
+import { useAuth } from '../context/AuthContext';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Dialog, DialogContent, DialogDescription, DialogFooter, DialogHeader, DialogTitle } from '../components/ui/dialog';
+import { Input } from '../components/ui/input';
+import { Label } from '../components/ui/label';
+import { Button } from '../components/ui/button';
+import { Badge } from '../components/ui/badge';
+import { useToast } from '../components/ui/toast';
+import { formatDate, formatDateTime } from '../lib/utils';
+import { ShieldAlert, Plus, MapPin, Warehouse, Building2, CheckCircle2, Clock, AlertTriangle, Loader2, Search } from 'lucide-react';
+
+const textareaClass =
+  'flex min-h-[80px] w-full rounded-md border border-input bg-background px-3 py-2 text-sm ring-offset-background placeholder:text-muted-foreground focus-visible:outline-none focus-visible:ring-2 focus-visible:ring-ring focus-visible:ring-offset-2 disabled:cursor-not-allowed disabled:opacity-50';
+
+const emptyForm = {
+  reference: '',
+  manufacturer: 'BIOTRONIK',
+  noticeDate: new Date().toISOString().split('T')[0],
+  reason: '',
+  lotNumbers: '',
+  productCodes: '',
+};
+
+export default function Recalls() {
+  const queryClient = useQueryClient();
+  const toast = useToast();
+  const { hasPermission } = useAuth();
+  const canManage = hasPermission('manageRecalls');
+  const [statusFilter, setStatusFilter] = useState('ABIERTO');
+  const [createOpen, setCreateOpen] = useState(false);
+  const [form, setForm] = useState(emptyForm);
+  const [preview, setPreview] = useState(null);
+  const [selectedRecallId, setSelectedRecallId] = useState(null);
+  const [resolveQty, setResolveQty] = useState({});
+
+  const { data: recalls, isLoading } = useQuery({
+    queryKey: ['recalls', statusFilter],
+    queryFn: () => {
+      const params = {};
+      if (statusFilter !== 'all') params.status = statusFilter;
+      return recallsApi.getAll(params).then((res) => res.data);
+    },
+  });
+
+  const { data: exposure } = useQuery({
+    queryKey: ['recalls', 'exposure'],
+    queryFn: () => recallsApi.getExposure().then((res) => res.data),
+  });
+
+  const { data: selectedRecall, isLoading: loadingRecall } = useQuery({
+    queryKey: ['recalls', 'detail', selectedRecallId],
+    queryFn: () => recallsApi.getOne(selectedRecallId).then((res) => res.data),
+    enabled: !!selectedRecallId,
+  });
+
+  // Patients implanted with the recalled lots (implant registry)
+  const { data: recallPatients = [] } = useQuery({
+    queryKey: ['recalls', 'patients', selectedRecallId],
+    queryFn: () => recallsApi.getPatients(selectedRecallId).then((res) => res.data),
+    enabled: !!selectedRecallId,
+  });
+
+  const previewMutation = useMutation({
+    mutationFn: () => recallsApi.preview({ lotNumbers: form.lotNumbers, productCodes: form.productCodes }),
+    onSuccess: (response) => setPreview(response.data),
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Error al buscar lotes afectados');
+    },
+  });
+
+  const createMutation = useMutation({
+    mutationFn: () => recallsApi.create(form),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['recalls']);
+      toast.success(`Retiro abierto: ${response.data.lotes.length} lote(s) bloqueados`);
+      setCreateOpen(false);
+      setForm(emptyForm);
+      setPreview(null);
+      setSelectedRecallId(response.data._id);
+    },
+    onError: (error) => {
+      const data = error.response?.data;
+      toast.error(data?.error || data?.errors?.[0]?.msg || 'Error al abrir retiro');
+    },
+  });
+
+  const resolveMutation = useMutation({
+    mutationFn: ({ unitId, action, quantity }) =>
+      recallsApi.resolveUnit(selectedRecallId, unitId, { action, quantity }),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['recalls']);
+      setResolveQty({});
+      toast.success('Plan de retiro actualizado');
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Error al actualizar plan');
+    },
+  });
+
+  const closeMutation = useMutation({
+    mutationFn: () => recallsApi.close(selectedRecallId),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['recalls']);
+      toast.success('Retiro cerrado');
+      setSelectedRecallId(null);
+    },
+    onError: (error) => {
+      toast.error(error.response?.data?.error || 'Error al cerrar retiro');
+    },
+  });
+
+  const handleFormChange = (key, value) => {
+    setForm((prev) => ({ ...prev, [key]: value }));
+    if (key === 'lotNumbers' || key === 'productCodes') setPreview(null);
+  };
+
+  const getPending = (unit) => unit.quantity - unit.quantityReturned - unit.quantityQuarantined;
+
+  const handleResolve = (unit, action) => {
+    const quantity = resolveQty[unit._id] || getPending(unit);
+    resolveMutation.mutate({ unitId: unit._id, action, quantity });
+  };
+
+  const getStatusBadge = (status) => {
+    if (status === 'CERRADO') {
+      return (
+        <Badge className="bg-green-100 text-green-800 border-0">
+          <CheckCircle2 className="h-3 w-3 mr-1" />
+          Cerrado
+        </Badge>
+      );
+    }
+    return (
+      <Badge className="bg-red-100 text-red-800 border-0">
+        <AlertTriangle className="h-3 w-3 mr-1" />
+        Abierto
+      </Badge>
+    );
+  };
+
+  const getUnitBadge = (status) => {
+    switch (status) {
+      case 'RESUELTO':
+        return <Badge className="bg-green-100 text-green-800 border-0">Resuelto</Badge>;
+      case 'PARCIAL':
+        return <Badge className="bg-blue-100 text-blue-800 border-0">Parcial</Badge>;
+      default:
+        return (
+          <Badge className="bg-yellow-100 text-yellow-800 border-0">
+            <Clock className="h-3 w-3 mr-1" />
+            Pendiente
+          </Badge>
+        );
+    }
+  };
+
+  const LocationIcon = ({ type }) =>
+    type === 'WAREHOUSE' ? (
+      <Warehouse className="h-4 w-4 text-muted-foreground" />
+    ) : (
+      <Building2 className="h-4 w-4 text-muted-foreground" />
+    );
+
+  const renderExposure = (locations) => (
+    <div className="space-y-3">
+      {locations.map((entry) => (
+        <div key={entry.location._id} className="border rounded-md">
+          <div className="flex items-center justify-between p-3 bg-muted/50">
+            <div className="flex items-center gap-2 font-medium">
+              <LocationIcon type={entry.location.type} />
+              {entry.location.name}
+              <span className="text-xs text-muted-foreground">
+                {entry.location.type === 'WAREHOUSE' ? 'Almacén' : 'Centro'}
+              </span>
+            </div>
+            <Badge variant="outline">{entry.totalUnits} unidades</Badge>
+          </div>
+          <table className="w-full text-sm">
+            <tbody>
+              {entry.lotes.map((lote) => (
+                <tr key={lote.loteId} className="border-t">
+                  <td className="p-2">{lote.product?.name}</td>
+                  <td className="p-2 font-mono">{lote.lotNumber}</td>
+                  <td className="p-2 text-muted-foreground">Vence {formatDate(lote.expiryDate)}</td>
+                  <td className="p-2 text-right">
+                    {lote.quantityHeld}
+                    {lote.quantityInTransit > 0 && (
+                      <span className="text-xs text-muted-foreground"> ({lote.quantityInTransit} en tránsito)</span>
+                    )}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      ))}
+    </div>
+  );
+
+  if (isLoading) return <div>Cargando...</div>;
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between">
+        <div>
+          <h1 className="text-3xl font-bold flex items-center gap-3">
+            <ShieldAlert className="h-8 w-8 text-red-600" />
+            Retiros de Producto
+          </h1>
+          <p className="text-muted-foreground">
+            Avisos de retiro del fabricante, lotes bloqueados y plan de recuperación
+          </p>
+        </div>
+        {canManage && (
+          <Button onClick={() => setCreateOpen(true)}>
+            <Plus className="h-4 w-4 mr-2" />
+            Nuevo Retiro
+          </Button>
+        )}
+      </div>
+
+      {/* Current exposure */}
+      <Card>
+        <CardHeader>
+          <CardTitle className="flex items-center gap-2">
+            <MapPin className="h-5 w-5" />
+            Unidades retiradas por locación ({exposure?.totalUnits || 0})
+          </CardTitle>
+          <CardDescription>Almacén y centros que tienen actualmente unidades de lotes bajo retiro</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {exposure?.locations?.length > 0 ? (
+            renderExposure(exposure.locations)
+          ) : (
+            <p className="text-sm text-muted-foreground">No hay unidades bajo retiro en ninguna locación</p>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Recall list */}
+      <Card>
+        <CardHeader>
+          <div className="flex items-center justify-between">
+            <div>
+              <CardTitle>Retiros ({recalls?.length || 0})</CardTitle>
+              <CardDescription>Selecciona un retiro para ver su plan de recuperación</CardDescription>
+            </div>
+            <div className="w-48">
+              <Select value={statusFilter} onValueChange={setStatusFilter}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">Todos</SelectItem>
+                  <SelectItem value="ABIERTO">Abiertos</SelectItem>
+                  <SelectItem value="CERRADO">Cerrados</SelectItem>
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+        </CardHeader>
+        <CardContent>
+          {recalls && recalls.length > 0 ? (
+            <div className="space-y-3">
+              {recalls.map((recall) => (
+                <Card
+                  key={recall._id}
+                  className="cursor-pointer hover:bg-muted/50 transition-colors"
+                  onClick={() => setSelectedRecallId(recall._id)}
+                >
+                  <CardContent className="p-4">
+                    <div className="flex items-start justify-between">
+                      <div className="space-y-1">
+                        <div className="font-medium">
+                          {recall.reference}
+                          {recall.manufacturer && (
+                            <span className="text-muted-foreground font-normal"> • {recall.manufacturer}</span>
+                          )}
+                        </div>
+                        <div className="text-sm text-muted-foreground">
+                          Aviso del {formatDate(recall.noticeDate)} • {recall.units.length} línea
+                          {recall.units.length !== 1 ? 's' : ''} • {recall.pendingUnits} de {recall.totalUnits} unidades
+                          pendientes
+                        </div>
+                      </div>
+                      {getStatusBadge(recall.status)}
+                    </div>
+                  </CardContent>
+                </Card>
+              ))}
+            </div>
+          ) : (
+            <div className="text-center py-12">
+              <ShieldAlert className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
+              <p className="text-lg font-medium">No hay retiros</p>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+
+      {/* Create dialog */}
+      <Dialog open={createOpen} onOpenChange={setCreateOpen}>
+        <DialogContent className="max-w-3xl max-h-[85vh] overflow-y-auto">
+          <DialogHeader>
+            <DialogTitle>Nuevo Retiro</DialogTitle>
+            <DialogDescription>
+              Los lotes que coincidan quedarán bloqueados para consignación y consumo
+            </DialogDescription>
+          </DialogHeader>
+          <div className="space-y-4">
+            <div className="grid gap-4 md:grid-cols-3">
+              <div className="grid gap-2">
+                <Label>Referencia del aviso *</Label>
+                <Input value={form.reference} onChange={(e) => handleFormChange('reference', e.target.value)} />
+              </div>
+              <div className="grid gap-2">
+                <Label>Fabricante</Label>
+                <Input value={form.manufacturer} onChange={(e) => handleFormChange('manufacturer', e.target.value)} />
+              </div>
+              <div className="grid gap-2">
+                <Label>Fecha del aviso</Label>
+                <Input
+                  type="date"
+                  value={form.noticeDate}
+                  onChange={(e) => handleFormChange('noticeDate', e.target.value)}
+                />
+              </div>
+            </div>
+            <div className="grid gap-2">
+              <Label>Motivo</Label>
+              <Input value={form.reason} onChange={(e) => handleFormChange('reason', e.target.value)} />
+            </div>
+            <div className="grid gap-4 md:grid-cols-2">
+              <div className="grid gap-2">
+                <Label>Lotes (uno por línea o separados por coma)</Label>
+                <textarea
+                  className={textareaClass}
+                  value={form.lotNumbers}
+                  onChange={(e) => handleFormChange('lotNumbers', e.target.value)}
+                />
+              </div>
+              <div className="grid gap-2">
+                <Label>Códigos de producto</Label>
+                <textarea
+                  className={textareaClass}
+                  value={form.productCodes}
+                  onChange={(e) => handleFormChange('productCodes', e.target.value)}
+                />
+              </div>
+            </div>
+
+            <Button
+              variant="outline"
+              onClick={() => previewMutation.mutate()}
+              disabled={previewMutation.isPending || (!form.lotNumbers.trim() && !form.productCodes.trim())}
+            >
+              {previewMutation.isPending ? (
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+              ) : (
+                <Search className="h-4 w-4 mr-2" />
+              )}
+              Buscar lotes afectados
+            </Button>
+
+            {preview && (
+              <div className="space-y-3">
+                <div className="bg-red-50 border border-red-200 p-3 rounded-md text-sm text-red-900">
+                  {preview.matchedLotes} lote(s) coinciden • {preview.totalUnits} unidades en almacén y centros •{' '}
+                  {preview.quantityConsumed} ya consumidas
+                  {preview.alreadyRecalled > 0 && ` • ${preview.alreadyRecalled} ya bajo retiro`}
+                </div>
+                {(preview.unmatchedLotNumbers.length > 0 || preview.unmatchedProductCodes.length > 0) && (
+                  <div className="bg-yellow-50 border border-yellow-200 p-3 rounded-md text-sm text-yellow-900">
+                    Sin coincidencia: {[...preview.unmatchedLotNumbers, ...preview.unmatchedProductCodes].join(', ')}
+                  </div>
+                )}
+                {renderExposure(preview.locations)}
+              </div>
+            )}
+          </div>
+          <DialogFooter>
+            <Button variant="outline" onClick={() => setCreateOpen(false)}>
+              Cancelar
+            </Button>
+            <Button
+              variant="destructive"
+              onClick={() => createMutation.mutate()}
+              disabled={!preview || preview.matchedLotes === 0 || !form.reference.trim() || createMutation.isPending}
+            >
+              {createMutation.isPending ? 'Abriendo...' : 'Abrir Retiro y Bloquear Lotes'}
+            </Button>
+          </DialogFooter>
+        </DialogContent>
+      </Dialog>
+
+      {/* Detail dialog */}
+      <Dialog open={!!selectedRecallId} onOpenChange={(open) => !open && setSelectedRecallId(null)}>
+        <DialogContent className="max-w-5xl max-h-[85vh] overflow-y-auto">
+          {loadingRecall || !selectedRecall ? (
+            <div className="flex justify-center py-12">
+              <Loader2 className="h-8 w-8 animate-spin text-muted-foreground" />
+            </div>
+          ) : (
+            <>
+              <DialogHeader>
+                <DialogTitle className="flex items-center gap-3">
+                  Retiro {selectedRecall.reference}
+                  {getStatusBadge(selectedRecall.status)}
+                </DialogTitle>
+                <DialogDescription>
+                  {selectedRecall.manufacturer} • Aviso del {formatDate(selectedRecall.noticeDate)} • Abierto por{' '}
+                  {selectedRecall.createdBy?.firstname} {selectedRecall.createdBy?.lastname} el{' '}
+                  {formatDateTime(selectedRecall.createdAt)}
+                  {selectedRecall.reason && (
+                    <>
+                      <br />
+                      {selectedRecall.reason}
+                    </>
+                  )}
+                </DialogDescription>
+              </DialogHeader>
+
+              <div className="grid gap-4 md:grid-cols-4 text-sm">
+                <div className="bg-muted/50 p-3 rounded-md">
+                  <div className="text-muted-foreground">Lotes bloqueados</div>
+                  <div className="text-2xl font-bold">{selectedRecall.lotes.length}</div>
+                </div>
+                <div className="bg-muted/50 p-3 rounded-md">
+                  <div className="text-muted-foreground">Unidades a recuperar</div>
+                  <div className="text-2xl font-bold">{selectedRecall.totalUnits}</div>
+                </div>
+                <div className="bg-muted/50 p-3 rounded-md">
+                  <div className="text-muted-foreground">Pendientes</div>
+                  <div className="text-2xl font-bold text-red-600">{selectedRecall.pendingUnits}</div>
+                </div>
+                <div className="bg-muted/50 p-3 rounded-md">
+                  <div className="text-muted-foreground">Ya consumidas</div>
+                  <div className="text-2xl font-bold">{selectedRecall.quantityConsumed}</div>
+                </div>
+              </div>
+
+              <div className="border rounded-md">
+                <table className="w-full text-sm">
+                  <thead>
+                    <tr className="border-b bg-muted/50">
+                      <th className="text-left p-2">Locación</th>
+                      <th className="text-left p-2">Producto</th>
+                      <th className="text-left p-2">Lote</th>
+                      <th className="text-right p-2">Unidades</th>
+                      <th className="text-right p-2">Devueltas</th>
+                      <th className="text-right p-2">Cuarentena</th>
+                      <th className="text-left p-2">Estado</th>
+                      {selectedRecall.status === 'ABIERTO' && canManage && <th className="text-right p-2">Acción</th>}
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {selectedRecall.units.map((unit) => (
+                      <tr key={unit._id} className="border-b">
+                        <td className="p-2">
+                          <div className="flex items-center gap-2">
+                            <LocationIcon type={unit.locationType} />
+                            {unit.locationId?.name}
+                          </div>
+                        </td>
+                        <td className="p-2">{unit.productId?.name}</td>
+                        <td className="p-2 font-mono">{unit.lotNumber}</td>
+                        <td className="p-2 text-right font-medium">
+                          {unit.quantity}
+                          {unit.quantityInTransit > 0 && (
+                            <div className="text-xs text-muted-foreground">{unit.quantityInTransit} en tránsito</div>
+                          )}
+                        </td>
+                        <td className="p-2 text-right">{unit.quantityReturned}</td>
+                        <td className="p-2 text-right">{unit.quantityQuarantined}</td>
+                        <td className="p-2">{getUnitBadge(unit.status)}</td>
+                        {selectedRecall.status === 'ABIERTO' && canManage && (
+                          <td className="p-2">
+                            {getPending(unit) > 0 && (
+                              <div className="flex items-center justify-end gap-2">
+                                <Input
+                                  type="number"
+                                  min="1"
+                                  max={getPending(unit)}
+                                  value={resolveQty[unit._id] ?? getPending(unit)}
+                                  onChange={(e) =>
+                                    setResolveQty((prev) => ({
+                                      ...prev,
+                                      [unit._id]: Math.max(1, Math.min(getPending(unit), parseInt(e.target.value) || 1)),
+                                    }))
+                                  }
+                                  className="w-16 text-right"
+                                />
+                                {unit.locationType === 'CENTRO' && (
+                                  <Button
+                                    size="sm"
+                                    variant="outline"
+                                    disabled={resolveMutation.isPending}
+                                    onClick={() => handleResolve(unit, 'RETURNED')}
+                                  >
+                                    Devuelto
+                                  </Button>
+                                )}
+                                <Button
+                                  size="sm"
+                                  variant="outline"
+                                  disabled={resolveMutation.isPending}
+                                  onClick={() => handleResolve(unit, 'QUARANTINED')}
+                                >
+                                  Cuarentena
+                                </Button>
+                              </div>
+                            )}
+                          </td>
+                        )}
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+
+              {selectedRecall.currentExposure?.length > 0 && (
+                <div className="space-y-2">
+                  <h3 className="font-medium">Ubicación actual de las unidades</h3>
+                  {renderExposure(selectedRecall.currentExposure)}
+                </div>
+              )}
+
+              {recallPatients.length > 0 && (
+                <div className="space-y-2">
+                  <h3 className="font-medium">Pacientes implantados ({recallPatients.length})</h3>
+                  <div className="border rounded-md max-h-64 overflow-y-auto">
+                    <table className="w-full text-sm">
+                      <thead>
+                        <tr className="border-b bg-muted/50">
+                          <th className="text-left p-2">Fecha</th>
+                          <th className="text-left p-2">Centro</th>
+                          <th className="text-left p-2">Paciente</th>
+                          <th className="text-left p-2">Doctor</th>
+                          <th className="text-left p-2">Lotes</th>
+                        </tr>
+                      </thead>
+                      <tbody>
+                        {recallPatients.map((procedimiento) => (
+                          <tr key={procedimiento._id || procedimiento.consumoId} className="border-b">
+                            <td className="p-2">{formatDate(procedimiento.procedureDate)}</td>
+                            <td className="p-2">{procedimiento.centroName}</td>
+                            <td className="p-2">
+                              {procedimiento.patient?.name || <span className="text-muted-foreground">Sin nombre</span>}
+                              {procedimiento.patient?.identifierLast4 && (
+                                <span className="text-xs text-muted-foreground"> ···{procedimiento.patient.identifierLast4}</span>
+                              )}
+                            </td>
+                            <td className="p-2">{procedimiento.doctorName || '-'}</td>
+                            <td className="p-2 font-mono">
+                              {procedimiento.implants.map((implant) => implant.lotNumber).join(', ')}
+                            </td>
+                          </tr>
+                        ))}
+                      </tbody>
+                    </table>
+                  </div>
+                </div>
+              )}
+
+              <DialogFooter>
+                <Button variant="outline" onClick={() => setSelectedRecallId(null)}>
+                  Cerrar
+                </Button>
+                {selectedRecall.status === 'ABIERTO' && canManage && (
+                  <Button
+                    onClick={() => closeMutation.mutate()}
+                    disabled={selectedRecall.pendingUnits > 0 || closeMutation.isPending}
+                  >
+                    {closeMutation.isPending ? 'Cerrando...' : 'Cerrar Retiro'}
+                  </Button>
+                )}
+              </DialogFooter>
+            </>
+          )}
+        </DialogContent>
+      </Dialog>
+    </div>
+  );
+}
@@ -1,4 +1,5 @@
 import { useState, useEffect } from 'react';
+import { useSearchParams } from 'react-router-dom';
 import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { reconciliationApi } from '../lib/api';
 import { Button } from '../components/ui/button';
@@ -44,6 +45,8 @@ const RUN_STATUS_BADGES = {
 export default function Reconciliation() {
   const [expandedDoc, setExpandedDoc] = useState(null);
   const [statusFilter, setStatusFilter] = useState('PENDING_REVIEW');
+  const [searchParams, setSearchParams] = useSearchParams();
+  const linkedDocId = searchParams.get('doc');
   const [actionDialogOpen, setActionDialogOpen] = useState(false);
   const [selectedDoc, setSelectedDoc] = useState(null);
   const [actionNotes, setActionNotes] = useState('');
@@ -109,6 +112,15 @@ export default function Reconciliation() {
     },
   });
 
+  // Link from a notification (?doc=): show that external document expanded
+  // whatever its status, then drop the parameter
+  useEffect(() => {
+    if (!linkedDocId) return;
+    setStatusFilter('ALL');
+    setExpandedDoc(linkedDocId);
+    setSearchParams({}, { replace: true });
+  }, [linkedDocId]);
+
   // Watch the latest run while polling; when a new run finishes, show the
   // result toast, refresh dependent queries, and stop polling.
   useEffect(() => {
@@ -0,0 +1,258 @@
+import { useState } from 'react';
+import { useNavigate } from 'react-router-dom';
+import { useQuery, keepPreviousData } from '@tanstack/react-query';
+import { inventarioApi, locacionesApi } from '../lib/api';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Label } from '../components/ui/label';
+import { Button } from '../components/ui/button';
+import { Badge } from '../components/ui/badge';
+import { formatDate } from '../lib/utils';
+import { CalendarClock, ArrowLeftRight, Undo2, CheckCircle2, AlertTriangle, Loader2 } from 'lucide-react';
+
+const HORIZONS = {
+  90: '90 días',
+  180: '180 días',
+  365: '1 año',
+};
+
+const ACTION_CONFIG = {
+  TRANSFER: { label: 'Trasladar', icon: ArrowLeftRight, button: 'Crear traslado' },
+  RETURN: { label: 'Devolver al almacén', icon: Undo2, button: 'Crear devolución' },
+};
+
+// One card per move: same action, origin and destination
+function groupSuggestions(suggestions) {
+  const groups = new Map();
+  suggestions.forEach((suggestion) => {
+    const key = `${suggestion.action}:${suggestion.from._id}:${suggestion.to._id}`;
+    if (!groups.has(key)) {
+      groups.set(key, { key, action: suggestion.action, from: suggestion.from, to: suggestion.to, lines: [] });
+    }
+    groups.get(key).lines.push(suggestion);
+  });
+  return [...groups.values()];
+}
+
+export default function Rotacion() {
+  const navigate = useNavigate();
+  const [horizon, setHorizon] = useState('180');
+  const [centroFilter, setCentroFilter] = useState('all');
+
+  const { data: locations } = useQuery({
+    queryKey: ['locaciones'],
+    queryFn: () => locacionesApi.getAll({ active: true }).then((res) => res.data),
+  });
+
+  const centros = locations?.filter((l) => l.type === 'CENTRO') || [];
+
+  const { data, isLoading, isFetching } = useQuery({
+    queryKey: ['rotation-suggestions', horizon, centroFilter],
+    queryFn: () => {
+      const params = { days: horizon };
+      if (centroFilter !== 'all') params.centroId = centroFilter;
+      return inventarioApi.getRotationSuggestions(params).then((res) => res.data);
+    },
+    placeholderData: keepPreviousData,
+  });
+
+  const groups = groupSuggestions(data?.suggestions || []);
+  const summary = data?.summary;
+
+  const quantitiesByLote = (lines) =>
+    lines.reduce((acc, line) => ({ ...acc, [line.loteId]: (acc[line.loteId] || 0) + line.quantity }), {});
+
+  const handleCreateDraft = (group) => {
+    if (group.action === 'RETURN') {
+      navigate('/devoluciones', {
+        state: {
+          devolucionDraft: {
+            centroId: group.from._id,
+            reason: 'VENCIMIENTO',
+            notes: 'Rotación por vencimiento',
+            quantities: quantitiesByLote(group.lines),
+          },
+        },
+      });
+    } else {
+      navigate('/movimientos', {
+        state: {
+          trasladoDraft: {
+            fromLocationId: group.from._id,
+            toLocationId: group.to._id,
+            quantities: quantitiesByLote(group.lines),
+          },
+        },
+      });
+    }
+  };
+
+  return (
+    <div className="space-y-6">
+      <div>
+        <h1 className="text-3xl font-bold">Rotación por Vencimiento</h1>
+        <p className="text-muted-foreground">
+          Stock en centros que vencerá antes de consumirse, según el consumo promedio mensual de cada centro
+        </p>
+      </div>
+
+      {/* Filters */}
+      <Card>
+        <CardContent className="pt-6">
+          <div className="grid gap-4 md:grid-cols-3">
+            <div className="grid gap-2">
+              <Label>Vence dentro de</Label>
+              <Select value={horizon} onValueChange={setHorizon}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  {Object.entries(HORIZONS).map(([value, label]) => (
+                    <SelectItem key={value} value={value}>
+                      {label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="grid gap-2">
+              <Label>Centro de origen</Label>
+              <Select value={centroFilter} onValueChange={setCentroFilter}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">Todos los centros</SelectItem>
+                  {centros.map((centro) => (
+                    <SelectItem key={centro._id} value={centro._id}>
+                      {centro.name}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Summary */}
+      <div className="grid gap-4 md:grid-cols-4">
+        <Card>
+          <CardContent className="p-4">
+            <p className="text-sm text-muted-foreground">Lotes en riesgo</p>
+            <p className="text-2xl font-bold">{summary?.lotesAtRisk ?? '-'}</p>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardContent className="p-4">
+            <p className="text-sm text-muted-foreground">Unidades en riesgo</p>
+            <p className="text-2xl font-bold text-red-600">{summary?.unitsAtRisk ?? '-'}</p>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardContent className="p-4">
+            <p className="text-sm text-muted-foreground">A trasladar</p>
+            <p className="text-2xl font-bold">{summary?.unitsToTransfer ?? '-'}</p>
+          </CardContent>
+        </Card>
+        <Card>
+          <CardContent className="p-4">
+            <p className="text-sm text-muted-foreground">A devolver</p>
+            <p className="text-2xl font-bold">{summary?.unitsToReturn ?? '-'}</p>
+          </CardContent>
+        </Card>
+      </div>
+
+      {isLoading ? (
+        <div className="flex justify-center py-12">
+          <Loader2 className="h-8 w-8 animate-spin text-muted-foreground" />
+        </div>
+      ) : groups.length === 0 ? (
+        <Card>
+          <CardContent className="text-center py-12">
+            <CheckCircle2 className="h-12 w-12 text-green-600 mx-auto mb-4" />
+            <p className="text-lg font-medium">Sin stock en riesgo</p>
+            <p className="text-sm text-muted-foreground">
+              Todos los centros consumirán sus lotes antes de que venzan
+            </p>
+          </CardContent>
+        </Card>
+      ) : (
+        <div className={`space-y-4 ${isFetching ? 'opacity-60' : ''}`}>
+          {groups.map((group) => {
+            const config = ACTION_CONFIG[group.action];
+            const Icon = config.icon;
+            const units = group.lines.reduce((sum, line) => sum + line.quantity, 0);
+            return (
+              <Card key={group.key}>
+                <CardHeader className="flex flex-row items-start justify-between space-y-0">
+                  <div>
+                    <CardTitle className="flex items-center gap-2">
+                      <Icon className="h-5 w-5" />
+                      {config.label}: {group.from.name} → {group.to.name}
+                    </CardTitle>
+                    <CardDescription>
+                      {units} unidades en {group.lines.length} lote(s)
+                    </CardDescription>
+                  </div>
+                  <Button onClick={() => handleCreateDraft(group)}>
+                    <Icon className="h-4 w-4 mr-2" />
+                    {config.button}
+                  </Button>
+                </CardHeader>
+                <CardContent>
+                  <table className="w-full text-sm">
+                    <thead>
+                      <tr className="border-b text-left text-muted-foreground">
+                        <th className="py-2 pr-4">Producto</th>
+                        <th className="py-2 pr-4">Lote</th>
+                        <th className="py-2 pr-4">Vence</th>
+                        <th className="py-2 pr-4 text-right">Disponible</th>
+                        <th className="py-2 pr-4 text-right">Consumo/mes origen</th>
+                        {group.action === 'TRANSFER' && <th className="py-2 pr-4 text-right">Consumo/mes destino</th>}
+                        <th className="py-2 pr-4 text-right">En riesgo</th>
+                        <th className="py-2 text-right">Mover</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {group.lines.map((line) => (
+                        <tr key={`${line.loteId}-${line.to._id}`} className="border-b">
+                          <td className="py-2 pr-4">
+                            <div className="font-medium">{line.product?.name}</div>
+                            <div className="text-xs text-muted-foreground">Código: {line.product?.code}</div>
+                          </td>
+                          <td className="py-2 pr-4 font-mono">{line.lotNumber}</td>
+                          <td className="py-2 pr-4">
+                            <div>{formatDate(line.expiryDate)}</div>
+                            <Badge
+                              className={`border-0 ${line.daysToExpiry <= 60 ? 'bg-red-100 text-red-800' : 'bg-yellow-100 text-yellow-800'}`}
+                            >
+                              {line.daysToExpiry <= 60 && <AlertTriangle className="h-3 w-3 mr-1" />}
+                              {line.daysToExpiry} días
+                            </Badge>
+                          </td>
+                          <td className="py-2 pr-4 text-right">{line.quantityAvailable}</td>
+                          <td className="py-2 pr-4 text-right">{line.avgMonthlyConsumption}</td>
+                          {group.action === 'TRANSFER' && (
+                            <td className="py-2 pr-4 text-right">{line.destinationAvgMonthlyConsumption}</td>
+                          )}
+                          <td className="py-2 pr-4 text-right text-red-600">{line.quantityAtRisk}</td>
+                          <td className="py-2 text-right font-bold">{line.quantity}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                </CardContent>
+              </Card>
+            );
+          })}
+        </div>
+      )}
+
+      <p className="text-xs text-muted-foreground flex items-center gap-1">
+        <CalendarClock className="h-3 w-3" />
+        Los lotes se consumen por orden de vencimiento. Los traslados reservan 7 días de tránsito.
+      </p>
+    </div>
+  );
+}
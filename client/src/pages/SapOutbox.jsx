@@ -0,0 +1,258 @@
+import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
+import { sapOutboxApi } from '../lib/api';
+import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { Label } from '../components/ui/label';
+import { Button } from '../components/ui/button';
+import { Badge } from '../components/ui/badge';
+import { useToast } from '../components/ui/toast';
+import { formatDateTime } from '../lib/utils';
+import { Inbox, RefreshCw, Play, CheckCircle2, XCircle, Clock, Loader2 } from 'lucide-react';
+
+const DOCUMENT_TYPES = {
+  StockTransfer: 'Transferencia de stock',
+  DeliveryNote: 'Entrega (consumo)',
+  PurchaseDeliveryNote: 'Entrada de mercancía',
+  PurchaseOrder: 'Orden de compra',
+  InventoryGenExit: 'Salida de mercancía (ajuste)',
+  InventoryGenEntry: 'Entrada de mercancía (ajuste)',
+};
+
+const SOURCE_LABELS = {
+  ajustes: 'Ajuste',
+  consignaciones: 'Consignación',
+  consumos: 'Consumo',
+  devoluciones: 'Devolución',
+  goodsreceipts: 'Recepción',
+  pedidos: 'Pedido',
+  traslados: 'Traslado',
+};
+
+const STATUS_CONFIG = {
+  PENDING: { label: 'Pendiente', className: 'bg-yellow-100 text-yellow-800', icon: Clock },
+  PROCESSING: { label: 'Procesando', className: 'bg-blue-100 text-blue-800', icon: Loader2 },
+  SENT: { label: 'Enviado', className: 'bg-green-100 text-green-800', icon: CheckCircle2 },
+  DEAD: { label: 'Fallido (agotado)', className: 'bg-red-100 text-red-800', icon: XCircle },
+};
+
+export default function SapOutbox() {
+  const queryClient = useQueryClient();
+  const toast = useToast();
+
+  const [statusFilter, setStatusFilter] = useState('all');
+  const [typeFilter, setTypeFilter] = useState('all');
+
+  const { data: stats } = useQuery({
+    queryKey: ['sap-outbox', 'stats'],
+    queryFn: () => sapOutboxApi.getStats().then((res) => res.data),
+    refetchInterval: 30000,
+  });
+
+  const { data, isLoading } = useQuery({
+    queryKey: ['sap-outbox', statusFilter, typeFilter],
+    queryFn: () => {
+      const params = {};
+      if (statusFilter !== 'all') params.status = statusFilter;
+      if (typeFilter !== 'all') params.documentType = typeFilter;
+      return sapOutboxApi.getAll(params).then((res) => res.data);
+    },
+    refetchInterval: 30000,
+  });
+
+  const retryMutation = useMutation({
+    mutationFn: (id) => sapOutboxApi.retry(id),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['sap-outbox']);
+      if (response.data.success) {
+        toast.success(`Documento enviado a SAP - DocNum: ${response.data.sapResult?.sapDocNum}`);
+      } else {
+        toast.error(`Error SAP: ${response.data.sapResult?.error || 'Reintento fallido'}`);
+      }
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.error || 'Error al reintentar');
+    },
+  });
+
+  const processMutation = useMutation({
+    mutationFn: () => sapOutboxApi.processNow(),
+    onSuccess: (response) => {
+      queryClient.invalidateQueries(['sap-outbox']);
+      const { processed, sent, failed } = response.data;
+      if (processed === 0) {
+        toast.info('No hay documentos pendientes para enviar');
+      } else {
+        toast.success(`${processed} procesados: ${sent} enviados, ${failed} con error`);
+      }
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.error || 'Error al procesar la cola');
+    },
+  });
+
+  const entries = data?.entries || [];
+
+  return (
+    <div className="space-y-6">
+      <div className="flex items-start justify-between">
+        <div>
+          <h1 className="text-3xl font-bold">Cola SAP</h1>
+          <p className="text-muted-foreground">
+            Documentos pendientes de envío a SAP. Se reintentan automáticamente con espera creciente.
+          </p>
+        </div>
+        <Button onClick={() => processMutation.mutate()} disabled={processMutation.isPending}>
+          <Play className="h-4 w-4 mr-2" />
+          {processMutation.isPending ? 'Procesando...' : 'Procesar ahora'}
+        </Button>
+      </div>
+
+      {/* Stats */}
+      <div className="grid gap-4 md:grid-cols-4">
+        {Object.entries(STATUS_CONFIG).map(([status, config]) => {
+          const Icon = config.icon;
+          return (
+            <Card key={status}>
+              <CardContent className="p-4">
+                <div className="flex items-center justify-between">
+                  <div>
+                    <p className="text-sm text-muted-foreground">{config.label}</p>
+                    <p className="text-2xl font-bold">{stats?.[status] ?? '-'}</p>
+                  </div>
+                  <Icon className="h-8 w-8 text-muted-foreground" />
+                </div>
+              </CardContent>
+            </Card>
+          );
+        })}
+      </div>
+
+      {/* Filters */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Filtros</CardTitle>
+        </CardHeader>
+        <CardContent>
+          <div className="grid gap-4 md:grid-cols-3">
+            <div className="grid gap-2">
+              <Label>Estado</Label>
+              <Select value={statusFilter} onValueChange={setStatusFilter}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">Todos</SelectItem>
+                  {Object.entries(STATUS_CONFIG).map(([status, config]) => (
+                    <SelectItem key={status} value={status}>
+                      {config.label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+            <div className="grid gap-2">
+              <Label>Tipo de documento</Label>
+              <Select value={typeFilter} onValueChange={setTypeFilter}>
+                <SelectTrigger>
+                  <SelectValue />
+                </SelectTrigger>
+                <SelectContent>
+                  <SelectItem value="all">Todos</SelectItem>
+                  {Object.entries(DOCUMENT_TYPES).map(([type, label]) => (
+                    <SelectItem key={type} value={type}>
+                      {label}
+                    </SelectItem>
+                  ))}
+                </SelectContent>
+              </Select>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
+      {/* Queue */}
+      <Card>
+        <CardHeader>
+          <CardTitle>Documentos ({data?.pagination?.total ?? 0})</CardTitle>
+          <CardDescription>Los 50 más recientes</CardDescription>
+        </CardHeader>
+        <CardContent>
+          {isLoading ? (
+            <div>Cargando...</div>
+          ) : entries.length > 0 ? (
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="border-b text-left text-muted-foreground">
+                    <th className="py-2 pr-4">Documento</th>
+                    <th className="py-2 pr-4">Origen</th>
+                    <th className="py-2 pr-4">Estado</th>
+                    <th className="py-2 pr-4">Intentos</th>
+                    <th className="py-2 pr-4">Próximo intento</th>
+                    <th className="py-2 pr-4">SAP</th>
+                    <th className="py-2 pr-4">Último error</th>
+                    <th className="py-2"></th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {entries.map((entry) => {
+                    const config = STATUS_CONFIG[entry.status];
+                    const canRetry = entry.status === 'PENDING' || entry.status === 'DEAD';
+                    return (
+                      <tr key={entry._id} className="border-b align-top">
+                        <td className="py-2 pr-4">
+                          <div className="font-medium">{DOCUMENT_TYPES[entry.documentType]}</div>
+                          <div className="text-xs text-muted-foreground">{formatDateTime(entry.createdAt)}</div>
+                        </td>
+                        <td className="py-2 pr-4">
+                          <div>{SOURCE_LABELS[entry.source?.model]}</div>
+                          <div className="text-xs font-mono text-muted-foreground">{entry.idempotencyKey}</div>
+                        </td>
+                        <td className="py-2 pr-4">
+                          <Badge className={`${config?.className} border-0`}>{config?.label}</Badge>
+                        </td>
+                        <td className="py-2 pr-4">
+                          {entry.attempts}/{entry.maxAttempts}
+                        </td>
+                        <td className="py-2 pr-4">
+                          {entry.status === 'PENDING' ? formatDateTime(entry.nextAttemptAt) : '-'}
+                        </td>
+                        <td className="py-2 pr-4">{entry.result?.docNum ? `#${entry.result.docNum}` : '-'}</td>
+                        <td className="py-2 pr-4 max-w-xs">
+                          {entry.lastError && entry.status !== 'SENT' ? (
+                            <span className="text-red-600 break-words">{entry.lastError}</span>
+                          ) : (
+                            '-'
+                          )}
+                        </td>
+                        <td className="py-2 text-right">
+                          {canRetry && (
+                            <Button
+                              size="sm"
+                              variant="outline"
+                              disabled={retryMutation.isPending}
+                              onClick={() => retryMutation.mutate(entry._id)}
+                            >
+                              <RefreshCw className="h-3 w-3 mr-1" />
+                              Reintentar
+                            </Button>
+                          )}
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            </div>
+          ) : (
+            <div className="text-center py-12">
+              <Inbox className="h-12 w-12 text-muted-foreground mx-auto mb-4" />
+              <p className="text-lg font-medium">La cola está vacía</p>
+            </div>
+          )}
+        </CardContent>
+      </Card>
+    </div>
+  );
+}
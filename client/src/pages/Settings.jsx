@@ -1,12 +1,16 @@
 import { useState } from 'react';
+import { useQuery, useMutation, useQueryClient } from '@tanstack/react-query';
 import { useAuth } from '../context/AuthContext';
-import { userProfilesApi } from '../lib/api';
+import { userProfilesApi, extractionApi, notificationsApi, locacionesApi } from '../lib/api';
 import { Button } from '../components/ui/button';
 import { Input } from '../components/ui/input';
 import { Label } from '../components/ui/label';
 import { Card, CardContent, CardDescription, CardHeader, CardTitle } from '../components/ui/card';
 import { Badge } from '../components/ui/badge';
-import { CheckCircle, XCircle, AlertTriangle, Loader2, Eye, EyeOff, Trash2 } from 'lucide-react';
+import { Switch } from '../components/ui/switch';
+import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '../components/ui/select';
+import { useToast } from '../components/ui/toast';
+import { CheckCircle, XCircle, AlertTriangle, Loader2, Eye, EyeOff, Trash2, Send } from 'lucide-react';
 
 const ROLE_LABELS = {
   admin: 'Administrador',
@@ -260,6 +264,338 @@ export default function Settings() {
           </p>
         </CardContent>
       </Card>
+
+      <NotificationSubscriptionsCard />
+
+      {profile?.role === 'admin' && <NotificationSettingsCard />}
+
+      {profile?.role === 'admin' && <ExtractionSettingsCard />}
     </div>
   );
 }
+
+/**
+ * Company-wide choice of the provider that reads packing lists and
+ * consumption documents, and the confidence below which consumption
+ * extractions go to review (admin only)
+ */
+function ExtractionSettingsCard() {
+  const queryClient = useQueryClient();
+  const toast = useToast();
+  const [thresholdInput, setThresholdInput] = useState(null);
+
+  const { data: config } = useQuery({
+    queryKey: ['extraction', 'config'],
+    queryFn: () => extractionApi.getConfig().then((res) => res.data),
+  });
+
+  const configMutation = useMutation({
+    mutationFn: (data) => extractionApi.updateConfig(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['extraction', 'config']);
+      setThresholdInput(null);
+      toast.success('Configuración de extracción actualizada');
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.error || error?.response?.data?.message || 'Error al actualizar configuración');
+    },
+  });
+
+  const thresholdPercent = thresholdInput ?? (config ? String(Math.round(config.reviewThreshold * 100)) : '');
+  const thresholdValue = parseInt(thresholdPercent);
+  const thresholdValid = Number.isInteger(thresholdValue) && thresholdValue >= 0 && thresholdValue <= 100;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Extracción de Documentos</CardTitle>
+        <CardDescription>
+          Servicio que lee los packing lists y los documentos de consumo
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-2">
+        <Label>Proveedor</Label>
+        <Select
+          value={config?.provider || ''}
+          onValueChange={(provider) => configMutation.mutate({ provider })}
+          disabled={!config || configMutation.isPending}
+        >
+          <SelectTrigger className="max-w-sm">
+            <SelectValue placeholder="Cargando..." />
+          </SelectTrigger>
+          <SelectContent>
+            {config?.providers.map((option) => (
+              <SelectItem key={option.value} value={option.value} disabled={!option.available}>
+                {option.label}
+                {!option.available && ' (no configurado)'}
+              </SelectItem>
+            ))}
+          </SelectContent>
+        </Select>
+        <p className="text-xs text-muted-foreground">
+          El OCR local funciona sin conexión pero es menos preciso con escritura a mano y no lee PDF.
+        </p>
+
+        <div className="pt-4 space-y-2">
+          <Label htmlFor="reviewThreshold">Confianza mínima para registrar consumos (%)</Label>
+          <div className="flex gap-2 max-w-sm">
+            <Input
+              id="reviewThreshold"
+              type="number"
+              min="0"
+              max="100"
+              value={thresholdPercent}
+              onChange={(e) => setThresholdInput(e.target.value)}
+              disabled={!config}
+            />
+            <Button
+              onClick={() => configMutation.mutate({ reviewThreshold: thresholdValue / 100 })}
+              disabled={thresholdInput === null || !thresholdValid || configMutation.isPending}
+            >
+              Guardar
+            </Button>
+          </div>
+          <p className="text-xs text-muted-foreground">
+            Los documentos de consumo leídos por debajo de este valor pasan a revisión y otra persona debe aprobarlos.
+          </p>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
+
+/**
+ * Email notifications the current user subscribes to, and the centros the
+ * user follows (for email and in-app notifications)
+ */
+function NotificationSubscriptionsCard() {
+  const queryClient = useQueryClient();
+  const toast = useToast();
+  const [emailInput, setEmailInput] = useState(null);
+
+  const { data: subscriptions } = useQuery({
+    queryKey: ['notifications', 'subscriptions'],
+    queryFn: () => notificationsApi.getSubscriptions().then((res) => res.data),
+  });
+
+  const { data: locations } = useQuery({
+    queryKey: ['locaciones'],
+    queryFn: () => locacionesApi.getAll({ active: true }).then((res) => res.data),
+  });
+  const centros = locations?.filter((loc) => loc.type === 'CENTRO') || [];
+
+  const saveMutation = useMutation({
+    mutationFn: (data) => notificationsApi.updateSubscriptions(data),
+    onSuccess: (res) => {
+      queryClient.setQueryData(['notifications', 'subscriptions'], res.data);
+      setEmailInput(null);
+      toast.success('Notificaciones actualizadas');
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.error || error?.response?.data?.errors?.[0]?.msg || 'Error al actualizar notificaciones');
+    },
+  });
+
+  const testMutation = useMutation({
+    mutationFn: () => notificationsApi.sendTest(),
+    onSuccess: (res) => toast.success(res.data.message),
+    onError: (error) => {
+      toast.error(error?.response?.data?.error || 'Error al enviar correo de prueba');
+    },
+  });
+
+  const email = emailInput ?? subscriptions?.email ?? '';
+  const subscribedEvents = subscriptions?.events.filter((e) => e.subscribed).map((e) => e.event) || [];
+
+  const followedCentros = subscriptions?.centroIds || [];
+
+  const save = (events, centroIds = followedCentros) => saveMutation.mutate({ email, events, centroIds });
+
+  const toggle = (event, checked) => {
+    save(checked ? [...subscribedEvents, event] : subscribedEvents.filter((e) => e !== event));
+  };
+
+  const toggleCentro = (centroId) => {
+    save(
+      subscribedEvents,
+      followedCentros.includes(centroId)
+        ? followedCentros.filter((id) => id !== centroId)
+        : [...followedCentros, centroId]
+    );
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Notificaciones por Correo</CardTitle>
+        <CardDescription>
+          Elija qué avisos recibir por correo
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="space-y-2">
+          <Label htmlFor="notificationEmail">Correo</Label>
+          <div className="flex gap-2 max-w-md">
+            <Input
+              id="notificationEmail"
+              type="email"
+              value={email}
+              onChange={(e) => setEmailInput(e.target.value)}
+              disabled={!subscriptions}
+            />
+            <Button
+              onClick={() => save(subscribedEvents)}
+              disabled={emailInput === null || saveMutation.isPending}
+            >
+              Guardar
+            </Button>
+            <Button
+              variant="outline"
+              onClick={() => testMutation.mutate()}
+              disabled={!subscriptions?.email || emailInput !== null || testMutation.isPending}
+            >
+              {testMutation.isPending ? (
+                <Loader2 className="h-4 w-4 animate-spin" />
+              ) : (
+                <Send className="h-4 w-4" />
+              )}
+              <span className="ml-2">Probar</span>
+            </Button>
+          </div>
+        </div>
+
+        <div className="divide-y rounded-md border">
+          {subscriptions?.events.map((item) => (
+            <div key={item.event} className="flex items-center justify-between gap-4 p-3">
+              <div>
+                <p className="text-sm font-medium">{item.label}</p>
+                <p className="text-xs text-muted-foreground">{item.description}</p>
+              </div>
+              <Switch
+                checked={item.subscribed}
+                onCheckedChange={(checked) => toggle(item.event, checked)}
+                disabled={saveMutation.isPending}
+              />
+            </div>
+          ))}
+        </div>
+
+        {centros.length > 0 && (
+          <div className="space-y-2">
+            <Label>Mis centros</Label>
+            <div className="flex flex-wrap gap-2">
+              {centros.map((centro) => {
+                const followed = followedCentros.includes(centro._id);
+                return (
+                  <Button
+                    key={centro._id}
+                    type="button"
+                    size="sm"
+                    variant={followed ? 'default' : 'outline'}
+                    onClick={() => toggleCentro(centro._id)}
+                    disabled={!subscriptions || saveMutation.isPending}
+                  >
+                    {centro.name}
+                  </Button>
+                );
+              })}
+            </div>
+            <p className="text-xs text-muted-foreground">
+              {followedCentros.length === 0
+                ? 'Recibe avisos de consignaciones y lotes de todos los centros. Elija centros para recibir solo los suyos.'
+                : 'Solo recibe avisos de consignaciones y lotes de los centros elegidos, también en la campana.'}
+            </p>
+          </div>
+        )}
+
+        {subscriptions?.transport === 'console' && (
+          <p className="text-xs text-muted-foreground">
+            El servidor no tiene SMTP configurado: los correos solo se registran en el log del servidor.
+          </p>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
+
+/**
+ * Thresholds of the daily notification checks (admin only)
+ */
+function NotificationSettingsCard() {
+  const queryClient = useQueryClient();
+  const toast = useToast();
+  const [form, setForm] = useState(null);
+
+  const { data: config } = useQuery({
+    queryKey: ['notifications', 'config'],
+    queryFn: () => notificationsApi.getConfig().then((res) => res.data),
+  });
+
+  const configMutation = useMutation({
+    mutationFn: (data) => notificationsApi.updateConfig(data),
+    onSuccess: () => {
+      queryClient.invalidateQueries(['notifications', 'config']);
+      setForm(null);
+      toast.success('Configuración de notificaciones actualizada');
+    },
+    onError: (error) => {
+      toast.error(error?.response?.data?.error || error?.response?.data?.errors?.[0]?.msg || 'Error al actualizar configuración');
+    },
+  });
+
+  const values = form ?? {
+    consignmentTransitDays: config ? String(config.consignmentTransitDays) : '',
+    lotExpiryDays: config ? String(config.lotExpiryDays) : '',
+  };
+  const transitDays = parseInt(values.consignmentTransitDays);
+  const expiryDays = parseInt(values.lotExpiryDays);
+  const valid = transitDays >= 1 && transitDays <= 60 && expiryDays >= 1 && expiryDays <= 365;
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle>Avisos Diarios</CardTitle>
+        <CardDescription>
+          Cuándo avisar de consignaciones sin confirmar y lotes por vencer
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid gap-4 sm:grid-cols-2 max-w-md">
+          <div className="space-y-2">
+            <Label htmlFor="consignmentTransitDays">Días en tránsito</Label>
+            <Input
+              id="consignmentTransitDays"
+              type="number"
+              min="1"
+              max="60"
+              value={values.consignmentTransitDays}
+              onChange={(e) => setForm({ ...values, consignmentTransitDays: e.target.value })}
+              disabled={!config}
+            />
+          </div>
+          <div className="space-y-2">
+            <Label htmlFor="lotExpiryDays">Días para vencimiento</Label>
+            <Input
+              id="lotExpiryDays"
+              type="number"
+              min="1"
+              max="365"
+              value={values.lotExpiryDays}
+              onChange={(e) => setForm({ ...values, lotExpiryDays: e.target.value })}
+              disabled={!config}
+            />
+          </div>
+        </div>
+        <Button
+          onClick={() => configMutation.mutate({ consignmentTransitDays: transitDays, lotExpiryDays: expiryDays })}
+          disabled={form === null || !valid || configMutation.isPending}
+        >
+          Guardar
+        </Button>
+        <p className="text-xs text-muted-foreground">
+          Los avisos se revisan una vez al día. El stock bajo el objetivo usa el stock objetivo de cada centro.
+        </p>
+      </CardContent>
+    </Card>
+  );
+}
@@ -6,7 +6,7 @@ import { Select, SelectContent, SelectItem, SelectTrigger, SelectValue } from '.
 import { Input } from '../components/ui/input';
 import { Label } from '../components/ui/label';
 import { Button } from '../components/ui/button';
-import { History, Package, TrendingUp, Activity, Filter, X, CheckCircle2, XCircle, Cloud, CloudOff } from 'lucide-react';
+import { History, Package, TrendingUp, Activity, Filter, X, CheckCircle2, XCircle, Cloud, CloudOff, SlidersHorizontal, ArrowLeftRight } from 'lucide-react';
 import { Badge } from '../components/ui/badge';
 import { formatDate } from '../lib/utils';
 
@@ -14,6 +14,8 @@ const transactionTypes = {
   WAREHOUSE_RECEIPT: { label: 'Recepción', icon: Package, color: 'text-blue-600 bg-blue-50' },
   CONSIGNMENT_OUT: { label: 'Consignación', icon: TrendingUp, color: 'text-purple-600 bg-purple-50' },
   CONSUMPTION: { label: 'Consumo', icon: Activity, color: 'text-green-600 bg-green-50' },
+  TRANSFER: { label: 'Traslado', icon: ArrowLeftRight, color: 'text-cyan-600 bg-cyan-50' },
+  ADJUSTMENT: { label: 'Ajuste', icon: SlidersHorizontal, color: 'text-orange-600 bg-orange-50' },
 };
 
 export default function TransactionHistory() {
@@ -137,6 +139,8 @@ export default function TransactionHistory() {
                   <SelectItem value="WAREHOUSE_RECEIPT">Recepción</SelectItem>
                   <SelectItem value="CONSIGNMENT_OUT">Consignación</SelectItem>
                   <SelectItem value="CONSUMPTION">Consumo</SelectItem>
+                  <SelectItem value="TRANSFER">Traslado</SelectItem>
+                  <SelectItem value="ADJUSTMENT">Ajuste</SelectItem>
                 </SelectContent>
               </Select>
             </div>
@@ -269,7 +273,7 @@ export default function TransactionHistory() {
                         {transaction.type === 'WAREHOUSE_RECEIPT' && (
                           <>Recibido en: {transaction.toLocationId?.name || 'N/A'}</>
                         )}
-                        {transaction.type === 'CONSIGNMENT_OUT' && (
+                        {(transaction.type === 'CONSIGNMENT_OUT' || transaction.type === 'TRANSFER') && (
                           <>
                             De: {transaction.fromLocationId?.name || 'N/A'} → Hacia:{' '}
                             {transaction.toLocationId?.name || 'N/A'}
@@ -282,6 +286,13 @@ export default function TransactionHistory() {
                             {transaction.consumption?.procedureInfo && ` | ${transaction.consumption.procedureInfo}`}
                           </>
                         )}
+                        {transaction.type === 'ADJUSTMENT' && (
+                          <>
+                            {transaction.fromLocationId ? 'Salida en' : 'Entrada en'}:{' '}
+                            {(transaction.fromLocationId || transaction.toLocationId)?.name || 'N/A'}
+                            {transaction.adjustment?.reason && ` | Motivo: ${transaction.adjustment.reason}`}
+                          </>
+                        )}
                       </div>
 
                       {transaction.notes && (
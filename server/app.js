@@ -44,6 +44,23 @@ const consumptionRoutes = require('./routes/consumption');
 const reconciliationRoutes = require('./routes/reconciliation');
 const pedidosRoutes = require('./routes/pedidos');
 const userProfilesRoutes = require('./routes/userProfiles');
+const recallsRoutes = require('./routes/recalls');
+const devolucionesRoutes = require('./routes/devoluciones');
+const ajustesRoutes = require('./routes/ajustes');
+const conteosRoutes = require('./routes/conteos');
+const trasladosRoutes = require('./routes/traslados');
+const sapOutboxRoutes = require('./routes/sapOutbox');
+const inventoryCheckRoutes = require('./routes/inventoryCheck');
+const scanRoutes = require('./routes/scan');
+const extractionRoutes = require('./routes/extraction');
+const extractionReviewsRoutes = require('./routes/extractionReviews');
+const documentsRoutes = require('./routes/documents');
+const consumptionBatchesRoutes = require('./routes/consumptionBatches');
+const priceListsRoutes = require('./routes/priceLists');
+const medicosRoutes = require('./routes/medicos');
+const procedimientosRoutes = require('./routes/procedimientos');
+const proveedoresRoutes = require('./routes/proveedores');
+const notificationsRoutes = require('./routes/notifications');
 
 app.use('/api/auth', authRoutes);
 app.use('/api/productos', productosRoutes);
@@ -59,6 +76,23 @@ app.use('/api/consumption', consumptionRoutes);
 app.use('/api/reconciliation', reconciliationRoutes);
 app.use('/api/pedidos', pedidosRoutes);
 app.use('/api/user-profiles', userProfilesRoutes);
+app.use('/api/recalls', recallsRoutes);
+app.use('/api/devoluciones', devolucionesRoutes);
+app.use('/api/ajustes', ajustesRoutes);
+app.use('/api/conteos', conteosRoutes);
+app.use('/api/traslados', trasladosRoutes);
+app.use('/api/sap-outbox', sapOutboxRoutes);
+app.use('/api/inventory-check', inventoryCheckRoutes);
+app.use('/api/scan', scanRoutes);
+app.use('/api/extraction', extractionRoutes);
+app.use('/api/extraction-reviews', extractionReviewsRoutes);
+app.use('/api/documents', documentsRoutes);
+app.use('/api/consumption-batches', consumptionBatchesRoutes);
+app.use('/api/price-lists', priceListsRoutes);
+app.use('/api/medicos', medicosRoutes);
+app.use('/api/procedimientos', procedimientosRoutes);
+app.use('/api/proveedores', proveedoresRoutes);
+app.use('/api/notifications', notificationsRoutes);
 
 // SPA catch-all route in production (static files served at top, before CORS)
 if (process.env.NODE_ENV === 'production') {
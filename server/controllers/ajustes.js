@@ -0,0 +1,322 @@
+/**
+ * Ajustes Controller
+ * Inventory adjustments for damaged, expired, lost, found and count-correction
+ * quantities, one lot at one location per adjustment.
+ *
+ * Adjustments above the configured approval threshold are saved as PENDIENTE
+ * and only touch stock once an admin approves them.
+ *
+ * OUT adjustments post a Goods Issue (InventoryGenExits), IN adjustments post
+ * a Goods Receipt (InventoryGenEntries), through the SAP outbox
+ * (see services/sapOutboxService.js).
+ */
+const {
+  getAjustesModel,
+  getProductosModel,
+  getLocacionesModel,
+  getVascularesConfigModel,
+} = require('../getModel');
+const { validationResult } = require('express-validator');
+const {
+  getApprovalThreshold,
+  loadAdjustmentContext,
+  applyAdjustment,
+} = require('../services/ajustesService');
+
+/**
+ * Helper: Apply an adjustment and send the HTTP response
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} params - { ajuste, context, statusCode, docDate }
+ */
+async function applyAndRespond(req, res, { ajuste, context, statusCode, docDate }) {
+  const result = await applyAdjustment({
+    companyId: req.companyId,
+    user: {
+      _id: req.user._id,
+      firstname: req.user.firstname,
+      lastname: req.user.lastname,
+      email: req.user.email,
+    },
+    ajuste,
+    context,
+    docDate,
+  });
+
+  res.status(statusCode).json({
+    success: true,
+    ajuste: result.ajuste,
+    sapResult: result.sapResult,
+  });
+}
+
+/**
+ * Helper: Error message for an adjustment that is no longer pending
+ * @param {string} status - Current adjustment status
+ * @returns {string}
+ */
+function getNotPendingError(status) {
+  if (status === 'APLICANDO') return 'El ajuste se está aplicando';
+  return `El ajuste ya fue ${status === 'APLICADO' ? 'aplicado' : 'rechazado'}`;
+}
+
+/**
+ * GET /api/ajustes
+ * List adjustments with optional filters
+ */
+exports.list = async (req, res, next) => {
+  try {
+    const { status, locationId, reason, limit = 100 } = req.query;
+
+    const Ajustes = await getAjustesModel(req.companyId);
+    await getProductosModel(req.companyId);
+    await getLocacionesModel(req.companyId);
+
+    const query = {};
+    if (status) query.status = status;
+    if (locationId) query.locationId = locationId;
+    if (reason) query.reason = reason;
+
+    const ajustes = await Ajustes.find(query)
+      .populate('productId', 'name code sapItemCode')
+      .populate('locationId', 'name type')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .lean();
+
+    res.json(ajustes);
+  } catch (error) {
+    console.error('Error listing ajustes:', error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/ajustes/config
+ * Get adjustment settings (approval threshold)
+ */
+exports.getConfig = async (req, res, next) => {
+  try {
+    const approvalThreshold = await getApprovalThreshold(req.companyId);
+    res.json({ approvalThreshold });
+  } catch (error) {
+    console.error('Error getting ajustes config:', error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/ajustes/config
+ * Update the approval threshold (admin only)
+ */
+exports.updateConfig = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const VascularesConfig = await getVascularesConfigModel(req.companyId);
+    const config = await VascularesConfig.findOneAndUpdate(
+      { companyId: req.companyId },
+      { $set: { 'ajustes.approvalThreshold': req.body.approvalThreshold } },
+      { upsert: true, new: true }
+    );
+
+    res.json({ approvalThreshold: config.ajustes.approvalThreshold });
+  } catch (error) {
+    console.error('Error updating ajustes config:', error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/ajustes/:id
+ * Get a single adjustment
+ */
+exports.getOne = async (req, res, next) => {
+  try {
+    const Ajustes = await getAjustesModel(req.companyId);
+    await getProductosModel(req.companyId);
+    await getLocacionesModel(req.companyId);
+
+    const ajuste = await Ajustes.findById(req.params.id)
+      .populate('productId', 'name code sapItemCode')
+      .populate('locationId', 'name type')
+      .lean();
+
+    if (!ajuste) {
+      return res.status(404).json({ error: 'Ajuste no encontrado' });
+    }
+
+    res.json(ajuste);
+  } catch (error) {
+    console.error('Error getting ajuste:', error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/ajustes
+ * Create an adjustment. Applied immediately (SAP + local) when the quantity is
+ * within the approval threshold, otherwise saved as PENDIENTE.
+ */
+exports.create = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { locationId, loteId, reason, quantity, notes, docDate } = req.body;
+
+    // ============================================
+    // PHASE 1: VALIDATION (no saves)
+    // ============================================
+
+    // Validate DocDate if provided — prevent SAP datetime overflow
+    if (docDate) {
+      const docYear = new Date(docDate).getFullYear();
+      if (isNaN(docYear) || docYear < 2000 || docYear > new Date().getFullYear() + 1) {
+        return res.status(400).json({ error: `Fecha de contabilización inválida: "${docDate}". Verifique el año.` });
+      }
+    }
+
+    const Ajustes = await getAjustesModel(req.companyId);
+
+    // Direction is fixed by the reason code, except for count corrections
+    const direction = Ajustes.getDirectionForReason(reason) || req.body.direction;
+    if (!['IN', 'OUT'].includes(direction)) {
+      return res.status(400).json({ error: 'Las correcciones de conteo requieren dirección (IN u OUT)' });
+    }
+
+    const context = await loadAdjustmentContext(req.companyId, { locationId, loteId, direction, quantity });
+    if (context.error) {
+      return res.status(context.status).json({ error: context.error });
+    }
+
+    const approvalThreshold = await getApprovalThreshold(req.companyId);
+    const requiresApproval = quantity > approvalThreshold;
+
+    const ajuste = new Ajustes({
+      locationId: context.location._id,
+      loteId: context.lote._id,
+      productId: context.product._id,
+      lotNumber: context.lote.lotNumber,
+      reason,
+      direction,
+      quantity,
+      notes,
+      status: 'PENDIENTE',
+      requiresApproval,
+      approvalThreshold,
+      createdBy: {
+        _id: req.user._id,
+        firstname: req.user.firstname,
+        lastname: req.user.lastname,
+        email: req.user.email,
+      },
+    });
+
+    // Large adjustments wait for an admin - no stock or SAP changes yet
+    if (requiresApproval) {
+      await ajuste.save();
+      return res.status(201).json({
+        success: true,
+        pendingApproval: true,
+        ajuste,
+      });
+    }
+
+    await applyAndRespond(req, res, { ajuste, context, statusCode: 201, docDate });
+  } catch (error) {
+    console.error('Error creating ajuste:', error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/ajustes/:id/approve
+ * Approve a pending adjustment and apply it (admin only)
+ */
+exports.approve = async (req, res, next) => {
+  try {
+    const Ajustes = await getAjustesModel(req.companyId);
+
+    // Claim the adjustment so two approvals can't both apply it
+    const ajuste = await Ajustes.findOneAndUpdate(
+      { _id: req.params.id, status: 'PENDIENTE' },
+      { $set: { status: 'APLICANDO' } },
+      { new: true }
+    );
+
+    if (!ajuste) {
+      const existing = await Ajustes.findById(req.params.id).select('status').lean();
+      if (!existing) {
+        return res.status(404).json({ error: 'Ajuste no encontrado' });
+      }
+      return res.status(400).json({ error: getNotPendingError(existing.status) });
+    }
+
+    try {
+      // Stock may have moved since the adjustment was requested - validate again
+      const context = await loadAdjustmentContext(req.companyId, {
+        locationId: ajuste.locationId,
+        loteId: ajuste.loteId,
+        direction: ajuste.direction,
+        quantity: ajuste.quantity,
+      });
+      if (context.error) {
+        return res.status(context.status).json({ error: context.error });
+      }
+
+      await applyAndRespond(req, res, { ajuste, context, statusCode: 200, docDate: req.body.docDate });
+    } finally {
+      // Anything short of applying it puts the adjustment back in the queue
+      await Ajustes.updateOne({ _id: ajuste._id, status: 'APLICANDO' }, { $set: { status: 'PENDIENTE' } });
+    }
+  } catch (error) {
+    console.error('Error approving ajuste:', error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/ajustes/:id/reject
+ * Reject a pending adjustment (admin only)
+ */
+exports.reject = async (req, res, next) => {
+  try {
+    const Ajustes = await getAjustesModel(req.companyId);
+    const ajuste = await Ajustes.findOneAndUpdate(
+      { _id: req.params.id, status: 'PENDIENTE' },
+      {
+        $set: {
+          status: 'RECHAZADO',
+          rejectedAt: new Date(),
+          rejectedBy: {
+            _id: req.user._id,
+            firstname: req.user.firstname,
+            lastname: req.user.lastname,
+            email: req.user.email,
+          },
+          rejectionReason: req.body.reason,
+        },
+      },
+      { new: true }
+    );
+
+    if (!ajuste) {
+      const existing = await Ajustes.findById(req.params.id).select('status').lean();
+      if (!existing) {
+        return res.status(404).json({ error: 'Ajuste no encontrado' });
+      }
+      return res.status(400).json({ error: getNotPendingError(existing.status) });
+    }
+
+    res.json({ success: true, ajuste });
+  } catch (error) {
+    console.error('Error rejecting ajuste:', error);
+    next(error);
+  }
+};
@@ -8,6 +8,10 @@ const {
   getLocacionesModel,
   getInventarioModel,
 } = require('../getModel');
+const consumptionStatsService = require('../services/consumptionStatsService');
+const doctorStatsService = require('../services/doctorStatsService');
+const forecastService = require('../services/forecastService');
+const { pendingQuantity } = require('../services/purchaseOrderService');
 
 /**
  * GET /api/analytics/consumption/monthly
@@ -187,6 +191,170 @@ exports.getConsumptionByLocation = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/analytics/consumption/by-doctor
+ * Consumption per implanting physician: monthly units, preferred sizes,
+ * product-line share and the centros they work at (see services/doctorStatsService.js).
+ * Consumptions without a doctor are grouped under doctorKey 'none'.
+ *
+ * Query params:
+ * - locationId: Only this centro
+ * - doctor: Only this doctor (doctorKey from a previous response)
+ * - category: Only products of this category
+ * - startDate, endDate: Consumption date range (default: last 12 months)
+ */
+exports.getConsumptionByDoctor = async (req, res, next) => {
+  try {
+    const { locationId, doctor, category, startDate, endDate } = req.query;
+
+    const stats = await doctorStatsService.getDoctorStats(req.companyId, {
+      centroId: locationId,
+      doctor,
+      category,
+      startDate,
+      endDate,
+    });
+    res.json(stats);
+  } catch (error) {
+    console.error('Error getting consumption by doctor:', error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/analytics/consumption/size-demand
+ * Monthly demand per size, split by the doctors who implant each size.
+ * With locationId it shows which sizes a hospital needs and who drives them.
+ *
+ * Query params:
+ * - locationId: Only this centro
+ * - category: Only products of this category
+ * - startDate, endDate: Consumption date range (default: last 12 months)
+ */
+exports.getSizeDemandByDoctor = async (req, res, next) => {
+  try {
+    const { locationId, category, startDate, endDate } = req.query;
+
+    const demand = await doctorStatsService.getSizeDemandByDoctor(req.companyId, {
+      centroId: locationId,
+      category,
+      startDate,
+      endDate,
+    });
+    res.json(demand);
+  } catch (error) {
+    console.error('Error getting size demand by doctor:', error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/analytics/revenue/by-location
+ * Revenue per centro from the prices stamped on consumption items
+ * (see services/priceListService.js). Items registered without a price are
+ * counted in unpricedQuantity so the gap is visible.
+ *
+ * Query params:
+ * - locationId: Only this centro
+ * - startDate, endDate: Consumption date range (default: last 3 months)
+ */
+exports.getRevenueByLocation = async (req, res, next) => {
+  try {
+    await getLocacionesModel(req.companyId);
+    const { getConsumosModel } = require('../getModel');
+    const Consumos = await getConsumosModel(req.companyId);
+
+    const { locationId, startDate, endDate } = req.query;
+
+    // Build date range (default to last 3 months)
+    let dateFilter = {};
+    if (startDate || endDate) {
+      if (startDate) dateFilter.$gte = new Date(startDate);
+      if (endDate) dateFilter.$lte = new Date(endDate);
+    } else {
+      const threeMonthsAgo = new Date();
+      threeMonthsAgo.setMonth(threeMonthsAgo.getMonth() - 3);
+      dateFilter.$gte = threeMonthsAgo;
+    }
+
+    const mongoose = require('mongoose');
+    const matchCriteria = { consumptionDate: dateFilter };
+    if (locationId) matchCriteria.centroId = new mongoose.Types.ObjectId(locationId);
+
+    const priced = { $ne: [{ $ifNull: ['$items.price', null] }, null] };
+
+    const pipeline = [
+      { $match: matchCriteria },
+      { $unwind: '$items' },
+      // One row per centro and currency; unpriced items get a null currency
+      {
+        $group: {
+          _id: {
+            locationId: '$centroId',
+            currency: { $cond: [priced, { $ifNull: ['$items.currency', 'USD'] }, null] },
+          },
+          amount: { $sum: { $multiply: [{ $ifNull: ['$items.price', 0] }, '$items.quantity'] } },
+          quantity: { $sum: '$items.quantity' },
+          consumos: { $addToSet: '$_id' },
+        },
+      },
+      { $sort: { '_id.currency': 1 } },
+      {
+        $group: {
+          _id: '$_id.locationId',
+          revenue: {
+            $push: {
+              $cond: [
+                { $ne: ['$_id.currency', null] },
+                { currency: '$_id.currency', amount: '$amount', quantity: '$quantity' },
+                '$$REMOVE',
+              ],
+            },
+          },
+          unpricedQuantity: { $sum: { $cond: [{ $eq: ['$_id.currency', null] }, '$quantity', 0] } },
+          totalQuantity: { $sum: '$quantity' },
+          consumos: { $push: '$consumos' },
+        },
+      },
+      {
+        $lookup: {
+          from: 'locaciones',
+          localField: '_id',
+          foreignField: '_id',
+          as: 'location',
+        },
+      },
+      { $unwind: '$location' },
+      {
+        $project: {
+          _id: 0,
+          locationId: '$_id',
+          locationName: '$location.name',
+          revenue: 1,
+          totalQuantity: 1,
+          unpricedQuantity: 1,
+          consumptionCount: {
+            $size: {
+              $reduce: {
+                input: '$consumos',
+                initialValue: [],
+                in: { $setUnion: ['$$value', '$$this'] },
+              },
+            },
+          },
+        },
+      },
+      { $sort: { locationName: 1 } },
+    ];
+
+    const revenueData = await Consumos.aggregate(pipeline);
+    res.json(revenueData);
+  } catch (error) {
+    console.error('Error getting revenue by location:', error);
+    next(error);
+  }
+};
+
 /**
  * GET /api/analytics/consumption/trends
  * Get consumption trends and averages per product
@@ -418,6 +586,10 @@ exports.getConsumptionBySize = async (req, res, next) => {
  * Supports both warehouse view and per-location view
  * @query category - Filter by product category
  * @query locationId - Get data for specific location (if not provided, shows warehouse data)
+ * @query basis - 'forecast' (default): suggestions cover the forecast demand at its
+ *   upper confidence bound (see services/forecastService.js), falling back to the
+ *   Stock Objetivo for products without history; 'target': Stock Objetivo only
+ * @query coverageMonths - Months of demand to cover (default 1 at a centro, 3 for the warehouse)
  */
 exports.getPlanningData = async (req, res, next) => {
   try {
@@ -432,6 +604,7 @@ exports.getPlanningData = async (req, res, next) => {
 
     const { category, locationId } = req.query;
     const isLocationView = !!locationId;
+    const basis = req.query.basis === 'target' ? 'target' : 'forecast';
 
     // Get location details if viewing specific location
     let viewedLocation = null;
@@ -650,37 +823,22 @@ exports.getPlanningData = async (req, res, next) => {
       ]);
     } else {
       // Centro or aggregated view: query Consumos collection
-      const { getConsumosModel } = require('../getModel');
-      const Consumos = await getConsumosModel(req.companyId);
-
-      const consumosMatch = { consumptionDate: { $gte: twelveMonthsAgo } };
-      if (isLocationView) {
-        // Specific centro
-        consumosMatch.centroId = new mongoose.Types.ObjectId(locationId);
-      }
-
-      consumptionData = await Consumos.aggregate([
-        { $match: consumosMatch },
-        { $unwind: '$items' },
-        {
-          $group: {
-            _id: '$items.productId',
-            totalConsumed: { $sum: '$items.quantity' },
-            firstTransaction: { $min: '$consumptionDate' },
-            lastTransaction: { $max: '$consumptionDate' },
-          },
-        },
-        {
-          $addFields: {
-            monthsOfHistory: {
-              $max: [1, { $ceil: { $divide: [{ $subtract: ['$lastTransaction', '$firstTransaction'] }, 1000 * 60 * 60 * 24 * 30] } }],
-            },
-          },
-        },
-        { $addFields: { avgMonthlyConsumption: { $divide: ['$totalConsumed', '$monthsOfHistory'] } } },
-      ]);
+      consumptionData = await consumptionStatsService.getConsumptionAverages(req.companyId, {
+        centroId: isLocationView ? locationId : null,
+      });
     }
 
+    // Monthly demand series for the forecasts: warehouse outflow, centro
+    // consumption, or system consumption (plus per centro for centro needs)
+    const coverageMonths = Math.min(12, Math.max(1, parseInt(req.query.coverageMonths) ||
+      forecastService.DEFAULT_COVERAGE_MONTHS[isLocationView && !isViewingWarehouse ? 'CENTRO' : 'WAREHOUSE']));
+    const demandSeries = isLocationView && isViewingWarehouse
+      ? await consumptionStatsService.getOutflowSeries(req.companyId, { warehouseId: locationId })
+      : await consumptionStatsService.getMonthlySeries(req.companyId, { centroId: isLocationView ? locationId : null });
+    const centroSeries = isLocationView
+      ? null
+      : await consumptionStatsService.getMonthlySeries(req.companyId, { byCentro: true });
+
     // Get per-location targets
     let locationTargets = {};
     let allLocationTargets = []; // For warehouse view, get all centro targets
@@ -714,7 +872,7 @@ exports.getPlanningData = async (req, res, next) => {
 
       for (const pedido of pendingPedidos) {
         for (const item of pedido.items) {
-          const pending = Math.max(0, item.quantityOrdered - item.quantityReceived);
+          const pending = pendingQuantity(item);
           if (pending > 0) {
             const productId = item.productId.toString();
             pendingOrdersByProduct[productId] = (pendingOrdersByProduct[productId] || 0) + pending;
@@ -740,6 +898,10 @@ exports.getPlanningData = async (req, res, next) => {
         avgMonthlyConsumption: 0,
       };
 
+      const forecast = forecastService.forecastDemand(demandSeries.get(product._id.toString()) || [], { coverageMonths });
+      // Forecast need when planning by forecast and the product has history, else Stock Objetivo
+      const useForecast = basis === 'forecast' && !!forecast;
+
       let result = {
         productId: product._id,
         name: product.name,
@@ -747,6 +909,9 @@ exports.getPlanningData = async (req, res, next) => {
         category: product.category,
         size: product.specifications?.size || 'N/A',
         avgMonthlyConsumption: Math.round(consumption.avgMonthlyConsumption * 100) / 100,
+        forecast: forecastService.summarize(forecast),
+        coverageMonths,
+        planningBasis: useForecast ? 'FORECAST' : 'TARGET',
       };
 
       // Helper to calculate status based on percentage of target
@@ -767,11 +932,12 @@ exports.getPlanningData = async (req, res, next) => {
         const currentStock = stock.locationStock;
         const inTransit = stock.inTransit || 0; // Stock sent to this location but not yet confirmed
         const targetStock = locationTarget?.targetStock || 0;
+        const requiredStock = useForecast ? forecast.need : targetStock;
 
-        // Calculate suggested consignment = Stock Objetivo - (Stock Actual + En Tránsito)
+        // Calculate suggested consignment = Stock requerido - (Stock Actual + En Tránsito)
         // Don't suggest more if stock is already on the way
         const effectiveStock = currentStock + inTransit;
-        const suggestedConsignment = Math.max(0, targetStock - effectiveStock);
+        const suggestedConsignment = Math.max(0, requiredStock - effectiveStock);
 
         // Calculate coverage days
         const daysOfCoverage =
@@ -785,9 +951,12 @@ exports.getPlanningData = async (req, res, next) => {
           inTransit, // Stock in transit to this location
           warehouseStock, // Available in warehouse for consignment
           targetStock,
+          safetyStock: locationTarget?.safetyStock || 0,
+          reorderPoint: locationTarget?.reorderPoint || 0,
+          requiredStock,
           suggestedConsignment,
           daysOfCoverage,
-          status: calculateStatus(currentStock, targetStock),
+          status: calculateStatus(currentStock, requiredStock),
           hasTarget: !!locationTarget,
         };
       } else {
@@ -814,26 +983,45 @@ exports.getPlanningData = async (req, res, next) => {
         // Calculate centro deficits individually (stock is NOT fungible between centros)
         // A surplus at CDC cannot help a deficit at CECANOR
         let totalCentroDeficit = 0;
-        let totalCentroTargets = 0;
 
+        // Each centro needs its own forecast demand (or its Stock Objetivo without history)
+        const centroTargetMap = {};
         centroTargetsForProduct.forEach((target) => {
-          const centroTarget = target.targetStock || 0;
-          const locId = target.locationId._id.toString();
+          centroTargetMap[target.locationId._id.toString()] = target.targetStock || 0;
+        });
+        const seriesPrefix = `${product._id}:`;
+        const centroIds = new Set([
+          ...Object.keys(centroTargetMap),
+          ...(basis === 'forecast'
+            ? [...centroSeries.keys()].filter((key) => key.startsWith(seriesPrefix)).map((key) => key.slice(seriesPrefix.length))
+            : []),
+        ]);
+
+        centroIds.forEach((locId) => {
+          const centroForecast = basis === 'forecast'
+            ? forecastService.forecastDemand(centroSeries.get(`${seriesPrefix}${locId}`) || [], {
+              coverageMonths: forecastService.DEFAULT_COVERAGE_MONTHS.CENTRO,
+            })
+            : null;
+          const centroRequired = centroForecast ? centroForecast.need : (centroTargetMap[locId] || 0);
           const centroStock = centroStocksMap[locId] || 0;
-          totalCentroTargets += centroTarget;
           // Only count deficits, not surpluses (surplus can't help other centros)
-          totalCentroDeficit += Math.max(0, centroTarget - centroStock);
+          totalCentroDeficit += Math.max(0, centroRequired - centroStock);
         });
 
         // Get pending orders for this product
         const pendingOrders = pendingOrdersByProduct[product._id.toString()] || 0;
 
+        // With a forecast, the warehouse holds the system demand expected while
+        // the order arrives instead of its fixed Stock Objetivo
+        const requiredStock = useForecast ? forecast.need : warehouseTarget;
+
         // Correct formula:
-        // suggestedOrder = centroDeficits + warehouseTarget - warehouseStock - pendingOrders
+        // suggestedOrder = centroDeficits + warehouseRequired - warehouseStock - pendingOrders
         // This avoids double-counting because warehouse stock can cover either
         // its own target OR centro deficits (it's the flexible pool)
         const suggestedOrder = Math.max(0,
-          totalCentroDeficit + warehouseTarget - stock.warehouseStock - pendingOrders
+          totalCentroDeficit + requiredStock - stock.warehouseStock - pendingOrders
         );
 
         // Calculate coverage days based on warehouse stock only
@@ -850,10 +1038,13 @@ exports.getPlanningData = async (req, res, next) => {
           consignedStock: stock.consignedStock,
           totalStock: stock.totalStock,
           targetStock: warehouseTarget, // Show warehouse target in column
+          safetyStock: settings.safetyStockWarehouse || 0,
+          reorderPoint: settings.reorderPointWarehouse || 0,
+          requiredStock,
           totalCentroDeficit, // Centro needs (for debugging/display)
           suggestedOrder,
           daysOfCoverage,
-          status: calculateStatus(stock.warehouseStock, warehouseTarget),
+          status: calculateStatus(stock.warehouseStock, requiredStock),
         };
       }
 
@@ -867,6 +1058,59 @@ exports.getPlanningData = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/analytics/forecast
+ * Demand forecast of one product with its back-test: the monthly history,
+ * the error of every candidate model and the chosen model's forecast.
+ *
+ * Query params:
+ * - productId: Product (required)
+ * - locationId: Centro (consumption) or warehouse (consignment outflow); all centros if omitted
+ * - coverageMonths: Forecast horizon (default 1 at a centro, 3 otherwise)
+ */
+exports.getForecast = async (req, res, next) => {
+  try {
+    const { productId, locationId } = req.query;
+    if (!productId) {
+      return res.status(400).json({ error: 'productId es requerido' });
+    }
+
+    let location = null;
+    if (locationId) {
+      const Locaciones = await getLocacionesModel(req.companyId);
+      location = await Locaciones.findById(locationId).lean();
+      if (!location) {
+        return res.status(404).json({ error: 'Locación no encontrada' });
+      }
+    }
+    const isWarehouse = location?.type === 'WAREHOUSE';
+    const coverageMonths = Math.min(12, Math.max(1, parseInt(req.query.coverageMonths) ||
+      forecastService.DEFAULT_COVERAGE_MONTHS[location && !isWarehouse ? 'CENTRO' : 'WAREHOUSE']));
+
+    const months = 24;
+    const seriesMap = isWarehouse
+      ? await consumptionStatsService.getOutflowSeries(req.companyId, { warehouseId: locationId, months })
+      : await consumptionStatsService.getMonthlySeries(req.companyId, { centroId: locationId || null, months });
+    const series = seriesMap.get(productId) || [];
+    const { keys } = consumptionStatsService.seriesWindow(months);
+
+    res.json({
+      productId,
+      locationId: locationId || null,
+      source: isWarehouse ? 'OUTFLOW' : 'CONSUMPTION',
+      history: keys.map((key, index) => {
+        const [year, month] = key.split('-').map(Number);
+        return { year, month, quantity: series[index] || 0 };
+      }),
+      coverageMonths,
+      forecast: forecastService.forecastDemand(series, { coverageMonths }),
+    });
+  } catch (error) {
+    console.error('Error getting forecast:', error);
+    next(error);
+  }
+};
+
 /**
  * GET /api/analytics/monthly-movements
  * Get per-product monthly consumption at a specific centro over trailing 12 months
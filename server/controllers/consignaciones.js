@@ -2,9 +2,7 @@
  * Consignaciones Controller
  * Handle bulk consignments from warehouse to centros
  * Integrates with SAP Business One for stock transfers
- *
- * ATOMIC: SAP is called FIRST. If SAP fails, nothing is saved locally.
- * If SAP succeeds, local changes are committed in a transaction.
+ * through the SAP outbox (see services/sapOutboxService.js).
  */
 const mongoose = require('mongoose');
 const {
@@ -17,6 +15,8 @@ const {
 } = require('../getModel');
 const { validationResult } = require('express-validator');
 const sapService = require('../services/sapService');
+const sapOutboxService = require('../services/sapOutboxService');
+const notificationService = require('../services/notificationService');
 
 /**
  * Helper: Update or create inventory record
@@ -130,9 +130,6 @@ exports.getOne = async (req, res, next) => {
  * POST /api/consignaciones
  * Create bulk consignment with SAP integration
  *
- * ATOMIC: SAP is called FIRST. If SAP fails, nothing is saved locally.
- * If SAP succeeds, local changes are committed in a transaction.
- *
  * Request body:
  * - fromLocationId: Warehouse location ID
  * - toLocationId: Centro location ID
@@ -142,9 +139,8 @@ exports.getOne = async (req, res, next) => {
  *
  * Flow:
  * 1. Validate locations and items (no saves)
- * 2. Create SAP Stock Transfer first
- * 3. If SAP fails → return error, save nothing
- * 4. If SAP succeeds → commit local changes in transaction
+ * 2. Save local changes and queue the SAP Stock Transfer in one transaction
+ * 3. Deliver the Stock Transfer after commit (outbox worker retries on failure)
  */
 exports.create = async (req, res, next) => {
   try {
@@ -209,6 +205,12 @@ exports.create = async (req, res, next) => {
           return res.status(404).json({ error: `Lot ${item.loteId} not found` });
         }
 
+        if (lote.status === 'RECALLED') {
+          return res.status(400).json({
+            error: `Lot ${item.lotNumber} is under recall and cannot be consigned`,
+          });
+        }
+
         if (lote.quantityAvailable < item.quantitySent) {
           return res.status(400).json({
             error: `Insufficient stock in lot ${item.lotNumber}. Available: ${lote.quantityAvailable}, Requested: ${item.quantitySent}`,
@@ -230,11 +232,12 @@ exports.create = async (req, res, next) => {
           });
         }
       } else {
-        // Legacy FIFO mode: find available lotes
+        // Legacy FIFO mode: find available lotes (recalled lotes are never allocated)
         const availableLotes = await Lotes.find({
           productId: item.productId,
           currentLocationId: fromLocationId,
           quantityAvailable: { $gt: 0 },
+          status: { $ne: 'RECALLED' },
         }).sort({ expiryDate: 1 }).lean();
 
         const totalAvailable = availableLotes.reduce((sum, l) => sum + l.quantityAvailable, 0);
@@ -274,50 +277,12 @@ exports.create = async (req, res, next) => {
     }
 
     // ============================================
-    // PHASE 2: SAP CALL (before any local saves)
+    // PHASE 2: LOCAL SAVES + SAP OUTBOX ENTRY (in transaction)
     // ============================================
 
-    let sapResult = null;
-
-    if (sapEnabled && sapTransferItems.length > 0) {
-      try {
-        sapResult = await sapService.createStockTransfer({
-          fromWarehouse: fromLocation.sapIntegration.warehouseCode,
-          toWarehouse: toLocation.sapIntegration.warehouseCode,
-          toBinAbsEntry: toLocation.sapIntegration.binAbsEntry,
-          items: sapTransferItems,
-          comments: `Consignación Vasculares - ${toLocation.name}`,
-          docDate: docDate || undefined,
-          cardCode: toLocation.sapIntegration.cardCode || undefined,
-        });
-        console.log('SAP Stock Transfer created:', sapResult);
-      } catch (sapError) {
-        // SAP failed - return error, save nothing locally
-        console.error('SAP Stock Transfer failed:', sapError.message);
-
-        // Check if it's a network/connection error
-        const isNetworkError = sapError.message?.includes('fetch failed') ||
-          sapError.cause?.code === 'UND_ERR_SOCKET' ||
-          sapError.message?.includes('ECONNRESET') ||
-          sapError.message?.includes('ETIMEDOUT');
-
-        const userMessage = isNetworkError
-          ? 'Error de conexión con SAP. Por favor intente nuevamente.'
-          : `SAP Error: ${sapError.message}`;
-
-        return res.status(500).json({
-          success: false,
-          error: userMessage,
-          sapError: sapError.message,
-          retry: isNetworkError,
-        });
-      }
-    }
-
-    // ============================================
-    // PHASE 3: LOCAL SAVES (in transaction)
-    // SAP succeeded (or not required), now commit local changes
-    // ============================================
+    const queueSap = sapEnabled && sapTransferItems.length > 0;
+    let consignacionId = null;
+    let outboxEntry = null;
 
     const session = await mongoose.startSession();
     session.startTransaction();
@@ -340,15 +305,9 @@ exports.create = async (req, res, next) => {
           notes: item.notes || '',
         })),
         sapIntegration: {
-          pushed: sapEnabled && sapResult?.DocNum ? true : false,
-          status: sapEnabled ? 'SYNCED' : null,
-          docEntry: sapResult?.DocEntry || null,
-          docNum: sapResult?.DocNum || null,
+          pushed: false,
+          status: queueSap ? 'PENDING' : null,
           docType: 'StockTransfers',
-          syncDate: sapEnabled ? new Date() : null,
-          error: null,
-          retryCount: 0,
-          retrying: false,
         },
         createdBy: {
           _id: req.user._id,
@@ -360,6 +319,7 @@ exports.create = async (req, res, next) => {
       });
 
       await consignacion.save({ session });
+      consignacionId = consignacion._id;
 
       // Process inventory updates for each item
       for (const item of processedItems) {
@@ -399,7 +359,7 @@ exports.create = async (req, res, next) => {
                   tipo: 'CONSIGNMENT_SENT',
                   cantidad: toDeduct,
                   usuario: `${req.user.firstname} ${req.user.lastname}`,
-                  detalles: `In transit from ${fromLocation.name} - Consignment #${consignacion._id}${sapResult ? ` - SAP #${sapResult.DocNum}` : ''}`,
+                  detalles: `In transit from ${fromLocation.name} - Consignment #${consignacion._id}`,
                 },
               },
             },
@@ -430,7 +390,7 @@ exports.create = async (req, res, next) => {
               tipo: 'CONSIGNMENT_SENT',
               cantidad: toDeduct,
               usuario: `${req.user.firstname} ${req.user.lastname}`,
-              detalles: `In transit from ${fromLocation.name} - Consignment #${consignacion._id}${sapResult ? ` - SAP #${sapResult.DocNum}` : ''}`,
+              detalles: `In transit from ${fromLocation.name} - Consignment #${consignacion._id}`,
             }],
           });
           await centroLote.save({ session });
@@ -445,7 +405,7 @@ exports.create = async (req, res, next) => {
           fromLocationId,
           toLocationId,
           quantity: toDeduct,
-          notes: `Consignment #${consignacion._id} - ${toLocation.name}${sapResult?.DocNum ? ` - SAP #${sapResult.DocNum}` : ''}`,
+          notes: `Consignment #${consignacion._id} - ${toLocation.name}`,
           performedBy: {
             _id: req.user._id,
             firstname: req.user.firstname,
@@ -461,41 +421,60 @@ exports.create = async (req, res, next) => {
         await updateInventario(req.companyId, item.productId, toLocationId, session);
       }
 
-      await session.commitTransaction();
-
-      // Build response
-      const response = {
-        message: 'Consignment created successfully',
-        consignacion,
-      };
-
-      if (sapResult) {
-        response.sapDocNum = sapResult.DocNum;
-        response.sapDocEntry = sapResult.DocEntry;
+      // Queue the SAP StockTransfer with the local changes
+      if (queueSap) {
+        outboxEntry = await sapOutboxService.enqueue(req.companyId, {
+          documentType: 'StockTransfer',
+          sourceModel: 'consignaciones',
+          sourceId: consignacion._id,
+          payload: {
+            fromWarehouse: fromLocation.sapIntegration.warehouseCode,
+            toWarehouse: toLocation.sapIntegration.warehouseCode,
+            toBinAbsEntry: toLocation.sapIntegration.binAbsEntry,
+            items: sapTransferItems,
+            comments: `Consignación Vasculares - ${toLocation.name}`,
+            docDate: docDate || new Date().toISOString().split('T')[0],
+            cardCode: toLocation.sapIntegration.cardCode || undefined,
+          },
+          user: req.user,
+        }, session);
       }
 
-      res.status(201).json(response);
-
+      await session.commitTransaction();
     } catch (localError) {
-      // Local save failed after SAP succeeded
-      // This is a critical error - SAP has the document but local doesn't
+      // Nothing was sent to SAP - the push is only queued inside this transaction
       await session.abortTransaction();
-      console.error('CRITICAL: SAP succeeded but local save failed:', localError);
-      if (sapResult) {
-        console.error('SAP Document created:', sapResult);
-      }
-
-      return res.status(500).json({
-        success: false,
-        error: 'Error guardando localmente después de crear documento SAP. Contacte soporte.',
-        sapResult,
-        localError: localError.message,
-        requiresManualReconciliation: !!sapResult,
-      });
+      throw localError;
     } finally {
       session.endSession();
     }
 
+    // ============================================
+    // PHASE 3: DELIVER TO SAP (outbox worker retries on failure)
+    // ============================================
+
+    const sapResult = await sapOutboxService.deliverAfterCommit(req.companyId, outboxEntry);
+
+    // Not awaited: mail never delays or fails the consignment
+    notificationService.notifyConsignmentCreated(req.companyId, consignacionId);
+
+    // Re-read so the response carries the SAP status written by the delivery
+    const Consignaciones = await getConsignacionesModel(req.companyId);
+    const consignacion = await Consignaciones.findById(consignacionId).lean();
+
+    const response = {
+      message: 'Consignment created successfully',
+      consignacion,
+      sapResult,
+    };
+
+    if (sapResult?.success) {
+      response.sapDocNum = sapResult.sapDocNum;
+      response.sapDocEntry = sapResult.sapDocEntry;
+    }
+
+    res.status(201).json(response);
+
   } catch (error) {
     console.error('Error creating consignment:', error);
     next(error);
@@ -843,8 +822,23 @@ exports.previewFifo = async (req, res, next) => {
         continue;
       }
 
-      // If item already has lotNumber, just pass through
+      // If item already has lotNumber, just pass through (unless it is under recall)
       if (item.lotNumber) {
+        const recalledLot = await Lotes.findOne({
+          productId: item.productId,
+          lotNumber: item.lotNumber,
+          currentLocationId: fromLocationId,
+          status: 'RECALLED',
+        }).lean();
+
+        if (recalledLot) {
+          return res.status(400).json({
+            error: `Lot ${item.lotNumber} is under recall and cannot be consigned`,
+            productId: item.productId,
+            lotNumber: item.lotNumber,
+          });
+        }
+
         allocatedItems.push({
           productId: item.productId,
           productName: product.name,
@@ -1005,141 +999,3 @@ exports.validateSapStock = async (req, res, next) => {
     });
   }
 };
-
-/**
- * POST /api/consignaciones/:id/retry-sap
- * Retry SAP stock transfer for a failed consignment
- *
- * Uses optimistic locking to prevent duplicate SAP documents:
- * 1. Atomically claim the retry by setting status to 'RETRYING'
- * 2. If claim fails, another request is already processing
- * 3. Call SAP and update with result
- */
-exports.retrySap = async (req, res, next) => {
-  try {
-    const Consignaciones = await getConsignacionesModel(req.companyId);
-    const Locaciones = await getLocacionesModel(req.companyId);
-    const Productos = await getProductosModel(req.companyId);
-
-    const MAX_RETRIES = 5;
-
-    // Atomically claim the retry - only succeeds if not already synced or retrying
-    // Also check retry count limit
-    const consignacion = await Consignaciones.findOneAndUpdate(
-      {
-        _id: req.params.id,
-        'sapIntegration.status': { $nin: ['SYNCED', 'RETRYING'] },
-        $or: [
-          { 'sapIntegration.retryCount': { $exists: false } },
-          { 'sapIntegration.retryCount': { $lt: MAX_RETRIES } },
-        ],
-      },
-      {
-        $set: { 'sapIntegration.status': 'RETRYING', 'sapIntegration.retrying': true },
-        $inc: { 'sapIntegration.retryCount': 1 },
-      },
-      { new: true }
-    );
-
-    if (!consignacion) {
-      // Check why we couldn't claim it
-      const existing = await Consignaciones.findById(req.params.id).lean();
-      if (!existing) {
-        return res.status(404).json({ error: 'Consignación no encontrada' });
-      }
-      if (existing.sapIntegration?.status === 'SYNCED') {
-        return res.status(400).json({ error: 'Esta consignación ya está sincronizada con SAP' });
-      }
-      if (existing.sapIntegration?.status === 'RETRYING') {
-        return res.status(409).json({ error: 'Ya hay un reintento en progreso' });
-      }
-      if ((existing.sapIntegration?.retryCount || 0) >= MAX_RETRIES) {
-        return res.status(400).json({ error: `Se alcanzó el límite de ${MAX_RETRIES} reintentos` });
-      }
-      return res.status(400).json({ error: 'No se pudo iniciar el reintento' });
-    }
-
-    // Get locations for SAP warehouse codes
-    const fromLocation = await Locaciones.findById(consignacion.fromLocationId).lean();
-    const toLocation = await Locaciones.findById(consignacion.toLocationId).lean();
-
-    if (!fromLocation?.sapIntegration?.warehouseCode || !toLocation?.sapIntegration?.warehouseCode) {
-      // Release lock
-      await Consignaciones.findByIdAndUpdate(req.params.id, {
-        $set: { 'sapIntegration.status': 'FAILED', 'sapIntegration.retrying': false }
-      });
-      return res.status(400).json({ error: 'Configuración SAP incompleta para las locaciones' });
-    }
-
-    // Build SAP transfer items
-    const sapTransferItems = [];
-    for (const item of consignacion.items) {
-      const product = await Productos.findById(item.productId).lean();
-      if (product?.sapItemCode) {
-        sapTransferItems.push({
-          itemCode: product.sapItemCode,
-          quantity: item.quantitySent,
-          batchNumber: item.lotNumber,
-        });
-      }
-    }
-
-    if (sapTransferItems.length === 0) {
-      // Release lock
-      await Consignaciones.findByIdAndUpdate(req.params.id, {
-        $set: { 'sapIntegration.status': 'FAILED', 'sapIntegration.error': 'No hay productos con código SAP', 'sapIntegration.retrying': false }
-      });
-      return res.status(400).json({ error: 'No hay productos con código SAP para transferir' });
-    }
-
-    // Retry SAP Stock Transfer
-    try {
-      const sapResult = await sapService.createStockTransfer({
-        fromWarehouse: fromLocation.sapIntegration.warehouseCode,
-        toWarehouse: toLocation.sapIntegration.warehouseCode,
-        toBinAbsEntry: toLocation.sapIntegration.binAbsEntry,
-        items: sapTransferItems,
-        comments: `Consignación Vasculares - ${toLocation.name} (Retry)`,
-        docDate: consignacion.createdAt ? new Date(consignacion.createdAt).toISOString().split('T')[0] : undefined,
-        cardCode: toLocation.sapIntegration.cardCode || undefined,
-        cardName: toLocation.sapIntegration.cardName || undefined,
-      });
-
-      // Update with success
-      await Consignaciones.findByIdAndUpdate(req.params.id, {
-        $set: {
-          'sapIntegration.pushed': true,
-          'sapIntegration.status': 'SYNCED',
-          'sapIntegration.docEntry': sapResult.DocEntry,
-          'sapIntegration.docNum': sapResult.DocNum,
-          'sapIntegration.syncDate': new Date(),
-          'sapIntegration.error': null,
-          'sapIntegration.retrying': false,
-        }
-      });
-
-      res.json({
-        success: true,
-        sapDocNum: sapResult.DocNum,
-        sapDocEntry: sapResult.DocEntry,
-      });
-    } catch (sapError) {
-      // Update with failure, release lock
-      await Consignaciones.findByIdAndUpdate(req.params.id, {
-        $set: {
-          'sapIntegration.status': 'FAILED',
-          'sapIntegration.error': sapError.message,
-          'sapIntegration.retrying': false,
-        }
-      });
-
-      res.status(500).json({
-        success: false,
-        error: sapError.message,
-      });
-    }
-  } catch (error) {
-    console.error('Error retrying SAP sync:', error);
-    next(error);
-  }
-};
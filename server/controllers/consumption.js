@@ -1,9 +1,7 @@
 /**
  * Consumption Controller
  * Handles consumption recording at Centros with SAP DeliveryNote integration
- *
- * IMPORTANT: SAP sync is atomic - if SAP fails, nothing is saved locally.
- * This ensures data consistency between local DB and SAP.
+ * through the SAP outbox (see services/sapOutboxService.js).
  */
 const mongoose = require('mongoose');
 const { validationResult } = require('express-validator');
@@ -14,9 +12,22 @@ const {
   getLotesModel,
   getInventarioModel,
   getTransaccionesModel,
+  getRevisionesExtraccionModel,
 } = require('../getModel');
 const sapService = require('../services/sapService');
+const sapOutboxService = require('../services/sapOutboxService');
 const { extractConsumptionDocument } = require('../services/extractionService');
+const {
+  getReviewThreshold,
+  findLotsAtCentro,
+  matchConsumptionItems,
+  matchesApprovedLines,
+  createReview,
+} = require('../services/extractionReviewService');
+const documentStoreService = require('../services/documentStoreService');
+const implantRegistryService = require('../services/implantRegistryService');
+const priceListService = require('../services/priceListService');
+const consumptionBatchService = require('../services/consumptionBatchService');
 
 /**
  * GET /api/consumption/inventory/:centroId
@@ -53,16 +64,20 @@ exports.getAvailableInventory = async (req, res, next) => {
       _id: { $in: productIds },
     }).lean();
 
+    // Prices the centro pays today
+    const prices = await priceListService.findPrices(req.companyId, { centroId, products });
+
     // Build response grouped by product
     const productMap = new Map();
     products.forEach(p => {
+      const precio = prices.get(p._id.toString());
       productMap.set(p._id.toString(), {
         productId: p._id,
         productCode: p.code,
         productName: p.name,
         sapItemCode: p.sapItemCode,
-        price: p.price || null,
-        currency: p.currency || 'USD',
+        price: precio?.price ?? null,
+        currency: precio?.currency || 'USD',
         lots: [],
       });
     });
@@ -106,7 +121,17 @@ exports.getAvailableInventory = async (req, res, next) => {
 
 /**
  * POST /api/consumption/extract
- * Extract consumption data from uploaded documents using Claude Vision
+ * Extract consumption data from uploaded documents with the company's extraction provider
+ *
+ * Each item is scored per field (code, lot, quantity) and checked against the
+ * centro's stock. When any item scores below the review threshold the
+ * extraction is queued for review with its images, and the consumption can
+ * only be created once a second person approves it.
+ *
+ * The files are kept in the document store; send the returned document IDs
+ * as documentIds when creating the consumption.
+ *
+ * Response: { items, warnings, needsReview, review, reviewThreshold, documents, ... }
  */
 exports.extractFromDocument = async (req, res, next) => {
   try {
@@ -116,94 +141,72 @@ exports.extractFromDocument = async (req, res, next) => {
       return res.status(400).json({ error: 'No se proporcionaron archivos' });
     }
 
+    if (!centroId || !mongoose.Types.ObjectId.isValid(centroId)) {
+      return res.status(400).json({ error: 'Centro es requerido' });
+    }
+
+    const Locaciones = await getLocacionesModel(req.companyId);
+    const centro = await Locaciones.findById(centroId).lean();
+    if (!centro) {
+      return res.status(404).json({ error: 'Centro no encontrado' });
+    }
+
     console.log(`Extracting consumption data from ${req.files.length} file(s)...`);
 
     // Query known products and lots to constrain extraction
-    const Lotes = await getLotesModel(req.companyId);
     const Productos = await getProductosModel(req.companyId);
 
     // Build constraints: all products + lots at this centro
     const allProducts = await Productos.find({}, { code: 1, sapItemCode: 1, name: 1 }).lean();
+    const lotsAtCentro = await findLotsAtCentro(req.companyId, centroId);
+
     const constraints = {
       products: allProducts.map(p => ({
         code: p.sapItemCode || p.code,
         name: p.name,
       })),
-    };
-
-    if (centroId) {
-      const lotsAtCentro = await Lotes.find({
-        currentLocationId: centroId,
-        quantityAvailable: { $gt: 0 },
-        status: 'ACTIVE',
-      }).populate('productId', 'code sapItemCode name').lean();
-
-      constraints.lots = lotsAtCentro.map(l => ({
+      lots: lotsAtCentro.map(l => ({
         lotNumber: l.lotNumber,
         productCode: l.productId?.sapItemCode || l.productId?.code || '',
         productName: l.productId?.name || '',
-      }));
-    }
+      })),
+    };
 
-    // Extract data using Gemini with known product/lot constraints
-    const extractionResult = await extractConsumptionDocument(req.files, constraints);
-
-    const enrichedItems = [];
-    for (const item of extractionResult.items) {
-      let matchedProduct = null;
-      let matchedLote = null;
-      let availableLots = [];
-
-      // Try to find product by code
-      if (item.code) {
-        // Clean the code: remove non-numeric characters and trim
-        const cleanCode = String(item.code).replace(/[^0-9]/g, '').trim();
-        matchedProduct = await Productos.findOne({
-          $or: [
-            { sapItemCode: cleanCode },
-            { sapItemCode: String(item.code) },
-            { code: cleanCode },
-            { code: item.code },
-          ],
-        }).lean();
-      }
+    // Extract data with known product/lot constraints
+    const extractionResult = await extractConsumptionDocument(req.files, constraints, { companyId: req.companyId });
 
-      // If product found, get available lots at this Centro
-      if (matchedProduct && centroId) {
-        const lots = await Lotes.find({
-          productId: matchedProduct._id,
-          currentLocationId: centroId,
-          quantityAvailable: { $gt: 0 },
-          status: 'ACTIVE',
-        }).lean();
-
-        availableLots = lots.map(l => ({
-          loteId: l._id,
-          lotNumber: l.lotNumber,
-          quantityAvailable: l.quantityAvailable,
-          expiryDate: l.expiryDate,
-        })).sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate));
-
-        // Try to match lot number if provided
-        if (item.lotNumber) {
-          matchedLote = lots.find(l => l.lotNumber === item.lotNumber);
-        } else if (lots.length === 1) {
-          // Auto-select if only one lot available
-          matchedLote = lots[0];
-        }
-      }
+    // Keep the originals; the consumption (or the review) links them
+    const documents = await documentStoreService.storeUploads(req.companyId, req.files, {
+      kind: 'CONSUMPTION_FORM',
+      user: req.user,
+    });
 
-      enrichedItems.push({
-        ...item,
-        matchedProductId: matchedProduct?._id || null,
-        matchedProductName: matchedProduct?.name || null,
-        sapItemCode: matchedProduct?.sapItemCode || item.code,
-        matchedLoteId: matchedLote?._id || null,
-        matchedLotNumber: matchedLote?.lotNumber || item.lotNumber,
-        availableLots,
-        needsLotSelection: !matchedLote && availableLots.length > 0,
-        price: matchedProduct?.price || null,
-        currency: matchedProduct?.currency || 'USD',
+    const threshold = await getReviewThreshold(req.companyId);
+    const enrichedItems = await matchConsumptionItems(req.companyId, {
+      centroId,
+      items: extractionResult.items,
+      threshold,
+      lotsAtCentro,
+    });
+
+    // Low confidence: keep the images and wait for a second person
+    const needsReview = enrichedItems.some(item => item.needsReview);
+    let review = null;
+    if (needsReview) {
+      const first = extractionResult.items[0] || {};
+      review = await createReview(req.companyId, {
+        centro,
+        items: enrichedItems,
+        documents,
+        extraction: {
+          provider: extractionResult.provider,
+          warnings: extractionResult.warnings,
+          patientName: first.patientName,
+          doctorName: first.doctorName,
+          procedureDate: first.procedureDate,
+        },
+        threshold,
+        user: req.user,
       });
     }
 
@@ -212,6 +215,11 @@ exports.extractFromDocument = async (req, res, next) => {
       items: enrichedItems,
       warnings: extractionResult.warnings || [],
       filesProcessed: req.files.length,
+      provider: extractionResult.provider,
+      reviewThreshold: threshold,
+      needsReview,
+      review: review && { _id: review._id, status: review.status },
+      documents: documents.map(documentStoreService.summarize),
     });
   } catch (error) {
     console.error('Error extracting from document:', error);
@@ -225,8 +233,18 @@ exports.extractFromDocument = async (req, res, next) => {
  * POST /api/consumption
  * Create consumption record with SAP DeliveryNote
  *
- * ATOMIC: SAP is called FIRST. If SAP fails, nothing is saved locally.
- * If SAP succeeds, local changes are committed in a transaction.
+ * extractionReviewId: required path for extractions queued for review. The
+ * review must be approved and the items must be the approved lines.
+ *
+ * extractionBatchId + batchDraftId: registers a confirmed batch draft; the
+ * items must be the confirmed lines.
+ *
+ * documentIds: consumption forms returned by /extract, linked to the record
+ * and attached to the DeliveryNote (a review's or draft's documents are linked too).
+ *
+ * doctorId / patientIdentifier: optional implant registry data. Every
+ * consumption gets a procedure record (see services/implantRegistryService.js);
+ * the identifier is stored encrypted there, never on the consumption.
  */
 exports.create = async (req, res, next) => {
   try {
@@ -239,11 +257,16 @@ exports.create = async (req, res, next) => {
       centroId,
       items,
       patientName,
-      doctorName,
+      doctorId,
+      patientIdentifier,
       procedureDate,
       procedureType,
       notes,
       docDate,
+      extractionReviewId,
+      extractionBatchId,
+      batchDraftId,
+      documentIds = [],
     } = req.body;
 
     // ============================================
@@ -272,6 +295,82 @@ exports.create = async (req, res, next) => {
       });
     }
 
+    // Implant registry: managed doctor and encrypted patient identifier
+    let doctor = null;
+    let protectedIdentifier;
+    try {
+      if (doctorId) {
+        doctor = await implantRegistryService.resolveDoctor(req.companyId, { doctorId, centroId });
+      }
+      if (patientIdentifier) {
+        protectedIdentifier = implantRegistryService.protectIdentifier(patientIdentifier);
+      }
+    } catch (registryError) {
+      const response = implantRegistryService.getErrorResponse(registryError);
+      if (response) return res.status(response.status).json(response.body);
+      throw registryError;
+    }
+    const doctorName = doctor?.name || req.body.doctorName;
+
+    // Extractions sent to review are registered only as approved
+    const Revisiones = await getRevisionesExtraccionModel(req.companyId);
+    const sourceDocumentIds = [...documentIds];
+    if (extractionReviewId) {
+      const review = await Revisiones.findById(extractionReviewId).lean();
+      if (!review) {
+        return res.status(404).json({ error: 'Revisión de extracción no encontrada' });
+      }
+      if (review.centroId.toString() !== centroId) {
+        return res.status(400).json({ error: 'La revisión corresponde a otro Centro' });
+      }
+      if (review.status !== 'APROBADA') {
+        const reason = {
+          PENDIENTE: 'está pendiente de revisión',
+          RECHAZADA: 'fue rechazada',
+          REGISTRADA: 'ya fue registrada',
+        }[review.status];
+        return res.status(409).json({ error: `La extracción ${reason}` });
+      }
+
+      if (!matchesApprovedLines(review.approvedItems, items)) {
+        return res.status(409).json({ error: 'Los ítems no coinciden con la revisión aprobada' });
+      }
+
+      sourceDocumentIds.push(...review.files.map(file => file.documentId).filter(Boolean));
+    }
+
+    // Batch drafts are registered only as confirmed
+    if (extractionBatchId) {
+      let draft;
+      try {
+        draft = await consumptionBatchService.getApprovedDraft(req.companyId, {
+          batchId: extractionBatchId,
+          draftId: batchDraftId,
+          centroId,
+        });
+      } catch (batchError) {
+        const response = consumptionBatchService.getErrorResponse(batchError);
+        if (response) return res.status(response.status).json(response.body);
+        throw batchError;
+      }
+
+      if (!matchesApprovedLines(draft.approvedItems, items)) {
+        return res.status(409).json({ error: 'Los ítems no coinciden con el borrador confirmado' });
+      }
+
+      sourceDocumentIds.push(...draft.documentIds);
+    }
+
+    // Consumption forms to keep with the record
+    let documents;
+    try {
+      documents = await documentStoreService.findLinkable(req.companyId, sourceDocumentIds, 'consumos');
+    } catch (documentError) {
+      const response = documentStoreService.getErrorResponse(documentError);
+      if (response) return res.status(response.status).json(response.body);
+      throw documentError;
+    }
+
     // Validate items and prepare data (NO SAVES YET)
     const Lotes = await getLotesModel(req.companyId);
     const Productos = await getProductosModel(req.companyId);
@@ -287,6 +386,12 @@ exports.create = async (req, res, next) => {
         return res.status(400).json({ error: `El lote ${lote.lotNumber} no está en este Centro` });
       }
 
+      if (lote.status === 'RECALLED') {
+        return res.status(400).json({
+          error: `El lote ${lote.lotNumber} está bajo retiro del fabricante y no puede consumirse`
+        });
+      }
+
       if (lote.quantityAvailable < item.quantity) {
         return res.status(400).json({
           error: `Cantidad insuficiente para lote ${lote.lotNumber}. Disponible: ${lote.quantityAvailable}`
@@ -302,13 +407,25 @@ exports.create = async (req, res, next) => {
       });
     }
 
+    // The procedure date when given, otherwise today
+    const consumptionDate = procedureDate ? new Date(procedureDate) : new Date();
+
+    // Negotiated prices in effect at the centro on the consumption date;
+    // unpriced items go to SAP without a price (SAP's price list applies)
+    const prices = await priceListService.findPrices(req.companyId, {
+      centroId: centro._id,
+      products: validatedItems.map(({ product }) => product),
+      date: consumptionDate,
+    });
+    const priceOf = (product) => prices.get(product._id.toString()) || { price: null, currency: 'USD' };
+
     // Prepare SAP items
     const sapItems = validatedItems.map(({ product, lote, quantity }) => ({
       itemCode: product.sapItemCode,
       quantity: quantity,
       batchNumber: lote.lotNumber,
-      price: product.price,
-      currency: product.currency || 'USD',
+      price: priceOf(product).price,
+      currency: priceOf(product).currency,
     }));
 
     // Build comments for SAP
@@ -321,56 +438,11 @@ exports.create = async (req, res, next) => {
     const sapComments = commentParts.join('\n');
 
     // ============================================
-    // PHASE 2: SAP CALL (before any local saves)
+    // PHASE 2: LOCAL SAVES + SAP OUTBOX ENTRY (in transaction)
     // ============================================
 
-    let sapResult;
-    try {
-      const deliveryResult = await sapService.createDeliveryNote({
-        cardCode: centro.sapIntegration.cardCode,
-        cardName: centro.sapIntegration.cardName || centro.name,
-        warehouseCode: centro.sapIntegration.warehouseCode || '10',
-        binAbsEntry: centro.sapIntegration.binAbsEntry || null,
-        items: sapItems,
-        comments: sapComments,
-        doctorName: doctorName || null,
-        docDate: docDate || undefined,
-        procedureDate: procedureDate || undefined,
-        patientName: patientName || undefined,
-      });
-
-      sapResult = {
-        success: true,
-        sapDocEntry: deliveryResult.DocEntry,
-        sapDocNum: deliveryResult.DocNum,
-        sapDocType: 'DeliveryNotes',
-      };
-    } catch (sapError) {
-      // SAP failed - return error, save nothing locally
-      console.error('SAP DeliveryNote creation failed:', sapError);
-
-      // Check if it's a network/connection error
-      const isNetworkError = sapError.message?.includes('fetch failed') ||
-        sapError.cause?.code === 'UND_ERR_SOCKET' ||
-        sapError.message?.includes('ECONNRESET') ||
-        sapError.message?.includes('ETIMEDOUT');
-
-      const userMessage = isNetworkError
-        ? 'Error de conexión con SAP. Por favor intente nuevamente.'
-        : `SAP Error: ${sapError.message}`;
-
-      return res.status(500).json({
-        success: false,
-        error: userMessage,
-        sapError: sapError.message,
-        retry: isNetworkError,
-      });
-    }
-
-    // ============================================
-    // PHASE 3: LOCAL SAVES (in transaction)
-    // SAP succeeded, now commit local changes
-    // ============================================
+    let consumoId = null;
+    let outboxEntry = null;
 
     const session = await mongoose.startSession();
     session.startTransaction();
@@ -384,8 +456,8 @@ exports.create = async (req, res, next) => {
         loteId: lote._id,
         lotNumber: lote.lotNumber,
         quantity: quantity,
-        price: product.price || null,
-        currency: product.currency || 'USD',
+        price: priceOf(product).price,
+        currency: priceOf(product).currency,
       }));
 
       // Update lot quantities
@@ -405,7 +477,7 @@ exports.create = async (req, res, next) => {
                 lastname: req.user.lastname,
               },
               accion: 'Consumo registrado',
-              detalles: `Cantidad: ${quantity}, Centro: ${centro.name}, SAP Doc: ${sapResult.sapDocNum}`,
+              detalles: `Cantidad: ${quantity}, Centro: ${centro.name}`,
             },
           },
         };
@@ -424,23 +496,18 @@ exports.create = async (req, res, next) => {
         centroName: centro.name,
         sapCardCode: centro.sapIntegration.cardCode,
         items: consumoItems,
-        consumptionDate: procedureDate ? new Date(procedureDate) : new Date(),
+        consumptionDate,
         patientName,
         doctorName,
+        doctorId: doctor?._id,
         procedureDate: procedureDate ? new Date(procedureDate) : null,
         procedureType,
         sapIntegration: {
-          pushed: true,
-          docEntry: sapResult.sapDocEntry,
-          docNum: sapResult.sapDocNum,
+          pushed: false,
           docType: 'DeliveryNotes',
-          syncDate: new Date(),
-          error: null,
-          retryCount: 0,
-          retrying: false,
         },
         notes,
-        status: 'SYNCED',
+        status: 'PENDING',
         createdBy: {
           _id: req.user._id,
           firstname: req.user.firstname,
@@ -449,10 +516,46 @@ exports.create = async (req, res, next) => {
         },
       });
 
+      consumo.documents = await documentStoreService.linkDocuments(req.companyId, documents, {
+        model: 'consumos',
+        id: consumo._id,
+      }, session);
+
+      const procedimiento = await implantRegistryService.recordProcedure(req.companyId, {
+        consumo,
+        lotes: new Map(validatedItems.map(({ lote }) => [lote._id.toString(), lote])),
+        doctor,
+        patientIdentifier: protectedIdentifier,
+        user: req.user,
+      }, session);
+      consumo.procedimientoId = procedimiento._id;
+
       await consumo.save({ session });
+      consumoId = consumo._id;
+
+      if (extractionReviewId) {
+        // Guards against registering the same approval twice
+        const registered = await Revisiones.findOneAndUpdate(
+          { _id: extractionReviewId, status: 'APROBADA' },
+          { $set: { status: 'REGISTRADA', consumoId: consumo._id } },
+          { session }
+        );
+        if (!registered) {
+          throw new Error('La extracción ya fue registrada');
+        }
+      }
+
+      if (extractionBatchId) {
+        await consumptionBatchService.markDraftRegistered(req.companyId, {
+          batchId: extractionBatchId,
+          draftId: batchDraftId,
+          consumoId: consumo._id,
+        }, session);
+      }
 
       // Create transaction records for audit log
       const Transacciones = await getTransaccionesModel(req.companyId);
+      const transactionIds = [];
       for (const { product, lote, quantity } of validatedItems) {
         const transaccion = new Transacciones({
           type: 'CONSUMPTION',
@@ -466,8 +569,8 @@ exports.create = async (req, res, next) => {
             procedureInfo: procedureType || null,
             doctorName: doctorName || null,
           },
-          transactionDate: procedureDate ? new Date(procedureDate) : new Date(),
-          notes: `Consumo #${consumo._id} - ${centro.name}${sapResult.sapDocNum ? ` - SAP #${sapResult.sapDocNum}` : ''}`,
+          transactionDate: consumptionDate,
+          notes: `Consumo #${consumo._id} - ${centro.name}`,
           performedBy: {
             _id: req.user._id,
             firstname: req.user.firstname,
@@ -476,14 +579,12 @@ exports.create = async (req, res, next) => {
           },
           status: 'COMPLETED',
           sapIntegration: {
-            pushed: true,
-            docEntry: sapResult.sapDocEntry,
-            docNum: sapResult.sapDocNum,
+            pushed: false,
             docType: 'DeliveryNotes',
-            syncDate: new Date(),
           },
         });
         await transaccion.save({ session });
+        transactionIds.push(transaccion._id);
       }
 
       // Update inventario aggregates
@@ -502,38 +603,60 @@ exports.create = async (req, res, next) => {
         );
       }
 
+      // Queue the SAP DeliveryNote with the local changes
+      outboxEntry = await sapOutboxService.enqueue(req.companyId, {
+        documentType: 'DeliveryNote',
+        sourceModel: 'consumos',
+        sourceId: consumo._id,
+        transactionIds,
+        payload: {
+          cardCode: centro.sapIntegration.cardCode,
+          cardName: centro.sapIntegration.cardName || centro.name,
+          warehouseCode: centro.sapIntegration.warehouseCode || '10',
+          binAbsEntry: centro.sapIntegration.binAbsEntry || null,
+          items: sapItems,
+          comments: sapComments,
+          doctorName: doctorName || null,
+          docDate: docDate || consumptionDate.toISOString().split('T')[0],
+          procedureDate: procedureDate || undefined,
+          patientName: patientName || undefined,
+        },
+        user: req.user,
+      }, session);
+
       // Commit transaction
       await session.commitTransaction();
-
-      res.status(201).json({
-        success: true,
-        consumo: {
-          _id: consumo._id,
-          centroName: consumo.centroName,
-          totalItems: consumo.totalItems,
-          totalQuantity: consumo.totalQuantity,
-          totalValue: consumo.totalValue,
-          status: consumo.status,
-        },
-        sapResult,
-      });
     } catch (localError) {
-      // Local save failed after SAP succeeded
-      // This is a critical error - SAP has the document but local doesn't
+      // Nothing was sent to SAP - the push is only queued inside this transaction
       await session.abortTransaction();
-      console.error('CRITICAL: SAP succeeded but local save failed:', localError);
-      console.error('SAP Document created:', sapResult);
-
-      return res.status(500).json({
-        success: false,
-        error: 'Error guardando localmente después de crear documento SAP. Contacte soporte.',
-        sapResult,
-        localError: localError.message,
-        requiresManualReconciliation: true,
-      });
+      throw localError;
     } finally {
       session.endSession();
     }
+
+    // ============================================
+    // PHASE 3: DELIVER TO SAP (outbox worker retries on failure)
+    // ============================================
+
+    const sapResult = await sapOutboxService.deliverAfterCommit(req.companyId, outboxEntry);
+
+    // Re-read so the response carries the SAP status written by the delivery
+    const Consumos = await getConsumosModel(req.companyId);
+    const consumo = await Consumos.findById(consumoId).lean();
+
+    res.status(201).json({
+      success: true,
+      consumo: {
+        _id: consumo._id,
+        centroName: consumo.centroName,
+        totalItems: consumo.totalItems,
+        totalQuantity: consumo.totalQuantity,
+        totalValue: consumo.totalValue,
+        totalsByCurrency: consumo.totalsByCurrency,
+        status: consumo.status,
+      },
+      sapResult,
+    });
   } catch (error) {
     console.error('Error creating consumption:', error);
     next(error);
@@ -707,139 +830,3 @@ exports.validateSapStock = async (req, res, next) => {
     });
   }
 };
-
-/**
- * POST /api/consumption/:id/retry-sap
- * Retry SAP sync for a failed consumption
- *
- * Uses optimistic locking to prevent duplicate SAP documents:
- * 1. Atomically claim the retry by setting status to 'RETRYING'
- * 2. If claim fails, another request is already processing
- * 3. Call SAP and update with result
- */
-exports.retrySap = async (req, res, next) => {
-  try {
-    const { id } = req.params;
-
-    const Consumos = await getConsumosModel(req.companyId);
-
-    const MAX_RETRIES = 5;
-
-    // Atomically claim the retry - only succeeds if not already synced or retrying
-    // Also check retry count limit
-    const consumo = await Consumos.findOneAndUpdate(
-      {
-        _id: id,
-        'sapIntegration.pushed': false,
-        status: { $ne: 'RETRYING' },
-        $or: [
-          { 'sapIntegration.retryCount': { $exists: false } },
-          { 'sapIntegration.retryCount': { $lt: MAX_RETRIES } },
-        ],
-      },
-      {
-        $set: { status: 'RETRYING' },
-        $inc: { 'sapIntegration.retryCount': 1 },
-      },
-      { new: true }
-    );
-
-    if (!consumo) {
-      // Check why we couldn't claim it
-      const existing = await Consumos.findById(id).lean();
-      if (!existing) {
-        return res.status(404).json({ error: 'Consumo no encontrado' });
-      }
-      if (existing.sapIntegration?.pushed) {
-        return res.status(400).json({ error: 'Este consumo ya está sincronizado con SAP' });
-      }
-      if (existing.status === 'RETRYING') {
-        return res.status(409).json({ error: 'Ya hay un reintento en progreso' });
-      }
-      if ((existing.sapIntegration?.retryCount || 0) >= MAX_RETRIES) {
-        return res.status(400).json({ error: `Se alcanzó el límite de ${MAX_RETRIES} reintentos` });
-      }
-      return res.status(400).json({ error: 'No se pudo iniciar el reintento' });
-    }
-
-    // Get Centro for SAP customer code
-    const Locaciones = await getLocacionesModel(req.companyId);
-    const centro = await Locaciones.findById(consumo.centroId).lean();
-
-    if (!centro?.sapIntegration?.cardCode) {
-      // Release the lock
-      await Consumos.findByIdAndUpdate(id, { $set: { status: 'FAILED' } });
-      return res.status(400).json({ error: 'El Centro no tiene cliente SAP configurado' });
-    }
-
-    // Build SAP items
-    const sapItems = consumo.items.map(item => ({
-      itemCode: item.sapItemCode,
-      quantity: item.quantity,
-      batchNumber: item.lotNumber,
-      price: item.price,
-      currency: item.currency || 'USD',
-    }));
-
-    // Build comments
-    const commentParts = [];
-    if (consumo.patientName) commentParts.push(`Px: ${consumo.patientName}`);
-    if (consumo.doctorName) commentParts.push(`Dr: ${consumo.doctorName}`);
-    if (consumo.procedureDate) commentParts.push(`Fecha: ${new Date(consumo.procedureDate).toLocaleDateString('es-DO')}`);
-    commentParts.push(`Consignación: ${centro.name}`);
-    const sapComments = commentParts.join('\n');
-
-    // Retry SAP DeliveryNote
-    try {
-      const deliveryResult = await sapService.createDeliveryNote({
-        cardCode: centro.sapIntegration.cardCode,
-        cardName: centro.sapIntegration.cardName || centro.name,
-        warehouseCode: centro.sapIntegration.warehouseCode || '10',
-        binAbsEntry: centro.sapIntegration.binAbsEntry || null,
-        items: sapItems,
-        comments: sapComments,
-        doctorName: consumo.doctorName || null,
-        docDate: (consumo.consumptionDate || consumo.createdAt) ? new Date(consumo.consumptionDate || consumo.createdAt).toISOString().split('T')[0] : undefined,
-        procedureDate: consumo.procedureDate || undefined,
-        patientName: consumo.patientName || undefined,
-      });
-
-      // Update with success
-      await Consumos.findByIdAndUpdate(id, {
-        $set: {
-          'sapIntegration.pushed': true,
-          'sapIntegration.docEntry': deliveryResult.DocEntry,
-          'sapIntegration.docNum': deliveryResult.DocNum,
-          'sapIntegration.docType': 'DeliveryNotes',
-          'sapIntegration.syncDate': new Date(),
-          'sapIntegration.error': null,
-          status: 'SYNCED',
-        },
-      });
-
-      res.json({
-        success: true,
-        sapResult: {
-          sapDocEntry: deliveryResult.DocEntry,
-          sapDocNum: deliveryResult.DocNum,
-        },
-      });
-    } catch (sapError) {
-      // Update with failure, release lock
-      await Consumos.findByIdAndUpdate(id, {
-        $set: {
-          'sapIntegration.error': sapError.message,
-          status: 'FAILED',
-        },
-      });
-
-      res.status(500).json({
-        success: false,
-        error: sapError.message,
-      });
-    }
-  } catch (error) {
-    console.error('Error retrying SAP sync:', error);
-    next(error);
-  }
-};
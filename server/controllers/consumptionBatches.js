@@ -0,0 +1,166 @@
+/**
+ * Consumption Batches Controller
+ * Batch mode for consumption forms: many forms from several hospitals in one
+ * upload, extracted in the background and grouped into one draft consumption
+ * per centro and procedure date (see services/consumptionBatchService.js).
+ * A confirmed draft is registered with POST /api/consumption
+ * (extractionBatchId + batchDraftId).
+ */
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const { getTandasExtraccionModel } = require('../getModel');
+const consumptionBatchService = require('../services/consumptionBatchService');
+
+/**
+ * Send a batch service error, or pass unexpected ones on
+ */
+function handleError(error, res, next, action) {
+  const response = consumptionBatchService.getErrorResponse(error);
+  if (response) {
+    return res.status(response.status).json(response.body);
+  }
+  console.error(`Error ${action}:`, error);
+  next(error);
+}
+
+/**
+ * POST /api/consumption-batches
+ * Upload a batch of consumption forms (one image or PDF per form)
+ * Returns right away; extraction runs in the background.
+ */
+exports.create = async (req, res, next) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ error: 'No se proporcionaron archivos' });
+    }
+
+    const batch = await consumptionBatchService.startBatch(req.companyId, req.files, { user: req.user });
+
+    // Frontend polls GET /:id for progress
+    res.status(202).json({
+      success: true,
+      batch: { _id: batch._id, status: batch.status, progress: batch.progress },
+    });
+  } catch (error) {
+    console.error('Error starting consumption batch:', error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/consumption-batches
+ * Latest batches (newest first, without the extracted lines)
+ */
+exports.list = async (req, res, next) => {
+  try {
+    const Tandas = await getTandasExtraccionModel(req.companyId);
+    const batches = await Tandas.find({})
+      .select('-forms.items -drafts.items')
+      .sort({ createdAt: -1 })
+      .limit(50)
+      .lean();
+
+    res.json(batches);
+  } catch (error) {
+    console.error('Error listing consumption batches:', error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/consumption-batches/:id
+ * Batch with progress, forms and drafts
+ */
+exports.getOne = async (req, res, next) => {
+  try {
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(404).json({ error: 'Tanda no encontrada' });
+    }
+
+    const Tandas = await getTandasExtraccionModel(req.companyId);
+    const batch = await Tandas.findById(req.params.id).lean();
+
+    if (!batch) {
+      return res.status(404).json({ error: 'Tanda no encontrada' });
+    }
+
+    res.json(batch);
+  } catch (error) {
+    console.error('Error getting consumption batch:', error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/consumption-batches/:id/forms/:formId/centro
+ * Assign the centro of a form whose hospital was not recognized
+ *
+ * Body params:
+ * - centroId: Centro the form comes from
+ */
+exports.assignCentro = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const batch = await consumptionBatchService.assignCentro(req.companyId, {
+      batchId: req.params.id,
+      formId: req.params.formId,
+      centroId: req.body.centroId,
+    });
+
+    res.json({ success: true, batch });
+  } catch (error) {
+    handleError(error, res, next, 'assigning centro to batch form');
+  }
+};
+
+/**
+ * PUT /api/consumption-batches/:id/drafts/:draftId/approve
+ * Confirm a draft's lines, with corrections
+ * Drafts with low-confidence lines need reviewExtractions and someone other
+ * than the user who uploaded the batch.
+ *
+ * Body params:
+ * - items: [{ loteId, quantity }] - Lines to register
+ */
+exports.approveDraft = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const batch = await consumptionBatchService.approveDraft(req.companyId, {
+      batchId: req.params.id,
+      draftId: req.params.draftId,
+      items: req.body.items,
+      user: req.user,
+      canReview: req.userProfile.hasPermission('reviewExtractions'),
+    });
+
+    res.json({ success: true, batch });
+  } catch (error) {
+    handleError(error, res, next, 'approving batch draft');
+  }
+};
+
+/**
+ * PUT /api/consumption-batches/:id/drafts/:draftId/discard
+ * Discard a draft that will not be registered
+ */
+exports.discardDraft = async (req, res, next) => {
+  try {
+    const batch = await consumptionBatchService.discardDraft(req.companyId, {
+      batchId: req.params.id,
+      draftId: req.params.draftId,
+      user: req.user,
+    });
+
+    res.json({ success: true, batch });
+  } catch (error) {
+    handleError(error, res, next, 'discarding batch draft');
+  }
+};
@@ -0,0 +1,526 @@
+/**
+ * Conteos Controller
+ * Physical cycle counts per location
+ *
+ * Opening a session snapshots every lot the app still holds at the location,
+ * including lots with nothing available (units may turn up on the shelf).
+ * Counted quantities are entered per lot (incrementally, from a tablet), SAP
+ * batch stock can be pulled for a three-way comparison (app, SAP, physical),
+ * and on submit each lot gets a variance. Approved variances are applied as
+ * CORRECTION adjustments through ajustesService (SAP Goods Issue/Receipt).
+ */
+const {
+  getConteosModel,
+  getAjustesModel,
+  getLotesModel,
+  getProductosModel,
+  getLocacionesModel,
+} = require('../getModel');
+const { validationResult } = require('express-validator');
+const sapSyncService = require('../services/sapSyncService');
+const {
+  loadAdjustmentContext,
+  applyAdjustment,
+} = require('../services/ajustesService');
+
+/**
+ * Helper: User stamp from the request
+ * @param {Object} req - Express request
+ * @returns {Object} { _id, firstname, lastname, email }
+ */
+function getUserStamp(req) {
+  return {
+    _id: req.user._id,
+    firstname: req.user.firstname,
+    lastname: req.user.lastname,
+    email: req.user.email,
+  };
+}
+
+/**
+ * Helper: Mark the conteo COMPLETADO once no variance is pending
+ * @param {Object} conteo - Conteo document
+ */
+function completeIfResolved(conteo) {
+  const open = ['PENDIENTE', 'APLICANDO'];
+  if (conteo.status === 'EN_REVISION' && !conteo.items.some(i => open.includes(i.varianceStatus))) {
+    conteo.status = 'COMPLETADO';
+    conteo.completedAt = new Date();
+  }
+}
+
+/**
+ * Helper: Atomically move a pending variance to another status
+ * @param {Object} Conteos - Conteos model
+ * @param {Object} params - { conteoId, itemId, set } (set: fields of the item)
+ * @returns {Promise<Object|null>} Updated conteo, or null if the variance was not pending
+ */
+async function claimVariance(Conteos, { conteoId, itemId, set }) {
+  const $set = {};
+  for (const [field, value] of Object.entries(set)) {
+    $set[`items.$.${field}`] = value;
+  }
+  return Conteos.findOneAndUpdate(
+    { _id: conteoId, status: 'EN_REVISION', items: { $elemMatch: { _id: itemId, varianceStatus: 'PENDIENTE' } } },
+    { $set },
+    { new: true }
+  );
+}
+
+/**
+ * Helper: Send the 404/400 for a variance that could not be claimed
+ * @param {Object} Conteos - Conteos model
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ */
+async function sendNotPending(Conteos, req, res) {
+  const conteo = await Conteos.findById(req.params.id).lean();
+  if (!conteo) {
+    return res.status(404).json({ error: 'Conteo no encontrado' });
+  }
+  if (!conteo.items.some(i => i._id.toString() === req.params.itemId)) {
+    return res.status(404).json({ error: 'Línea no encontrada en el conteo' });
+  }
+  return res.status(400).json({ error: 'Esta diferencia no está pendiente de aprobación' });
+}
+
+/**
+ * GET /api/conteos
+ * List count sessions with optional filters
+ */
+exports.list = async (req, res, next) => {
+  try {
+    const { locationId, status, limit = 50 } = req.query;
+
+    const Conteos = await getConteosModel(req.companyId);
+    await getLocacionesModel(req.companyId);
+
+    const query = {};
+    if (locationId) query.locationId = locationId;
+    if (status) query.status = status;
+
+    const conteos = await Conteos.find(query)
+      .populate('locationId', 'name type')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit));
+
+    res.json(conteos);
+  } catch (error) {
+    console.error('Error listing conteos:', error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/conteos/:id
+ * Get a count session with its lots
+ */
+exports.getOne = async (req, res, next) => {
+  try {
+    const Conteos = await getConteosModel(req.companyId);
+    await getLocacionesModel(req.companyId);
+    await getProductosModel(req.companyId);
+
+    const conteo = await Conteos.findById(req.params.id)
+      .populate('locationId', 'name type sapIntegration')
+      .populate('items.productId', 'name code sapItemCode');
+
+    if (!conteo) {
+      return res.status(404).json({ error: 'Conteo no encontrado' });
+    }
+
+    res.json(conteo);
+  } catch (error) {
+    console.error('Error getting conteo:', error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/conteos
+ * Open a count session and snapshot the expected lots at the location
+ */
+exports.create = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { locationId, notes } = req.body;
+
+    const Locaciones = await getLocacionesModel(req.companyId);
+    const location = await Locaciones.findById(locationId).lean();
+    if (!location) {
+      return res.status(404).json({ error: 'Locación no encontrada' });
+    }
+
+    // One open session per location at a time
+    const Conteos = await getConteosModel(req.companyId);
+    const existing = await Conteos.findOne({
+      locationId,
+      status: { $in: ['ABIERTO', 'EN_REVISION'] },
+    }).lean();
+    if (existing) {
+      return res.status(400).json({
+        error: `Ya hay un conteo abierto para ${location.name}`,
+        conteoId: existing._id,
+      });
+    }
+
+    const Lotes = await getLotesModel(req.companyId);
+    const lotes = await Lotes.find({
+      currentLocationId: locationId,
+      quantityTotal: { $gt: 0 },
+    }).sort({ productId: 1, expiryDate: 1 }).lean();
+
+    if (lotes.length === 0) {
+      return res.status(400).json({ error: `No hay lotes en ${location.name}` });
+    }
+
+    const conteo = new Conteos({
+      locationId,
+      status: 'ABIERTO',
+      items: lotes.map(lote => ({
+        loteId: lote._id,
+        productId: lote.productId,
+        lotNumber: lote.lotNumber,
+        expiryDate: lote.expiryDate,
+        expectedQuantity: lote.quantityAvailable,
+      })),
+      notes,
+      createdBy: getUserStamp(req),
+    });
+
+    await conteo.save();
+
+    res.status(201).json(conteo);
+  } catch (error) {
+    console.error('Error creating conteo:', error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/conteos/:id/sap-stock
+ * Pull SAP batch stock for the location (three-way comparison)
+ */
+exports.fetchSapStock = async (req, res, next) => {
+  try {
+    const Conteos = await getConteosModel(req.companyId);
+    const conteo = await Conteos.findById(req.params.id);
+
+    if (!conteo) {
+      return res.status(404).json({ error: 'Conteo no encontrado' });
+    }
+
+    const Locaciones = await getLocacionesModel(req.companyId);
+    const location = await Locaciones.findById(conteo.locationId).lean();
+
+    if (!location?.sapIntegration?.warehouseCode) {
+      return res.status(400).json({ error: 'La locación no tiene configuración SAP' });
+    }
+
+    const Productos = await getProductosModel(req.companyId);
+    const productIds = [...new Set(conteo.items.map(i => i.productId.toString()))];
+    const products = await Productos.find({ _id: { $in: productIds } }).lean();
+
+    const sapStock = new Map(); // key: productId|batch → quantity
+    const unmatched = [];
+
+    try {
+      for (const product of products) {
+        if (!product.sapItemCode) continue;
+
+        const batches = await sapSyncService.getBatchStockForLocation(
+          product.sapItemCode,
+          location.sapIntegration.warehouseCode,
+          location.sapIntegration.binAbsEntry || null
+        );
+
+        for (const batch of batches) {
+          const key = `${product._id}|${batch.BatchNum}`;
+          sapStock.set(key, (sapStock.get(key) || 0) + Number(batch.Quantity || 0));
+        }
+      }
+    } catch (sapError) {
+      console.error('Error fetching SAP stock for conteo:', sapError);
+      conteo.sapSnapshot = {
+        fetchedAt: new Date(),
+        error: sapError.message,
+        unmatched: [],
+      };
+      await conteo.save();
+      return res.status(500).json({
+        error: `SAP verification failed: ${sapError.message}`,
+        sapUnavailable: true,
+      });
+    }
+
+    // Fill SAP quantity per counted lot; lots missing in SAP have 0
+    const matchedKeys = new Set();
+    for (const item of conteo.items) {
+      const key = `${item.productId}|${item.lotNumber}`;
+      item.sapQuantity = sapStock.get(key) || 0;
+      matchedKeys.add(key);
+    }
+
+    // Batches SAP holds here that the app does not expect
+    const productById = new Map(products.map(p => [p._id.toString(), p]));
+    for (const [key, quantity] of sapStock.entries()) {
+      if (matchedKeys.has(key) || quantity <= 0) continue;
+      const [productId, batchNumber] = key.split('|');
+      unmatched.push({
+        itemCode: productById.get(productId)?.sapItemCode,
+        batchNumber,
+        quantity,
+      });
+    }
+
+    conteo.sapSnapshot = {
+      fetchedAt: new Date(),
+      error: null,
+      unmatched,
+    };
+    await conteo.save();
+
+    res.json(conteo);
+  } catch (error) {
+    console.error('Error fetching SAP stock for conteo:', error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/conteos/:id/counts
+ * Save counted quantities (partial saves allowed while ABIERTO)
+ */
+exports.saveCounts = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const Conteos = await getConteosModel(req.companyId);
+    const conteo = await Conteos.findById(req.params.id);
+
+    if (!conteo) {
+      return res.status(404).json({ error: 'Conteo no encontrado' });
+    }
+
+    if (conteo.status !== 'ABIERTO') {
+      return res.status(400).json({ error: 'El conteo ya fue cerrado' });
+    }
+
+    for (const { itemId, countedQuantity } of req.body.items) {
+      const item = conteo.items.id(itemId);
+      if (!item) {
+        return res.status(404).json({ error: `Línea ${itemId} no encontrada en el conteo` });
+      }
+      item.countedQuantity = countedQuantity;
+      item.countedAt = new Date();
+      item.countedBy = getUserStamp(req);
+    }
+
+    await conteo.save();
+
+    res.json(conteo);
+  } catch (error) {
+    console.error('Error saving counts:', error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/conteos/:id/submit
+ * Close counting and compute variances against the snapshot
+ */
+exports.submit = async (req, res, next) => {
+  try {
+    const Conteos = await getConteosModel(req.companyId);
+    const conteo = await Conteos.findById(req.params.id);
+
+    if (!conteo) {
+      return res.status(404).json({ error: 'Conteo no encontrado' });
+    }
+
+    if (conteo.status !== 'ABIERTO') {
+      return res.status(400).json({ error: 'El conteo ya fue cerrado' });
+    }
+
+    const uncounted = conteo.items.filter(i => i.countedQuantity === null || i.countedQuantity === undefined);
+    if (uncounted.length > 0) {
+      return res.status(400).json({
+        error: `Faltan ${uncounted.length} lote(s) por contar`,
+        uncounted: uncounted.map(i => i.lotNumber),
+      });
+    }
+
+    for (const item of conteo.items) {
+      item.variance = item.countedQuantity - item.expectedQuantity;
+      item.varianceStatus = item.variance === 0 ? 'SIN_DIFERENCIA' : 'PENDIENTE';
+    }
+
+    conteo.status = 'EN_REVISION';
+    conteo.submittedAt = new Date();
+    conteo.submittedBy = getUserStamp(req);
+    completeIfResolved(conteo);
+
+    await conteo.save();
+
+    res.json(conteo);
+  } catch (error) {
+    console.error('Error submitting conteo:', error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/conteos/:id/items/:itemId/approve
+ * Approve a variance: apply it as a CORRECTION adjustment (admin only)
+ */
+exports.approveVariance = async (req, res, next) => {
+  try {
+    const Conteos = await getConteosModel(req.companyId);
+
+    // Claim the variance so two approvals can't both adjust the lot
+    const conteo = await claimVariance(Conteos, {
+      conteoId: req.params.id,
+      itemId: req.params.itemId,
+      set: { varianceStatus: 'APLICANDO' },
+    });
+    if (!conteo) {
+      return sendNotPending(Conteos, req, res);
+    }
+
+    const item = conteo.items.id(req.params.itemId);
+
+    try {
+      const direction = item.variance > 0 ? 'IN' : 'OUT';
+      const quantity = Math.abs(item.variance);
+
+      const context = await loadAdjustmentContext(req.companyId, {
+        locationId: conteo.locationId,
+        loteId: item.loteId,
+        direction,
+        quantity,
+      });
+      if (context.error) {
+        return res.status(context.status).json({ error: context.error });
+      }
+
+      // The variance is relative to the snapshot - refuse if the lot moved since
+      if (context.lote.quantityAvailable !== item.expectedQuantity) {
+        return res.status(409).json({
+          error: `El lote ${item.lotNumber} tuvo movimientos desde el conteo (esperado ${item.expectedQuantity}, actual ${context.lote.quantityAvailable}). Registre un ajuste manual o abra un nuevo conteo.`,
+        });
+      }
+
+      const Ajustes = await getAjustesModel(req.companyId);
+      const user = getUserStamp(req);
+      const ajuste = new Ajustes({
+        locationId: conteo.locationId,
+        loteId: item.loteId,
+        productId: item.productId,
+        lotNumber: item.lotNumber,
+        reason: 'CORRECTION',
+        direction,
+        quantity,
+        notes: `Conteo físico #${conteo._id}: esperado ${item.expectedQuantity}, contado ${item.countedQuantity}`,
+        status: 'PENDIENTE',
+        requiresApproval: true,
+        conteoId: conteo._id,
+        createdBy: conteo.submittedBy || user,
+      });
+
+      const result = await applyAdjustment({
+        companyId: req.companyId,
+        user,
+        ajuste,
+        context,
+        withinTransaction: async (session, appliedAjuste) => {
+          item.varianceStatus = 'APROBADO';
+          item.ajusteId = appliedAjuste._id;
+          item.resolvedAt = new Date();
+          item.resolvedBy = user;
+          completeIfResolved(conteo);
+          await conteo.save({ session });
+        },
+      });
+
+      res.json({
+        success: true,
+        conteo,
+        ajuste: result.ajuste,
+        sapResult: result.sapResult,
+      });
+    } finally {
+      // Anything short of applying it puts the variance back in review
+      await Conteos.updateOne(
+        { _id: conteo._id, items: { $elemMatch: { _id: item._id, varianceStatus: 'APLICANDO' } } },
+        { $set: { 'items.$.varianceStatus': 'PENDIENTE' } }
+      );
+    }
+  } catch (error) {
+    console.error('Error approving conteo variance:', error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/conteos/:id/items/:itemId/reject
+ * Reject a variance (no adjustment is created) (admin only)
+ */
+exports.rejectVariance = async (req, res, next) => {
+  try {
+    const Conteos = await getConteosModel(req.companyId);
+
+    const set = {
+      varianceStatus: 'RECHAZADO',
+      resolvedAt: new Date(),
+      resolvedBy: getUserStamp(req),
+    };
+    if (req.body.notes) set.notes = req.body.notes;
+
+    const conteo = await claimVariance(Conteos, { conteoId: req.params.id, itemId: req.params.itemId, set });
+    if (!conteo) {
+      return sendNotPending(Conteos, req, res);
+    }
+
+    completeIfResolved(conteo);
+    await conteo.save();
+
+    res.json({ success: true, conteo });
+  } catch (error) {
+    console.error('Error rejecting conteo variance:', error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/conteos/:id/cancel
+ * Cancel a session that is still being counted
+ */
+exports.cancel = async (req, res, next) => {
+  try {
+    const Conteos = await getConteosModel(req.companyId);
+    const conteo = await Conteos.findById(req.params.id);
+
+    if (!conteo) {
+      return res.status(404).json({ error: 'Conteo no encontrado' });
+    }
+
+    if (conteo.status !== 'ABIERTO') {
+      return res.status(400).json({ error: 'Solo se pueden cancelar conteos abiertos' });
+    }
+
+    conteo.status = 'CANCELADO';
+    await conteo.save();
+
+    res.json({ success: true, conteo });
+  } catch (error) {
+    console.error('Error cancelling conteo:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,763 @@
+/**
+ * Devoluciones Controller
+ * Handle returns of stock from centros back to the warehouse
+ * Integrates with SAP Business One for stock transfers (centro bin → warehouse)
+ * through the SAP outbox (see services/sapOutboxService.js).
+ */
+const mongoose = require('mongoose');
+const {
+  getDevolucionesModel,
+  getTransaccionesModel,
+  getLotesModel,
+  getInventarioModel,
+  getProductosModel,
+  getLocacionesModel,
+  getRecallsModel,
+} = require('../getModel');
+const { validationResult } = require('express-validator');
+const sapService = require('../services/sapService');
+const sapOutboxService = require('../services/sapOutboxService');
+
+/**
+ * Helper: Update or create inventory record
+ * @param {string} companyId - Company identifier
+ * @param {ObjectId} productId - Product ID
+ * @param {ObjectId} locationId - Location ID
+ * @param {ClientSession} session - Optional MongoDB session for transactions
+ */
+async function updateInventario(companyId, productId, locationId, session = null) {
+  const Inventario = await getInventarioModel(companyId);
+  const Lotes = await getLotesModel(companyId);
+
+  // Aggregate all lotes for this product at this location
+  const query = Lotes.find({
+    productId,
+    currentLocationId: locationId,
+  });
+  const lotes = session ? await query.session(session) : await query;
+
+  const aggregated = lotes.reduce(
+    (acc, lote) => {
+      acc.quantityTotal += lote.quantityTotal || 0;
+      acc.quantityAvailable += lote.quantityAvailable || 0;
+      acc.quantityConsigned += lote.quantityConsigned || 0;
+      acc.quantityConsumed += lote.quantityConsumed || 0;
+      acc.quantityDamaged += lote.quantityDamaged || 0;
+      acc.quantityReturned += lote.quantityReturned || 0;
+      return acc;
+    },
+    {
+      quantityTotal: 0,
+      quantityAvailable: 0,
+      quantityConsigned: 0,
+      quantityConsumed: 0,
+      quantityDamaged: 0,
+      quantityReturned: 0,
+    }
+  );
+
+  // Update or create inventory record
+  const options = { upsert: true, new: true };
+  if (session) options.session = session;
+
+  await Inventario.findOneAndUpdate(
+    { productId, locationId },
+    {
+      $set: {
+        ...aggregated,
+        lastMovementDate: new Date(),
+        updatedAt: new Date(),
+      },
+    },
+    options
+  );
+}
+
+/**
+ * Helper: Mark returned units of recalled lotes on open recall plans
+ * @param {string} companyId - Company identifier
+ * @param {ObjectId} loteId - Centro lote the units came from
+ * @param {number} quantity - Units received at the warehouse
+ * @param {Object} user - User stamp
+ * @param {string} notes - Action notes
+ * @param {ClientSession} session - MongoDB session
+ */
+async function markRecallUnitsReturned(companyId, loteId, quantity, user, notes, session) {
+  const Recalls = await getRecallsModel(companyId);
+  const recalls = await Recalls.find({
+    status: 'ABIERTO',
+    'units.loteId': loteId,
+  }).session(session);
+
+  let remaining = quantity;
+  for (const recall of recalls) {
+    if (remaining <= 0) break;
+
+    for (const unit of recall.units) {
+      if (remaining <= 0) break;
+      if (unit.loteId.toString() !== loteId.toString()) continue;
+
+      const pending = unit.quantity - unit.quantityReturned - unit.quantityQuarantined;
+      const toMark = Math.min(remaining, pending);
+      if (toMark <= 0) continue;
+
+      unit.quantityReturned += toMark;
+      unit.actions.push({ fecha: new Date(), action: 'RETURNED', quantity: toMark, notes, user });
+      recall.updateUnitStatus(unit);
+      remaining -= toMark;
+    }
+
+    await recall.save({ session });
+  }
+}
+
+/**
+ * GET /api/devoluciones
+ * List returns with optional filters
+ */
+exports.list = async (req, res, next) => {
+  try {
+    const Devoluciones = await getDevolucionesModel(req.companyId);
+    await getLocacionesModel(req.companyId);
+    await getProductosModel(req.companyId);
+    const { status, fromLocationId } = req.query;
+
+    const query = {};
+    if (status) query.status = status;
+    if (fromLocationId) query.fromLocationId = fromLocationId;
+
+    const devoluciones = await Devoluciones.find(query)
+      .populate('fromLocationId', 'name type')
+      .populate('toLocationId', 'name type')
+      .populate('items.productId', 'name code specifications')
+      .sort({ createdAt: -1 });
+
+    res.json(devoluciones);
+  } catch (error) {
+    console.error('Error listing devoluciones:', error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/devoluciones/available/:centroId
+ * Lots at a centro that can be returned (includes RECALLED and EXPIRED lotes)
+ */
+exports.getAvailableLots = async (req, res, next) => {
+  try {
+    const { centroId } = req.params;
+
+    const Locaciones = await getLocacionesModel(req.companyId);
+    const centro = await Locaciones.findById(centroId).lean();
+
+    if (!centro) {
+      return res.status(404).json({ error: 'Centro no encontrado' });
+    }
+
+    if (centro.type !== 'CENTRO') {
+      return res.status(400).json({ error: 'La locación no es un Centro' });
+    }
+
+    await getProductosModel(req.companyId);
+    const Lotes = await getLotesModel(req.companyId);
+    const lots = await Lotes.find({
+      currentLocationId: centroId,
+      quantityAvailable: { $gt: 0 },
+    })
+      .populate('productId', 'name code sapItemCode specifications')
+      .sort({ expiryDate: 1 })
+      .lean();
+
+    res.json(lots.map(l => ({
+      loteId: l._id,
+      lotNumber: l.lotNumber,
+      expiryDate: l.expiryDate,
+      status: l.status,
+      quantityAvailable: l.quantityAvailable,
+      product: l.productId,
+    })));
+  } catch (error) {
+    console.error('Error getting returnable lots:', error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/devoluciones/:id
+ * Get single return
+ */
+exports.getOne = async (req, res, next) => {
+  try {
+    const Devoluciones = await getDevolucionesModel(req.companyId);
+    await getLocacionesModel(req.companyId);
+    await getProductosModel(req.companyId);
+
+    const devolucion = await Devoluciones.findById(req.params.id)
+      .populate('fromLocationId', 'name type')
+      .populate('toLocationId', 'name type')
+      .populate('items.productId', 'name code specifications');
+
+    if (!devolucion) {
+      return res.status(404).json({ error: 'Devolución no encontrada' });
+    }
+
+    res.json(devolucion);
+  } catch (error) {
+    console.error('Error getting devolución:', error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/devoluciones
+ * Create a return from a centro to the warehouse with SAP integration
+ *
+ * Request body:
+ * - fromLocationId: Centro location ID
+ * - toLocationId: Warehouse location ID
+ * - reason: 'VENCIMIENTO' | 'RETIRO' | 'EXCESO' | 'OTRO'
+ * - items: Array of { loteId, quantitySent, notes }
+ * - notes: Optional notes
+ * - docDate: Optional SAP posting date
+ * - skipSap: Optional flag to skip SAP integration (for testing)
+ */
+exports.create = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { fromLocationId, toLocationId, items, reason, notes, skipSap, docDate } = req.body;
+
+    // ============================================
+    // PHASE 1: VALIDATION (no saves)
+    // ============================================
+
+    // Validate DocDate if provided — prevent SAP datetime overflow
+    if (docDate) {
+      const docYear = new Date(docDate).getFullYear();
+      if (isNaN(docYear) || docYear < 2000 || docYear > new Date().getFullYear() + 1) {
+        return res.status(400).json({ error: `Fecha de contabilización inválida: "${docDate}". Verifique el año.` });
+      }
+    }
+
+    const Locaciones = await getLocacionesModel(req.companyId);
+    const fromLocation = await Locaciones.findById(fromLocationId).lean();
+    const toLocation = await Locaciones.findById(toLocationId).lean();
+
+    if (!fromLocation) {
+      return res.status(404).json({ error: 'Centro no encontrado' });
+    }
+    if (!toLocation) {
+      return res.status(404).json({ error: 'Almacén no encontrado' });
+    }
+
+    if (fromLocation.type !== 'CENTRO') {
+      return res.status(400).json({ error: 'El origen debe ser un Centro' });
+    }
+    if (toLocation.type !== 'WAREHOUSE') {
+      return res.status(400).json({ error: 'El destino debe ser un almacén' });
+    }
+
+    // Check if SAP integration is available
+    const sapEnabled = !skipSap &&
+      fromLocation.sapIntegration?.warehouseCode &&
+      toLocation.sapIntegration?.warehouseCode;
+
+    const Lotes = await getLotesModel(req.companyId);
+    const Productos = await getProductosModel(req.companyId);
+
+    const sapTransferItems = [];
+    const processedItems = [];
+    const requestedByLote = {};
+
+    for (const item of items) {
+      const lote = await Lotes.findById(item.loteId).lean();
+      if (!lote) {
+        return res.status(404).json({ error: `Lote ${item.loteId} no encontrado` });
+      }
+
+      if (lote.currentLocationId.toString() !== fromLocationId) {
+        return res.status(400).json({ error: `El lote ${lote.lotNumber} no está en este Centro` });
+      }
+
+      // Same lote may appear twice in the request - validate the combined quantity
+      const loteKey = lote._id.toString();
+      requestedByLote[loteKey] = (requestedByLote[loteKey] || 0) + item.quantitySent;
+      if (lote.quantityAvailable < requestedByLote[loteKey]) {
+        return res.status(400).json({
+          error: `Cantidad insuficiente para lote ${lote.lotNumber}. Disponible: ${lote.quantityAvailable}, Solicitado: ${requestedByLote[loteKey]}`,
+        });
+      }
+
+      const product = await Productos.findById(lote.productId).lean();
+      if (!product) {
+        return res.status(404).json({ error: `Producto ${lote.productId} no encontrado` });
+      }
+
+      processedItems.push({
+        lote,
+        product,
+        quantitySent: item.quantitySent,
+        notes: item.notes,
+      });
+
+      if (sapEnabled && product.sapItemCode) {
+        sapTransferItems.push({
+          itemCode: product.sapItemCode,
+          quantity: item.quantitySent,
+          batchNumber: lote.lotNumber,
+        });
+      }
+    }
+
+    // ============================================
+    // PHASE 2: LOCAL SAVES + SAP OUTBOX ENTRY (in transaction)
+    // ============================================
+
+    const queueSap = sapEnabled && sapTransferItems.length > 0;
+    let devolucionId = null;
+    let outboxEntry = null;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const Transacciones = await getTransaccionesModel(req.companyId);
+      const Devoluciones = await getDevolucionesModel(req.companyId);
+
+      const devolucion = new Devoluciones({
+        fromLocationId,
+        toLocationId,
+        status: 'EN_TRANSITO',
+        reason: reason || 'OTRO',
+        items: processedItems.map((item) => ({
+          productId: item.product._id,
+          loteId: item.lote._id,
+          lotNumber: item.lote.lotNumber,
+          quantitySent: item.quantitySent,
+          quantityReceived: null,
+          notes: item.notes || '',
+        })),
+        sapIntegration: {
+          pushed: false,
+          status: queueSap ? 'PENDING' : null,
+          docType: 'StockTransfers',
+        },
+        createdBy: {
+          _id: req.user._id,
+          firstname: req.user.firstname,
+          lastname: req.user.lastname,
+          email: req.user.email,
+        },
+        notes: notes || '',
+      });
+
+      await devolucion.save({ session });
+      devolucionId = devolucion._id;
+
+      const transactionIds = [];
+
+      for (const item of processedItems) {
+        const { lote, product, quantitySent } = item;
+
+        // Centro lote: units leave the centro (total stays, it's "total ever received")
+        await Lotes.findByIdAndUpdate(
+          lote._id,
+          {
+            $inc: {
+              quantityAvailable: -quantitySent,
+              quantityReturned: quantitySent,
+            },
+            $push: {
+              historia: {
+                fecha: new Date(),
+                user: {
+                  _id: req.user._id,
+                  firstname: req.user.firstname,
+                  lastname: req.user.lastname,
+                },
+                accion: 'Devolución enviada',
+                detalles: `Cantidad: ${quantitySent}, Destino: ${toLocation.name} - Devolución #${devolucion._id}`,
+              },
+            },
+          },
+          { session }
+        );
+
+        const transaccion = new Transacciones({
+          type: 'RETURN',
+          productId: product._id,
+          lotId: lote._id,
+          lotNumber: lote.lotNumber,
+          fromLocationId,
+          toLocationId,
+          quantity: quantitySent,
+          notes: `Devolución #${devolucion._id} - ${fromLocation.name}`,
+          performedBy: {
+            _id: req.user._id,
+            firstname: req.user.firstname,
+            lastname: req.user.lastname,
+            email: req.user.email,
+          },
+          status: 'COMPLETED',
+        });
+        await transaccion.save({ session });
+        transactionIds.push(transaccion._id);
+
+        await updateInventario(req.companyId, product._id, fromLocationId, session);
+      }
+
+      // Queue the SAP StockTransfer with the local changes
+      if (queueSap) {
+        outboxEntry = await sapOutboxService.enqueue(req.companyId, {
+          documentType: 'StockTransfer',
+          sourceModel: 'devoluciones',
+          sourceId: devolucion._id,
+          transactionIds,
+          payload: {
+            fromWarehouse: fromLocation.sapIntegration.warehouseCode,
+            fromBinAbsEntry: fromLocation.sapIntegration.binAbsEntry,
+            toWarehouse: toLocation.sapIntegration.warehouseCode,
+            items: sapTransferItems,
+            comments: `Devolución Vasculares - ${fromLocation.name}`,
+            docDate: docDate || new Date().toISOString().split('T')[0],
+            cardCode: fromLocation.sapIntegration.cardCode || undefined,
+          },
+          user: req.user,
+        }, session);
+      }
+
+      await session.commitTransaction();
+    } catch (localError) {
+      // Nothing was sent to SAP - the push is only queued inside this transaction
+      await session.abortTransaction();
+      throw localError;
+    } finally {
+      session.endSession();
+    }
+
+    // ============================================
+    // PHASE 3: DELIVER TO SAP (outbox worker retries on failure)
+    // ============================================
+
+    const sapResult = await sapOutboxService.deliverAfterCommit(req.companyId, outboxEntry);
+
+    // Re-read so the response carries the SAP status written by the delivery
+    const Devoluciones = await getDevolucionesModel(req.companyId);
+    const devolucion = await Devoluciones.findById(devolucionId).lean();
+
+    const response = {
+      message: 'Devolución creada exitosamente',
+      devolucion,
+      sapResult,
+    };
+
+    if (sapResult?.success) {
+      response.sapDocNum = sapResult.sapDocNum;
+      response.sapDocEntry = sapResult.sapDocEntry;
+    }
+
+    res.status(201).json(response);
+
+  } catch (error) {
+    console.error('Error creating devolución:', error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/devoluciones/:id/confirm
+ * Confirm receipt of a return at the warehouse
+ *
+ * Request body:
+ * - items: Array of { loteId, quantityReceived, notes }
+ * - notes: Optional notes
+ *
+ * Units not received stay at the centro (they are put back as available there).
+ */
+exports.confirm = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const { items, notes } = req.body;
+
+    const Devoluciones = await getDevolucionesModel(req.companyId);
+    const devolucion = await Devoluciones.findById(req.params.id).session(session);
+
+    if (!devolucion) {
+      await session.abortTransaction();
+      return res.status(404).json({ error: 'Devolución no encontrada' });
+    }
+
+    if (devolucion.status === 'RECIBIDO') {
+      await session.abortTransaction();
+      return res.status(400).json({ error: 'La devolución ya fue confirmada' });
+    }
+
+    const Lotes = await getLotesModel(req.companyId);
+    const Transacciones = await getTransaccionesModel(req.companyId);
+    const Locaciones = await getLocacionesModel(req.companyId);
+    const fromLocation = await Locaciones.findById(devolucion.fromLocationId).lean();
+
+    const user = {
+      _id: req.user._id,
+      firstname: req.user.firstname,
+      lastname: req.user.lastname,
+    };
+    const performedBy = { ...user, email: req.user.email };
+
+    // Aggregate received quantities by centro lote
+    const receivedByLote = {};
+    for (const receivedItem of items) {
+      const key = receivedItem.loteId.toString();
+      if (!receivedByLote[key]) receivedByLote[key] = { quantityReceived: 0, notes: receivedItem.notes };
+      receivedByLote[key].quantityReceived += receivedItem.quantityReceived;
+      if (receivedItem.notes) receivedByLote[key].notes = receivedItem.notes;
+    }
+
+    for (const [loteKey, received] of Object.entries(receivedByLote)) {
+      const matchingItems = devolucion.items.filter(i => i.loteId.toString() === loteKey);
+
+      if (matchingItems.length === 0) {
+        await session.abortTransaction();
+        return res.status(400).json({ error: `El lote ${loteKey} no está en esta devolución` });
+      }
+
+      const totalSent = matchingItems.reduce((sum, i) => sum + i.quantitySent, 0);
+      if (received.quantityReceived > totalSent) {
+        await session.abortTransaction();
+        return res.status(400).json({ error: `No se puede recibir más de lo enviado para el lote ${matchingItems[0].lotNumber}` });
+      }
+    }
+
+    for (const devolucionItem of devolucion.items) {
+      const loteKey = devolucionItem.loteId.toString();
+      const received = receivedByLote[loteKey];
+
+      // Distribute received quantity sequentially across items of the same lote
+      const toAssign = received
+        ? Math.min(received.quantityReceived, devolucionItem.quantitySent)
+        : devolucionItem.quantitySent;
+      if (received) {
+        received.quantityReceived -= toAssign;
+        devolucionItem.notes = received.notes || devolucionItem.notes;
+      }
+      devolucionItem.quantityReceived = toAssign;
+
+      const centroLote = await Lotes.findById(devolucionItem.loteId).session(session);
+      if (!centroLote) {
+        throw new Error(`Centro lote ${devolucionItem.loteId} not found`);
+      }
+
+      // Received units: add to warehouse lote
+      if (toAssign > 0) {
+        let warehouseLote = await Lotes.findOne({
+          productId: devolucionItem.productId,
+          lotNumber: devolucionItem.lotNumber,
+          currentLocationId: devolucion.toLocationId,
+        }).session(session);
+
+        if (warehouseLote) {
+          warehouseLote.quantityTotal += toAssign;
+          warehouseLote.quantityAvailable += toAssign;
+          if (warehouseLote.status === 'DEPLETED') warehouseLote.status = 'ACTIVE';
+          if (centroLote.status === 'RECALLED') warehouseLote.status = 'RECALLED';
+          warehouseLote.historia.push({
+            fecha: new Date(),
+            user,
+            accion: 'Devolución recibida',
+            detalles: `Cantidad: ${toAssign}, Origen: ${fromLocation?.name} - Devolución #${devolucion._id}`,
+          });
+          await warehouseLote.save({ session });
+        } else {
+          warehouseLote = new Lotes({
+            productId: devolucionItem.productId,
+            lotNumber: devolucionItem.lotNumber,
+            expiryDate: centroLote.expiryDate,
+            manufactureDate: centroLote.manufactureDate,
+            quantityTotal: toAssign,
+            quantityAvailable: toAssign,
+            currentLocationId: devolucion.toLocationId,
+            status: centroLote.status === 'RECALLED' ? 'RECALLED' : 'ACTIVE',
+            receivedDate: new Date(),
+            supplier: centroLote.supplier,
+            unitCost: centroLote.unitCost,
+            createdBy: user,
+            historia: [{
+              fecha: new Date(),
+              user,
+              accion: 'Devolución recibida',
+              detalles: `Cantidad: ${toAssign}, Origen: ${fromLocation?.name} - Devolución #${devolucion._id}`,
+            }],
+          });
+          await warehouseLote.save({ session });
+        }
+
+        // Recalled units coming back count toward the recall pull-back plan
+        if (centroLote.status === 'RECALLED') {
+          await markRecallUnitsReturned(
+            req.companyId,
+            centroLote._id,
+            toAssign,
+            user,
+            `Devolución #${devolucion._id}`,
+            session
+          );
+        }
+      }
+
+      // Units not received stay at the centro
+      const difference = devolucionItem.quantitySent - toAssign;
+      if (difference > 0) {
+        centroLote.quantityAvailable += difference;
+        centroLote.quantityReturned -= difference;
+        centroLote.historia.push({
+          fecha: new Date(),
+          user,
+          accion: 'Devolución parcial',
+          detalles: `Cantidad: ${difference} no recibida en almacén, reintegrada al Centro - Devolución #${devolucion._id}`,
+        });
+        await centroLote.save({ session });
+
+        const transaccion = new Transacciones({
+          type: 'TRANSFER',
+          productId: devolucionItem.productId,
+          lotId: centroLote._id,
+          lotNumber: devolucionItem.lotNumber,
+          fromLocationId: devolucion.toLocationId,
+          toLocationId: devolucion.fromLocationId,
+          quantity: difference,
+          notes: `Devolución parcial - no recibido en almacén - Devolución #${devolucion._id}`,
+          performedBy,
+          status: 'COMPLETED',
+        });
+        await transaccion.save({ session });
+      }
+
+      await updateInventario(req.companyId, devolucionItem.productId, devolucion.fromLocationId, session);
+      await updateInventario(req.companyId, devolucionItem.productId, devolucion.toLocationId, session);
+    }
+
+    devolucion.status = 'RECIBIDO';
+    devolucion.confirmedAt = new Date();
+    devolucion.confirmedBy = performedBy;
+    if (notes) devolucion.notes = (devolucion.notes || '') + '\n' + notes;
+
+    await devolucion.save({ session });
+
+    await session.commitTransaction();
+
+    res.json({
+      message: 'Devolución confirmada exitosamente',
+      devolucion,
+    });
+  } catch (error) {
+    // Abort transaction on any error - all changes are rolled back
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error('Error confirming devolución:', error);
+    next(error);
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * POST /api/devoluciones/validate-sap-stock
+ * Pre-operation guard: Verify SAP has the batches in the centro bin before creating the return
+ */
+exports.validateSapStock = async (req, res, next) => {
+  try {
+    const { fromLocationId, items } = req.body;
+
+    if (!fromLocationId) {
+      return res.status(400).json({ error: 'fromLocationId is required' });
+    }
+
+    if (!items || !Array.isArray(items) || items.length === 0) {
+      return res.status(400).json({ error: 'items array is required' });
+    }
+
+    const Locaciones = await getLocacionesModel(req.companyId);
+    const Lotes = await getLotesModel(req.companyId);
+    const Productos = await getProductosModel(req.companyId);
+    const fromLocation = await Locaciones.findById(fromLocationId).lean();
+
+    if (!fromLocation) {
+      return res.status(404).json({ error: 'Centro no encontrado' });
+    }
+
+    if (!fromLocation.sapIntegration?.warehouseCode) {
+      return res.status(400).json({
+        error: 'El Centro no tiene configuración SAP',
+        skipValidation: true,
+      });
+    }
+
+    const validationItems = [];
+    for (const item of items) {
+      const lote = await Lotes.findById(item.loteId).lean();
+      if (!lote) continue;
+
+      const product = await Productos.findById(lote.productId).lean();
+      if (!product?.sapItemCode) continue;
+
+      validationItems.push({
+        itemCode: product.sapItemCode,
+        batchNumber: lote.lotNumber,
+        quantity: item.quantitySent,
+        productName: product.name,
+        productCode: product.code,
+      });
+    }
+
+    if (validationItems.length === 0) {
+      return res.json({
+        valid: true,
+        message: 'No items with SAP codes to validate',
+        skipValidation: true,
+      });
+    }
+
+    const validationResult = await sapService.verifyBatchStockForTransfer(
+      validationItems,
+      fromLocation.sapIntegration.warehouseCode,
+      fromLocation.sapIntegration.binAbsEntry || null
+    );
+
+    const enrichedMismatches = validationResult.mismatches.map((mismatch) => {
+      const item = validationItems.find((i) => i.batchNumber === mismatch.batchNumber);
+      return {
+        ...mismatch,
+        productName: item?.productName || 'Unknown',
+        productCode: item?.productCode || 'Unknown',
+      };
+    });
+
+    res.json({
+      valid: validationResult.valid,
+      mismatches: enrichedMismatches,
+      errors: validationResult.errors,
+      verified: validationResult.verified.length,
+      message: validationResult.valid
+        ? 'All items verified in SAP'
+        : 'Stock mismatch detected - SAP has different quantities than expected',
+    });
+  } catch (error) {
+    console.error('Error validating SAP stock:', error);
+    res.status(500).json({
+      valid: false,
+      error: `SAP verification failed: ${error.message}`,
+      sapUnavailable: true,
+    });
+  }
+};
@@ -0,0 +1,72 @@
+/**
+ * Documents Controller
+ * Source documents (packing lists, consumption forms) kept in the document
+ * store, and the handler that attaches them to a record's SAP document.
+ */
+const documentStoreService = require('../services/documentStoreService');
+
+/**
+ * GET /api/documents/:id
+ * Document metadata and the record it is linked to
+ */
+exports.getOne = async (req, res, next) => {
+  try {
+    const document = await documentStoreService.getDocument(req.companyId, req.params.id);
+    res.json(document);
+  } catch (error) {
+    const response = documentStoreService.getErrorResponse(error);
+    if (response) {
+      return res.status(response.status).json(response.body);
+    }
+    console.error('Error getting document:', error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/documents/:id/content
+ * The original file, shown inline
+ */
+exports.getContent = async (req, res, next) => {
+  try {
+    const { document, content } = await documentStoreService.getContent(req.companyId, req.params.id);
+
+    res.set('Content-Type', document.mimetype);
+    res.set('Content-Disposition', `inline; filename="${encodeURIComponent(document.filename)}"`);
+    res.send(content);
+  } catch (error) {
+    const response = documentStoreService.getErrorResponse(error);
+    if (response) {
+      return res.status(response.status).json(response.body);
+    }
+    if (error.code === 'ENOENT' || /FileNotFound/.test(error.message)) {
+      return res.status(404).json({ error: 'El archivo del documento no está en el almacenamiento' });
+    }
+    console.error('Error getting document content:', error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/{consumption|goods-receipt}/:id/attach-documents
+ * Attach the record's documents to its SAP document now (normally done
+ * right after the SAP push; this retries a failed attempt)
+ * @param {string} sourceModel - 'consumos' | 'goodsreceipts'
+ */
+exports.attachForSource = (sourceModel) => async (req, res, next) => {
+  try {
+    const result = await documentStoreService.attachToSap(req.companyId, sourceModel, req.params.id);
+    if (!result) {
+      return res.status(400).json({ error: 'El registro no tiene documentos' });
+    }
+
+    res.json({ success: true, ...result });
+  } catch (error) {
+    const response = documentStoreService.getErrorResponse(error);
+    if (response) {
+      return res.status(response.status).json(response.body);
+    }
+    console.error('Error attaching documents to SAP:', error);
+    res.status(502).json({ error: error.message });
+  }
+};
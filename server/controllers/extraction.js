@@ -0,0 +1,84 @@
+/**
+ * Extraction Controller
+ * Settings for document extraction: which provider reads packing lists and
+ * consumption documents, and the confidence below which consumption
+ * extractions go to the review queue
+ */
+const { validationResult } = require('express-validator');
+const { getVascularesConfigModel } = require('../getModel');
+const extractionService = require('../services/extractionService');
+const { getReviewThreshold } = require('../services/extractionReviewService');
+
+/**
+ * Current settings for a company
+ */
+async function loadConfig(companyId) {
+  return {
+    provider: await extractionService.getProviderName(companyId),
+    defaultProvider: extractionService.getDefaultProviderName(),
+    providers: extractionService.listProviders(),
+    reviewThreshold: await getReviewThreshold(companyId),
+  };
+}
+
+/**
+ * GET /api/extraction/config
+ * Current provider, the default, the available providers and the review threshold
+ *
+ * Response: { provider, defaultProvider, providers: [{ value, label, available }], reviewThreshold }
+ */
+exports.getConfig = async (req, res, next) => {
+  try {
+    res.json(await loadConfig(req.companyId));
+  } catch (error) {
+    console.error('Error getting extraction config:', error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/extraction/config
+ * Update extraction settings (admin only)
+ *
+ * Body params:
+ * - provider: String (optional) - gemini, tesseract or fixture
+ * - reviewThreshold: Number (optional) - 0 to 1
+ */
+exports.updateConfig = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { provider, reviewThreshold } = req.body;
+    const update = {};
+
+    if (provider !== undefined) {
+      const option = extractionService.listProviders().find((p) => p.value === provider);
+      if (!option.available) {
+        return res.status(400).json({ error: `El proveedor ${option.label} no está configurado en el servidor` });
+      }
+      update['extraction.provider'] = provider;
+    }
+    if (reviewThreshold !== undefined) {
+      update['extraction.reviewThreshold'] = Number(reviewThreshold);
+    }
+
+    if (Object.keys(update).length === 0) {
+      return res.status(400).json({ error: 'Nothing to update' });
+    }
+
+    const VascularesConfig = await getVascularesConfigModel(req.companyId);
+    await VascularesConfig.findOneAndUpdate(
+      { companyId: req.companyId },
+      { $set: update },
+      { upsert: true, new: true }
+    );
+
+    res.json(await loadConfig(req.companyId));
+  } catch (error) {
+    console.error('Error updating extraction config:', error);
+    next(error);
+  }
+};
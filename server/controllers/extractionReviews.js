@@ -0,0 +1,173 @@
+/**
+ * Extraction Reviews Controller
+ * Queue of consumption extractions that scored below the review threshold.
+ * A second person checks each reading against the stored images, corrects
+ * lots and quantities, and approves; the consumption is then created with
+ * the approved lines (POST /api/consumption with extractionReviewId).
+ */
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const { getRevisionesExtraccionModel } = require('../getModel');
+const { resolveApprovedLines } = require('../services/extractionReviewService');
+
+const REVIEW_STATUSES = ['PENDIENTE', 'APROBADA', 'RECHAZADA', 'REGISTRADA'];
+
+/**
+ * GET /api/extraction-reviews
+ * List reviews (newest first)
+ *
+ * Query params:
+ * - status: PENDIENTE | APROBADA | RECHAZADA | REGISTRADA
+ * - centroId: Filter by centro
+ */
+exports.list = async (req, res, next) => {
+  try {
+    const { status, centroId } = req.query;
+    const filter = {};
+
+    if (status) {
+      if (!REVIEW_STATUSES.includes(status)) {
+        return res.status(400).json({ error: 'Estado inválido' });
+      }
+      filter.status = status;
+    }
+    if (centroId) {
+      if (!mongoose.Types.ObjectId.isValid(centroId)) {
+        return res.status(400).json({ error: 'Centro inválido' });
+      }
+      filter.centroId = centroId;
+    }
+
+    const Revisiones = await getRevisionesExtraccionModel(req.companyId);
+    const reviews = await Revisiones.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(100)
+      .lean();
+
+    res.json(reviews);
+  } catch (error) {
+    console.error('Error listing extraction reviews:', error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/extraction-reviews/:id
+ * Get a single review (files are served by /api/documents/:documentId/content)
+ */
+exports.getOne = async (req, res, next) => {
+  try {
+    const Revisiones = await getRevisionesExtraccionModel(req.companyId);
+    const review = await Revisiones.findById(req.params.id).lean();
+
+    if (!review) {
+      return res.status(404).json({ error: 'Revisión no encontrada' });
+    }
+
+    res.json(review);
+  } catch (error) {
+    console.error('Error getting extraction review:', error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/extraction-reviews/:id/approve
+ * Approve the reading with the reviewer's corrections
+ * The reviewer must be someone other than the user who uploaded the documents.
+ *
+ * Body params:
+ * - items: [{ loteId, quantity }] - Lines to register
+ * - patientName, doctorName, procedureDate (optional) - Corrected procedure info
+ */
+exports.approve = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const Revisiones = await getRevisionesExtraccionModel(req.companyId);
+    const review = await Revisiones.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({ error: 'Revisión no encontrada' });
+    }
+
+    if (review.status !== 'PENDIENTE') {
+      return res.status(400).json({ error: `La revisión ya fue ${review.status.toLowerCase()}` });
+    }
+
+    if (review.createdBy?._id?.toString() === req.user._id.toString()) {
+      return res.status(403).json({ error: 'La revisión debe aprobarla otra persona' });
+    }
+
+    try {
+      review.approvedItems = await resolveApprovedLines(req.companyId, {
+        centroId: review.centroId,
+        centroName: review.centroName,
+        items: req.body.items,
+      });
+    } catch (lineError) {
+      if (lineError.code === 'INVALID_LINE') {
+        return res.status(400).json({ error: lineError.message });
+      }
+      throw lineError;
+    }
+
+    const { patientName, doctorName, procedureDate } = req.body;
+    if (patientName !== undefined) review.patientName = patientName || null;
+    if (doctorName !== undefined) review.doctorName = doctorName || null;
+    if (procedureDate !== undefined) review.procedureDate = procedureDate ? new Date(procedureDate) : null;
+
+    review.status = 'APROBADA';
+    review.reviewedAt = new Date();
+    review.reviewedBy = {
+      _id: req.user._id,
+      firstname: req.user.firstname,
+      lastname: req.user.lastname,
+      email: req.user.email,
+    };
+    await review.save();
+
+    res.json({ success: true, review });
+  } catch (error) {
+    console.error('Error approving extraction review:', error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/extraction-reviews/:id/reject
+ * Reject the extraction (the documents must be uploaded again or entered manually)
+ */
+exports.reject = async (req, res, next) => {
+  try {
+    const Revisiones = await getRevisionesExtraccionModel(req.companyId);
+    const review = await Revisiones.findById(req.params.id);
+
+    if (!review) {
+      return res.status(404).json({ error: 'Revisión no encontrada' });
+    }
+
+    if (review.status !== 'PENDIENTE') {
+      return res.status(400).json({ error: `La revisión ya fue ${review.status.toLowerCase()}` });
+    }
+
+    review.status = 'RECHAZADA';
+    review.reviewedAt = new Date();
+    review.reviewedBy = {
+      _id: req.user._id,
+      firstname: req.user.firstname,
+      lastname: req.user.lastname,
+      email: req.user.email,
+    };
+    review.rejectionReason = req.body.reason;
+    await review.save();
+
+    res.json({ success: true, review });
+  } catch (error) {
+    console.error('Error rejecting extraction review:', error);
+    next(error);
+  }
+};
@@ -2,9 +2,12 @@
  * Goods Receipt Controller
  * Handle goods receipts with SAP integration
  * Creates local lotes/inventory AND pushes to SAP PurchaseDeliveryNotes
+ * through the SAP outbox (see services/sapOutboxService.js).
  *
- * ATOMIC: SAP is called FIRST. If SAP fails, nothing is saved locally.
- * If SAP succeeds, local changes are committed in a transaction.
+ * Receipt items are allocated to the oldest open pedido lines in the same
+ * transaction (see services/pedidoAllocationService.js), and the allocated
+ * PurchaseDeliveryNote lines are copied from the pedidos' SAP Purchase
+ * Orders (see services/purchaseOrderService.js).
  */
 const mongoose = require('mongoose');
 const {
@@ -13,10 +16,15 @@ const {
   getProductosModel,
   getLocacionesModel,
   getTransaccionesModel,
-  getGoodsReceiptsModel
+  getGoodsReceiptsModel,
+  getPedidosModel
 } = require('../getModel');
 const sapService = require('../services/sapService');
+const sapOutboxService = require('../services/sapOutboxService');
 const { extractPackingList } = require('../services/extractionService');
+const documentStoreService = require('../services/documentStoreService');
+const purchaseOrderService = require('../services/purchaseOrderService');
+const pedidoAllocationService = require('../services/pedidoAllocationService');
 
 /**
  * Helper: Update or create inventory record
@@ -67,13 +75,34 @@ async function updateInventario(companyId, productId, locationId, session = null
   );
 }
 
+/**
+ * Helper: Pedidos a receipt was allocated to, oldest first
+ * @param {Array} plan - From pedidoAllocationService.allocateReceipt (or null)
+ */
+function allocatedPedidos(plan) {
+  const pedidos = new Map();
+  for (const entry of plan || []) {
+    for (const { pedido } of entry.allocations) {
+      pedidos.set(pedido._id.toString(), pedido);
+    }
+  }
+  return [...pedidos.values()];
+}
+
+/**
+ * Helper: " - OC 1001, 1002" for the delivery note comments
+ */
+function purchaseOrderNumbers(plan) {
+  const docNums = allocatedPedidos(plan)
+    .map(p => p.sapIntegration?.docNum)
+    .filter(Boolean);
+  return docNums.length > 0 ? ` - OC ${docNums.join(', ')}` : '';
+}
+
 /**
  * POST /api/goods-receipt
  * Create goods receipt - saves locally and pushes to SAP
  *
- * ATOMIC: SAP is called FIRST. If SAP fails, nothing is saved locally.
- * If SAP succeeds, local changes are committed in a transaction.
- *
  * Body: {
  *   locationId: ObjectId (warehouse),
  *   items: [{
@@ -84,12 +113,16 @@ async function updateInventario(companyId, productId, locationId, session = null
  *   }],
  *   supplier: String (optional),
  *   notes: String (optional),
- *   pushToSap: Boolean (default true)
+ *   pushToSap: Boolean (default true),
+ *   documentIds: [ObjectId] (optional, packing lists returned by /extract),
+ *   allocateToPedidos: Boolean (default true, fill the oldest open pedido lines),
+ *   pedidoId: ObjectId (optional, only allocate to this pedido)
  * }
  */
 exports.createGoodsReceipt = async (req, res, next) => {
   try {
-    const { locationId, items, supplier, supplierCode, notes, pushToSap = true, docDate } = req.body;
+    const { locationId, items, supplier, supplierCode, notes, pushToSap = true, docDate, documentIds, pedidoId } = req.body;
+    const allocateToPedidos = req.body.allocateToPedidos ?? true;
 
     // ============================================
     // PHASE 1: VALIDATION (no saves)
@@ -181,46 +214,49 @@ exports.createGoodsReceipt = async (req, res, next) => {
       }
     }
 
-    // ============================================
-    // PHASE 2: SAP CALL (before any local saves)
-    // ============================================
-
-    let sapResult = null;
-    if (pushToSap) {
+    // Pedido chosen to receive against (must still be open, with its Purchase Order in SAP)
+    if (pedidoId) {
+      const Pedidos = await getPedidosModel(req.companyId);
+      const pedido = await Pedidos.findOne({ _id: pedidoId, companyId: req.companyId }).lean();
+      if (!pedido) {
+        return res.status(404).json({ error: 'Pedido not found' });
+      }
       try {
-        sapResult = await pushToSapGoodsReceipt({
-          items,
-          productMap,
-          sapWarehouseCode,
-          supplier,
-          supplierCode,
-          notes,
-          docDate,
-        });
-      } catch (sapError) {
-        // SAP failed - return error, save nothing locally
-        console.error('SAP PurchaseDeliveryNote creation failed:', sapError);
-        return res.status(500).json({
-          success: false,
-          error: `SAP Error: ${sapError.message}`,
-          sapError: sapError.message,
-        });
+        purchaseOrderService.assertReceivable(pedido, { pushToSap, supplierCode });
+      } catch (pedidoError) {
+        const response = purchaseOrderService.getErrorResponse(pedidoError);
+        if (response) return res.status(response.status).json(response.body);
+        throw pedidoError;
       }
     }
 
+    // Packing lists to keep with the receipt
+    let documents;
+    try {
+      documents = await documentStoreService.findLinkable(req.companyId, documentIds, 'goodsreceipts');
+    } catch (documentError) {
+      const response = documentStoreService.getErrorResponse(documentError);
+      if (response) return res.status(response.status).json(response.body);
+      throw documentError;
+    }
+
     // ============================================
-    // PHASE 3: LOCAL SAVES (in transaction)
-    // SAP succeeded (or not required), now commit local changes
+    // PHASE 2: LOCAL SAVES + SAP OUTBOX ENTRY (in transaction)
     // ============================================
 
+    let outboxEntry = null;
+    let goodsReceiptId = null;
+    let allocationPlan = null;
+    let allocatedItems = [];
+    const createdLotes = [];
+    const transactions = [];
+
     const session = await mongoose.startSession();
     session.startTransaction();
 
     try {
       const Transacciones = await getTransaccionesModel(req.companyId);
       const GoodsReceipts = await getGoodsReceiptsModel(req.companyId);
-      const createdLotes = [];
-      const transactions = [];
 
       for (const item of items) {
         const product = productMap[item.productId];
@@ -238,7 +274,7 @@ exports.createGoodsReceipt = async (req, res, next) => {
               lastname: req.user.lastname
             },
             accion: 'Recepción de mercancía',
-            detalles: `Cantidad: ${item.quantity}${supplier ? `, Proveedor: ${supplier}` : ''}${sapResult ? `, SAP Doc: ${sapResult.sapDocNum}` : ''}`
+            detalles: `Cantidad: ${item.quantity}${supplier ? `, Proveedor: ${supplier}` : ''}`
           };
 
           lote = await Lotes.findByIdAndUpdate(
@@ -279,7 +315,7 @@ exports.createGoodsReceipt = async (req, res, next) => {
                 lastname: req.user.lastname
               },
               accion: 'Lote recibido',
-              detalles: `Cantidad: ${item.quantity}${sapResult ? `, SAP Doc: ${sapResult.sapDocNum}` : ''}`
+              detalles: `Cantidad: ${item.quantity}`
             }]
           });
           await lote.save({ session });
@@ -310,11 +346,8 @@ exports.createGoodsReceipt = async (req, res, next) => {
           },
           status: 'COMPLETED',
           sapIntegration: pushToSap ? {
-            pushed: true,
-            docEntry: sapResult.sapDocEntry,
-            docNum: sapResult.sapDocNum,
-            docType: 'PurchaseDeliveryNotes',
-            syncDate: new Date()
+            pushed: false,
+            docType: 'PurchaseDeliveryNotes'
           } : undefined
         });
         await transaccion.save({ session });
@@ -347,22 +380,14 @@ exports.createGoodsReceipt = async (req, res, next) => {
           };
         }),
         sapIntegration: pushToSap ? {
-          pushed: true,
-          status: 'SYNCED',
-          docEntry: sapResult.sapDocEntry,
-          docNum: sapResult.sapDocNum,
+          pushed: false,
+          status: 'PENDING',
           docType: 'PurchaseDeliveryNotes',
-          syncDate: new Date(),
-          error: null,
-          retryCount: 0,
-          retrying: false,
         } : {
           pushed: false,
           status: 'PENDING',
           error: 'SAP sync disabled',
           syncDate: new Date(),
-          retryCount: 0,
-          retrying: false,
         },
         createdBy: {
           _id: req.user._id,
@@ -370,134 +395,103 @@ exports.createGoodsReceipt = async (req, res, next) => {
           lastname: req.user.lastname
         }
       });
+      goodsReceipt.documents = await documentStoreService.linkDocuments(req.companyId, documents, {
+        model: 'goodsreceipts',
+        id: goodsReceipt._id,
+      }, session);
+
+      // Fill open pedido lines (quantities per PO line for the delivery note)
+      if (allocateToPedidos || pedidoId) {
+        allocationPlan = await pedidoAllocationService.allocateReceipt(req.companyId, goodsReceipt, {
+          pushToSap,
+          pedidoId,
+        }, session);
+      }
+
       await goodsReceipt.save({ session });
+      goodsReceiptId = goodsReceipt._id;
+      allocatedItems = goodsReceipt.items;
+
+      // Queue the SAP PurchaseDeliveryNote with the local changes
+      if (pushToSap) {
+        outboxEntry = await sapOutboxService.enqueue(req.companyId, {
+          documentType: 'PurchaseDeliveryNote',
+          sourceModel: 'goodsreceipts',
+          sourceId: goodsReceipt._id,
+          transactionIds: transactions.map(t => t._id),
+          payload: {
+            cardCode: supplierCode,
+            warehouseCode: sapWarehouseCode,
+            items: purchaseOrderService.deliveryNoteItems(
+              items.map(item => ({
+                itemCode: productMap[item.productId].sapItemCode,
+                quantity: Number(item.quantity),
+                batchNumber: item.lotNumber,
+                expiryDate: item.expiryDate,
+              })),
+              allocationPlan
+            ),
+            comments: `Entrada desde Vasculares App${purchaseOrderNumbers(allocationPlan)}${notes ? ` - ${notes}` : ''}`,
+            docDate: docDate || new Date().toISOString().split('T')[0],
+          },
+          user: req.user,
+        }, session);
+      }
 
       // Commit transaction
       await session.commitTransaction();
-
-      res.status(201).json({
-        success: true,
-        message: 'Goods receipt created successfully',
-        receiptId: goodsReceipt._id,
-        lotes: createdLotes,
-        transactions,
-        sapResult: pushToSap ? sapResult : null
-      });
-
     } catch (localError) {
-      // Local save failed after SAP succeeded
-      // This is a critical error - SAP has the document but local doesn't
+      // Nothing was sent to SAP - the push is only queued inside this transaction
       await session.abortTransaction();
-      console.error('CRITICAL: SAP succeeded but local save failed:', localError);
-      if (sapResult) {
-        console.error('SAP Document created:', sapResult);
-      }
-
-      return res.status(500).json({
-        success: false,
-        error: 'Error guardando localmente después de crear documento SAP. Contacte soporte.',
-        sapResult,
-        localError: localError.message,
-        requiresManualReconciliation: !!sapResult,
-      });
+      throw localError;
     } finally {
       session.endSession();
     }
 
-  } catch (error) {
-    console.error('Error in goods receipt:', error);
-    next(error);
-  }
-};
-
-/**
- * Push goods receipt to SAP via PurchaseDeliveryNotes (Entrada de Mercancía)
- * This creates a proper Goods Receipt PO that can be used to create supplier invoices
- */
-async function pushToSapGoodsReceipt({ items, productMap, sapWarehouseCode, supplier, supplierCode, notes, docDate }) {
-  const sessionId = await sapService.ensureSession();
-
-  // Build document lines with required TaxCode
-  const documentLines = items.map((item, index) => {
-    // Handle both string and ObjectId productId
-    const productId = item.productId?.toString ? item.productId.toString() : item.productId;
-    const product = productMap[productId];
-
-    if (!product || !product.sapItemCode) {
-      console.error('Product not found or missing sapItemCode:', { productId, item, availableKeys: Object.keys(productMap) });
-      throw new Error(`Product ${productId} not found in productMap or missing sapItemCode`);
-    }
-
-    const line = {
-      LineNum: index, // SAP requires line numbers starting from 0
-      ItemCode: product.sapItemCode,
-      Quantity: item.quantity,
-      WarehouseCode: sapWarehouseCode,
-      TaxCode: 'EXE', // Tax exempt - adjust if needed for your SAP config
-      BatchNumbers: [{
-        ItemCode: product.sapItemCode, // SAP may require ItemCode in batch reference
-        BatchNumber: item.lotNumber,
-        Quantity: item.quantity,
-        ExpiryDate: new Date(item.expiryDate).toISOString().split('T')[0]
-      }]
-    };
-    return line;
-  });
-
-  // Create PurchaseDeliveryNotes (Entrada de Mercancía) in SAP
-  const effectiveDocDate = docDate || new Date().toISOString().split('T')[0];
-
-  const payload = {
-    DocDate: effectiveDocDate,
-    CardCode: supplierCode, // Required for PurchaseDeliveryNotes
-    Comments: `Entrada desde Vasculares App${notes ? ` - ${notes}` : ''}`,
-    DocumentLines: documentLines
-  };
-
-  // Validate all lines have ItemCode before sending
-  const missingItemCodes = documentLines.filter(line => !line.ItemCode);
-  if (missingItemCodes.length > 0) {
-    console.error('Lines with missing ItemCode:', missingItemCodes);
-    throw new Error(`${missingItemCodes.length} line(s) missing ItemCode - check product mapping`);
-  }
-
-  const response = await fetch(`${sapService.getServiceUrl()}/PurchaseDeliveryNotes`, {
-    method: 'POST',
-    headers: {
-      'Content-Type': 'application/json',
-      'Cookie': `B1SESSION=${sessionId}`
-    },
-    body: JSON.stringify(payload)
-  });
-
-  if (!response.ok) {
-    const errorData = await response.json().catch(() => ({}));
-    console.log('=== SAP ERROR RESPONSE ===');
-    console.log('Status:', response.status);
-    console.log('Full error:', JSON.stringify(errorData, null, 2));
+    // ============================================
+    // PHASE 3: DELIVER TO SAP (outbox worker retries on failure)
+    // ============================================
 
-    // Translate cryptic SAP errors to user-friendly messages
-    let errorMessage = errorData.error?.message?.value || `SAP error: ${response.statusText}`;
-    const errorCode = errorData.error?.code;
+    const sapResult = await sapOutboxService.deliverAfterCommit(req.companyId, outboxEntry);
 
-    // Error -5009 or "Item number is missing" usually means item doesn't exist in SAP
-    if (errorCode === -5009 || errorMessage.includes('Item number is missing')) {
-      const itemCodes = documentLines.map(l => l.ItemCode).join(', ');
-      errorMessage = `Uno o más productos no existen en SAP (códigos: ${itemCodes}). Verifique que los productos estén creados en SAP antes de registrar la recepción.`;
+    // Purchase Orders filled by substitutions stay open in SAP: close them
+    const pedidos = allocatedPedidos(allocationPlan);
+    const substituted = (allocationPlan || []).some(entry =>
+      entry.allocations.some(a => a.substitution && a.pedido.sapIntegration?.docEntry)
+    );
+    if (sapResult?.success && substituted) {
+      await purchaseOrderService.closeFulfilled(req.companyId, pedidos.map(p => p._id));
     }
 
-    throw new Error(errorMessage);
-  }
-
-  const result = await response.json();
+    res.status(201).json({
+      success: true,
+      message: 'Goods receipt created successfully',
+      receiptId: goodsReceiptId,
+      lotes: createdLotes,
+      transactions,
+      allocations: allocatedItems.map(item => ({
+        productId: item.productId,
+        lotNumber: item.lotNumber,
+        quantity: item.quantity,
+        pedidoAllocations: item.pedidoAllocations,
+        unallocatedQuantity: item.unallocatedQuantity,
+      })),
+      pedidos: pedidos.map(p => ({
+        _id: p._id,
+        status: p.status,
+        orderDate: p.orderDate,
+        supplier: p.supplier,
+        docNum: p.sapIntegration?.docNum,
+        items: p.items,
+      })),
+      sapResult
+    });
 
-  return {
-    success: true,
-    sapDocEntry: result.DocEntry,
-    sapDocNum: result.DocNum,
-    sapDocType: 'PurchaseDeliveryNotes' // Entrada de Mercancía
-  };
-}
+  } catch (error) {
+    console.error('Error in goods receipt:', error);
+    next(error);
+  }
+};
 
 /**
  * GET /api/goods-receipt/products
@@ -613,163 +607,40 @@ exports.getGoodsReceipt = async (req, res, next) => {
 };
 
 /**
- * POST /api/goods-receipt/:id/retry-sap
- * Retry SAP push for a failed goods receipt
- *
- * Uses optimistic locking to prevent duplicate SAP documents:
- * 1. Atomically claim the retry by setting retrying flag
- * 2. If claim fails, another request is already processing
- * 3. Call SAP and update with result
+ * POST /api/goods-receipt/:id/allocate-pedidos
+ * Allocate a receipt created without allocation to the open pedidos it
+ * filled, so their pending quantities stop counting it. Only pedidos
+ * ordered before the receipt are considered. Its delivery note is already
+ * in SAP, so Purchase Orders are not drawn down.
  */
-exports.retrySapPush = async (req, res, next) => {
+exports.allocatePedidos = async (req, res, next) => {
   try {
     const GoodsReceipts = await getGoodsReceiptsModel(req.companyId);
-
-    const MAX_RETRIES = 5;
-
-    // Atomically claim the retry - only succeeds if not already synced or retrying
-    // Also check retry count limit
-    const receipt = await GoodsReceipts.findOneAndUpdate(
-      {
-        _id: req.params.id,
-        'sapIntegration.pushed': { $ne: true },
-        'sapIntegration.retrying': { $ne: true },
-        $or: [
-          { 'sapIntegration.retryCount': { $exists: false } },
-          { 'sapIntegration.retryCount': { $lt: MAX_RETRIES } },
-        ],
-      },
-      {
-        $set: { 'sapIntegration.retrying': true },
-        $inc: { 'sapIntegration.retryCount': 1 },
-      },
-      { new: true }
-    );
+    const receipt = await GoodsReceipts.findById(req.params.id);
 
     if (!receipt) {
-      // Check why we couldn't claim it
-      const existing = await GoodsReceipts.findById(req.params.id).lean();
-      if (!existing) {
-        return res.status(404).json({ error: 'Goods receipt not found' });
-      }
-      if (existing.sapIntegration?.pushed) {
-        return res.status(400).json({
-          error: 'This receipt is already synced with SAP',
-          sapDocNum: existing.sapIntegration.docNum
-        });
-      }
-      if (existing.sapIntegration?.retrying) {
-        return res.status(409).json({ error: 'Ya hay un reintento en progreso' });
-      }
-      if ((existing.sapIntegration?.retryCount || 0) >= MAX_RETRIES) {
-        return res.status(400).json({ error: `Se alcanzó el límite de ${MAX_RETRIES} reintentos` });
-      }
-      return res.status(400).json({ error: 'No se pudo iniciar el reintento' });
+      return res.status(404).json({ error: 'Goods receipt not found' });
     }
-
-    // Validate supplier code exists
-    if (!receipt.supplierCode) {
-      // Release lock
-      await GoodsReceipts.findByIdAndUpdate(req.params.id, {
-        $set: { 'sapIntegration.retrying': false }
-      });
-      return res.status(400).json({
-        error: 'Supplier code is required for SAP integration'
-      });
+    if (receipt.pedidosAllocatedAt) {
+      return res.status(409).json({ error: 'La entrada ya fue asignada a pedidos' });
     }
 
-    // Get products for SAP item codes
-    const Productos = await getProductosModel(req.companyId);
-    const productIds = receipt.items.map(i => i.productId);
-    const products = await Productos.find({ _id: { $in: productIds } });
-
-    const productMap = {};
-    for (const p of products) {
-      productMap[p._id.toString()] = p;
-    }
-
-    // Rebuild items array for SAP push
-    const itemsForSap = receipt.items.map(item => ({
-      productId: item.productId.toString(),
-      lotNumber: item.lotNumber,
-      quantity: item.quantity,
-      expiryDate: item.expiryDate
-    }));
-
-    // Push to SAP
-    let sapResult;
+    const session = await mongoose.startSession();
+    session.startTransaction();
     try {
-      sapResult = await pushToSapGoodsReceipt({
-        items: itemsForSap,
-        productMap,
-        sapWarehouseCode: receipt.sapWarehouseCode || '01',
-        supplier: receipt.supplier,
-        supplierCode: receipt.supplierCode,
-        notes: receipt.notes,
-        docDate: receipt.createdAt ? new Date(receipt.createdAt).toISOString().split('T')[0] : undefined,
-      });
-    } catch (sapError) {
-      console.error('SAP retry push failed:', sapError);
-      sapResult = {
-        success: false,
-        error: sapError.message
-      };
-    }
-
-    // Update receipt with SAP result and release lock
-    const updateData = {
-      'sapIntegration.pushed': sapResult?.success || false,
-      'sapIntegration.status': sapResult?.success ? 'SYNCED' : 'FAILED',
-      'sapIntegration.retrying': false,
-      'sapIntegration.syncDate': new Date(),
-    };
-
-    if (sapResult?.success) {
-      updateData['sapIntegration.docEntry'] = sapResult.sapDocEntry;
-      updateData['sapIntegration.docNum'] = sapResult.sapDocNum;
-      updateData['sapIntegration.docType'] = sapResult.sapDocType || 'PurchaseDeliveryNotes';
-      updateData['sapIntegration.error'] = null;
-    } else {
-      updateData['sapIntegration.error'] = sapResult?.error || 'Unknown error';
-    }
-
-    const updatedReceipt = await GoodsReceipts.findByIdAndUpdate(
-      req.params.id,
-      { $set: updateData },
-      { new: true }
-    );
-
-    // If successful, also update the transactions
-    if (sapResult?.success) {
-      const Transacciones = await getTransaccionesModel(req.companyId);
-      const transactionIds = receipt.items.map(i => i.transactionId).filter(Boolean);
-
-      if (transactionIds.length > 0) {
-        await Transacciones.updateMany(
-          { _id: { $in: transactionIds } },
-          {
-            $set: {
-              'sapIntegration.pushed': true,
-              'sapIntegration.docEntry': sapResult.sapDocEntry,
-              'sapIntegration.docNum': sapResult.sapDocNum,
-              'sapIntegration.docType': 'PurchaseDeliveryNotes',
-              'sapIntegration.syncDate': new Date(),
-              'sapIntegration.error': null
-            }
-          }
-        );
-      }
+      await pedidoAllocationService.allocateReceipt(req.companyId, receipt, {}, session);
+      await receipt.save({ session });
+      await session.commitTransaction();
+    } catch (localError) {
+      await session.abortTransaction();
+      throw localError;
+    } finally {
+      session.endSession();
     }
 
-    res.json({
-      success: sapResult?.success || false,
-      message: sapResult?.success ? 'SAP sync successful' : 'SAP sync failed',
-      receipt: updatedReceipt.toObject(),
-      sapResult
-    });
-
+    res.json(receipt);
   } catch (error) {
-    console.error('Error retrying SAP push:', error);
+    console.error('Error allocating goods receipt to pedidos:', error);
     next(error);
   }
 };
@@ -849,7 +720,9 @@ exports.validateBatches = async (req, res, next) => {
 
 /**
  * POST /api/goods-receipt/extract
- * Extract product data from packing list images using Claude Vision
+ * Extract product data from packing list images with the company's extraction provider
+ * The files are kept in the document store; send the returned document IDs
+ * as documentIds when creating the receipt.
  */
 exports.extractFromPackingList = async (req, res, next) => {
   try {
@@ -861,7 +734,13 @@ exports.extractFromPackingList = async (req, res, next) => {
     console.log(`Extracting data from ${req.files.length} file(s)...`);
 
     // Call the extraction service
-    const extractionResult = await extractPackingList(req.files);
+    const extractionResult = await extractPackingList(req.files, { companyId: req.companyId });
+
+    // Keep the originals; the receipt links them when it is created
+    const documents = await documentStoreService.storeUploads(req.companyId, req.files, {
+      kind: 'PACKING_LIST',
+      user: req.user,
+    });
 
     // Enrich items with product database info
     const Productos = await getProductosModel(req.companyId);
@@ -891,7 +770,9 @@ exports.extractFromPackingList = async (req, res, next) => {
       items: enrichedItems,
       documentInfo: extractionResult.documentInfo || {},
       warnings: extractionResult.warnings || [],
-      filesProcessed: extractionResult.filesProcessed
+      filesProcessed: extractionResult.filesProcessed,
+      provider: extractionResult.provider,
+      documents: documents.map(documentStoreService.summarize)
     });
 
   } catch (error) {
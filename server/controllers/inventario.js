@@ -8,6 +8,8 @@ const {
   getProductosModel,
   getLocacionesModel
 } = require('../getModel');
+const mongoose = require('mongoose');
+const rotationService = require('../services/rotationService');
 
 /**
  * GET /api/inventario - Get inventory summary
@@ -212,6 +214,42 @@ exports.getExpiringLotes = async (req, res, next) => {
   }
 };
 
+/**
+ * GET /api/inventario/lotes/rotation - Suggested moves for centro stock that
+ * will expire before the centro consumes it (transfer to another centro or
+ * return to the warehouse)
+ * @query days - Horizon in days (default 180)
+ * @query centroId - Only moves out of this centro
+ * @query productId - Only this product
+ */
+exports.getRotationSuggestions = async (req, res, next) => {
+  try {
+    const { days = 180, centroId, productId } = req.query;
+
+    const horizonDays = parseInt(days);
+    if (!Number.isInteger(horizonDays) || horizonDays < 1) {
+      return res.status(400).json({ error: 'days debe ser un número positivo' });
+    }
+    if (centroId && !mongoose.Types.ObjectId.isValid(centroId)) {
+      return res.status(400).json({ error: 'centroId inválido' });
+    }
+    if (productId && !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ error: 'productId inválido' });
+    }
+
+    const result = await rotationService.getRotationSuggestions(req.companyId, {
+      horizonDays,
+      centroId,
+      productId,
+    });
+
+    res.json(result);
+  } catch (error) {
+    console.error('Error getting rotation suggestions:', error);
+    next(error);
+  }
+};
+
 /**
  * GET /api/dashboard/stats - Get dashboard statistics
  */
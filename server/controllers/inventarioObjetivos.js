@@ -8,6 +8,19 @@ const {
   getLocacionesModel,
 } = require('../getModel');
 const { validationResult } = require('express-validator');
+const stockLevelService = require('../services/stockLevelService');
+
+/**
+ * Helper: send service errors with their status, pass the rest on
+ */
+function handleError(error, res, next, action) {
+  const response = stockLevelService.getErrorResponse(error);
+  if (response) {
+    return res.status(response.status).json(response.body);
+  }
+  console.error(`Error ${action}:`, error);
+  next(error);
+}
 
 /**
  * GET /api/inventario-objetivos
@@ -81,6 +94,8 @@ exports.upsert = async (req, res, next) => {
       productId,
       locationId,
       targetStock,
+      safetyStock,
+      reorderPoint,
       notes,
     } = req.body;
 
@@ -90,6 +105,8 @@ exports.upsert = async (req, res, next) => {
     if (objetivo) {
       // Update existing
       objetivo.targetStock = targetStock !== undefined ? targetStock : objetivo.targetStock;
+      objetivo.safetyStock = safetyStock !== undefined ? safetyStock : objetivo.safetyStock;
+      objetivo.reorderPoint = reorderPoint !== undefined ? reorderPoint : objetivo.reorderPoint;
       objetivo.notes = notes !== undefined ? notes : objetivo.notes;
       objetivo.updatedBy = {
         _id: req.user._id,
@@ -109,6 +126,8 @@ exports.upsert = async (req, res, next) => {
         productId,
         locationId,
         targetStock: targetStock || 0,
+        safetyStock: safetyStock || 0,
+        reorderPoint: reorderPoint || 0,
         notes,
         createdBy: {
           _id: req.user._id,
@@ -146,6 +165,8 @@ exports.update = async (req, res, next) => {
 
     const {
       targetStock,
+      safetyStock,
+      reorderPoint,
       notes,
       active,
     } = req.body;
@@ -158,6 +179,8 @@ exports.update = async (req, res, next) => {
 
     // Update fields
     if (targetStock !== undefined) objetivo.targetStock = targetStock;
+    if (safetyStock !== undefined) objetivo.safetyStock = safetyStock;
+    if (reorderPoint !== undefined) objetivo.reorderPoint = reorderPoint;
     if (notes !== undefined) objetivo.notes = notes;
     if (active !== undefined) objetivo.active = active;
 
@@ -208,3 +231,123 @@ exports.remove = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * GET /api/inventario-objetivos/calculator/config
+ * Stock level calculator settings
+ */
+exports.getCalculatorConfig = async (req, res, next) => {
+  try {
+    res.json(await stockLevelService.getPlanningConfig(req.companyId));
+  } catch (error) {
+    handleError(error, res, next, 'getting calculator config');
+  }
+};
+
+/**
+ * PUT /api/inventario-objetivos/calculator/config
+ * Update calculator settings (editTargetStock permission)
+ *
+ * Body params (all optional):
+ * - serviceLevel: 0.5-0.999 (e.g. 0.95)
+ * - reviewPeriodDays: Days between replenishment reviews
+ * - centroLeadTimeDays: Warehouse → centro replenishment time
+ * - supplierLeadTimeDays: Supplier lead time without received pedidos to measure it
+ */
+exports.updateCalculatorConfig = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.json(await stockLevelService.updatePlanningConfig(req.companyId, req.body));
+  } catch (error) {
+    handleError(error, res, next, 'updating calculator config');
+  }
+};
+
+/**
+ * POST /api/inventario-objetivos/calculator/preview
+ * Calculate safety stock, reorder point and target stock per product and
+ * location and store them as a preview run (nothing is changed yet)
+ *
+ * Body params:
+ * - serviceLevel: Override the configured service level (optional)
+ * - locationId: Only this centro, or only the warehouse rows for a warehouse (optional)
+ * - category: Only products of this category (optional)
+ */
+exports.previewCalculation = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { serviceLevel, locationId, category } = req.body;
+    const run = await stockLevelService.previewStockLevels(req.companyId, {
+      serviceLevel,
+      locationId,
+      category,
+      user: req.user,
+    });
+
+    res.status(201).json(run);
+  } catch (error) {
+    handleError(error, res, next, 'calculating stock levels');
+  }
+};
+
+/**
+ * GET /api/inventario-objetivos/calculator/runs
+ * Calculator runs, newest first, without their items
+ *
+ * Query params:
+ * - status: PREVIEW | APPLIED
+ */
+exports.listCalculationRuns = async (req, res, next) => {
+  try {
+    res.json(await stockLevelService.listRuns(req.companyId, { status: req.query.status }));
+  } catch (error) {
+    handleError(error, res, next, 'listing stock level runs');
+  }
+};
+
+/**
+ * GET /api/inventario-objetivos/calculator/runs/:id
+ * One run with its items (for applied runs: the values each item replaced)
+ */
+exports.getCalculationRun = async (req, res, next) => {
+  try {
+    res.json(await stockLevelService.getRun(req.companyId, req.params.id));
+  } catch (error) {
+    handleError(error, res, next, 'getting stock level run');
+  }
+};
+
+/**
+ * POST /api/inventario-objetivos/calculator/runs/:id/apply
+ * Write a preview run's levels to inventarioObjetivos (centros) and
+ * product inventorySettings (warehouse) (editTargetStock permission)
+ *
+ * Body params:
+ * - items: [{ productId, locationId }] to apply, locationId null for the warehouse
+ *   (optional: every item whose levels change)
+ */
+exports.applyCalculation = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const run = await stockLevelService.applyStockLevels(req.companyId, req.params.id, {
+      items: req.body.items,
+      user: req.user,
+    });
+
+    res.json(run);
+  } catch (error) {
+    handleError(error, res, next, 'applying stock levels');
+  }
+};
@@ -0,0 +1,75 @@
+/**
+ * Inventory Check Controller
+ * Admin endpoints for the Lote / Inventario / ledger invariant check
+ */
+const mongoose = require('mongoose');
+const inventoryCheckService = require('../services/inventoryCheckService');
+
+/**
+ * POST /api/inventory-check/run
+ * Run a check now and return its result
+ *
+ * Body params (all optional):
+ * - repair: Boolean - rewrite Inventario rows and lote status that drifted (default false)
+ * - productId: String - only check this product
+ */
+exports.triggerRun = async (req, res, next) => {
+  try {
+    const { repair = false, productId = null } = req.body;
+
+    if (productId && !mongoose.Types.ObjectId.isValid(productId)) {
+      return res.status(400).json({ error: 'productId inválido' });
+    }
+
+    const inProgress = await inventoryCheckService.isRunInProgress(req.companyId);
+    if (inProgress) {
+      return res.status(409).json({
+        error: 'Ya hay una verificación de inventario en progreso. Por favor espere a que termine.',
+      });
+    }
+
+    const run = await inventoryCheckService.runInventoryCheck(req.companyId, {
+      runType: 'ON_DEMAND',
+      repair: repair === true || repair === 'true',
+      productId,
+      triggeredBy: req.user,
+    });
+
+    res.json(run);
+  } catch (error) {
+    console.error('Error running inventory check:', error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory-check/runs
+ * Run history (without mismatch details)
+ */
+exports.getRunHistory = async (req, res, next) => {
+  try {
+    const { limit = 10 } = req.query;
+    const runs = await inventoryCheckService.getRunHistory(req.companyId, parseInt(limit));
+    res.json(runs);
+  } catch (error) {
+    console.error('Error getting inventory check history:', error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/inventory-check/runs/:id
+ * One run with its mismatches
+ */
+exports.getRun = async (req, res, next) => {
+  try {
+    const run = await inventoryCheckService.getRun(req.companyId, req.params.id);
+    if (!run) {
+      return res.status(404).json({ error: 'Verificación no encontrada' });
+    }
+    res.json(run);
+  } catch (error) {
+    console.error('Error getting inventory check run:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,119 @@
+/**
+ * Medicos Controller
+ * Manage implanting physicians per Centro (implant registry)
+ */
+const { validationResult } = require('express-validator');
+const { getMedicosModel } = require('../getModel');
+
+// Editable fields (create and update)
+const FIELDS = ['name', 'licenseNumber', 'specialty', 'phone', 'email', 'centroIds', 'active'];
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * GET /api/medicos
+ * List doctors by name
+ *
+ * Query params:
+ * - centroId: Doctors at this centro (and doctors without centros)
+ * - active: 'true' (default) | 'false' | 'all'
+ * - q: Name or license number contains
+ */
+exports.list = async (req, res, next) => {
+  try {
+    const Medicos = await getMedicosModel(req.companyId);
+    const { centroId, active = 'true', q } = req.query;
+
+    const query = {};
+    if (active !== 'all') query.active = active === 'true';
+    if (centroId) {
+      query.$or = [{ centroIds: centroId }, { centroIds: { $size: 0 } }];
+    }
+    if (q) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+      query.$and = [{ $or: [{ name: pattern }, { licenseNumber: pattern }] }];
+    }
+
+    const medicos = await Medicos.find(query)
+      .populate('centroIds', 'name')
+      .sort({ name: 1 })
+      .lean();
+
+    res.json(medicos);
+  } catch (error) {
+    console.error('Error listing medicos:', error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/medicos
+ * Create a doctor
+ *
+ * Body params:
+ * - name: Full name (required)
+ * - licenseNumber: Exequátur (optional)
+ * - specialty, phone, email: Optional
+ * - centroIds: Centros where the doctor implants (empty = any centro)
+ */
+exports.create = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const Medicos = await getMedicosModel(req.companyId);
+    const data = {};
+    for (const field of FIELDS) {
+      if (req.body[field] !== undefined) data[field] = req.body[field];
+    }
+
+    const medico = await Medicos.create({
+      ...data,
+      createdBy: {
+        _id: req.user._id,
+        firstname: req.user.firstname,
+        lastname: req.user.lastname,
+      },
+    });
+
+    res.status(201).json({ success: true, medico });
+  } catch (error) {
+    console.error('Error creating medico:', error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/medicos/:id
+ * Update a doctor (same body params as create, plus active). Procedures
+ * already recorded keep the doctor name they were registered with.
+ */
+exports.update = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const Medicos = await getMedicosModel(req.companyId);
+    const medico = await Medicos.findById(req.params.id);
+
+    if (!medico) {
+      return res.status(404).json({ error: 'Médico no encontrado' });
+    }
+
+    for (const field of FIELDS) {
+      if (req.body[field] !== undefined) medico[field] = req.body[field];
+    }
+    await medico.save();
+
+    res.json({ success: true, medico });
+  } catch (error) {
+    console.error('Error updating medico:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,223 @@
+/**
+ * Notifications Controller
+ * In-app notifications and email subscriptions of the current user, and
+ * the company's notification settings.
+ */
+const { validationResult } = require('express-validator');
+const notificationService = require('../services/notificationService');
+const userNotificationService = require('../services/userNotificationService');
+const { getLocacionesModel } = require('../getModel');
+
+/**
+ * GET /api/notifications
+ * The current user's in-app notifications, newest first
+ *
+ * Query params:
+ * - unread: 'true' for unread only
+ * - before: ISO date - next page, notifications created before this date
+ * - limit: Number (default 20, max 100)
+ *
+ * Returns: { notifications, unreadCount, hasMore }
+ */
+exports.list = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { unread, before, limit } = req.query;
+    const result = await userNotificationService.list(req.companyId, req.user._id, {
+      unread: unread === 'true',
+      before,
+      limit,
+    });
+    res.json(result);
+  } catch (error) {
+    console.error('Error listing notifications:', error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/notifications/unread-count
+ * Returns: { count }
+ */
+exports.getUnreadCount = async (req, res, next) => {
+  try {
+    const count = await userNotificationService.countUnread(req.companyId, req.user._id);
+    res.json({ count });
+  } catch (error) {
+    console.error('Error counting unread notifications:', error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/notifications/:id/read
+ * Mark one of the current user's notifications as read
+ */
+exports.markRead = async (req, res, next) => {
+  try {
+    const notification = await userNotificationService.markRead(req.companyId, req.user._id, req.params.id);
+    if (!notification) {
+      return res.status(404).json({ error: 'Notificación no encontrada' });
+    }
+    res.json(notification);
+  } catch (error) {
+    console.error('Error marking notification as read:', error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/notifications/read-all
+ * Mark all the current user's notifications as read
+ *
+ * Returns: { updated }
+ */
+exports.markAllRead = async (req, res, next) => {
+  try {
+    const updated = await userNotificationService.markAllRead(req.companyId, req.user._id);
+    res.json({ updated });
+  } catch (error) {
+    console.error('Error marking notifications as read:', error);
+    next(error);
+  }
+};
+
+/**
+ * Subscriptions of the current user
+ */
+function subscriptionsResponse(req) {
+  const profile = req.userProfile;
+  return {
+    email: profile.notifications?.email || req.user.email || '',
+    events: notificationService.listEvents(profile),
+    centroIds: profile.notifications?.centroIds || [],
+    transport: notificationService.getTransport().name,
+  };
+}
+
+/**
+ * GET /api/notifications/subscriptions
+ * Events the current user can subscribe to and the email they go to
+ *
+ * Returns: { email, events: [{ event, label, description, subscribed }], centroIds, transport }
+ */
+exports.getSubscriptions = async (req, res, next) => {
+  try {
+    res.json(subscriptionsResponse(req));
+  } catch (error) {
+    console.error('Error getting notification subscriptions:', error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/notifications/subscriptions
+ * Replace the current user's subscriptions
+ *
+ * Body params:
+ * - email: String - Where the notifications go
+ * - events: [String] - Subscribed events (see GET)
+ * - centroIds: [ObjectId] (optional) - Centros to hear about; empty for all
+ */
+exports.updateSubscriptions = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const profile = req.userProfile;
+    const { email, events, centroIds = profile.notifications?.centroIds || [] } = req.body;
+
+    const allowed = new Set(notificationService.listEvents(profile).map((e) => e.event));
+    const invalid = events.filter((event) => !allowed.has(event));
+    if (invalid.length > 0) {
+      return res.status(400).json({ error: `Notificaciones no disponibles: ${invalid.join(', ')}` });
+    }
+    if (events.length > 0 && !email) {
+      return res.status(400).json({ error: 'El correo es requerido para recibir notificaciones' });
+    }
+
+    const uniqueCentroIds = [...new Set(centroIds.map(String))];
+    if (uniqueCentroIds.length > 0) {
+      const Locaciones = await getLocacionesModel(req.companyId);
+      const centros = await Locaciones.countDocuments({ _id: { $in: uniqueCentroIds }, type: 'CENTRO' });
+      if (centros !== uniqueCentroIds.length) {
+        return res.status(400).json({ error: 'Solo se pueden elegir centros' });
+      }
+    }
+
+    profile.notifications = { email, events: [...new Set(events)], centroIds: uniqueCentroIds };
+    await profile.save();
+
+    res.json(subscriptionsResponse(req));
+  } catch (error) {
+    console.error('Error updating notification subscriptions:', error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/notifications/subscriptions/test
+ * Send a test message to the current user's notification email
+ */
+exports.sendTest = async (req, res, next) => {
+  try {
+    const { email } = subscriptionsResponse(req);
+    if (!email) {
+      return res.status(400).json({ error: 'Configure un correo para las notificaciones' });
+    }
+
+    const transport = notificationService.getTransport().name;
+    const result = await notificationService.notify(req.companyId, 'TEST', { transport }, { to: [email] });
+    if (result.sent === 0) {
+      return res.status(502).json({ error: 'No se pudo enviar el correo de prueba. Revise la configuración SMTP del servidor.' });
+    }
+
+    res.json({ message: `Correo de prueba enviado a ${email}`, transport });
+  } catch (error) {
+    console.error('Error sending test notification:', error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/notifications/config
+ * Thresholds of the daily checks
+ *
+ * Returns: { consignmentTransitDays, lotExpiryDays }
+ */
+exports.getConfig = async (req, res, next) => {
+  try {
+    res.json(await notificationService.getConfig(req.companyId));
+  } catch (error) {
+    console.error('Error getting notification config:', error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/notifications/config
+ * Update the thresholds (admin only)
+ *
+ * Body params:
+ * - consignmentTransitDays: Number (optional) - Days in transit before a consignment is reported
+ * - lotExpiryDays: Number (optional) - Report centro lots expiring within this many days
+ */
+exports.updateConfig = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    res.json(await notificationService.updateConfig(req.companyId, req.body));
+  } catch (error) {
+    console.error('Error updating notification config:', error);
+    next(error);
+  }
+};
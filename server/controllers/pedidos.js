@@ -1,17 +1,39 @@
 /**
  * Pedidos Controller
- * Handles supplier order tracking (internal only, not synced to SAP)
+ * Handles supplier order tracking. Pedidos with a supplier code are created
+ * in SAP as Purchase Orders through the SAP outbox
+ * (see services/sapOutboxService.js).
  */
-const { getPedidosModel, getProductosModel } = require('../getModel');
+const mongoose = require('mongoose');
+const { validationResult } = require('express-validator');
+const { getPedidosModel, getProductosModel, getGoodsReceiptsModel } = require('../getModel');
+const sapOutboxService = require('../services/sapOutboxService');
+const purchaseOrderService = require('../services/purchaseOrderService');
+const pedidoAllocationService = require('../services/pedidoAllocationService');
+const supplierService = require('../services/supplierService');
+
+/**
+ * Send service errors with their HTTP status, pass anything else on
+ */
+function handleError(error, res, next, action) {
+  const response = purchaseOrderService.getErrorResponse(error);
+  if (response) {
+    return res.status(response.status).json(response.body);
+  }
+  console.error(`Error ${action}:`, error);
+  next(error);
+}
 
 /**
  * POST /api/pedidos
- * Create a new supplier order
+ * Create a new supplier order, and its SAP Purchase Order
  *
  * Body: {
  *   orderDate: Date (optional, defaults to now),
- *   expectedArrivalDate: Date (optional),
- *   supplier: String (optional),
+ *   expectedArrivalDate: Date (optional, PO delivery date),
+ *   supplier: String (optional, defaults to the supplier master data name),
+ *   supplierCode: String (optional, SAP CardCode),
+ *   pushToSap: Boolean (default: true when supplierCode is given),
  *   notes: String (optional),
  *   items: [{
  *     productId: ObjectId,
@@ -21,7 +43,13 @@ const { getPedidosModel, getProductosModel } = require('../getModel');
  */
 exports.create = async (req, res, next) => {
   try {
-    const { orderDate, expectedArrivalDate, supplier, notes, items } = req.body;
+    const { orderDate, expectedArrivalDate, supplier, supplierCode, notes, items } = req.body;
+    const pushToSap = req.body.pushToSap ?? !!supplierCode;
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
     const companyId = req.companyId;
     const user = req.user;
 
@@ -36,12 +64,17 @@ exports.create = async (req, res, next) => {
       }
     }
 
+    if (pushToSap && !supplierCode) {
+      return res.status(400).json({ error: 'Supplier code is required for the SAP Purchase Order (e.g., P00031 for Centralmed)' });
+    }
+
     const Pedidos = await getPedidosModel(companyId);
 
     const pedido = new Pedidos({
       orderDate: orderDate || new Date(),
       expectedArrivalDate,
-      supplier,
+      supplier: supplier || await supplierService.getSupplierName(companyId, supplierCode) || undefined,
+      supplierCode,
       notes,
       status: 'PENDIENTE',
       items: items.map(item => ({
@@ -58,12 +91,45 @@ exports.create = async (req, res, next) => {
       companyId,
     });
 
-    await pedido.save();
+    if (!pushToSap) {
+      await pedido.save();
+      return res.status(201).json(pedido);
+    }
 
-    res.status(201).json(pedido);
+    // Purchase Order lines (sets each item's sapLineNum)
+    const Productos = await getProductosModel(companyId);
+    const products = await Productos.find({ _id: { $in: items.map(i => i.productId) } }).lean();
+    const productMap = Object.fromEntries(products.map(p => [p._id.toString(), p]));
+    const payload = purchaseOrderService.buildPurchaseOrder(pedido, productMap);
+    pedido.sapIntegration = { pushed: false, status: 'PENDING', docType: 'PurchaseOrders' };
+
+    let outboxEntry = null;
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      await pedido.save({ session });
+      outboxEntry = await sapOutboxService.enqueue(companyId, {
+        documentType: 'PurchaseOrder',
+        sourceModel: 'pedidos',
+        sourceId: pedido._id,
+        payload,
+        user,
+      }, session);
+      await session.commitTransaction();
+    } catch (localError) {
+      await session.abortTransaction();
+      throw localError;
+    } finally {
+      session.endSession();
+    }
+
+    const sapResult = await sapOutboxService.deliverAfterCommit(companyId, outboxEntry);
+    const saved = await Pedidos.findById(pedido._id);
+
+    res.status(201).json({ ...saved.toJSON(), sapResult });
   } catch (error) {
-    console.error('Error creating pedido:', error);
-    next(error);
+    handleError(error, res, next, 'creating pedido');
   }
 };
 
@@ -168,15 +234,16 @@ exports.getById = async (req, res, next) => {
  * Body: {
  *   expectedArrivalDate: Date (optional),
  *   supplier: String (optional),
+ *   supplierCode: String (optional, until the pedido is sent to SAP),
  *   notes: String (optional),
  *   status: String (optional, for cancellation)
- *   items: [{ productId, quantityOrdered }] (optional, to adjust)
+ *   items: [{ productId, quantityOrdered }] (optional, to adjust; not once in SAP)
  * }
  */
 exports.update = async (req, res, next) => {
   try {
     const { id } = req.params;
-    const { expectedArrivalDate, supplier, notes, status, items } = req.body;
+    const { expectedArrivalDate, supplier, supplierCode, notes, status, items } = req.body;
     const companyId = req.companyId;
 
     const Pedidos = await getPedidosModel(companyId);
@@ -196,13 +263,23 @@ exports.update = async (req, res, next) => {
       return res.status(400).json({ error: 'Cannot modify completed or cancelled orders' });
     }
 
+    // The Purchase Order fixes supplier and quantities once it is in SAP
+    const inSap = !!pedido.sapIntegration?.status;
+    if (inSap && (items || (supplierCode !== undefined && supplierCode !== pedido.supplierCode))) {
+      return res.status(400).json({
+        error: `El pedido ya fue enviado a SAP${pedido.sapIntegration.docNum ? ` (OC ${pedido.sapIntegration.docNum})` : ''}; proveedor y cantidades no se pueden modificar`,
+      });
+    }
+
     // Update fields
     if (expectedArrivalDate !== undefined) pedido.expectedArrivalDate = expectedArrivalDate;
     if (supplier !== undefined) pedido.supplier = supplier;
+    if (supplierCode !== undefined) pedido.supplierCode = supplierCode;
     if (notes !== undefined) pedido.notes = notes;
 
     // Handle cancellation
     if (status === 'CANCELADO') {
+      await purchaseOrderService.closeInSap(pedido);
       pedido.status = 'CANCELADO';
       await pedido.save();
       return res.json(pedido);
@@ -223,14 +300,14 @@ exports.update = async (req, res, next) => {
     await pedido.save();
     res.json(pedido);
   } catch (error) {
-    console.error('Error updating pedido:', error);
-    next(error);
+    handleError(error, res, next, 'updating pedido');
   }
 };
 
 /**
  * DELETE /api/pedidos/:id
  * Cancel pedido (soft delete via status change)
+ * Closes its SAP Purchase Order first, so SAP stops expecting the open quantities.
  */
 exports.cancel = async (req, res, next) => {
   try {
@@ -248,19 +325,35 @@ exports.cancel = async (req, res, next) => {
       return res.status(400).json({ error: 'Cannot cancel a completed order' });
     }
 
+    await purchaseOrderService.closeInSap(pedido);
     pedido.status = 'CANCELADO';
     await pedido.save();
 
     res.json({ message: 'Pedido cancelled', pedido });
   } catch (error) {
-    console.error('Error cancelling pedido:', error);
-    next(error);
+    handleError(error, res, next, 'cancelling pedido');
+  }
+};
+
+/**
+ * GET /api/pedidos/:id/sap-status
+ * Read the Purchase Order from SAP: document status and open quantity per
+ * line. The result is kept on the pedido (sapOpenQuantity, sapLineStatus,
+ * sapIntegration.documentStatus / statusCheckedAt).
+ */
+exports.getSapStatus = async (req, res, next) => {
+  try {
+    const pedido = await purchaseOrderService.refreshFromSap(req.companyId, req.params.id);
+    res.json(pedido);
+  } catch (error) {
+    handleError(error, res, next, 'reading pedido SAP status');
   }
 };
 
 /**
  * GET /api/pedidos/pending-by-product
  * Get pending quantities per product (for planning calculation)
+ * Lines already read from SAP count at most their open quantity there.
  *
  * Returns: { productId1: pendingQty, productId2: pendingQty, ... }
  */
@@ -281,7 +374,7 @@ exports.getPendingByProduct = async (req, res, next) => {
 
     for (const pedido of pedidos) {
       for (const item of pedido.items) {
-        const pending = Math.max(0, item.quantityOrdered - item.quantityReceived);
+        const pending = purchaseOrderService.pendingQuantity(item);
         if (pending > 0) {
           const productId = item.productId.toString();
           pendingByProduct[productId] = (pendingByProduct[productId] || 0) + pending;
@@ -298,7 +391,9 @@ exports.getPendingByProduct = async (req, res, next) => {
 
 /**
  * POST /api/pedidos/:id/receive
- * Record receipt of items (called when GoodsReceipt is created)
+ * Record receipt of items by hand (goods receipts are allocated to pedidos
+ * when they are created, see pedidoAllocationService). Not allowed once the
+ * Purchase Order is in SAP: only a goods receipt closes its lines there.
  *
  * Body: {
  *   items: [{
@@ -314,6 +409,11 @@ exports.receiveItems = async (req, res, next) => {
     const { items, goodsReceiptId } = req.body;
     const companyId = req.companyId;
 
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
     const Pedidos = await getPedidosModel(companyId);
     const pedido = await Pedidos.findOne({ _id: id, companyId });
 
@@ -325,6 +425,12 @@ exports.receiveItems = async (req, res, next) => {
       return res.status(400).json({ error: 'Cannot receive items for completed or cancelled orders' });
     }
 
+    if (pedido.sapIntegration?.docEntry) {
+      return res.status(409).json({
+        error: `La orden de compra del pedido está en SAP (DocNum ${pedido.sapIntegration.docNum}). Registre la recepción desde Recepción de mercancía para que SAP cierre sus líneas.`,
+      });
+    }
+
     // Update received quantities
     for (const receivedItem of items) {
       const pedidoItem = pedido.items.find(
@@ -349,6 +455,12 @@ exports.receiveItems = async (req, res, next) => {
     pedido.updateStatus();
 
     await pedido.save();
+
+    // And the pedido on the receipt
+    if (goodsReceiptId) {
+      const GoodsReceipts = await getGoodsReceiptsModel(companyId);
+      await GoodsReceipts.updateOne({ _id: goodsReceiptId }, { $addToSet: { pedidoIds: pedido._id } });
+    }
     res.json(pedido);
   } catch (error) {
     console.error('Error receiving items:', error);
@@ -400,3 +512,36 @@ exports.suggestForItems = async (req, res, next) => {
     next(error);
   }
 };
+
+/**
+ * POST /api/pedidos/allocation-preview
+ * How goods receipt items would be allocated to open pedidos (oldest first,
+ * substitutions by legacy code, over-delivery left unallocated). Nothing is saved.
+ *
+ * Body: {
+ *   items: [{ productId: ObjectId, quantity: Number }],
+ *   supplierCode: String (optional, pedidos of other suppliers are skipped),
+ *   pushToSap: Boolean (default true, skips pedidos whose Purchase Order is queued),
+ *   pedidoId: ObjectId (optional, only this pedido)
+ * }
+ */
+exports.previewAllocation = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { items, supplierCode, pushToSap = true, pedidoId } = req.body;
+    const preview = await pedidoAllocationService.previewAllocation(req.companyId, items, {
+      supplierCode,
+      pushToSap,
+      pedidoId,
+    });
+
+    res.json(preview);
+  } catch (error) {
+    console.error('Error previewing pedido allocation:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,115 @@
+/**
+ * Price Lists Controller
+ * Negotiated prices per Centro (see services/priceListService.js). Prices in
+ * effect are stamped onto consumption items and sent to SAP.
+ */
+const { validationResult } = require('express-validator');
+const { getPreciosModel } = require('../getModel');
+const priceListService = require('../services/priceListService');
+
+/**
+ * Send a price service error, or pass unexpected ones on
+ */
+function handleError(error, res, next, action) {
+  const response = priceListService.getErrorResponse(error);
+  if (response) {
+    return res.status(response.status).json(response.body);
+  }
+  console.error(`Error ${action}:`, error);
+  next(error);
+}
+
+/**
+ * GET /api/price-lists
+ * List prices, newest validity first
+ *
+ * Query params:
+ * - centroId: Filter by centro
+ * - productId: Prices for this product only (not category prices)
+ * - active: 'true' (default) | 'false' | 'all'
+ * - date: Only prices in effect on this date (YYYY-MM-DD)
+ */
+exports.list = async (req, res, next) => {
+  try {
+    const Precios = await getPreciosModel(req.companyId);
+    const { centroId, productId, active = 'true', date } = req.query;
+
+    const query = {};
+    if (centroId) query.centroId = centroId;
+    if (productId) query.productId = productId;
+    if (active !== 'all') query.active = active === 'true';
+    if (date) {
+      const day = new Date(date);
+      query.validFrom = { $lte: day };
+      query.$or = [{ validTo: null }, { validTo: { $gte: day } }];
+    }
+
+    const precios = await Precios.find(query)
+      .sort({ centroName: 1, validFrom: -1 })
+      .lean();
+
+    res.json(precios);
+  } catch (error) {
+    console.error('Error listing prices:', error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/price-lists
+ * Create a price
+ *
+ * Body params:
+ * - centroId: Centro (required)
+ * - productId: Product, or
+ * - category: Category, optionally with diameter and/or length (mm)
+ * - price: Unit price (required)
+ * - currency: Default USD
+ * - validFrom: First day (YYYY-MM-DD, required)
+ * - validTo: Last day, inclusive (optional)
+ * - notes: Optional
+ */
+exports.create = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const precio = await priceListService.createPrice(req.companyId, req.body, req.user);
+    res.status(201).json({ success: true, precio });
+  } catch (error) {
+    handleError(error, res, next, 'creating price');
+  }
+};
+
+/**
+ * PUT /api/price-lists/:id
+ * Update a price (same body params as create, all optional)
+ */
+exports.update = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const precio = await priceListService.updatePrice(req.companyId, req.params.id, req.body, req.user);
+    res.json({ success: true, precio });
+  } catch (error) {
+    handleError(error, res, next, 'updating price');
+  }
+};
+
+/**
+ * DELETE /api/price-lists/:id
+ * Deactivate a price. Consumptions already registered keep the price they were stamped with.
+ */
+exports.remove = async (req, res, next) => {
+  try {
+    const precio = await priceListService.deactivatePrice(req.companyId, req.params.id, req.user);
+    res.json({ success: true, precio });
+  } catch (error) {
+    handleError(error, res, next, 'deactivating price');
+  }
+};
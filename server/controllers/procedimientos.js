@@ -0,0 +1,152 @@
+/**
+ * Procedimientos Controller
+ * Implant registry: procedure records created with each consumption
+ * (see services/implantRegistryService.js)
+ */
+const { validationResult } = require('express-validator');
+const { getProcedimientosModel } = require('../getModel');
+const implantRegistryService = require('../services/implantRegistryService');
+
+/**
+ * Send a registry service error, or pass unexpected ones on
+ */
+function handleError(error, res, next, action) {
+  const response = implantRegistryService.getErrorResponse(error);
+  if (response) {
+    return res.status(response.status).json(response.body);
+  }
+  console.error(`Error ${action}:`, error);
+  next(error);
+}
+
+function toList(value) {
+  if (!value) return [];
+  return (Array.isArray(value) ? value : String(value).split(/[\n,;]+/))
+    .map((item) => item.trim())
+    .filter(Boolean);
+}
+
+/**
+ * GET /api/procedimientos
+ * List procedures, newest first
+ *
+ * Query params:
+ * - centroId: Filter by centro
+ * - doctorId: Filter by doctor
+ * - startDate / endDate: Procedure date range (YYYY-MM-DD)
+ * - limit: Default 100
+ */
+exports.list = async (req, res, next) => {
+  try {
+    const Procedimientos = await getProcedimientosModel(req.companyId);
+    const { centroId, doctorId, startDate, endDate, limit = 100 } = req.query;
+
+    const query = {};
+    if (centroId) query.centroId = centroId;
+    if (doctorId) query.doctorId = doctorId;
+    if (startDate || endDate) {
+      query.procedureDate = {};
+      if (startDate) query.procedureDate.$gte = new Date(startDate);
+      if (endDate) query.procedureDate.$lte = new Date(`${endDate}T23:59:59.999Z`);
+    }
+
+    const procedimientos = await Procedimientos.find(query)
+      .sort({ procedureDate: -1 })
+      .limit(Math.min(parseInt(limit, 10) || 100, 500));
+
+    res.json(procedimientos);
+  } catch (error) {
+    console.error('Error listing procedimientos:', error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/procedimientos/search
+ * Which patients received a lot, or which lots a patient received.
+ * Lot searches include consumptions registered before the registry (legacy: true).
+ *
+ * Query params (at least one):
+ * - lotNumber: One or more lot numbers (comma separated)
+ * - loteId: Lote ID
+ * - patientIdentifier: Patient identifier (cédula, record number)
+ * - doctorId: Procedures by this doctor
+ * - centroId: Narrow to a centro
+ */
+exports.search = async (req, res, next) => {
+  try {
+    const { lotNumber, loteId, patientIdentifier, doctorId, centroId } = req.query;
+
+    const procedimientos = await implantRegistryService.searchImplants(req.companyId, {
+      lotNumbers: toList(lotNumber),
+      loteIds: toList(loteId),
+      patientIdentifier,
+      doctorId,
+      centroId,
+    });
+
+    res.json(procedimientos);
+  } catch (error) {
+    handleError(error, res, next, 'searching implant registry');
+  }
+};
+
+/**
+ * GET /api/procedimientos/:id
+ * Get a procedure (the patient identifier is never included)
+ */
+exports.getOne = async (req, res, next) => {
+  try {
+    const Procedimientos = await getProcedimientosModel(req.companyId);
+    const procedimiento = await Procedimientos.findById(req.params.id);
+
+    if (!procedimiento) {
+      return res.status(404).json({ error: 'Procedimiento no encontrado' });
+    }
+
+    res.json(procedimiento);
+  } catch (error) {
+    console.error('Error getting procedimiento:', error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/procedimientos/:id
+ * Complete or correct the registry data of a procedure
+ *
+ * Body params (all optional):
+ * - doctorId: Managed doctor ('' to clear)
+ * - patientName
+ * - patientIdentifier: Replaces the stored identifier ('' to remove)
+ * - procedureType, notes
+ */
+exports.update = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const procedimiento = await implantRegistryService.updateProcedure(
+      req.companyId, req.params.id, req.body, req.user
+    );
+    res.json({ success: true, procedimiento });
+  } catch (error) {
+    handleError(error, res, next, 'updating procedimiento');
+  }
+};
+
+/**
+ * GET /api/procedimientos/:id/patient-identifier
+ * Decrypt the patient identifier (requires viewPatientData)
+ */
+exports.getPatientIdentifier = async (req, res, next) => {
+  try {
+    const identifier = await implantRegistryService.revealIdentifier(req.companyId, req.params.id);
+    console.log(`Patient identifier of procedimiento ${req.params.id} viewed by ${req.user.email || req.user._id}`);
+    res.json({ identifier });
+  } catch (error) {
+    handleError(error, res, next, 'revealing patient identifier');
+  }
+};
@@ -4,6 +4,7 @@
  */
 const { getProductosModel } = require('../getModel');
 const { validationResult } = require('express-validator');
+const { normalizeGtin } = require('../util/gs1');
 
 /**
  * GET /api/productos - List all products
@@ -76,6 +77,7 @@ exports.create = async (req, res, next) => {
     const Productos = await getProductosModel(req.companyId);
 
     const { name, code, missionCode, category, subcategory, specifications } = req.body;
+    const gtin = req.body.gtin ? normalizeGtin(req.body.gtin) : undefined;
 
     // Check if code already exists
     const existing = await Productos.findOne({ code });
@@ -83,10 +85,15 @@ exports.create = async (req, res, next) => {
       return res.status(400).json({ error: 'Código de producto ya existe' });
     }
 
+    if (gtin && await Productos.exists({ gtin })) {
+      return res.status(400).json({ error: 'GTIN ya asignado a otro producto' });
+    }
+
     const producto = new Productos({
       name,
       code,
       missionCode,
+      gtin,
       category,
       subcategory,
       specifications,
@@ -135,6 +142,8 @@ exports.update = async (req, res, next) => {
     }
 
     const { name, code, missionCode, category, subcategory, specifications, inventorySettings, active } = req.body;
+    // Empty string clears the GTIN
+    const gtin = req.body.gtin === undefined ? undefined : (req.body.gtin ? normalizeGtin(req.body.gtin) : null);
 
     // If changing code, check if new code exists
     if (code && code !== producto.code) {
@@ -144,10 +153,15 @@ exports.update = async (req, res, next) => {
       }
     }
 
+    if (gtin && gtin !== producto.gtin && await Productos.exists({ gtin, _id: { $ne: producto._id } })) {
+      return res.status(400).json({ error: 'GTIN ya asignado a otro producto' });
+    }
+
     // Update fields
     if (name !== undefined) producto.name = name;
     if (code !== undefined) producto.code = code;
     if (missionCode !== undefined) producto.missionCode = missionCode;
+    if (gtin !== undefined) producto.gtin = gtin || undefined;
     if (category !== undefined) producto.category = category;
     if (subcategory !== undefined) producto.subcategory = subcategory;
     if (specifications !== undefined) producto.specifications = specifications;
@@ -0,0 +1,140 @@
+/**
+ * Proveedores Controller
+ * Supplier master data (synced from SAP) and the supplier scorecard:
+ * lead times, on-time delivery and fill rate measured on pedidos.
+ */
+const { validationResult } = require('express-validator');
+const { getProveedoresModel } = require('../getModel');
+const supplierService = require('../services/supplierService');
+
+// Fields kept locally (the rest comes from SAP)
+const FIELDS = ['leadTimeCommitmentDays', 'notes'];
+
+/**
+ * Send service errors with their HTTP status, pass anything else on
+ */
+function handleError(error, res, next, action) {
+  const response = supplierService.getErrorResponse(error);
+  if (response) {
+    return res.status(response.status).json(response.body);
+  }
+  console.error(`Error ${action}:`, error);
+  next(error);
+}
+
+/**
+ * GET /api/proveedores
+ * List suppliers by name
+ *
+ * Query params:
+ * - active: 'true' (default) | 'false' | 'all'
+ */
+exports.list = async (req, res, next) => {
+  try {
+    const Proveedores = await getProveedoresModel(req.companyId);
+    const { active = 'true' } = req.query;
+
+    const query = {};
+    if (active !== 'all') query.active = active === 'true';
+
+    const proveedores = await Proveedores.find(query).sort({ name: 1 }).lean();
+    res.json(proveedores);
+  } catch (error) {
+    handleError(error, res, next, 'listing proveedores');
+  }
+};
+
+/**
+ * POST /api/proveedores/sync
+ * Sync suppliers from SAP Business Partners (cSupplier)
+ *
+ * Returns: { total, created, updated, deactivated }
+ */
+exports.sync = async (req, res, next) => {
+  try {
+    const result = await supplierService.syncFromSap(req.companyId);
+    res.json(result);
+  } catch (error) {
+    handleError(error, res, next, 'syncing proveedores');
+  }
+};
+
+/**
+ * GET /api/proveedores/scorecard
+ * Delivery performance per supplier over pedidos ordered in the window
+ *
+ * Query params:
+ * - months: Window in months (default 12)
+ * - includeInactive: 'true' to list inactive suppliers without pedidos
+ */
+exports.getScorecard = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const scorecard = await supplierService.getScorecard(req.companyId, {
+      months: req.query.months ? parseInt(req.query.months) : undefined,
+      includeInactive: req.query.includeInactive === 'true',
+    });
+    res.json(scorecard);
+  } catch (error) {
+    handleError(error, res, next, 'getting supplier scorecard');
+  }
+};
+
+/**
+ * GET /api/proveedores/:id
+ * Supplier with its stats and the pedidos measured
+ *
+ * Query params:
+ * - months: Window in months (default 12)
+ */
+exports.getById = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const proveedor = await supplierService.getSupplierDetail(req.companyId, req.params.id, {
+      months: req.query.months ? parseInt(req.query.months) : undefined,
+    });
+    res.json(proveedor);
+  } catch (error) {
+    handleError(error, res, next, 'getting proveedor');
+  }
+};
+
+/**
+ * PUT /api/proveedores/:id
+ * Update the locally kept fields
+ *
+ * Body params:
+ * - leadTimeCommitmentDays: Agreed delivery time in days (null to clear)
+ * - notes: Optional
+ */
+exports.update = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const Proveedores = await getProveedoresModel(req.companyId);
+    const proveedor = await Proveedores.findById(req.params.id);
+    if (!proveedor) {
+      return res.status(404).json({ error: 'Proveedor no encontrado' });
+    }
+
+    for (const field of FIELDS) {
+      if (req.body[field] !== undefined) proveedor[field] = req.body[field];
+    }
+    await proveedor.save();
+
+    res.json(proveedor);
+  } catch (error) {
+    handleError(error, res, next, 'updating proveedor');
+  }
+};
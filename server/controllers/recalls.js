@@ -0,0 +1,538 @@
+/**
+ * Recalls Controller
+ * Handle manufacturer recall notices (lot numbers and/or product codes)
+ *
+ * Opening a recall marks every matching lote as RECALLED, which blocks it in
+ * consignaciones and consumption. The pull-back plan tracks each unit held at
+ * the warehouse or a centro until it is returned or quarantined.
+ */
+const mongoose = require('mongoose');
+const {
+  getRecallsModel,
+  getLotesModel,
+  getProductosModel,
+  getLocacionesModel,
+} = require('../getModel');
+const { validationResult } = require('express-validator');
+const implantRegistryService = require('../services/implantRegistryService');
+
+/**
+ * Helper: Normalize a list of codes from body (array or comma/newline separated string)
+ * @param {string[]|string} value - Raw input
+ * @returns {string[]} Unique trimmed values
+ */
+function normalizeList(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(/[\n,;]+/);
+  return [...new Set(list.map(v => String(v).trim()).filter(Boolean))];
+}
+
+/**
+ * Helper: Units of a lote physically held at its location
+ * Warehouse lotes: available stock (consigned units already have a centro lote).
+ * Centro lotes: available + in transit from an EN_TRANSITO consignment.
+ * @param {Object} lote - Lote document
+ * @param {string} locationType - 'WAREHOUSE' or 'CENTRO'
+ */
+function getHeldQuantity(lote, locationType) {
+  if (locationType === 'CENTRO') {
+    return (lote.quantityAvailable || 0) + (lote.quantityConsigned || 0);
+  }
+  return lote.quantityAvailable || 0;
+}
+
+/**
+ * Helper: Find lotes matching a recall notice
+ * A lote matches if its lot number is listed OR its product code is listed.
+ * @param {string} companyId - Company identifier
+ * @param {string[]} lotNumbers - Lot numbers from the notice
+ * @param {string[]} productCodes - Product codes from the notice
+ * @returns {Object} { lotes, products, unmatchedLotNumbers, unmatchedProductCodes }
+ */
+async function findRecallMatches(companyId, lotNumbers, productCodes) {
+  const Lotes = await getLotesModel(companyId);
+  const Productos = await getProductosModel(companyId);
+
+  let products = [];
+  if (productCodes.length > 0) {
+    // code and legacyCode are Numbers: a non-numeric code can only be a sapItemCode
+    const numericCodes = productCodes.map(Number).filter(n => Number.isFinite(n));
+    products = await Productos.find({
+      $or: [
+        { code: { $in: numericCodes } },
+        { sapItemCode: { $in: productCodes } },
+        { legacyCode: { $in: numericCodes } },
+      ],
+    }).lean();
+  }
+
+  const or = [];
+  if (lotNumbers.length > 0) or.push({ lotNumber: { $in: lotNumbers } });
+  if (products.length > 0) or.push({ productId: { $in: products.map(p => p._id) } });
+
+  const lotes = or.length > 0 ? await Lotes.find({ $or: or }).lean() : [];
+
+  const matchedLotNumbers = new Set(lotes.map(l => l.lotNumber));
+  const matchedCodes = new Set();
+  products.forEach(p => {
+    [p.code, p.sapItemCode, p.legacyCode].filter(c => c != null && c !== '').forEach(c => matchedCodes.add(String(c)));
+  });
+
+  return {
+    lotes,
+    products,
+    unmatchedLotNumbers: lotNumbers.filter(n => !matchedLotNumbers.has(n)),
+    unmatchedProductCodes: productCodes.filter(c => !matchedCodes.has(c)),
+  };
+}
+
+/**
+ * Helper: Group lotes by location with held quantities
+ * @param {Object[]} lotes - Lote documents (productId/currentLocationId populated)
+ * @returns {Object[]} One entry per location holding units
+ */
+function buildExposureByLocation(lotes) {
+  const byLocation = new Map();
+
+  for (const lote of lotes) {
+    const location = lote.currentLocationId;
+    if (!location?._id) continue;
+
+    const held = getHeldQuantity(lote, location.type);
+    if (held <= 0) continue;
+
+    const key = location._id.toString();
+    if (!byLocation.has(key)) {
+      byLocation.set(key, {
+        location: { _id: location._id, name: location.name, type: location.type },
+        totalUnits: 0,
+        lotes: [],
+      });
+    }
+
+    const entry = byLocation.get(key);
+    entry.totalUnits += held;
+    entry.lotes.push({
+      loteId: lote._id,
+      lotNumber: lote.lotNumber,
+      product: lote.productId
+        ? { _id: lote.productId._id, name: lote.productId.name, code: lote.productId.code }
+        : null,
+      expiryDate: lote.expiryDate,
+      quantityAvailable: lote.quantityAvailable,
+      quantityInTransit: location.type === 'CENTRO' ? lote.quantityConsigned || 0 : 0,
+      quantityHeld: held,
+    });
+  }
+
+  // Warehouse first, then centros by units held
+  return [...byLocation.values()].sort((a, b) => {
+    if (a.location.type !== b.location.type) return a.location.type === 'WAREHOUSE' ? -1 : 1;
+    return b.totalUnits - a.totalUnits;
+  });
+}
+
+/**
+ * GET /api/recalls
+ * List recalls with optional status filter
+ */
+exports.list = async (req, res, next) => {
+  try {
+    const { status } = req.query;
+    const Recalls = await getRecallsModel(req.companyId);
+
+    const query = {};
+    if (status) query.status = status;
+
+    const recalls = await Recalls.find(query)
+      .select('-lotes')
+      .sort({ createdAt: -1 })
+      .limit(100);
+
+    res.json(recalls);
+  } catch (error) {
+    console.error('Error listing recalls:', error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/recalls/preview
+ * Preview which lotes and locations a recall notice would affect (no changes)
+ *
+ * Body: { lotNumbers: [String] | String, productCodes: [String] | String }
+ */
+exports.preview = async (req, res, next) => {
+  try {
+    const lotNumbers = normalizeList(req.body.lotNumbers);
+    const productCodes = normalizeList(req.body.productCodes);
+
+    if (lotNumbers.length === 0 && productCodes.length === 0) {
+      return res.status(400).json({ error: 'Debe indicar al menos un lote o código de producto' });
+    }
+
+    const { lotes, products, unmatchedLotNumbers, unmatchedProductCodes } =
+      await findRecallMatches(req.companyId, lotNumbers, productCodes);
+
+    await getProductosModel(req.companyId);
+    await getLocacionesModel(req.companyId);
+    const Lotes = await getLotesModel(req.companyId);
+    const populated = await Lotes.find({ _id: { $in: lotes.map(l => l._id) } })
+      .populate('productId', 'name code')
+      .populate('currentLocationId', 'name type')
+      .lean();
+
+    const locations = buildExposureByLocation(populated);
+
+    res.json({
+      matchedLotes: lotes.length,
+      matchedProducts: products.map(p => ({ _id: p._id, name: p.name, code: p.code })),
+      alreadyRecalled: lotes.filter(l => l.status === 'RECALLED').length,
+      quantityConsumed: lotes.reduce((sum, l) => sum + (l.quantityConsumed || 0), 0),
+      totalUnits: locations.reduce((sum, l) => sum + l.totalUnits, 0),
+      locations,
+      unmatchedLotNumbers,
+      unmatchedProductCodes,
+    });
+  } catch (error) {
+    console.error('Error previewing recall:', error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/recalls
+ * Open a recall: mark matching lotes RECALLED and build the pull-back plan
+ *
+ * Body: {
+ *   reference: String (notice number),
+ *   manufacturer: String (optional),
+ *   noticeDate: Date (optional, defaults to now),
+ *   reason: String (optional),
+ *   lotNumbers: [String] | String,
+ *   productCodes: [String] | String,
+ *   notes: String (optional)
+ * }
+ */
+exports.create = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  const session = await mongoose.startSession();
+
+  try {
+    const { reference, manufacturer, noticeDate, reason, notes } = req.body;
+    const lotNumbers = normalizeList(req.body.lotNumbers);
+    const productCodes = normalizeList(req.body.productCodes);
+
+    if (lotNumbers.length === 0 && productCodes.length === 0) {
+      return res.status(400).json({ error: 'Debe indicar al menos un lote o código de producto' });
+    }
+
+    const { lotes } = await findRecallMatches(req.companyId, lotNumbers, productCodes);
+
+    if (lotes.length === 0) {
+      return res.status(400).json({ error: 'Ningún lote coincide con el aviso de retiro' });
+    }
+
+    const Recalls = await getRecallsModel(req.companyId);
+    const Lotes = await getLotesModel(req.companyId);
+    const Locaciones = await getLocacionesModel(req.companyId);
+
+    const locationIds = [...new Set(lotes.map(l => l.currentLocationId.toString()))];
+    const locations = await Locaciones.find({ _id: { $in: locationIds } }).lean();
+    const locationMap = {};
+    locations.forEach(l => { locationMap[l._id.toString()] = l; });
+
+    const user = {
+      _id: req.user._id,
+      firstname: req.user.firstname,
+      lastname: req.user.lastname,
+    };
+
+    session.startTransaction();
+
+    const recall = new Recalls({
+      reference,
+      manufacturer,
+      noticeDate: noticeDate || new Date(),
+      reason,
+      status: 'ABIERTO',
+      criteria: { lotNumbers, productCodes },
+      lotes: lotes.map(lote => ({
+        loteId: lote._id,
+        productId: lote.productId,
+        lotNumber: lote.lotNumber,
+        locationId: lote.currentLocationId,
+        previousStatus: lote.status,
+        quantityConsumedAtRecall: lote.quantityConsumed || 0,
+      })),
+      units: [],
+      notes,
+      createdBy: { ...user, email: req.user.email },
+    });
+
+    for (const lote of lotes) {
+      const location = locationMap[lote.currentLocationId.toString()];
+      const locationType = location?.type || 'WAREHOUSE';
+      const held = getHeldQuantity(lote, locationType);
+
+      if (held > 0) {
+        recall.units.push({
+          loteId: lote._id,
+          productId: lote.productId,
+          lotNumber: lote.lotNumber,
+          locationId: lote.currentLocationId,
+          locationType,
+          quantity: held,
+          quantityInTransit: locationType === 'CENTRO' ? lote.quantityConsigned || 0 : 0,
+          status: 'PENDIENTE',
+        });
+      }
+    }
+
+    await recall.save({ session });
+
+    await Lotes.updateMany(
+      { _id: { $in: lotes.map(l => l._id) } },
+      {
+        $set: { status: 'RECALLED' },
+        $push: {
+          historia: {
+            fecha: new Date(),
+            user,
+            accion: 'RECALL',
+            detalles: `Retiro ${reference}${manufacturer ? ` (${manufacturer})` : ''} - Recall #${recall._id}`,
+          },
+        },
+      },
+      { session }
+    );
+
+    await session.commitTransaction();
+
+    res.status(201).json(recall);
+  } catch (error) {
+    if (session.inTransaction()) {
+      await session.abortTransaction();
+    }
+    console.error('Error creating recall:', error);
+    next(error);
+  } finally {
+    session.endSession();
+  }
+};
+
+/**
+ * GET /api/recalls/exposure
+ * Every location (warehouse and centros) currently holding RECALLED units
+ */
+exports.getExposure = async (req, res, next) => {
+  try {
+    await getProductosModel(req.companyId);
+    await getLocacionesModel(req.companyId);
+    const Lotes = await getLotesModel(req.companyId);
+
+    const lotes = await Lotes.find({ status: 'RECALLED' })
+      .populate('productId', 'name code')
+      .populate('currentLocationId', 'name type')
+      .lean();
+
+    const locations = buildExposureByLocation(lotes);
+
+    res.json({
+      totalUnits: locations.reduce((sum, l) => sum + l.totalUnits, 0),
+      locations,
+    });
+  } catch (error) {
+    console.error('Error getting recall exposure:', error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/recalls/:id
+ * Get recall with pull-back plan and current exposure by location
+ */
+exports.getOne = async (req, res, next) => {
+  try {
+    await getProductosModel(req.companyId);
+    await getLocacionesModel(req.companyId);
+    const Recalls = await getRecallsModel(req.companyId);
+    const Lotes = await getLotesModel(req.companyId);
+
+    const recall = await Recalls.findById(req.params.id)
+      .populate('units.productId', 'name code specifications')
+      .populate('units.locationId', 'name type');
+
+    if (!recall) {
+      return res.status(404).json({ error: 'Retiro no encontrado' });
+    }
+
+    const lotes = await Lotes.find({ _id: { $in: recall.lotes.map(l => l.loteId) } })
+      .populate('productId', 'name code')
+      .populate('currentLocationId', 'name type')
+      .lean();
+
+    res.json({
+      ...recall.toJSON(),
+      quantityConsumed: recall.lotes.reduce((sum, l) => sum + (l.quantityConsumedAtRecall || 0), 0),
+      currentExposure: buildExposureByLocation(lotes),
+    });
+  } catch (error) {
+    console.error('Error getting recall:', error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/recalls/:id/patients
+ * Procedures that implanted units of the recalled lotes, for patient follow-up.
+ * Patient identifiers are not included (see GET /api/procedimientos/:id/patient-identifier).
+ */
+exports.getPatients = async (req, res, next) => {
+  try {
+    const Recalls = await getRecallsModel(req.companyId);
+    const recall = await Recalls.findById(req.params.id).lean();
+
+    if (!recall) {
+      return res.status(404).json({ error: 'Retiro no encontrado' });
+    }
+    if (!recall.lotes.length) {
+      return res.json([]);
+    }
+
+    const procedimientos = await implantRegistryService.searchImplants(req.companyId, {
+      loteIds: recall.lotes.map(l => l.loteId),
+    });
+    res.json(procedimientos);
+  } catch (error) {
+    console.error('Error getting recall patients:', error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/recalls/:id/units/:unitId/resolve
+ * Record units of a plan line as returned to the warehouse or quarantined
+ *
+ * Body: { action: 'RETURNED' | 'QUARANTINED', quantity: Number, notes: String (optional) }
+ */
+exports.resolveUnit = async (req, res, next) => {
+  const errors = validationResult(req);
+  if (!errors.isEmpty()) {
+    return res.status(400).json({ errors: errors.array() });
+  }
+
+  try {
+    const { id, unitId } = req.params;
+    const { action, quantity, notes } = req.body;
+
+    const Recalls = await getRecallsModel(req.companyId);
+    const Lotes = await getLotesModel(req.companyId);
+
+    const recall = await Recalls.findById(id);
+    if (!recall) {
+      return res.status(404).json({ error: 'Retiro no encontrado' });
+    }
+
+    if (recall.status === 'CERRADO') {
+      return res.status(400).json({ error: 'El retiro ya está cerrado' });
+    }
+
+    const unit = recall.units.id(unitId);
+    if (!unit) {
+      return res.status(404).json({ error: 'Línea del plan no encontrada' });
+    }
+
+    const pending = unit.quantity - unit.quantityReturned - unit.quantityQuarantined;
+    if (quantity > pending) {
+      return res.status(400).json({
+        error: `Cantidad excede las unidades pendientes del lote ${unit.lotNumber}. Pendiente: ${pending}`,
+      });
+    }
+
+    const user = {
+      _id: req.user._id,
+      firstname: req.user.firstname,
+      lastname: req.user.lastname,
+    };
+
+    if (action === 'RETURNED') {
+      unit.quantityReturned += quantity;
+    } else {
+      unit.quantityQuarantined += quantity;
+    }
+
+    unit.actions.push({
+      fecha: new Date(),
+      action,
+      quantity,
+      notes,
+      user,
+    });
+    recall.updateUnitStatus(unit);
+
+    await recall.save();
+
+    await Lotes.findByIdAndUpdate(unit.loteId, {
+      $push: {
+        historia: {
+          fecha: new Date(),
+          user,
+          accion: action === 'RETURNED' ? 'RECALL_RETURNED' : 'RECALL_QUARANTINED',
+          detalles: `${quantity} unidad(es) - Retiro ${recall.reference}${notes ? ` - ${notes}` : ''}`,
+        },
+      },
+    });
+
+    res.json(recall);
+  } catch (error) {
+    console.error('Error resolving recall unit:', error);
+    next(error);
+  }
+};
+
+/**
+ * PUT /api/recalls/:id/close
+ * Close a recall once every unit in the plan is returned or quarantined
+ */
+exports.close = async (req, res, next) => {
+  try {
+    const Recalls = await getRecallsModel(req.companyId);
+
+    const recall = await Recalls.findById(req.params.id);
+    if (!recall) {
+      return res.status(404).json({ error: 'Retiro no encontrado' });
+    }
+
+    if (recall.status === 'CERRADO') {
+      return res.status(400).json({ error: 'El retiro ya está cerrado' });
+    }
+
+    if (recall.pendingUnits > 0) {
+      return res.status(400).json({
+        error: `Quedan ${recall.pendingUnits} unidad(es) pendientes de devolver o poner en cuarentena`,
+      });
+    }
+
+    recall.status = 'CERRADO';
+    recall.closedAt = new Date();
+    recall.closedBy = {
+      _id: req.user._id,
+      firstname: req.user.firstname,
+      lastname: req.user.lastname,
+      email: req.user.email,
+    };
+    if (req.body.notes) recall.notes = (recall.notes || '') + '\n' + req.body.notes;
+
+    await recall.save();
+
+    res.json(recall);
+  } catch (error) {
+    console.error('Error closing recall:', error);
+    next(error);
+  }
+};
@@ -4,6 +4,7 @@
  */
 const reconciliationService = require('../services/reconciliationService');
 const externalImportService = require('../services/externalImportService');
+const notificationService = require('../services/notificationService');
 
 /**
  * POST /api/reconciliation/run
@@ -36,9 +37,12 @@ exports.triggerRun = async (req, res, next) => {
       fromDate: fromDate ? new Date(fromDate) : null,
       toDate: toDate ? new Date(toDate) : null,
       triggeredBy: req.user,
-    }).catch((err) => {
-      console.error('Async reconciliation run failed:', err);
-    });
+    })
+      // The result reaches the user who started it in the app
+      .then((result) => notificationService.notifyReconciliationResult(req.companyId, result, { triggeredBy: req.user._id }))
+      .catch((err) => {
+        console.error('Async reconciliation run failed:', err);
+      });
 
     // Return immediately — frontend polls /status to detect completion
     res.status(202).json({
@@ -0,0 +1,159 @@
+/**
+ * SAP Outbox Controller
+ * Admin view of the SAP push queue, manual requeue, and the shared
+ * retry-sap handler used by consignaciones, consumption, devoluciones,
+ * goods receipts and traslados.
+ */
+const { getSapOutboxModel } = require('../getModel');
+const sapOutboxService = require('../services/sapOutboxService');
+
+/**
+ * GET /api/sap-outbox
+ * List queue entries with optional filters
+ */
+exports.list = async (req, res, next) => {
+  try {
+    const { status, documentType, limit = 50, page = 1 } = req.query;
+
+    const SapOutbox = await getSapOutboxModel(req.companyId);
+
+    const query = {};
+    if (status) query.status = status;
+    if (documentType) query.documentType = documentType;
+
+    const skip = (parseInt(page) - 1) * parseInt(limit);
+
+    const [entries, total] = await Promise.all([
+      SapOutbox.find(query)
+        .select('-attemptLog')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(parseInt(limit))
+        .lean(),
+      SapOutbox.countDocuments(query),
+    ]);
+
+    res.json({
+      entries,
+      pagination: {
+        total,
+        page: parseInt(page),
+        limit: parseInt(limit),
+        pages: Math.ceil(total / parseInt(limit)),
+      },
+    });
+  } catch (error) {
+    console.error('Error listing SAP outbox:', error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/sap-outbox/stats
+ * Entry counts by status
+ */
+exports.getStats = async (req, res, next) => {
+  try {
+    const stats = await sapOutboxService.getStats(req.companyId);
+    res.json(stats);
+  } catch (error) {
+    console.error('Error getting SAP outbox stats:', error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/sap-outbox/:id
+ * Get a single entry with its attempt history and payload
+ */
+exports.getOne = async (req, res, next) => {
+  try {
+    const SapOutbox = await getSapOutboxModel(req.companyId);
+    const entry = await SapOutbox.findById(req.params.id).lean();
+
+    if (!entry) {
+      return res.status(404).json({ error: 'Entrada de la cola SAP no encontrada' });
+    }
+
+    res.json(entry);
+  } catch (error) {
+    console.error('Error fetching SAP outbox entry:', error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/sap-outbox/:id/retry
+ * Requeue a pending or dead-letter entry and deliver it now
+ */
+exports.retry = async (req, res, next) => {
+  try {
+    const entry = await sapOutboxService.requeue(req.companyId, req.params.id, req.user);
+    const sapResult = await sapOutboxService.deliver(req.companyId, entry._id);
+
+    const SapOutbox = await getSapOutboxModel(req.companyId);
+    const updated = await SapOutbox.findById(entry._id).lean();
+
+    res.json({
+      success: !!sapResult?.success,
+      entry: updated,
+      sapResult,
+    });
+  } catch (error) {
+    const response = sapOutboxService.getErrorResponse(error);
+    if (response) {
+      return res.status(response.status).json(response.body);
+    }
+    console.error('Error retrying SAP outbox entry:', error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/sap-outbox/process
+ * Deliver every due entry now instead of waiting for the worker
+ */
+exports.processNow = async (req, res, next) => {
+  try {
+    const result = await sapOutboxService.processDue(req.companyId);
+    res.json(result);
+  } catch (error) {
+    console.error('Error processing SAP outbox:', error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/{consignaciones|consumption|devoluciones|goods-receipt|pedidos|traslados}/:id/retry-sap
+ * Retry the SAP push of a document through the outbox
+ * @param {string} sourceModel - 'consignaciones' | 'consumos' | 'devoluciones' | 'goodsreceipts' | 'pedidos' | 'traslados'
+ */
+exports.retryForSource = (sourceModel) => async (req, res, next) => {
+  try {
+    const { entry, sapResult } = await sapOutboxService.retrySource(
+      req.companyId,
+      sourceModel,
+      req.params.id,
+      req.user
+    );
+
+    res.json({
+      success: !!sapResult?.success,
+      error: sapResult?.success ? undefined : (sapResult?.error || entry.lastError),
+      sapResult,
+      outbox: {
+        _id: entry._id,
+        status: entry.status,
+        attempts: entry.attempts,
+        nextAttemptAt: entry.nextAttemptAt,
+      },
+    });
+  } catch (error) {
+    const response = sapOutboxService.getErrorResponse(error);
+    if (response) {
+      return res.status(response.status).json(response.body);
+    }
+    console.error('Error retrying SAP sync:', error);
+    next(error);
+  }
+};
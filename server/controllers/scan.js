@@ -0,0 +1,116 @@
+/**
+ * Scan Controller
+ * Resolves GS1 DataMatrix / UDI scans (camera or USB wedge) to product, lot
+ * and expiry, and checks them against the lotes at a location.
+ */
+const mongoose = require('mongoose');
+const {
+  getProductosModel,
+  getLotesModel,
+  getLocacionesModel,
+} = require('../getModel');
+const { parseGs1 } = require('../util/gs1');
+
+const toDay = (date) => new Date(date).toISOString().split('T')[0];
+
+/**
+ * POST /api/scan/resolve
+ * Parse a scanned code and look up its product (by GTIN) and lote
+ *
+ * Body params:
+ * - code: String - Raw scanner output
+ * - locationId: String (optional) - Validate the lot against this location.
+ *   At a CENTRO the lote must be there with units available; at the
+ *   warehouse a lot that does not exist yet is a new receipt.
+ *
+ * Response: { gs1, product, location, lote, valid, warnings }
+ */
+exports.resolve = async (req, res, next) => {
+  try {
+    const { code, locationId } = req.body;
+
+    let gs1;
+    try {
+      gs1 = parseGs1(code);
+    } catch (parseError) {
+      return res.status(400).json({ error: `Código GS1 inválido: ${parseError.message}` });
+    }
+    const { elements, ...scanned } = gs1;
+
+    if (locationId && !mongoose.Types.ObjectId.isValid(locationId)) {
+      return res.status(400).json({ error: 'locationId inválido' });
+    }
+
+    const Productos = await getProductosModel(req.companyId);
+    const product = await Productos.findOne({ gtin: scanned.gtin })
+      .select('name code sapItemCode gtin category active')
+      .lean();
+
+    if (!product) {
+      return res.status(404).json({
+        error: `No hay producto con GTIN ${scanned.gtin}. Asígnelo en Productos.`,
+        gs1: scanned,
+      });
+    }
+
+    const warnings = [];
+    if (!product.active) {
+      warnings.push('Producto inactivo');
+    }
+    if (!scanned.lotNumber) {
+      warnings.push('El código no incluye lote (10)');
+    }
+    if (scanned.expiryDate && scanned.expiryDate < new Date()) {
+      warnings.push(`Producto vencido (${toDay(scanned.expiryDate)})`);
+    }
+
+    let location = null;
+    let lote = null;
+    let valid = !!scanned.lotNumber;
+
+    if (locationId) {
+      const Locaciones = await getLocacionesModel(req.companyId);
+      location = await Locaciones.findById(locationId).select('name type').lean();
+      if (!location) {
+        return res.status(404).json({ error: 'Locación no encontrada' });
+      }
+
+      if (scanned.lotNumber) {
+        const Lotes = await getLotesModel(req.companyId);
+        lote = await Lotes.findOne({
+          productId: product._id,
+          lotNumber: scanned.lotNumber,
+          currentLocationId: locationId,
+        })
+          .select('lotNumber expiryDate quantityAvailable quantityConsigned status')
+          .lean();
+      }
+
+      if (lote) {
+        if (scanned.expiryDate && lote.expiryDate && toDay(lote.expiryDate) !== toDay(scanned.expiryDate)) {
+          warnings.push(
+            `Vencimiento escaneado ${toDay(scanned.expiryDate)} difiere del registrado ${toDay(lote.expiryDate)}`
+          );
+        }
+        if (lote.status === 'RECALLED') {
+          warnings.push('Lote en retiro del fabricante');
+        }
+      }
+
+      if (location.type === 'CENTRO' && scanned.lotNumber) {
+        if (!lote) {
+          warnings.push(`El lote ${scanned.lotNumber} no está en ${location.name}`);
+          valid = false;
+        } else if (lote.quantityAvailable <= 0) {
+          warnings.push(`El lote ${scanned.lotNumber} no tiene unidades disponibles en ${location.name}`);
+          valid = false;
+        }
+      }
+    }
+
+    res.json({ gs1: scanned, product, location, lote, valid, warnings });
+  } catch (error) {
+    console.error('Error resolving scan:', error);
+    next(error);
+  }
+};
@@ -0,0 +1,455 @@
+/**
+ * Traslados Controller
+ * Direct centro → centro transfers (e.g. one hospital runs short of a size)
+ *
+ * Both centros live as bins of the consignment warehouse, so the SAP
+ * StockTransfer moves stock bin-to-bin. It goes through the SAP outbox
+ * (see services/sapOutboxService.js).
+ */
+const mongoose = require('mongoose');
+const {
+  getTrasladosModel,
+  getLotesModel,
+  getProductosModel,
+  getLocacionesModel,
+  getInventarioModel,
+  getTransaccionesModel,
+} = require('../getModel');
+const { validationResult } = require('express-validator');
+const sapOutboxService = require('../services/sapOutboxService');
+
+/**
+ * Helper: Update inventario aggregation for a product at a location
+ * @param {string} companyId - Company ID
+ * @param {string} productId - Product ID
+ * @param {string} locationId - Location ID
+ * @param {Object} session - MongoDB session (optional, for transactions)
+ */
+async function updateInventario(companyId, productId, locationId, session = null) {
+  const Inventario = await getInventarioModel(companyId);
+  const Lotes = await getLotesModel(companyId);
+
+  // Aggregate all lotes for this product at this location
+  const query = Lotes.find({
+    productId,
+    currentLocationId: locationId,
+  });
+  const lotes = session ? await query.session(session) : await query;
+
+  const aggregated = lotes.reduce(
+    (acc, lote) => {
+      acc.quantityTotal += lote.quantityTotal || 0;
+      acc.quantityAvailable += lote.quantityAvailable || 0;
+      acc.quantityConsigned += lote.quantityConsigned || 0;
+      acc.quantityConsumed += lote.quantityConsumed || 0;
+      acc.quantityDamaged += lote.quantityDamaged || 0;
+      acc.quantityReturned += lote.quantityReturned || 0;
+      return acc;
+    },
+    {
+      quantityTotal: 0,
+      quantityAvailable: 0,
+      quantityConsigned: 0,
+      quantityConsumed: 0,
+      quantityDamaged: 0,
+      quantityReturned: 0,
+    }
+  );
+
+  // Update or create inventory record
+  const options = { upsert: true, new: true };
+  if (session) options.session = session;
+
+  await Inventario.findOneAndUpdate(
+    { productId, locationId },
+    {
+      $set: {
+        ...aggregated,
+        lastMovementDate: new Date(),
+        updatedAt: new Date(),
+      },
+    },
+    options
+  );
+}
+
+/**
+ * Helper: Can the whole lote record move to the destination?
+ * Only when every unit moves and the lote has no history tied to the source
+ * (consumed, damaged, returned or in-transit units).
+ * @param {Object} lote - Source lote
+ * @param {number} quantity - Quantity being moved
+ * @returns {boolean}
+ */
+function canRelocateLote(lote, quantity) {
+  return quantity === lote.quantityAvailable &&
+    lote.quantityTotal === lote.quantityAvailable &&
+    !lote.quantityConsigned &&
+    !lote.quantityConsumed &&
+    !lote.quantityDamaged &&
+    !lote.quantityReturned;
+}
+
+/**
+ * GET /api/traslados
+ * List transfers, optionally for one centro (as source or destination)
+ */
+exports.list = async (req, res, next) => {
+  try {
+    const { centroId, limit = 50 } = req.query;
+
+    const Traslados = await getTrasladosModel(req.companyId);
+    await getLocacionesModel(req.companyId);
+    await getProductosModel(req.companyId);
+
+    const query = {};
+    if (centroId) {
+      query.$or = [{ fromLocationId: centroId }, { toLocationId: centroId }];
+    }
+
+    const traslados = await Traslados.find(query)
+      .populate('fromLocationId', 'name')
+      .populate('toLocationId', 'name')
+      .populate('items.productId', 'name code sapItemCode')
+      .sort({ createdAt: -1 })
+      .limit(parseInt(limit))
+      .lean();
+
+    res.json(traslados);
+  } catch (error) {
+    console.error('Error listing traslados:', error);
+    next(error);
+  }
+};
+
+/**
+ * GET /api/traslados/:id
+ * Get a single transfer
+ */
+exports.getOne = async (req, res, next) => {
+  try {
+    const Traslados = await getTrasladosModel(req.companyId);
+    await getLocacionesModel(req.companyId);
+    await getProductosModel(req.companyId);
+
+    const traslado = await Traslados.findById(req.params.id)
+      .populate('fromLocationId', 'name')
+      .populate('toLocationId', 'name')
+      .populate('items.productId', 'name code sapItemCode')
+      .lean();
+
+    if (!traslado) {
+      return res.status(404).json({ error: 'Traslado no encontrado' });
+    }
+
+    res.json(traslado);
+  } catch (error) {
+    console.error('Error getting traslado:', error);
+    next(error);
+  }
+};
+
+/**
+ * POST /api/traslados
+ * Move lots from one centro to another
+ */
+exports.create = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+
+    const { fromLocationId, toLocationId, items, notes, docDate } = req.body;
+
+    // ============================================
+    // PHASE 1: VALIDATION (no saves)
+    // ============================================
+
+    // Validate DocDate if provided — prevent SAP datetime overflow
+    if (docDate) {
+      const docYear = new Date(docDate).getFullYear();
+      if (isNaN(docYear) || docYear < 2000 || docYear > new Date().getFullYear() + 1) {
+        return res.status(400).json({ error: `Fecha de contabilización inválida: "${docDate}". Verifique el año.` });
+      }
+    }
+
+    if (fromLocationId === toLocationId) {
+      return res.status(400).json({ error: 'El centro origen y destino deben ser diferentes' });
+    }
+
+    const Locaciones = await getLocacionesModel(req.companyId);
+    const fromLocation = await Locaciones.findById(fromLocationId).lean();
+    const toLocation = await Locaciones.findById(toLocationId).lean();
+
+    if (!fromLocation || !toLocation) {
+      return res.status(404).json({ error: 'Centro no encontrado' });
+    }
+
+    if (fromLocation.type !== 'CENTRO' || toLocation.type !== 'CENTRO') {
+      return res.status(400).json({ error: 'Origen y destino deben ser Centros' });
+    }
+
+    // Bin-to-bin transfer needs both bins configured
+    const sapEnabled = fromLocation.sapIntegration?.warehouseCode &&
+      toLocation.sapIntegration?.warehouseCode;
+
+    if (sapEnabled && (!fromLocation.sapIntegration.binAbsEntry || !toLocation.sapIntegration.binAbsEntry)) {
+      return res.status(400).json({
+        error: 'Ambos centros deben tener una ubicación (bin) SAP configurada. Configure la ubicación en Locaciones primero.',
+      });
+    }
+
+    const Lotes = await getLotesModel(req.companyId);
+    const Productos = await getProductosModel(req.companyId);
+
+    const processedItems = [];
+    const sapTransferItems = [];
+    const requestedByLote = {};
+
+    for (const item of items) {
+      const lote = await Lotes.findById(item.loteId).lean();
+      if (!lote) {
+        return res.status(404).json({ error: `Lote ${item.loteId} no encontrado` });
+      }
+
+      if (lote.currentLocationId.toString() !== fromLocationId) {
+        return res.status(400).json({ error: `El lote ${lote.lotNumber} no está en ${fromLocation.name}` });
+      }
+
+      if (lote.status === 'RECALLED') {
+        return res.status(400).json({ error: `El lote ${lote.lotNumber} está bajo retiro del fabricante y no puede trasladarse` });
+      }
+
+      // Same lote may appear twice in the request - validate the combined quantity
+      const loteKey = lote._id.toString();
+      requestedByLote[loteKey] = (requestedByLote[loteKey] || 0) + item.quantity;
+      if (lote.quantityAvailable < requestedByLote[loteKey]) {
+        return res.status(400).json({
+          error: `Cantidad insuficiente para lote ${lote.lotNumber}. Disponible: ${lote.quantityAvailable}, Solicitado: ${requestedByLote[loteKey]}`,
+        });
+      }
+
+      const product = await Productos.findById(lote.productId).lean();
+      if (!product) {
+        return res.status(404).json({ error: `Producto ${lote.productId} no encontrado` });
+      }
+
+      processedItems.push({ lote, product, quantity: item.quantity });
+
+      if (sapEnabled && product.sapItemCode) {
+        sapTransferItems.push({
+          itemCode: product.sapItemCode,
+          quantity: item.quantity,
+          batchNumber: lote.lotNumber,
+        });
+      }
+    }
+
+    // ============================================
+    // PHASE 2: LOCAL SAVES + SAP OUTBOX ENTRY (in transaction)
+    // ============================================
+
+    const queueSap = sapEnabled && sapTransferItems.length > 0;
+    let trasladoId = null;
+    let outboxEntry = null;
+
+    const session = await mongoose.startSession();
+    session.startTransaction();
+
+    try {
+      const Transacciones = await getTransaccionesModel(req.companyId);
+      const Traslados = await getTrasladosModel(req.companyId);
+      const historiaUser = {
+        _id: req.user._id,
+        firstname: req.user.firstname,
+        lastname: req.user.lastname,
+      };
+
+      const traslado = new Traslados({
+        fromLocationId,
+        toLocationId,
+        status: 'COMPLETADO',
+        items: [],
+        sapIntegration: {
+          pushed: false,
+          status: queueSap ? 'PENDING' : null,
+          docType: 'StockTransfers',
+        },
+        origin: 'APP',
+        notes,
+        createdBy: {
+          _id: req.user._id,
+          firstname: req.user.firstname,
+          lastname: req.user.lastname,
+          email: req.user.email,
+        },
+      });
+      const transactionIds = [];
+
+      for (const { lote, product, quantity } of processedItems) {
+        // Re-read inside the session: a lote listed twice has already changed
+        const sourceLote = await Lotes.findById(lote._id).session(session);
+        const destLote = await Lotes.findOne({
+          productId: product._id,
+          lotNumber: lote.lotNumber,
+          currentLocationId: toLocationId,
+        }).session(session);
+
+        let toLoteId;
+
+        if (!destLote && canRelocateLote(sourceLote, quantity)) {
+          // Whole lote moves: keep the record and change its location
+          sourceLote.currentLocationId = toLocationId;
+          sourceLote.historia.push({
+            fecha: new Date(),
+            user: historiaUser,
+            accion: 'Traslado entre centros',
+            detalles: `Cantidad: ${quantity}, Origen: ${fromLocation.name}, Destino: ${toLocation.name}`,
+          });
+          await sourceLote.save({ session });
+          toLoteId = sourceLote._id;
+        } else {
+          // Source: units leave this centro for good
+          sourceLote.quantityAvailable -= quantity;
+          sourceLote.quantityTotal -= quantity;
+          if (sourceLote.quantityAvailable === 0 && sourceLote.status === 'ACTIVE') {
+            sourceLote.status = 'DEPLETED';
+          }
+          sourceLote.historia.push({
+            fecha: new Date(),
+            user: historiaUser,
+            accion: 'Traslado salida',
+            detalles: `Cantidad: -${quantity}, Destino: ${toLocation.name}`,
+          });
+          await sourceLote.save({ session });
+
+          if (destLote) {
+            destLote.quantityTotal += quantity;
+            destLote.quantityAvailable += quantity;
+            if (destLote.status === 'DEPLETED') {
+              destLote.status = 'ACTIVE';
+            }
+            destLote.historia.push({
+              fecha: new Date(),
+              user: historiaUser,
+              accion: 'Traslado entrada',
+              detalles: `Cantidad: +${quantity}, Origen: ${fromLocation.name}`,
+            });
+            await destLote.save({ session });
+            toLoteId = destLote._id;
+          } else {
+            const newLote = new Lotes({
+              productId: product._id,
+              lotNumber: lote.lotNumber,
+              expiryDate: lote.expiryDate,
+              manufactureDate: lote.manufactureDate,
+              quantityTotal: quantity,
+              quantityAvailable: quantity,
+              currentLocationId: toLocationId,
+              status: 'ACTIVE',
+              receivedDate: new Date(),
+              supplier: lote.supplier,
+              unitCost: lote.unitCost,
+              createdBy: historiaUser,
+              historia: [{
+                fecha: new Date(),
+                user: historiaUser,
+                accion: 'Lote recibido por traslado',
+                detalles: `Cantidad: ${quantity}, Origen: ${fromLocation.name}`,
+              }],
+            });
+            await newLote.save({ session });
+            toLoteId = newLote._id;
+          }
+        }
+
+        traslado.items.push({
+          productId: product._id,
+          fromLoteId: lote._id,
+          toLoteId,
+          lotNumber: lote.lotNumber,
+          quantity,
+        });
+
+        const transaccion = new Transacciones({
+          type: 'TRANSFER',
+          productId: product._id,
+          lotId: toLoteId,
+          lotNumber: lote.lotNumber,
+          fromLocationId,
+          toLocationId,
+          quantity,
+          notes: `Traslado #${traslado._id} - ${fromLocation.name} → ${toLocation.name}`,
+          performedBy: {
+            _id: req.user._id,
+            firstname: req.user.firstname,
+            lastname: req.user.lastname,
+            email: req.user.email,
+          },
+          status: 'COMPLETED',
+        });
+        await transaccion.save({ session });
+        transactionIds.push(transaccion._id);
+      }
+
+      await traslado.save({ session });
+
+      // Update inventario for both centros
+      const productIds = [...new Set(processedItems.map(i => i.product._id.toString()))];
+      for (const productId of productIds) {
+        await updateInventario(req.companyId, productId, fromLocationId, session);
+        await updateInventario(req.companyId, productId, toLocationId, session);
+      }
+
+      // Queue the SAP StockTransfer with the local changes
+      if (queueSap) {
+        outboxEntry = await sapOutboxService.enqueue(req.companyId, {
+          documentType: 'StockTransfer',
+          sourceModel: 'traslados',
+          sourceId: traslado._id,
+          transactionIds,
+          payload: {
+            fromWarehouse: fromLocation.sapIntegration.warehouseCode,
+            fromBinAbsEntry: fromLocation.sapIntegration.binAbsEntry,
+            toWarehouse: toLocation.sapIntegration.warehouseCode,
+            toBinAbsEntry: toLocation.sapIntegration.binAbsEntry,
+            items: sapTransferItems,
+            comments: `Traslado Vasculares - ${fromLocation.name} → ${toLocation.name}`,
+            docDate: docDate || new Date().toISOString().split('T')[0],
+            cardCode: toLocation.sapIntegration.cardCode || undefined,
+          },
+          user: req.user,
+        }, session);
+      }
+
+      await session.commitTransaction();
+      trasladoId = traslado._id;
+    } catch (localError) {
+      // Nothing was sent to SAP - the push is only queued inside this transaction
+      await session.abortTransaction();
+      throw localError;
+    } finally {
+      session.endSession();
+    }
+
+    // ============================================
+    // PHASE 3: DELIVER TO SAP (outbox worker retries on failure)
+    // ============================================
+
+    const sapResult = await sapOutboxService.deliverAfterCommit(req.companyId, outboxEntry);
+
+    // Re-read so the response carries the SAP status written by the delivery
+    const Traslados = await getTrasladosModel(req.companyId);
+    const traslado = await Traslados.findById(trasladoId).lean();
+
+    res.status(201).json({
+      success: true,
+      traslado,
+      sapResult,
+    });
+  } catch (error) {
+    console.error('Error creating traslado:', error);
+    next(error);
+  }
+};
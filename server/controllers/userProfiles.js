@@ -5,6 +5,7 @@
 const { getUserProfilesModel, getLocalUsersModel } = require('../getModel');
 const encryptionService = require('../services/encryptionService');
 const sapService = require('../services/sapService');
+const notificationService = require('../services/notificationService');
 
 /**
  * GET /api/user-profiles/me
@@ -326,9 +327,15 @@ exports.updateRole = async (req, res, next) => {
       return res.status(400).json({ error: `Invalid role. Must be one of: ${validRoles.join(', ')}` });
     }
 
+    const previousRole = profile.role;
     profile.role = role;
     await profile.save();
 
+    if (previousRole !== role) {
+      // Not awaited: the notification never fails the change
+      notificationService.notifyRoleChanged(companyId, profile, previousRole, req.user);
+    }
+
     res.json(profile);
   } catch (error) {
     console.error('Error updating role:', error);
@@ -14,9 +14,26 @@ const goodsReceiptSchema = require('./models/goodsReceiptModel');
 const consumoSchema = require('./models/consumoModel');
 const externalSapDocumentSchema = require('./models/externalSapDocumentModel');
 const reconciliationRunSchema = require('./models/reconciliationRunModel');
+const inventoryCheckRunSchema = require('./models/inventoryCheckRunModel');
 const vascularesConfigSchema = require('./models/vascularesConfigModel');
 const pedidoSchema = require('./models/pedidoModel');
 const userProfileSchema = require('./models/userProfileModel');
+const recallSchema = require('./models/recallModel');
+const devolucionSchema = require('./models/devolucionModel');
+const ajusteSchema = require('./models/ajusteModel');
+const conteoSchema = require('./models/conteoModel');
+const trasladoSchema = require('./models/trasladoModel');
+const sapOutboxSchema = require('./models/sapOutboxModel');
+const revisionExtraccionSchema = require('./models/revisionExtraccionModel');
+const documentoSchema = require('./models/documentoModel');
+const tandaExtraccionSchema = require('./models/tandaExtraccionModel');
+const precioSchema = require('./models/precioModel');
+const medicoSchema = require('./models/medicoModel');
+const procedimientoSchema = require('./models/procedimientoModel');
+const stockLevelRunSchema = require('./models/stockLevelRunModel');
+const proveedorSchema = require('./models/proveedorModel');
+const notificationLogSchema = require('./models/notificationLogModel');
+const userNotificationSchema = require('./models/userNotificationModel');
 const usersSchema = require('./models/usersModel');
 const companySchema = require('./models/companyModel');
 
@@ -175,6 +192,16 @@ exports.getReconciliationRunsModel = async (companyId) => {
   return db.model('reconciliationruns');
 };
 
+/**
+ * Get InventoryCheckRuns model for a specific company
+ * Stored in: {companyId}_vasculares database
+ * Results of the Lote / Inventario / ledger invariant checks
+ */
+exports.getInventoryCheckRunsModel = async (companyId) => {
+  const db = await getVascularesDb(companyId, 'inventorycheckruns', inventoryCheckRunSchema);
+  return db.model('inventorycheckruns');
+};
+
 /**
  * Get VascularesConfig model for a specific company
  * Stored in: {companyId}_vasculares database
@@ -246,6 +273,166 @@ exports.getUserProfilesModel = async (companyId) => {
   return db.model('user_profiles');
 };
 
+/**
+ * Get Recalls model for a specific company
+ * Stored in: {companyId}_vasculares database
+ * Tracks manufacturer recall notices and the pull-back plan for affected lots
+ */
+exports.getRecallsModel = async (companyId) => {
+  const db = await getVascularesDb(companyId, 'recalls', recallSchema);
+  return db.model('recalls');
+};
+
+/**
+ * Get Devoluciones model for a specific company
+ * Stored in: {companyId}_vasculares database
+ * Tracks returns of stock from centros back to the warehouse
+ */
+exports.getDevolucionesModel = async (companyId) => {
+  const db = await getVascularesDb(companyId, 'devoluciones', devolucionSchema);
+  return db.model('devoluciones');
+};
+
+/**
+ * Get Ajustes model for a specific company
+ * Stored in: {companyId}_vasculares database
+ * Inventory adjustments (damaged, expired, lost, found, count corrections)
+ */
+exports.getAjustesModel = async (companyId) => {
+  const db = await getVascularesDb(companyId, 'ajustes', ajusteSchema);
+  return db.model('ajustes');
+};
+
+/**
+ * Get Conteos model for a specific company
+ * Stored in: {companyId}_vasculares database
+ * Physical cycle count sessions per location
+ */
+exports.getConteosModel = async (companyId) => {
+  const db = await getVascularesDb(companyId, 'conteos', conteoSchema);
+  return db.model('conteos');
+};
+
+/**
+ * Get Traslados model for a specific company
+ * Stored in: {companyId}_vasculares database
+ * Direct centro-to-centro transfers
+ */
+exports.getTrasladosModel = async (companyId) => {
+  const db = await getVascularesDb(companyId, 'traslados', trasladoSchema);
+  return db.model('traslados');
+};
+
+/**
+ * Get SAP Outbox model for a specific company
+ * Stored in: {companyId}_vasculares database
+ * Queue of pending SAP document pushes
+ */
+exports.getSapOutboxModel = async (companyId) => {
+  const db = await getVascularesDb(companyId, 'sapoutbox', sapOutboxSchema);
+  return db.model('sapoutbox');
+};
+
+/**
+ * Get Revisiones de Extraccion model for a specific company
+ * Stored in: {companyId}_vasculares database
+ * Low-confidence consumption extractions waiting for a second person
+ */
+exports.getRevisionesExtraccionModel = async (companyId) => {
+  const db = await getVascularesDb(companyId, 'revisionesextraccion', revisionExtraccionSchema);
+  return db.model('revisionesextraccion');
+};
+
+/**
+ * Get Documentos model for a specific company
+ * Stored in: {companyId}_vasculares database
+ * Uploaded packing lists and consumption forms (file content in the document store)
+ */
+exports.getDocumentosModel = async (companyId) => {
+  const db = await getVascularesDb(companyId, 'documentos', documentoSchema);
+  return db.model('documentos');
+};
+
+/**
+ * Get Tandas de Extraccion model for a specific company
+ * Stored in: {companyId}_vasculares database
+ * Batches of consumption forms extracted in the background, with their draft consumptions
+ */
+exports.getTandasExtraccionModel = async (companyId) => {
+  const db = await getVascularesDb(companyId, 'tandasextraccion', tandaExtraccionSchema);
+  return db.model('tandasextraccion');
+};
+
+/**
+ * Get Precios model for a specific company
+ * Stored in: {companyId}_vasculares database
+ * Negotiated prices per Centro (product, or category and size) with validity dates
+ */
+exports.getPreciosModel = async (companyId) => {
+  const db = await getVascularesDb(companyId, 'precios', precioSchema);
+  return db.model('precios');
+};
+
+/**
+ * Get Medicos model for a specific company
+ * Stored in: {companyId}_vasculares database
+ * Implanting doctors per centro
+ */
+exports.getMedicosModel = async (companyId) => {
+  const db = await getVascularesDb(companyId, 'medicos', medicoSchema);
+  return db.model('medicos');
+};
+
+/**
+ * Get Procedimientos model for a specific company
+ * Stored in: {companyId}_vasculares database
+ * Implant registry: patient, doctor and implanted lots per consumption
+ */
+exports.getProcedimientosModel = async (companyId) => {
+  const db = await getVascularesDb(companyId, 'procedimientos', procedimientoSchema);
+  return db.model('procedimientos');
+};
+
+/**
+ * Get StockLevelRuns model for a specific company
+ * Stored in: {companyId}_vasculares database
+ * Stock level calculator runs (preview, applied values and the values they replaced)
+ */
+exports.getStockLevelRunsModel = async (companyId) => {
+  const db = await getVascularesDb(companyId, 'stocklevelruns', stockLevelRunSchema);
+  return db.model('stocklevelruns');
+};
+
+/**
+ * Get Proveedores model for a specific company
+ * Stored in: {companyId}_vasculares database
+ * Suppliers synced from SAP Business Partners, with their delivery commitment
+ */
+exports.getProveedoresModel = async (companyId) => {
+  const db = await getVascularesDb(companyId, 'proveedores', proveedorSchema);
+  return db.model('proveedores');
+};
+
+/**
+ * Get NotificationLogs model for a specific company
+ * Stored in: {companyId}_vasculares database
+ * Email notifications sent, one per recipient
+ */
+exports.getNotificationLogsModel = async (companyId) => {
+  const db = await getVascularesDb(companyId, 'notificationlogs', notificationLogSchema);
+  return db.model('notificationlogs');
+};
+
+/**
+ * Get UserNotifications model for a specific company
+ * Stored in: {companyId}_vasculares database
+ * In-app notifications, one per user
+ */
+exports.getUserNotificationsModel = async (companyId) => {
+  const db = await getVascularesDb(companyId, 'usernotifications', userNotificationSchema);
+  return db.model('usernotifications');
+};
+
 // Export database helpers for advanced use cases
 exports.getVascularesDb = getVascularesDb;
 exports.getSharedDb = getSharedDb;
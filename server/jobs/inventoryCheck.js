@@ -0,0 +1,164 @@
+/**
+ * Inventory Check Job
+ * Verifies Lote / Inventario / ledger invariants and rebuilds the Inventario
+ * rows and lote statuses that drifted. Lote quantity mismatches are only
+ * reported (see services/inventoryCheckService.js).
+ *
+ * Schedule: Every day at 3:00 AM (configurable via INVENTORY_CHECK_CRON env var)
+ * Repairs by default; set INVENTORY_CHECK_REPAIR=false to only report.
+ *
+ * Usage:
+ *   // In server startup:
+ *   require('./jobs/inventoryCheck').start();
+ *
+ * Or run manually:
+ *   node jobs/inventoryCheck.js --run-now --company-id=<companyId> [--report-only]
+ */
+const cron = require('node-cron');
+const inventoryCheckService = require('../services/inventoryCheckService');
+const { getCompanyModel } = require('../getModel');
+
+// Default schedule: 3:00 AM every day (after the 2:00 AM SAP reconciliation)
+const DEFAULT_CRON_SCHEDULE = '0 3 * * *';
+const CRON_SCHEDULE = process.env.INVENTORY_CHECK_CRON || DEFAULT_CRON_SCHEDULE;
+const REPAIR = process.env.INVENTORY_CHECK_REPAIR !== 'false';
+
+let scheduledTask = null;
+
+/**
+ * Run the check for one company
+ */
+async function runForCompany(companyId, { repair = REPAIR } = {}) {
+  if (await inventoryCheckService.isRunInProgress(companyId)) {
+    console.log(`[InventoryCheck] Skipping company ${companyId} - a run is already in progress`);
+    return { status: 'SKIPPED' };
+  }
+
+  const run = await inventoryCheckService.runInventoryCheck(companyId, {
+    runType: 'NIGHTLY',
+    repair,
+  });
+
+  const byType = Object.entries(run.stats?.byType || {}).filter(([, count]) => count > 0);
+  byType.forEach(([type, count]) => console.log(`[InventoryCheck]   ${type}: ${count}`));
+
+  return run;
+}
+
+/**
+ * Run the check for all companies
+ * If COMPANY_ID env var is set, only runs for that company (single-tenant mode)
+ */
+async function runForAllCompanies(options = {}) {
+  console.log('[InventoryCheck] Starting inventory check run...');
+
+  let companies;
+  if (process.env.COMPANY_ID) {
+    companies = [{ _id: process.env.COMPANY_ID }];
+  } else {
+    const Company = await getCompanyModel();
+    companies = await Company.find({ isActive: { $ne: false } }).lean();
+  }
+
+  const results = [];
+
+  for (const company of companies) {
+    try {
+      const run = await runForCompany(company._id.toString(), options);
+      results.push({
+        companyId: company._id,
+        status: run.status,
+        mismatchesFound: run.stats?.mismatchesFound || 0,
+        repaired: run.stats?.repaired || 0,
+      });
+    } catch (companyError) {
+      console.error(`[InventoryCheck] Error for company ${company._id}:`, companyError.message);
+      results.push({
+        companyId: company._id,
+        status: 'ERROR',
+        error: companyError.message,
+      });
+    }
+  }
+
+  console.log('[InventoryCheck] Completed inventory check run');
+  return results;
+}
+
+/**
+ * Start the scheduled job
+ */
+function start() {
+  if (scheduledTask) {
+    console.log('[InventoryCheck] Job already scheduled');
+    return;
+  }
+
+  console.log(`[InventoryCheck] Scheduling job with cron: ${CRON_SCHEDULE} (repair: ${REPAIR})`);
+
+  scheduledTask = cron.schedule(CRON_SCHEDULE, async () => {
+    try {
+      await runForAllCompanies();
+    } catch (error) {
+      console.error('[InventoryCheck] Job failed:', error);
+    }
+  }, {
+    timezone: process.env.TZ || 'America/Lima',
+  });
+}
+
+/**
+ * Stop the scheduled job
+ */
+function stop() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+    console.log('[InventoryCheck] Job stopped');
+  }
+}
+
+/**
+ * Check if job is running
+ */
+function isRunning() {
+  return scheduledTask !== null;
+}
+
+module.exports = {
+  start,
+  stop,
+  isRunning,
+  runForAllCompanies,
+  runForCompany,
+};
+
+// CLI mode: run immediately if --run-now flag is passed
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--run-now')) {
+    const companyIdArg = args.find(a => a.startsWith('--company-id='));
+    const companyId = companyIdArg ? companyIdArg.split('=')[1] : null;
+    const options = { repair: args.includes('--report-only') ? false : REPAIR };
+
+    const { mongoDb } = require('../connection');
+
+    mongoDb.then(async () => {
+      try {
+        if (companyId) {
+          await runForCompany(companyId, options);
+        } else {
+          await runForAllCompanies(options);
+        }
+        process.exit(0);
+      } catch (error) {
+        console.error('[InventoryCheck] Manual run failed:', error);
+        process.exit(1);
+      }
+    });
+  } else {
+    console.log('Usage: node jobs/inventoryCheck.js --run-now [--company-id=<id>] [--report-only]');
+    process.exit(0);
+  }
+}
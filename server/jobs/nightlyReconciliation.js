@@ -1,6 +1,7 @@
 /**
  * Nightly Reconciliation Job
- * Runs document reconciliation against SAP to detect external changes.
+ * Runs document reconciliation against SAP to detect external changes, and
+ * notifies the SAP queue managers when it finds any or fails.
  *
  * Schedule: Every day at 2:00 AM (configurable via RECONCILIATION_CRON env var)
  *
@@ -13,6 +14,7 @@
  */
 const cron = require('node-cron');
 const reconciliationService = require('../services/reconciliationService');
+const notificationService = require('../services/notificationService');
 const { getCompanyModel } = require('../getModel');
 
 // Default schedule: 2:00 AM every day
@@ -52,6 +54,7 @@ async function runForAllCompanies() {
         const result = await reconciliationService.runReconciliation(company._id.toString(), {
           runType: 'NIGHTLY',
         });
+        await notificationService.notifyReconciliationResult(company._id.toString(), result);
 
         results.push({
           companyId: company._id,
@@ -90,6 +93,7 @@ async function runForCompany(companyId) {
   const result = await reconciliationService.runReconciliation(companyId, {
     runType: 'NIGHTLY',
   });
+  await notificationService.notifyReconciliationResult(companyId, result);
 
   console.log(`[NightlyReconciliation] Completed: ${result.status}`);
   console.log(`[NightlyReconciliation] Documents checked: ${result.stats?.totalDocumentsChecked || 0}`);
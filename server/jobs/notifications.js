@@ -0,0 +1,146 @@
+/**
+ * Notifications Job
+ * Daily email checks: consignments left in transit, lots expiring at
+ * centros, and stock below target (see services/notificationService.js).
+ *
+ * Schedule: Every day at 7:00 AM (configurable via NOTIFICATIONS_CRON env var)
+ *
+ * Usage:
+ *   // In server startup:
+ *   require('./jobs/notifications').start();
+ *
+ * Or run manually:
+ *   node jobs/notifications.js --run-now --company-id=<companyId>
+ */
+const cron = require('node-cron');
+const notificationService = require('../services/notificationService');
+const { getCompanyModel } = require('../getModel');
+
+// Default schedule: 7:00 AM every day, before the warehouse starts dispatching
+const DEFAULT_CRON_SCHEDULE = '0 7 * * *';
+const CRON_SCHEDULE = process.env.NOTIFICATIONS_CRON || DEFAULT_CRON_SCHEDULE;
+
+let scheduledTask = null;
+
+/**
+ * Run the checks for one company
+ */
+async function runForCompany(companyId) {
+  const results = await notificationService.runDailyChecks(companyId);
+  console.log(`[Notifications] Company ${companyId}: ${JSON.stringify(results)}`);
+  return results;
+}
+
+/**
+ * Run the checks for all companies
+ * If COMPANY_ID env var is set, only runs for that company (single-tenant mode)
+ */
+async function runForAllCompanies() {
+  console.log('[Notifications] Starting daily notification checks...');
+
+  let companies;
+  if (process.env.COMPANY_ID) {
+    companies = [{ _id: process.env.COMPANY_ID }];
+  } else {
+    const Company = await getCompanyModel();
+    companies = await Company.find({ isActive: { $ne: false } }).lean();
+  }
+
+  const results = [];
+
+  for (const company of companies) {
+    try {
+      results.push({
+        companyId: company._id,
+        ...(await runForCompany(company._id.toString())),
+      });
+    } catch (companyError) {
+      console.error(`[Notifications] Error for company ${company._id}:`, companyError.message);
+      results.push({
+        companyId: company._id,
+        status: 'ERROR',
+        error: companyError.message,
+      });
+    }
+  }
+
+  console.log('[Notifications] Completed daily notification checks');
+  return results;
+}
+
+/**
+ * Start the scheduled job
+ */
+function start() {
+  if (scheduledTask) {
+    console.log('[Notifications] Job already scheduled');
+    return;
+  }
+
+  console.log(`[Notifications] Scheduling job with cron: ${CRON_SCHEDULE} (transport: ${notificationService.getTransport().name})`);
+
+  scheduledTask = cron.schedule(CRON_SCHEDULE, async () => {
+    try {
+      await runForAllCompanies();
+    } catch (error) {
+      console.error('[Notifications] Job failed:', error);
+    }
+  }, {
+    timezone: process.env.TZ || 'America/Lima',
+  });
+}
+
+/**
+ * Stop the scheduled job
+ */
+function stop() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+    console.log('[Notifications] Job stopped');
+  }
+}
+
+/**
+ * Check if job is running
+ */
+function isRunning() {
+  return scheduledTask !== null;
+}
+
+module.exports = {
+  start,
+  stop,
+  isRunning,
+  runForAllCompanies,
+  runForCompany,
+};
+
+// CLI mode: run immediately if --run-now flag is passed
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--run-now')) {
+    const companyIdArg = args.find(a => a.startsWith('--company-id='));
+    const companyId = companyIdArg ? companyIdArg.split('=')[1] : null;
+
+    const { mongoDb } = require('../connection');
+
+    mongoDb.then(async () => {
+      try {
+        if (companyId) {
+          await runForCompany(companyId);
+        } else {
+          await runForAllCompanies();
+        }
+        process.exit(0);
+      } catch (error) {
+        console.error('[Notifications] Manual run failed:', error);
+        process.exit(1);
+      }
+    });
+  } else {
+    console.log('Usage: node jobs/notifications.js --run-now [--company-id=<id>]');
+    process.exit(0);
+  }
+}
@@ -0,0 +1,154 @@
+/**
+ * SAP Outbox Worker
+ * Delivers queued SAP document pushes that failed or were never attempted
+ * (see services/sapOutboxService.js).
+ *
+ * Schedule: Every minute (configurable via SAP_OUTBOX_CRON env var).
+ * Each entry waits for its own backoff (nextAttemptAt), so a tick only
+ * sends entries that are due.
+ *
+ * Usage:
+ *   // In server startup:
+ *   require('./jobs/sapOutboxWorker').start();
+ *
+ * Or run manually:
+ *   node jobs/sapOutboxWorker.js --run-now --company-id=<companyId>
+ */
+const cron = require('node-cron');
+const sapOutboxService = require('../services/sapOutboxService');
+const { getCompanyModel } = require('../getModel');
+
+// Default schedule: every minute
+const DEFAULT_CRON_SCHEDULE = '* * * * *';
+const CRON_SCHEDULE = process.env.SAP_OUTBOX_CRON || DEFAULT_CRON_SCHEDULE;
+
+let scheduledTask = null;
+// A tick can outlast the schedule interval while SAP is slow
+let tickInProgress = false;
+
+/**
+ * Process due entries for all companies
+ * If COMPANY_ID env var is set, only runs for that company (single-tenant mode)
+ */
+async function runForAllCompanies() {
+  let companies;
+
+  // Single-tenant mode: only run for configured company
+  if (process.env.COMPANY_ID) {
+    companies = [{ _id: process.env.COMPANY_ID }];
+  } else {
+    // Multi-tenant mode: get all active companies
+    const Company = await getCompanyModel();
+    companies = await Company.find({ isActive: { $ne: false } }).lean();
+  }
+
+  const results = [];
+
+  for (const company of companies) {
+    try {
+      const result = await sapOutboxService.processDue(company._id.toString());
+      results.push({ companyId: company._id, ...result });
+
+      if (result.processed > 0 || result.released > 0) {
+        console.log(`[SapOutboxWorker] Company ${company._id}: ${result.sent} sent, ${result.failed} failed, ${result.released} released`);
+      }
+    } catch (companyError) {
+      console.error(`[SapOutboxWorker] Error for company ${company._id}:`, companyError.message);
+      results.push({
+        companyId: company._id,
+        status: 'ERROR',
+        error: companyError.message,
+      });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Start the scheduled job
+ */
+function start() {
+  if (scheduledTask) {
+    console.log('[SapOutboxWorker] Job already scheduled');
+    return;
+  }
+
+  console.log(`[SapOutboxWorker] Scheduling job with cron: ${CRON_SCHEDULE}`);
+
+  scheduledTask = cron.schedule(CRON_SCHEDULE, async () => {
+    if (tickInProgress) return;
+    tickInProgress = true;
+    try {
+      await runForAllCompanies();
+    } catch (error) {
+      console.error('[SapOutboxWorker] Job failed:', error);
+    } finally {
+      tickInProgress = false;
+    }
+  }, {
+    timezone: process.env.TZ || 'America/Lima',
+  });
+
+  console.log('[SapOutboxWorker] Job scheduled successfully');
+}
+
+/**
+ * Stop the scheduled job
+ */
+function stop() {
+  if (scheduledTask) {
+    scheduledTask.stop();
+    scheduledTask = null;
+    console.log('[SapOutboxWorker] Job stopped');
+  }
+}
+
+/**
+ * Check if job is running
+ */
+function isRunning() {
+  return scheduledTask !== null;
+}
+
+// Export for programmatic use
+module.exports = {
+  start,
+  stop,
+  isRunning,
+  runForAllCompanies,
+};
+
+// CLI mode: run immediately if --run-now flag is passed
+if (require.main === module) {
+  const args = process.argv.slice(2);
+
+  if (args.includes('--run-now')) {
+    const companyIdArg = args.find(a => a.startsWith('--company-id='));
+    const companyId = companyIdArg ? companyIdArg.split('=')[1] : null;
+
+    // Need to initialize MongoDB connection
+    require('../connection');
+
+    // Wait for connection
+    setTimeout(async () => {
+      try {
+        const result = companyId
+          ? await sapOutboxService.processDue(companyId, { limit: 1000 })
+          : await runForAllCompanies();
+        console.log('[SapOutboxWorker] Manual run completed:', JSON.stringify(result));
+        process.exit(0);
+      } catch (error) {
+        console.error('[SapOutboxWorker] Manual run failed:', error);
+        process.exit(1);
+      }
+    }, 2000);
+  } else {
+    console.log('Usage: node sapOutboxWorker.js --run-now [--company-id=<id>]');
+    console.log('');
+    console.log('Options:');
+    console.log('  --run-now                Deliver due outbox entries immediately');
+    console.log('  --company-id=<id>        Run for specific company (default: all companies)');
+    process.exit(0);
+  }
+}
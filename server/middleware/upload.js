@@ -1,6 +1,6 @@
 /**
  * Multer configuration for file uploads
- * Handles packing list images and PDFs
+ * Handles packing list and consumption form images and PDFs
  */
 const multer = require('multer');
 const path = require('path');
@@ -25,20 +25,40 @@ const fileFilter = (req, file, cb) => {
 // Memory storage (files stored in buffer, not disk)
 const storage = multer.memoryStorage();
 
+const MAX_FILES = 10;
+// A day's consumption forms from every hospital a rep visited
+const MAX_BATCH_FILES = 60;
+
 // Configure multer
-const upload = multer({
+const createUpload = (maxFiles) => multer({
   storage,
   fileFilter,
   limits: {
     fileSize: 10 * 1024 * 1024, // 10MB max per file
-    files: 10 // Max 10 files per request
+    files: maxFiles
   }
 });
 
+const upload = createUpload(MAX_FILES);
+
+/**
+ * Multiple files in the "files" field, remembering the limit for the error message
+ */
+const filesUpload = (maxFiles) => {
+  const middleware = createUpload(maxFiles).array('files', maxFiles);
+  return (req, res, next) => {
+    req.uploadMaxFiles = maxFiles;
+    middleware(req, res, next);
+  };
+};
+
 // Export configured multer instance
 module.exports = {
   // For packing list extraction - multiple files
-  packingListUpload: upload.array('files', 10),
+  packingListUpload: filesUpload(MAX_FILES),
+
+  // For consumption batch extraction - one file per form
+  consumptionBatchUpload: filesUpload(MAX_BATCH_FILES),
 
   // Single file upload (for future use)
   singleUpload: upload.single('file'),
@@ -50,7 +70,7 @@ module.exports = {
         return res.status(400).json({ error: 'File too large. Maximum size is 10MB per file.' });
       }
       if (err.code === 'LIMIT_FILE_COUNT') {
-        return res.status(400).json({ error: 'Too many files. Maximum is 10 files per upload.' });
+        return res.status(400).json({ error: `Too many files. Maximum is ${req.uploadMaxFiles || MAX_FILES} files per upload.` });
       }
       return res.status(400).json({ error: `Upload error: ${err.message}` });
     }
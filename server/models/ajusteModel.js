@@ -0,0 +1,166 @@
+/**
+ * Ajuste (Inventory Adjustment) Schema
+ * Records damaged, expired, lost, found and count-correction quantities
+ * for a single lot at a single location.
+ * Large adjustments wait in PENDIENTE until an admin approves them.
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+// Reason codes match transaccionModel.adjustment.reason
+const REASON_DIRECTION = {
+  DAMAGED: 'OUT',
+  EXPIRED: 'OUT',
+  LOST: 'OUT',
+  FOUND: 'IN',
+  CORRECTION: null, // Either direction, chosen by the user
+};
+
+const ajusteSchema = new Schema({
+  locationId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'locaciones',
+    required: true,
+  },
+  loteId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'lotes',
+    required: true,
+  },
+  productId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'productos',
+    required: true,
+  },
+  lotNumber: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+
+  reason: {
+    type: String,
+    required: true,
+    enum: Object.keys(REASON_DIRECTION),
+  },
+  direction: {
+    type: String,
+    required: true,
+    enum: ['IN', 'OUT'],
+    description: 'OUT = Goods Issue (removes stock), IN = Goods Receipt (adds stock)',
+  },
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+  notes: {
+    type: String,
+  },
+
+  // Workflow (APLICANDO: claimed by an approval that is being applied)
+  status: {
+    type: String,
+    required: true,
+    enum: ['PENDIENTE', 'APLICANDO', 'APLICADO', 'RECHAZADO'],
+    default: 'PENDIENTE',
+  },
+  requiresApproval: {
+    type: Boolean,
+    default: false,
+  },
+  approvalThreshold: {
+    type: Number,
+    description: 'Threshold in effect when the adjustment was created',
+  },
+
+  // SAP Integration (standardized field names)
+  sapIntegration: {
+    pushed: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: [null, 'PENDING', 'SYNCED', 'FAILED', 'RETRYING'],  // null = no SAP document
+      default: null,
+      description: 'SAP sync status',
+    },
+    docEntry: {
+      type: Number,
+      description: 'SAP Document Entry number',
+    },
+    docNum: {
+      type: Number,
+      description: 'SAP Document Number',
+    },
+    docType: {
+      type: String,
+      enum: [null, 'InventoryGenExits', 'InventoryGenEntries'],
+      default: null,
+    },
+    syncDate: {
+      type: Date,
+      description: 'When SAP sync was last attempted',
+    },
+    error: {
+      type: String,
+      description: 'Error message if SAP sync failed',
+    },
+  },
+
+  // Cycle count that produced this adjustment (count corrections only)
+  conteoId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'conteos',
+  },
+
+  // Audit trail transaction created when the adjustment is applied
+  transaccionId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'transacciones',
+  },
+
+  createdBy: {
+    _id: mongoose.Types.ObjectId,
+    firstname: String,
+    lastname: String,
+    email: String,
+  },
+  appliedAt: {
+    type: Date,
+    default: null,
+  },
+  approvedBy: {
+    _id: mongoose.Types.ObjectId,
+    firstname: String,
+    lastname: String,
+    email: String,
+  },
+  rejectedAt: {
+    type: Date,
+    default: null,
+  },
+  rejectedBy: {
+    _id: mongoose.Types.ObjectId,
+    firstname: String,
+    lastname: String,
+    email: String,
+  },
+  rejectionReason: {
+    type: String,
+  },
+}, { timestamps: true });
+
+// Indexes
+ajusteSchema.index({ status: 1, createdAt: -1 });
+ajusteSchema.index({ locationId: 1, createdAt: -1 });
+ajusteSchema.index({ loteId: 1 });
+ajusteSchema.index({ createdAt: -1 });
+
+// Static: direction implied by a reason code (null = user chooses)
+ajusteSchema.statics.getDirectionForReason = function(reason) {
+  return REASON_DIRECTION[reason];
+};
+
+module.exports = ajusteSchema;
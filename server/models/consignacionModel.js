@@ -91,16 +91,6 @@ const consignacionSchema = new Schema({
       type: String,
       description: 'Error message if SAP sync failed',
     },
-    retryCount: {
-      type: Number,
-      default: 0,
-      description: 'Number of retry attempts',
-    },
-    retrying: {
-      type: Boolean,
-      default: false,
-      description: 'Lock flag to prevent concurrent retries',
-    },
   },
 
   // Creation tracking
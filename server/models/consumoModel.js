@@ -64,9 +64,19 @@ const consumoSchema = new Schema({
   // Optional patient/procedure info
   patientName: String,
   doctorName: String,
+  doctorId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'medicos',
+  },
   procedureDate: Date,
   procedureType: String,
 
+  // Implant registry record (see procedimientoModel.js)
+  procedimientoId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'procedimientos',
+  },
+
   // SAP Integration (standardized field names)
   sapIntegration: {
     pushed: {
@@ -93,18 +103,32 @@ const consumoSchema = new Schema({
       type: String,
       description: 'Error message if SAP sync failed',
     },
-    retryCount: {
+    attachmentEntry: {
       type: Number,
-      default: 0,
-      description: 'Number of retry attempts',
+      description: 'SAP Attachments2 entry with the source documents',
     },
-    retrying: {
-      type: Boolean,
-      default: false,
-      description: 'Lock flag to prevent concurrent retries',
+    attachedAt: {
+      type: Date,
+      description: 'When the attachment was linked to the SAP document',
+    },
+    attachmentError: {
+      type: String,
+      description: 'Error message if attaching the source documents failed',
     },
   },
 
+  // Source documents (packing list / consumption form) in the document store
+  documents: [{
+    _id: false,
+    documentId: {
+      type: mongoose.Types.ObjectId,
+      ref: 'documentos',
+    },
+    filename: String,
+    mimetype: String,
+    size: Number,
+  }],
+
   // Totals
   totalItems: {
     type: Number,
@@ -114,9 +138,16 @@ const consumoSchema = new Schema({
     type: Number,
     default: 0,
   },
+  // Priced items only, one total per currency (price lists may differ)
+  totalsByCurrency: [{
+    _id: false,
+    currency: String,
+    amount: Number,
+  }],
   totalValue: {
     type: Number,
     default: 0,
+    description: 'Total when every priced item shares one currency; null when they differ',
   },
 
   // Metadata
@@ -156,13 +187,21 @@ consumoSchema.index({ 'sapIntegration.docNum': 1 }, { sparse: true });
 consumoSchema.index({ 'sapIntegration.pushed': 1 });
 consumoSchema.index({ status: 1 });
 consumoSchema.index({ origin: 1 });
+consumoSchema.index({ 'items.lotNumber': 1 });
 
 // Pre-save middleware to calculate totals
 consumoSchema.pre('save', function(next) {
   if (this.items && this.items.length > 0) {
     this.totalItems = this.items.length;
     this.totalQuantity = this.items.reduce((sum, item) => sum + item.quantity, 0);
-    this.totalValue = this.items.reduce((sum, item) => sum + (item.price || 0) * item.quantity, 0);
+
+    const byCurrency = {};
+    this.items.filter(item => item.price != null).forEach(item => {
+      const currency = item.currency || 'USD';
+      byCurrency[currency] = (byCurrency[currency] || 0) + item.price * item.quantity;
+    });
+    this.totalsByCurrency = Object.keys(byCurrency).sort().map(currency => ({ currency, amount: byCurrency[currency] }));
+    this.totalValue = this.totalsByCurrency.length > 1 ? null : (this.totalsByCurrency[0]?.amount || 0);
   }
   next();
 });
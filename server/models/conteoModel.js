@@ -0,0 +1,135 @@
+/**
+ * Conteo (Cycle Count) Schema
+ * A physical count session for one location.
+ *
+ * Flow: ABIERTO (counting) → EN_REVISION (variances computed, awaiting
+ * approval) → COMPLETADO (every variance approved or rejected).
+ * Approved variances become CORRECTION adjustments (see ajustesService).
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const userStamp = {
+  _id: mongoose.Types.ObjectId,
+  firstname: String,
+  lastname: String,
+  email: String,
+};
+
+const conteoSchema = new Schema({
+  locationId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'locaciones',
+    required: true,
+  },
+
+  status: {
+    type: String,
+    required: true,
+    enum: ['ABIERTO', 'EN_REVISION', 'COMPLETADO', 'CANCELADO'],
+    default: 'ABIERTO',
+  },
+
+  // Expected lots snapshotted from lotes when the session was opened
+  items: [{
+    loteId: {
+      type: mongoose.Types.ObjectId,
+      ref: 'lotes',
+      required: true,
+    },
+    productId: {
+      type: mongoose.Types.ObjectId,
+      ref: 'productos',
+      required: true,
+    },
+    lotNumber: {
+      type: String,
+      required: true,
+    },
+    expiryDate: {
+      type: Date,
+    },
+    expectedQuantity: {
+      type: Number,
+      required: true,
+      min: 0,
+      description: 'App quantityAvailable at snapshot time',
+    },
+    sapQuantity: {
+      type: Number,
+      default: null, // null until SAP stock is fetched
+    },
+    countedQuantity: {
+      type: Number,
+      min: 0,
+      default: null, // null until counted
+    },
+    countedAt: Date,
+    countedBy: userStamp,
+    variance: {
+      type: Number,
+      default: null,
+      description: 'countedQuantity - expectedQuantity (set on submit)',
+    },
+    varianceStatus: {
+      type: String,
+      // APLICANDO: claimed by an approval that is being applied
+      enum: [null, 'SIN_DIFERENCIA', 'PENDIENTE', 'APLICANDO', 'APROBADO', 'RECHAZADO'],
+      default: null,
+    },
+    ajusteId: {
+      type: mongoose.Types.ObjectId,
+      ref: 'ajustes',
+    },
+    resolvedAt: Date,
+    resolvedBy: userStamp,
+    notes: String,
+  }],
+
+  // Last SAP batch stock fetch for the three-way comparison
+  sapSnapshot: {
+    fetchedAt: Date,
+    error: String,
+    // Batches SAP has at this location that the app does not track
+    unmatched: [{
+      itemCode: String,
+      batchNumber: String,
+      quantity: Number,
+    }],
+  },
+
+  notes: {
+    type: String,
+  },
+
+  createdBy: userStamp,
+  submittedAt: {
+    type: Date,
+    default: null,
+  },
+  submittedBy: userStamp,
+  completedAt: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+// Indexes
+conteoSchema.index({ locationId: 1, createdAt: -1 });
+conteoSchema.index({ status: 1, createdAt: -1 });
+
+// Virtual: counting progress
+conteoSchema.virtual('countedItems').get(function() {
+  return (this.items || []).filter(i => i.countedQuantity !== null && i.countedQuantity !== undefined).length;
+});
+
+// Virtual: variances still waiting for a decision
+conteoSchema.virtual('pendingVariances').get(function() {
+  return (this.items || []).filter(i => i.varianceStatus === 'PENDIENTE').length;
+});
+
+// Include virtuals in JSON
+conteoSchema.set('toJSON', { virtuals: true });
+conteoSchema.set('toObject', { virtuals: true });
+
+module.exports = conteoSchema;
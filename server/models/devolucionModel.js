@@ -0,0 +1,150 @@
+/**
+ * Devolucion Schema
+ * Tracks returns of stock from a centro back to the warehouse
+ * Supports EN_TRANSITO state before final confirmation (mirror of consignaciones)
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const devolucionSchema = new Schema({
+  // Source (centro) and destination (warehouse)
+  fromLocationId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'locaciones',
+    required: true,
+  },
+  toLocationId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'locaciones',
+    required: true,
+  },
+
+  // Status tracking
+  status: {
+    type: String,
+    required: true,
+    enum: ['EN_TRANSITO', 'RECIBIDO'],
+    default: 'EN_TRANSITO',
+  },
+
+  // Why the stock is coming back
+  reason: {
+    type: String,
+    required: true,
+    enum: ['VENCIMIENTO', 'RETIRO', 'EXCESO', 'OTRO'],
+    default: 'OTRO',
+    description: 'VENCIMIENTO = about to expire, RETIRO = manufacturer recall, EXCESO = overstock',
+  },
+
+  // Items being returned (each item = one lot of one product)
+  items: [{
+    productId: {
+      type: mongoose.Types.ObjectId,
+      ref: 'productos',
+      required: true,
+    },
+    loteId: {
+      type: mongoose.Types.ObjectId,
+      ref: 'lotes',
+      required: true,
+      description: 'Centro lote the units were taken from',
+    },
+    lotNumber: {
+      type: String,
+      required: true,
+      description: 'Batch number for SAP integration',
+    },
+    quantitySent: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+    quantityReceived: {
+      type: Number,
+      min: 0,
+      default: null, // null until confirmed
+    },
+    notes: {
+      type: String,
+    },
+  }],
+
+  // SAP Integration (standardized field names)
+  sapIntegration: {
+    pushed: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: [null, 'PENDING', 'SYNCED', 'FAILED', 'RETRYING'],
+      default: null,
+      description: 'SAP sync status',
+    },
+    docEntry: {
+      type: Number,
+      description: 'SAP Document Entry number',
+    },
+    docNum: {
+      type: Number,
+      description: 'SAP Document Number',
+    },
+    docType: {
+      type: String,
+      default: 'StockTransfers',
+    },
+    syncDate: {
+      type: Date,
+      description: 'When SAP sync was last attempted',
+    },
+    error: {
+      type: String,
+      description: 'Error message if SAP sync failed',
+    },
+  },
+
+  // Creation tracking
+  createdBy: {
+    _id: mongoose.Types.ObjectId,
+    firstname: String,
+    lastname: String,
+    email: String,
+  },
+
+  // Confirmation tracking
+  confirmedAt: {
+    type: Date,
+    default: null,
+  },
+  confirmedBy: {
+    _id: mongoose.Types.ObjectId,
+    firstname: String,
+    lastname: String,
+    email: String,
+  },
+
+  // General notes
+  notes: {
+    type: String,
+  },
+}, { timestamps: true });
+
+// Indexes
+devolucionSchema.index({ status: 1, createdAt: -1 });
+devolucionSchema.index({ fromLocationId: 1, createdAt: -1 });
+devolucionSchema.index({ createdAt: -1 });
+devolucionSchema.index({ 'sapIntegration.docNum': 1 }, { sparse: true });
+
+// Virtual to check if return is old (> 3 days in transit)
+devolucionSchema.virtual('isOld').get(function() {
+  if (this.status !== 'EN_TRANSITO') return false;
+  const threeDaysAgo = new Date();
+  threeDaysAgo.setDate(threeDaysAgo.getDate() - 3);
+  return this.createdAt < threeDaysAgo;
+});
+
+// Include virtuals in JSON
+devolucionSchema.set('toJSON', { virtuals: true });
+devolucionSchema.set('toObject', { virtuals: true });
+
+module.exports = devolucionSchema;
@@ -0,0 +1,68 @@
+/**
+ * Documento (Source Document) Schema
+ * An uploaded packing list or consumption form, kept as evidence for the
+ * goods receipt or consumption created from it (and attached to its SAP
+ * document). The file itself lives in the document store
+ * (services/documentStoreService.js); this record holds its metadata.
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const documentoSchema = new Schema({
+  kind: {
+    type: String,
+    required: true,
+    enum: ['PACKING_LIST', 'CONSUMPTION_FORM'],
+  },
+
+  filename: {
+    type: String,
+    required: true,
+  },
+  mimetype: {
+    type: String,
+    required: true,
+  },
+  size: Number,
+  sha256: {
+    type: String,
+    description: 'Content hash, to prove the file was not altered',
+  },
+
+  // Where the file content is kept
+  storage: {
+    backend: {
+      type: String,
+      required: true,
+      enum: ['local', 'gridfs'],
+    },
+    key: {
+      type: String,
+      required: true,
+    },
+  },
+
+  // Record created from the document (null until the receipt/consumption is saved)
+  linkedTo: {
+    model: {
+      type: String,
+      enum: ['goodsreceipts', 'consumos'],
+    },
+    id: mongoose.Types.ObjectId,
+  },
+
+  // Set once the file is in the SAP attachment of the linked record's document
+  sapAttachedAt: Date,
+
+  uploadedBy: {
+    _id: mongoose.Types.ObjectId,
+    firstname: String,
+    lastname: String,
+    email: String,
+  },
+}, { timestamps: true });
+
+documentoSchema.index({ 'linkedTo.model': 1, 'linkedTo.id': 1 });
+documentoSchema.index({ createdAt: -1 });
+
+module.exports = documentoSchema;
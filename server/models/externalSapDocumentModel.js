@@ -63,7 +63,7 @@ const externalSapDocumentSchema = new mongoose.Schema({
 
   // If imported, reference to local document
   importedAs: {
-    documentType: { type: String, enum: ['Consignacion', 'Consumo', 'GoodsReceipt'] },
+    documentType: { type: String, enum: ['Consignacion', 'Consumo', 'GoodsReceipt', 'Traslado'] },
     documentId: { type: mongoose.Schema.Types.ObjectId },
   },
 
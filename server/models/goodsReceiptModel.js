@@ -2,6 +2,7 @@
  * GoodsReceipt Schema
  * Records goods receipts (Entradas de Mercancía) created from the app
  * Each receipt groups multiple items/lots and tracks SAP sync status
+ * Items record the pedido lines they were allocated to
  */
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
@@ -36,6 +37,15 @@ const goodsReceiptSchema = new Schema({
   notes: {
     type: String,
   },
+  // Pedidos the receipt was allocated to (see items[].pedidoAllocations)
+  pedidoIds: [{
+    type: mongoose.Types.ObjectId,
+    ref: 'pedidos',
+  }],
+  pedidosAllocatedAt: {
+    type: Date,
+    description: 'When the items were allocated to open pedidos (unset: never allocated)',
+  },
 
   // Line items
   items: [{
@@ -69,6 +79,30 @@ const goodsReceiptSchema = new Schema({
       ref: 'transacciones',
       description: 'Reference to transaction record',
     },
+    // Pedido lines this item filled (oldest first)
+    pedidoAllocations: [{
+      _id: false,
+      pedidoId: {
+        type: mongoose.Types.ObjectId,
+        ref: 'pedidos',
+      },
+      pedidoItemId: mongoose.Types.ObjectId,
+      productId: {
+        type: mongoose.Types.ObjectId,
+        ref: 'productos',
+        description: 'Product ordered on the pedido line (differs for substitutions)',
+      },
+      quantity: Number,
+      substitution: {
+        type: Boolean,
+        default: false,
+        description: 'Received under an equivalent code (legacy Orsiro ↔ new code)',
+      },
+    }],
+    unallocatedQuantity: {
+      type: Number,
+      description: 'Quantity beyond what was pending on open pedidos (over-delivery)',
+    },
   }],
 
   // SAP Integration (standardized field names)
@@ -103,18 +137,32 @@ const goodsReceiptSchema = new Schema({
       type: String,
       description: 'Error message if SAP sync failed',
     },
-    retryCount: {
+    attachmentEntry: {
       type: Number,
-      default: 0,
-      description: 'Number of retry attempts',
+      description: 'SAP Attachments2 entry with the source documents',
     },
-    retrying: {
-      type: Boolean,
-      default: false,
-      description: 'Lock flag to prevent concurrent retries',
+    attachedAt: {
+      type: Date,
+      description: 'When the attachment was linked to the SAP document',
+    },
+    attachmentError: {
+      type: String,
+      description: 'Error message if attaching the source documents failed',
     },
   },
 
+  // Source documents (packing list / consumption form) in the document store
+  documents: [{
+    _id: false,
+    documentId: {
+      type: mongoose.Types.ObjectId,
+      ref: 'documentos',
+    },
+    filename: String,
+    mimetype: String,
+    size: Number,
+  }],
+
   // Audit
   createdBy: {
     _id: mongoose.Types.ObjectId,
@@ -25,6 +25,20 @@ const inventarioObjetivosSchema = new Schema({
     description: 'Stock Objetivo - ideal quantity to maintain at this location',
   },
 
+  // Minimum and reorder level (set by hand or by the stock level calculator)
+  safetyStock: {
+    type: Number,
+    default: 0,
+    min: 0,
+    description: 'Stock de seguridad - buffer for demand and lead time variability',
+  },
+  reorderPoint: {
+    type: Number,
+    default: 0,
+    min: 0,
+    description: 'Punto de reorden - replenish when stock falls to this level',
+  },
+
   // Metadata
   notes: {
     type: String,
@@ -0,0 +1,101 @@
+/**
+ * InventoryCheckRun Model
+ * Result of an inventory invariant check: Lote quantities, the Inventario
+ * aggregates and the transacciones ledger compared against each other.
+ * Runs can repair what is derived (Inventario rows, lote status); the rest
+ * is reported for review.
+ */
+const mongoose = require('mongoose');
+
+const MISMATCH_TYPES = [
+  'LOTE_NEGATIVE',        // A lote bucket is below zero
+  'LOTE_TOTAL',           // quantityTotal != available + consigned + consumed + damaged + returned
+  'LOTE_STATUS',          // ACTIVE with nothing left, or DEPLETED with stock available
+  'LEDGER_DRIFT',         // Ledger replay disagrees with the units the lotes hold
+  'UNTRACKED_STOCK',      // Lotes hold units the ledger never recorded (SAP sync / imports)
+  'INVENTARIO_MISMATCH',  // Inventario row != sum of its lotes
+  'INVENTARIO_MISSING',   // Lotes with stock but no Inventario row
+];
+
+const mismatchSchema = new mongoose.Schema({
+  type: { type: String, enum: MISMATCH_TYPES, required: true },
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'productos' },
+  productName: String,
+  locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'locaciones' },
+  locationName: String,
+  loteId: { type: mongoose.Schema.Types.ObjectId, ref: 'lotes' },
+  lotNumber: String,
+  field: String,
+  expected: mongoose.Schema.Types.Mixed,
+  actual: mongoose.Schema.Types.Mixed,
+  message: String,
+  repairable: { type: Boolean, default: false },
+  repaired: { type: Boolean, default: false },
+}, { _id: false });
+
+const inventoryCheckRunSchema = new mongoose.Schema({
+  runType: {
+    type: String,
+    enum: ['NIGHTLY', 'ON_DEMAND'],
+    required: true
+  },
+  startedAt: { type: Date, required: true, default: Date.now },
+  completedAt: Date,
+  status: {
+    type: String,
+    enum: ['RUNNING', 'COMPLETED', 'FAILED'],
+    default: 'RUNNING'
+  },
+
+  config: {
+    repair: { type: Boolean, default: false },
+    // Limit the check to one product (null = everything)
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'productos' },
+  },
+
+  stats: {
+    lotesChecked: { type: Number, default: 0 },
+    inventarioRowsChecked: { type: Number, default: 0 },
+    transactionsReplayed: { type: Number, default: 0 },
+    // Ledger entries that could not be tied to a lot number
+    transactionsSkipped: { type: Number, default: 0 },
+    mismatchesFound: { type: Number, default: 0 },
+    repaired: { type: Number, default: 0 },
+    byType: {
+      LOTE_NEGATIVE: { type: Number, default: 0 },
+      LOTE_TOTAL: { type: Number, default: 0 },
+      LOTE_STATUS: { type: Number, default: 0 },
+      LEDGER_DRIFT: { type: Number, default: 0 },
+      UNTRACKED_STOCK: { type: Number, default: 0 },
+      INVENTARIO_MISMATCH: { type: Number, default: 0 },
+      INVENTARIO_MISSING: { type: Number, default: 0 },
+    },
+  },
+
+  // Capped list; stats count every mismatch
+  mismatches: [mismatchSchema],
+  mismatchesTruncated: { type: Boolean, default: false },
+
+  // Set when status is FAILED
+  error: String,
+
+  // Who triggered (for on-demand runs)
+  triggeredBy: {
+    _id: { type: mongoose.Schema.Types.ObjectId, ref: 'Usuario' },
+    firstname: String,
+    lastname: String,
+    email: String,
+  },
+
+  // Company
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true }
+}, { timestamps: true });
+
+// Query indexes
+inventoryCheckRunSchema.index({ companyId: 1, startedAt: -1 });
+inventoryCheckRunSchema.index({ status: 1, companyId: 1 });
+inventoryCheckRunSchema.index({ runType: 1, companyId: 1, startedAt: -1 });
+
+inventoryCheckRunSchema.statics.MISMATCH_TYPES = MISMATCH_TYPES;
+
+module.exports = inventoryCheckRunSchema;
@@ -0,0 +1,52 @@
+/**
+ * Medico (Doctor) Schema
+ * Implanting physicians, managed per centro. Consumptions and procedure
+ * records point to them instead of free-text names.
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const medicoSchema = new Schema({
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  // Exequátur / license number
+  licenseNumber: {
+    type: String,
+    trim: true,
+  },
+  specialty: {
+    type: String,
+    trim: true,
+  },
+  phone: String,
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+
+  // Centros where the doctor implants
+  centroIds: [{
+    type: mongoose.Types.ObjectId,
+    ref: 'locaciones',
+  }],
+
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: {
+    _id: mongoose.Types.ObjectId,
+    firstname: String,
+    lastname: String,
+  },
+}, { timestamps: true });
+
+// Indexes
+medicoSchema.index({ centroIds: 1, active: 1 });
+medicoSchema.index({ name: 1 });
+
+module.exports = medicoSchema;
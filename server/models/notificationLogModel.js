@@ -0,0 +1,43 @@
+/**
+ * NotificationLog Schema
+ * One notification sent (or attempted) to one recipient: an email address,
+ * or user:<userId> for an in-app notification.
+ * The keys identify what the message was about (a consignment, a lote, a
+ * product at a centro) so the daily checks don't repeat themselves.
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const notificationLogSchema = new Schema({
+  event: {
+    type: String,
+    required: true,
+    description: 'Notification event (notificationService EVENTS)',
+  },
+  recipient: {
+    type: String,
+    required: true,
+  },
+  subject: String,
+  keys: [{
+    type: String,
+    description: 'What the message was about, e.g. LOTE:<loteId>',
+  }],
+  status: {
+    type: String,
+    enum: ['SENT', 'FAILED'],
+    required: true,
+  },
+  transport: String,
+  messageId: String,
+  error: String,
+  reference: {
+    model: String,
+    id: mongoose.Types.ObjectId,
+  },
+}, { timestamps: true });
+
+notificationLogSchema.index({ event: 1, keys: 1, createdAt: -1 });
+notificationLogSchema.index({ createdAt: -1 });
+
+module.exports = notificationLogSchema;
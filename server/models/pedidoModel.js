@@ -1,7 +1,11 @@
 /**
  * Pedido Schema
- * Tracks supplier orders (internal tracking only, not synced to SAP)
- * Links to GoodsReceipts when inventory arrives
+ * Tracks supplier orders, created in SAP as Purchase Orders when a supplier
+ * code is given. Goods receipts linked to the order are posted as
+ * PurchaseDeliveryNotes copied from its lines, so SAP closes the open
+ * quantities; the last SAP status read is kept per line.
+ * Links to GoodsReceipts when inventory arrives: each line lists the
+ * receipt items allocated to it
  */
 const mongoose = require('mongoose');
 const Schema = mongoose.Schema;
@@ -23,6 +27,10 @@ const pedidoSchema = new Schema({
   supplier: {
     type: String,
   },
+  supplierCode: {
+    type: String,
+    description: 'SAP CardCode (e.g., "P00031"), required for the SAP Purchase Order',
+  },
 
   // Order status
   status: {
@@ -49,6 +57,34 @@ const pedidoSchema = new Schema({
       default: 0,
       min: 0,
     },
+    // Purchase Order line (items are posted in order, so LineNum = index)
+    sapLineNum: {
+      type: Number,
+    },
+    // Open quantity and line status as last read from SAP
+    sapOpenQuantity: {
+      type: Number,
+    },
+    sapLineStatus: {
+      type: String,
+      enum: ['OPEN', 'CLOSED'],
+    },
+    // Goods receipt items allocated to this line
+    receipts: [{
+      _id: false,
+      goodsReceiptId: {
+        type: mongoose.Types.ObjectId,
+        ref: 'goodsreceipts',
+      },
+      productId: {
+        type: mongoose.Types.ObjectId,
+        ref: 'productos',
+        description: 'Product received (differs from the line for substitutions)',
+      },
+      lotNumber: String,
+      quantity: Number,
+      receivedAt: Date,
+    }],
   }],
 
   // Linked GoodsReceipts that fulfilled this order
@@ -62,6 +98,48 @@ const pedidoSchema = new Schema({
     type: String,
   },
 
+  // SAP Purchase Order
+  sapIntegration: {
+    pushed: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ['PENDING', 'SYNCED', 'FAILED', 'RETRYING'],
+      description: 'SAP sync status (unset when the pedido is not sent to SAP)',
+    },
+    docEntry: {
+      type: Number,
+      description: 'SAP Document Entry number',
+    },
+    docNum: {
+      type: Number,
+      description: 'SAP Document Number (OC)',
+    },
+    docType: {
+      type: String,
+      default: 'PurchaseOrders',
+    },
+    syncDate: {
+      type: Date,
+      description: 'When SAP sync was last attempted',
+    },
+    error: {
+      type: String,
+      description: 'Error message if SAP sync failed',
+    },
+    documentStatus: {
+      type: String,
+      enum: ['OPEN', 'CLOSED', 'CANCELLED'],
+      description: 'Purchase Order status as last read from SAP',
+    },
+    statusCheckedAt: {
+      type: Date,
+      description: 'When the open quantities were last read from SAP',
+    },
+  },
+
   // Creation tracking
   createdBy: {
     _id: mongoose.Types.ObjectId,
@@ -83,6 +161,7 @@ pedidoSchema.index({ status: 1, createdAt: -1 });
 pedidoSchema.index({ orderDate: -1 });
 pedidoSchema.index({ companyId: 1, status: 1 });
 pedidoSchema.index({ 'items.productId': 1 });
+pedidoSchema.index({ 'sapIntegration.docNum': 1 });
 
 // Virtual to calculate total ordered quantity
 pedidoSchema.virtual('totalOrdered').get(function() {
@@ -0,0 +1,79 @@
+/**
+ * Precio (Negotiated Price) Schema
+ * Price a Centro pays for a product, or for every product of a category and
+ * size, during a validity period. Stamped onto consumption items when they
+ * are registered and sent to SAP as the DeliveryNote line's UnitPrice.
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const userRefSchema = {
+  _id: mongoose.Types.ObjectId,
+  firstname: String,
+  lastname: String,
+};
+
+const precioSchema = new Schema({
+  centroId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'locaciones',
+    required: true,
+  },
+  centroName: String,
+
+  // Scope: one product, or a category optionally narrowed by size.
+  // The most specific price in effect wins (product > category + size > category).
+  productId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'productos',
+  },
+  productName: String,
+  category: {
+    type: String,
+    enum: ['GUIAS', 'STENTS_CORONARIOS', 'STENTS_RECUBIERTOS'],
+  },
+  diameter: {
+    type: Number,
+    min: 0,
+    description: 'Only products with this diameter (mm), see producto.specifications',
+  },
+  length: {
+    type: Number,
+    min: 0,
+    description: 'Only products with this length (mm), see producto.specifications',
+  },
+
+  price: {
+    type: Number,
+    required: true,
+    min: 0,
+  },
+  currency: {
+    type: String,
+    default: 'USD',
+  },
+
+  // Validity: whole days, validTo inclusive; no validTo = until replaced
+  validFrom: {
+    type: Date,
+    required: true,
+  },
+  validTo: Date,
+
+  notes: {
+    type: String,
+    trim: true,
+  },
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  createdBy: userRefSchema,
+  updatedBy: userRefSchema,
+}, { timestamps: true });
+
+// Indexes
+precioSchema.index({ centroId: 1, active: 1, validFrom: -1 });
+precioSchema.index({ productId: 1 }, { sparse: true });
+
+module.exports = precioSchema;
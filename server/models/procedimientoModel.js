@@ -0,0 +1,109 @@
+/**
+ * Procedimiento (Procedure) Schema
+ * Implant registry: one record per consumption, with the patient, the
+ * doctor and every lot implanted. Answers "which patients received lot X"
+ * for recalls and adverse-event reports.
+ *
+ * The patient identifier (cédula, record number) is optional and stored
+ * encrypted (see services/encryptionService.js); identifierHash allows
+ * looking a patient up without decrypting.
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const implanteSchema = new Schema({
+  productId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'productos',
+    required: true,
+  },
+  productName: String,
+  sapItemCode: String,
+  loteId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'lotes',
+  },
+  lotNumber: {
+    type: String,
+    required: true,
+  },
+  expiryDate: Date,
+  quantity: {
+    type: Number,
+    required: true,
+    min: 1,
+  },
+}, { _id: false });
+
+const procedimientoSchema = new Schema({
+  consumoId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'consumos',
+    required: true,
+  },
+  centroId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'locaciones',
+    required: true,
+  },
+  centroName: String,
+
+  procedureDate: {
+    type: Date,
+    required: true,
+  },
+  procedureType: String,
+
+  doctorId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'medicos',
+  },
+  doctorName: String,
+
+  patient: {
+    name: String,
+    identifier: {
+      encrypted: String,
+      iv: String,
+      authTag: String,
+    },
+    identifierHash: String,
+    identifierLast4: String,
+  },
+
+  implants: [implanteSchema],
+
+  notes: String,
+  createdBy: {
+    _id: mongoose.Types.ObjectId,
+    firstname: String,
+    lastname: String,
+  },
+  updatedBy: {
+    _id: mongoose.Types.ObjectId,
+    firstname: String,
+    lastname: String,
+  },
+}, { timestamps: true });
+
+// Never send the ciphertext or the hash to clients
+procedimientoSchema.set('toJSON', {
+  transform: (doc, ret) => {
+    if (ret.patient) {
+      ret.patient.hasIdentifier = !!ret.patient.identifierHash;
+      delete ret.patient.identifier;
+      delete ret.patient.identifierHash;
+    }
+    return ret;
+  },
+});
+
+// Indexes
+procedimientoSchema.index({ consumoId: 1 }, { unique: true });
+procedimientoSchema.index({ 'implants.lotNumber': 1 });
+procedimientoSchema.index({ 'implants.loteId': 1 });
+procedimientoSchema.index({ centroId: 1, procedureDate: -1 });
+procedimientoSchema.index({ doctorId: 1, procedureDate: -1 });
+procedimientoSchema.index({ 'patient.identifierHash': 1 }, { sparse: true });
+
+module.exports = procedimientoSchema;
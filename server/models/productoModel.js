@@ -27,6 +27,12 @@ const productoSchema = new Schema({
     sparse: true,
     description: 'Old Orsiro code equivalent - for reference when old inventory exists in SAP',
   },
+  // GS1 GTIN from the box DataMatrix (UDI-DI), stored as 14 digits
+  gtin: {
+    type: String,
+    trim: true,
+    description: 'GS1 GTIN-14 printed on the box (AI 01), used to resolve scans',
+  },
   category: {
     type: String,
     required: true,
@@ -58,6 +64,18 @@ const productoSchema = new Schema({
       min: 0,
       description: 'Stock Objetivo - ideal quantity to maintain in central warehouse',
     },
+    safetyStockWarehouse: {
+      type: Number,
+      default: 0,
+      min: 0,
+      description: 'Stock de seguridad in central warehouse',
+    },
+    reorderPointWarehouse: {
+      type: Number,
+      default: 0,
+      min: 0,
+      description: 'Punto de reorden - order from the supplier when warehouse stock falls to this level',
+    },
   },
   active: {
     type: Boolean,
@@ -83,6 +101,7 @@ const productoSchema = new Schema({
 productoSchema.index({ code: 1 });
 productoSchema.index({ sapItemCode: 1 }, { sparse: true });
 productoSchema.index({ legacyCode: 1 }, { sparse: true });
+productoSchema.index({ gtin: 1 }, { unique: true, sparse: true });
 productoSchema.index({ category: 1, active: 1 });
 productoSchema.index({ name: 'text' }); // Text search
 
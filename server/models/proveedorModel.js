@@ -0,0 +1,58 @@
+/**
+ * Proveedor (Supplier) Schema
+ * Supplier master data synced from SAP Business Partners (cSupplier).
+ * Pedidos and goods receipts reference suppliers by cardCode; the delivery
+ * commitment is kept here to score suppliers against it.
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const proveedorSchema = new Schema({
+  cardCode: {
+    type: String,
+    required: true,
+    unique: true,
+    trim: true,
+    description: 'SAP CardCode (e.g., "P00031")',
+  },
+  name: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  phone: String,
+  email: {
+    type: String,
+    trim: true,
+    lowercase: true,
+  },
+  address: String,
+
+  // Agreed delivery time, to measure on-time delivery against when a pedido
+  // has no expected arrival date
+  leadTimeCommitmentDays: {
+    type: Number,
+    min: 0,
+  },
+  notes: String,
+
+  // Inactive: frozen in SAP or no longer returned by the sync
+  active: {
+    type: Boolean,
+    default: true,
+  },
+  sapSync: {
+    syncedAt: Date,
+    frozen: Boolean,
+    missing: {
+      type: Boolean,
+      default: false,
+      description: 'Not returned by the last sync (deleted or no longer a supplier in SAP)',
+    },
+  },
+}, { timestamps: true });
+
+// Indexes
+proveedorSchema.index({ active: 1, name: 1 });
+
+module.exports = proveedorSchema;
@@ -0,0 +1,200 @@
+/**
+ * Recall Schema
+ * Tracks manufacturer recall notices and the pull-back of affected units
+ * Matching lotes are set to RECALLED so they can't be consigned or consumed
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const recallSchema = new Schema({
+  // Manufacturer notice reference (e.g. BIOTRONIK FSCA number)
+  reference: {
+    type: String,
+    required: true,
+    trim: true,
+  },
+  manufacturer: {
+    type: String,
+    trim: true,
+  },
+  noticeDate: {
+    type: Date,
+    required: true,
+    default: Date.now,
+  },
+  reason: {
+    type: String,
+  },
+
+  // Recall status
+  status: {
+    type: String,
+    required: true,
+    enum: ['ABIERTO', 'CERRADO'],
+    default: 'ABIERTO',
+  },
+
+  // Notice criteria (a lote matches if its lot number OR its product code is listed)
+  criteria: {
+    lotNumbers: [{
+      type: String,
+      trim: true,
+    }],
+    productCodes: [{
+      type: String,
+      trim: true,
+      description: 'Matched against producto.code, sapItemCode and legacyCode',
+    }],
+  },
+
+  // Lotes marked RECALLED by this notice
+  lotes: [{
+    loteId: {
+      type: mongoose.Types.ObjectId,
+      ref: 'lotes',
+      required: true,
+    },
+    productId: {
+      type: mongoose.Types.ObjectId,
+      ref: 'productos',
+      required: true,
+    },
+    lotNumber: String,
+    locationId: {
+      type: mongoose.Types.ObjectId,
+      ref: 'locaciones',
+    },
+    previousStatus: {
+      type: String,
+      description: 'Lote status before the recall was opened',
+    },
+    quantityConsumedAtRecall: {
+      type: Number,
+      default: 0,
+      description: 'Units already implanted when the notice arrived',
+    },
+  }],
+
+  // Pull-back plan: one line per lote/location holding recalled units
+  units: [{
+    loteId: {
+      type: mongoose.Types.ObjectId,
+      ref: 'lotes',
+      required: true,
+    },
+    productId: {
+      type: mongoose.Types.ObjectId,
+      ref: 'productos',
+      required: true,
+    },
+    lotNumber: {
+      type: String,
+      required: true,
+    },
+    locationId: {
+      type: mongoose.Types.ObjectId,
+      ref: 'locaciones',
+      required: true,
+    },
+    locationType: {
+      type: String,
+      enum: ['CENTRO', 'WAREHOUSE'],
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 0,
+      description: 'Units held at this location when the recall was opened',
+    },
+    quantityInTransit: {
+      type: Number,
+      default: 0,
+      description: 'Part of quantity still in an EN_TRANSITO consignment',
+    },
+    quantityReturned: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    quantityQuarantined: {
+      type: Number,
+      default: 0,
+      min: 0,
+    },
+    status: {
+      type: String,
+      enum: ['PENDIENTE', 'PARCIAL', 'RESUELTO'],
+      default: 'PENDIENTE',
+    },
+    actions: [{
+      fecha: Date,
+      action: {
+        type: String,
+        enum: ['RETURNED', 'QUARANTINED'],
+      },
+      quantity: Number,
+      notes: String,
+      user: {
+        _id: mongoose.Types.ObjectId,
+        firstname: String,
+        lastname: String,
+      },
+    }],
+  }],
+
+  notes: {
+    type: String,
+  },
+
+  createdBy: {
+    _id: mongoose.Types.ObjectId,
+    firstname: String,
+    lastname: String,
+    email: String,
+  },
+  closedAt: {
+    type: Date,
+  },
+  closedBy: {
+    _id: mongoose.Types.ObjectId,
+    firstname: String,
+    lastname: String,
+    email: String,
+  },
+}, { timestamps: true });
+
+// Indexes
+recallSchema.index({ status: 1, createdAt: -1 });
+recallSchema.index({ 'lotes.loteId': 1 });
+recallSchema.index({ 'units.locationId': 1 });
+
+// Virtual: total units to pull back
+recallSchema.virtual('totalUnits').get(function() {
+  return (this.units || []).reduce((sum, u) => sum + u.quantity, 0);
+});
+
+// Virtual: units still pending (not returned nor quarantined)
+recallSchema.virtual('pendingUnits').get(function() {
+  return (this.units || []).reduce((sum, u) =>
+    sum + Math.max(0, u.quantity - u.quantityReturned - u.quantityQuarantined), 0
+  );
+});
+
+// Method to update a plan line status based on resolved quantities
+recallSchema.methods.updateUnitStatus = function(unit) {
+  const resolved = unit.quantityReturned + unit.quantityQuarantined;
+  if (resolved === 0) {
+    unit.status = 'PENDIENTE';
+  } else if (resolved >= unit.quantity) {
+    unit.status = 'RESUELTO';
+  } else {
+    unit.status = 'PARCIAL';
+  }
+  return unit.status;
+};
+
+// Include virtuals in JSON
+recallSchema.set('toJSON', { virtuals: true });
+recallSchema.set('toObject', { virtuals: true });
+
+module.exports = recallSchema;
@@ -0,0 +1,121 @@
+/**
+ * Revision de Extraccion (Extraction Review) Schema
+ * A consumption document whose extraction scored below the review threshold.
+ * Keeps the per-field confidence and references to the uploaded images (in
+ * the document store) so a second person can check the reading before the
+ * consumption (and its SAP DeliveryNote) is created.
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const userRefSchema = {
+  _id: mongoose.Types.ObjectId,
+  firstname: String,
+  lastname: String,
+  email: String,
+};
+
+const fieldConfidenceSchema = {
+  code: Number,
+  lotNumber: Number,
+  quantity: Number,
+  overall: Number,
+};
+
+const revisionItemSchema = new Schema({
+  // As extracted
+  code: String,
+  name: String,
+  lotNumber: String,
+  quantity: Number,
+
+  // Matches found at extraction time
+  productId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'productos',
+  },
+  loteId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'lotes',
+  },
+
+  confidence: fieldConfidenceSchema,
+  flags: [{
+    _id: false,
+    field: { type: String, enum: ['code', 'lotNumber', 'quantity'] },
+    type: { type: String },
+    message: String,
+    suggestion: {
+      loteId: mongoose.Types.ObjectId,
+      lotNumber: String,
+    },
+  }],
+});
+
+const revisionFileSchema = new Schema({
+  documentId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'documentos',
+  },
+  filename: String,
+  mimetype: String,
+  size: Number,
+});
+
+const revisionExtraccionSchema = new Schema({
+  centroId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'locaciones',
+    required: true,
+  },
+  centroName: String,
+
+  provider: String,
+  reviewThreshold: Number,
+  minConfidence: Number,
+  warnings: [String],
+
+  items: [revisionItemSchema],
+  files: [revisionFileSchema],
+
+  // Procedure info as extracted
+  patientName: String,
+  doctorName: String,
+  procedureDate: Date,
+
+  // Workflow: PENDIENTE -> APROBADA -> REGISTRADA (consumption created), or RECHAZADA
+  status: {
+    type: String,
+    required: true,
+    enum: ['PENDIENTE', 'APROBADA', 'RECHAZADA', 'REGISTRADA'],
+    default: 'PENDIENTE',
+  },
+
+  // Lines confirmed by the reviewer; the consumption must use exactly these
+  approvedItems: [{
+    _id: false,
+    productId: { type: mongoose.Types.ObjectId, ref: 'productos' },
+    loteId: { type: mongoose.Types.ObjectId, ref: 'lotes' },
+    lotNumber: String,
+    quantity: Number,
+  }],
+
+  consumoId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'consumos',
+  },
+
+  createdBy: userRefSchema,
+  reviewedBy: userRefSchema,
+  reviewedAt: {
+    type: Date,
+    default: null,
+  },
+  rejectionReason: String,
+}, { timestamps: true });
+
+// Indexes
+revisionExtraccionSchema.index({ status: 1, createdAt: -1 });
+revisionExtraccionSchema.index({ centroId: 1, createdAt: -1 });
+
+module.exports = revisionExtraccionSchema;
@@ -0,0 +1,123 @@
+/**
+ * SAP Outbox Schema
+ * Queue of SAP document pushes (StockTransfer, DeliveryNote, PurchaseDeliveryNote, PurchaseOrder).
+ *
+ * Entries are written in the same Mongo transaction as the local change and
+ * delivered by the outbox worker (see services/sapOutboxService.js).
+ *
+ * Flow: PENDING → PROCESSING → SENT
+ *                          ↘ PENDING (retry with backoff) → ... → DEAD (dead letter)
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const sapOutboxSchema = new Schema({
+  documentType: {
+    type: String,
+    required: true,
+    enum: ['StockTransfer', 'DeliveryNote', 'PurchaseDeliveryNote', 'PurchaseOrder', 'InventoryGenExit', 'InventoryGenEntry'],
+  },
+
+  // Local document that produced this push
+  source: {
+    model: {
+      type: String,
+      required: true,
+      enum: ['ajustes', 'consignaciones', 'consumos', 'devoluciones', 'goodsreceipts', 'pedidos', 'traslados'],
+    },
+    id: {
+      type: mongoose.Types.ObjectId,
+      required: true,
+    },
+    // Audit transactions that should carry the SAP doc number once delivered
+    transactionIds: [{
+      type: mongoose.Types.ObjectId,
+      ref: 'transacciones',
+    }],
+  },
+
+  // Arguments for the sapService create function (self-contained, no lookups)
+  payload: {
+    type: Schema.Types.Mixed,
+    required: true,
+  },
+
+  // Written into the SAP document Comments so a lost response can be detected
+  idempotencyKey: {
+    type: String,
+    required: true,
+    unique: true,
+  },
+
+  status: {
+    type: String,
+    required: true,
+    enum: ['PENDING', 'PROCESSING', 'SENT', 'DEAD'],
+    default: 'PENDING',
+  },
+  attempts: {
+    type: Number,
+    default: 0,
+  },
+  maxAttempts: {
+    type: Number,
+    default: 8,
+  },
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now,
+  },
+  lockedAt: {
+    type: Date,
+    default: null,
+  },
+  lastAttemptAt: {
+    type: Date,
+    default: null,
+  },
+  lastError: {
+    type: String,
+  },
+
+  // Attempt history (most recent last)
+  attemptLog: [{
+    at: Date,
+    success: Boolean,
+    error: String,
+    recovered: {
+      type: Boolean,
+      description: 'Document was already in SAP from an earlier attempt',
+    },
+  }],
+
+  // SAP result once delivered
+  result: {
+    docEntry: Number,
+    docNum: Number,
+    sentAt: Date,
+  },
+
+  createdBy: {
+    _id: mongoose.Types.ObjectId,
+    firstname: String,
+    lastname: String,
+    email: String,
+  },
+  requeuedBy: {
+    _id: mongoose.Types.ObjectId,
+    firstname: String,
+    lastname: String,
+    email: String,
+  },
+  requeuedAt: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+// Indexes
+sapOutboxSchema.index({ status: 1, nextAttemptAt: 1 }); // Worker pickup
+sapOutboxSchema.index({ 'source.model': 1, 'source.id': 1 });
+sapOutboxSchema.index({ createdAt: -1 });
+
+module.exports = sapOutboxSchema;
@@ -0,0 +1,89 @@
+/**
+ * StockLevelRun Model
+ * One run of the stock level calculator: safety stock, reorder point and
+ * target stock per product and location, derived from demand variability
+ * and lead times. A run is stored as a preview and can be applied once;
+ * applied items keep the values they replaced (audit trail).
+ */
+const mongoose = require('mongoose');
+
+const levelsSchema = new mongoose.Schema({
+  safetyStock: Number,
+  reorderPoint: Number,
+  targetStock: Number,
+}, { _id: false });
+
+const itemSchema = new mongoose.Schema({
+  // CENTRO rows write inventarioObjetivos, the WAREHOUSE row writes product.inventorySettings
+  scope: { type: String, enum: ['CENTRO', 'WAREHOUSE'], required: true },
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'productos', required: true },
+  productName: String,
+  productCode: Number,
+  // Centro (null for the WAREHOUSE row: all warehouses together)
+  locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'locaciones' },
+  locationName: String,
+
+  inputs: {
+    demandMonths: Number,
+    avgMonthlyDemand: Number,
+    stdMonthlyDemand: Number,
+    leadTimeDays: Number,
+    leadTimeStdDays: Number,
+    leadTimeSamples: Number,
+    // PRODUCT: pedidos of this product, SUPPLIER: pedidos of its latest supplier,
+    // ALL_PEDIDOS: every received pedido, DEFAULT: configured supplier lead time,
+    // CENTRO: configured centro replenishment time
+    leadTimeSource: { type: String, enum: ['PRODUCT', 'SUPPLIER', 'ALL_PEDIDOS', 'DEFAULT', 'CENTRO'] },
+  },
+
+  calculated: levelsSchema,
+  // Values in place when the preview was calculated
+  current: levelsSchema,
+  // Values replaced when the run was applied (may differ from current if edited since)
+  previous: levelsSchema,
+  applied: { type: Boolean, default: false },
+}, { _id: false });
+
+const stockLevelRunSchema = new mongoose.Schema({
+  status: {
+    type: String,
+    enum: ['PREVIEW', 'APPLIED'],
+    default: 'PREVIEW',
+  },
+
+  config: {
+    serviceLevel: Number,
+    z: Number,
+    reviewPeriodDays: Number,
+    centroLeadTimeDays: Number,
+    supplierLeadTimeDays: Number,
+    historyMonths: Number,
+    // Filters of the run (null = all)
+    locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'locaciones' },
+    category: String,
+  },
+
+  items: [itemSchema],
+
+  createdBy: {
+    _id: { type: mongoose.Schema.Types.ObjectId, ref: 'Usuario' },
+    firstname: String,
+    lastname: String,
+    email: String,
+  },
+  appliedAt: Date,
+  appliedBy: {
+    _id: { type: mongoose.Schema.Types.ObjectId, ref: 'Usuario' },
+    firstname: String,
+    lastname: String,
+    email: String,
+  },
+
+  // Company
+  companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true },
+}, { timestamps: true });
+
+stockLevelRunSchema.index({ companyId: 1, createdAt: -1 });
+stockLevelRunSchema.index({ status: 1, companyId: 1, appliedAt: -1 });
+
+module.exports = stockLevelRunSchema;
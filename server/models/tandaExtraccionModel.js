@@ -0,0 +1,181 @@
+/**
+ * Tanda de Extraccion (Extraction Batch) Schema
+ * A day's worth of consumption forms uploaded together, usually from several
+ * hospitals. Each form is extracted in the background and matched to its
+ * centro; the forms are then grouped into one draft consumption per centro
+ * and procedure date, which is confirmed and registered like a single one.
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const userRefSchema = {
+  _id: mongoose.Types.ObjectId,
+  firstname: String,
+  lastname: String,
+  email: String,
+};
+
+const tandaItemSchema = new Schema({
+  // Form the line was read from
+  documentId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'documentos',
+  },
+
+  // As extracted
+  code: String,
+  name: String,
+  lotNumber: String,
+  quantity: Number,
+  patientName: String,
+  doctorName: String,
+
+  // Matches against the centro's stock
+  productId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'productos',
+  },
+  productName: String,
+  loteId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'lotes',
+  },
+
+  confidence: {
+    code: Number,
+    lotNumber: Number,
+    quantity: Number,
+    overall: Number,
+  },
+  flags: [{
+    _id: false,
+    field: { type: String, enum: ['code', 'lotNumber', 'quantity'] },
+    type: { type: String },
+    message: String,
+    suggestion: {
+      loteId: mongoose.Types.ObjectId,
+      lotNumber: String,
+    },
+  }],
+  needsReview: Boolean,
+});
+
+const tandaFormSchema = new Schema({
+  documentId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'documentos',
+    required: true,
+  },
+  filename: String,
+  mimetype: String,
+  size: Number,
+
+  // PENDIENTE -> PROCESADO, or SIN_CENTRO (hospital not matched) / ERROR (extraction failed)
+  status: {
+    type: String,
+    enum: ['PENDIENTE', 'PROCESADO', 'SIN_CENTRO', 'ERROR'],
+    default: 'PENDIENTE',
+  },
+  error: String,
+  warnings: [String],
+
+  // Hospital as read from the form, and the centro it was matched to
+  hospital: String,
+  customerCode: String,
+  centroId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'locaciones',
+  },
+  centroName: String,
+  matchedBy: {
+    type: String,
+    enum: ['CARD_CODE', 'NAME', 'MANUAL'],
+  },
+
+  procedureDate: String, // YYYY-MM-DD, as extracted
+  patientName: String,
+  doctorName: String,
+  items: [tandaItemSchema],
+
+  draftId: mongoose.Types.ObjectId,
+});
+
+const tandaDraftSchema = new Schema({
+  centroId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'locaciones',
+    required: true,
+  },
+  centroName: String,
+  date: String, // YYYY-MM-DD procedure date; null when the forms had none
+
+  documentIds: [{
+    type: mongoose.Types.ObjectId,
+    ref: 'documentos',
+  }],
+  items: [tandaItemSchema],
+
+  // Any line below the review threshold: confirmed by a second person
+  needsReview: Boolean,
+  minConfidence: Number,
+
+  // Workflow: BORRADOR -> APROBADO -> REGISTRADO (consumption created), or DESCARTADO
+  status: {
+    type: String,
+    enum: ['BORRADOR', 'APROBADO', 'REGISTRADO', 'DESCARTADO'],
+    default: 'BORRADOR',
+  },
+
+  // Lines confirmed; the consumption must use exactly these
+  approvedItems: [{
+    _id: false,
+    productId: { type: mongoose.Types.ObjectId, ref: 'productos' },
+    loteId: { type: mongoose.Types.ObjectId, ref: 'lotes' },
+    lotNumber: String,
+    quantity: Number,
+  }],
+  approvedBy: userRefSchema,
+  approvedAt: Date,
+  discardedBy: userRefSchema,
+
+  consumoId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'consumos',
+  },
+});
+
+const tandaExtraccionSchema = new Schema({
+  // Background job: PROCESANDO -> COMPLETADA, or FALLIDA
+  status: {
+    type: String,
+    required: true,
+    enum: ['PROCESANDO', 'COMPLETADA', 'FALLIDA'],
+    default: 'PROCESANDO',
+  },
+  error: String,
+
+  progress: {
+    total: { type: Number, default: 0 },
+    processed: { type: Number, default: 0 },
+    failed: { type: Number, default: 0 },
+  },
+
+  provider: String,
+  reviewThreshold: Number,
+
+  forms: [tandaFormSchema],
+  drafts: [tandaDraftSchema],
+
+  startedAt: {
+    type: Date,
+    default: Date.now,
+  },
+  completedAt: Date,
+  createdBy: userRefSchema,
+}, { timestamps: true });
+
+// Indexes
+tandaExtraccionSchema.index({ createdAt: -1 });
+tandaExtraccionSchema.index({ status: 1 });
+
+module.exports = tandaExtraccionSchema;
@@ -0,0 +1,123 @@
+/**
+ * Traslado Schema
+ * Direct transfers of stock from one centro to another
+ * (SAP StockTransfer between two bins of the consignment warehouse)
+ *
+ * Transfers are completed immediately - there is no in-transit state.
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const trasladoSchema = new Schema({
+  // Source and destination centros
+  fromLocationId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'locaciones',
+    required: true,
+  },
+  toLocationId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'locaciones',
+    required: true,
+  },
+
+  status: {
+    type: String,
+    required: true,
+    enum: ['COMPLETADO'],
+    default: 'COMPLETADO',
+  },
+
+  // Items moved (each item = one lot of one product)
+  items: [{
+    productId: {
+      type: mongoose.Types.ObjectId,
+      ref: 'productos',
+      required: true,
+    },
+    fromLoteId: {
+      type: mongoose.Types.ObjectId,
+      ref: 'lotes',
+      required: true,
+    },
+    toLoteId: {
+      type: mongoose.Types.ObjectId,
+      ref: 'lotes',
+      required: true,
+      description: 'Same as fromLoteId when the whole lote record was relocated',
+    },
+    lotNumber: {
+      type: String,
+      required: true,
+    },
+    quantity: {
+      type: Number,
+      required: true,
+      min: 1,
+    },
+  }],
+
+  // SAP Integration (standardized field names)
+  sapIntegration: {
+    pushed: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: [null, 'PENDING', 'SYNCED', 'FAILED', 'RETRYING'],
+      default: null,
+      description: 'SAP sync status',
+    },
+    docEntry: {
+      type: Number,
+      description: 'SAP Document Entry number',
+    },
+    docNum: {
+      type: Number,
+      description: 'SAP Document Number',
+    },
+    docType: {
+      type: String,
+      default: 'StockTransfers',
+    },
+    syncDate: {
+      type: Date,
+      description: 'When SAP sync was last attempted',
+    },
+    error: {
+      type: String,
+      description: 'Error message if SAP sync failed',
+    },
+  },
+
+  // Origin tracking (APP = created here, SAP_IMPORT = imported external document)
+  origin: {
+    type: String,
+    enum: ['APP', 'SAP_IMPORT'],
+    default: 'APP',
+  },
+  importedFromId: {
+    type: mongoose.Types.ObjectId,
+    ref: 'externalsapdocuments',
+  },
+
+  createdBy: {
+    _id: mongoose.Types.ObjectId,
+    firstname: String,
+    lastname: String,
+    email: String,
+  },
+
+  notes: {
+    type: String,
+  },
+}, { timestamps: true });
+
+// Indexes
+trasladoSchema.index({ fromLocationId: 1, createdAt: -1 });
+trasladoSchema.index({ toLocationId: 1, createdAt: -1 });
+trasladoSchema.index({ createdAt: -1 });
+trasladoSchema.index({ 'sapIntegration.docEntry': 1 }, { sparse: true });
+
+module.exports = trasladoSchema;
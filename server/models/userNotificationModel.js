@@ -0,0 +1,42 @@
+/**
+ * UserNotification Schema
+ * One in-app notification for one user: the bell in the app and the
+ * activity feed. Links point to the document concerned.
+ */
+const mongoose = require('mongoose');
+const Schema = mongoose.Schema;
+
+const userNotificationSchema = new Schema({
+  userId: {
+    type: Schema.Types.ObjectId,
+    required: true,
+    description: 'Reference to shared user database',
+  },
+  event: {
+    type: String,
+    required: true,
+    description: 'Notification event (notificationService EVENTS)',
+  },
+  title: {
+    type: String,
+    required: true,
+  },
+  message: String,
+  link: {
+    type: String,
+    description: 'App path to open, e.g. /consignaciones?id=<id>',
+  },
+  reference: {
+    model: String,
+    id: mongoose.Types.ObjectId,
+  },
+  readAt: {
+    type: Date,
+    default: null,
+  },
+}, { timestamps: true });
+
+userNotificationSchema.index({ userId: 1, createdAt: -1 });
+userNotificationSchema.index({ userId: 1, readAt: 1 });
+
+module.exports = userNotificationSchema;
@@ -9,8 +9,8 @@ const Schema = mongoose.Schema;
 const ROLES = ['admin', 'almacen', 'sales', 'viewer'];
 
 const PERMISSIONS = {
-  admin: ['pedidos', 'goodsReceipts', 'consignments', 'viewInventory', 'editTargetStock', 'manageUsers'],
-  almacen: ['pedidos', 'goodsReceipts', 'consignments', 'viewInventory'],
+  admin: ['pedidos', 'goodsReceipts', 'consignments', 'viewInventory', 'editTargetStock', 'manageUsers', 'approveAdjustments', 'manageSapQueue', 'reviewExtractions', 'managePrices', 'viewPatientData', 'manageRecalls'],
+  almacen: ['pedidos', 'goodsReceipts', 'consignments', 'viewInventory', 'reviewExtractions', 'manageRecalls'],
   sales: ['viewInventory', 'editTargetStock'],
   viewer: ['viewInventory']
 };
@@ -55,6 +55,21 @@ const userProfileSchema = new Schema({
       description: 'Last successful SAP connection test'
     }
   },
+  // Notifications the user subscribed to (notificationService EVENTS)
+  notifications: {
+    email: {
+      type: String,
+      trim: true,
+      lowercase: true
+    },
+    events: [{
+      type: String
+    }],
+    // Centros the user follows; empty follows all centros
+    centroIds: [{
+      type: Schema.Types.ObjectId
+    }]
+  },
   isActive: {
     type: Boolean,
     default: true
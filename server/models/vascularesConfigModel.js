@@ -24,6 +24,40 @@ const vascularesConfigSchema = new mongoose.Schema({
     },
   },
 
+  // Inventory adjustment settings
+  ajustes: {
+    // Adjustments above this quantity need admin approval before they are applied
+    approvalThreshold: { type: Number, default: 5, min: 0 },
+  },
+
+  // Document extraction settings
+  extraction: {
+    // Provider that reads packing lists and consumption documents
+    // (unset: EXTRACTION_PROVIDER env var, then gemini)
+    provider: { type: String, enum: ['gemini', 'tesseract', 'fixture'] },
+    // Consumption extractions with any field scored below this (0-1) wait for review
+    reviewThreshold: { type: Number, default: 0.8, min: 0, max: 1 },
+  },
+
+  // Stock level calculator settings (safety stock, reorder point, target stock)
+  planning: {
+    // Probability of not running out during a replenishment cycle
+    serviceLevel: { type: Number, default: 0.95, min: 0.5, max: 0.999 },
+    // Days between replenishment reviews (target stock covers one cycle above the reorder point)
+    reviewPeriodDays: { type: Number, default: 30, min: 1 },
+    // Warehouse → centro replenishment time
+    centroLeadTimeDays: { type: Number, default: 7, min: 0 },
+    // Supplier lead time when there are no received pedidos to measure it
+    supplierLeadTimeDays: { type: Number, default: 30, min: 0 },
+  },
+
+  // Email notification thresholds (daily checks)
+  notifications: {
+    // Consignments still EN_TRANSITO after this many days are reported
+    consignmentTransitDays: { type: Number, default: 3, min: 1 },
+    // Lots at centros expiring within this many days are reported
+    lotExpiryDays: { type: Number, default: 60, min: 1 },
+  },
   // Company reference
   companyId: { type: mongoose.Schema.Types.ObjectId, ref: 'Company', required: true, unique: true },
 }, { timestamps: true });
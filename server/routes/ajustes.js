@@ -0,0 +1,47 @@
+/**
+ * Ajustes Routes
+ * Inventory adjustments (damaged, expired, lost, found, count corrections)
+ */
+const express = require('express');
+const router = express.Router();
+const ajustesController = require('../controllers/ajustes');
+const sapOutboxController = require('../controllers/sapOutbox');
+const { verifyUser, getCompanyIdWithProfile } = require('../util/authenticate');
+const { requirePermission } = require('../middleware/permissions');
+const { body } = require('express-validator');
+
+// All routes require authentication (profile needed for approval permission)
+router.use(verifyUser, getCompanyIdWithProfile);
+
+// Validation rules for creating an adjustment
+const validateCreate = [
+  body('locationId').isMongoId().withMessage('Location ID must be a valid MongoDB ID'),
+  body('loteId').isMongoId().withMessage('Lote ID must be a valid MongoDB ID'),
+  body('reason').isIn(['DAMAGED', 'EXPIRED', 'LOST', 'FOUND', 'CORRECTION']).withMessage('Invalid adjustment reason'),
+  body('direction').optional().isIn(['IN', 'OUT']).withMessage('Direction must be IN or OUT'),
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+];
+
+// Validation rules for updating settings
+const validateConfig = [
+  body('approvalThreshold').isInt({ min: 0 }).withMessage('Approval threshold must be a non-negative integer'),
+];
+
+// Routes
+router.get('/', ajustesController.list);
+
+// Settings (must be before /:id routes)
+router.get('/config', ajustesController.getConfig);
+router.put('/config', requirePermission('approveAdjustments'), validateConfig, ajustesController.updateConfig);
+
+router.get('/:id', ajustesController.getOne);
+router.post('/', validateCreate, ajustesController.create);
+
+// Approval workflow (admin only)
+router.put('/:id/approve', requirePermission('approveAdjustments'), ajustesController.approve);
+router.put('/:id/reject', requirePermission('approveAdjustments'), ajustesController.reject);
+
+// Retry a failed SAP push
+router.post('/:id/retry-sap', sapOutboxController.retryForSource('ajustes'));
+
+module.exports = router;
@@ -16,9 +16,19 @@ router.get('/consumption/by-location', analyticsController.getConsumptionByLocat
 router.get('/consumption/trends', analyticsController.getConsumptionTrends);
 router.get('/consumption/by-size', analyticsController.getConsumptionBySize);
 
+// Consumption per doctor (visit planning and size demand per hospital)
+router.get('/consumption/by-doctor', analyticsController.getConsumptionByDoctor);
+router.get('/consumption/size-demand', analyticsController.getSizeDemandByDoctor);
+
+// Revenue per centro from the prices stamped on consumptions
+router.get('/revenue/by-location', analyticsController.getRevenueByLocation);
+
 // Planning data endpoint (Excel-like view)
 router.get('/planning-data', analyticsController.getPlanningData);
 
+// Demand forecast and back-test of one product (per location)
+router.get('/forecast', analyticsController.getForecast);
+
 // Monthly movements per product per centro (trailing 12 months)
 router.get('/monthly-movements', analyticsController.getMonthlyMovements);
 
@@ -5,6 +5,7 @@
 const express = require('express');
 const router = express.Router();
 const consignacionesController = require('../controllers/consignaciones');
+const sapOutboxController = require('../controllers/sapOutbox');
 const { verifyUser, getCompanyId } = require('../util/authenticate');
 const { body } = require('express-validator');
 
@@ -42,6 +43,6 @@ router.post('/validate-sap-stock', consignacionesController.validateSapStock);
 router.get('/:id', consignacionesController.getOne);
 router.post('/', validateCreate, consignacionesController.create);
 router.put('/:id/confirm', validateConfirm, consignacionesController.confirm);
-router.post('/:id/retry-sap', consignacionesController.retrySap);
+router.post('/:id/retry-sap', sapOutboxController.retryForSource('consignaciones'));
 
 module.exports = router;
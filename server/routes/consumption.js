@@ -6,6 +6,8 @@ const express = require('express');
 const router = express.Router();
 const { body } = require('express-validator');
 const consumptionController = require('../controllers/consumption');
+const sapOutboxController = require('../controllers/sapOutbox');
+const documentsController = require('../controllers/documents');
 const { verifyUser, getCompanyId } = require('../util/authenticate');
 const { packingListUpload, handleUploadError } = require('../middleware/upload');
 
@@ -18,6 +20,15 @@ const validateConsumption = [
   body('items').isArray({ min: 1 }).withMessage('Se requiere al menos un item'),
   body('items.*.loteId').notEmpty().withMessage('Lote es requerido para cada item'),
   body('items.*.quantity').isInt({ min: 1 }).withMessage('Cantidad debe ser mayor a 0'),
+  body('extractionReviewId').optional().isMongoId().withMessage('Revisión de extracción inválida'),
+  body('extractionBatchId').optional().isMongoId().withMessage('Tanda de extracción inválida'),
+  body('batchDraftId')
+    .if(body('extractionBatchId').exists())
+    .isMongoId().withMessage('Borrador de la tanda inválido'),
+  body('documentIds').optional().isArray().withMessage('documentIds debe ser una lista'),
+  body('documentIds.*').isMongoId().withMessage('Documento inválido'),
+  body('doctorId').optional({ values: 'falsy' }).isMongoId().withMessage('Médico inválido'),
+  body('patientIdentifier').optional({ values: 'falsy' }).isString().isLength({ max: 40 }).withMessage('Identificador de paciente inválido'),
 ];
 
 // Get available inventory at a Centro
@@ -39,6 +50,9 @@ router.get('/history', consumptionController.getHistory);
 router.get('/:id', consumptionController.getOne);
 
 // Retry SAP sync
-router.post('/:id/retry-sap', consumptionController.retrySap);
+router.post('/:id/retry-sap', sapOutboxController.retryForSource('consumos'));
+
+// Attach source documents to the SAP document (retry)
+router.post('/:id/attach-documents', documentsController.attachForSource('consumos'));
 
 module.exports = router;
@@ -0,0 +1,44 @@
+/**
+ * Consumption Batches Routes
+ * Many consumption forms in one upload, grouped into drafts per centro and date
+ */
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const consumptionBatchesController = require('../controllers/consumptionBatches');
+const { verifyUser, getCompanyIdWithProfile } = require('../util/authenticate');
+const { consumptionBatchUpload, handleUploadError } = require('../middleware/upload');
+
+// All routes require authentication (profile needed for the review permission)
+router.use(verifyUser, getCompanyIdWithProfile);
+
+const validateIds = [
+  param('id').isMongoId().withMessage('Tanda inválida'),
+  param('formId').optional().isMongoId().withMessage('Formulario inválido'),
+  param('draftId').optional().isMongoId().withMessage('Borrador inválido'),
+];
+
+// Validation rules for confirming a draft
+const validateApprove = [
+  ...validateIds,
+  body('items').isArray({ min: 1 }).withMessage('Se requiere al menos un item'),
+  body('items.*.loteId').isMongoId().withMessage('Lote es requerido para cada item'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Cantidad debe ser mayor a 0'),
+];
+
+router.post('/', consumptionBatchUpload, handleUploadError, consumptionBatchesController.create);
+router.get('/', consumptionBatchesController.list);
+router.get('/:id', consumptionBatchesController.getOne);
+
+// Forms whose hospital was not recognized
+router.put(
+  '/:id/forms/:formId/centro',
+  [...validateIds, body('centroId').isMongoId().withMessage('Centro es requerido')],
+  consumptionBatchesController.assignCentro
+);
+
+// Drafts
+router.put('/:id/drafts/:draftId/approve', validateApprove, consumptionBatchesController.approveDraft);
+router.put('/:id/drafts/:draftId/discard', validateIds, consumptionBatchesController.discardDraft);
+
+module.exports = router;
@@ -0,0 +1,42 @@
+/**
+ * Conteos Routes
+ * Physical cycle count sessions per location
+ */
+const express = require('express');
+const router = express.Router();
+const conteosController = require('../controllers/conteos');
+const { verifyUser, getCompanyIdWithProfile } = require('../util/authenticate');
+const { requirePermission } = require('../middleware/permissions');
+const { body } = require('express-validator');
+
+// All routes require authentication (profile needed for approval permission)
+router.use(verifyUser, getCompanyIdWithProfile);
+
+// Validation rules for opening a session
+const validateCreate = [
+  body('locationId').isMongoId().withMessage('Location ID must be a valid MongoDB ID'),
+];
+
+// Validation rules for saving counted quantities
+const validateCounts = [
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.itemId').isMongoId().withMessage('Item ID must be a valid MongoDB ID'),
+  body('items.*.countedQuantity').isInt({ min: 0 }).withMessage('Counted quantity must be a non-negative integer'),
+];
+
+// Routes
+router.get('/', conteosController.list);
+router.get('/:id', conteosController.getOne);
+router.post('/', validateCreate, conteosController.create);
+
+// Counting
+router.post('/:id/sap-stock', conteosController.fetchSapStock);
+router.put('/:id/counts', validateCounts, conteosController.saveCounts);
+router.put('/:id/submit', conteosController.submit);
+router.put('/:id/cancel', conteosController.cancel);
+
+// Variance approval (admin only)
+router.post('/:id/items/:itemId/approve', requirePermission('approveAdjustments'), conteosController.approveVariance);
+router.post('/:id/items/:itemId/reject', requirePermission('approveAdjustments'), conteosController.rejectVariance);
+
+module.exports = router;
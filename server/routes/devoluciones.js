@@ -0,0 +1,46 @@
+/**
+ * Devoluciones Routes
+ * Endpoints for returning stock from centros back to the warehouse
+ */
+const express = require('express');
+const router = express.Router();
+const devolucionesController = require('../controllers/devoluciones');
+const sapOutboxController = require('../controllers/sapOutbox');
+const { verifyUser, getCompanyId } = require('../util/authenticate');
+const { body } = require('express-validator');
+
+// All routes require authentication
+router.use(verifyUser, getCompanyId);
+
+// Validation rules for creating a return
+const validateCreate = [
+  body('fromLocationId').notEmpty().withMessage('From location (centro) is required'),
+  body('toLocationId').notEmpty().withMessage('To location (warehouse) is required'),
+  body('reason').optional().isIn(['VENCIMIENTO', 'RETIRO', 'EXCESO', 'OTRO']).withMessage('Invalid return reason'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.loteId').isMongoId().withMessage('Lote ID must be a valid MongoDB ID'),
+  body('items.*.quantitySent').isInt({ min: 1 }).withMessage('Quantity sent must be at least 1'),
+];
+
+// Validation rules for confirming receipt
+const validateConfirm = [
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.loteId').isMongoId().withMessage('Lote ID must be a valid MongoDB ID'),
+  body('items.*.quantityReceived').isInt({ min: 0 }).withMessage('Quantity received must be a non-negative integer'),
+];
+
+// Routes
+router.get('/', devolucionesController.list);
+
+// Lots at a centro that can be returned (must be before /:id routes)
+router.get('/available/:centroId', devolucionesController.getAvailableLots);
+
+// Pre-operation guard: validate SAP stock in the centro bin before creating
+router.post('/validate-sap-stock', devolucionesController.validateSapStock);
+
+router.get('/:id', devolucionesController.getOne);
+router.post('/', validateCreate, devolucionesController.create);
+router.put('/:id/confirm', validateConfirm, devolucionesController.confirm);
+router.post('/:id/retry-sap', sapOutboxController.retryForSource('devoluciones'));
+
+module.exports = router;
@@ -0,0 +1,16 @@
+/**
+ * Documents Routes
+ * Uploaded packing lists and consumption forms
+ */
+const express = require('express');
+const router = express.Router();
+const documentsController = require('../controllers/documents');
+const { verifyUser, getCompanyId } = require('../util/authenticate');
+
+// All routes require authentication
+router.use(verifyUser, getCompanyId);
+
+router.get('/:id', documentsController.getOne);
+router.get('/:id/content', documentsController.getContent);
+
+module.exports = router;
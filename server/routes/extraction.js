@@ -0,0 +1,25 @@
+/**
+ * Extraction Routes
+ * Document extraction settings (OCR provider, review threshold)
+ */
+const express = require('express');
+const router = express.Router();
+const extractionController = require('../controllers/extraction');
+const { verifyUser, getCompanyIdWithProfile } = require('../util/authenticate');
+const { requireRole } = require('../middleware/permissions');
+const { PROVIDER_NAMES } = require('../services/extractionService');
+const { body } = require('express-validator');
+
+// All routes require authentication (profile needed for the admin check)
+router.use(verifyUser, getCompanyIdWithProfile);
+
+// Validation rules for updating settings
+const validateConfig = [
+  body('provider').optional().isIn(PROVIDER_NAMES).withMessage(`Provider must be one of: ${PROVIDER_NAMES.join(', ')}`),
+  body('reviewThreshold').optional().isFloat({ min: 0, max: 1 }).withMessage('Review threshold must be between 0 and 1'),
+];
+
+router.get('/config', extractionController.getConfig);
+router.put('/config', requireRole('admin'), validateConfig, extractionController.updateConfig);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+/**
+ * Extraction Reviews Routes
+ * Low-confidence consumption extractions waiting for a second person
+ */
+const express = require('express');
+const router = express.Router();
+const extractionReviewsController = require('../controllers/extractionReviews');
+const { verifyUser, getCompanyIdWithProfile } = require('../util/authenticate');
+const { requirePermission } = require('../middleware/permissions');
+const { body } = require('express-validator');
+
+// All routes require authentication (profile needed for the review permission)
+router.use(verifyUser, getCompanyIdWithProfile);
+
+// Validation rules for approving a review
+const validateApprove = [
+  body('items').isArray({ min: 1 }).withMessage('Se requiere al menos un item'),
+  body('items.*.loteId').isMongoId().withMessage('Lote es requerido para cada item'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Cantidad debe ser mayor a 0'),
+  body('procedureDate').optional({ values: 'falsy' }).isISO8601().withMessage('Fecha de procedimiento inválida'),
+];
+
+router.get('/', extractionReviewsController.list);
+router.get('/:id', extractionReviewsController.getOne);
+
+// Approval workflow
+router.put('/:id/approve', requirePermission('reviewExtractions'), validateApprove, extractionReviewsController.approve);
+router.put('/:id/reject', requirePermission('reviewExtractions'), extractionReviewsController.reject);
+
+module.exports = router;
@@ -1,6 +1,8 @@
 const express = require('express');
 const router = express.Router();
 const goodsReceiptController = require('../controllers/goodsReceipt');
+const sapOutboxController = require('../controllers/sapOutbox');
+const documentsController = require('../controllers/documents');
 const { verifyUser, getCompanyId } = require('../util/authenticate');
 const { body } = require('express-validator');
 const { packingListUpload, handleUploadError } = require('../middleware/upload');
@@ -16,6 +18,10 @@ const validateGoodsReceipt = [
   body('items.*.lotNumber').trim().notEmpty().withMessage('Lot number is required for each item'),
   body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
   body('items.*.expiryDate').isISO8601().withMessage('Valid expiry date is required for each item'),
+  body('documentIds').optional().isArray().withMessage('documentIds must be an array'),
+  body('documentIds.*').isMongoId().withMessage('Invalid document ID'),
+  body('allocateToPedidos').optional().isBoolean().withMessage('allocateToPedidos must be a boolean'),
+  body('pedidoId').optional().isMongoId().withMessage('Invalid pedido ID'),
 ];
 
 // Routes
@@ -26,12 +32,16 @@ router.post('/', validateGoodsReceipt, goodsReceiptController.createGoodsReceipt
 // Batch validation against SAP
 router.post('/validate-batches', goodsReceiptController.validateBatches);
 
-// Packing list extraction (Claude Vision)
+// Packing list extraction (company extraction provider)
 router.post('/extract', packingListUpload, handleUploadError, goodsReceiptController.extractFromPackingList);
 
 // History and management
 router.get('/history', goodsReceiptController.listGoodsReceipts);
 router.get('/:id', goodsReceiptController.getGoodsReceipt);
-router.post('/:id/retry-sap', goodsReceiptController.retrySapPush);
+router.post('/:id/retry-sap', sapOutboxController.retryForSource('goodsreceipts'));
+router.post('/:id/allocate-pedidos', goodsReceiptController.allocatePedidos);
+
+// Attach source documents to the SAP document (retry)
+router.post('/:id/attach-documents', documentsController.attachForSource('goodsreceipts'));
 
 module.exports = router;
@@ -16,6 +16,7 @@ router.get('/alerts', inventarioController.getAlerts);
 router.get('/lotes', inventarioController.getLotes);
 router.get('/lotes/location/:locationId', inventarioController.getLotesByLocation);
 router.get('/lotes/expiring', inventarioController.getExpiringLotes);
+router.get('/lotes/rotation', inventarioController.getRotationSuggestions);
 
 // Dashboard
 router.get('/dashboard/stats', inventarioController.getDashboardStats);
@@ -5,24 +5,56 @@
 const express = require('express');
 const router = express.Router();
 const inventarioObjetivosController = require('../controllers/inventarioObjetivos');
-const { verifyUser, getCompanyId } = require('../util/authenticate');
+const { verifyUser, getCompanyIdWithProfile } = require('../util/authenticate');
+const { requirePermission } = require('../middleware/permissions');
 const { body } = require('express-validator');
 
-// All routes require authentication
-router.use(verifyUser, getCompanyId);
+// All routes require authentication (profile needed for the calculator permissions)
+router.use(verifyUser, getCompanyIdWithProfile);
 
 // Validation rules for upsert
 const validateUpsert = [
   body('productId').notEmpty().withMessage('Product ID is required'),
   body('locationId').notEmpty().withMessage('Location ID is required'),
   body('targetStock').optional().isInt({ min: 0 }).withMessage('Stock objetivo must be a non-negative integer'),
+  body('safetyStock').optional().isInt({ min: 0 }).withMessage('Stock de seguridad must be a non-negative integer'),
+  body('reorderPoint').optional().isInt({ min: 0 }).withMessage('Punto de reorden must be a non-negative integer'),
 ];
 
 // Validation rules for update
 const validateUpdate = [
   body('targetStock').optional().isInt({ min: 0 }).withMessage('Stock objetivo must be a non-negative integer'),
+  body('safetyStock').optional().isInt({ min: 0 }).withMessage('Stock de seguridad must be a non-negative integer'),
+  body('reorderPoint').optional().isInt({ min: 0 }).withMessage('Punto de reorden must be a non-negative integer'),
 ];
 
+// Validation rules for the stock level calculator
+const validateCalculatorConfig = [
+  body('serviceLevel').optional().isFloat({ min: 0.5, max: 0.999 }).withMessage('Service level must be between 0.5 and 0.999'),
+  body('reviewPeriodDays').optional().isInt({ min: 1 }).withMessage('Review period must be at least 1 day'),
+  body('centroLeadTimeDays').optional().isInt({ min: 0 }).withMessage('Centro lead time must be a non-negative integer'),
+  body('supplierLeadTimeDays').optional().isInt({ min: 0 }).withMessage('Supplier lead time must be a non-negative integer'),
+];
+
+const validatePreview = [
+  body('serviceLevel').optional().isFloat({ min: 0.5, max: 0.999 }).withMessage('Service level must be between 0.5 and 0.999'),
+  body('locationId').optional().isMongoId().withMessage('Location ID must be a valid MongoDB ID'),
+];
+
+const validateApply = [
+  body('items').optional().isArray({ min: 1 }).withMessage('Items must be a non-empty array'),
+  body('items.*.productId').isMongoId().withMessage('Product ID must be a valid MongoDB ID'),
+  body('items.*.locationId').optional({ values: 'null' }).isMongoId().withMessage('Location ID must be a valid MongoDB ID'),
+];
+
+// Stock level calculator (must be before /:id routes)
+router.get('/calculator/config', inventarioObjetivosController.getCalculatorConfig);
+router.put('/calculator/config', requirePermission('editTargetStock'), validateCalculatorConfig, inventarioObjetivosController.updateCalculatorConfig);
+router.post('/calculator/preview', validatePreview, inventarioObjetivosController.previewCalculation);
+router.get('/calculator/runs', inventarioObjetivosController.listCalculationRuns);
+router.get('/calculator/runs/:id', inventarioObjetivosController.getCalculationRun);
+router.post('/calculator/runs/:id/apply', requirePermission('editTargetStock'), validateApply, inventarioObjetivosController.applyCalculation);
+
 // Routes
 router.get('/', inventarioObjetivosController.list);
 router.get('/:id', inventarioObjetivosController.getOne);
@@ -0,0 +1,21 @@
+/**
+ * Inventory Check Routes
+ * Admin endpoints for the Lote / Inventario / ledger invariant check
+ */
+const express = require('express');
+const router = express.Router();
+const inventoryCheckController = require('../controllers/inventoryCheck');
+const { verifyUser, getCompanyIdWithProfile } = require('../util/authenticate');
+const { requireRole } = require('../middleware/permissions');
+
+// All routes require an admin
+router.use(verifyUser, getCompanyIdWithProfile, requireRole('admin'));
+
+// Run a check now (optionally repairing)
+router.post('/run', inventoryCheckController.triggerRun);
+
+// Run history
+router.get('/runs', inventoryCheckController.getRunHistory);
+router.get('/runs/:id', inventoryCheckController.getRun);
+
+module.exports = router;
@@ -0,0 +1,37 @@
+/**
+ * Medicos Routes
+ * Implanting physicians per Centro
+ */
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const medicosController = require('../controllers/medicos');
+const { verifyUser, getCompanyId } = require('../util/authenticate');
+
+// All routes require authentication
+router.use(verifyUser, getCompanyId);
+
+// Validation rules shared by create and update
+const validateFields = [
+  body('email').optional({ values: 'falsy' }).isEmail().withMessage('Email inválido'),
+  body('centroIds').optional().isArray().withMessage('centroIds debe ser una lista'),
+  body('centroIds.*').isMongoId().withMessage('Centro inválido'),
+  body('active').optional().isBoolean().withMessage('active debe ser true o false'),
+];
+
+const validateCreate = [
+  body('name').trim().notEmpty().withMessage('Nombre es requerido'),
+  ...validateFields,
+];
+
+const validateUpdate = [
+  param('id').isMongoId().withMessage('Médico inválido'),
+  body('name').optional().trim().notEmpty().withMessage('Nombre no puede estar vacío'),
+  ...validateFields,
+];
+
+router.get('/', medicosController.list);
+router.post('/', validateCreate, medicosController.create);
+router.put('/:id', validateUpdate, medicosController.update);
+
+module.exports = router;
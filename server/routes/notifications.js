@@ -0,0 +1,46 @@
+/**
+ * Notifications Routes
+ * In-app notifications and email subscriptions (current user), and settings
+ */
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const notificationsController = require('../controllers/notifications');
+const { verifyUser, getCompanyIdWithProfile } = require('../util/authenticate');
+const { requireRole } = require('../middleware/permissions');
+
+// All routes require authentication (the profile holds the subscriptions)
+router.use(verifyUser, getCompanyIdWithProfile);
+
+const validateList = [
+  query('before').optional().isISO8601().withMessage('Fecha inválida'),
+  query('limit').optional().isInt({ min: 1, max: 100 }).withMessage('El límite debe estar entre 1 y 100'),
+];
+
+const validateSubscriptions = [
+  body('email').optional({ values: 'falsy' }).isEmail().withMessage('Correo inválido'),
+  body('events').isArray().withMessage('events debe ser una lista'),
+  body('events.*').isString().withMessage('Evento inválido'),
+  body('centroIds').optional().isArray().withMessage('centroIds debe ser una lista'),
+  body('centroIds.*').isMongoId().withMessage('Centro inválido'),
+];
+
+const validateConfig = [
+  body('consignmentTransitDays').optional().isInt({ min: 1, max: 60 }).withMessage('Los días en tránsito deben estar entre 1 y 60').toInt(),
+  body('lotExpiryDays').optional().isInt({ min: 1, max: 365 }).withMessage('Los días para vencimiento deben estar entre 1 y 365').toInt(),
+];
+
+router.get('/', validateList, notificationsController.list);
+router.get('/unread-count', notificationsController.getUnreadCount);
+router.put('/read-all', notificationsController.markAllRead);
+
+router.get('/subscriptions', notificationsController.getSubscriptions);
+router.put('/subscriptions', validateSubscriptions, notificationsController.updateSubscriptions);
+router.post('/subscriptions/test', notificationsController.sendTest);
+
+router.get('/config', notificationsController.getConfig);
+router.put('/config', requireRole('admin'), validateConfig, notificationsController.updateConfig);
+
+router.put('/:id/read', notificationsController.markRead);
+
+module.exports = router;
@@ -1,10 +1,11 @@
 /**
  * Pedidos Routes
- * Endpoints for managing supplier orders (internal tracking)
+ * Endpoints for managing supplier orders (SAP Purchase Orders)
  */
 const express = require('express');
 const router = express.Router();
 const pedidosController = require('../controllers/pedidos');
+const sapOutboxController = require('../controllers/sapOutbox');
 const { verifyUser, getCompanyId } = require('../util/authenticate');
 const { body, query } = require('express-validator');
 
@@ -18,6 +19,8 @@ const validateCreate = [
   body('items.*.quantityOrdered').isInt({ min: 1 }).withMessage('Quantity ordered must be at least 1'),
   body('orderDate').optional().isISO8601().withMessage('Order date must be a valid date'),
   body('expectedArrivalDate').optional().isISO8601().withMessage('Expected arrival date must be a valid date'),
+  body('supplierCode').optional().isString().trim().notEmpty().withMessage('Supplier code must be a SAP CardCode'),
+  body('pushToSap').optional().isBoolean().withMessage('pushToSap must be a boolean'),
 ];
 
 // Validation rules for receiving items
@@ -27,6 +30,14 @@ const validateReceive = [
   body('items.*.quantityReceived').isInt({ min: 1 }).withMessage('Quantity received must be at least 1'),
 ];
 
+// Validation rules for the allocation preview
+const validateAllocationPreview = [
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.productId').isMongoId().withMessage('Product ID is required for each item'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+  body('pedidoId').optional().isMongoId().withMessage('Invalid pedido ID'),
+];
+
 // Routes - specific routes MUST come before parameterized routes
 
 // Get pending quantities by product (for planning calculation)
@@ -35,6 +46,9 @@ router.get('/pending-by-product', pedidosController.getPendingByProduct);
 // Suggest pedidos matching given product IDs (for GoodsReceipt linking)
 router.get('/suggest-for-items', pedidosController.suggestForItems);
 
+// Preview how goods receipt items would be allocated to open pedidos
+router.post('/allocation-preview', validateAllocationPreview, pedidosController.previewAllocation);
+
 // CRUD routes
 router.get('/', pedidosController.getAll);
 router.post('/', validateCreate, pedidosController.create);
@@ -45,4 +59,8 @@ router.delete('/:id', pedidosController.cancel);
 // Receive items (update quantities received)
 router.post('/:id/receive', validateReceive, pedidosController.receiveItems);
 
+// SAP Purchase Order: open quantities, and (re)send the order
+router.get('/:id/sap-status', pedidosController.getSapStatus);
+router.post('/:id/retry-sap', sapOutboxController.retryForSource('pedidos'));
+
 module.exports = router;
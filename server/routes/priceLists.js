@@ -0,0 +1,47 @@
+/**
+ * Price Lists Routes
+ * Negotiated prices per Centro
+ */
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const priceListsController = require('../controllers/priceLists');
+const { verifyUser, getCompanyIdWithProfile } = require('../util/authenticate');
+const { requirePermission } = require('../middleware/permissions');
+
+// All routes require authentication
+router.use(verifyUser, getCompanyIdWithProfile);
+
+const CATEGORIES = ['GUIAS', 'STENTS_CORONARIOS', 'STENTS_RECUBIERTOS'];
+
+// Validation rules shared by create and update
+const validateFields = [
+  body('productId').optional({ values: 'falsy' }).isMongoId().withMessage('Producto inválido'),
+  body('category').optional({ values: 'falsy' }).isIn(CATEGORIES).withMessage('Categoría inválida'),
+  body('diameter').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Diámetro inválido'),
+  body('length').optional({ values: 'falsy' }).isFloat({ min: 0 }).withMessage('Largo inválido'),
+  body('currency').optional().isString().isLength({ min: 3, max: 3 }).withMessage('Moneda inválida'),
+  body('validTo').optional({ values: 'falsy' }).isISO8601().withMessage('Fecha final inválida'),
+];
+
+const validateCreate = [
+  body('centroId').isMongoId().withMessage('Centro es requerido'),
+  body('price').isFloat({ min: 0 }).withMessage('Precio debe ser 0 o mayor'),
+  body('validFrom').isISO8601().withMessage('Fecha inicial es requerida'),
+  ...validateFields,
+];
+
+const validateUpdate = [
+  param('id').isMongoId().withMessage('Precio inválido'),
+  body('centroId').optional().isMongoId().withMessage('Centro inválido'),
+  body('price').optional().isFloat({ min: 0 }).withMessage('Precio debe ser 0 o mayor'),
+  body('validFrom').optional().isISO8601().withMessage('Fecha inicial inválida'),
+  ...validateFields,
+];
+
+router.get('/', priceListsController.list);
+router.post('/', requirePermission('managePrices'), validateCreate, priceListsController.create);
+router.put('/:id', requirePermission('managePrices'), validateUpdate, priceListsController.update);
+router.delete('/:id', requirePermission('managePrices'), priceListsController.remove);
+
+module.exports = router;
@@ -0,0 +1,28 @@
+/**
+ * Procedimientos Routes
+ * Implant registry search and procedure records
+ */
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const procedimientosController = require('../controllers/procedimientos');
+const { verifyUser, getCompanyIdWithProfile } = require('../util/authenticate');
+const { requirePermission } = require('../middleware/permissions');
+
+// All routes require authentication
+router.use(verifyUser, getCompanyIdWithProfile);
+
+const validateUpdate = [
+  param('id').isMongoId().withMessage('Procedimiento inválido'),
+  body('doctorId').optional({ values: 'falsy' }).isMongoId().withMessage('Médico inválido'),
+  body('patientIdentifier').optional().isString().isLength({ max: 40 }).withMessage('Identificador de paciente inválido'),
+];
+
+// Routes - specific routes MUST come before parameterized routes
+router.get('/', procedimientosController.list);
+router.get('/search', procedimientosController.search);
+router.get('/:id', procedimientosController.getOne);
+router.put('/:id', validateUpdate, procedimientosController.update);
+router.get('/:id/patient-identifier', requirePermission('viewPatientData'), procedimientosController.getPatientIdentifier);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const router = express.Router();
 const productosController = require('../controllers/productos');
 const { verifyUser, getCompanyId } = require('../util/authenticate');
 const { body } = require('express-validator');
+const { isValidGtin } = require('../util/gs1');
 
 // All routes require authentication
 router.use(verifyUser, getCompanyId);
@@ -11,6 +12,7 @@ router.use(verifyUser, getCompanyId);
 const validateProductCreate = [
   body('name').trim().notEmpty().withMessage('Nombre es requerido'),
   body('code').isInt().withMessage('Código debe ser un número'),
+  body('gtin').optional({ checkFalsy: true }).custom(isValidGtin).withMessage('GTIN inválido (dígito verificador)'),
   body('category').isIn(['GUIAS', 'STENTS_CORONARIOS', 'STENTS_RECUBIERTOS']).withMessage('Categoría inválida'),
   body('specifications.diameter').optional().isFloat({ min: 0 }).withMessage('Diámetro debe ser un número positivo'),
   body('specifications.length').optional().isFloat({ min: 0 }).withMessage('Longitud debe ser un número positivo'),
@@ -20,6 +22,7 @@ const validateProductCreate = [
 const validateProductUpdate = [
   body('name').optional().trim().notEmpty().withMessage('Nombre no puede estar vacío'),
   body('code').optional().isInt().withMessage('Código debe ser un número'),
+  body('gtin').optional({ checkFalsy: true }).custom(isValidGtin).withMessage('GTIN inválido (dígito verificador)'),
   body('category').optional().isIn(['GUIAS', 'STENTS_CORONARIOS', 'STENTS_RECUBIERTOS']).withMessage('Categoría inválida'),
   body('specifications.diameter').optional().isFloat({ min: 0 }).withMessage('Diámetro debe ser un número positivo'),
   body('specifications.length').optional().isFloat({ min: 0 }).withMessage('Longitud debe ser un número positivo'),
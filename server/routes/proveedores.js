@@ -0,0 +1,32 @@
+/**
+ * Proveedores Routes
+ * Supplier master data from SAP and the supplier scorecard
+ */
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const proveedoresController = require('../controllers/proveedores');
+const { verifyUser, getCompanyIdWithProfile } = require('../util/authenticate');
+const { requirePermission } = require('../middleware/permissions');
+
+// All routes require authentication
+router.use(verifyUser, getCompanyIdWithProfile);
+
+const validateWindow = [
+  query('months').optional().isInt({ min: 1, max: 60 }).withMessage('months debe estar entre 1 y 60'),
+];
+
+const validateUpdate = [
+  param('id').isMongoId().withMessage('Proveedor inválido'),
+  body('leadTimeCommitmentDays').optional({ values: 'null' }).isInt({ min: 0, max: 365 }).withMessage('El plazo comprometido debe estar entre 0 y 365 días'),
+  body('notes').optional().isString().withMessage('notes debe ser texto'),
+];
+
+// Specific routes before parameterized routes
+router.get('/', proveedoresController.list);
+router.post('/sync', requirePermission('pedidos'), proveedoresController.sync);
+router.get('/scorecard', validateWindow, proveedoresController.getScorecard);
+router.get('/:id', param('id').isMongoId().withMessage('Proveedor inválido'), validateWindow, proveedoresController.getById);
+router.put('/:id', requirePermission('pedidos'), validateUpdate, proveedoresController.update);
+
+module.exports = router;
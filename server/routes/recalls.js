@@ -0,0 +1,45 @@
+/**
+ * Recalls Routes
+ * Endpoints for manufacturer recall notices and lot pull-back tracking
+ */
+const express = require('express');
+const router = express.Router();
+const recallsController = require('../controllers/recalls');
+const { verifyUser, getCompanyIdWithProfile } = require('../util/authenticate');
+const { requirePermission } = require('../middleware/permissions');
+const { body } = require('express-validator');
+
+// All routes require authentication (profile needed for recall permission)
+router.use(verifyUser, getCompanyIdWithProfile);
+
+// Validation rules for opening a recall
+// lotNumbers and productCodes accept an array or a comma/newline separated string
+const validateCreate = [
+  body('reference').notEmpty().withMessage('Recall notice reference is required'),
+  body('noticeDate').optional().isISO8601().withMessage('Notice date must be a valid date'),
+];
+
+// Validation rules for resolving units of a plan line
+const validateResolve = [
+  body('action').isIn(['RETURNED', 'QUARANTINED']).withMessage('Action must be RETURNED or QUARANTINED'),
+  body('quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1').toInt(),
+];
+
+// Routes - specific routes MUST come before parameterized routes
+router.get('/', recallsController.list);
+
+// Preview affected lotes/locations without marking anything
+router.post('/preview', recallsController.preview);
+
+// All locations currently holding RECALLED units
+router.get('/exposure', recallsController.getExposure);
+
+router.get('/:id', recallsController.getOne);
+router.get('/:id/patients', recallsController.getPatients);
+
+// Opening, resolving and closing recalls blocks and releases stock
+router.post('/', requirePermission('manageRecalls'), validateCreate, recallsController.create);
+router.post('/:id/units/:unitId/resolve', requirePermission('manageRecalls'), validateResolve, recallsController.resolveUnit);
+router.put('/:id/close', requirePermission('manageRecalls'), recallsController.close);
+
+module.exports = router;
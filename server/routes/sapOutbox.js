@@ -0,0 +1,21 @@
+/**
+ * SAP Outbox Routes
+ * Admin view of the SAP document push queue
+ */
+const express = require('express');
+const router = express.Router();
+const sapOutboxController = require('../controllers/sapOutbox');
+const { verifyUser, getCompanyIdWithProfile } = require('../util/authenticate');
+const { requirePermission } = require('../middleware/permissions');
+
+// All routes require authentication and the queue permission
+router.use(verifyUser, getCompanyIdWithProfile, requirePermission('manageSapQueue'));
+
+// Routes (specific routes before /:id)
+router.get('/', sapOutboxController.list);
+router.get('/stats', sapOutboxController.getStats);
+router.post('/process', sapOutboxController.processNow);
+router.get('/:id', sapOutboxController.getOne);
+router.post('/:id/retry', sapOutboxController.retry);
+
+module.exports = router;
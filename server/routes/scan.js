@@ -0,0 +1,16 @@
+/**
+ * Scan Routes
+ * GS1 DataMatrix / UDI barcode resolution
+ */
+const express = require('express');
+const router = express.Router();
+const scanController = require('../controllers/scan');
+const { verifyUser, getCompanyId } = require('../util/authenticate');
+
+// All routes require authentication
+router.use(verifyUser, getCompanyId);
+
+// Resolve a scanned code to product, lot and expiry
+router.post('/resolve', scanController.resolve);
+
+module.exports = router;
@@ -0,0 +1,30 @@
+/**
+ * Traslados Routes
+ * Direct centro → centro transfers
+ */
+const express = require('express');
+const router = express.Router();
+const trasladosController = require('../controllers/traslados');
+const sapOutboxController = require('../controllers/sapOutbox');
+const { verifyUser, getCompanyId } = require('../util/authenticate');
+const { body } = require('express-validator');
+
+// All routes require authentication
+router.use(verifyUser, getCompanyId);
+
+// Validation rules for creating a transfer
+const validateCreate = [
+  body('fromLocationId').isMongoId().withMessage('From location (centro) must be a valid MongoDB ID'),
+  body('toLocationId').isMongoId().withMessage('To location (centro) must be a valid MongoDB ID'),
+  body('items').isArray({ min: 1 }).withMessage('At least one item is required'),
+  body('items.*.loteId').isMongoId().withMessage('Lote ID must be a valid MongoDB ID'),
+  body('items.*.quantity').isInt({ min: 1 }).withMessage('Quantity must be at least 1'),
+];
+
+// Routes
+router.get('/', trasladosController.list);
+router.get('/:id', trasladosController.getOne);
+router.post('/', validateCreate, trasladosController.create);
+router.post('/:id/retry-sap', sapOutboxController.retryForSource('traslados'));
+
+module.exports = router;
@@ -189,8 +189,6 @@ async function main() {
         docNum: doc.sapDocNum,
         docType: 'DeliveryNotes',
         syncDate: doc.sapDocDate,
-        retryCount: 0,
-        retrying: false,
       },
       totalItems: consumoItems.length,
       totalQuantity,
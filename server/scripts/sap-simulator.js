@@ -0,0 +1,89 @@
+#!/usr/bin/env node
+/**
+ * Run the SAP B1 Service Layer simulator
+ *
+ * Serves the Service Layer endpoints used by services/sapService.js against an
+ * in-memory batch/bin stock model, so consumption, consignment, goods receipt
+ * and reconciliation flows can be exercised without the production SAP.
+ *
+ * Point the server at it with:
+ *   SAP_B1_SERVICE_URL=http://127.0.0.1:50000/b1s/v1
+ *
+ * Usage:
+ *   node scripts/sap-simulator.js
+ *   node scripts/sap-simulator.js --port 50001 --page-size 5
+ *   node scripts/sap-simulator.js --seed ./my-seed.json --session-timeout 2
+ *   node scripts/sap-simulator.js --user manager --password secret
+ *   node scripts/sap-simulator.js --sql-allowlist OIBT,OBTN,OBBQ,OBIN   (forces the OData fallbacks)
+ *
+ * Control API (no session needed):
+ *   GET    /__simulator/state               Stock, document counts, faults
+ *   GET    /__simulator/documents/:set      Posted documents (e.g. StockTransfers)
+ *   POST   /__simulator/stock               Set stock { ItemCode, Batch, WarehouseCode, BinAbsEntry, Quantity, ExpDate }
+ *   POST   /__simulator/faults              Inject a fault { method, path, mode, status, times, delayMs }
+ *   DELETE /__simulator/faults              Clear faults
+ *   POST   /__simulator/sessions/expire     Force 401 on the next request
+ *   POST   /__simulator/reset               Back to the seed data
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { createSapSimulator } = require('../simulator/sapSimulator');
+
+// Parse args
+const args = process.argv.slice(2);
+const port = parseInt(getArgValue('--port') || process.env.SAP_SIMULATOR_PORT || '50000', 10);
+const host = getArgValue('--host') || '127.0.0.1';
+const seedArg = getArgValue('--seed');
+const pageSize = parseInt(getArgValue('--page-size') || '20', 10);
+const sessionTimeoutMinutes = parseFloat(getArgValue('--session-timeout') || '30');
+const userArg = getArgValue('--user');
+const passwordArg = getArgValue('--password');
+const allowlistArg = getArgValue('--sql-allowlist');
+
+function getArgValue(name) {
+  const idx = args.indexOf(name);
+  return idx >= 0 && idx + 1 < args.length ? args[idx + 1] : null;
+}
+
+async function main() {
+  const options = {
+    pageSize,
+    sessionTimeoutMs: sessionTimeoutMinutes * 60 * 1000,
+    log: !args.includes('--quiet'),
+  };
+
+  if (seedArg) {
+    options.seed = JSON.parse(fs.readFileSync(path.resolve(seedArg), 'utf8'));
+  }
+  if (allowlistArg) {
+    options.sqlAllowlist = allowlistArg.split(',').map((t) => t.trim().toUpperCase());
+  }
+  if (userArg) {
+    options.users = { [userArg]: passwordArg || '' };
+  }
+
+  const simulator = createSapSimulator(options);
+  const { url } = await simulator.listen(port, host);
+
+  console.log('='.repeat(60));
+  console.log('SAP B1 Service Layer simulator');
+  console.log('='.repeat(60));
+  console.log(`Service Layer: ${url}`);
+  console.log(`Control API:   http://${host}:${port}/__simulator/state`);
+  console.log(`Page size: ${pageSize} | Session timeout: ${sessionTimeoutMinutes} min`);
+  console.log('');
+  console.log(`Set SAP_B1_SERVICE_URL=${url} in server/.env to use it.`);
+
+  const shutdown = async () => {
+    await simulator.close();
+    process.exit(0);
+  };
+  process.on('SIGINT', shutdown);
+  process.on('SIGTERM', shutdown);
+}
+
+main().catch((error) => {
+  console.error('Failed to start SAP simulator:', error.message);
+  process.exit(1);
+});
@@ -0,0 +1,286 @@
+/**
+ * Ajustes Service
+ * Applies inventory adjustments: lote, inventario, transaction and ajuste
+ * updates in one Mongo transaction, with the SAP Goods Issue / Goods Receipt
+ * queued in the SAP outbox (see services/sapOutboxService.js).
+ *
+ * Used by:
+ * - Ajustes controller (manual adjustments and admin approvals)
+ * - Conteos controller (approved cycle-count variances)
+ */
+const mongoose = require('mongoose');
+const {
+  getAjustesModel,
+  getLotesModel,
+  getProductosModel,
+  getLocacionesModel,
+  getInventarioModel,
+  getTransaccionesModel,
+  getVascularesConfigModel,
+} = require('../getModel');
+const sapOutboxService = require('./sapOutboxService');
+
+const DEFAULT_APPROVAL_THRESHOLD = 5;
+
+/**
+ * Update inventario aggregation for a product at a location
+ * @param {string} companyId - Company ID
+ * @param {string} productId - Product ID
+ * @param {string} locationId - Location ID
+ * @param {Object} session - MongoDB session (optional, for transactions)
+ */
+async function updateInventario(companyId, productId, locationId, session = null) {
+  const Inventario = await getInventarioModel(companyId);
+  const Lotes = await getLotesModel(companyId);
+
+  // Aggregate all lotes for this product at this location
+  const query = Lotes.find({
+    productId,
+    currentLocationId: locationId,
+  });
+  const lotes = session ? await query.session(session) : await query;
+
+  const aggregated = lotes.reduce(
+    (acc, lote) => {
+      acc.quantityTotal += lote.quantityTotal || 0;
+      acc.quantityAvailable += lote.quantityAvailable || 0;
+      acc.quantityConsigned += lote.quantityConsigned || 0;
+      acc.quantityConsumed += lote.quantityConsumed || 0;
+      acc.quantityDamaged += lote.quantityDamaged || 0;
+      acc.quantityReturned += lote.quantityReturned || 0;
+      return acc;
+    },
+    {
+      quantityTotal: 0,
+      quantityAvailable: 0,
+      quantityConsigned: 0,
+      quantityConsumed: 0,
+      quantityDamaged: 0,
+      quantityReturned: 0,
+    }
+  );
+
+  // Update or create inventory record
+  const options = { upsert: true, new: true };
+  if (session) options.session = session;
+
+  await Inventario.findOneAndUpdate(
+    { productId, locationId },
+    {
+      $set: {
+        ...aggregated,
+        lastMovementDate: new Date(),
+        updatedAt: new Date(),
+      },
+    },
+    options
+  );
+}
+
+/**
+ * Quantity above which an adjustment needs admin approval
+ * @param {string} companyId - Company ID
+ * @returns {Promise<number>} Approval threshold
+ */
+async function getApprovalThreshold(companyId) {
+  const VascularesConfig = await getVascularesConfigModel(companyId);
+  const config = await VascularesConfig.findOne({ companyId }).lean();
+  const threshold = config?.ajustes?.approvalThreshold;
+  return typeof threshold === 'number' ? threshold : DEFAULT_APPROVAL_THRESHOLD;
+}
+
+/**
+ * Load and validate lote, product and location for an adjustment
+ * @param {string} companyId - Company ID
+ * @param {Object} params - { locationId, loteId, direction, quantity }
+ * @returns {Promise<Object>} { lote, product, location } or { status, error }
+ */
+async function loadAdjustmentContext(companyId, { locationId, loteId, direction, quantity }) {
+  const Locaciones = await getLocacionesModel(companyId);
+  const Lotes = await getLotesModel(companyId);
+  const Productos = await getProductosModel(companyId);
+
+  const location = await Locaciones.findById(locationId).lean();
+  if (!location) {
+    return { status: 404, error: 'Locación no encontrada' };
+  }
+
+  const lote = await Lotes.findById(loteId).lean();
+  if (!lote) {
+    return { status: 404, error: `Lote ${loteId} no encontrado` };
+  }
+
+  if (lote.currentLocationId.toString() !== locationId.toString()) {
+    return { status: 400, error: `El lote ${lote.lotNumber} no está en ${location.name}` };
+  }
+
+  if (direction === 'OUT' && lote.quantityAvailable < quantity) {
+    return {
+      status: 400,
+      error: `Cantidad insuficiente para lote ${lote.lotNumber}. Disponible: ${lote.quantityAvailable}`,
+    };
+  }
+
+  const product = await Productos.findById(lote.productId).lean();
+  if (!product) {
+    return { status: 404, error: `Producto ${lote.productId} no encontrado` };
+  }
+
+  return { lote, product, location };
+}
+
+/**
+ * Apply an adjustment locally and push it to SAP
+ *
+ * @param {Object} params
+ * @param {string} params.companyId - Company ID
+ * @param {Object} params.user - { _id, firstname, lastname, email }
+ * @param {Object} params.ajuste - Ajuste document (new or claimed for approval)
+ * @param {Object} params.context - { lote, product, location } from loadAdjustmentContext
+ * @param {string} params.docDate - Optional SAP posting date
+ * @param {Function} params.withinTransaction - Optional async (session, ajuste) => {} for extra saves
+ * @returns {Promise<Object>} { ajuste, sapResult }
+ */
+async function applyAdjustment({ companyId, user, ajuste, context, docDate, withinTransaction }) {
+  const { lote, product, location } = context;
+  const { direction, quantity, reason } = ajuste;
+
+  const queueSap = !!(location.sapIntegration?.warehouseCode && product.sapItemCode);
+  let outboxEntry = null;
+
+  // ============================================
+  // LOCAL SAVES + SAP OUTBOX ENTRY (in transaction)
+  // ============================================
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+
+  try {
+    const Lotes = await getLotesModel(companyId);
+    const Transacciones = await getTransaccionesModel(companyId);
+
+    // Update lot quantities
+    const updateData = {
+      $push: {
+        historia: {
+          fecha: new Date(),
+          user: {
+            _id: user._id,
+            firstname: user.firstname,
+            lastname: user.lastname,
+          },
+          accion: direction === 'OUT' ? 'Ajuste de salida' : 'Ajuste de entrada',
+          detalles: `Motivo: ${reason}, Cantidad: ${quantity}, Locación: ${location.name}`,
+        },
+      },
+    };
+
+    if (direction === 'OUT') {
+      updateData.$inc = { quantityAvailable: -quantity };
+      // Damaged units stay in the lot total; anything else leaves the lot
+      if (reason === 'DAMAGED') {
+        updateData.$inc.quantityDamaged = quantity;
+      } else {
+        updateData.$inc.quantityTotal = -quantity;
+      }
+      if (lote.quantityAvailable - quantity === 0 && lote.status === 'ACTIVE') {
+        updateData.$set = { status: reason === 'EXPIRED' ? 'EXPIRED' : 'DEPLETED' };
+      }
+    } else {
+      updateData.$inc = { quantityAvailable: quantity, quantityTotal: quantity };
+      if (lote.status === 'DEPLETED') {
+        updateData.$set = { status: 'ACTIVE' };
+      }
+    }
+
+    await Lotes.findByIdAndUpdate(lote._id, updateData, { session });
+
+    // Create transaction record for audit log
+    const transaccion = new Transacciones({
+      type: 'ADJUSTMENT',
+      productId: product._id,
+      lotId: lote._id,
+      lotNumber: lote.lotNumber,
+      fromLocationId: direction === 'OUT' ? location._id : undefined,
+      toLocationId: direction === 'IN' ? location._id : undefined,
+      quantity,
+      adjustment: {
+        reason,
+        notes: ajuste.notes,
+      },
+      notes: `Ajuste #${ajuste._id} - ${location.name}`,
+      performedBy: user,
+      status: 'COMPLETED',
+    });
+    await transaccion.save({ session });
+
+    ajuste.status = 'APLICADO';
+    ajuste.appliedAt = new Date();
+    ajuste.transaccionId = transaccion._id;
+    ajuste.sapIntegration = {
+      pushed: false,
+      status: queueSap ? 'PENDING' : null,
+      docType: direction === 'OUT' ? 'InventoryGenExits' : 'InventoryGenEntries',
+    };
+    if (ajuste.requiresApproval) {
+      ajuste.approvedBy = user;
+    }
+    await ajuste.save({ session });
+
+    await updateInventario(companyId, product._id, location._id, session);
+
+    if (withinTransaction) {
+      await withinTransaction(session, ajuste);
+    }
+
+    // Queue the SAP Goods Issue / Goods Receipt with the local changes
+    if (queueSap) {
+      outboxEntry = await sapOutboxService.enqueue(companyId, {
+        documentType: direction === 'OUT' ? 'InventoryGenExit' : 'InventoryGenEntry',
+        sourceModel: 'ajustes',
+        sourceId: ajuste._id,
+        transactionIds: [transaccion._id],
+        payload: {
+          warehouseCode: location.sapIntegration.warehouseCode,
+          binAbsEntry: location.sapIntegration.binAbsEntry || null,
+          items: [{
+            itemCode: product.sapItemCode,
+            quantity,
+            batchNumber: lote.lotNumber,
+            expiryDate: lote.expiryDate,
+          }],
+          comments: `Ajuste Vasculares (${reason}) - ${location.name}${ajuste.notes ? `\n${ajuste.notes}` : ''}`,
+          docDate: docDate || new Date().toISOString().split('T')[0],
+        },
+        user,
+      }, session);
+    }
+
+    await session.commitTransaction();
+  } catch (localError) {
+    // Nothing was sent to SAP - the push is only queued inside this transaction
+    await session.abortTransaction();
+    throw localError;
+  } finally {
+    session.endSession();
+  }
+
+  // ============================================
+  // DELIVER TO SAP (outbox worker retries on failure)
+  // ============================================
+
+  const sapResult = await sapOutboxService.deliverAfterCommit(companyId, outboxEntry);
+
+  // Re-read so the caller gets the SAP status written by the delivery
+  const Ajustes = await getAjustesModel(companyId);
+  const applied = await Ajustes.findById(ajuste._id).lean();
+
+  return { ajuste: applied, sapResult };
+}
+
+module.exports = {
+  updateInventario,
+  getApprovalThreshold,
+  loadAdjustmentContext,
+  applyAdjustment,
+};
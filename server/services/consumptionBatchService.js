@@ -0,0 +1,473 @@
+/**
+ * Consumption Batch Service
+ * Batch mode for consumption forms. A rep often comes back with dozens of
+ * forms from several hospitals; each form is extracted on its own in a
+ * background job, matched to its centro by the hospital written on it, and
+ * the forms are grouped into one draft consumption per centro and procedure
+ * date. A draft is confirmed (by a second person when any line scored below
+ * the review threshold) and then registered with POST /api/consumption.
+ *
+ * Hospital -> centro matching (active CENTRO locaciones):
+ * 1. SAP customer code on the form = sapIntegration.cardCode
+ * 2. Hospital name = locacion name or fullName (ignoring case, accents and punctuation)
+ * 3. The only locacion whose name is contained in the hospital, or the other way round
+ * Forms that match no centro (or more than one) wait for one to be assigned.
+ *
+ * Used by:
+ * - Consumption batches controller (upload, progress, drafts)
+ * - Consumption controller (create gate for drafts)
+ */
+const {
+  getTandasExtraccionModel,
+  getLocacionesModel,
+  getProductosModel,
+} = require('../getModel');
+const { extractConsumptionDocument, getProviderName } = require('./extractionService');
+const {
+  getReviewThreshold,
+  matchConsumptionItems,
+  resolveApprovedLines,
+} = require('./extractionReviewService');
+const documentStoreService = require('./documentStoreService');
+
+// Shortest name accepted for a containment match ("CDC" in "Hospital CDC Norte")
+const MIN_CONTAINED_NAME = 3;
+
+/**
+ * Build an error with a code the controllers map to HTTP statuses
+ */
+function batchError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function userRef(user) {
+  return {
+    _id: user._id,
+    firstname: user.firstname,
+    lastname: user.lastname,
+    email: user.email,
+  };
+}
+
+/**
+ * Lowercase, without accents or punctuation, single-spaced
+ */
+function normalizeName(value) {
+  return String(value || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+/**
+ * Find the centro a form comes from
+ * @param {Array<Object>} centros - CENTRO locaciones
+ * @param {Object} documentInfo - { hospital, customerCode } as extracted
+ * @returns {{ centro: Object, matchedBy: 'CARD_CODE'|'NAME' }|null}
+ */
+function matchCentro(centros, { hospital, customerCode } = {}) {
+  if (customerCode) {
+    const code = customerCode.trim().toUpperCase();
+    const centro = centros.find((c) => c.sapIntegration?.cardCode?.trim().toUpperCase() === code);
+    if (centro) return { centro, matchedBy: 'CARD_CODE' };
+  }
+
+  const name = normalizeName(hospital);
+  if (!name) return null;
+
+  const namesOf = (centro) => [centro.name, centro.fullName].map(normalizeName).filter(Boolean);
+
+  const exact = centros.filter((centro) => namesOf(centro).includes(name));
+  if (exact.length === 1) return { centro: exact[0], matchedBy: 'NAME' };
+  if (exact.length > 1) return null;
+
+  const contained = centros.filter((centro) => namesOf(centro).some((candidate) =>
+    candidate.length >= MIN_CONTAINED_NAME &&
+    (` ${name} `.includes(` ${candidate} `) || ` ${candidate} `.includes(` ${name} `))
+  ));
+  return contained.length === 1 ? { centro: contained[0], matchedBy: 'NAME' } : null;
+}
+
+/**
+ * Batch line from an extracted (and possibly matched) item
+ */
+function toBatchItem(item, form) {
+  return {
+    documentId: form.documentId,
+    code: item.code,
+    name: item.name,
+    lotNumber: item.lotNumber,
+    quantity: item.quantity,
+    patientName: item.patientName || form.patientName || null,
+    doctorName: item.doctorName || form.doctorName || null,
+    productId: item.matchedProductId || null,
+    productName: item.matchedProductName || null,
+    loteId: item.matchedLoteId || null,
+    confidence: item.confidence,
+    flags: item.flags || [],
+    needsReview: item.needsReview ?? null,
+  };
+}
+
+/**
+ * Put a matched form in the open draft for its centro and date (or a new one)
+ * @param {Object} batch - Tanda document (mongoose)
+ * @param {Object} form - Form subdocument with centroId set
+ */
+function addFormToDraft(batch, form) {
+  const date = form.procedureDate || null;
+  let draft = batch.drafts.find((d) =>
+    d.status === 'BORRADOR' && d.centroId.toString() === form.centroId.toString() && (d.date || null) === date
+  );
+
+  if (!draft) {
+    batch.drafts.push({ centroId: form.centroId, centroName: form.centroName, date, documentIds: [], items: [] });
+    draft = batch.drafts[batch.drafts.length - 1];
+  }
+
+  draft.documentIds.push(form.documentId);
+  draft.items.push(...form.items.map((item) => item.toObject()));
+  draft.needsReview = draft.items.some((item) => item.needsReview);
+  draft.minConfidence = Math.min(...draft.items.map((item) => item.confidence?.overall ?? 0));
+  form.draftId = draft._id;
+}
+
+/**
+ * Match a form's extracted lines against a centro's stock
+ */
+async function matchFormToCentro(companyId, form, centro, { matchedBy, threshold }) {
+  const items = await matchConsumptionItems(companyId, {
+    centroId: centro._id,
+    items: form.items.map((item) => ({
+      code: item.code,
+      name: item.name,
+      lotNumber: item.lotNumber,
+      quantity: item.quantity,
+      patientName: item.patientName,
+      doctorName: item.doctorName,
+      confidence: item.confidence,
+    })),
+    threshold,
+  });
+
+  form.centroId = centro._id;
+  form.centroName = centro.name;
+  form.matchedBy = matchedBy;
+  form.items = items.map((item) => toBatchItem(item, form));
+  form.status = 'PROCESADO';
+}
+
+/**
+ * Extract one form and match it to its centro
+ * Updates the form subdocument in place; extraction errors mark the form, not the batch.
+ */
+async function processForm(companyId, form, { centros, constraints, threshold }) {
+  try {
+    const { content } = await documentStoreService.getContent(companyId, form.documentId);
+    const extraction = await extractConsumptionDocument(
+      [{ buffer: content, mimetype: form.mimetype, originalname: form.filename }],
+      constraints,
+      { companyId }
+    );
+
+    const first = extraction.items[0] || {};
+    form.hospital = extraction.documentInfo?.hospital || null;
+    form.customerCode = extraction.documentInfo?.customerCode || null;
+    form.procedureDate = first.procedureDate || null;
+    form.patientName = first.patientName || null;
+    form.doctorName = first.doctorName || null;
+    form.warnings = extraction.warnings || [];
+
+    if (extraction.items.length === 0) {
+      form.status = 'ERROR';
+      form.error = 'No se encontraron productos en el formulario';
+      return;
+    }
+
+    // Unmatched forms keep the raw reading until a centro is assigned
+    form.items = extraction.items.map((item) => toBatchItem(item, form));
+
+    const match = matchCentro(centros, extraction.documentInfo);
+    if (!match) {
+      form.status = 'SIN_CENTRO';
+      return;
+    }
+
+    await matchFormToCentro(companyId, form, match.centro, { matchedBy: match.matchedBy, threshold });
+  } catch (error) {
+    console.error(`[ConsumptionBatch] Form ${form.filename} failed:`, error.message);
+    form.status = 'ERROR';
+    form.error = error.message;
+  }
+}
+
+/**
+ * Extract every pending form of a batch, then group them into drafts
+ * Runs in the background; progress is saved after each form.
+ * @param {string} companyId - Company ID
+ * @param {ObjectId} batchId - Batch ID
+ */
+async function processBatch(companyId, batchId) {
+  const Tandas = await getTandasExtraccionModel(companyId);
+  const batch = await Tandas.findById(batchId);
+  if (!batch) return;
+
+  try {
+    const Locaciones = await getLocacionesModel(companyId);
+    const Productos = await getProductosModel(companyId);
+    const centros = await Locaciones.find({ type: 'CENTRO', active: { $ne: false } }).lean();
+    const products = await Productos.find({}, { code: 1, sapItemCode: 1, name: 1 }).lean();
+
+    // The centro is not known before reading the form: constrain to products only
+    const context = {
+      centros,
+      constraints: { products: products.map((p) => ({ code: p.sapItemCode || p.code, name: p.name })), lots: [] },
+      threshold: batch.reviewThreshold,
+    };
+
+    for (const form of batch.forms) {
+      if (form.status !== 'PENDIENTE') continue;
+
+      await processForm(companyId, form, context);
+      batch.progress.processed += 1;
+      if (form.status === 'ERROR') batch.progress.failed += 1;
+      await batch.save();
+    }
+
+    batch.forms
+      .filter((form) => form.status === 'PROCESADO' && !form.draftId)
+      .forEach((form) => addFormToDraft(batch, form));
+
+    batch.status = 'COMPLETADA';
+    batch.completedAt = new Date();
+    await batch.save();
+    console.log(`[ConsumptionBatch] ${batch._id}: ${batch.forms.length} forms, ${batch.drafts.length} drafts`);
+  } catch (error) {
+    console.error(`[ConsumptionBatch] ${batchId} failed:`, error);
+    await Tandas.updateOne(
+      { _id: batchId },
+      { $set: { status: 'FALLIDA', error: error.message, completedAt: new Date() } }
+    );
+  }
+}
+
+/**
+ * Store the uploaded forms and start extracting them in the background
+ * @param {string} companyId - Company ID
+ * @param {Array<Object>} files - Multer files (one form per file)
+ * @param {Object} options
+ * @param {Object} options.user - Uploading user
+ * @returns {Promise<Object>} The batch, status PROCESANDO
+ */
+async function startBatch(companyId, files, { user }) {
+  const documents = await documentStoreService.storeUploads(companyId, files, {
+    kind: 'CONSUMPTION_FORM',
+    user,
+  });
+
+  const Tandas = await getTandasExtraccionModel(companyId);
+  const batch = await Tandas.create({
+    provider: await getProviderName(companyId),
+    reviewThreshold: await getReviewThreshold(companyId),
+    progress: { total: documents.length },
+    forms: documents.map(documentStoreService.summarize),
+    createdBy: userRef(user),
+  });
+
+  // Fire-and-forget: 40 forms take longer than an HTTP request should.
+  // Progress is persisted per form; the client polls GET /:id.
+  processBatch(companyId, batch._id).catch((error) => {
+    console.error('Async consumption batch failed:', error);
+  });
+
+  return batch.toObject();
+}
+
+/**
+ * @throws {Error} NOT_FOUND
+ */
+async function loadBatch(companyId, batchId) {
+  const Tandas = await getTandasExtraccionModel(companyId);
+  const batch = await Tandas.findById(batchId);
+  if (!batch) {
+    throw batchError('NOT_FOUND', 'Tanda no encontrada');
+  }
+  return batch;
+}
+
+function findDraft(batch, draftId) {
+  const draft = batch.drafts.id(draftId);
+  if (!draft) {
+    throw batchError('NOT_FOUND', 'Borrador no encontrado');
+  }
+  return draft;
+}
+
+/**
+ * Assign a centro to a form whose hospital was not recognized
+ * @param {string} companyId - Company ID
+ * @param {Object} params - { batchId, formId, centroId }
+ * @returns {Promise<Object>} Updated batch
+ * @throws {Error} NOT_FOUND, CONFLICT or INVALID
+ */
+async function assignCentro(companyId, { batchId, formId, centroId }) {
+  const batch = await loadBatch(companyId, batchId);
+  if (batch.status === 'PROCESANDO') {
+    throw batchError('CONFLICT', 'La tanda todavía se está procesando');
+  }
+
+  const form = batch.forms.id(formId);
+  if (!form) {
+    throw batchError('NOT_FOUND', 'Formulario no encontrado');
+  }
+  if (form.status !== 'SIN_CENTRO') {
+    throw batchError('CONFLICT', 'El formulario ya tiene centro asignado');
+  }
+
+  const Locaciones = await getLocacionesModel(companyId);
+  const centro = await Locaciones.findById(centroId).lean();
+  if (!centro || centro.type !== 'CENTRO') {
+    throw batchError('INVALID', 'Centro inválido');
+  }
+
+  await matchFormToCentro(companyId, form, centro, { matchedBy: 'MANUAL', threshold: batch.reviewThreshold });
+  addFormToDraft(batch, form);
+  await batch.save();
+  return batch.toObject();
+}
+
+/**
+ * Confirm a draft's lines (after corrections)
+ * A draft with lines below the review threshold must be confirmed by someone
+ * with reviewExtractions other than the user who uploaded the batch.
+ * @param {string} companyId - Company ID
+ * @param {Object} params
+ * @param {string} params.batchId - Batch ID
+ * @param {string} params.draftId - Draft ID
+ * @param {Array<{loteId: string, quantity: number}>} params.items - Lines to register
+ * @param {Object} params.user - Confirming user
+ * @param {boolean} params.canReview - User has reviewExtractions
+ * @returns {Promise<Object>} Updated batch
+ * @throws {Error} NOT_FOUND, CONFLICT, FORBIDDEN or INVALID_LINE
+ */
+async function approveDraft(companyId, { batchId, draftId, items, user, canReview }) {
+  const batch = await loadBatch(companyId, batchId);
+  const draft = findDraft(batch, draftId);
+
+  if (draft.status !== 'BORRADOR') {
+    throw batchError('CONFLICT', `El borrador ya fue ${draft.status.toLowerCase()}`);
+  }
+  if (draft.needsReview) {
+    if (!canReview) {
+      throw batchError('FORBIDDEN', 'El borrador tiene lecturas de baja confianza: requiere el permiso reviewExtractions');
+    }
+    if (batch.createdBy?._id?.toString() === user._id.toString()) {
+      throw batchError('FORBIDDEN', 'El borrador tiene lecturas de baja confianza: debe confirmarlo otra persona');
+    }
+  }
+
+  draft.approvedItems = await resolveApprovedLines(companyId, {
+    centroId: draft.centroId,
+    centroName: draft.centroName,
+    items,
+  });
+  draft.status = 'APROBADO';
+  draft.approvedBy = userRef(user);
+  draft.approvedAt = new Date();
+  await batch.save();
+  return batch.toObject();
+}
+
+/**
+ * Discard a draft that will not be registered
+ * @returns {Promise<Object>} Updated batch
+ * @throws {Error} NOT_FOUND or CONFLICT
+ */
+async function discardDraft(companyId, { batchId, draftId, user }) {
+  const batch = await loadBatch(companyId, batchId);
+  const draft = findDraft(batch, draftId);
+
+  if (!['BORRADOR', 'APROBADO'].includes(draft.status)) {
+    throw batchError('CONFLICT', `El borrador ya fue ${draft.status.toLowerCase()}`);
+  }
+
+  draft.status = 'DESCARTADO';
+  draft.discardedBy = userRef(user);
+  await batch.save();
+  return batch.toObject();
+}
+
+/**
+ * Approved draft a consumption is being created from
+ * @param {string} companyId - Company ID
+ * @param {Object} params - { batchId, draftId, centroId }
+ * @returns {Promise<Object>} The draft (plain object)
+ * @throws {Error} NOT_FOUND, INVALID or CONFLICT
+ */
+async function getApprovedDraft(companyId, { batchId, draftId, centroId }) {
+  const batch = await loadBatch(companyId, batchId);
+  const draft = findDraft(batch, draftId);
+
+  if (draft.centroId.toString() !== String(centroId)) {
+    throw batchError('INVALID', 'El borrador corresponde a otro Centro');
+  }
+  if (draft.status !== 'APROBADO') {
+    const reason = {
+      BORRADOR: 'no está confirmado',
+      DESCARTADO: 'fue descartado',
+      REGISTRADO: 'ya fue registrado',
+    }[draft.status];
+    throw batchError('CONFLICT', `El borrador ${reason}`);
+  }
+
+  return draft.toObject();
+}
+
+/**
+ * Mark a draft registered (inside the consumption's transaction)
+ * @throws {Error} CONFLICT when it was registered meanwhile
+ */
+async function markDraftRegistered(companyId, { batchId, draftId, consumoId }, session) {
+  const Tandas = await getTandasExtraccionModel(companyId);
+  const registered = await Tandas.findOneAndUpdate(
+    { _id: batchId, drafts: { $elemMatch: { _id: draftId, status: 'APROBADO' } } },
+    { $set: { 'drafts.$.status': 'REGISTRADO', 'drafts.$.consumoId': consumoId } },
+    { session }
+  );
+  if (!registered) {
+    throw batchError('CONFLICT', 'El borrador ya fue registrado');
+  }
+}
+
+/**
+ * Map a batch error to an HTTP response
+ * @returns {Object|null} { status, body } or null for unexpected errors
+ */
+function getErrorResponse(error) {
+  const statusByCode = {
+    NOT_FOUND: 404,
+    INVALID: 400,
+    INVALID_LINE: 400,
+    FORBIDDEN: 403,
+    CONFLICT: 409,
+  };
+  const status = statusByCode[error.code];
+  return status ? { status, body: { error: error.message } } : null;
+}
+
+module.exports = {
+  normalizeName,
+  matchCentro,
+  startBatch,
+  processBatch,
+  assignCentro,
+  approveDraft,
+  discardDraft,
+  getApprovedDraft,
+  markDraftRegistered,
+  getErrorResponse,
+};
@@ -0,0 +1,170 @@
+/**
+ * Consumption Stats Service
+ * Average monthly consumption per product from the Consumos collection,
+ * and the monthly demand series the forecasts are built from.
+ *
+ * Used by:
+ * - Analytics controller (planning data, centro and aggregated views, forecasts)
+ * - Rotation service (expiry-driven rotation suggestions)
+ */
+const mongoose = require('mongoose');
+const { getConsumosModel, getTransaccionesModel } = require('../getModel');
+
+const DEFAULT_HISTORY_MONTHS = 12;
+
+/**
+ * Average monthly consumption over the trailing history window.
+ * The average is adaptive: a product consumed for only 3 months is divided
+ * by 3, not by 12.
+ * @param {string} companyId - Company ID
+ * @param {Object} options
+ * @param {string} options.centroId - Only consumption at this centro
+ * @param {boolean} options.byCentro - Group per (product, centro) instead of per product
+ * @param {number} options.months - History window in months (default 12)
+ * @returns {Promise<Array>} [{ _id: productId | { productId, centroId }, totalConsumed, monthsOfHistory, avgMonthlyConsumption }]
+ */
+async function getConsumptionAverages(companyId, { centroId = null, byCentro = false, months = DEFAULT_HISTORY_MONTHS } = {}) {
+  const Consumos = await getConsumosModel(companyId);
+
+  const since = new Date();
+  since.setMonth(since.getMonth() - months);
+
+  const match = { consumptionDate: { $gte: since } };
+  if (centroId) {
+    match.centroId = new mongoose.Types.ObjectId(centroId);
+  }
+
+  return Consumos.aggregate([
+    { $match: match },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: byCentro ? { productId: '$items.productId', centroId: '$centroId' } : '$items.productId',
+        totalConsumed: { $sum: '$items.quantity' },
+        firstTransaction: { $min: '$consumptionDate' },
+        lastTransaction: { $max: '$consumptionDate' },
+      },
+    },
+    {
+      $addFields: {
+        monthsOfHistory: {
+          $max: [1, { $ceil: { $divide: [{ $subtract: ['$lastTransaction', '$firstTransaction'] }, 1000 * 60 * 60 * 24 * 30] } }],
+        },
+      },
+    },
+    { $addFields: { avgMonthlyConsumption: { $divide: ['$totalConsumed', '$monthsOfHistory'] } } },
+  ]);
+}
+
+/**
+ * The last `months` complete calendar months (the current month is partial)
+ * @returns {Object} { start, end, keys: ['YYYY-M', ...] oldest first }
+ */
+function seriesWindow(months) {
+  const end = new Date();
+  end.setUTCDate(1);
+  end.setUTCHours(0, 0, 0, 0);
+  const start = new Date(end);
+  start.setUTCMonth(start.getUTCMonth() - months);
+
+  const keys = [];
+  const cursor = new Date(start);
+  while (cursor < end) {
+    keys.push(`${cursor.getUTCFullYear()}-${cursor.getUTCMonth() + 1}`);
+    cursor.setUTCMonth(cursor.getUTCMonth() + 1);
+  }
+  return { start, end, keys };
+}
+
+/**
+ * Turn aggregated { _id: { key, year, month }, quantity } rows into zero-filled series
+ */
+function toSeries(rows, keys) {
+  const series = new Map();
+  const position = new Map(keys.map((key, index) => [key, index]));
+  for (const row of rows) {
+    const { year, month, ...group } = row._id;
+    const seriesKey = group.centroId ? `${group.productId}:${group.centroId}` : group.productId.toString();
+    if (!series.has(seriesKey)) series.set(seriesKey, new Array(keys.length).fill(0));
+    const index = position.get(`${year}-${month}`);
+    if (index !== undefined) series.get(seriesKey)[index] += row.quantity;
+  }
+  return series;
+}
+
+/**
+ * Monthly consumption per product over the last complete months
+ * @param {string} companyId - Company ID
+ * @param {Object} options
+ * @param {string} options.centroId - Only consumption at this centro
+ * @param {boolean} options.byCentro - One series per (product, centro), keyed 'productId:centroId'
+ * @param {number} options.months - Window in months (default 24)
+ * @returns {Promise<Map<string, number[]>>} productId (or 'productId:centroId') → quantities, oldest first
+ */
+async function getMonthlySeries(companyId, { centroId = null, byCentro = false, months = 24 } = {}) {
+  const Consumos = await getConsumosModel(companyId);
+  const { start, end, keys } = seriesWindow(months);
+
+  const match = { consumptionDate: { $gte: start, $lt: end } };
+  if (centroId) {
+    match.centroId = new mongoose.Types.ObjectId(centroId);
+  }
+
+  const rows = await Consumos.aggregate([
+    { $match: match },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: {
+          productId: '$items.productId',
+          ...(byCentro ? { centroId: '$centroId' } : {}),
+          year: { $year: '$consumptionDate' },
+          month: { $month: '$consumptionDate' },
+        },
+        quantity: { $sum: '$items.quantity' },
+      },
+    },
+  ]);
+
+  return toSeries(rows, keys);
+}
+
+/**
+ * Monthly consignment outflow per product from a warehouse
+ * @param {string} companyId - Company ID
+ * @param {Object} options - { warehouseId (omit for all warehouses), months (default 24) }
+ * @returns {Promise<Map<string, number[]>>} productId → quantities, oldest first
+ */
+async function getOutflowSeries(companyId, { warehouseId = null, months = 24 } = {}) {
+  const Transacciones = await getTransaccionesModel(companyId);
+  const { start, end, keys } = seriesWindow(months);
+
+  const rows = await Transacciones.aggregate([
+    {
+      $match: {
+        type: 'CONSIGNMENT',
+        ...(warehouseId ? { fromLocationId: new mongoose.Types.ObjectId(warehouseId) } : {}),
+        transactionDate: { $gte: start, $lt: end },
+      },
+    },
+    {
+      $group: {
+        _id: {
+          productId: '$productId',
+          year: { $year: '$transactionDate' },
+          month: { $month: '$transactionDate' },
+        },
+        quantity: { $sum: '$quantity' },
+      },
+    },
+  ]);
+
+  return toSeries(rows, keys);
+}
+
+module.exports = {
+  getConsumptionAverages,
+  seriesWindow,
+  getMonthlySeries,
+  getOutflowSeries,
+};
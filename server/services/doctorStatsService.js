@@ -0,0 +1,277 @@
+/**
+ * Doctor Stats Service
+ * Consumption broken down by implanting physician: monthly units, stent
+ * sizes and product-line share.
+ *
+ * Consumptions point to a managed doctor (doctorId) or carry a free-text
+ * doctorName. Free-text names are grouped by their normalized form
+ * ("Dra. Ana Pérez" = "ana perez") and merged into the managed doctor
+ * with the same name, so older consumptions count for the right person.
+ *
+ * Used by:
+ * - Analytics controller (doctor analytics endpoints)
+ */
+const mongoose = require('mongoose');
+const {
+  getConsumosModel,
+  getProductosModel,
+  getLocacionesModel,
+  getMedicosModel,
+} = require('../getModel');
+
+const DEFAULT_HISTORY_MONTHS = 12;
+const NO_DOCTOR_KEY = 'none';
+
+/**
+ * Comparable form of a doctor name: no title, accents, case or extra spaces
+ * @param {string} name - Name as typed on the form
+ * @returns {string} Normalized name ('' when empty)
+ */
+function normalizeDoctorName(name) {
+  return String(name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/^\s*(dr|dra|doctor|doctora)\b\.?\s*/, '')
+    .replace(/[^a-z0-9 ]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Product line of a product: the first word of its name ("Orsiro Mission 2.25/15" → "Orsiro"),
+ * as in the planning view
+ */
+function productLine(product) {
+  return String(product?.name || '').trim().split(/\s+/)[0] || 'Otro';
+}
+
+/**
+ * Size of a product as "diameter/length"
+ * Falls back to specifications.size, then to the size in the name
+ * @returns {Object|null} { size, diameter, length } or null for products without a size
+ */
+function productSize(product) {
+  const specs = product?.specifications || {};
+  if (specs.diameter != null && specs.length != null) {
+    return { size: `${specs.diameter}/${specs.length}`, diameter: specs.diameter, length: specs.length };
+  }
+
+  const match = String(specs.size || '').match(/(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)/) ||
+    String(product?.name || '').match(/(\d+(?:\.\d+)?)\s*\/\s*(\d+(?:\.\d+)?)/);
+  if (!match) return null;
+  return { size: `${match[1]}/${match[2]}`, diameter: parseFloat(match[1]), length: parseFloat(match[2]) };
+}
+
+/**
+ * Date range of the analysis (default: trailing 12 months) and its length in calendar months
+ */
+function resolveRange(startDate, endDate) {
+  const end = endDate ? new Date(`${endDate}T23:59:59.999Z`) : new Date();
+  let start;
+  if (startDate) {
+    start = new Date(startDate);
+  } else {
+    start = new Date(end);
+    start.setUTCMonth(start.getUTCMonth() - DEFAULT_HISTORY_MONTHS + 1);
+    start.setUTCDate(1);
+    start.setUTCHours(0, 0, 0, 0);
+  }
+  const months = Math.max(1,
+    (end.getUTCFullYear() - start.getUTCFullYear()) * 12 + end.getUTCMonth() - start.getUTCMonth() + 1);
+  return { start, end, months };
+}
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Quantity list sorted by quantity, with each entry's share of the total
+ */
+function withShares(map, total) {
+  return [...map.values()]
+    .map((entry) => ({ ...entry, share: total ? round(entry.quantity / total, 3) : 0 }))
+    .sort((a, b) => b.quantity - a.quantity);
+}
+
+/**
+ * Consumption per doctor
+ * @param {string} companyId - Company ID
+ * @param {Object} options
+ * @param {string} options.centroId - Only consumption at this centro
+ * @param {string} options.doctor - Only this doctor (doctorKey)
+ * @param {string} options.category - Only products of this category
+ * @param {string} options.startDate - YYYY-MM-DD (default: 12 months back)
+ * @param {string} options.endDate - YYYY-MM-DD (default: today)
+ * @returns {Promise<Object>} { startDate, endDate, months, doctors: [{
+ *   doctorKey, doctorId, doctorName, totalQuantity, consumptionCount, avgMonthly,
+ *   monthly: [{ year, month, quantity }],
+ *   centros: [{ locationId, locationName, quantity, share }],
+ *   productLines: [{ line, quantity, share }],
+ *   sizes: [{ size, diameter, length, quantity, share, avgMonthly }] }] }
+ */
+async function getDoctorStats(companyId, { centroId, doctor, category, startDate, endDate } = {}) {
+  const Consumos = await getConsumosModel(companyId);
+  const Productos = await getProductosModel(companyId);
+  const Locaciones = await getLocacionesModel(companyId);
+  const Medicos = await getMedicosModel(companyId);
+
+  const range = resolveRange(startDate, endDate);
+  const match = { consumptionDate: { $gte: range.start, $lte: range.end } };
+  if (centroId) match.centroId = new mongoose.Types.ObjectId(centroId);
+
+  const rows = await Consumos.aggregate([
+    { $match: match },
+    { $unwind: '$items' },
+    {
+      $group: {
+        _id: {
+          doctorId: '$doctorId',
+          doctorName: '$doctorName',
+          centroId: '$centroId',
+          productId: '$items.productId',
+          year: { $year: '$consumptionDate' },
+          month: { $month: '$consumptionDate' },
+        },
+        quantity: { $sum: '$items.quantity' },
+        consumoIds: { $addToSet: '$_id' },
+      },
+    },
+  ]);
+
+  const [products, centros, medicos] = await Promise.all([
+    Productos.find({ _id: { $in: [...new Set(rows.map((row) => row._id.productId.toString()))] } }).lean(),
+    Locaciones.find({ _id: { $in: [...new Set(rows.map((row) => row._id.centroId.toString()))] } }, 'name').lean(),
+    Medicos.find({}, 'name').lean(),
+  ]);
+  const productById = new Map(products.map((p) => [p._id.toString(), p]));
+  const centroById = new Map(centros.map((c) => [c._id.toString(), c]));
+  const medicoById = new Map(medicos.map((m) => [m._id.toString(), m]));
+  const medicoByName = new Map(medicos.map((m) => [normalizeDoctorName(m.name), m]));
+
+  // Managed doctor when known (by ID, or by a matching free-text name)
+  const resolveDoctor = ({ doctorId, doctorName }) => {
+    const medico = (doctorId && medicoById.get(doctorId.toString())) ||
+      medicoByName.get(normalizeDoctorName(doctorName));
+    if (medico) {
+      return { doctorKey: medico._id.toString(), doctorId: medico._id, doctorName: medico.name };
+    }
+    const normalized = normalizeDoctorName(doctorName);
+    if (!normalized) {
+      return { doctorKey: NO_DOCTOR_KEY, doctorId: null, doctorName: 'Sin médico' };
+    }
+    return { doctorKey: `name:${normalized}`, doctorId: null, doctorName: doctorName.trim() };
+  };
+
+  const byDoctor = new Map();
+  for (const row of rows) {
+    const product = productById.get(row._id.productId.toString());
+    if (!product || (category && product.category !== category)) continue;
+
+    const resolved = resolveDoctor(row._id);
+    if (doctor && resolved.doctorKey !== doctor) continue;
+
+    if (!byDoctor.has(resolved.doctorKey)) {
+      byDoctor.set(resolved.doctorKey, {
+        ...resolved,
+        totalQuantity: 0,
+        consumoIds: new Set(),
+        monthly: new Map(),
+        centros: new Map(),
+        productLines: new Map(),
+        sizes: new Map(),
+      });
+    }
+    const stats = byDoctor.get(resolved.doctorKey);
+    const { quantity } = row;
+    stats.totalQuantity += quantity;
+    row.consumoIds.forEach((id) => stats.consumoIds.add(id.toString()));
+
+    const monthKey = `${row._id.year}-${row._id.month}`;
+    const month = stats.monthly.get(monthKey) || { year: row._id.year, month: row._id.month, quantity: 0 };
+    month.quantity += quantity;
+    stats.monthly.set(monthKey, month);
+
+    const centroKey = row._id.centroId.toString();
+    const centro = stats.centros.get(centroKey) ||
+      { locationId: row._id.centroId, locationName: centroById.get(centroKey)?.name, quantity: 0 };
+    centro.quantity += quantity;
+    stats.centros.set(centroKey, centro);
+
+    const line = productLine(product);
+    const lineStats = stats.productLines.get(line) || { line, quantity: 0 };
+    lineStats.quantity += quantity;
+    stats.productLines.set(line, lineStats);
+
+    const size = productSize(product);
+    if (size) {
+      const sizeStats = stats.sizes.get(size.size) || { ...size, quantity: 0 };
+      sizeStats.quantity += quantity;
+      stats.sizes.set(size.size, sizeStats);
+    }
+  }
+
+  const doctors = [...byDoctor.values()]
+    .map(({ consumoIds, monthly, centros: doctorCentros, productLines, sizes, ...stats }) => ({
+      ...stats,
+      consumptionCount: consumoIds.size,
+      avgMonthly: round(stats.totalQuantity / range.months),
+      monthly: [...monthly.values()].sort((a, b) => a.year - b.year || a.month - b.month),
+      centros: withShares(doctorCentros, stats.totalQuantity),
+      productLines: withShares(productLines, stats.totalQuantity),
+      sizes: withShares(sizes, [...sizes.values()].reduce((sum, s) => sum + s.quantity, 0))
+        .map((size) => ({ ...size, avgMonthly: round(size.quantity / range.months) })),
+    }))
+    .sort((a, b) => b.totalQuantity - a.totalQuantity);
+
+  return {
+    startDate: range.start,
+    endDate: range.end,
+    months: range.months,
+    doctors,
+  };
+}
+
+/**
+ * Size demand at a centro, split by the doctors who implant there
+ * Adds up each doctor's monthly average per size, so a rep can see which
+ * sizes depend on which physician.
+ * @param {string} companyId - Company ID
+ * @param {Object} options - { centroId, category, startDate, endDate } as in getDoctorStats
+ * @returns {Promise<Object>} { startDate, endDate, months, sizes: [{
+ *   size, diameter, length, quantity, avgMonthly,
+ *   doctors: [{ doctorKey, doctorName, quantity, avgMonthly, share }] }] }
+ */
+async function getSizeDemandByDoctor(companyId, options = {}) {
+  const { doctors, ...range } = await getDoctorStats(companyId, options);
+
+  const bySize = new Map();
+  for (const doctor of doctors) {
+    for (const { size, diameter, length, quantity } of doctor.sizes) {
+      const entry = bySize.get(size) || { size, diameter, length, quantity: 0, doctors: [] };
+      entry.quantity += quantity;
+      entry.doctors.push({ doctorKey: doctor.doctorKey, doctorName: doctor.doctorName, quantity });
+      bySize.set(size, entry);
+    }
+  }
+
+  const sizes = [...bySize.values()]
+    .map((entry) => ({
+      ...entry,
+      avgMonthly: round(entry.quantity / range.months),
+      doctors: entry.doctors
+        .map((d) => ({ ...d, avgMonthly: round(d.quantity / range.months), share: round(d.quantity / entry.quantity, 3) }))
+        .sort((a, b) => b.quantity - a.quantity),
+    }))
+    .sort((a, b) => a.diameter - b.diameter || a.length - b.length);
+
+  return { ...range, sizes };
+}
+
+module.exports = {
+  NO_DOCTOR_KEY,
+  normalizeDoctorName,
+  productLine,
+  productSize,
+  getDoctorStats,
+  getSizeDemandByDoctor,
+};
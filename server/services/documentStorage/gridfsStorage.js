@@ -0,0 +1,47 @@
+/**
+ * GridFS document storage
+ * Files go into the company's own database (documentos.files/.chunks), so
+ * they are replicated and backed up with the rest of its data.
+ */
+const mongoose = require('mongoose');
+const { getDocumentosModel } = require('../../getModel');
+
+const BUCKET_NAME = 'documentos';
+
+async function getBucket(companyId) {
+  const Documentos = await getDocumentosModel(companyId);
+  return new mongoose.mongo.GridFSBucket(Documentos.db.db, { bucketName: BUCKET_NAME });
+}
+
+module.exports = {
+  name: 'gridfs',
+
+  /**
+   * @returns {Promise<string>} Storage key (the GridFS file id, same as the document id)
+   */
+  async save({ companyId, documentId, filename, mimetype, buffer }) {
+    const bucket = await getBucket(companyId);
+    const id = new mongoose.Types.ObjectId(String(documentId));
+    await new Promise((resolve, reject) => {
+      const stream = bucket.openUploadStreamWithId(id, filename, { metadata: { contentType: mimetype } });
+      stream.once('finish', resolve);
+      stream.once('error', reject);
+      stream.end(buffer);
+    });
+    return id.toString();
+  },
+
+  async read({ companyId, key }) {
+    const bucket = await getBucket(companyId);
+    const chunks = [];
+    for await (const chunk of bucket.openDownloadStream(new mongoose.Types.ObjectId(key))) {
+      chunks.push(chunk);
+    }
+    return Buffer.concat(chunks);
+  },
+
+  async remove({ companyId, key }) {
+    const bucket = await getBucket(companyId);
+    await bucket.delete(new mongoose.Types.ObjectId(key));
+  },
+};
@@ -0,0 +1,49 @@
+/**
+ * Local filesystem document storage
+ * Files go under DOCUMENT_STORE_DIR (default server/storage/documents), one
+ * directory per company. Suitable for a single server with a persistent disk;
+ * use gridfs when the API runs on more than one machine.
+ */
+const fs = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'storage', 'documents');
+
+function baseDir() {
+  return process.env.DOCUMENT_STORE_DIR || DEFAULT_DIR;
+}
+
+/**
+ * Absolute path for a key, refusing keys that leave the base directory
+ */
+function resolvePath(key) {
+  const base = path.resolve(baseDir());
+  const filePath = path.resolve(base, key);
+  if (!filePath.startsWith(base + path.sep)) {
+    throw new Error(`Invalid document key: ${key}`);
+  }
+  return filePath;
+}
+
+module.exports = {
+  name: 'local',
+
+  /**
+   * @returns {Promise<string>} Storage key
+   */
+  async save({ companyId, documentId, filename, buffer }) {
+    const key = path.join(String(companyId), `${documentId}${path.extname(filename || '').toLowerCase()}`);
+    const filePath = resolvePath(key);
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await fs.writeFile(filePath, buffer, { flag: 'wx' });
+    return key;
+  },
+
+  async read({ key }) {
+    return fs.readFile(resolvePath(key));
+  },
+
+  async remove({ key }) {
+    await fs.rm(resolvePath(key), { force: true });
+  },
+};
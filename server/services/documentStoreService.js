@@ -0,0 +1,303 @@
+/**
+ * Document Store Service
+ * Keeps the original packing lists and consumption forms uploaded for
+ * extraction, links them to the goods receipt or consumption created from
+ * them, and attaches them to that record's SAP document. Auditors ask for
+ * the signed hospital form behind a DeliveryNote.
+ *
+ * Backends (services/documentStorage/), chosen with DOCUMENT_STORE:
+ * - local: files under DOCUMENT_STORE_DIR (default)
+ * - gridfs: files in the company's MongoDB database
+ *
+ * Used by:
+ * - Goods receipt and consumption controllers (store on extract, link on create)
+ * - Extraction review service (images for the reviewer)
+ * - Documents controller (view, attach to SAP on demand)
+ * - SAP outbox service (attach after the SAP document is created)
+ */
+const crypto = require('crypto');
+const path = require('path');
+const mongoose = require('mongoose');
+const {
+  getDocumentosModel,
+  getGoodsReceiptsModel,
+  getConsumosModel,
+} = require('../getModel');
+const sapService = require('./sapService');
+const localStorage = require('./documentStorage/localStorage');
+const gridfsStorage = require('./documentStorage/gridfsStorage');
+
+const BACKENDS = {
+  local: localStorage,
+  gridfs: gridfsStorage,
+};
+
+// Records documents can be linked to, and the SAP document they become
+const SOURCES = {
+  goodsreceipts: { getModel: getGoodsReceiptsModel, kind: 'PACKING_LIST', entitySet: 'PurchaseDeliveryNotes' },
+  consumos: { getModel: getConsumosModel, kind: 'CONSUMPTION_FORM', entitySet: 'DeliveryNotes' },
+};
+
+/**
+ * Build an error with a code the controllers map to HTTP statuses
+ */
+function documentError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Backend for new files
+ * @returns {Object} Storage adapter
+ */
+function getBackend() {
+  const name = process.env.DOCUMENT_STORE || 'local';
+  if (!BACKENDS[name]) {
+    throw new Error(`Unknown DOCUMENT_STORE: ${name}`);
+  }
+  return BACKENDS[name];
+}
+
+/**
+ * Fields the records and the client keep for each document
+ */
+function summarize(document) {
+  return {
+    documentId: document._id,
+    filename: document.filename,
+    mimetype: document.mimetype,
+    size: document.size,
+  };
+}
+
+/**
+ * Store uploaded files
+ * @param {string} companyId - Company ID
+ * @param {Array<{buffer: Buffer, mimetype: string, originalname: string, size: number}>} files - Multer files
+ * @param {Object} options
+ * @param {'PACKING_LIST'|'CONSUMPTION_FORM'} options.kind - Document type
+ * @param {Object} options.user - Uploading user
+ * @returns {Promise<Array<Object>>} Created documents
+ */
+async function storeUploads(companyId, files, { kind, user }) {
+  const Documentos = await getDocumentosModel(companyId);
+  const backend = getBackend();
+  const documents = [];
+
+  for (const file of files) {
+    const _id = new mongoose.Types.ObjectId();
+    const filename = path.basename(file.originalname || 'documento');
+    const key = await backend.save({
+      companyId,
+      documentId: _id,
+      filename,
+      mimetype: file.mimetype,
+      buffer: file.buffer,
+    });
+
+    documents.push(await Documentos.create({
+      _id,
+      kind,
+      filename,
+      mimetype: file.mimetype,
+      size: file.size ?? file.buffer.length,
+      sha256: crypto.createHash('sha256').update(file.buffer).digest('hex'),
+      storage: { backend: backend.name, key },
+      uploadedBy: user && {
+        _id: user._id,
+        firstname: user.firstname,
+        lastname: user.lastname,
+        email: user.email,
+      },
+    }));
+  }
+
+  return documents.map((document) => document.toObject());
+}
+
+/**
+ * Document metadata
+ * @param {string} companyId - Company ID
+ * @param {string} documentId - Document ID
+ * @returns {Promise<Object>}
+ * @throws {Error} NOT_FOUND
+ */
+async function getDocument(companyId, documentId) {
+  const Documentos = await getDocumentosModel(companyId);
+  const document = mongoose.Types.ObjectId.isValid(documentId)
+    ? await Documentos.findById(documentId).lean()
+    : null;
+  if (!document) {
+    throw documentError('NOT_FOUND', 'Documento no encontrado');
+  }
+  return document;
+}
+
+/**
+ * Read a document and its content
+ * @param {string} companyId - Company ID
+ * @param {string} documentId - Document ID
+ * @returns {Promise<{ document: Object, content: Buffer }>}
+ */
+async function getContent(companyId, documentId) {
+  const document = await getDocument(companyId, documentId);
+  const backend = BACKENDS[document.storage.backend];
+  const content = await backend.read({ companyId, key: document.storage.key });
+  return { document, content };
+}
+
+/**
+ * Check documents can be linked to a new record (call before the transaction)
+ * @param {string} companyId - Company ID
+ * @param {Array<string>} documentIds - Document IDs from the request
+ * @param {'goodsreceipts'|'consumos'} sourceModel - Record type
+ * @returns {Promise<Array<Object>>} The documents
+ * @throws {Error} NOT_FOUND, ALREADY_LINKED or INVALID
+ */
+async function findLinkable(companyId, documentIds, sourceModel) {
+  const ids = [...new Set((documentIds || []).map(String))];
+  if (ids.length === 0) return [];
+  if (!ids.every((id) => mongoose.Types.ObjectId.isValid(id))) {
+    throw documentError('INVALID', 'Documento inválido');
+  }
+
+  const Documentos = await getDocumentosModel(companyId);
+  const documents = await Documentos.find({ _id: { $in: ids } }).lean();
+  if (documents.length !== ids.length) {
+    throw documentError('NOT_FOUND', 'Uno o más documentos no existen');
+  }
+
+  for (const document of documents) {
+    if (document.linkedTo?.id) {
+      throw documentError('ALREADY_LINKED', `El documento ${document.filename} ya está vinculado a otro registro`);
+    }
+    if (document.kind !== SOURCES[sourceModel].kind) {
+      throw documentError('INVALID', `El documento ${document.filename} no corresponde a este tipo de registro`);
+    }
+  }
+
+  return documents;
+}
+
+/**
+ * Link checked documents to the record created from them
+ * Call inside the transaction that saves the record.
+ *
+ * @param {string} companyId - Company ID
+ * @param {Array<Object>} documents - Result of findLinkable
+ * @param {Object} source - { model, id }
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Array<Object>>} Summaries to store on the record
+ */
+async function linkDocuments(companyId, documents, { model, id }, session = null) {
+  if (documents.length === 0) return [];
+
+  const Documentos = await getDocumentosModel(companyId);
+  const result = await Documentos.updateMany(
+    { _id: { $in: documents.map((document) => document._id) }, 'linkedTo.id': null },
+    { $set: { linkedTo: { model, id } } },
+    { session }
+  );
+
+  // Another request linked one of them since findLinkable
+  if (result.modifiedCount !== documents.length) {
+    throw documentError('ALREADY_LINKED', 'Uno o más documentos ya están vinculados a otro registro');
+  }
+
+  return documents.map(summarize);
+}
+
+/**
+ * Attach a record's documents to its SAP document
+ * Two steps, each recorded so a retry resumes where the last attempt stopped:
+ * upload the files (Attachments2), then set AttachmentEntry on the document.
+ *
+ * @param {string} companyId - Company ID
+ * @param {'goodsreceipts'|'consumos'} sourceModel - Record type
+ * @param {ObjectId} sourceId - Record ID
+ * @returns {Promise<Object|null>} { attachmentEntry, files } or null when the record has no documents
+ * @throws {Error} NOT_FOUND, NOT_SYNCED, or the SAP error
+ */
+async function attachToSap(companyId, sourceModel, sourceId) {
+  const source = SOURCES[sourceModel];
+  if (!source) {
+    throw documentError('INVALID', `Tipo de registro no soportado: ${sourceModel}`);
+  }
+
+  const Model = await source.getModel(companyId);
+  const record = await Model.findById(sourceId).lean();
+  if (!record) {
+    throw documentError('NOT_FOUND', 'Registro no encontrado');
+  }
+  if (!record.documents?.length) return null;
+
+  const sap = record.sapIntegration || {};
+  if (!sap.docEntry) {
+    throw documentError('NOT_SYNCED', 'El registro todavía no tiene documento en SAP');
+  }
+
+  const documentIds = record.documents.map((document) => document.documentId);
+  if (sap.attachedAt) {
+    return { attachmentEntry: sap.attachmentEntry, files: documentIds.length };
+  }
+
+  const Documentos = await getDocumentosModel(companyId);
+  let attachmentEntry = sap.attachmentEntry;
+
+  try {
+    if (!attachmentEntry) {
+      const files = [];
+      for (const documentId of documentIds) {
+        const { document, content } = await getContent(companyId, documentId);
+        // The SAP attachments folder is shared by every document: prefix the ID to keep names unique
+        files.push({ filename: `${document._id}_${document.filename}`, mimetype: document.mimetype, buffer: content });
+      }
+
+      const attachment = await sapService.createAttachment(files);
+      attachmentEntry = attachment.AbsoluteEntry;
+      await Model.updateOne({ _id: sourceId }, { $set: { 'sapIntegration.attachmentEntry': attachmentEntry } });
+    }
+
+    await sapService.setDocumentAttachment(sap.docType || source.entitySet, sap.docEntry, attachmentEntry);
+  } catch (error) {
+    await Model.updateOne({ _id: sourceId }, { $set: { 'sapIntegration.attachmentError': error.message } });
+    throw error;
+  }
+
+  const now = new Date();
+  await Model.updateOne(
+    { _id: sourceId },
+    { $set: { 'sapIntegration.attachedAt': now, 'sapIntegration.attachmentError': null } }
+  );
+  await Documentos.updateMany({ _id: { $in: documentIds } }, { $set: { sapAttachedAt: now } });
+
+  return { attachmentEntry, files: documentIds.length };
+}
+
+/**
+ * Map a document store error to an HTTP response
+ * @returns {Object|null} { status, body } or null for unexpected errors
+ */
+function getErrorResponse(error) {
+  const statusByCode = {
+    NOT_FOUND: 404,
+    ALREADY_LINKED: 409,
+    NOT_SYNCED: 409,
+    INVALID: 400,
+  };
+  const status = statusByCode[error.code];
+  return status ? { status, body: { error: error.message } } : null;
+}
+
+module.exports = {
+  SOURCE_MODELS: Object.keys(SOURCES),
+  storeUploads,
+  getDocument,
+  getContent,
+  findLinkable,
+  linkDocuments,
+  attachToSap,
+  summarize,
+  getErrorResponse,
+};
@@ -1,6 +1,6 @@
 /**
  * Encryption Service
- * AES-256-GCM encryption for sensitive data (SAP credentials)
+ * AES-256-GCM encryption for sensitive data (SAP credentials, patient identifiers)
  */
 const crypto = require('crypto');
 
@@ -79,6 +79,21 @@ function decrypt(encrypted, iv, authTag) {
   return decrypted;
 }
 
+/**
+ * Keyed hash (HMAC-SHA256) of a value
+ * Lets encrypted values be looked up by equality without decrypting them
+ * (the random IV makes two encryptions of the same value differ).
+ * @param {string} value - Text to hash
+ * @returns {string} 64 hex characters
+ */
+function hash(value) {
+  if (!value) {
+    throw new Error('Cannot hash empty value');
+  }
+
+  return crypto.createHmac('sha256', getEncryptionKey()).update(value, 'utf8').digest('hex');
+}
+
 /**
  * Generate a new random encryption key
  * Use this once to generate the SAP_CREDENTIALS_KEY
@@ -104,6 +119,7 @@ function isConfigured() {
 module.exports = {
   encrypt,
   decrypt,
+  hash,
   generateKey,
   isConfigured
 };
@@ -11,6 +11,7 @@ const {
   getGoodsReceiptsModel,
   getConsignacionesModel,
   getConsumosModel,
+  getTrasladosModel,
 } = require('../getModel');
 
 const { getStockTransferByDocEntry } = require('./sapService');
@@ -228,6 +229,17 @@ async function validateStockTransfer(items, { Producto, Locacion, Lote, External
       continue;
     }
 
+    // Bin-to-bin moves inside the consignment warehouse only resolve when both
+    // bins are mapped to centros; otherwise both ends fall back to the same location
+    if (fromLocation._id.equals(toLocation._id)) {
+      errors.push({
+        type: 'SAME_LOCATION',
+        message: `Origen y destino resuelven a la misma locación (${fromLocation.name}). Verifique el binAbsEntry de los centros`,
+        details: { fromBinAbsEntry: item.fromBinAbsEntry, toBinAbsEntry: item.toBinAbsEntry },
+      });
+      continue;
+    }
+
     // 4. Check batch exists in source with sufficient quantity (if batch tracked)
     if (batchNumber) {
       const sourceLote = await Lote.findOne({
@@ -323,6 +335,7 @@ async function validateStockTransfer(items, { Producto, Locacion, Lote, External
       fromLocation: fromLocation.name,
       toLocation: toLocation.name,
       quantity: quantity,
+      transferType: isCentroToCentro(fromLocation, toLocation) ? 'Traslado' : 'Consignacion',
     });
   }
 }
@@ -449,6 +462,13 @@ async function findLocationByWarehouseOrBin(Locacion, warehouseCode, binAbsEntry
   });
 }
 
+/**
+ * Centro → centro moves are recorded as Traslados, everything else as Consignaciones
+ */
+function isCentroToCentro(fromLocation, toLocation) {
+  return fromLocation?.type === 'CENTRO' && toLocation?.type === 'CENTRO';
+}
+
 /**
  * Find location by cardCode (for transfers where bin is not specified)
  */
@@ -506,6 +526,7 @@ async function importDocument(companyId, documentId, user) {
   const GoodsReceipt = await getGoodsReceiptsModel(companyId);
   const Consignacion = await getConsignacionesModel(companyId);
   const Consumo = await getConsumosModel(companyId);
+  const Traslado = await getTrasladosModel(companyId);
 
   // First validate
   const validation = await validateImport(companyId, documentId);
@@ -530,7 +551,7 @@ async function importDocument(companyId, documentId, user) {
 
       case 'StockTransfer':
         result = await importStockTransfer(doc, {
-          Producto, Locacion, Lote, Inventario, Consignacion, user,
+          Producto, Locacion, Lote, Inventario, Consignacion, Traslado, user,
         });
         break;
 
@@ -672,8 +693,6 @@ async function importPurchaseDeliveryNote(doc, { Producto, Locacion, Lote, Inven
       docType: 'PurchaseDeliveryNotes',
       syncDate: new Date(),
       error: null,
-      retryCount: 0,
-      retrying: false,
     },
     notes: `Importado desde documento externo SAP ${doc.sapDocNum}`,
     createdBy: user,
@@ -695,9 +714,9 @@ async function importPurchaseDeliveryNote(doc, { Producto, Locacion, Lote, Inven
 }
 
 /**
- * Import StockTransfer (updates Lotes, creates Consignacion)
+ * Import StockTransfer (updates Lotes, creates Consignacion or Traslado)
  */
-async function importStockTransfer(doc, { Producto, Locacion, Lote, Inventario, Consignacion, user }) {
+async function importStockTransfer(doc, { Producto, Locacion, Lote, Inventario, Consignacion, Traslado, user }) {
   // Fetch fresh data from SAP to get bin allocations (list queries don't include them)
   const freshResult = await getStockTransferByDocEntry(doc.sapDocEntry);
   let items = doc.items || [];
@@ -712,7 +731,7 @@ async function importStockTransfer(doc, { Producto, Locacion, Lote, Inventario,
     console.warn(`[Import] Could not fetch fresh SAP data for StockTransfer ${doc.sapDocEntry}, using stored data: ${freshResult.error}`);
   }
 
-  const created = { lotesUpdated: 0, lotesCreated: 0, consignacion: 0 };
+  const created = { lotesUpdated: 0, lotesCreated: 0, consignacion: 0, traslado: 0 };
   const transferItems = [];
   let firstFromLocation = null;
   let firstToLocation = null;
@@ -832,6 +851,7 @@ async function importStockTransfer(doc, { Producto, Locacion, Lote, Inventario,
       productId: product._id,
       lotNumber: item.batchNumber,
       quantity: item.quantity,
+      sourceLoteId: sourceLote._id,
       destLoteId: destLote._id,
     });
   }
@@ -849,6 +869,45 @@ async function importStockTransfer(doc, { Producto, Locacion, Lote, Inventario,
     };
   }
 
+  // Bin-to-bin move between two centros: record as a Traslado
+  if (isCentroToCentro(firstFromLocation, firstToLocation)) {
+    const traslado = new Traslado({
+      fromLocationId: firstFromLocation._id,
+      toLocationId: firstToLocation._id,
+      items: itemsWithLote.map(i => ({
+        productId: i.productId,
+        fromLoteId: i.sourceLoteId,
+        toLoteId: i.destLoteId,
+        lotNumber: i.lotNumber,
+        quantity: i.quantity,
+      })),
+      sapIntegration: {
+        pushed: true,
+        docEntry: doc.sapDocEntry,
+        docNum: doc.sapDocNum,
+        docType: 'StockTransfers',
+        syncDate: new Date(),
+        error: null,
+      },
+      status: 'COMPLETADO',
+      notes: `Importado desde documento externo SAP ${doc.sapDocNum}`,
+      createdBy: user,
+      origin: 'SAP_IMPORT',
+      importedFromId: doc._id,
+    });
+    await traslado.save();
+    created.traslado = 1;
+
+    return {
+      created,
+      summary: `${created.lotesUpdated} lotes actualizados, ${created.lotesCreated} lotes creados, ${created.traslado} traslado`,
+      importedAs: {
+        documentType: 'Traslado',
+        documentId: traslado._id,
+      },
+    };
+  }
+
   const consignacion = new Consignacion({
     fromLocationId: firstFromLocation?._id,
     toLocationId: firstToLocation?._id,
@@ -867,8 +926,6 @@ async function importStockTransfer(doc, { Producto, Locacion, Lote, Inventario,
       docType: 'StockTransfers',
       syncDate: new Date(),
       error: null,
-      retryCount: 0,
-      retrying: false,
     },
     status: 'RECIBIDO',
     confirmedAt: new Date(),
@@ -988,8 +1045,6 @@ async function importDeliveryNote(doc, { Producto, Locacion, Lote, Inventario, C
       docType: 'DeliveryNotes',
       syncDate: new Date(),
       error: null,
-      retryCount: 0,
-      retrying: false,
     },
     status: 'SYNCED',
     notes: `Importado desde documento externo SAP ${doc.sapDocNum}`,
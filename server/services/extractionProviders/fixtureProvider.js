@@ -0,0 +1,63 @@
+/**
+ * Fixture extraction provider
+ * Returns canned JSON instead of reading the documents, so demos and tests
+ * get the same result every time without network access. Only offered when
+ * EXTRACTION_FIXTURES_DIR is set or NODE_ENV is test, so production companies
+ * can't pick it by mistake.
+ *
+ * For each request it uses the first file that exists in the fixtures
+ * directory (EXTRACTION_FIXTURES_DIR, or ./fixtures next to this file):
+ * 1. <uploaded file name>.json, e.g. packing-0042.jpg.json
+ * 2. packingList.json / consumption.json
+ */
+const fs = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, 'fixtures');
+
+function fixturesDir() {
+  return process.env.EXTRACTION_FIXTURES_DIR || DEFAULT_FIXTURES_DIR;
+}
+
+/**
+ * Read the fixture for the first uploaded file, or the default for the kind
+ * @param {Array<{originalname?: string}>} files
+ * @param {'packingList'|'consumption'} kind
+ * @returns {Promise<Object>} Parsed fixture
+ */
+async function loadFixture(files, kind) {
+  const candidates = [
+    ...files.filter((file) => file.originalname).map((file) => `${path.basename(file.originalname)}.json`),
+    `${kind}.json`,
+  ];
+
+  for (const name of candidates) {
+    try {
+      const content = await fs.readFile(path.join(fixturesDir(), name), 'utf8');
+      return JSON.parse(content);
+    } catch (error) {
+      if (error.code !== 'ENOENT') {
+        throw new Error(`Invalid extraction fixture ${name}: ${error.message}`);
+      }
+    }
+  }
+
+  throw new Error(`No extraction fixture found for ${kind} in ${fixturesDir()}`);
+}
+
+module.exports = {
+  name: 'fixture',
+  label: 'Datos de prueba (fixture)',
+
+  isAvailable() {
+    return !!process.env.EXTRACTION_FIXTURES_DIR || process.env.NODE_ENV === 'test';
+  },
+
+  async extractPackingList(files) {
+    return loadFixture(files, 'packingList');
+  },
+
+  async extractConsumptionDocument(files) {
+    return loadFixture(files, 'consumption');
+  },
+};
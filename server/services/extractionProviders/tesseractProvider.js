@@ -0,0 +1,86 @@
+/**
+ * Tesseract extraction provider
+ * Local OCR with tesseract.js, then the plain-text parser. Needs no API key
+ * and no network access. Accuracy is lower than Gemini's, especially on
+ * handwriting, and PDFs are not supported.
+ *
+ * Only available when TESSERACT_LANG_PATH points to a local directory with
+ * the spa/eng traineddata files (tesseract.js would otherwise download them).
+ */
+const fs = require('fs');
+const { createWorker } = require('tesseract.js');
+const { parseDocumentText } = require('./textParser');
+
+const LANGUAGES = 'spa+eng';
+
+/**
+ * OCR every image and join the text, one page after another
+ * @param {Array<{buffer: Buffer, mimetype: string, originalname?: string}>} files
+ * @returns {Promise<{ text: string, confidence: number|null, warnings: string[] }>} confidence is the lowest page score (0-100)
+ */
+async function recognize(files) {
+  const warnings = [];
+  const images = files.filter((file) => {
+    if (file.mimetype === 'application/pdf') {
+      warnings.push(`${file.originalname || 'PDF'}: el OCR local no procesa PDF, suba una imagen`);
+      return false;
+    }
+    return true;
+  });
+
+  if (images.length === 0) {
+    return { text: '', confidence: null, warnings };
+  }
+
+  const worker = await createWorker(LANGUAGES, 1, { langPath: process.env.TESSERACT_LANG_PATH });
+  try {
+    const pages = [];
+    for (const file of images) {
+      const { data } = await worker.recognize(file.buffer);
+      pages.push(data);
+    }
+    return {
+      text: pages.map((page) => page.text).join('\n'),
+      confidence: Math.min(...pages.map((page) => page.confidence)),
+      warnings,
+    };
+  } finally {
+    await worker.terminate();
+  }
+}
+
+/**
+ * Parse the OCR text and tag every item with the OCR confidence
+ */
+function parse(ocr, options) {
+  const result = parseDocumentText(ocr.text, options);
+  if (ocr.confidence !== null) {
+    result.items.forEach((item) => {
+      item.confidence = ocr.confidence / 100;
+    });
+  }
+  result.warnings = [...ocr.warnings, ...result.warnings];
+  return result;
+}
+
+module.exports = {
+  name: 'tesseract',
+  label: 'OCR local (Tesseract)',
+
+  isAvailable() {
+    const langPath = process.env.TESSERACT_LANG_PATH;
+    return !!langPath && fs.existsSync(langPath);
+  },
+
+  async extractPackingList(files) {
+    return parse(await recognize(files), { kind: 'packingList' });
+  },
+
+  async extractConsumptionDocument(files, constraints) {
+    return parse(await recognize(files), {
+      kind: 'consumption',
+      products: constraints?.products,
+      lots: constraints?.lots,
+    });
+  },
+};
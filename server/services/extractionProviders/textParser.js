@@ -0,0 +1,172 @@
+/**
+ * Plain-text document parser
+ * Turns OCR text into the same { items, documentInfo, warnings } shape the
+ * Gemini prompts ask for. Used by the Tesseract provider, which only returns
+ * text.
+ *
+ * Works line by line: a line with a product code starts an item, and lot,
+ * expiry and quantity are read from that line or the next few lines. It
+ * understands the BIOTRONIK packing list layout ("Lot 06253084",
+ * "UBD 09.07.2028", "Qty 1") and the usual Spanish labels on consumption
+ * sheets ("REF", "Lote", "Cant.", "Paciente", "Responsable", "Hospital",
+ * "Cliente").
+ */
+
+// Lines after a product code that still belong to the same item
+const ITEM_LOOKAHEAD = 3;
+
+const LOT_PATTERN = /\b(?:lot(?:e|#|\s*no\.?|\s*nr\.?)?|batch|ch\.?-?b\.?)\s*[:#]?\s*([A-Z0-9][A-Z0-9-]{3,19})\b/i;
+const QUANTITY_PATTERN = /\b(?:qty|quantity|cant(?:idad)?|menge)\.?\s*[:#]?\s*(\d{1,3})\b/i;
+const DATE_PATTERN = /\b(\d{4})-(\d{2})-(\d{2})\b|\b(\d{1,2})[./-](\d{1,2})[./-](\d{4}|\d{2})\b/;
+const EXPIRY_LABEL = /\b(?:ubd|exp(?:iry)?|vto|venc(?:imiento)?|use by|caducidad)\.?/i;
+// Numeric article codes (BIOTRONIK uses 6 digits), leading a packing list
+// row or after REF on a sticker
+const CODE_PATTERN = /^\s*(\d{5,7})\b|\bREF\.?\s*[:#]?\s*(\d{5,7})\b/i;
+
+/**
+ * Date parts to YYYY-MM-DD, or null when the date does not exist
+ */
+function toIsoDate(year, month, day) {
+  const y = parseInt(year, 10);
+  const m = parseInt(month, 10);
+  const d = parseInt(day, 10);
+  const date = new Date(Date.UTC(y, m - 1, d));
+  if (date.getUTCFullYear() !== y || date.getUTCMonth() !== m - 1 || date.getUTCDate() !== d) {
+    return null;
+  }
+  return date.toISOString().slice(0, 10);
+}
+
+/**
+ * First date on a line (YYYY-MM-DD, or day first: DD.MM.YYYY, DD/MM/YY)
+ * @returns {string|null} YYYY-MM-DD
+ */
+function findDate(line) {
+  const match = line.match(DATE_PATTERN);
+  if (!match) return null;
+  if (match[1]) return toIsoDate(match[1], match[2], match[3]);
+  const year = match[6].length === 2 ? `20${match[6]}` : match[6];
+  return toIsoDate(year, match[5], match[4]);
+}
+
+/**
+ * Value after a "Label:" on any line, e.g. "Paciente: Juan Pérez"
+ */
+function findLabeled(lines, pattern) {
+  for (const line of lines) {
+    const match = line.match(pattern);
+    if (match && match[1].trim()) return match[1].trim();
+  }
+  return null;
+}
+
+/**
+ * Known product code on a line, or a leading numeric code when there is no
+ * product list to match against
+ */
+function findCode(line, knownCodes) {
+  if (knownCodes.length > 0) {
+    return knownCodes.find((code) => new RegExp(`\\b${code.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}\\b`).test(line)) || null;
+  }
+  const match = line.match(CODE_PATTERN);
+  return match ? match[1] || match[2] : null;
+}
+
+/**
+ * Parse OCR text into extraction items
+ * @param {string} text - OCR output
+ * @param {Object} [options]
+ * @param {'packingList'|'consumption'} [options.kind='packingList'] - Document type
+ * @param {Array<{code: string, name: string}>} [options.products] - Known products
+ * @param {Array<{lotNumber: string}>} [options.lots] - Lots at the location (unknown lots get a warning)
+ * @returns {Object} { items, documentInfo?, warnings }
+ */
+function parseDocumentText(text, { kind = 'packingList', products = [], lots = [] } = {}) {
+  const lines = String(text || '')
+    .split(/\r?\n/)
+    .map((line) => line.trim())
+    .filter(Boolean);
+
+  const knownCodes = products.map((p) => String(p.code));
+  const namesByCode = new Map(products.map((p) => [String(p.code), p.name]));
+  const knownLots = new Set(lots.map((l) => String(l.lotNumber).toUpperCase()));
+
+  const items = [];
+  const warnings = [];
+
+  for (let i = 0; i < lines.length; i++) {
+    const code = findCode(lines[i], knownCodes);
+    if (!code) continue;
+
+    const block = lines.slice(i, i + 1 + ITEM_LOOKAHEAD);
+    // Stop the block at the next product line
+    const nextItem = block.findIndex((line, j) => j > 0 && findCode(line, knownCodes));
+    const itemLines = nextItem === -1 ? block : block.slice(0, nextItem);
+
+    const item = {
+      code,
+      name: namesByCode.get(code) || lines[i].replace(code, '').replace(/\bREF\b\.?\s*[:#]?/i, '').replace(/\s{2,}/g, ' ').trim() || null,
+      lotNumber: null,
+      quantity: 1,
+    };
+    if (kind === 'packingList') {
+      item.expiryDate = null;
+    }
+
+    for (const line of itemLines) {
+      if (!item.lotNumber) {
+        const lot = line.match(LOT_PATTERN);
+        if (lot) item.lotNumber = lot[1].toUpperCase();
+      }
+      if (kind === 'packingList' && !item.expiryDate && (EXPIRY_LABEL.test(line) || itemLines.length === 1)) {
+        item.expiryDate = findDate(line);
+      }
+      const qty = line.match(QUANTITY_PATTERN);
+      if (qty) item.quantity = parseInt(qty[1], 10);
+    }
+
+    if (item.lotNumber && knownLots.size > 0 && !knownLots.has(item.lotNumber)) {
+      warnings.push(`Lote ${item.lotNumber} (${code}) no está en la ubicación`);
+    }
+
+    items.push(item);
+  }
+
+  if (items.length === 0) {
+    warnings.push('No se encontraron productos en el texto reconocido');
+  }
+
+  const dateLine = lines.find((line) => /\b(?:date|datum|fecha)\b/i.test(line) && !EXPIRY_LABEL.test(line));
+  const documentDate = dateLine ? findDate(dateLine) : null;
+
+  if (kind === 'consumption') {
+    // One form per procedure: the header fields apply to every item
+    const header = {
+      patientName: findLabeled(lines, /\bpaciente\s*[:.]?\s*(.+)$/i),
+      doctorName: findLabeled(lines, /\b(?:responsable|m[ée]dico|doctor)\s*[:.]?\s*(.+)$/i),
+      procedureDate: documentDate,
+    };
+    return {
+      items: items.map((item) => ({ ...item, ...header })),
+      documentInfo: {
+        hospital: findLabeled(lines, /\b(?:hospital|centro|cl[íi]nica|instituci[óo]n)\s*[:.]\s*(.+)$/i),
+        customerCode: findLabeled(lines, /\b(?:c[óo]d(?:igo)?\.?\s*)?cliente\s*[:#.]?\s*([A-Z]\d{3,})\b/i),
+      },
+      warnings,
+    };
+  }
+
+  return {
+    items,
+    documentInfo: {
+      documentNumber: findLabeled(lines, /\b(?:delivery\s*(?:no|number|note)?|lieferschein|entrega|documento)\.?\s*[:#]?\s*([A-Z0-9-]{4,})/i),
+      date: documentDate,
+      supplier: /biotronik/i.test(text) ? 'BIOTRONIK' : null,
+    },
+    warnings,
+  };
+}
+
+module.exports = {
+  parseDocumentText,
+};
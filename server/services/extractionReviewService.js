@@ -0,0 +1,430 @@
+/**
+ * Extraction Review Service
+ * Scores extracted consumption items field by field and checks them against
+ * the centro's stock. Low-confidence extractions are queued with their
+ * images so a second person approves them before the consumption is created.
+ * Lot numbers misread from handwriting otherwise reach SAP and fail the
+ * DeliveryNote.
+ *
+ * Confidence per field (0-1) starts at the provider's own score and is
+ * capped by what the data says:
+ * - code: the product must exist
+ * - lotNumber: the lot must be at the centro, for that product
+ * - quantity: the lot must have that many units available
+ *
+ * Used by:
+ * - Consumption controller (document extraction, create gate)
+ * - Extraction reviews controller (review queue)
+ * - Consumption batch service (forms matched to their centro)
+ */
+const {
+  getVascularesConfigModel,
+  getRevisionesExtraccionModel,
+  getLotesModel,
+  getProductosModel,
+} = require('../getModel');
+const { summarize } = require('./documentStoreService');
+
+const DEFAULT_REVIEW_THRESHOLD = 0.8;
+
+// Provider gave no score: trust the reading only as far as the checks go
+const UNSCORED_CONFIDENCE = 0.9;
+
+// Caps applied when a check fails
+const CAP = {
+  UNKNOWN_PRODUCT: 0.2,
+  MISSING_LOT: 0,
+  LOT_NOT_FOUND: 0.1,
+  LOT_NOT_AT_CENTRO: 0.2,
+  LOT_PRODUCT_MISMATCH: 0.3,
+  INSUFFICIENT_QUANTITY: 0.3,
+};
+
+const FIELD_LABELS = {
+  code: 'código',
+  lotNumber: 'lote',
+  quantity: 'cantidad',
+};
+
+// Characters OCR and handwriting commonly swap, mapped to the digit they stand for
+const CONFUSABLE = { O: '0', Q: '0', D: '0', I: '1', L: '1', T: '7', Z: '2', S: '5', B: '8', G: '6' };
+
+// Largest edit distance for a lot at the centro to be offered as the intended lot
+const MAX_LOT_DISTANCE = 2;
+
+/**
+ * Confidence below which an extraction goes to the review queue
+ * @param {string} companyId - Company ID
+ * @returns {Promise<number>} Threshold (0-1)
+ */
+async function getReviewThreshold(companyId) {
+  const VascularesConfig = await getVascularesConfigModel(companyId);
+  const config = await VascularesConfig.findOne({ companyId }).lean();
+  const threshold = config?.extraction?.reviewThreshold;
+  return typeof threshold === 'number' ? threshold : DEFAULT_REVIEW_THRESHOLD;
+}
+
+/**
+ * Upper-case a lot number and map confusable letters to digits
+ */
+function canonicalLot(lotNumber) {
+  return String(lotNumber || '')
+    .toUpperCase()
+    .replace(/[\s-]/g, '')
+    .replace(/[OQDILTZSBG]/g, (char) => CONFUSABLE[char]);
+}
+
+/**
+ * Levenshtein distance
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      previous[j] = Math.min(
+        previous[j] + 1,
+        previous[j - 1] + 1,
+        diagonal + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+      diagonal = above;
+    }
+  }
+  return previous[b.length];
+}
+
+/**
+ * Lot at the centro that the reading most likely meant
+ * @param {string} lotNumber - Extracted lot number
+ * @param {Array<Object>} candidates - Lotes of the same product at the centro
+ * @returns {Object|null} The single closest lote within MAX_LOT_DISTANCE, null when none or tied
+ */
+function findClosestLot(lotNumber, candidates) {
+  const target = canonicalLot(lotNumber);
+  if (!target) return null;
+
+  let best = null;
+  let bestDistance = Infinity;
+  let tied = false;
+  for (const lote of candidates) {
+    const distance = editDistance(target, canonicalLot(lote.lotNumber));
+    if (distance < bestDistance) {
+      best = lote;
+      bestDistance = distance;
+      tied = false;
+    } else if (distance === bestDistance) {
+      tied = true;
+    }
+  }
+
+  return best && bestDistance <= MAX_LOT_DISTANCE && !tied ? best : null;
+}
+
+const providerScore = (value) => (typeof value === 'number' ? value : UNSCORED_CONFIDENCE);
+
+/**
+ * Score one extracted consumption item
+ * @param {Object} item - Normalized extraction item ({ code, lotNumber, quantity, confidence })
+ * @param {Object} context
+ * @param {Object|null} context.product - Product matched by code
+ * @param {Array<Object>} context.lotsAtCentro - Active lotes with stock at the centro (any product)
+ * @param {Array<Object>} [context.lotsElsewhere] - Lotes with this lot number at other locations ({ lotNumber, locationName })
+ * @param {number} context.threshold - Review threshold
+ * @returns {Object} { confidence: { code, lotNumber, quantity, overall }, flags, needsReview }
+ */
+function scoreConsumptionItem(item, { product, lotsAtCentro, lotsElsewhere = [], threshold }) {
+  const provided = item.confidence || {};
+  const confidence = {
+    code: providerScore(provided.code),
+    lotNumber: providerScore(provided.lotNumber),
+    quantity: providerScore(provided.quantity),
+  };
+  const flags = [];
+  const flag = (field, type, message, suggestion = null) => {
+    confidence[field] = Math.min(confidence[field], CAP[type]);
+    flags.push({ field, type, message, suggestion });
+  };
+
+  if (!product) {
+    flag('code', 'UNKNOWN_PRODUCT', `Código ${item.code || '(vacío)'} no corresponde a ningún producto`);
+  }
+
+  const productId = product?._id?.toString();
+  const sameProduct = lotsAtCentro.filter((l) => (l.productId?._id || l.productId)?.toString() === productId);
+  const lotKey = canonicalLot(item.lotNumber);
+  const atCentro = lotsAtCentro.find((l) => canonicalLot(l.lotNumber) === lotKey);
+
+  if (!item.lotNumber) {
+    const suggestion = sameProduct.length === 1 ? sameProduct[0] : null;
+    flag('lotNumber', 'MISSING_LOT', 'No se pudo leer el lote', suggestion && { loteId: suggestion._id, lotNumber: suggestion.lotNumber });
+  } else if (atCentro && product && (atCentro.productId?._id || atCentro.productId)?.toString() !== productId) {
+    flag('lotNumber', 'LOT_PRODUCT_MISMATCH', `El lote ${item.lotNumber} en el centro es de otro producto`);
+  } else if (!atCentro) {
+    const closest = product ? findClosestLot(item.lotNumber, sameProduct) : null;
+    const suggestion = closest && { loteId: closest._id, lotNumber: closest.lotNumber };
+    if (lotsElsewhere.length > 0) {
+      const where = [...new Set(lotsElsewhere.map((l) => l.locationName).filter(Boolean))].join(', ');
+      flag('lotNumber', 'LOT_NOT_AT_CENTRO', `El lote ${item.lotNumber} no está en este centro${where ? ` (está en ${where})` : ''}`, suggestion);
+    } else {
+      flag('lotNumber', 'LOT_NOT_FOUND', `El lote ${item.lotNumber} no existe en el inventario`, suggestion);
+    }
+  } else if (atCentro.lotNumber !== item.lotNumber) {
+    // Matched only after mapping confusable characters (O for 0, etc.)
+    confidence.lotNumber = Math.min(confidence.lotNumber, Math.max(threshold - 0.01, 0));
+    flags.push({
+      field: 'lotNumber',
+      type: 'LOT_CORRECTED',
+      message: `Lote leído como ${item.lotNumber}, corresponde a ${atCentro.lotNumber}`,
+      suggestion: { loteId: atCentro._id, lotNumber: atCentro.lotNumber },
+    });
+  }
+
+  if (atCentro && atCentro.quantityAvailable < item.quantity) {
+    flag('quantity', 'INSUFFICIENT_QUANTITY', `Cantidad ${item.quantity} mayor a la disponible (${atCentro.quantityAvailable}) en el lote ${atCentro.lotNumber}`);
+  }
+
+  for (const field of ['code', 'lotNumber', 'quantity']) {
+    if (typeof provided[field] === 'number' && provided[field] < threshold && !flags.some((f) => f.field === field)) {
+      flags.push({ field, type: 'LOW_CONFIDENCE', message: `Lectura dudosa de ${FIELD_LABELS[field]}`, suggestion: null });
+    }
+  }
+
+  confidence.overall = Math.min(confidence.code, confidence.lotNumber, confidence.quantity);
+
+  return {
+    confidence,
+    flags,
+    needsReview: confidence.overall < threshold,
+  };
+}
+
+/**
+ * Active lots with units at a centro, with their product
+ * @param {string} companyId - Company ID
+ * @param {string} centroId - Centro ID
+ * @returns {Promise<Array<Object>>}
+ */
+async function findLotsAtCentro(companyId, centroId) {
+  const Lotes = await getLotesModel(companyId);
+  return Lotes.find({
+    currentLocationId: centroId,
+    quantityAvailable: { $gt: 0 },
+    status: 'ACTIVE',
+  }).populate('productId', 'code sapItemCode name').lean();
+}
+
+/**
+ * Match extracted items to products and to the lots at the centro, and score them
+ * @param {string} companyId - Company ID
+ * @param {Object} params
+ * @param {string} params.centroId - Centro the document comes from
+ * @param {Array<Object>} params.items - Normalized extraction items
+ * @param {number} params.threshold - Review threshold in effect
+ * @param {Array<Object>} [params.lotsAtCentro] - Result of findLotsAtCentro, when already loaded
+ * @returns {Promise<Array<Object>>} Items with matchedProductId, matchedLoteId, availableLots, confidence, flags, needsReview
+ */
+async function matchConsumptionItems(companyId, { centroId, items, threshold, lotsAtCentro }) {
+  const Lotes = await getLotesModel(companyId);
+  const Productos = await getProductosModel(companyId);
+  const centroLots = lotsAtCentro || await findLotsAtCentro(companyId, centroId);
+
+  // Extracted lots that exist at other locations (wrong centro vs. misread)
+  const extractedLots = items.map(item => item.lotNumber).filter(Boolean);
+  const lotsElsewhere = extractedLots.length > 0
+    ? await Lotes.find({
+      lotNumber: { $in: extractedLots },
+      currentLocationId: { $ne: centroId },
+    }).populate('currentLocationId', 'name').lean()
+    : [];
+
+  const enrichedItems = [];
+  for (const item of items) {
+    let matchedProduct = null;
+    let matchedLote = null;
+
+    // Try to find product by code
+    if (item.code) {
+      // Clean the code: remove non-numeric characters and trim
+      const cleanCode = String(item.code).replace(/[^0-9]/g, '').trim();
+      matchedProduct = await Productos.findOne({
+        $or: [
+          { sapItemCode: cleanCode },
+          { sapItemCode: String(item.code) },
+          { code: cleanCode },
+          { code: item.code },
+        ],
+      }).lean();
+    }
+
+    // Lots of this product available at the Centro
+    const lots = matchedProduct
+      ? centroLots.filter(l => l.productId?._id?.toString() === matchedProduct._id.toString())
+      : [];
+
+    const availableLots = lots.map(l => ({
+      loteId: l._id,
+      lotNumber: l.lotNumber,
+      quantityAvailable: l.quantityAvailable,
+      expiryDate: l.expiryDate,
+    })).sort((a, b) => new Date(a.expiryDate) - new Date(b.expiryDate));
+
+    // Try to match lot number if provided
+    if (item.lotNumber) {
+      matchedLote = lots.find(l => l.lotNumber === item.lotNumber);
+    } else if (lots.length === 1) {
+      // Auto-select if only one lot available
+      matchedLote = lots[0];
+    }
+
+    const score = scoreConsumptionItem(item, {
+      product: matchedProduct,
+      lotsAtCentro: centroLots,
+      lotsElsewhere: lotsElsewhere
+        .filter(l => l.lotNumber === item.lotNumber)
+        .map(l => ({ lotNumber: l.lotNumber, locationName: l.currentLocationId?.name })),
+      threshold,
+    });
+
+    enrichedItems.push({
+      ...item,
+      matchedProductId: matchedProduct?._id || null,
+      matchedProductName: matchedProduct?.name || null,
+      sapItemCode: matchedProduct?.sapItemCode || item.code,
+      matchedLoteId: matchedLote?._id || null,
+      matchedLotNumber: matchedLote?.lotNumber || item.lotNumber,
+      availableLots,
+      needsLotSelection: !matchedLote && availableLots.length > 0,
+      price: matchedProduct?.price || null,
+      currency: matchedProduct?.currency || 'USD',
+      confidence: score.confidence,
+      flags: score.flags,
+      needsReview: score.needsReview,
+    });
+  }
+
+  return enrichedItems;
+}
+
+/**
+ * Check the lines a reviewer confirmed against what the centro has now
+ * @param {string} companyId - Company ID
+ * @param {Object} params
+ * @param {ObjectId} params.centroId - Centro of the document
+ * @param {string} params.centroName - For error messages
+ * @param {Array<{loteId: string, quantity: number}>} params.items - Confirmed lines
+ * @returns {Promise<Array<Object>>} Approved items { productId, loteId, lotNumber, quantity }
+ * @throws {Error} INVALID_LINE when a lote is unknown, elsewhere, inactive or short
+ */
+async function resolveApprovedLines(companyId, { centroId, centroName, items }) {
+  const invalid = (message) => Object.assign(new Error(message), { code: 'INVALID_LINE' });
+
+  // Units per lote across lines
+  const quantities = new Map();
+  for (const item of items) {
+    quantities.set(String(item.loteId), (quantities.get(String(item.loteId)) || 0) + parseInt(item.quantity));
+  }
+
+  const Lotes = await getLotesModel(companyId);
+  const lotes = await Lotes.find({ _id: { $in: [...quantities.keys()] } }).lean();
+  const lotesById = new Map(lotes.map((lote) => [lote._id.toString(), lote]));
+
+  for (const [loteId, quantity] of quantities) {
+    const lote = lotesById.get(loteId);
+    if (!lote) {
+      throw invalid(`Lote ${loteId} no encontrado`);
+    }
+    if (lote.currentLocationId.toString() !== centroId.toString()) {
+      throw invalid(`El lote ${lote.lotNumber} no está en ${centroName}`);
+    }
+    if (lote.status !== 'ACTIVE') {
+      throw invalid(`El lote ${lote.lotNumber} no está activo (${lote.status})`);
+    }
+    if (lote.quantityAvailable < quantity) {
+      throw invalid(`Cantidad insuficiente para lote ${lote.lotNumber}. Disponible: ${lote.quantityAvailable}`);
+    }
+  }
+
+  return items.map((item) => {
+    const lote = lotesById.get(String(item.loteId));
+    return {
+      productId: lote.productId,
+      loteId: lote._id,
+      lotNumber: lote.lotNumber,
+      quantity: parseInt(item.quantity),
+    };
+  });
+}
+
+/**
+ * Whether the lines sent to create a consumption are exactly the approved ones
+ * @param {Array<{loteId, quantity}>} approvedItems - Approved lines
+ * @param {Array<{loteId, quantity}>} items - Requested lines
+ * @returns {boolean}
+ */
+function matchesApprovedLines(approvedItems, items) {
+  const lineKey = (loteId, quantity) => `${loteId}:${parseInt(quantity)}`;
+  const approved = approvedItems.map(item => lineKey(item.loteId, item.quantity)).sort();
+  const requested = items.map(item => lineKey(item.loteId, item.quantity)).sort();
+  return approved.join('|') === requested.join('|');
+}
+
+/**
+ * Queue an extraction for review with its uploaded documents
+ * @param {string} companyId - Company ID
+ * @param {Object} params
+ * @param {Object} params.centro - Centro (locacion)
+ * @param {Array<Object>} params.items - Scored, enriched items
+ * @param {Array<Object>} params.documents - Uploaded files, as stored by documentStoreService
+ * @param {Object} params.extraction - { provider, warnings, patientName, doctorName, procedureDate }
+ * @param {number} params.threshold - Review threshold in effect
+ * @param {Object} params.user - Requesting user
+ * @returns {Promise<Object>} Created review
+ */
+async function createReview(companyId, { centro, items, documents, extraction, threshold, user }) {
+  const Revisiones = await getRevisionesExtraccionModel(companyId);
+  const review = await Revisiones.create({
+    centroId: centro._id,
+    centroName: centro.name,
+    provider: extraction.provider,
+    reviewThreshold: threshold,
+    warnings: extraction.warnings || [],
+    patientName: extraction.patientName || null,
+    doctorName: extraction.doctorName || null,
+    procedureDate: extraction.procedureDate ? new Date(extraction.procedureDate) : null,
+    items: items.map((item) => ({
+      code: item.code,
+      name: item.name,
+      lotNumber: item.lotNumber,
+      quantity: item.quantity,
+      productId: item.matchedProductId || null,
+      loteId: item.matchedLoteId || null,
+      confidence: item.confidence,
+      flags: item.flags,
+    })),
+    minConfidence: Math.min(...items.map((item) => item.confidence.overall)),
+    files: documents.map(summarize),
+    createdBy: {
+      _id: user._id,
+      firstname: user.firstname,
+      lastname: user.lastname,
+      email: user.email,
+    },
+  });
+
+  return review.toObject();
+}
+
+module.exports = {
+  DEFAULT_REVIEW_THRESHOLD,
+  getReviewThreshold,
+  canonicalLot,
+  findClosestLot,
+  scoreConsumptionItem,
+  findLotsAtCentro,
+  matchConsumptionItems,
+  resolveApprovedLines,
+  matchesApprovedLines,
+  createReview,
+};
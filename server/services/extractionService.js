@@ -1,267 +1,265 @@
 /**
  * Extraction Service
- * Uses Google Gemini 2.5 for OCR extraction from packing lists and consumption documents
- * Falls back to Claude for non-OCR tasks if needed
+ * Reads packing lists and consumption documents through a pluggable provider
+ * and normalizes the result, so callers get the same item shape whichever
+ * provider did the reading.
+ *
+ * Providers (services/extractionProviders/):
+ * - gemini: Google Gemini 2.5 (default, needs GEMINI_API_KEY)
+ * - tesseract: local OCR, no network access needed (needs TESSERACT_LANG_PATH)
+ * - fixture: canned JSON for demos and tests (needs EXTRACTION_FIXTURES_DIR or NODE_ENV=test)
+ *
+ * The provider is chosen per company (VascularesConfig extraction.provider),
+ * falling back to EXTRACTION_PROVIDER and then to gemini.
+ *
+ * Used by:
+ * - Goods receipt controller (packing list extraction)
+ * - Consumption controller (consumption document extraction)
+ * - Extraction controller (provider settings)
  */
-const { GoogleGenerativeAI } = require('@google/generative-ai');
-
-// Initialize Gemini client
-const genAI = new GoogleGenerativeAI(process.env.GEMINI_API_KEY);
-
-// Extraction prompt for BIOTRONIK/Centralmed packing lists
-const EXTRACTION_PROMPT = `Analyze these packing list images and extract all product items.
-
-These are medical device packing lists (typically from BIOTRONIK for Orsiro Mission coronary stents).
-
-For each product line item, extract:
-- code: The article/product code (numeric, e.g., 419113)
-- name: Full product name (e.g., "Orsiro Mission 2.25/15")
-- lotNumber: The lot/batch number (e.g., "06253084")
-- expiryDate: Expiry date in YYYY-MM-DD format (convert from UBD format like "09.07.2028" to "2028-07-09")
-- quantity: Number of units (look for quantity column or "X PZS")
-
-Important notes:
-- The packing list may span multiple pages/images
-- Each row typically represents one product with its lot number
-- UBD (Use By Date) is the expiry date
-- Article number is the product code
-- Be thorough - extract ALL items from all images
-
-Return ONLY valid JSON with this exact structure (no markdown, no explanation):
-{
-  "items": [
-    {
-      "code": 419113,
-      "name": "Orsiro Mission 2.25/15",
-      "lotNumber": "06253084",
-      "expiryDate": "2028-07-09",
-      "quantity": 1
-    }
-  ],
-  "documentInfo": {
-    "documentNumber": "string or null",
-    "date": "YYYY-MM-DD or null",
-    "supplier": "string or null"
-  },
-  "warnings": []
-}
-
-If any field is unclear, make your best guess and add a warning message.`;
+const { getVascularesConfigModel } = require('../getModel');
+const geminiProvider = require('./extractionProviders/geminiProvider');
+const tesseractProvider = require('./extractionProviders/tesseractProvider');
+const fixtureProvider = require('./extractionProviders/fixtureProvider');
+
+const PROVIDERS = {
+  gemini: geminiProvider,
+  tesseract: tesseractProvider,
+  fixture: fixtureProvider,
+};
 
-// Extraction prompt for consumption documents (stickers, handwritten, reports)
-const CONSUMPTION_EXTRACTION_PROMPT = `You are extracting consumed medical product data from hospital consumption documents.
+const PROVIDER_NAMES = Object.keys(PROVIDERS);
 
-Each image is a consumption form ("Reporte Material a Consignación") from a hospital. Each form documents ONE consumed product.
+/**
+ * Provider used when the company has not chosen one
+ * @returns {string}
+ */
+function getDefaultProviderName() {
+  const fromEnv = process.env.EXTRACTION_PROVIDER;
+  return PROVIDERS[fromEnv] ? fromEnv : 'gemini';
+}
 
-## DATA SOURCE PRIORITY (STRICT)
+/**
+ * Provider configured for a company
+ * @param {string} [companyId] - Company ID (without it, the default provider is used)
+ * @returns {Promise<string>} Provider name
+ */
+async function getProviderName(companyId) {
+  if (companyId) {
+    const VascularesConfig = await getVascularesConfigModel(companyId);
+    const config = await VascularesConfig.findOne({ companyId }).lean();
+    const configured = config?.extraction?.provider;
+    if (PROVIDERS[configured]) return configured;
+  }
+  return getDefaultProviderName();
+}
 
-1. **STICKER (highest priority):** Each form has a "STICKER" section (usually at the bottom). If a BIOTRONIK product sticker/label is attached there, ALL product information (code, name, lot number) MUST come from the sticker. The sticker is machine-printed and always accurate. Zoom into and carefully read every field on the sticker.
+/**
+ * Providers with their availability, for the settings screen
+ * @returns {Array<{ value: string, label: string, available: boolean }>}
+ */
+function listProviders() {
+  return PROVIDER_NAMES.map((name) => ({
+    value: name,
+    label: PROVIDERS[name].label,
+    available: PROVIDERS[name].isAvailable(),
+  }));
+}
 
-2. **Handwritten/printed fields (fallback):** Only use the handwritten fields (MATERIAL, LOTE, REFERENCIA) if NO sticker is present. Handwriting is error-prone — read each digit individually.
+/**
+ * Normalize a date to YYYY-MM-DD
+ * @returns {string|null} null when missing or not a real date
+ */
+function normalizeDate(value) {
+  if (!value) return null;
+  const match = String(value).trim().match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return null;
+  const date = new Date(`${match[0]}T00:00:00Z`);
+  return date.toISOString().slice(0, 10) === match[0] ? match[0] : null;
+}
 
-3. **Patient information:** Extract patient name, doctor name, and procedure date from the handwritten fields at the top of the form (PACIENTE, RESPONSABLE, FECHA). These are always handwritten regardless of sticker presence.
+function normalizeText(value) {
+  if (value === null || value === undefined) return null;
+  const text = String(value).trim();
+  return text || null;
+}
 
-## STICKER READING GUIDE
+const CONFIDENCE_FIELDS = ['code', 'lotNumber', 'quantity'];
 
-BIOTRONIK stickers typically contain:
-- Product name: "Orsiro Mission" followed by dimensions (e.g., "2.75/22")
-- REF number: The 6-digit product code (e.g., 419113). ALWAYS starts with 3 or 4.
-- LOT number: 8-digit batch number starting with 0 (e.g., 02252644)
-- Barcode and other regulatory markings
-- Look for labels: REF, LOT, SN on the sticker
+/**
+ * Normalize a provider's confidence to { code, lotNumber, quantity } in 0-1
+ * Accepts one number for the whole item or an object per field; percentages
+ * (above 1) are scaled down.
+ * @returns {Object|null} null when the provider gave no usable score
+ */
+function normalizeConfidence(value) {
+  const toScore = (raw) => {
+    const number = Number(raw);
+    if (raw === null || raw === undefined || raw === '' || !Number.isFinite(number) || number < 0) return null;
+    return Math.min(number > 1 ? number / 100 : number, 1);
+  };
+
+  const source = typeof value === 'object' && value !== null
+    ? value
+    : Object.fromEntries(CONFIDENCE_FIELDS.map((field) => [field, value]));
+
+  const confidence = Object.fromEntries(CONFIDENCE_FIELDS.map((field) => [field, toScore(source[field])]));
+  return Object.values(confidence).some((score) => score !== null) ? confidence : null;
+}
 
-Read the sticker character by character. If the sticker is small or partially unclear, still attempt to read it — machine print is more reliable than handwriting.
+/**
+ * Validate and normalize a provider's raw output
+ * Same rules for every provider: codes and lots are strings, dates are
+ * YYYY-MM-DD or null, quantities are positive integers, confidence is 0-1
+ * per field (only when the provider reports it). Fixable problems become
+ * warnings; a response without an items array is rejected.
+ *
+ * documentInfo: supplier and delivery note for packing lists; hospital name
+ * and SAP customer code (when printed on the form) for consumption documents.
+ * @param {'packingList'|'consumption'} kind - Document type
+ * @param {Object} data - Raw provider output
+ * @returns {Object} { items, documentInfo, warnings }
+ * @throws {Error} When the response has no items array
+ */
+function validateExtraction(kind, data) {
+  if (!data || !Array.isArray(data.items)) {
+    throw new Error('Invalid extraction response: missing items array');
+  }
 
-## HANDWRITTEN READING GUIDE (when no sticker)
+  const warnings = Array.isArray(data.warnings)
+    ? data.warnings.filter((warning) => typeof warning === 'string' && warning.trim())
+    : [];
 
-- Product codes are ALWAYS 6 digits starting with 3 or 4. If you read a 6, it is likely a 4.
-- Lot numbers are 8 digits starting with 0.
-- Watch for common confusions: 3↔7, 1↔7, 4↔6, 2↔Z, 0↔O
-- REFERENCIA field = product code
-- LOTE field = lot number
+  const items = [];
+  data.items.forEach((raw, index) => {
+    const label = `Ítem ${index + 1}`;
+    const code = normalizeText(raw?.code);
+    const lotNumber = normalizeText(raw?.lotNumber);
 
-## MULTIPLE ITEMS
+    if (!code && !lotNumber) {
+      warnings.push(`${label}: sin código ni lote, se omitió`);
+      return;
+    }
 
-A single image may contain MULTIPLE stickers. Each sticker = one separate consumed item. Extract ALL items from every image.
+    const item = {
+      code,
+      name: normalizeText(raw.name),
+      lotNumber,
+      quantity: Number(raw.quantity),
+    };
 
-## OUTPUT FORMAT
+    const confidence = normalizeConfidence(raw.confidence);
+    if (confidence) item.confidence = confidence;
 
-For each consumed item extract:
-- code: 6-digit product code (from sticker REF or handwritten REFERENCIA)
-- name: Product name (from sticker or MATERIAL field)
-- lotNumber: 8-digit lot number (from sticker LOT or handwritten LOTE). Set to null if illegible.
-- quantity: Number consumed (default 1)
-- patientName: Patient name (from PACIENTE field, null if not visible)
-- doctorName: Doctor name (from RESPONSABLE field, null if not visible)
-- procedureDate: Date in YYYY-MM-DD format (from FECHA field, DD/MM/YY format in Latin America, null if not visible)
+    if (!code) warnings.push(`${label}: no se pudo leer el código`);
+    if (!lotNumber) warnings.push(`${label}: no se pudo leer el lote`);
 
-Return ONLY valid JSON (no markdown, no explanation):
-{
-  "items": [
-    {
-      "code": "419113",
-      "name": "Orsiro Mission 2.25/15",
-      "lotNumber": "06253084",
-      "quantity": 1,
-      "patientName": null,
-      "doctorName": null,
-      "procedureDate": null
+    if (!Number.isInteger(item.quantity) || item.quantity < 1) {
+      if (raw.quantity !== undefined && raw.quantity !== null) {
+        warnings.push(`${label}: cantidad inválida (${raw.quantity}), se usó 1`);
+      }
+      item.quantity = 1;
     }
-  ],
-  "warnings": []
-}
 
-Add a warning for any field you are uncertain about.`;
-
-/**
- * Call Gemini API with files and a prompt
- * @param {Array<{buffer: Buffer, mimetype: string}>} files
- * @param {string} prompt
- * @returns {Promise<Object>} Parsed JSON response
- */
-async function callGemini(files, prompt) {
-  const model = genAI.getGenerativeModel({ model: 'gemini-2.5-pro' });
-
-  // Build parts array
-  const parts = [];
-
-  for (const file of files) {
-    const base64Data = file.buffer.toString('base64');
-    parts.push({
-      inlineData: {
-        mimeType: file.mimetype,
-        data: base64Data
+    if (kind === 'packingList') {
+      item.expiryDate = normalizeDate(raw.expiryDate);
+      if (raw.expiryDate && !item.expiryDate) {
+        warnings.push(`${label}: fecha de vencimiento inválida (${raw.expiryDate})`);
       }
-    });
-  }
-
-  // Add the text prompt
-  parts.push({ text: prompt });
+    } else {
+      item.patientName = normalizeText(raw.patientName);
+      item.doctorName = normalizeText(raw.doctorName);
+      item.procedureDate = normalizeDate(raw.procedureDate);
+      if (raw.procedureDate && !item.procedureDate) {
+        warnings.push(`${label}: fecha de procedimiento inválida (${raw.procedureDate})`);
+      }
+    }
 
-  // Call Gemini
-  const result = await model.generateContent(parts);
-  const response = await result.response;
-  const responseText = response.text();
+    items.push(item);
+  });
 
-  // Parse JSON from response
-  let extractedData;
-  try {
-    extractedData = JSON.parse(responseText);
-  } catch (parseError) {
-    // Try to extract JSON from response if it has markdown or extra text
-    const jsonMatch = responseText.match(/```(?:json)?\s*([\s\S]*?)```/) ||
-                      responseText.match(/\{[\s\S]*\}/);
-    if (jsonMatch) {
-      const jsonStr = jsonMatch[1] || jsonMatch[0];
-      extractedData = JSON.parse(jsonStr);
-    } else {
-      console.error('Raw response:', responseText);
-      throw new Error('Failed to parse extraction response as JSON');
+  const info = data.documentInfo || {};
+  const documentInfo = kind === 'packingList'
+    ? {
+      documentNumber: normalizeText(info.documentNumber),
+      date: normalizeDate(info.date),
+      supplier: normalizeText(info.supplier),
     }
-  }
+    : {
+      hospital: normalizeText(info.hospital),
+      customerCode: normalizeText(info.customerCode),
+    };
 
-  return extractedData;
+  return { items, documentInfo, warnings };
 }
 
 /**
- * Extract packing list data from images using Gemini
- * @param {Array<{buffer: Buffer, mimetype: string}>} files - Array of file objects
- * @returns {Promise<Object>} Extracted data with items array
+ * Run one extraction through the company's provider
+ * @param {'packingList'|'consumption'} kind - Document type
+ * @param {Array<{buffer: Buffer, mimetype: string}>} files - Uploaded files
+ * @param {Function} run - (provider) => Promise<raw output>
+ * @param {string} [companyId] - Company ID
+ * @returns {Promise<Object>} Normalized extraction
  */
-async function extractPackingList(files) {
+async function extract(kind, files, run, companyId) {
   if (!files || files.length === 0) {
     throw new Error('No files provided for extraction');
   }
 
-  try {
-    const extractedData = await callGemini(files, EXTRACTION_PROMPT);
+  const providerName = await getProviderName(companyId);
+  const provider = PROVIDERS[providerName];
 
-    // Validate the response structure
-    if (!extractedData.items || !Array.isArray(extractedData.items)) {
-      throw new Error('Invalid extraction response: missing items array');
+  try {
+    if (!provider.isAvailable()) {
+      throw new Error(`provider ${providerName} is not configured`);
     }
 
+    const extractedData = validateExtraction(kind, await run(provider));
+
     // Add metadata
+    extractedData.provider = providerName;
     extractedData.filesProcessed = files.length;
     extractedData.extractedAt = new Date().toISOString();
 
     return extractedData;
 
   } catch (error) {
-    console.error('Gemini API extraction error:', error);
+    console.error(`Extraction error (${providerName}):`, error);
     throw new Error(`Extraction failed: ${error.message}`);
   }
 }
 
 /**
- * Build the constraint section for the prompt with known products and lots
- * @param {Array<{code: string, name: string}>} knownProducts
- * @param {Array<{lotNumber: string, productCode: string, productName: string}>} knownLots
- * @returns {string}
+ * Extract packing list data from images
+ * @param {Array<{buffer: Buffer, mimetype: string}>} files - Array of file objects
+ * @param {Object} [options]
+ * @param {string} [options.companyId] - Company whose provider to use
+ * @returns {Promise<Object>} Extracted data with items array
  */
-function buildConstraintSection(knownProducts, knownLots) {
-  let section = '\n\n## KNOWN VALID DATA (use this to validate your reading)\n\n';
-
-  if (knownProducts && knownProducts.length > 0) {
-    section += '### Valid Product Codes\nThe ONLY valid product codes are:\n';
-    for (const p of knownProducts) {
-      section += `- ${p.code}: ${p.name}\n`;
-    }
-    section += '\nYour extracted code MUST match one of these exactly. If your OCR reading does not match any code, pick the closest match and add a warning.\n';
-  }
-
-  if (knownLots && knownLots.length > 0) {
-    section += '\n### Lot Numbers Currently at This Location\nThese are the lot numbers available at this centro:\n';
-    for (const l of knownLots) {
-      section += `- ${l.lotNumber} (${l.productCode} - ${l.productName})\n`;
-    }
-    section += '\nIf your OCR reading is close to one of these lot numbers, use the known lot number. If it does not match any, still return what you read — it may be a lot not yet in the system.\n';
-  }
-
-  return section;
+async function extractPackingList(files, { companyId } = {}) {
+  return extract('packingList', files, (provider) => provider.extractPackingList(files), companyId);
 }
 
 /**
- * Extract consumption data from documents using Gemini
+ * Extract consumption data from documents
  * @param {Array<{buffer: Buffer, mimetype: string}>} files - Array of file objects
  * @param {Object} [constraints] - Known products and lots to constrain extraction
  * @param {Array<{code: string, name: string}>} [constraints.products] - Known valid products
  * @param {Array<{lotNumber: string, productCode: string, productName: string}>} [constraints.lots] - Known lots at location
+ * @param {Object} [options]
+ * @param {string} [options.companyId] - Company whose provider to use
  * @returns {Promise<Object>} Extracted data with items array
  */
-async function extractConsumptionDocument(files, constraints) {
-  if (!files || files.length === 0) {
-    throw new Error('No files provided for extraction');
-  }
-
-  try {
-    let prompt = CONSUMPTION_EXTRACTION_PROMPT;
-
-    // Append known product/lot constraints if available
-    if (constraints) {
-      prompt += buildConstraintSection(constraints.products, constraints.lots);
-    }
-
-    const extractedData = await callGemini(files, prompt);
-
-    // Validate the response structure
-    if (!extractedData.items || !Array.isArray(extractedData.items)) {
-      throw new Error('Invalid extraction response: missing items array');
-    }
-
-    // Add metadata
-    extractedData.filesProcessed = files.length;
-    extractedData.extractedAt = new Date().toISOString();
-
-    return extractedData;
-
-  } catch (error) {
-    console.error('Gemini API extraction error:', error);
-    throw new Error(`Extraction failed: ${error.message}`);
-  }
+async function extractConsumptionDocument(files, constraints, { companyId } = {}) {
+  return extract('consumption', files, (provider) => provider.extractConsumptionDocument(files, constraints), companyId);
 }
 
 module.exports = {
+  PROVIDER_NAMES,
+  getProviderName,
+  getDefaultProviderName,
+  listProviders,
+  validateExtraction,
   extractPackingList,
   extractConsumptionDocument
 };
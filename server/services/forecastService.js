@@ -0,0 +1,254 @@
+/**
+ * Forecast Service
+ * Monthly demand forecasts per product and location for planning.
+ *
+ * Candidate models:
+ * - AVERAGE: mean of the last 12 months (what planning used before)
+ * - SEASONAL_NAIVE: same month last year
+ * - SES: simple exponential smoothing
+ * - HOLT: exponential smoothing with a damped trend (growing or shrinking centros)
+ * - CROSTON: Croston's method, only for intermittent series (rare sizes)
+ *
+ * Each series is back-tested with rolling one-step-ahead forecasts over its
+ * last months; the model with the lowest mean absolute error is chosen and
+ * its errors size the confidence band. Pure functions: the monthly series
+ * come from consumptionStatsService.
+ *
+ * Used by:
+ * - Analytics controller (planning data, forecast detail)
+ */
+
+const MODELS = ['SES', 'CROSTON', 'SEASONAL_NAIVE', 'HOLT', 'AVERAGE'];
+
+const SEASON_LENGTH = 12;
+const BACKTEST_MONTHS = 6;
+const MIN_TRAINING_MONTHS = 6;
+// Average demand interval above which a series is intermittent (Syntetos-Boylan)
+const INTERMITTENT_ADI = 1.32;
+// Two-sided 80% band: the upper bound is the 90th percentile
+const BAND_Z = 1.2816;
+
+// Months of demand the suggested stock must cover when the request does not say:
+// centros are replenished from the warehouse often, the warehouse waits on the supplier
+const DEFAULT_COVERAGE_MONTHS = {
+  CENTRO: 1,
+  WAREHOUSE: 3,
+};
+
+const SMOOTHING_GRID = [0.1, 0.2, 0.3, 0.5, 0.7];
+const TREND_GRID = [0.1, 0.2];
+const DAMPING = 0.9;
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+const sum = (values) => values.reduce((total, value) => total + value, 0);
+
+/**
+ * Drop the months before the first demand (product not yet sold there)
+ */
+function trimLeadingZeros(series) {
+  const first = series.findIndex((value) => value > 0);
+  return first === -1 ? [] : series.slice(first);
+}
+
+/**
+ * Average demand interval: months per month with demand
+ */
+function averageDemandInterval(series) {
+  const demandMonths = series.filter((value) => value > 0).length;
+  return demandMonths ? series.length / demandMonths : Infinity;
+}
+
+/**
+ * One-step in-sample squared error of a smoothing run, used to pick parameters
+ */
+function bestBy(grid, run) {
+  let best = null;
+  for (const params of grid) {
+    const result = run(params);
+    if (!best || result.sse < best.sse) best = result;
+  }
+  return best;
+}
+
+function fitSes(series) {
+  return bestBy(SMOOTHING_GRID, (alpha) => {
+    let level = series[0];
+    let sse = 0;
+    for (let t = 1; t < series.length; t++) {
+      sse += (series[t] - level) ** 2;
+      level = alpha * series[t] + (1 - alpha) * level;
+    }
+    return { sse, forecast: () => level };
+  });
+}
+
+function fitHolt(series) {
+  const grid = SMOOTHING_GRID.flatMap((alpha) => TREND_GRID.map((beta) => [alpha, beta]));
+  return bestBy(grid, ([alpha, beta]) => {
+    let level = series[0];
+    let trend = series[1] - series[0];
+    let sse = 0;
+    for (let t = 1; t < series.length; t++) {
+      sse += (series[t] - (level + DAMPING * trend)) ** 2;
+      const previousLevel = level;
+      level = alpha * series[t] + (1 - alpha) * (level + DAMPING * trend);
+      trend = beta * (level - previousLevel) + (1 - beta) * DAMPING * trend;
+    }
+    return {
+      sse,
+      forecast: (h) => {
+        let damped = 0;
+        for (let i = 1; i <= h; i++) damped += DAMPING ** i;
+        return Math.max(0, level + damped * trend);
+      },
+    };
+  });
+}
+
+function fitCroston(series) {
+  return bestBy(SMOOTHING_GRID.slice(0, 3), (alpha) => {
+    let size = null;
+    let interval = null;
+    let sinceLast = 1;
+    let sse = 0;
+    for (let t = 0; t < series.length; t++) {
+      if (size !== null) sse += (series[t] - size / interval) ** 2;
+      if (series[t] > 0) {
+        size = size === null ? series[t] : alpha * series[t] + (1 - alpha) * size;
+        interval = interval === null ? sinceLast : alpha * sinceLast + (1 - alpha) * interval;
+        sinceLast = 1;
+      } else {
+        sinceLast += 1;
+      }
+    }
+    const rate = size === null ? 0 : size / interval;
+    return { sse, forecast: () => rate };
+  });
+}
+
+/**
+ * Fit a model to a series
+ * @returns {Function|null} h → forecast h months ahead, or null when the model does not apply
+ */
+function fitModel(model, series) {
+  const n = series.length;
+  switch (model) {
+    case 'AVERAGE': {
+      if (n < 1) return null;
+      const mean = sum(series.slice(-SEASON_LENGTH)) / Math.min(n, SEASON_LENGTH);
+      return () => mean;
+    }
+    case 'SEASONAL_NAIVE':
+      if (n < SEASON_LENGTH) return null;
+      return (h) => series[n - SEASON_LENGTH + ((h - 1) % SEASON_LENGTH)];
+    case 'SES':
+      return n >= 2 ? fitSes(series).forecast : null;
+    case 'HOLT':
+      return n >= 4 ? fitHolt(series).forecast : null;
+    case 'CROSTON':
+      if (averageDemandInterval(series) < INTERMITTENT_ADI || series.filter((v) => v > 0).length < 2) return null;
+      return fitCroston(series).forecast;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Rolling one-step-ahead back-test of every model over the last months
+ * @param {number[]} series - Monthly demand, oldest first (leading zeros trimmed)
+ * @returns {Array<Object>} [{ model, mae, rmse, wape, errors }] for models that apply at every origin
+ */
+function backtest(series) {
+  const n = series.length;
+  const firstOrigin = Math.max(MIN_TRAINING_MONTHS, n - BACKTEST_MONTHS);
+  if (firstOrigin >= n) return [];
+
+  const actuals = series.slice(firstOrigin);
+  const results = [];
+  for (const model of MODELS) {
+    const errors = [];
+    for (let t = firstOrigin; t < n; t++) {
+      const forecast = fitModel(model, series.slice(0, t));
+      if (!forecast) break;
+      errors.push(series[t] - forecast(1));
+    }
+    if (errors.length !== actuals.length) continue;
+
+    const absolute = sum(errors.map(Math.abs));
+    const totalActual = sum(actuals);
+    results.push({
+      model,
+      mae: round(absolute / errors.length),
+      rmse: round(Math.sqrt(sum(errors.map((e) => e * e)) / errors.length)),
+      wape: totalActual > 0 ? round(absolute / totalActual, 3) : null,
+      errors,
+    });
+  }
+  return results;
+}
+
+/**
+ * Forecast demand for the coverage horizon
+ * @param {number[]} rawSeries - Monthly demand, oldest first, ending with the last complete month
+ * @param {Object} options
+ * @param {number} options.coverageMonths - Months the stock must cover (default 1)
+ * @returns {Object|null} null without any demand, else {
+ *   model, intermittent, historyMonths, backtested,
+ *   mae, wape: error of the chosen model in the back-test (null without enough history),
+ *   monthly: point forecast per month of the horizon,
+ *   expected, lower, upper: demand over the horizon with its 80% band,
+ *   need: units to hold to cover the horizon at the upper bound,
+ *   candidates: [{ model, mae, wape }] }
+ */
+function forecastDemand(rawSeries, { coverageMonths = 1 } = {}) {
+  const series = trimLeadingZeros(rawSeries);
+  if (!series.length) return null;
+
+  const candidates = backtest(series);
+  const chosen = candidates.reduce((best, candidate) => (!best || candidate.mae < best.mae ? candidate : best), null);
+  const model = chosen ? chosen.model : 'AVERAGE';
+
+  const forecast = fitModel(model, series);
+  const monthly = Array.from({ length: coverageMonths }, (_, i) => round(Math.max(0, forecast(i + 1))));
+  const expected = sum(monthly);
+
+  // Spread from the back-test errors; Poisson spread (variance = mean) when
+  // there is no back-test or it was error-free
+  const monthlySpread = chosen?.rmse > 0 ? chosen.rmse : Math.sqrt(expected / coverageMonths);
+  const spread = BAND_Z * monthlySpread * Math.sqrt(coverageMonths);
+
+  return {
+    model,
+    intermittent: averageDemandInterval(series) >= INTERMITTENT_ADI,
+    historyMonths: series.length,
+    backtested: !!chosen,
+    mae: chosen ? chosen.mae : null,
+    wape: chosen ? chosen.wape : null,
+    monthly,
+    expected: round(expected),
+    lower: round(Math.max(0, expected - spread)),
+    upper: round(expected + spread),
+    need: Math.ceil(round(expected + spread)),
+    candidates: candidates.map(({ model: name, mae, wape }) => ({ model: name, mae, wape })),
+  };
+}
+
+/**
+ * Forecast fields sent with each planning row (no back-test detail)
+ */
+function summarize(forecast) {
+  if (!forecast) return null;
+  const { candidates, monthly, ...summary } = forecast;
+  return summary;
+}
+
+module.exports = {
+  MODELS,
+  DEFAULT_COVERAGE_MONTHS,
+  trimLeadingZeros,
+  averageDemandInterval,
+  fitModel,
+  backtest,
+  forecastDemand,
+  summarize,
+};
@@ -0,0 +1,295 @@
+/**
+ * Implant Registry Service
+ * Procedure records (patient, doctor, implanted lots) created with every
+ * consumption, and the lookups hospitals and recalls need: which patients
+ * received a lot, and which lots a patient received.
+ *
+ * Patient identifiers are optional. They are stored encrypted and searched
+ * through a keyed hash (encryptionService.hash), so the plain value never
+ * hits the database. Consumptions registered before the registry have no
+ * procedure record; lot searches include them from the consumption itself.
+ *
+ * Used by:
+ * - Consumption controller (record the procedure in the consumption's transaction)
+ * - Procedimientos controller (registry search and edits)
+ * - Recalls controller (patients implanted with recalled lots)
+ */
+const {
+  getProcedimientosModel,
+  getMedicosModel,
+  getConsumosModel,
+} = require('../getModel');
+const encryptionService = require('./encryptionService');
+
+/**
+ * Build an error with a code the controllers map to HTTP statuses
+ */
+function registryError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function userRef(user) {
+  return {
+    _id: user._id,
+    firstname: user.firstname,
+    lastname: user.lastname,
+  };
+}
+
+/**
+ * Canonical form of a patient identifier, so "001-1234567-8" and
+ * "00112345678" are the same patient
+ */
+function normalizeIdentifier(value) {
+  return String(value || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+}
+
+/**
+ * Encrypted identifier fields for a procedure's patient
+ * @param {string} identifier - Plain identifier as typed
+ * @returns {Object} { identifier: { encrypted, iv, authTag }, identifierHash, identifierLast4 }
+ * @throws {Error} INVALID when empty, NOT_CONFIGURED without an encryption key
+ */
+function protectIdentifier(identifier) {
+  const normalized = normalizeIdentifier(identifier);
+  if (!normalized) {
+    throw registryError('INVALID', 'Identificador de paciente inválido');
+  }
+  if (!encryptionService.isConfigured()) {
+    throw registryError('NOT_CONFIGURED', 'El cifrado no está configurado: no se puede guardar el identificador del paciente');
+  }
+
+  return {
+    identifier: encryptionService.encrypt(normalized),
+    identifierHash: encryptionService.hash(normalized),
+    identifierLast4: normalized.slice(-4),
+  };
+}
+
+/**
+ * Doctor chosen for a consumption
+ * @param {string} companyId - Company ID
+ * @param {Object} params - { doctorId, centroId }
+ * @returns {Promise<Object>} Medico (lean)
+ * @throws {Error} INVALID when unknown, inactive or not working at the centro
+ */
+async function resolveDoctor(companyId, { doctorId, centroId }) {
+  const Medicos = await getMedicosModel(companyId);
+  const medico = await Medicos.findById(doctorId).lean();
+
+  if (!medico || !medico.active) {
+    throw registryError('INVALID', 'Médico no encontrado o inactivo');
+  }
+  // Doctors without centros are not restricted
+  if (medico.centroIds?.length && !medico.centroIds.some((id) => id.toString() === String(centroId))) {
+    throw registryError('INVALID', `${medico.name} no está registrado en este Centro`);
+  }
+  return medico;
+}
+
+/**
+ * Record the procedure of a consumption
+ * @param {string} companyId - Company ID
+ * @param {Object} params
+ * @param {Object} params.consumo - Consumo just created (items with loteId/lotNumber)
+ * @param {Map<string, Object>} params.lotes - Lotes by ID, for expiry dates
+ * @param {Object} params.doctor - Medico, if one was chosen
+ * @param {Object} params.patientIdentifier - Protected identifier (protectIdentifier), optional
+ * @param {Object} params.user - Creating user
+ * @param {ClientSession} session - The consumption's transaction
+ * @returns {Promise<Object>} The procedure record
+ */
+async function recordProcedure(companyId, { consumo, lotes, doctor, patientIdentifier, user }, session) {
+  const Procedimientos = await getProcedimientosModel(companyId);
+
+  const [procedimiento] = await Procedimientos.create([{
+    consumoId: consumo._id,
+    centroId: consumo.centroId,
+    centroName: consumo.centroName,
+    procedureDate: consumo.procedureDate || consumo.consumptionDate,
+    procedureType: consumo.procedureType,
+    doctorId: doctor?._id,
+    doctorName: doctor?.name || consumo.doctorName,
+    patient: {
+      name: consumo.patientName,
+      ...patientIdentifier,
+    },
+    implants: consumo.items.map((item) => ({
+      productId: item.productId,
+      productName: item.productName,
+      sapItemCode: item.sapItemCode,
+      loteId: item.loteId,
+      lotNumber: item.lotNumber,
+      expiryDate: lotes.get(item.loteId?.toString())?.expiryDate,
+      quantity: item.quantity,
+    })),
+    createdBy: userRef(user),
+  }], { session });
+
+  return procedimiento;
+}
+
+/**
+ * Registry row from a consumption registered before the registry existed
+ */
+function fromLegacyConsumo(consumo) {
+  return {
+    _id: null,
+    consumoId: consumo._id,
+    centroId: consumo.centroId,
+    centroName: consumo.centroName,
+    procedureDate: consumo.procedureDate || consumo.consumptionDate,
+    procedureType: consumo.procedureType,
+    doctorName: consumo.doctorName,
+    patient: { name: consumo.patientName, hasIdentifier: false },
+    implants: consumo.items.map((item) => ({
+      productId: item.productId,
+      productName: item.productName,
+      sapItemCode: item.sapItemCode,
+      loteId: item.loteId,
+      lotNumber: item.lotNumber,
+      quantity: item.quantity,
+    })),
+    legacy: true,
+  };
+}
+
+/**
+ * Search the implant registry
+ * At least one criterion is required. Lot criteria also return consumptions
+ * registered before the registry (legacy: true, no patient identifier).
+ * @param {string} companyId - Company ID
+ * @param {Object} criteria
+ * @param {string[]} criteria.lotNumbers - Implanted lot numbers
+ * @param {string[]} criteria.loteIds - Implanted lotes
+ * @param {string} criteria.patientIdentifier - Plain patient identifier
+ * @param {string} criteria.centroId - Only this centro
+ * @param {string} criteria.doctorId - Only this doctor
+ * @returns {Promise<Array<Object>>} Procedures, newest first (toJSON form)
+ * @throws {Error} INVALID without criteria, NOT_CONFIGURED for identifier searches without a key
+ */
+async function searchImplants(companyId, { lotNumbers = [], loteIds = [], patientIdentifier, centroId, doctorId } = {}) {
+  const lotCriteria = [];
+  if (lotNumbers.length) lotCriteria.push({ 'implants.lotNumber': { $in: lotNumbers } });
+  if (loteIds.length) lotCriteria.push({ 'implants.loteId': { $in: loteIds } });
+
+  if (!lotCriteria.length && !patientIdentifier && !doctorId) {
+    throw registryError('INVALID', 'Indique un lote, un paciente o un médico');
+  }
+
+  const query = {};
+  if (lotCriteria.length) query.$or = lotCriteria;
+  if (centroId) query.centroId = centroId;
+  if (doctorId) query.doctorId = doctorId;
+  if (patientIdentifier) {
+    query['patient.identifierHash'] = protectIdentifier(patientIdentifier).identifierHash;
+  }
+
+  const Procedimientos = await getProcedimientosModel(companyId);
+  const procedimientos = await Procedimientos.find(query).sort({ procedureDate: -1 }).limit(500);
+  const results = procedimientos.map((p) => p.toJSON());
+
+  // Older consumptions (lot searches only: they carry no identifier or doctor ID)
+  if (lotCriteria.length && !patientIdentifier && !doctorId) {
+    const Consumos = await getConsumosModel(companyId);
+    const legacyQuery = {
+      procedimientoId: { $exists: false },
+      $or: lotCriteria.map((criterion) => {
+        const [[field, value]] = Object.entries(criterion);
+        return { [field.replace('implants.', 'items.')]: value };
+      }),
+    };
+    if (centroId) legacyQuery.centroId = centroId;
+
+    const consumos = await Consumos.find(legacyQuery).sort({ consumptionDate: -1 }).limit(500).lean();
+    results.push(...consumos.map(fromLegacyConsumo));
+    results.sort((a, b) => new Date(b.procedureDate) - new Date(a.procedureDate));
+  }
+
+  return results;
+}
+
+/**
+ * Update the registry data of a procedure (not its implants, which follow the consumption)
+ * @param {string} companyId - Company ID
+ * @param {string} procedimientoId - Procedure ID
+ * @param {Object} data - { doctorId, patientName, patientIdentifier, procedureType, notes }
+ * @param {Object} user - Editing user
+ * @returns {Promise<Object>} Updated procedure (toJSON form)
+ * @throws {Error} NOT_FOUND, INVALID or NOT_CONFIGURED
+ */
+async function updateProcedure(companyId, procedimientoId, data, user) {
+  const Procedimientos = await getProcedimientosModel(companyId);
+  const procedimiento = await Procedimientos.findById(procedimientoId);
+  if (!procedimiento) {
+    throw registryError('NOT_FOUND', 'Procedimiento no encontrado');
+  }
+
+  if (data.doctorId !== undefined) {
+    const doctor = data.doctorId
+      ? await resolveDoctor(companyId, { doctorId: data.doctorId, centroId: procedimiento.centroId })
+      : null;
+    procedimiento.doctorId = doctor?._id || null;
+    if (doctor) procedimiento.doctorName = doctor.name;
+  }
+  if (data.patientName !== undefined) procedimiento.patient.name = data.patientName;
+  if (data.patientIdentifier !== undefined) {
+    const protectedId = data.patientIdentifier ? protectIdentifier(data.patientIdentifier) : {};
+    procedimiento.patient.identifier = protectedId.identifier;
+    procedimiento.patient.identifierHash = protectedId.identifierHash;
+    procedimiento.patient.identifierLast4 = protectedId.identifierLast4;
+  }
+  if (data.procedureType !== undefined) procedimiento.procedureType = data.procedureType;
+  if (data.notes !== undefined) procedimiento.notes = data.notes;
+  procedimiento.updatedBy = userRef(user);
+
+  await procedimiento.save();
+  return procedimiento.toJSON();
+}
+
+/**
+ * Decrypt a procedure's patient identifier
+ * @returns {Promise<string|null>} The identifier, or null when none was recorded
+ * @throws {Error} NOT_FOUND or NOT_CONFIGURED
+ */
+async function revealIdentifier(companyId, procedimientoId) {
+  const Procedimientos = await getProcedimientosModel(companyId);
+  const procedimiento = await Procedimientos.findById(procedimientoId).lean();
+  if (!procedimiento) {
+    throw registryError('NOT_FOUND', 'Procedimiento no encontrado');
+  }
+
+  const identifier = procedimiento.patient?.identifier;
+  if (!identifier?.encrypted) return null;
+  if (!encryptionService.isConfigured()) {
+    throw registryError('NOT_CONFIGURED', 'El cifrado no está configurado');
+  }
+  return encryptionService.decrypt(identifier.encrypted, identifier.iv, identifier.authTag);
+}
+
+/**
+ * Map a registry error to an HTTP response
+ * @returns {Object|null} { status, body } or null for unexpected errors
+ */
+function getErrorResponse(error) {
+  const statusByCode = {
+    NOT_FOUND: 404,
+    INVALID: 400,
+    NOT_CONFIGURED: 503,
+  };
+  const status = statusByCode[error.code];
+  return status ? { status, body: { error: error.message } } : null;
+}
+
+module.exports = {
+  normalizeIdentifier,
+  protectIdentifier,
+  resolveDoctor,
+  recordProcedure,
+  searchImplants,
+  updateProcedure,
+  revealIdentifier,
+  getErrorResponse,
+};
@@ -0,0 +1,552 @@
+/**
+ * Inventory Check Service
+ * Verifies the quantity invariants that the inventory flows maintain by hand
+ * in many places (consignaciones, consumption, externalImportService,
+ * sapSyncService, ...):
+ *
+ * - Lote:       quantityTotal = available + consigned + consumed + damaged + returned,
+ *               and no bucket below zero
+ * - Inventario: each (product, location) row equals the sum of its lotes
+ * - Ledger:     replaying transacciones per (product, lot number, location)
+ *               gives the units the lotes hold there
+ *
+ * Inventario rows and lote status are derived from lote quantities, so a
+ * repair run rewrites them. Lote quantities themselves are never changed:
+ * when they disagree with each other or with the ledger there is no telling
+ * which side is wrong, so those mismatches are reported for review.
+ */
+const {
+  getInventoryCheckRunsModel,
+  getLotesModel,
+  getInventarioModel,
+  getTransaccionesModel,
+  getProductosModel,
+  getLocacionesModel,
+  getDevolucionesModel,
+} = require('../getModel');
+
+// Mismatches kept on the run document (stats still count all of them)
+const MAX_STORED_MISMATCHES = 500;
+
+const BUCKETS = [
+  'quantityAvailable',
+  'quantityConsigned',
+  'quantityConsumed',
+  'quantityDamaged',
+  'quantityReturned',
+];
+
+const AGGREGATED_FIELDS = ['quantityTotal', ...BUCKETS];
+
+/**
+ * Run a check (and optionally repair) for one company
+ * @param {string} companyId
+ * @param {Object} options
+ * @param {string} options.runType - 'NIGHTLY' | 'ON_DEMAND'
+ * @param {boolean} options.repair - Rewrite Inventario rows and lote status
+ * @param {string} options.productId - Only check this product
+ * @param {Object} options.triggeredBy - User for on-demand runs
+ * @returns {Promise<Object>} The stored run
+ */
+async function runInventoryCheck(companyId, options = {}) {
+  const {
+    runType = 'ON_DEMAND',
+    repair = false,
+    productId = null,
+    triggeredBy = null,
+  } = options;
+
+  const InventoryCheckRuns = await getInventoryCheckRunsModel(companyId);
+
+  const run = new InventoryCheckRuns({
+    runType,
+    startedAt: new Date(),
+    status: 'RUNNING',
+    config: { repair, productId },
+    triggeredBy: triggeredBy ? {
+      _id: triggeredBy._id,
+      firstname: triggeredBy.firstname,
+      lastname: triggeredBy.lastname,
+      email: triggeredBy.email,
+    } : null,
+    companyId,
+  });
+  await run.save();
+
+  const found = [];
+
+  try {
+    const snapshot = await loadSnapshot(companyId, productId);
+
+    checkLotes(snapshot, found);
+    checkLedger(snapshot, found);
+    checkInventario(snapshot, found);
+
+    if (repair) {
+      await applyRepairs(companyId, found, triggeredBy);
+    }
+
+    run.stats.lotesChecked = snapshot.lotes.length;
+    run.stats.inventarioRowsChecked = snapshot.inventario.length;
+    run.stats.transactionsReplayed = snapshot.transactionsReplayed;
+    run.stats.transactionsSkipped = snapshot.transactionsSkipped;
+    run.status = 'COMPLETED';
+  } catch (error) {
+    console.error(`[InventoryCheck] Run ${run._id} failed:`, error);
+    run.status = 'FAILED';
+    run.error = error.message;
+  }
+
+  run.stats.mismatchesFound = found.length;
+  run.stats.repaired = found.filter(m => m.repaired).length;
+  for (const mismatch of found) {
+    run.stats.byType[mismatch.type] = (run.stats.byType[mismatch.type] || 0) + 1;
+  }
+  run.mismatches = found.slice(0, MAX_STORED_MISMATCHES).map(({ repair: _repair, ...m }) => m);
+  run.mismatchesTruncated = found.length > MAX_STORED_MISMATCHES;
+  run.completedAt = new Date();
+  await run.save();
+
+  console.log(`[InventoryCheck] Company ${companyId}: ${run.status}, ${found.length} mismatches, ${run.stats.repaired} repaired`);
+
+  return run.toObject();
+}
+
+// ============================================
+// SNAPSHOT
+// ============================================
+
+/**
+ * Read everything the checks need in one pass
+ */
+async function loadSnapshot(companyId, productId) {
+  const Lotes = await getLotesModel(companyId);
+  const Inventario = await getInventarioModel(companyId);
+  const Transacciones = await getTransaccionesModel(companyId);
+  const Productos = await getProductosModel(companyId);
+  const Locaciones = await getLocacionesModel(companyId);
+  const Devoluciones = await getDevolucionesModel(companyId);
+
+  const productFilter = productId ? { productId } : {};
+
+  const [lotes, inventario, transacciones, productos, locaciones, devoluciones] = await Promise.all([
+    Lotes.find(productFilter)
+      .select(`productId lotNumber currentLocationId status ${AGGREGATED_FIELDS.join(' ')}`)
+      .lean(),
+    Inventario.find(productFilter).lean(),
+    Transacciones.find({ ...productFilter, status: 'COMPLETED' })
+      .select('type productId lotId lotNumber fromLocationId toLocationId quantity')
+      .lean(),
+    Productos.find(productId ? { _id: productId } : {}).select('name').lean(),
+    Locaciones.find().select('name type').lean(),
+    Devoluciones.find({ status: 'EN_TRANSITO' }).select('toLocationId items').lean(),
+  ]);
+
+  return {
+    lotes,
+    inventario,
+    transacciones,
+    devoluciones,
+    productId,
+    productNames: new Map(productos.map(p => [p._id.toString(), p.name])),
+    locations: new Map(locaciones.map(l => [l._id.toString(), l])),
+    transactionsReplayed: 0,
+    transactionsSkipped: 0,
+  };
+}
+
+/**
+ * Base fields shared by every mismatch
+ */
+function mismatchBase(snapshot, { productId, locationId, loteId = null, lotNumber = null }) {
+  return {
+    productId,
+    productName: snapshot.productNames.get(String(productId)) || null,
+    locationId,
+    locationName: snapshot.locations.get(String(locationId))?.name || null,
+    loteId,
+    lotNumber,
+  };
+}
+
+function emptyAggregate() {
+  return Object.fromEntries(AGGREGATED_FIELDS.map(f => [f, 0]));
+}
+
+// ============================================
+// CHECKS
+// ============================================
+
+/**
+ * Per-lote invariants: no negative bucket, total = sum of buckets, status
+ */
+function checkLotes(snapshot, found) {
+  for (const lote of snapshot.lotes) {
+    const base = mismatchBase(snapshot, {
+      productId: lote.productId,
+      locationId: lote.currentLocationId,
+      loteId: lote._id,
+      lotNumber: lote.lotNumber,
+    });
+
+    for (const field of AGGREGATED_FIELDS) {
+      if ((lote[field] || 0) < 0) {
+        found.push({
+          ...base,
+          type: 'LOTE_NEGATIVE',
+          field,
+          expected: 0,
+          actual: lote[field],
+          message: `${field} negativo en lote ${lote.lotNumber}`,
+        });
+      }
+    }
+
+    const bucketSum = BUCKETS.reduce((sum, field) => sum + (lote[field] || 0), 0);
+    if ((lote.quantityTotal || 0) !== bucketSum) {
+      found.push({
+        ...base,
+        type: 'LOTE_TOTAL',
+        field: 'quantityTotal',
+        expected: bucketSum,
+        actual: lote.quantityTotal || 0,
+        message: `quantityTotal (${lote.quantityTotal || 0}) no coincide con la suma de cantidades (${bucketSum}) en lote ${lote.lotNumber}`,
+      });
+    }
+
+    const available = lote.quantityAvailable || 0;
+    const consigned = lote.quantityConsigned || 0;
+    let expectedStatus = null;
+    if (lote.status === 'DEPLETED' && available > 0) {
+      expectedStatus = 'ACTIVE';
+    } else if (lote.status === 'ACTIVE' && available === 0 && consigned === 0) {
+      expectedStatus = 'DEPLETED';
+    }
+
+    if (expectedStatus) {
+      found.push({
+        ...base,
+        type: 'LOTE_STATUS',
+        field: 'status',
+        expected: expectedStatus,
+        actual: lote.status,
+        message: `Lote ${lote.lotNumber} en estado ${lote.status} con ${available} disponibles`,
+        repairable: true,
+        repair: { kind: 'LOTE_STATUS', lote, status: expectedStatus },
+      });
+    }
+  }
+}
+
+/**
+ * How a ledger entry moves units of its (product, lot) between locations
+ * @returns {Array<{ locationId, delta }>}
+ */
+function ledgerMovements(tx) {
+  const quantity = tx.quantity || 0;
+
+  switch (tx.type) {
+    case 'WAREHOUSE_RECEIPT':
+      return [{ locationId: tx.toLocationId, delta: quantity }];
+
+    case 'CONSUMPTION':
+      // Consumption entries carry the centro as toLocationId
+      return [{ locationId: tx.fromLocationId || tx.toLocationId, delta: -quantity }];
+
+    case 'ADJUSTMENT':
+      // OUT adjustments carry fromLocationId, IN adjustments toLocationId
+      return tx.fromLocationId
+        ? [{ locationId: tx.fromLocationId, delta: -quantity }]
+        : [{ locationId: tx.toLocationId, delta: quantity }];
+
+    case 'CONSIGNMENT':
+    case 'CONSIGNMENT_OUT':
+    case 'RETURN':
+    case 'TRANSFER':
+      return [
+        { locationId: tx.fromLocationId, delta: -quantity },
+        { locationId: tx.toLocationId, delta: quantity },
+      ];
+
+    default:
+      return [];
+  }
+}
+
+/**
+ * Units a lote holds in ledger terms.
+ * A CONSIGNMENT entry moves units to the centro at once, while the warehouse
+ * lote keeps them as quantityConsigned until the centro confirms. So at a
+ * warehouse only available units count; at a centro the consigned units are
+ * the ones in transit to it and count too.
+ */
+function heldUnits(lote, locationType) {
+  const available = lote.quantityAvailable || 0;
+  return locationType === 'CENTRO' ? available + (lote.quantityConsigned || 0) : available;
+}
+
+/**
+ * Replay transacciones per (product, lot number, location) and compare with
+ * the units the lotes hold there
+ */
+function checkLedger(snapshot, found) {
+  const loteNumbers = new Map(snapshot.lotes.map(l => [l._id.toString(), l.lotNumber]));
+  const key = (productId, lotNumber, locationId) => `${productId}|${lotNumber}|${locationId}`;
+
+  // Ledger side
+  const ledger = new Map();
+  for (const tx of snapshot.transacciones) {
+    const lotNumber = tx.lotNumber || (tx.lotId && loteNumbers.get(tx.lotId.toString()));
+    const movements = ledgerMovements(tx).filter(m => m.locationId);
+
+    if (!lotNumber || movements.length === 0) {
+      snapshot.transactionsSkipped++;
+      continue;
+    }
+
+    snapshot.transactionsReplayed++;
+    for (const { locationId, delta } of movements) {
+      const k = key(tx.productId, lotNumber, locationId);
+      const entry = ledger.get(k) || { productId: tx.productId, lotNumber, locationId, quantity: 0 };
+      entry.quantity += delta;
+      ledger.set(k, entry);
+    }
+  }
+
+  // Devoluciones still in transit: the RETURN entry already credited the
+  // warehouse, its lote only gets the units on confirmation
+  for (const devolucion of snapshot.devoluciones) {
+    for (const item of devolucion.items || []) {
+      if (snapshot.productId && String(item.productId) !== String(snapshot.productId)) continue;
+      const k = key(item.productId, item.lotNumber, devolucion.toLocationId);
+      const entry = ledger.get(k);
+      if (entry) entry.quantity -= item.quantitySent;
+    }
+  }
+
+  // Lote side
+  const held = new Map();
+  for (const lote of snapshot.lotes) {
+    if (!lote.currentLocationId) continue;
+    const locationType = snapshot.locations.get(lote.currentLocationId.toString())?.type;
+    const k = key(lote.productId, lote.lotNumber, lote.currentLocationId);
+    const entry = held.get(k) || {
+      productId: lote.productId,
+      lotNumber: lote.lotNumber,
+      locationId: lote.currentLocationId,
+      loteId: lote._id,
+      quantity: 0,
+    };
+    entry.quantity += heldUnits(lote, locationType);
+    held.set(k, entry);
+  }
+
+  const keys = new Set([...ledger.keys(), ...held.keys()]);
+  for (const k of keys) {
+    const fromLedger = ledger.get(k);
+    const fromLotes = held.get(k);
+    const ledgerQty = fromLedger?.quantity || 0;
+    const heldQty = fromLotes?.quantity || 0;
+
+    if (ledgerQty === heldQty) continue;
+
+    const ref = fromLotes || fromLedger;
+    const base = mismatchBase(snapshot, {
+      productId: ref.productId,
+      locationId: ref.locationId,
+      loteId: fromLotes?.loteId || null,
+      lotNumber: ref.lotNumber,
+    });
+
+    if (!fromLedger) {
+      found.push({
+        ...base,
+        type: 'UNTRACKED_STOCK',
+        field: 'quantity',
+        expected: 0,
+        actual: heldQty,
+        message: `Lote ${ref.lotNumber} tiene ${heldQty} unidades sin movimientos registrados`,
+      });
+    } else {
+      found.push({
+        ...base,
+        type: 'LEDGER_DRIFT',
+        field: 'quantity',
+        expected: ledgerQty,
+        actual: heldQty,
+        message: `Movimientos indican ${ledgerQty} unidades del lote ${ref.lotNumber}, los lotes tienen ${heldQty}`,
+      });
+    }
+  }
+}
+
+/**
+ * Inventario rows against the sum of their lotes
+ */
+function checkInventario(snapshot, found) {
+  const key = (productId, locationId) => `${productId}|${locationId}`;
+
+  const sums = new Map();
+  for (const lote of snapshot.lotes) {
+    if (!lote.currentLocationId) continue;
+    const k = key(lote.productId, lote.currentLocationId);
+    const entry = sums.get(k) || {
+      productId: lote.productId,
+      locationId: lote.currentLocationId,
+      quantities: emptyAggregate(),
+    };
+    for (const field of AGGREGATED_FIELDS) {
+      entry.quantities[field] += lote[field] || 0;
+    }
+    sums.set(k, entry);
+  }
+
+  const seen = new Set();
+  for (const row of snapshot.inventario) {
+    const k = key(row.productId, row.locationId);
+    seen.add(k);
+    const expected = sums.get(k)?.quantities || emptyAggregate();
+
+    const fields = AGGREGATED_FIELDS.filter(f => (row[f] || 0) !== expected[f]);
+    if (fields.length === 0) continue;
+
+    found.push({
+      ...mismatchBase(snapshot, { productId: row.productId, locationId: row.locationId }),
+      type: 'INVENTARIO_MISMATCH',
+      field: fields.join(', '),
+      expected: Object.fromEntries(fields.map(f => [f, expected[f]])),
+      actual: Object.fromEntries(fields.map(f => [f, row[f] || 0])),
+      message: `Inventario no coincide con los lotes (${fields.join(', ')})`,
+      repairable: true,
+      repair: { kind: 'INVENTARIO', productId: row.productId, locationId: row.locationId },
+    });
+  }
+
+  for (const [k, { productId, locationId, quantities }] of sums) {
+    if (seen.has(k) || quantities.quantityTotal === 0) continue;
+
+    found.push({
+      ...mismatchBase(snapshot, { productId, locationId }),
+      type: 'INVENTARIO_MISSING',
+      field: 'quantityTotal',
+      expected: quantities.quantityTotal,
+      actual: null,
+      message: `Falta el registro de inventario para ${quantities.quantityTotal} unidades en lotes`,
+      repairable: true,
+      repair: { kind: 'INVENTARIO', productId, locationId },
+    });
+  }
+}
+
+// ============================================
+// REPAIRS
+// ============================================
+
+/**
+ * Apply the repairable mismatches. Each repair re-reads or guards on current
+ * values so a movement saved during the run is not overwritten.
+ */
+async function applyRepairs(companyId, found, triggeredBy) {
+  const Lotes = await getLotesModel(companyId);
+  const Inventario = await getInventarioModel(companyId);
+
+  for (const mismatch of found) {
+    if (!mismatch.repair) continue;
+
+    if (mismatch.repair.kind === 'LOTE_STATUS') {
+      const { lote, status } = mismatch.repair;
+      const guard = { _id: lote._id, status: lote.status, quantityAvailable: lote.quantityAvailable };
+      if (lote.quantityConsigned != null) guard.quantityConsigned = lote.quantityConsigned;
+
+      const result = await Lotes.updateOne(
+        guard,
+        {
+          $set: { status },
+          $push: {
+            historia: {
+              fecha: new Date(),
+              user: triggeredBy ? {
+                _id: triggeredBy._id,
+                firstname: triggeredBy.firstname,
+                lastname: triggeredBy.lastname,
+              } : undefined,
+              accion: 'Estado corregido',
+              detalles: `Verificación de inventario: ${lote.status} → ${status}`,
+            },
+          },
+        }
+      );
+      mismatch.repaired = result.modifiedCount === 1;
+    } else if (mismatch.repair.kind === 'INVENTARIO') {
+      await rebuildInventarioRow(Lotes, Inventario, mismatch.repair.productId, mismatch.repair.locationId);
+      mismatch.repaired = true;
+    }
+  }
+}
+
+/**
+ * Recompute one Inventario row from its lotes
+ */
+async function rebuildInventarioRow(Lotes, Inventario, productId, locationId) {
+  const lotes = await Lotes.find({ productId, currentLocationId: locationId }).lean();
+
+  const aggregated = lotes.reduce((acc, lote) => {
+    for (const field of AGGREGATED_FIELDS) {
+      acc[field] += lote[field] || 0;
+    }
+    return acc;
+  }, emptyAggregate());
+
+  await Inventario.findOneAndUpdate(
+    { productId, locationId },
+    { $set: { ...aggregated, updatedAt: new Date() } },
+    { upsert: true }
+  );
+}
+
+// ============================================
+// RUN HISTORY
+// ============================================
+
+/**
+ * Whether a run is in progress (runs older than 1 hour are marked FAILED)
+ */
+async function isRunInProgress(companyId) {
+  const InventoryCheckRuns = await getInventoryCheckRunsModel(companyId);
+  const staleThreshold = new Date(Date.now() - 60 * 60 * 1000);
+
+  await InventoryCheckRuns.updateMany(
+    { companyId, status: 'RUNNING', startedAt: { $lte: staleThreshold } },
+    { $set: { status: 'FAILED', completedAt: new Date(), error: 'Run timed out (stale)' } }
+  );
+
+  const running = await InventoryCheckRuns.countDocuments({ companyId, status: 'RUNNING' });
+  return running > 0;
+}
+
+/**
+ * Recent runs without their mismatch lists
+ */
+async function getRunHistory(companyId, limit = 10) {
+  const InventoryCheckRuns = await getInventoryCheckRunsModel(companyId);
+  return InventoryCheckRuns.find({ companyId })
+    .select('-mismatches')
+    .sort({ startedAt: -1 })
+    .limit(limit)
+    .lean();
+}
+
+/**
+ * One run with its mismatches
+ */
+async function getRun(companyId, runId) {
+  const InventoryCheckRuns = await getInventoryCheckRunsModel(companyId);
+  return InventoryCheckRuns.findOne({ _id: runId, companyId }).lean();
+}
+
+module.exports = {
+  runInventoryCheck,
+  isRunInProgress,
+  getRunHistory,
+  getRun,
+};
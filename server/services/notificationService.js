@@ -0,0 +1,653 @@
+/**
+ * Notification Service
+ * Email notifications through a pluggable transport, and in-app
+ * notifications (userNotificationService) for the same events.
+ *
+ * Transports (services/notificationTransports/), chosen with NOTIFICATIONS_TRANSPORT:
+ * - smtp: the server in SMTP_HOST (default when SMTP_HOST is set)
+ * - file: JSON files under NOTIFICATIONS_DIR (tests, demos)
+ * - console: logged only (default otherwise)
+ *
+ * Recipients are the users subscribed to the event (user profile
+ * notifications, managed in Settings) plus the event's own recipients (the
+ * centro's notificationEmail for a new consignment). Users who chose
+ * centros only hear about those centros.
+ *
+ * In-app notifications go to every active user with the event's inApp
+ * permission (no subscription needed), or to the users the caller names
+ * (role changes, the user who started a reconciliation).
+ *
+ * Each message is logged per recipient; the daily checks use the log to
+ * report each consignment, lote or low stock only once.
+ *
+ * Sending never throws: failures are logged and the caller's work goes on.
+ *
+ * Used by:
+ * - Consignaciones controller (consignment created)
+ * - SAP outbox service (push moved to the dead letter state)
+ * - Nightly reconciliation job and reconciliation controller (run results)
+ * - User profiles controller (role changed)
+ * - Notifications job (daily checks)
+ * - Notifications controller (events, subscriptions, settings)
+ */
+const {
+  getNotificationLogsModel,
+  getUserProfilesModel,
+  getVascularesConfigModel,
+  getConsignacionesModel,
+  getLocacionesModel,
+  getProductosModel,
+  getLotesModel,
+  getInventarioModel,
+  getInventarioObjetivosModel,
+  getExternalSapDocumentsModel,
+} = require('../getModel');
+const { renderNotification } = require('./notificationTemplates');
+const userNotificationService = require('./userNotificationService');
+const smtpTransport = require('./notificationTransports/smtpTransport');
+const fileTransport = require('./notificationTransports/fileTransport');
+const consoleTransport = require('./notificationTransports/consoleTransport');
+
+const TRANSPORTS = {
+  smtp: smtpTransport,
+  file: fileTransport,
+  console: consoleTransport,
+};
+
+// Notification events
+// - permission: needed to subscribe to the email
+// - inApp: users with this permission get it in the app
+// - byCentro: about one centro (users who chose centros only get theirs)
+// - inAppOnly: no email; sent in the app to the users the caller names
+const EVENTS = {
+  CONSIGNMENT_CREATED: {
+    label: 'Consignación despachada',
+    description: 'Cada consignación enviada a un centro',
+    inApp: 'consignments',
+    byCentro: true,
+  },
+  CONSIGNMENT_IN_TRANSIT: {
+    label: 'Consignación sin confirmar',
+    description: 'Consignaciones en tránsito por más días de lo configurado',
+    inApp: 'consignments',
+    byCentro: true,
+  },
+  SAP_PUSH_FAILED: {
+    label: 'Envío a SAP fallido',
+    description: 'Documentos que agotaron los reintentos de la cola SAP',
+    permission: 'manageSapQueue',
+    inApp: 'manageSapQueue',
+  },
+  EXTERNAL_SAP_DOCUMENTS: {
+    label: 'Documentos SAP externos',
+    description: 'Documentos creados en SAP fuera de la app, encontrados por la reconciliación',
+    permission: 'manageSapQueue',
+    inApp: 'manageSapQueue',
+  },
+  RECONCILIATION_FAILED: {
+    label: 'Reconciliación fallida',
+    description: 'La reconciliación con SAP no pudo completarse',
+    permission: 'manageSapQueue',
+    inApp: 'manageSapQueue',
+  },
+  LOTS_EXPIRING: {
+    label: 'Lotes por vencer',
+    description: 'Lotes en centros que vencen dentro de los días configurados',
+    byCentro: true,
+  },
+  STOCK_BELOW_TARGET: {
+    label: 'Stock bajo objetivo',
+    description: 'Productos por debajo del stock objetivo de un centro',
+  },
+  RECONCILIATION_COMPLETED: {
+    label: 'Reconciliación completada',
+    inAppOnly: true,
+  },
+  ROLE_CHANGED: {
+    label: 'Rol cambiado',
+    inAppOnly: true,
+  },
+};
+
+const DEFAULT_CONFIG = {
+  consignmentTransitDays: 3,
+  lotExpiryDays: 60,
+};
+
+// A product still below target is reported again after this many days
+const STOCK_REPEAT_DAYS = 7;
+// External documents listed in one message
+const MAX_LISTED_DOCUMENTS = 50;
+
+const DAY_MS = 86400000;
+
+// Source documents of SAP outbox entries, for the failure message
+const SOURCE_LABELS = {
+  ajustes: 'El ajuste',
+  consignaciones: 'La consignación',
+  consumos: 'El consumo',
+  devoluciones: 'La devolución',
+  goodsreceipts: 'La recepción',
+  pedidos: 'El pedido',
+  traslados: 'El traslado',
+};
+
+// App pages of the source documents
+const SOURCE_PATHS = {
+  ajustes: () => '/ajustes',
+  consignaciones: (id) => `/consignaciones?id=${id}`,
+  consumos: (id) => `/consumption/history?id=${id}`,
+  devoluciones: () => '/devoluciones',
+  goodsreceipts: () => '/goods-receipt-history',
+  pedidos: () => '/pedidos',
+  traslados: () => '/movimientos',
+};
+
+/**
+ * Transport for outgoing messages
+ * @returns {Object} Transport adapter
+ */
+function getTransport() {
+  const name = process.env.NOTIFICATIONS_TRANSPORT || (smtpTransport.isAvailable() ? 'smtp' : 'console');
+  if (!TRANSPORTS[name]) {
+    throw new Error(`Unknown NOTIFICATIONS_TRANSPORT: ${name}`);
+  }
+  return TRANSPORTS[name];
+}
+
+function getSender() {
+  return process.env.NOTIFICATIONS_FROM || 'Vasculares <no-reply@vasculares.app>';
+}
+
+/**
+ * Notification settings of a company, with defaults
+ */
+async function getConfig(companyId) {
+  const VascularesConfig = await getVascularesConfigModel(companyId);
+  const config = await VascularesConfig.findOne({ companyId }).lean();
+  const notifications = config?.notifications || {};
+  return Object.fromEntries(
+    Object.entries(DEFAULT_CONFIG).map(([key, value]) => [key, notifications[key] ?? value])
+  );
+}
+
+/**
+ * Update notification settings (only the given fields)
+ */
+async function updateConfig(companyId, changes) {
+  const $set = {};
+  for (const key of Object.keys(DEFAULT_CONFIG)) {
+    if (changes[key] !== undefined) $set[`notifications.${key}`] = changes[key];
+  }
+
+  const VascularesConfig = await getVascularesConfigModel(companyId);
+  await VascularesConfig.findOneAndUpdate({ companyId }, { $set }, { upsert: true, runValidators: true });
+  return getConfig(companyId);
+}
+
+/**
+ * Events a user can subscribe to, with their subscription state
+ *
+ * @param {Object} profile - User profile document
+ * @returns {Array} [{ event, label, description, subscribed }]
+ */
+function listEvents(profile) {
+  const subscribed = new Set(profile.notifications?.events || []);
+  return Object.entries(EVENTS)
+    .filter(([, definition]) => !definition.inAppOnly)
+    .filter(([, definition]) => !definition.permission || profile.hasPermission(definition.permission))
+    .map(([event, definition]) => ({
+      event,
+      label: definition.label,
+      description: definition.description,
+      subscribed: subscribed.has(event),
+    }));
+}
+
+/**
+ * Whether a profile follows a centro: users who chose no centros follow all
+ */
+function followsCentro(profile, centroId) {
+  const centroIds = profile.notifications?.centroIds || [];
+  return !centroId || centroIds.length === 0 || centroIds.some(id => id.toString() === centroId.toString());
+}
+
+/**
+ * Emails of the active users subscribed to an event
+ */
+async function getSubscriberEmails(companyId, event, centroId) {
+  const UserProfiles = await getUserProfilesModel(companyId);
+  const profiles = await UserProfiles.find({
+    isActive: true,
+    'notifications.events': event,
+    'notifications.email': { $nin: [null, ''] },
+  });
+
+  const definition = EVENTS[event] || {};
+  return profiles
+    .filter(profile => !definition.permission || profile.hasPermission(definition.permission))
+    .filter(profile => !definition.byCentro || followsCentro(profile, centroId))
+    .map(profile => profile.notifications.email);
+}
+
+/**
+ * Users who get an event in the app: the named users, plus the active users
+ * with the event's inApp permission
+ * @returns {Promise<Array<string>>} Shared user IDs
+ */
+async function getInAppRecipients(companyId, event, userIds, centroId) {
+  const definition = EVENTS[event] || {};
+  const recipients = new Set(userIds.filter(Boolean).map(id => id.toString()));
+
+  if (definition.inApp) {
+    const UserProfiles = await getUserProfilesModel(companyId);
+    const profiles = await UserProfiles.find({ isActive: true }, 'userId role notifications');
+    profiles
+      .filter(profile => profile.hasPermission(definition.inApp))
+      .filter(profile => !definition.byCentro || followsCentro(profile, centroId))
+      .forEach(profile => recipients.add(profile.userId.toString()));
+  }
+  return [...recipients];
+}
+
+/**
+ * Keys already reported for an event
+ *
+ * @param {string} companyId - Company ID
+ * @param {string} event - Event name
+ * @param {Array<string>} keys - Keys to look for
+ * @param {number} [days] - Only reports from the last N days (default: ever)
+ * @returns {Promise<Set<string>>}
+ */
+async function notifiedKeys(companyId, event, keys, days) {
+  if (keys.length === 0) return new Set();
+
+  const NotificationLogs = await getNotificationLogsModel(companyId);
+  const query = { event, status: 'SENT', keys: { $in: keys } };
+  if (days) query.createdAt = { $gte: new Date(Date.now() - days * DAY_MS) };
+
+  const logs = await NotificationLogs.find(query, 'keys').lean();
+  const wanted = new Set(keys);
+  return new Set(logs.flatMap(log => log.keys).filter(key => wanted.has(key)));
+}
+
+/**
+ * Send a notification: email to the event's subscribers and the given
+ * recipients, and in-app to the event's users
+ *
+ * @param {string} companyId - Company ID
+ * @param {string} event - Event name (EVENTS)
+ * @param {Object} data - Template data (notificationTemplates)
+ * @param {Object} options
+ * @param {Array<string>} options.to - Email recipients besides the subscribers
+ * @param {Array<string>} options.userIds - In-app recipients besides the event's users
+ * @param {string} options.centroId - Centro the event is about (byCentro events)
+ * @param {Array<string>} options.keys - What the message is about (see notifiedKeys)
+ * @param {Object} options.reference - { model, id } of the document it is about
+ * @returns {Promise<Object>} { sent, failed } emails and inApp notifications; never rejects
+ */
+async function notify(companyId, event, data, { to = [], userIds = [], centroId, keys = [], reference } = {}) {
+  const result = { sent: 0, failed: 0, inApp: 0 };
+  try {
+    const definition = EVENTS[event] || {};
+    const subscribers = definition.inAppOnly ? [] : await getSubscriberEmails(companyId, event, centroId);
+    const recipients = [...new Set([
+      ...subscribers,
+      ...to.filter(Boolean).map(email => email.trim().toLowerCase()),
+    ])];
+    const users = await getInAppRecipients(companyId, event, userIds, centroId);
+    if (recipients.length === 0 && users.length === 0) {
+      return result;
+    }
+
+    const message = renderNotification(event, data);
+    const NotificationLogs = await getNotificationLogsModel(companyId);
+
+    if (recipients.length > 0) {
+      const transport = getTransport();
+      const email = { subject: message.subject, text: message.text, html: message.html };
+      for (const recipient of recipients) {
+        const log = { event, recipient, subject: message.subject, keys, transport: transport.name, reference };
+        try {
+          const { messageId } = await transport.send({ from: getSender(), to: recipient, ...email });
+          await NotificationLogs.create({ ...log, status: 'SENT', messageId });
+          result.sent++;
+        } catch (sendError) {
+          console.error(`[Notifications] ${event} to ${recipient} failed:`, sendError.message);
+          await NotificationLogs.create({ ...log, status: 'FAILED', error: sendError.message });
+          result.failed++;
+        }
+      }
+    }
+
+    if (users.length > 0) {
+      result.inApp = await userNotificationService.deliver(companyId, users, {
+        event,
+        title: message.title,
+        message: message.summary,
+        link: message.path,
+        reference,
+      });
+      await NotificationLogs.insertMany(users.map(userId => ({
+        event, recipient: `user:${userId}`, subject: message.subject, keys, transport: 'in-app', reference, status: 'SENT',
+      })));
+    }
+    return result;
+  } catch (error) {
+    console.error(`[Notifications] Error sending ${event}:`, error);
+    return { ...result, error: error.message };
+  }
+}
+
+// Whether a notify() result reached anyone
+const delivered = (result) => result.sent > 0 || result.inApp > 0;
+
+/**
+ * Product name and lot details of consignment items or lotes
+ */
+async function describeLots(companyId, items) {
+  const Productos = await getProductosModel(companyId);
+  const Lotes = await getLotesModel(companyId);
+  const [products, lotes] = await Promise.all([
+    Productos.find({ _id: { $in: items.map(i => i.productId) } }, 'name').lean(),
+    Lotes.find({ _id: { $in: items.map(i => i.loteId).filter(Boolean) } }, 'expiryDate').lean(),
+  ]);
+  const productName = new Map(products.map(p => [p._id.toString(), p.name]));
+  const expiry = new Map(lotes.map(l => [l._id.toString(), l.expiryDate]));
+
+  return items.map(item => ({
+    productName: productName.get(item.productId.toString()) || String(item.productId),
+    lotNumber: item.lotNumber,
+    expiryDate: item.expiryDate || expiry.get(item.loteId?.toString()),
+    quantity: item.quantity ?? item.quantitySent,
+  }));
+}
+
+async function describeConsignment(companyId, consignacion) {
+  const Locaciones = await getLocacionesModel(companyId);
+  const [from, centro] = await Promise.all([
+    Locaciones.findById(consignacion.fromLocationId, 'name').lean(),
+    Locaciones.findById(consignacion.toLocationId, 'name settings').lean(),
+  ]);
+  return {
+    consignacion,
+    fromName: from?.name || 'Almacén',
+    centroName: centro?.name || 'Centro',
+    centroEmail: centro?.settings?.notificationEmail,
+    items: await describeLots(companyId, consignacion.items),
+  };
+}
+
+/**
+ * A consignment was dispatched: its subscribers and the centro's notificationEmail
+ */
+async function notifyConsignmentCreated(companyId, consignacionId) {
+  try {
+    const Consignaciones = await getConsignacionesModel(companyId);
+    const consignacion = await Consignaciones.findById(consignacionId).lean();
+    if (!consignacion) return { sent: 0, failed: 0, inApp: 0 };
+
+    const { centroEmail, ...data } = await describeConsignment(companyId, consignacion);
+    return notify(companyId, 'CONSIGNMENT_CREATED', data, {
+      to: [centroEmail],
+      centroId: consignacion.toLocationId,
+      keys: [`CONSIGNACION:${consignacion._id}`],
+      reference: { model: 'consignaciones', id: consignacion._id },
+    });
+  } catch (error) {
+    console.error('[Notifications] Error notifying consignment:', error);
+    return { sent: 0, failed: 0, inApp: 0, error: error.message };
+  }
+}
+
+/**
+ * An SAP outbox entry ran out of attempts
+ *
+ * @param {string} companyId - Company ID
+ * @param {Object} entry - Outbox entry (documentType, source, attempts)
+ * @param {string} error - Last SAP error
+ */
+async function notifySapPushFailed(companyId, entry, error) {
+  const label = SOURCE_LABELS[entry.source?.model] || 'El documento';
+  const sourcePath = SOURCE_PATHS[entry.source?.model];
+  return notify(companyId, 'SAP_PUSH_FAILED', {
+    documentType: entry.documentType,
+    description: `${label} ${entry.source?.id} (${entry.documentType})`,
+    attempts: entry.attempts,
+    error,
+    path: sourcePath ? sourcePath(entry.source.id) : '/sap-outbox',
+  }, {
+    keys: [`SAP_OUTBOX:${entry._id}:${entry.attempts}`],
+    reference: entry.source ? { model: entry.source.model, id: entry.source.id } : undefined,
+  });
+}
+
+/**
+ * Result of a reconciliation run: documents created in SAP outside the app,
+ * or a failed run. The user who started an on-demand run also hears about
+ * a run that found nothing.
+ *
+ * @param {string} companyId - Company ID
+ * @param {Object} run - Run result (reconciliationService.runReconciliation)
+ * @param {Object} options
+ * @param {string} options.triggeredBy - User who started the run
+ */
+async function notifyReconciliationResult(companyId, run, { triggeredBy } = {}) {
+  if (!run?.runId) return { sent: 0, failed: 0, inApp: 0 };
+
+  const options = {
+    userIds: [triggeredBy],
+    keys: [`RECONCILIATION:${run.runId}`],
+    reference: { model: 'reconciliationruns', id: run.runId },
+  };
+
+  try {
+    if (run.status === 'FAILED') {
+      const error = run.errors?.map(e => e.message).join('; ') || 'Error desconocido';
+      return notify(companyId, 'RECONCILIATION_FAILED', { run, error }, options);
+    }
+
+    if (run.stats?.externalDocsFound > 0) {
+      const ExternalSapDocuments = await getExternalSapDocumentsModel(companyId);
+      const documents = await ExternalSapDocuments.find({ reconciliationRunId: run.runId })
+        .sort({ sapDocDate: 1 })
+        .limit(MAX_LISTED_DOCUMENTS)
+        .lean();
+      return notify(companyId, 'EXTERNAL_SAP_DOCUMENTS', { stats: run.stats, documents }, options);
+    }
+
+    if (triggeredBy) {
+      return notify(companyId, 'RECONCILIATION_COMPLETED', { run }, options);
+    }
+    return { sent: 0, failed: 0, inApp: 0 };
+  } catch (error) {
+    console.error('[Notifications] Error notifying reconciliation result:', error);
+    return { sent: 0, failed: 0, inApp: 0, error: error.message };
+  }
+}
+
+/**
+ * A user's role was changed: tell that user in the app
+ *
+ * @param {string} companyId - Company ID
+ * @param {Object} profile - The changed user profile
+ * @param {string} previousRole - Role before the change
+ * @param {Object} changedBy - User who made the change (req.user)
+ */
+async function notifyRoleChanged(companyId, profile, previousRole, changedBy) {
+  const changedByName = [changedBy?.firstname, changedBy?.lastname].filter(Boolean).join(' ') || changedBy?.email;
+  return notify(companyId, 'ROLE_CHANGED', {
+    previousRole,
+    role: profile.role,
+    changedBy: changedByName,
+  }, {
+    userIds: [profile.userId],
+    reference: { model: 'userprofiles', id: profile._id },
+  });
+}
+
+/**
+ * Consignments still in transit after consignmentTransitDays, each reported once
+ * @returns {Promise<number>} Consignments reported
+ */
+async function checkConsignmentsInTransit(companyId, config) {
+  const Consignaciones = await getConsignacionesModel(companyId);
+  const cutoff = new Date(Date.now() - config.consignmentTransitDays * DAY_MS);
+  const consignaciones = await Consignaciones.find({ status: 'EN_TRANSITO', createdAt: { $lt: cutoff } })
+    .sort({ createdAt: 1 })
+    .lean();
+
+  const keyOf = (c) => `CONSIGNACION:${c._id}`;
+  const done = await notifiedKeys(companyId, 'CONSIGNMENT_IN_TRANSIT', consignaciones.map(keyOf));
+
+  let reported = 0;
+  for (const consignacion of consignaciones.filter(c => !done.has(keyOf(c)))) {
+    const { centroEmail, ...data } = await describeConsignment(companyId, consignacion);
+    const days = Math.floor((Date.now() - new Date(consignacion.createdAt).getTime()) / DAY_MS);
+    const result = await notify(companyId, 'CONSIGNMENT_IN_TRANSIT', { ...data, days }, {
+      centroId: consignacion.toLocationId,
+      keys: [keyOf(consignacion)],
+      reference: { model: 'consignaciones', id: consignacion._id },
+    });
+    if (delivered(result)) reported++;
+  }
+  return reported;
+}
+
+/**
+ * Lots at centros expiring within lotExpiryDays, one message per centro,
+ * each lote reported once
+ * @returns {Promise<number>} Lotes reported
+ */
+async function checkExpiringLots(companyId, config) {
+  const Locaciones = await getLocacionesModel(companyId);
+  const Lotes = await getLotesModel(companyId);
+
+  const centros = await Locaciones.find({ type: 'CENTRO', active: { $ne: false } }, 'name').lean();
+  const horizon = new Date(Date.now() + config.lotExpiryDays * DAY_MS);
+  const lotes = await Lotes.find({
+    currentLocationId: { $in: centros.map(c => c._id) },
+    status: 'ACTIVE',
+    quantityAvailable: { $gt: 0 },
+    expiryDate: { $gt: new Date(), $lte: horizon },
+  }).sort({ expiryDate: 1 }).lean();
+
+  const keyOf = (lote) => `LOTE:${lote._id}`;
+  const done = await notifiedKeys(companyId, 'LOTS_EXPIRING', lotes.map(keyOf));
+
+  let reported = 0;
+  for (const centro of centros) {
+    const pending = lotes.filter(l => l.currentLocationId.equals(centro._id) && !done.has(keyOf(l)));
+    if (pending.length === 0) continue;
+
+    const described = await describeLots(companyId, pending.map(l => ({
+      productId: l.productId,
+      lotNumber: l.lotNumber,
+      expiryDate: l.expiryDate,
+      quantity: l.quantityAvailable,
+    })));
+    const result = await notify(companyId, 'LOTS_EXPIRING', {
+      centroName: centro.name,
+      days: config.lotExpiryDays,
+      lotes: described,
+    }, {
+      centroId: centro._id,
+      keys: pending.map(keyOf),
+      reference: { model: 'locaciones', id: centro._id },
+    });
+    if (delivered(result)) reported += pending.length;
+  }
+  return reported;
+}
+
+/**
+ * Products below their centro's target stock, in one message; a product
+ * still below target is reported again after STOCK_REPEAT_DAYS
+ * @returns {Promise<number>} Products reported
+ */
+async function checkStockBelowTarget(companyId) {
+  const InventarioObjetivos = await getInventarioObjetivosModel(companyId);
+  const Inventario = await getInventarioModel(companyId);
+  const Locaciones = await getLocacionesModel(companyId);
+
+  const objetivos = await InventarioObjetivos.find({ active: true, targetStock: { $gt: 0 } }).lean();
+  if (objetivos.length === 0) return 0;
+
+  const centros = await Locaciones.find({
+    _id: { $in: objetivos.map(o => o.locationId) },
+    type: 'CENTRO',
+    active: { $ne: false },
+  }, 'name').lean();
+  const centroName = new Map(centros.map(c => [c._id.toString(), c.name]));
+
+  const inventario = await Inventario.find({
+    locationId: { $in: centros.map(c => c._id) },
+    productId: { $in: objetivos.map(o => o.productId) },
+  }, 'productId locationId quantityAvailable').lean();
+  const available = new Map(inventario.map(i => [`${i.productId}:${i.locationId}`, i.quantityAvailable || 0]));
+
+  const below = objetivos
+    .filter(o => centroName.has(o.locationId.toString()))
+    .map(o => ({ ...o, quantity: available.get(`${o.productId}:${o.locationId}`) || 0 }))
+    .filter(o => o.quantity < o.targetStock);
+
+  const keyOf = (o) => `OBJETIVO:${o.locationId}:${o.productId}`;
+  const done = await notifiedKeys(companyId, 'STOCK_BELOW_TARGET', below.map(keyOf), STOCK_REPEAT_DAYS);
+  const pending = below.filter(o => !done.has(keyOf(o)));
+  if (pending.length === 0) return 0;
+
+  const described = await describeLots(companyId, pending.map(o => ({ productId: o.productId, quantity: o.quantity })));
+  const items = pending
+    .map((o, index) => ({
+      centroName: centroName.get(o.locationId.toString()),
+      productName: described[index].productName,
+      quantity: o.quantity,
+      targetStock: o.targetStock,
+    }))
+    .sort((a, b) => a.centroName.localeCompare(b.centroName) || a.productName.localeCompare(b.productName));
+
+  const result = await notify(companyId, 'STOCK_BELOW_TARGET', { items }, { keys: pending.map(keyOf) });
+  return delivered(result) ? pending.length : 0;
+}
+
+/**
+ * Daily checks: consignments in transit, expiring lots, stock below target
+ * A failing check is logged and does not stop the others.
+ *
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object>} Items reported per check (null when the check failed)
+ */
+async function runDailyChecks(companyId) {
+  const config = await getConfig(companyId);
+  const checks = {
+    consignmentsInTransit: () => checkConsignmentsInTransit(companyId, config),
+    lotsExpiring: () => checkExpiringLots(companyId, config),
+    stockBelowTarget: () => checkStockBelowTarget(companyId),
+  };
+
+  const results = {};
+  for (const [name, check] of Object.entries(checks)) {
+    try {
+      results[name] = await check();
+    } catch (error) {
+      console.error(`[Notifications] Daily check ${name} failed for company ${companyId}:`, error);
+      results[name] = null;
+    }
+  }
+  return results;
+}
+
+module.exports = {
+  EVENTS,
+  DEFAULT_CONFIG,
+  getTransport,
+  getConfig,
+  updateConfig,
+  listEvents,
+  notify,
+  notifyConsignmentCreated,
+  notifySapPushFailed,
+  notifyReconciliationResult,
+  notifyRoleChanged,
+  runDailyChecks,
+};
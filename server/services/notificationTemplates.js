@@ -0,0 +1,221 @@
+/**
+ * Notification Templates
+ * Subject, plain text and HTML body for each notification event, and the
+ * title, summary and app path of its in-app notification. Email links
+ * point to CLIENT_URL when it is set.
+ *
+ * Used by:
+ * - Notification service
+ */
+
+const toDateString = (value) => (value ? new Date(value).toISOString().split('T')[0] : '—');
+
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+function appLink(path) {
+  const base = process.env.CLIENT_URL;
+  return base ? `${base.replace(/\/$/, '')}${path}` : null;
+}
+
+/**
+ * Build a message: intro paragraphs, an optional table, and a link to the app
+ *
+ * @param {Object} content
+ * @param {string} content.subject
+ * @param {Array<string>} content.intro - Paragraphs
+ * @param {Object} content.table - { headers: [], rows: [[]] }
+ * @param {string} content.path - App page to open
+ * @returns {Object} { subject, text, html, title, summary, path }
+ */
+function render({ subject, intro, table, path }) {
+  const link = path ? appLink(path) : null;
+
+  const textParts = [...intro];
+  if (table?.rows.length) {
+    textParts.push(table.rows.map((row) => `- ${row.join(' | ')}`).join('\n'));
+  }
+  if (link) textParts.push(`Ver en Vasculares: ${link}`);
+
+  const htmlParts = intro.map((paragraph) => `<p>${escapeHtml(paragraph)}</p>`);
+  if (table?.rows.length) {
+    htmlParts.push(
+      '<table cellpadding="6" style="border-collapse:collapse;font-size:14px">' +
+      `<tr>${table.headers.map((h) => `<th align="left" style="border-bottom:1px solid #ccc">${escapeHtml(h)}</th>`).join('')}</tr>` +
+      table.rows.map((row) => `<tr>${row.map((cell) => `<td style="border-bottom:1px solid #eee">${escapeHtml(cell)}</td>`).join('')}</tr>`).join('') +
+      '</table>'
+    );
+  }
+  if (link) htmlParts.push(`<p><a href="${escapeHtml(link)}">Ver en Vasculares</a></p>`);
+
+  return {
+    subject: `[Vasculares] ${subject}`,
+    text: textParts.join('\n\n'),
+    html: `<div style="font-family:Arial,sans-serif">${htmlParts.join('\n')}</div>`,
+    title: subject,
+    summary: intro[0],
+    path,
+  };
+}
+
+const ROLE_LABELS = {
+  admin: 'Administrador',
+  almacen: 'Almacén',
+  sales: 'Ventas',
+  viewer: 'Visualizador',
+};
+
+const LOT_HEADERS = ['Producto', 'Lote', 'Vence', 'Cantidad'];
+const lotRow = (item) => [item.productName, item.lotNumber, toDateString(item.expiryDate), item.quantity];
+
+const TEMPLATES = {
+  /**
+   * @param {Object} data - { consignacion, fromName, centroName, items: [{ productName, lotNumber, expiryDate, quantity }] }
+   */
+  CONSIGNMENT_CREATED: ({ consignacion, fromName, centroName, items }) => render({
+    subject: `Consignación en camino a ${centroName}`,
+    intro: [
+      `Se despachó una consignación de ${fromName} a ${centroName} el ${toDateString(consignacion.createdAt)}, ${items.reduce((sum, i) => sum + i.quantity, 0)} unidades.`,
+      ...(consignacion.notes ? [`Notas: ${consignacion.notes}`] : []),
+    ],
+    table: { headers: LOT_HEADERS, rows: items.map(lotRow) },
+    path: `/consignaciones?id=${consignacion._id}`,
+  }),
+
+  /**
+   * @param {Object} data - { consignacion, fromName, centroName, days, items }
+   */
+  CONSIGNMENT_IN_TRANSIT: ({ consignacion, fromName, centroName, days, items }) => render({
+    subject: `Consignación a ${centroName} sin confirmar hace ${days} días`,
+    intro: [
+      `La consignación de ${fromName} a ${centroName} despachada el ${toDateString(consignacion.createdAt)} sigue en tránsito. Confirme la recepción en el centro o revise el envío.`,
+    ],
+    table: { headers: LOT_HEADERS, rows: items.map(lotRow) },
+    path: `/consignaciones?id=${consignacion._id}`,
+  }),
+
+  /**
+   * @param {Object} data - { documentType, description, attempts, error, path }
+   */
+  SAP_PUSH_FAILED: ({ documentType, description, attempts, error, path }) => render({
+    subject: `Envío a SAP fallido: ${documentType}`,
+    intro: [
+      `${description} no se pudo enviar a SAP después de ${attempts} intentos y quedó detenido en la cola SAP hasta que un administrador lo reenvíe.`,
+      `Último error: ${error}`,
+    ],
+    path,
+  }),
+
+  /**
+   * @param {Object} data - { stats, documents: [{ sapDocType, sapDocNum, sapDocDate, sapCardName }] }
+   */
+  EXTERNAL_SAP_DOCUMENTS: ({ stats, documents }) => render({
+    subject: `${stats.externalDocsFound} documentos SAP creados fuera de la app`,
+    intro: [
+      'La reconciliación nocturna encontró documentos en SAP con productos de Vasculares que no se registraron en la app. Revíselos e impórtelos para que el inventario coincida.',
+    ],
+    table: {
+      headers: ['Tipo', 'Número', 'Fecha', 'Socio de negocio'],
+      rows: documents.map((d) => [d.sapDocType, d.sapDocNum ?? '—', toDateString(d.sapDocDate), d.sapCardName || '—']),
+    },
+    path: documents.length === 1 ? `/reconciliation?doc=${documents[0]._id}` : '/reconciliation',
+  }),
+
+  /**
+   * @param {Object} data - { run, error }
+   */
+  RECONCILIATION_FAILED: ({ run, error }) => render({
+    subject: 'Reconciliación con SAP fallida',
+    intro: [
+      `La reconciliación iniciada el ${toDateString(run.startedAt)} no pudo completarse: ${error}`,
+      'Los documentos creados en SAP fuera de la app no se revisaron. Vuelva a ejecutarla desde la página de reconciliación.',
+    ],
+    path: '/reconciliation',
+  }),
+
+  /**
+   * In-app only, for the user who started the run
+   * @param {Object} data - { run }
+   */
+  RECONCILIATION_COMPLETED: () => render({
+    subject: 'Reconciliación completada',
+    intro: [
+      'La reconciliación con SAP terminó sin encontrar documentos creados fuera de la app.',
+    ],
+    path: '/reconciliation',
+  }),
+
+  /**
+   * In-app only, for the user whose role changed
+   * @param {Object} data - { previousRole, role, changedBy }
+   */
+  ROLE_CHANGED: ({ previousRole, role, changedBy }) => render({
+    subject: `Su rol ahora es ${ROLE_LABELS[role] || role}`,
+    intro: [
+      `${changedBy || 'Un administrador'} cambió su rol de ${ROLE_LABELS[previousRole] || previousRole} a ${ROLE_LABELS[role] || role}.`,
+    ],
+    path: '/settings',
+  }),
+
+  /**
+   * @param {Object} data - { centroName, days, lotes: [{ productName, lotNumber, expiryDate, quantity }] }
+   */
+  LOTS_EXPIRING: ({ centroName, days, lotes }) => render({
+    subject: `${lotes.length} lotes por vencer en ${centroName}`,
+    intro: [
+      `Estos lotes en ${centroName} vencen en los próximos ${days} días. Considere rotarlos a otro centro o devolverlos al almacén.`,
+    ],
+    table: { headers: LOT_HEADERS, rows: lotes.map(lotRow) },
+    path: '/rotacion',
+  }),
+
+  /**
+   * @param {Object} data - { items: [{ centroName, productName, quantity, targetStock }] }
+   */
+  STOCK_BELOW_TARGET: ({ items }) => render({
+    subject: `${items.length} productos bajo el stock objetivo`,
+    intro: [
+      'El stock disponible de estos productos está por debajo del stock objetivo del centro.',
+    ],
+    table: {
+      headers: ['Centro', 'Producto', 'Disponible', 'Objetivo'],
+      rows: items.map((i) => [i.centroName, i.productName, i.quantity, i.targetStock]),
+    },
+    path: '/planning',
+  }),
+
+  /**
+   * Test message from Settings
+   * @param {Object} data - { transport }
+   */
+  TEST: ({ transport }) => render({
+    subject: 'Correo de prueba',
+    intro: [
+      `Las notificaciones de Vasculares llegan a este correo (envío: ${transport}).`,
+    ],
+    path: '/settings',
+  }),
+};
+
+/**
+ * Render a notification
+ * @param {string} event - Event name (notificationService EVENTS)
+ * @param {Object} data - Event data (see each template)
+ * @returns {Object} { subject, text, html }
+ */
+function renderNotification(event, data) {
+  const template = TEMPLATES[event];
+  if (!template) {
+    throw new Error(`Unknown notification event: ${event}`);
+  }
+  return template(data);
+}
+
+module.exports = {
+  renderNotification,
+};
@@ -0,0 +1,20 @@
+/**
+ * Console notification transport
+ * Logs the recipient, subject and text of each message. The default when no
+ * SMTP server is configured, so development never mails anyone.
+ */
+const crypto = require('crypto');
+
+module.exports = {
+  name: 'console',
+
+  isAvailable() {
+    return true;
+  },
+
+  async send({ to, subject, text }) {
+    const messageId = crypto.randomUUID();
+    console.log(`[Notifications] To: ${to}\n[Notifications] Subject: ${subject}\n${text}`);
+    return { messageId };
+  },
+};
@@ -0,0 +1,36 @@
+/**
+ * File notification transport
+ * Writes each message as JSON under NOTIFICATIONS_DIR (default
+ * server/storage/notifications) instead of sending it. For tests, demos and
+ * environments without a mail server.
+ */
+const crypto = require('crypto');
+const fs = require('fs/promises');
+const path = require('path');
+
+const DEFAULT_DIR = path.join(__dirname, '..', '..', 'storage', 'notifications');
+
+function baseDir() {
+  return process.env.NOTIFICATIONS_DIR || DEFAULT_DIR;
+}
+
+module.exports = {
+  name: 'file',
+
+  isAvailable() {
+    return true;
+  },
+
+  /**
+   * @returns {Promise<{messageId: string}>} messageId is the file name
+   */
+  async send(message) {
+    const messageId = `${Date.now()}-${crypto.randomBytes(4).toString('hex')}.json`;
+    await fs.mkdir(baseDir(), { recursive: true });
+    await fs.writeFile(
+      path.join(baseDir(), messageId),
+      JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+    );
+    return { messageId };
+  },
+};
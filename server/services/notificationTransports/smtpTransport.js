@@ -0,0 +1,46 @@
+/**
+ * SMTP notification transport
+ * Sends through the server in SMTP_HOST (port SMTP_PORT, default 587;
+ * SMTP_SECURE=true for implicit TLS on 465), authenticating with
+ * SMTP_USER / SMTP_PASSWORD when set.
+ */
+const nodemailer = require('nodemailer');
+
+// Fail fast instead of holding a job for nodemailer's 2 minute defaults
+const TIMEOUT_MS = 15 * 1000;
+
+let transporter = null;
+
+function getTransporter() {
+  if (!transporter) {
+    transporter = nodemailer.createTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 587,
+      secure: process.env.SMTP_SECURE === 'true',
+      auth: process.env.SMTP_USER ? {
+        user: process.env.SMTP_USER,
+        pass: process.env.SMTP_PASSWORD,
+      } : undefined,
+      connectionTimeout: TIMEOUT_MS,
+      greetingTimeout: TIMEOUT_MS,
+      socketTimeout: TIMEOUT_MS,
+    });
+  }
+  return transporter;
+}
+
+module.exports = {
+  name: 'smtp',
+
+  isAvailable() {
+    return !!process.env.SMTP_HOST;
+  },
+
+  /**
+   * @returns {Promise<{messageId: string}>}
+   */
+  async send({ from, to, subject, text, html }) {
+    const info = await getTransporter().sendMail({ from, to, subject, text, html });
+    return { messageId: info.messageId };
+  },
+};
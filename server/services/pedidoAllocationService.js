@@ -0,0 +1,251 @@
+/**
+ * Pedido Allocation Service
+ * Matches goods receipt items to the open pedido lines they fill.
+ *
+ * - Each received quantity goes to the lines of the same product on the
+ *   oldest open pedidos first; what is left then goes to lines ordered under
+ *   an equivalent code (legacy Orsiro code ↔ new code, productoModel.legacyCode)
+ * - Partial shipments leave the line pending for the next receipt; quantities
+ *   no open line expects stay unallocated (over-delivery)
+ * - The link is recorded on both documents: receipt items list the pedido
+ *   lines they filled (pedidoAllocations), pedido lines list the receipt
+ *   items allocated to them (receipts)
+ * - Only pedidos of the receipt's supplier, ordered before the receipt, are
+ *   candidates. When the receipt goes to SAP, pedidos whose Purchase Order is
+ *   still queued are skipped (the delivery note could not reference it).
+ *
+ * Used by:
+ * - Goods Receipt controller (new receipts, allocating older receipts)
+ * - Pedidos controller (allocation preview)
+ */
+const { getPedidosModel, getProductosModel } = require('../getModel');
+const { pendingQuantity } = require('./purchaseOrderService');
+
+const OPEN_STATUSES = ['PENDIENTE', 'PARCIAL'];
+
+/**
+ * Equivalent products: a new code and the legacy Orsiro code it replaced can
+ * fill each other's pedido lines
+ *
+ * @param {string} companyId - Company ID
+ * @param {Array} productIds - Received product IDs
+ * @returns {Promise<Object>} productId → [equivalent productId]
+ */
+async function findEquivalents(companyId, productIds) {
+  const Productos = await getProductosModel(companyId);
+  const products = await Productos.find({ _id: { $in: productIds } }).select('code legacyCode').lean();
+
+  const codes = products.map(p => p.code).filter(c => c != null);
+  const legacyCodes = products.map(p => p.legacyCode).filter(c => c != null);
+  const related = await Productos.find({
+    $or: [
+      { legacyCode: { $in: codes } },
+      { code: { $in: legacyCodes } },
+    ],
+  }).select('code legacyCode').lean();
+
+  const equivalents = {};
+  for (const product of products) {
+    equivalents[product._id.toString()] = related
+      .filter(r => !r._id.equals(product._id) && (
+        (r.legacyCode != null && r.legacyCode === product.code) ||
+        (product.legacyCode != null && r.code === product.legacyCode)
+      ))
+      .map(r => r._id.toString());
+  }
+  return equivalents;
+}
+
+/**
+ * Open pedidos a receipt can fill, oldest first
+ *
+ * @param {string} companyId - Company ID
+ * @param {Object} options
+ * @param {Array} options.productIds - Products on the lines to look for
+ * @param {string} options.supplierCode - Receipt supplier (pedidos of others are skipped)
+ * @param {boolean} options.pushToSap - Skip pedidos whose Purchase Order is still queued
+ * @param {string} options.pedidoId - Only this pedido
+ * @param {Date} options.receivedAt - Skip pedidos ordered later
+ * @param {Object} session - Optional MongoDB session (pedidos are modified in it)
+ * @returns {Promise<Array>} Pedido documents
+ */
+async function findOpenPedidos(companyId, { productIds, supplierCode, pushToSap, pedidoId, receivedAt }, session = null) {
+  const Pedidos = await getPedidosModel(companyId);
+  const query = {
+    companyId,
+    status: { $in: OPEN_STATUSES },
+    'items.productId': { $in: productIds },
+  };
+  if (pedidoId) query._id = pedidoId;
+  if (receivedAt) query.orderDate = { $lte: receivedAt };
+
+  const pedidos = await Pedidos.find(query)
+    .sort({ orderDate: 1, createdAt: 1 })
+    .session(session);
+
+  return pedidos.filter(pedido => {
+    if (supplierCode && pedido.supplierCode && pedido.supplierCode !== supplierCode) return false;
+    if (pushToSap && pedido.sapIntegration?.status && !pedido.sapIntegration.docEntry) return false;
+    return true;
+  });
+}
+
+/**
+ * Split receipt items over open pedido lines
+ * Exact products are matched on every item before any substitution, so a
+ * legacy code never takes a line its own code was received for. Several
+ * lots of one product fill the lines in order.
+ *
+ * @param {Array} items - Receipt items [{ productId, quantity }]
+ * @param {Array} pedidos - Open pedidos, oldest first
+ * @param {Object} equivalents - From findEquivalents
+ * @returns {Array} Per item: { allocations: [{ pedido, line, quantity, substitution }], unallocatedQuantity }
+ */
+function planAllocation(items, pedidos, equivalents = {}) {
+  const pending = new Map();
+  for (const pedido of pedidos) {
+    for (const line of pedido.items) {
+      pending.set(line, pendingQuantity(line));
+    }
+  }
+
+  const plan = items.map(item => ({ allocations: [], unallocatedQuantity: Number(item.quantity) }));
+
+  const fill = (entry, productIds, substitution) => {
+    for (const pedido of pedidos) {
+      for (const line of pedido.items) {
+        if (entry.unallocatedQuantity === 0) return;
+        if (!productIds.includes(line.productId.toString())) continue;
+
+        const quantity = Math.min(entry.unallocatedQuantity, pending.get(line));
+        if (quantity === 0) continue;
+        pending.set(line, pending.get(line) - quantity);
+        entry.unallocatedQuantity -= quantity;
+        entry.allocations.push({ pedido, line, quantity, substitution });
+      }
+    }
+  };
+
+  items.forEach((item, index) => fill(plan[index], [item.productId.toString()], false));
+  items.forEach((item, index) => fill(plan[index], equivalents[item.productId.toString()] || [], true));
+
+  return plan;
+}
+
+/**
+ * Pedidos and receipt items for an allocation
+ */
+async function planReceipt(companyId, items, { supplierCode, pushToSap, pedidoId, receivedAt }, session = null) {
+  const productIds = [...new Set(items.map(i => i.productId.toString()))];
+  const equivalents = await findEquivalents(companyId, productIds);
+  const lineProductIds = [...new Set([...productIds, ...Object.values(equivalents).flat()])];
+
+  const pedidos = await findOpenPedidos(companyId, {
+    productIds: lineProductIds,
+    supplierCode,
+    pushToSap,
+    pedidoId,
+    receivedAt,
+  }, session);
+
+  return planAllocation(items, pedidos, equivalents);
+}
+
+/**
+ * Allocate a goods receipt to open pedidos
+ * Pedidos are saved in the session; the receipt items get their
+ * pedidoAllocations / unallocatedQuantity and the receipt its pedidoIds,
+ * and the caller saves it.
+ *
+ * @param {string} companyId - Company ID
+ * @param {Document} goodsReceipt - Goods receipt document (modified)
+ * @param {Object} options
+ * @param {boolean} options.pushToSap - The receipt's delivery note goes to SAP
+ * @param {string} options.pedidoId - Only allocate to this pedido
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Array>} Plan per receipt item (see planAllocation)
+ */
+async function allocateReceipt(companyId, goodsReceipt, { pushToSap = false, pedidoId } = {}, session = null) {
+  const items = goodsReceipt.items;
+  const receivedAt = goodsReceipt.receiptDate || new Date();
+
+  const plan = await planReceipt(companyId, items, {
+    supplierCode: goodsReceipt.supplierCode,
+    pushToSap,
+    pedidoId,
+    receivedAt,
+  }, session);
+
+  const pedidos = new Set();
+  plan.forEach((entry, index) => {
+    const item = items[index];
+    for (const { pedido, line, quantity } of entry.allocations) {
+      line.quantityReceived += quantity;
+      line.receipts.push({
+        goodsReceiptId: goodsReceipt._id,
+        productId: item.productId,
+        lotNumber: item.lotNumber,
+        quantity,
+        receivedAt,
+      });
+      pedidos.add(pedido);
+    }
+
+    item.pedidoAllocations = entry.allocations.map(({ pedido, line, quantity, substitution }) => ({
+      pedidoId: pedido._id,
+      pedidoItemId: line._id,
+      productId: line.productId,
+      quantity,
+      substitution,
+    }));
+    item.unallocatedQuantity = entry.unallocatedQuantity;
+  });
+
+  for (const pedido of pedidos) {
+    if (!pedido.goodsReceipts.some(id => id.equals(goodsReceipt._id))) {
+      pedido.goodsReceipts.push(goodsReceipt._id);
+    }
+    pedido.updateStatus();
+    await pedido.save({ session });
+  }
+
+  goodsReceipt.pedidoIds = [...pedidos].map(p => p._id);
+  goodsReceipt.pedidosAllocatedAt = new Date();
+
+  return plan;
+}
+
+/**
+ * Allocation a receipt would get, without saving anything
+ *
+ * @param {string} companyId - Company ID
+ * @param {Array} items - Receipt items [{ productId, quantity }]
+ * @param {Object} options - supplierCode, pushToSap, pedidoId (see findOpenPedidos)
+ * @returns {Promise<Array>} Per item: { productId, quantity, allocations, unallocatedQuantity }
+ */
+async function previewAllocation(companyId, items, options = {}) {
+  const plan = await planReceipt(companyId, items, { ...options, receivedAt: new Date() });
+
+  return plan.map((entry, index) => ({
+    productId: items[index].productId,
+    quantity: Number(items[index].quantity),
+    allocations: entry.allocations.map(({ pedido, line, quantity, substitution }) => ({
+      pedidoId: pedido._id,
+      orderDate: pedido.orderDate,
+      supplier: pedido.supplier,
+      docNum: pedido.sapIntegration?.docNum,
+      pedidoItemId: line._id,
+      productId: line.productId,
+      quantity,
+      substitution,
+    })),
+    unallocatedQuantity: entry.unallocatedQuantity,
+  }));
+}
+
+module.exports = {
+  findEquivalents,
+  planAllocation,
+  allocateReceipt,
+  previewAllocation,
+};
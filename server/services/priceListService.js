@@ -0,0 +1,287 @@
+/**
+ * Price List Service
+ * Negotiated prices per Centro. A price applies to one product, or to every
+ * product of a category, optionally narrowed by size (diameter and/or
+ * length from producto.specifications), between validFrom and validTo.
+ *
+ * When several prices apply to a product on a date, the most specific wins:
+ * product > category + diameter + length > category + one size > category.
+ * Two active prices with the same scope may not overlap in time.
+ *
+ * Used by:
+ * - Price lists controller (CRUD)
+ * - Consumption controller (stamp prices on items and the SAP DeliveryNote)
+ */
+const {
+  getPreciosModel,
+  getProductosModel,
+  getLocacionesModel,
+} = require('../getModel');
+
+const DEFAULT_CURRENCY = 'USD';
+
+/**
+ * Build an error with a code the controllers map to HTTP statuses
+ */
+function priceError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function userRef(user) {
+  return {
+    _id: user._id,
+    firstname: user.firstname,
+    lastname: user.lastname,
+  };
+}
+
+/**
+ * Start of the day (UTC) for validFrom
+ */
+function startOfDay(value) {
+  const date = new Date(value);
+  date.setUTCHours(0, 0, 0, 0);
+  return date;
+}
+
+/**
+ * End of the day (UTC) so validTo includes the whole day
+ */
+function endOfDay(value) {
+  const date = new Date(value);
+  date.setUTCHours(23, 59, 59, 999);
+  return date;
+}
+
+/**
+ * How specific a price is; higher wins
+ */
+function specificity(precio) {
+  if (precio.productId) return 10;
+  return 1 + (precio.diameter != null ? 1 : 0) + (precio.length != null ? 1 : 0);
+}
+
+/**
+ * Whether a price covers a product
+ */
+function appliesTo(precio, product) {
+  if (precio.productId) {
+    return precio.productId.toString() === product._id.toString();
+  }
+  if (precio.category !== product.category) return false;
+  if (precio.diameter != null && precio.diameter !== product.specifications?.diameter) return false;
+  if (precio.length != null && precio.length !== product.specifications?.length) return false;
+  return true;
+}
+
+/**
+ * Pick the price for a product among those in effect
+ * @param {Array<Object>} precios - Prices in effect at the centro on the date
+ * @param {Object} product - Producto (needs _id, category, specifications)
+ * @returns {Object|null} The winning price
+ */
+function selectPrice(precios, product) {
+  let best = null;
+  for (const precio of precios) {
+    if (!appliesTo(precio, product)) continue;
+    if (
+      !best ||
+      specificity(precio) > specificity(best) ||
+      (specificity(precio) === specificity(best) && precio.validFrom > best.validFrom)
+    ) {
+      best = precio;
+    }
+  }
+  return best;
+}
+
+/**
+ * Prices a centro pays for products on a date
+ * @param {string} companyId - Company ID
+ * @param {Object} params
+ * @param {string} params.centroId - Centro
+ * @param {Array<Object>} params.products - Productos (lean; _id, category, specifications)
+ * @param {Date} params.date - Consumption date (default now)
+ * @returns {Promise<Map<string, {price: number, currency: string, precioId: ObjectId}>>} By product ID; unpriced products are missing
+ */
+async function findPrices(companyId, { centroId, products, date = new Date() }) {
+  const Precios = await getPreciosModel(companyId);
+  const precios = await Precios.find({
+    centroId,
+    active: true,
+    validFrom: { $lte: date },
+    $or: [{ validTo: null }, { validTo: { $gte: date } }],
+  }).lean();
+
+  const prices = new Map();
+  for (const product of products) {
+    const precio = selectPrice(precios, product);
+    if (precio) {
+      prices.set(product._id.toString(), {
+        price: precio.price,
+        currency: precio.currency || DEFAULT_CURRENCY,
+        precioId: precio._id,
+      });
+    }
+  }
+  return prices;
+}
+
+/**
+ * Query for active prices with the same scope whose validity overlaps
+ */
+function overlapQuery(precio) {
+  const query = {
+    _id: { $ne: precio._id },
+    centroId: precio.centroId,
+    active: true,
+    $or: [{ validTo: null }, { validTo: { $gte: precio.validFrom } }],
+  };
+  if (precio.validTo) {
+    query.validFrom = { $lte: precio.validTo };
+  }
+
+  if (precio.productId) {
+    query.productId = precio.productId;
+  } else {
+    query.productId = null;
+    query.category = precio.category;
+    query.diameter = precio.diameter ?? null;
+    query.length = precio.length ?? null;
+  }
+  return query;
+}
+
+/**
+ * Validate a price's scope, centro and dates, and fill in names
+ * @throws {Error} INVALID or CONFLICT
+ */
+async function validatePrice(companyId, precio) {
+  if (!precio.productId && !precio.category) {
+    throw priceError('INVALID', 'Indique un producto o una categoría');
+  }
+  if (precio.validTo && precio.validTo < precio.validFrom) {
+    throw priceError('INVALID', 'La fecha final es anterior a la inicial');
+  }
+
+  const Locaciones = await getLocacionesModel(companyId);
+  const centro = await Locaciones.findById(precio.centroId).lean();
+  if (!centro || centro.type !== 'CENTRO') {
+    throw priceError('INVALID', 'Centro inválido');
+  }
+  precio.centroName = centro.name;
+
+  if (precio.productId) {
+    const Productos = await getProductosModel(companyId);
+    const product = await Productos.findById(precio.productId).lean();
+    if (!product) {
+      throw priceError('INVALID', 'Producto no encontrado');
+    }
+    precio.productName = product.name;
+    precio.category = undefined;
+    precio.diameter = undefined;
+    precio.length = undefined;
+  } else {
+    precio.productName = undefined;
+  }
+
+  const Precios = await getPreciosModel(companyId);
+  const overlapping = await Precios.findOne(overlapQuery(precio)).lean();
+  if (overlapping) {
+    throw priceError(
+      'CONFLICT',
+      `Ya existe un precio para este alcance vigente desde ${overlapping.validFrom.toISOString().split('T')[0]}`
+    );
+  }
+}
+
+/**
+ * Copy the editable fields from a request body
+ */
+function applyFields(precio, data) {
+  const fields = ['centroId', 'productId', 'category', 'diameter', 'length', 'price', 'currency', 'notes'];
+  for (const field of fields) {
+    if (data[field] !== undefined) precio[field] = data[field] === '' ? null : data[field];
+  }
+  if (data.validFrom !== undefined) precio.validFrom = startOfDay(data.validFrom);
+  if (data.validTo !== undefined) precio.validTo = data.validTo ? endOfDay(data.validTo) : null;
+}
+
+/**
+ * Create a price
+ * @param {string} companyId - Company ID
+ * @param {Object} data - Request body
+ * @param {Object} user - Creating user
+ * @returns {Promise<Object>} The price
+ * @throws {Error} INVALID or CONFLICT
+ */
+async function createPrice(companyId, data, user) {
+  const Precios = await getPreciosModel(companyId);
+  const precio = new Precios({ currency: DEFAULT_CURRENCY, createdBy: userRef(user) });
+  applyFields(precio, data);
+
+  await validatePrice(companyId, precio);
+  await precio.save();
+  return precio.toObject();
+}
+
+/**
+ * Update a price
+ * @throws {Error} NOT_FOUND, INVALID or CONFLICT
+ */
+async function updatePrice(companyId, precioId, data, user) {
+  const Precios = await getPreciosModel(companyId);
+  const precio = await Precios.findById(precioId);
+  if (!precio) {
+    throw priceError('NOT_FOUND', 'Precio no encontrado');
+  }
+
+  applyFields(precio, data);
+  precio.updatedBy = userRef(user);
+
+  await validatePrice(companyId, precio);
+  await precio.save();
+  return precio.toObject();
+}
+
+/**
+ * Deactivate a price (kept for the record; consumptions already stamped keep theirs)
+ * @throws {Error} NOT_FOUND
+ */
+async function deactivatePrice(companyId, precioId, user) {
+  const Precios = await getPreciosModel(companyId);
+  const precio = await Precios.findByIdAndUpdate(
+    precioId,
+    { $set: { active: false, updatedBy: userRef(user) } },
+    { new: true }
+  ).lean();
+  if (!precio) {
+    throw priceError('NOT_FOUND', 'Precio no encontrado');
+  }
+  return precio;
+}
+
+/**
+ * Map a price error to an HTTP response
+ * @returns {Object|null} { status, body } or null for unexpected errors
+ */
+function getErrorResponse(error) {
+  const statusByCode = {
+    NOT_FOUND: 404,
+    INVALID: 400,
+    CONFLICT: 409,
+  };
+  const status = statusByCode[error.code];
+  return status ? { status, body: { error: error.message } } : null;
+}
+
+module.exports = {
+  selectPrice,
+  findPrices,
+  createPrice,
+  updatePrice,
+  deactivatePrice,
+  getErrorResponse,
+};
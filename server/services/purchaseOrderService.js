@@ -0,0 +1,258 @@
+/**
+ * Purchase Order Service
+ * Pedidos as SAP Purchase Orders.
+ *
+ * - A pedido with a supplier code is queued in the SAP outbox as a Purchase
+ *   Order; each item remembers its PO line (sapLineNum)
+ * - Goods receipt items allocated to the pedido's lines (see
+ *   pedidoAllocationService) are sent on PurchaseDeliveryNote lines copied
+ *   from the PO lines (BaseType 22), so SAP draws down and closes the open
+ *   quantities itself. Over-delivered and substituted quantities go on lines
+ *   without a base document.
+ * - Open quantities and line status are read back from SAP on request and
+ *   kept on the pedido (sapOpenQuantity, sapLineStatus)
+ *
+ * Used by:
+ * - Pedidos controller (create, cancel, SAP status)
+ * - Goods Receipt controller (delivery note lines, closing fulfilled POs)
+ * - Pedido allocation service (pending quantities)
+ * - SAP outbox service (pedidos created before they had a Purchase Order)
+ */
+const { getPedidosModel } = require('../getModel');
+const sapService = require('./sapService');
+
+/**
+ * Build an error with a code the controllers map to HTTP statuses
+ */
+function purchaseOrderError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const toDateString = (value) => new Date(value).toISOString().split('T')[0];
+
+/**
+ * Quantity still expected on a pedido line
+ * Once SAP has been read, its open quantity caps the local one (a receipt
+ * posted directly in SAP closes quantity the app never saw).
+ */
+function pendingQuantity(item) {
+  const pending = Math.max(0, item.quantityOrdered - item.quantityReceived);
+  return item.sapOpenQuantity != null ? Math.min(pending, item.sapOpenQuantity) : pending;
+}
+
+/**
+ * Purchase Order payload for a pedido (sapService.createPurchaseOrder)
+ * Only lines still pending are ordered; their sapLineNum is set on the
+ * pedido, which the caller saves.
+ *
+ * @param {Document} pedido - Pedido document (modified)
+ * @param {Object} productMap - productId → product (with sapItemCode)
+ * @returns {Object} { cardCode, items, docDate, docDueDate, comments }
+ * @throws INVALID when the supplier or an item code is missing
+ */
+function buildPurchaseOrder(pedido, productMap) {
+  if (!pedido.supplierCode) {
+    throw purchaseOrderError('INVALID', 'El pedido no tiene código de proveedor SAP');
+  }
+
+  const lines = pedido.items.filter((item) => item.quantityOrdered > item.quantityReceived);
+  if (lines.length === 0) {
+    throw purchaseOrderError('INVALID', 'El pedido no tiene cantidades pendientes');
+  }
+
+  const items = lines.map((item, index) => {
+    const product = productMap[item.productId.toString()];
+    if (!product?.sapItemCode) {
+      throw purchaseOrderError('INVALID', `Producto "${product?.name || item.productId}" no tiene código SAP`);
+    }
+    item.sapLineNum = index;
+    return { itemCode: product.sapItemCode, quantity: item.quantityOrdered - item.quantityReceived };
+  });
+
+  return {
+    cardCode: pedido.supplierCode,
+    items,
+    docDate: toDateString(pedido.orderDate || new Date()),
+    docDueDate: toDateString(pedido.expectedArrivalDate || pedido.orderDate || new Date()),
+    comments: `Pedido desde Vasculares App${pedido.notes ? ` - ${pedido.notes}` : ''}`,
+  };
+}
+
+/**
+ * Check that a goods receipt can be posted against a pedido
+ *
+ * @param {Object} pedido - Pedido
+ * @param {Object} params
+ * @param {boolean} params.pushToSap - Whether the receipt goes to SAP
+ * @param {string} params.supplierCode - Receipt supplier code
+ * @throws INVALID for closed pedidos or another supplier, CONFLICT while the PO is not in SAP yet
+ */
+function assertReceivable(pedido, { pushToSap, supplierCode }) {
+  if (pedido.status === 'COMPLETO' || pedido.status === 'CANCELADO') {
+    throw purchaseOrderError('INVALID', 'No se puede recibir mercancía de un pedido completo o cancelado');
+  }
+  if (!pushToSap || !pedido.sapIntegration?.status) return;
+
+  if (!pedido.sapIntegration.docEntry) {
+    throw purchaseOrderError('CONFLICT', 'La orden de compra del pedido aún no está en SAP. Reintente el envío del pedido antes de recibir.');
+  }
+  if (pedido.supplierCode && supplierCode && pedido.supplierCode !== supplierCode) {
+    throw purchaseOrderError('INVALID', `El pedido es del proveedor ${pedido.supplierCode}, no de ${supplierCode}`);
+  }
+}
+
+/**
+ * PurchaseDeliveryNote items for a receipt allocated to pedidos
+ * The part of each item allocated to a Purchase Order line references it;
+ * the rest (over-delivery, substitutions, pedidos without PO) is a line for
+ * the same batch without base document.
+ *
+ * @param {Array} items - PurchaseDeliveryNote items [{ itemCode, quantity, batchNumber, expiryDate }]
+ * @param {Array} plan - From pedidoAllocationService.allocateReceipt, same order as items (none: lines are sent as they are)
+ * @returns {Array} Items for sapService.createPurchaseDeliveryNote
+ */
+function deliveryNoteItems(items, plan) {
+  return items.flatMap((item, index) => {
+    const lines = [];
+    let unbased = item.quantity;
+
+    for (const { pedido, line, quantity, substitution } of plan?.[index]?.allocations || []) {
+      const baseEntry = pedido.sapIntegration?.docEntry;
+      if (substitution || baseEntry == null || line.sapLineNum == null) continue;
+      lines.push({ ...item, quantity, baseEntry, baseLine: line.sapLineNum });
+      unbased -= quantity;
+    }
+
+    if (unbased > 0) lines.push({ ...item, quantity: unbased });
+    return lines;
+  });
+}
+
+/**
+ * Read the Purchase Order status from SAP and keep it on the pedido
+ *
+ * @param {string} companyId - Company ID
+ * @param {string} pedidoId - Pedido ID
+ * @returns {Promise<Object>} Updated pedido
+ * @throws NOT_FOUND, INVALID (no Purchase Order yet), SAP_ERROR
+ */
+async function refreshFromSap(companyId, pedidoId) {
+  const Pedidos = await getPedidosModel(companyId);
+  const pedido = await Pedidos.findOne({ _id: pedidoId, companyId });
+  if (!pedido) {
+    throw purchaseOrderError('NOT_FOUND', 'Pedido no encontrado');
+  }
+  if (!pedido.sapIntegration?.docEntry) {
+    throw purchaseOrderError('INVALID', 'El pedido no tiene orden de compra en SAP');
+  }
+
+  let purchaseOrder;
+  try {
+    purchaseOrder = await sapService.getPurchaseOrder(pedido.sapIntegration.docEntry);
+  } catch (sapError) {
+    throw purchaseOrderError('SAP_ERROR', sapError.message);
+  }
+
+  for (const item of pedido.items) {
+    const line = purchaseOrder.lines.find((l) => l.lineNum === item.sapLineNum);
+    if (!line) continue;
+    item.sapOpenQuantity = line.openQuantity;
+    item.sapLineStatus = line.status;
+  }
+  pedido.sapIntegration.documentStatus = purchaseOrder.status;
+  pedido.sapIntegration.statusCheckedAt = new Date();
+
+  await pedido.save();
+  return pedido;
+}
+
+/**
+ * Close the pedido's Purchase Order in SAP (pedido cancelled)
+ * Orders already closed in SAP are left as they are.
+ *
+ * @param {Document} pedido - Pedido document (modified, caller saves)
+ * @throws CONFLICT while the push is still queued, SAP_ERROR
+ */
+async function closeInSap(pedido) {
+  const sap = pedido.sapIntegration;
+  if (!sap?.status) return;
+
+  if (!sap.docEntry) {
+    if (sap.status === 'FAILED') return;
+    throw purchaseOrderError('CONFLICT', 'El pedido se está enviando a SAP. Intente cancelar de nuevo en unos minutos.');
+  }
+
+  try {
+    const purchaseOrder = await sapService.getPurchaseOrder(sap.docEntry);
+    if (purchaseOrder.status === 'OPEN') {
+      await sapService.closePurchaseOrder(sap.docEntry);
+    }
+  } catch (sapError) {
+    throw purchaseOrderError('SAP_ERROR', sapError.message);
+  }
+
+  sap.documentStatus = 'CLOSED';
+  sap.statusCheckedAt = new Date();
+  for (const item of pedido.items) {
+    if (item.sapLineNum != null) item.sapLineStatus = 'CLOSED';
+  }
+}
+
+/**
+ * Close the Purchase Orders of pedidos completed in the app but still open
+ * in SAP (lines filled by substitutions, which the delivery note can't
+ * reference). Failures are logged; the pedido shows the PO as still open.
+ *
+ * @param {string} companyId - Company ID
+ * @param {Array} pedidoIds - Pedidos to check
+ * @returns {Promise<Array>} Pedido IDs whose Purchase Order was closed
+ */
+async function closeFulfilled(companyId, pedidoIds) {
+  const Pedidos = await getPedidosModel(companyId);
+  const pedidos = await Pedidos.find({
+    _id: { $in: pedidoIds },
+    status: 'COMPLETO',
+    'sapIntegration.docEntry': { $exists: true },
+    'sapIntegration.documentStatus': { $ne: 'CLOSED' },
+  });
+
+  const closed = [];
+  for (const pedido of pedidos) {
+    try {
+      await closeInSap(pedido);
+      await pedido.save();
+      closed.push(pedido._id);
+    } catch (error) {
+      console.error(`Error closing Purchase Order of pedido ${pedido._id}:`, error.message);
+    }
+  }
+  return closed;
+}
+
+/**
+ * Map a purchase order error to an HTTP response
+ * @returns {Object|null} { status, body } or null for unexpected errors
+ */
+function getErrorResponse(error) {
+  const statusByCode = {
+    NOT_FOUND: 404,
+    INVALID: 400,
+    CONFLICT: 409,
+    SAP_ERROR: 502,
+  };
+  const status = statusByCode[error.code];
+  return status ? { status, body: { error: error.message } } : null;
+}
+
+module.exports = {
+  pendingQuantity,
+  buildPurchaseOrder,
+  assertReceivable,
+  deliveryNoteItems,
+  refreshFromSap,
+  closeInSap,
+  closeFulfilled,
+  getErrorResponse,
+};
@@ -17,6 +17,8 @@ const {
   getProductosModel,
   getGoodsReceiptsModel,
   getConsignacionesModel,
+  getDevolucionesModel,
+  getTrasladosModel,
   getConsumosModel,
   getExternalSapDocumentsModel,
   getReconciliationRunsModel,
@@ -353,11 +355,15 @@ async function processStockTransfers(companyId, run, since, ourItemCodes, produc
 
     run.stats.stockTransfersChecked = result.documents.length;
 
-    // Get local Consignaciones to compare
+    // Get local Consignaciones, Devoluciones and Traslados to compare (all push StockTransfers)
     const Consignaciones = await getConsignacionesModel(companyId);
-    const localDocs = await Consignaciones.find({
-      'sapIntegration.docEntry': { $exists: true },
-    }).lean();
+    const Devoluciones = await getDevolucionesModel(companyId);
+    const Traslados = await getTrasladosModel(companyId);
+    const localDocs = [
+      ...await Consignaciones.find({ 'sapIntegration.docEntry': { $exists: true } }).lean(),
+      ...await Devoluciones.find({ 'sapIntegration.docEntry': { $exists: true } }).lean(),
+      ...await Traslados.find({ 'sapIntegration.docEntry': { $exists: true } }).lean(),
+    ];
     const localDocEntries = new Set(localDocs.map(d => d.sapIntegration.docEntry));
 
     // Check each SAP document
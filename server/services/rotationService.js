@@ -0,0 +1,201 @@
+/**
+ * Rotation Service
+ * Expiry-driven rotation suggestions for stock held at centros.
+ *
+ * For every centro and product the lotes are consumed first-expiry-first at
+ * the centro's average monthly consumption (see consumptionStatsService).
+ * Units that would still be on the shelf when their lote expires are at risk
+ * and get a concrete move:
+ * - TRANSFER to another centro that consumes the product fast enough to use
+ *   them before expiry (a traslado centro → centro)
+ * - RETURN to the warehouse for whatever no centro can absorb (a devolución)
+ */
+const {
+  getLotesModel,
+  getProductosModel,
+  getLocacionesModel,
+} = require('../getModel');
+const consumptionStatsService = require('./consumptionStatsService');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const DEFAULT_HORIZON_DAYS = 180;
+
+// Days a transfer takes before the destination can start using the units
+const TRANSFER_LEAD_DAYS = 7;
+
+/**
+ * Build rotation suggestions
+ * @param {string} companyId - Company ID
+ * @param {Object} options
+ * @param {number} options.horizonDays - Only lotes expiring within this many days get suggestions (default 180)
+ * @param {string} options.centroId - Only suggest moves out of this centro
+ * @param {string} options.productId - Only this product
+ * @returns {Promise<Object>} { generatedAt, horizonDays, summary, suggestions }
+ */
+async function getRotationSuggestions(companyId, { horizonDays = DEFAULT_HORIZON_DAYS, centroId = null, productId = null } = {}) {
+  const Locaciones = await getLocacionesModel(companyId);
+  const Productos = await getProductosModel(companyId);
+  const Lotes = await getLotesModel(companyId);
+
+  const now = new Date();
+  const horizonDate = new Date(now.getTime() + horizonDays * DAY_MS);
+
+  const [centros, warehouse] = await Promise.all([
+    Locaciones.find({ type: 'CENTRO', active: true }).select('name').lean(),
+    Locaciones.findOne({ type: 'WAREHOUSE', active: true }).select('name').lean(),
+  ]);
+  const centroNames = new Map(centros.map(c => [c._id.toString(), c.name]));
+
+  // Every unexpired unit on a centro shelf: the lotes past the horizon still
+  // take their place in the consumption queue
+  const loteQuery = {
+    currentLocationId: { $in: centros.map(c => c._id) },
+    status: 'ACTIVE',
+    quantityAvailable: { $gt: 0 },
+    expiryDate: { $gt: now },
+  };
+  if (productId) loteQuery.productId = productId;
+
+  const [lotes, averages] = await Promise.all([
+    Lotes.find(loteQuery)
+      .select('productId lotNumber expiryDate quantityAvailable currentLocationId')
+      .sort({ expiryDate: 1 })
+      .lean(),
+    consumptionStatsService.getConsumptionAverages(companyId, { byCentro: true }),
+  ]);
+
+  // Daily consumption rate per "productId:centroId"
+  const dailyRates = new Map();
+  averages.forEach((avg) => {
+    const key = `${avg._id.productId}:${avg._id.centroId}`;
+    dailyRates.set(key, avg.avgMonthlyConsumption / 30);
+  });
+  const rateOf = (prodId, locId) => dailyRates.get(`${prodId}:${locId}`) || 0;
+
+  const daysUntil = (date) => (new Date(date).getTime() - now.getTime()) / DAY_MS;
+
+  // Group lotes per product and centro (already sorted by expiry)
+  const queues = new Map();
+  lotes.forEach((lote) => {
+    const key = `${lote.productId}:${lote.currentLocationId}`;
+    if (!queues.has(key)) queues.set(key, []);
+    queues.get(key).push(lote);
+  });
+
+  // Pass 1: units each lote will not consume before it expires
+  const atRisk = [];
+  queues.forEach((queue) => {
+    const prodId = queue[0].productId.toString();
+    const locId = queue[0].currentLocationId.toString();
+    const rate = rateOf(prodId, locId);
+    let absorbed = 0;
+
+    queue.forEach((lote) => {
+      const demand = rate * daysUntil(lote.expiryDate);
+      const consumable = Math.max(0, Math.min(lote.quantityAvailable, Math.floor(demand - absorbed)));
+      absorbed += consumable;
+
+      const quantityAtRisk = lote.quantityAvailable - consumable;
+      if (quantityAtRisk <= 0 || lote.expiryDate > horizonDate) return;
+      if (centroId && locId !== centroId.toString()) return;
+
+      atRisk.push({ lote, prodId, locId, rate, projectedConsumption: consumable, quantityAtRisk });
+    });
+  });
+
+  // Pass 2: place the at-risk units, earliest expiry first so every placement
+  // sits ahead of the later ones in the destination's queue
+  atRisk.sort((a, b) => a.lote.expiryDate - b.lote.expiryDate);
+
+  const placed = new Map(); // "productId:centroId" -> [{ expiryDate, quantity }]
+  const unitsAhead = (prodId, locId, expiryDate) => {
+    const own = (queues.get(`${prodId}:${locId}`) || [])
+      .filter(l => l.expiryDate <= expiryDate)
+      .reduce((sum, l) => sum + l.quantityAvailable, 0);
+    const incoming = (placed.get(`${prodId}:${locId}`) || [])
+      .reduce((sum, p) => sum + p.quantity, 0);
+    return own + incoming;
+  };
+
+  const productIds = [...new Set(atRisk.map(r => r.prodId))];
+  const products = await Productos.find({ _id: { $in: productIds } }).select('name code').lean();
+  const productMap = new Map(products.map(p => [p._id.toString(), p]));
+
+  const suggestions = [];
+  atRisk.forEach((risk) => {
+    const { lote, prodId, locId } = risk;
+    const daysToExpiry = Math.floor(daysUntil(lote.expiryDate));
+    const base = {
+      loteId: lote._id,
+      lotNumber: lote.lotNumber,
+      expiryDate: lote.expiryDate,
+      daysToExpiry,
+      product: productMap.get(prodId) || { _id: lote.productId },
+      from: { _id: lote.currentLocationId, name: centroNames.get(locId) },
+      quantityAvailable: lote.quantityAvailable,
+      quantityAtRisk: risk.quantityAtRisk,
+      projectedConsumption: risk.projectedConsumption,
+      avgMonthlyConsumption: Math.round(risk.rate * 30 * 100) / 100,
+    };
+
+    let remaining = risk.quantityAtRisk;
+    const usableDays = daysUntil(lote.expiryDate) - TRANSFER_LEAD_DAYS;
+
+    // Highest-consuming centros first
+    const destinations = centros
+      .map(c => ({ centro: c, rate: rateOf(prodId, c._id.toString()) }))
+      .filter(d => d.centro._id.toString() !== locId && d.rate > 0)
+      .sort((a, b) => b.rate - a.rate);
+
+    for (const { centro, rate } of destinations) {
+      if (remaining <= 0 || usableDays <= 0) break;
+
+      const destId = centro._id.toString();
+      const headroom = Math.floor(rate * usableDays) - unitsAhead(prodId, destId, lote.expiryDate);
+      const quantity = Math.min(remaining, headroom);
+      if (quantity <= 0) continue;
+
+      const key = `${prodId}:${destId}`;
+      if (!placed.has(key)) placed.set(key, []);
+      placed.get(key).push({ expiryDate: lote.expiryDate, quantity });
+      remaining -= quantity;
+
+      suggestions.push({
+        ...base,
+        action: 'TRANSFER',
+        to: { _id: centro._id, name: centro.name },
+        quantity,
+        destinationAvgMonthlyConsumption: Math.round(rate * 30 * 100) / 100,
+      });
+    }
+
+    if (remaining > 0 && warehouse) {
+      suggestions.push({
+        ...base,
+        action: 'RETURN',
+        to: { _id: warehouse._id, name: warehouse.name },
+        quantity: remaining,
+      });
+    }
+  });
+
+  const sumBy = (action) => suggestions
+    .filter(s => s.action === action)
+    .reduce((sum, s) => sum + s.quantity, 0);
+
+  return {
+    generatedAt: now,
+    horizonDays,
+    summary: {
+      lotesAtRisk: atRisk.length,
+      unitsAtRisk: atRisk.reduce((sum, r) => sum + r.quantityAtRisk, 0),
+      unitsToTransfer: sumBy('TRANSFER'),
+      unitsToReturn: sumBy('RETURN'),
+    },
+    suggestions,
+  };
+}
+
+module.exports = {
+  getRotationSuggestions,
+};
@@ -0,0 +1,784 @@
+/**
+ * SAP Outbox Service
+ * Transactional outbox for SAP document pushes.
+ *
+ * Controllers enqueue the SAP document in the same Mongo transaction as the
+ * local change, so a document is never saved without its push (or pushed
+ * without being saved). Delivery happens right after commit and, on failure,
+ * from the outbox worker with exponential backoff until the entry is sent or
+ * moved to the dead letter state.
+ *
+ * Idempotency: every entry has a unique key written into the SAP document
+ * Comments. Before re-sending an entry that was already attempted, SAP is
+ * searched for that key so a push whose response was lost is not duplicated.
+ *
+ * Used by:
+ * - Ajustes service (InventoryGenExit/InventoryGenEntry for ajustes and conteos)
+ * - Consignaciones controller (StockTransfer)
+ * - Consumption controller (DeliveryNote)
+ * - Devoluciones controller (StockTransfer)
+ * - Goods Receipt controller (PurchaseDeliveryNote)
+ * - Pedidos controller (PurchaseOrder)
+ * - Traslados controller (StockTransfer)
+ * - SAP outbox worker (jobs/sapOutboxWorker.js)
+ */
+const mongoose = require('mongoose');
+const {
+  getSapOutboxModel,
+  getAjustesModel,
+  getConsignacionesModel,
+  getConsumosModel,
+  getDevolucionesModel,
+  getGoodsReceiptsModel,
+  getPedidosModel,
+  getTrasladosModel,
+  getTransaccionesModel,
+  getLocacionesModel,
+  getLotesModel,
+  getProductosModel,
+} = require('../getModel');
+const sapService = require('./sapService');
+const documentStoreService = require('./documentStoreService');
+const purchaseOrderService = require('./purchaseOrderService');
+const notificationService = require('./notificationService');
+
+const DEFAULT_MAX_ATTEMPTS = parseInt(process.env.SAP_OUTBOX_MAX_ATTEMPTS) || 8;
+const BASE_DELAY_MS = parseInt(process.env.SAP_OUTBOX_BASE_DELAY_MS) || 60 * 1000; // 1 min
+const MAX_DELAY_MS = 60 * 60 * 1000; // 1 hour
+// Longer than a SAP request timeout, so a live attempt is never released
+const LOCK_TIMEOUT_MS = 5 * 60 * 1000;
+// SAP Comments field limit
+const MAX_COMMENTS_LENGTH = 254;
+
+// SAP entity set and create function per document type
+const DOCUMENT_HANDLERS = {
+  StockTransfer: {
+    entitySet: 'StockTransfers',
+    create: (payload) => sapService.createStockTransfer(payload),
+  },
+  DeliveryNote: {
+    entitySet: 'DeliveryNotes',
+    create: (payload) => sapService.createDeliveryNote(payload),
+  },
+  PurchaseDeliveryNote: {
+    entitySet: 'PurchaseDeliveryNotes',
+    create: (payload) => sapService.createPurchaseDeliveryNote(payload),
+  },
+  PurchaseOrder: {
+    entitySet: 'PurchaseOrders',
+    create: (payload) => sapService.createPurchaseOrder(payload),
+  },
+  InventoryGenExit: {
+    entitySet: 'InventoryGenExits',
+    create: (payload) => sapService.createInventoryGenExit(payload),
+  },
+  InventoryGenEntry: {
+    entitySet: 'InventoryGenEntries',
+    create: (payload) => sapService.createInventoryGenEntry(payload),
+  },
+};
+
+// Local source documents and the field that carries their sync status
+const SOURCE_MODELS = {
+  ajustes: { getModel: getAjustesModel, statusField: 'sapIntegration.status' },
+  consignaciones: { getModel: getConsignacionesModel, statusField: 'sapIntegration.status' },
+  consumos: { getModel: getConsumosModel, statusField: 'status' },
+  devoluciones: { getModel: getDevolucionesModel, statusField: 'sapIntegration.status' },
+  goodsreceipts: { getModel: getGoodsReceiptsModel, statusField: 'sapIntegration.status' },
+  pedidos: { getModel: getPedidosModel, statusField: 'sapIntegration.status' },
+  traslados: { getModel: getTrasladosModel, statusField: 'sapIntegration.status' },
+};
+
+/**
+ * Build an error with a code the controllers map to HTTP statuses
+ */
+function outboxError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+/**
+ * Append the idempotency key to the SAP Comments, keeping within SAP's limit
+ */
+function withIdempotencyKey(comments, idempotencyKey) {
+  const suffix = ` [${idempotencyKey}]`;
+  const base = (comments || '').slice(0, MAX_COMMENTS_LENGTH - suffix.length);
+  return `${base}${suffix}`;
+}
+
+/**
+ * Exponential backoff with jitter: 1m, 2m, 4m, ... capped at 1h
+ * @param {number} attempts - Attempts made so far (>= 1)
+ * @returns {number} Delay in milliseconds
+ */
+function getBackoffDelay(attempts) {
+  const delay = Math.min(BASE_DELAY_MS * 2 ** Math.max(attempts - 1, 0), MAX_DELAY_MS);
+  return delay + Math.floor(Math.random() * delay * 0.1);
+}
+
+/**
+ * Enqueue a SAP document push
+ * Call inside the Mongo transaction that saves the source document.
+ *
+ * @param {string} companyId - Company ID
+ * @param {Object} params
+ * @param {string} params.documentType - 'StockTransfer' | 'DeliveryNote' | 'PurchaseDeliveryNote' | 'PurchaseOrder' | 'InventoryGenExit' | 'InventoryGenEntry'
+ * @param {string} params.sourceModel - 'ajustes' | 'consignaciones' | 'consumos' | 'devoluciones' | 'goodsreceipts' | 'pedidos' | 'traslados'
+ * @param {ObjectId} params.sourceId - Source document ID
+ * @param {Array<ObjectId>} params.transactionIds - Audit transactions to stamp with the SAP doc
+ * @param {Object} params.payload - Arguments for the sapService create function
+ * @param {Object} params.user - User stamp
+ * @param {Object} session - MongoDB session
+ * @returns {Promise<Object>} Outbox entry
+ */
+async function enqueue(companyId, { documentType, sourceModel, sourceId, transactionIds = [], payload, user }, session = null) {
+  if (!DOCUMENT_HANDLERS[documentType]) {
+    throw new Error(`Tipo de documento SAP no soportado: ${documentType}`);
+  }
+
+  const SapOutbox = await getSapOutboxModel(companyId);
+
+  const _id = new mongoose.Types.ObjectId();
+  const idempotencyKey = `VSC-${_id}`;
+
+  const entry = new SapOutbox({
+    _id,
+    documentType,
+    source: {
+      model: sourceModel,
+      id: sourceId,
+      transactionIds,
+    },
+    payload: {
+      ...payload,
+      comments: withIdempotencyKey(payload.comments, idempotencyKey),
+    },
+    idempotencyKey,
+    maxAttempts: DEFAULT_MAX_ATTEMPTS,
+    createdBy: user ? {
+      _id: user._id,
+      firstname: user.firstname,
+      lastname: user.lastname,
+      email: user.email,
+    } : undefined,
+  });
+
+  await entry.save({ session });
+  return entry;
+}
+
+/**
+ * Copy the delivery outcome onto the source document and its transactions
+ */
+async function applyResultToSource(companyId, entry, { success, docEntry, docNum, error, dead }) {
+  const source = SOURCE_MODELS[entry.source.model];
+  const Model = await source.getModel(companyId);
+  const handler = DOCUMENT_HANDLERS[entry.documentType];
+
+  if (success) {
+    await Model.findByIdAndUpdate(entry.source.id, {
+      $set: {
+        [source.statusField]: 'SYNCED',
+        'sapIntegration.pushed': true,
+        'sapIntegration.docEntry': docEntry,
+        'sapIntegration.docNum': docNum,
+        'sapIntegration.docType': handler.entitySet,
+        'sapIntegration.syncDate': new Date(),
+        'sapIntegration.error': null,
+      },
+    });
+
+    if (entry.source.transactionIds?.length > 0) {
+      const Transacciones = await getTransaccionesModel(companyId);
+      await Transacciones.updateMany(
+        { _id: { $in: entry.source.transactionIds } },
+        {
+          $set: {
+            'sapIntegration.pushed': true,
+            'sapIntegration.docEntry': docEntry,
+            'sapIntegration.docNum': docNum,
+            'sapIntegration.docType': handler.entitySet,
+            'sapIntegration.syncDate': new Date(),
+            'sapIntegration.error': null,
+          },
+        }
+      );
+    }
+    return;
+  }
+
+  // Still queued: RETRYING. Dead letter: FAILED until an admin requeues it.
+  await Model.findByIdAndUpdate(entry.source.id, {
+    $set: {
+      [source.statusField]: dead ? 'FAILED' : 'RETRYING',
+      'sapIntegration.pushed': false,
+      'sapIntegration.syncDate': new Date(),
+      'sapIntegration.error': error,
+    },
+  });
+}
+
+/**
+ * Push a claimed (PROCESSING) entry to SAP and record the outcome
+ * @returns {Promise<Object>} { success, sapDocEntry, sapDocNum, recovered } or
+ *   { success: false, error, dead, nextAttemptAt }
+ */
+async function processClaimed(companyId, entry) {
+  const SapOutbox = await getSapOutboxModel(companyId);
+  const handler = DOCUMENT_HANDLERS[entry.documentType];
+
+  let sapDoc = null;
+  let recovered = false;
+
+  try {
+    // A previous attempt may have reached SAP even though its response was lost
+    if (entry.attempts > 1) {
+      sapDoc = await sapService.findDocumentByComment(handler.entitySet, entry.idempotencyKey);
+      recovered = !!sapDoc;
+    }
+
+    if (!sapDoc) {
+      sapDoc = await handler.create(entry.payload);
+    }
+  } catch (sapError) {
+    const now = new Date();
+    const dead = entry.attempts >= entry.maxAttempts;
+    const nextAttemptAt = dead ? null : new Date(now.getTime() + getBackoffDelay(entry.attempts));
+
+    console.error(`[SapOutbox] ${entry.documentType} ${entry.idempotencyKey} attempt ${entry.attempts} failed:`, sapError.message);
+
+    await SapOutbox.updateOne(
+      { _id: entry._id },
+      {
+        $set: {
+          status: dead ? 'DEAD' : 'PENDING',
+          lockedAt: null,
+          lastAttemptAt: now,
+          lastError: sapError.message,
+          nextAttemptAt,
+        },
+        $push: { attemptLog: { $each: [{ at: now, success: false, error: sapError.message }], $slice: -20 } },
+      }
+    );
+    await applyResultToSource(companyId, entry, { success: false, error: sapError.message, dead });
+    if (dead) {
+      // Not awaited: the worker and the request go on while the mail is sent
+      notificationService.notifySapPushFailed(companyId, entry, sapError.message);
+    }
+
+    return { success: false, error: sapError.message, dead, nextAttemptAt };
+  }
+
+  const now = new Date();
+  await SapOutbox.updateOne(
+    { _id: entry._id },
+    {
+      $set: {
+        status: 'SENT',
+        lockedAt: null,
+        lastAttemptAt: now,
+        lastError: null,
+        nextAttemptAt: null,
+        result: { docEntry: sapDoc.DocEntry, docNum: sapDoc.DocNum, sentAt: now },
+      },
+      $push: { attemptLog: { $each: [{ at: now, success: true, recovered }], $slice: -20 } },
+    }
+  );
+  await applyResultToSource(companyId, entry, { success: true, docEntry: sapDoc.DocEntry, docNum: sapDoc.DocNum });
+
+  // Source documents (packing list, consumption form) follow the SAP document.
+  // A failure is recorded on the source and retried from its history page.
+  if (documentStoreService.SOURCE_MODELS.includes(entry.source.model)) {
+    await documentStoreService.attachToSap(companyId, entry.source.model, entry.source.id).catch((error) => {
+      console.error(`[SapOutbox] Attaching documents for ${entry.idempotencyKey} failed:`, error.message);
+    });
+  }
+
+  if (recovered) {
+    console.log(`[SapOutbox] ${entry.idempotencyKey} already in SAP as DocNum ${sapDoc.DocNum}, not re-sent`);
+  }
+
+  return {
+    success: true,
+    sapDocEntry: sapDoc.DocEntry,
+    sapDocNum: sapDoc.DocNum,
+    sapDocType: handler.entitySet,
+    recovered,
+  };
+}
+
+/**
+ * Deliver a single entry now (used right after the local commit)
+ * Skips entries that are not PENDING (already sent, or being delivered by the worker).
+ *
+ * @param {string} companyId - Company ID
+ * @param {ObjectId} entryId - Outbox entry ID
+ * @returns {Promise<Object|null>} Delivery result, or null if the entry could not be claimed
+ */
+async function deliver(companyId, entryId) {
+  const SapOutbox = await getSapOutboxModel(companyId);
+
+  const entry = await SapOutbox.findOneAndUpdate(
+    { _id: entryId, status: 'PENDING' },
+    { $set: { status: 'PROCESSING', lockedAt: new Date() }, $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!entry) return null;
+
+  return processClaimed(companyId, entry);
+}
+
+/**
+ * Deliver an entry right after the local commit
+ * Never throws: the local change is already saved, and anything not delivered
+ * stays queued for the worker.
+ *
+ * @param {string} companyId - Company ID
+ * @param {Object|null} entry - Entry returned by enqueue (null = nothing to push)
+ * @returns {Promise<Object|null>} Delivery result with `queued: true` when left for the worker
+ */
+async function deliverAfterCommit(companyId, entry) {
+  if (!entry) return null;
+
+  try {
+    const result = await deliver(companyId, entry._id);
+    if (!result) return { success: false, queued: true };
+    return result.success ? result : { ...result, queued: !result.dead };
+  } catch (error) {
+    console.error(`[SapOutbox] Immediate delivery of ${entry.idempotencyKey} failed:`, error.message);
+    return { success: false, queued: true, error: error.message };
+  }
+}
+
+/**
+ * Deliver every due entry for a company (worker tick)
+ * @param {string} companyId - Company ID
+ * @param {Object} options
+ * @param {number} options.limit - Max entries to process in this run
+ * @returns {Promise<Object>} { processed, sent, failed, released }
+ */
+async function processDue(companyId, { limit = 20 } = {}) {
+  const SapOutbox = await getSapOutboxModel(companyId);
+
+  // Release entries stuck in PROCESSING (server stopped mid-push).
+  // Their next attempt checks SAP for the idempotency key first.
+  const released = await SapOutbox.updateMany(
+    { status: 'PROCESSING', lockedAt: { $lt: new Date(Date.now() - LOCK_TIMEOUT_MS) } },
+    { $set: { status: 'PENDING', lockedAt: null, nextAttemptAt: new Date() } }
+  );
+
+  const stats = { processed: 0, sent: 0, failed: 0, released: released.modifiedCount || 0 };
+
+  while (stats.processed < limit) {
+    const now = new Date();
+    const entry = await SapOutbox.findOneAndUpdate(
+      { status: 'PENDING', nextAttemptAt: { $lte: now } },
+      { $set: { status: 'PROCESSING', lockedAt: now }, $inc: { attempts: 1 } },
+      { new: true, sort: { nextAttemptAt: 1 } }
+    );
+    if (!entry) break;
+
+    const result = await processClaimed(companyId, entry);
+    stats.processed++;
+    if (result.success) {
+      stats.sent++;
+    } else {
+      stats.failed++;
+    }
+  }
+
+  return stats;
+}
+
+/**
+ * Put a PENDING or DEAD entry back at the front of the queue with a fresh attempt budget
+ * @param {string} companyId - Company ID
+ * @param {ObjectId} entryId - Outbox entry ID
+ * @param {Object} user - User requeuing the entry
+ * @returns {Promise<Object>} Updated entry
+ */
+async function requeue(companyId, entryId, user) {
+  const SapOutbox = await getSapOutboxModel(companyId);
+
+  const entry = await SapOutbox.findById(entryId);
+  if (!entry) {
+    throw outboxError('NOT_FOUND', 'Entrada de la cola SAP no encontrada');
+  }
+  if (entry.status === 'SENT') {
+    throw outboxError('ALREADY_SENT', `El documento ya fue enviado a SAP (DocNum ${entry.result?.docNum})`);
+  }
+  if (entry.status === 'PROCESSING') {
+    throw outboxError('IN_PROGRESS', 'El documento se está enviando a SAP en este momento');
+  }
+
+  const updated = await SapOutbox.findOneAndUpdate(
+    { _id: entryId, status: entry.status, attempts: entry.attempts },
+    {
+      $set: {
+        status: 'PENDING',
+        nextAttemptAt: new Date(),
+        maxAttempts: entry.attempts + DEFAULT_MAX_ATTEMPTS,
+        requeuedAt: new Date(),
+        requeuedBy: {
+          _id: user._id,
+          firstname: user.firstname,
+          lastname: user.lastname,
+          email: user.email,
+        },
+      },
+    },
+    { new: true }
+  );
+  if (!updated) {
+    throw outboxError('IN_PROGRESS', 'El documento se está enviando a SAP en este momento');
+  }
+
+  if (entry.status === 'DEAD') {
+    const source = SOURCE_MODELS[entry.source.model];
+    const Model = await source.getModel(companyId);
+    await Model.findByIdAndUpdate(entry.source.id, { $set: { [source.statusField]: 'RETRYING' } });
+  }
+
+  return updated;
+}
+
+/**
+ * Build an outbox entry for a document saved before the outbox existed
+ * (FAILED documents whose push was never queued), or for a pedido saved
+ * without a Purchase Order. Nothing is saved here.
+ *
+ * @returns {Promise<Object>} { documentType, payload, transactionIds, sourceUpdate }
+ *   sourceUpdate: extra fields to $set on the source when the entry is enqueued
+ */
+async function buildLegacyEntry(companyId, sourceModel, doc) {
+  const Productos = await getProductosModel(companyId);
+  const Locaciones = await getLocacionesModel(companyId);
+  const docDate = doc.createdAt ? new Date(doc.createdAt).toISOString().split('T')[0] : undefined;
+
+  if (sourceModel === 'ajustes') {
+    if (doc.status !== 'APLICADO') {
+      throw outboxError('INVALID', 'Solo los ajustes aplicados se envían a SAP');
+    }
+
+    const location = await Locaciones.findById(doc.locationId).lean();
+    if (!location?.sapIntegration?.warehouseCode) {
+      throw outboxError('INVALID', 'Configuración SAP incompleta para la locación');
+    }
+    const product = await Productos.findById(doc.productId).lean();
+    if (!product?.sapItemCode) {
+      throw outboxError('INVALID', 'El producto no tiene código SAP');
+    }
+    const Lotes = await getLotesModel(companyId);
+    const lote = await Lotes.findById(doc.loteId).lean();
+
+    return {
+      documentType: doc.direction === 'OUT' ? 'InventoryGenExit' : 'InventoryGenEntry',
+      payload: {
+        warehouseCode: location.sapIntegration.warehouseCode,
+        binAbsEntry: location.sapIntegration.binAbsEntry || null,
+        items: [{
+          itemCode: product.sapItemCode,
+          quantity: doc.quantity,
+          batchNumber: doc.lotNumber,
+          expiryDate: lote?.expiryDate,
+        }],
+        comments: `Ajuste Vasculares (${doc.reason}) - ${location.name}`,
+        docDate: doc.appliedAt ? new Date(doc.appliedAt).toISOString().split('T')[0] : docDate,
+      },
+      transactionIds: doc.transaccionId ? [doc.transaccionId] : [],
+    };
+  }
+
+  if (sourceModel === 'consignaciones') {
+    const fromLocation = await Locaciones.findById(doc.fromLocationId).lean();
+    const toLocation = await Locaciones.findById(doc.toLocationId).lean();
+    if (!fromLocation?.sapIntegration?.warehouseCode || !toLocation?.sapIntegration?.warehouseCode) {
+      throw outboxError('INVALID', 'Configuración SAP incompleta para las locaciones');
+    }
+
+    const items = [];
+    for (const item of doc.items) {
+      const product = await Productos.findById(item.productId).lean();
+      if (product?.sapItemCode) {
+        items.push({ itemCode: product.sapItemCode, quantity: item.quantitySent, batchNumber: item.lotNumber });
+      }
+    }
+    if (items.length === 0) {
+      throw outboxError('INVALID', 'No hay productos con código SAP para transferir');
+    }
+
+    return {
+      documentType: 'StockTransfer',
+      payload: {
+        fromWarehouse: fromLocation.sapIntegration.warehouseCode,
+        toWarehouse: toLocation.sapIntegration.warehouseCode,
+        toBinAbsEntry: toLocation.sapIntegration.binAbsEntry,
+        items,
+        comments: `Consignación Vasculares - ${toLocation.name}`,
+        docDate,
+        cardCode: toLocation.sapIntegration.cardCode || undefined,
+      },
+      transactionIds: [],
+    };
+  }
+
+  if (sourceModel === 'devoluciones') {
+    const fromLocation = await Locaciones.findById(doc.fromLocationId).lean();
+    const toLocation = await Locaciones.findById(doc.toLocationId).lean();
+    if (!fromLocation?.sapIntegration?.warehouseCode || !toLocation?.sapIntegration?.warehouseCode) {
+      throw outboxError('INVALID', 'Configuración SAP incompleta para las locaciones');
+    }
+
+    const items = [];
+    for (const item of doc.items) {
+      const product = await Productos.findById(item.productId).lean();
+      if (product?.sapItemCode) {
+        items.push({ itemCode: product.sapItemCode, quantity: item.quantitySent, batchNumber: item.lotNumber });
+      }
+    }
+    if (items.length === 0) {
+      throw outboxError('INVALID', 'No hay productos con código SAP para transferir');
+    }
+
+    return {
+      documentType: 'StockTransfer',
+      payload: {
+        fromWarehouse: fromLocation.sapIntegration.warehouseCode,
+        fromBinAbsEntry: fromLocation.sapIntegration.binAbsEntry,
+        toWarehouse: toLocation.sapIntegration.warehouseCode,
+        items,
+        comments: `Devolución Vasculares - ${fromLocation.name}`,
+        docDate,
+        cardCode: fromLocation.sapIntegration.cardCode || undefined,
+      },
+      transactionIds: [],
+    };
+  }
+
+  if (sourceModel === 'traslados') {
+    const fromLocation = await Locaciones.findById(doc.fromLocationId).lean();
+    const toLocation = await Locaciones.findById(doc.toLocationId).lean();
+    if (!fromLocation?.sapIntegration?.binAbsEntry || !toLocation?.sapIntegration?.binAbsEntry) {
+      throw outboxError('INVALID', 'Ambos centros deben tener una ubicación (bin) SAP configurada');
+    }
+
+    const items = [];
+    for (const item of doc.items) {
+      const product = await Productos.findById(item.productId).lean();
+      if (product?.sapItemCode) {
+        items.push({ itemCode: product.sapItemCode, quantity: item.quantity, batchNumber: item.lotNumber });
+      }
+    }
+    if (items.length === 0) {
+      throw outboxError('INVALID', 'No hay productos con código SAP para transferir');
+    }
+
+    return {
+      documentType: 'StockTransfer',
+      payload: {
+        fromWarehouse: fromLocation.sapIntegration.warehouseCode,
+        fromBinAbsEntry: fromLocation.sapIntegration.binAbsEntry,
+        toWarehouse: toLocation.sapIntegration.warehouseCode,
+        toBinAbsEntry: toLocation.sapIntegration.binAbsEntry,
+        items,
+        comments: `Traslado Vasculares - ${fromLocation.name} → ${toLocation.name}`,
+        docDate,
+        cardCode: toLocation.sapIntegration.cardCode || undefined,
+      },
+      transactionIds: [],
+    };
+  }
+
+  if (sourceModel === 'consumos') {
+    const centro = await Locaciones.findById(doc.centroId).lean();
+    if (!centro?.sapIntegration?.cardCode) {
+      throw outboxError('INVALID', 'El Centro no tiene cliente SAP configurado');
+    }
+
+    const commentParts = [];
+    if (doc.patientName) commentParts.push(`Px: ${doc.patientName}`);
+    if (doc.doctorName) commentParts.push(`Dr: ${doc.doctorName}`);
+    if (doc.procedureDate) commentParts.push(`Fecha: ${new Date(doc.procedureDate).toLocaleDateString('es-DO')}`);
+    commentParts.push(`Consignación: ${centro.name}`);
+
+    return {
+      documentType: 'DeliveryNote',
+      payload: {
+        cardCode: centro.sapIntegration.cardCode,
+        cardName: centro.sapIntegration.cardName || centro.name,
+        warehouseCode: centro.sapIntegration.warehouseCode || '10',
+        binAbsEntry: centro.sapIntegration.binAbsEntry || null,
+        items: doc.items.map(item => ({
+          itemCode: item.sapItemCode,
+          quantity: item.quantity,
+          batchNumber: item.lotNumber,
+          price: item.price,
+          currency: item.currency || 'USD',
+        })),
+        comments: commentParts.join('\n'),
+        doctorName: doc.doctorName || null,
+        docDate: doc.consumptionDate ? new Date(doc.consumptionDate).toISOString().split('T')[0] : docDate,
+        procedureDate: doc.procedureDate || undefined,
+        patientName: doc.patientName || undefined,
+      },
+      transactionIds: [],
+    };
+  }
+
+  if (sourceModel === 'pedidos') {
+    if (doc.status === 'COMPLETO' || doc.status === 'CANCELADO') {
+      throw outboxError('INVALID', 'Solo los pedidos abiertos se envían a SAP');
+    }
+
+    // buildPurchaseOrder sets each pending item's sapLineNum - work on a copy
+    const pedido = { ...doc, items: doc.items.map(item => ({ ...item })) };
+    const products = await Productos.find({ _id: { $in: pedido.items.map(i => i.productId) } }).lean();
+    const productMap = Object.fromEntries(products.map(p => [p._id.toString(), p]));
+
+    let payload;
+    try {
+      payload = purchaseOrderService.buildPurchaseOrder(pedido, productMap);
+    } catch (error) {
+      throw outboxError('INVALID', error.message);
+    }
+
+    // The PO line of each ordered item, saved with the entry
+    const sourceUpdate = {};
+    pedido.items.forEach((item, index) => {
+      if (item.sapLineNum !== undefined) {
+        sourceUpdate[`items.${index}.sapLineNum`] = item.sapLineNum;
+      }
+    });
+
+    return { documentType: 'PurchaseOrder', payload, transactionIds: [], sourceUpdate };
+  }
+
+  // goodsreceipts
+  if (!doc.supplierCode) {
+    throw outboxError('INVALID', 'Supplier code is required for SAP integration');
+  }
+  const missing = doc.items.filter(item => !item.sapItemCode);
+  if (missing.length > 0) {
+    throw outboxError('INVALID', `${missing.length} producto(s) sin código SAP`);
+  }
+
+  return {
+    documentType: 'PurchaseDeliveryNote',
+    payload: {
+      cardCode: doc.supplierCode,
+      warehouseCode: doc.sapWarehouseCode || '01',
+      items: doc.items.map(item => ({
+        itemCode: item.sapItemCode,
+        quantity: item.quantity,
+        batchNumber: item.lotNumber,
+        expiryDate: item.expiryDate,
+      })),
+      comments: `Entrada desde Vasculares App${doc.notes ? ` - ${doc.notes}` : ''}`,
+      docDate,
+    },
+    transactionIds: doc.items.map(i => i.transactionId).filter(Boolean),
+  };
+}
+
+/**
+ * Retry the SAP push of a source document now
+ * Requeues its outbox entry (or queues documents from before the outbox) and delivers it.
+ *
+ * @param {string} companyId - Company ID
+ * @param {string} sourceModel - 'ajustes' | 'consignaciones' | 'consumos' | 'devoluciones' | 'goodsreceipts' | 'pedidos' | 'traslados'
+ * @param {ObjectId} sourceId - Source document ID
+ * @param {Object} user - User requesting the retry
+ * @returns {Promise<Object>} { entry, sapResult }
+ */
+async function retrySource(companyId, sourceModel, sourceId, user) {
+  const SapOutbox = await getSapOutboxModel(companyId);
+  const Model = await SOURCE_MODELS[sourceModel].getModel(companyId);
+
+  const doc = await Model.findById(sourceId).lean();
+  if (!doc) {
+    throw outboxError('NOT_FOUND', 'Documento no encontrado');
+  }
+  if (doc.sapIntegration?.pushed) {
+    throw outboxError('ALREADY_SENT', `Este documento ya está sincronizado con SAP (DocNum ${doc.sapIntegration.docNum})`);
+  }
+
+  let entry = await SapOutbox.findOne({ 'source.model': sourceModel, 'source.id': sourceId }).sort({ createdAt: -1 });
+
+  if (entry) {
+    entry = await requeue(companyId, entry._id, user);
+  } else {
+    const { sourceUpdate, ...legacy } = await buildLegacyEntry(companyId, sourceModel, doc);
+
+    // Queue the entry and mark the source PENDING together
+    const session = await mongoose.startSession();
+    session.startTransaction();
+    try {
+      entry = await enqueue(companyId, {
+        ...legacy,
+        sourceModel,
+        sourceId,
+        user,
+      }, session);
+      await Model.updateOne(
+        { _id: sourceId },
+        { $set: { [SOURCE_MODELS[sourceModel].statusField]: 'PENDING', ...sourceUpdate } },
+        { session }
+      );
+      await session.commitTransaction();
+    } catch (error) {
+      await session.abortTransaction();
+      throw error;
+    } finally {
+      session.endSession();
+    }
+  }
+
+  const sapResult = await deliver(companyId, entry._id);
+  const updated = await SapOutbox.findById(entry._id).lean();
+
+  return { entry: updated, sapResult };
+}
+
+/**
+ * Queue counts by status (admin page summary)
+ */
+async function getStats(companyId) {
+  const SapOutbox = await getSapOutboxModel(companyId);
+  const counts = await SapOutbox.aggregate([
+    { $group: { _id: '$status', count: { $sum: 1 } } },
+  ]);
+
+  const stats = { PENDING: 0, PROCESSING: 0, SENT: 0, DEAD: 0 };
+  counts.forEach(c => {
+    stats[c._id] = c.count;
+  });
+  return stats;
+}
+
+/**
+ * Map an outbox error to an HTTP response
+ * @returns {Object|null} { status, body } or null for unexpected errors
+ */
+function getErrorResponse(error) {
+  const statusByCode = {
+    NOT_FOUND: 404,
+    ALREADY_SENT: 400,
+    IN_PROGRESS: 409,
+    INVALID: 400,
+  };
+  const status = statusByCode[error.code];
+  return status ? { status, body: { error: error.message } } : null;
+}
+
+module.exports = {
+  enqueue,
+  deliver,
+  deliverAfterCommit,
+  processDue,
+  requeue,
+  retrySource,
+  getStats,
+  getErrorResponse,
+  getBackoffDelay,
+};
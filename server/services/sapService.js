@@ -35,6 +35,9 @@ const REQUEST_TIMEOUT_MS = 30000; // 30 seconds
 // Debug mode - only log sensitive data when explicitly enabled
 const DEBUG_SAP = process.env.DEBUG_SAP === 'true';
 
+// SAP object type of Purchase Orders (BaseType of lines copied from them)
+const PURCHASE_ORDER_OBJECT_TYPE = 22;
+
 /**
  * Sanitize string for use in OData filter expressions
  * Prevents OData injection attacks
@@ -63,11 +66,13 @@ function sanitizeODataValue(value, fieldName = 'value') {
 
 /**
  * Make an HTTP request to SAP B1 Service Layer with timeout
+ * A FormData body is sent as multipart (attachment uploads); anything else as JSON.
  */
 async function sapRequest(method, endpoint, body = null, includeSession = true) {
   const url = `${SAP_CONFIG.serviceUrl}${endpoint}`;
+  const isForm = body instanceof FormData;
 
-  const headers = {
+  const headers = isForm ? {} : {
     'Content-Type': 'application/json',
   };
 
@@ -81,7 +86,7 @@ async function sapRequest(method, endpoint, body = null, includeSession = true)
   };
 
   if (body) {
-    options.body = JSON.stringify(body);
+    options.body = isForm ? body : JSON.stringify(body);
   }
 
   // Add timeout using AbortController
@@ -326,6 +331,7 @@ function clearUserSession(userId) {
  * @param {string} params.fromWarehouse Source warehouse code
  * @param {string} params.toWarehouse Destination warehouse code
  * @param {number} params.toBinAbsEntry Destination bin AbsEntry (for centros)
+ * @param {number} params.fromBinAbsEntry Source bin AbsEntry (when stock leaves a centro)
  * @param {Array} params.items Items to transfer
  * @param {string} params.items[].itemCode SAP item code
  * @param {number} params.items[].quantity Quantity to transfer
@@ -333,7 +339,7 @@ function clearUserSession(userId) {
  * @param {string} params.comments Optional comments
  * @returns {Object} SAP document info { DocEntry, DocNum }
  */
-async function createStockTransfer({ fromWarehouse, toWarehouse, toBinAbsEntry, items, comments, docDate, cardCode }) {
+async function createStockTransfer({ fromWarehouse, toWarehouse, toBinAbsEntry, fromBinAbsEntry, items, comments, docDate, cardCode }) {
   await ensureSession();
 
   // Build stock transfer lines with batch numbers
@@ -350,15 +356,28 @@ async function createStockTransfer({ fromWarehouse, toWarehouse, toBinAbsEntry,
       }],
     };
 
-    // Add bin allocation for destination (centros use bin locations)
+    // Add bin allocations (centros use bin locations in warehouse 10)
+    const binAllocations = [];
+    if (fromBinAbsEntry) {
+      binAllocations.push({
+        BinAbsEntry: fromBinAbsEntry,
+        Quantity: item.quantity,
+        AllowNegativeQuantity: 'tNO',
+        SerialAndBatchNumbersBaseLine: 0,
+        BinActionType: 'batFromWarehouse',
+      });
+    }
     if (toBinAbsEntry) {
-      line.StockTransferLinesBinAllocations = [{
+      binAllocations.push({
         BinAbsEntry: toBinAbsEntry,
         Quantity: item.quantity,
         AllowNegativeQuantity: 'tNO',
         SerialAndBatchNumbersBaseLine: 0,
         BinActionType: 'batToWarehouse',
-      }];
+      });
+    }
+    if (binAllocations.length > 0) {
+      line.StockTransferLinesBinAllocations = binAllocations;
     }
 
     return line;
@@ -512,6 +531,21 @@ async function getCustomers(search = '', limit = 20) {
   return data.value || [];
 }
 
+/**
+ * Get all suppliers (Business Partners of type cSupplier) from SAP B1
+ * Used to sync the suppliers collection
+ *
+ * @returns {Array} [{ CardCode, CardName, Phone1, EmailAddress, Address, Frozen }]
+ */
+async function getSuppliers() {
+  await ensureSession();
+
+  const filter = "CardType eq 'cSupplier'";
+  return fetchAllPages(
+    `/BusinessPartners?$filter=${encodeURIComponent(filter)}&$select=CardCode,CardName,Phone1,EmailAddress,Address,Frozen&$orderby=CardCode`
+  );
+}
+
 /**
  * Create a Delivery Note (Entrega) in SAP B1
  * Used for recording consumption at Centros
@@ -523,7 +557,7 @@ async function getCustomers(search = '', limit = 20) {
  * @param {string} params.items[].itemCode SAP item code
  * @param {number} params.items[].quantity Quantity
  * @param {string} params.items[].batchNumber Batch/lot number
- * @param {number} params.items[].price Unit price (optional)
+ * @param {number} params.items[].price Negotiated unit price, sent as UnitPrice (optional)
  * @param {string} params.items[].currency Currency code (optional, default USD)
  * @param {string} params.comments Comments (patient, doctor, procedure info)
  * @returns {Object} SAP document info { DocEntry, DocNum }
@@ -539,9 +573,9 @@ async function createDeliveryNote({ cardCode, cardName, warehouseCode, binAbsEnt
       WarehouseCode: warehouseCode,
     };
 
-    // Add price if provided
-    if (item.price) {
-      line.Price = item.price;
+    // Negotiated price, when the centro has one (else SAP applies its price list)
+    if (item.price != null) {
+      line.UnitPrice = item.price;
       line.Currency = item.currency || 'USD';
     }
 
@@ -609,6 +643,415 @@ async function createDeliveryNote({ cardCode, cardName, warehouseCode, binAbsEnt
   };
 }
 
+/**
+ * Build document lines for Inventory Goods Issue / Goods Receipt
+ * Both documents share the same line shape (item, warehouse, batch, bin)
+ */
+function buildInventoryDocumentLines({ warehouseCode, binAbsEntry, items }) {
+  return items.map((item, index) => {
+    const line = {
+      LineNum: index,
+      ItemCode: item.itemCode,
+      Quantity: item.quantity,
+      WarehouseCode: warehouseCode,
+    };
+
+    if (item.batchNumber) {
+      const batch = {
+        BatchNumber: item.batchNumber,
+        Quantity: item.quantity,
+      };
+      if (item.expiryDate) {
+        batch.ExpiryDate = new Date(item.expiryDate).toISOString().split('T')[0];
+      }
+      line.BatchNumbers = [batch];
+    }
+
+    // Add bin allocation if warehouse uses bins (centros in warehouse 10)
+    if (binAbsEntry) {
+      line.DocumentLinesBinAllocations = [{
+        BinAbsEntry: binAbsEntry,
+        Quantity: item.quantity,
+        AllowNegativeQuantity: 'tNO',
+        SerialAndBatchNumbersBaseLine: 0,
+      }];
+    }
+
+    return line;
+  });
+}
+
+/**
+ * Create an Inventory Goods Issue (Salida de Mercancía) in SAP B1
+ * Used for adjustments that remove stock (damaged, expired, lost)
+ *
+ * @param {Object} params Goods issue parameters
+ * @param {string} params.warehouseCode Warehouse code
+ * @param {number} params.binAbsEntry Bin AbsEntry (for centros)
+ * @param {Array} params.items Items to remove
+ * @param {string} params.items[].itemCode SAP item code
+ * @param {number} params.items[].quantity Quantity to remove
+ * @param {string} params.items[].batchNumber Batch/lot number
+ * @param {string} params.comments Optional comments
+ * @returns {Object} SAP document info { DocEntry, DocNum }
+ */
+async function createInventoryGenExit({ warehouseCode, binAbsEntry, items, comments, docDate }) {
+  await ensureSession();
+
+  const payload = {
+    DocDate: docDate || new Date().toISOString().split('T')[0],
+    Comments: comments || 'Ajuste de inventario desde Vasculares',
+    DocumentLines: buildInventoryDocumentLines({ warehouseCode, binAbsEntry, items }),
+  };
+
+  if (DEBUG_SAP) {
+    console.log('Creating SAP Goods Issue:', JSON.stringify(payload, null, 2));
+  }
+
+  const response = await sapRequest('POST', '/InventoryGenExits', payload);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = errorData.error?.message?.value || response.statusText;
+    throw new Error(`SAP Goods Issue failed: ${errorMessage}`);
+  }
+
+  const result = await response.json();
+  console.log('SAP Goods Issue created:', result.DocNum);
+
+  return {
+    DocEntry: result.DocEntry,
+    DocNum: result.DocNum,
+  };
+}
+
+/**
+ * Create an Inventory Goods Receipt (Entrada de Mercancía) in SAP B1
+ * Used for adjustments that add stock (found units, count corrections)
+ *
+ * @param {Object} params Goods receipt parameters
+ * @param {string} params.warehouseCode Warehouse code
+ * @param {number} params.binAbsEntry Bin AbsEntry (for centros)
+ * @param {Array} params.items Items to add
+ * @param {string} params.items[].itemCode SAP item code
+ * @param {number} params.items[].quantity Quantity to add
+ * @param {string} params.items[].batchNumber Batch/lot number
+ * @param {Date} params.items[].expiryDate Batch expiry date (optional)
+ * @param {string} params.comments Optional comments
+ * @returns {Object} SAP document info { DocEntry, DocNum }
+ */
+async function createInventoryGenEntry({ warehouseCode, binAbsEntry, items, comments, docDate }) {
+  await ensureSession();
+
+  const payload = {
+    DocDate: docDate || new Date().toISOString().split('T')[0],
+    Comments: comments || 'Ajuste de inventario desde Vasculares',
+    DocumentLines: buildInventoryDocumentLines({ warehouseCode, binAbsEntry, items }),
+  };
+
+  if (DEBUG_SAP) {
+    console.log('Creating SAP Goods Receipt:', JSON.stringify(payload, null, 2));
+  }
+
+  const response = await sapRequest('POST', '/InventoryGenEntries', payload);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = errorData.error?.message?.value || response.statusText;
+    throw new Error(`SAP Goods Receipt failed: ${errorMessage}`);
+  }
+
+  const result = await response.json();
+  console.log('SAP Goods Receipt created:', result.DocNum);
+
+  return {
+    DocEntry: result.DocEntry,
+    DocNum: result.DocNum,
+  };
+}
+
+/**
+ * Create a Purchase Delivery Note (Entrada de Mercancía / Goods Receipt PO) in SAP B1
+ * Used for supplier receipts into a warehouse; can later be copied to a supplier invoice
+ *
+ * @param {Object} params Receipt parameters
+ * @param {string} params.cardCode Supplier code (e.g. P00031)
+ * @param {string} params.warehouseCode Receiving warehouse code
+ * @param {Array} params.items Items received
+ * @param {string} params.items[].itemCode SAP item code
+ * @param {number} params.items[].quantity Quantity received
+ * @param {string} params.items[].batchNumber Batch/lot number
+ * @param {Date} params.items[].expiryDate Batch expiry date
+ * @param {number} params.items[].baseEntry Optional Purchase Order DocEntry the line is copied from
+ * @param {number} params.items[].baseLine Purchase Order LineNum (with baseEntry)
+ * @param {string} params.comments Optional comments
+ * @returns {Object} SAP document info { DocEntry, DocNum }
+ */
+async function createPurchaseDeliveryNote({ cardCode, warehouseCode, items, comments, docDate }) {
+  await ensureSession();
+
+  // Build document lines with required TaxCode
+  const documentLines = items.map((item, index) => ({
+    LineNum: index, // SAP requires line numbers starting from 0
+    ItemCode: item.itemCode,
+    Quantity: item.quantity,
+    WarehouseCode: warehouseCode,
+    TaxCode: 'EXE', // Tax exempt - adjust if needed for your SAP config
+    // Copied from a PO line: SAP draws down (and closes) the PO's open quantity
+    ...(item.baseEntry != null && {
+      BaseType: PURCHASE_ORDER_OBJECT_TYPE,
+      BaseEntry: item.baseEntry,
+      BaseLine: item.baseLine,
+    }),
+    BatchNumbers: [{
+      ItemCode: item.itemCode, // SAP may require ItemCode in batch reference
+      BatchNumber: item.batchNumber,
+      Quantity: item.quantity,
+      ExpiryDate: new Date(item.expiryDate).toISOString().split('T')[0],
+    }],
+  }));
+
+  // Validate all lines have ItemCode before sending
+  const missingItemCodes = documentLines.filter(line => !line.ItemCode);
+  if (missingItemCodes.length > 0) {
+    throw new Error(`${missingItemCodes.length} line(s) missing ItemCode - check product mapping`);
+  }
+
+  const payload = {
+    DocDate: docDate || new Date().toISOString().split('T')[0],
+    CardCode: cardCode, // Required for PurchaseDeliveryNotes
+    Comments: comments || 'Entrada desde Vasculares App',
+    DocumentLines: documentLines,
+  };
+
+  if (DEBUG_SAP) {
+    console.log('Creating SAP Purchase Delivery Note:', JSON.stringify(payload, null, 2));
+  }
+
+  const response = await sapRequest('POST', '/PurchaseDeliveryNotes', payload);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    let errorMessage = errorData.error?.message?.value || response.statusText;
+    const errorCode = errorData.error?.code;
+
+    // Error -5009 or "Item number is missing" usually means item doesn't exist in SAP
+    if (errorCode === -5009 || errorMessage.includes('Item number is missing')) {
+      const itemCodes = documentLines.map(l => l.ItemCode).join(', ');
+      errorMessage = `Uno o más productos no existen en SAP (códigos: ${itemCodes}). Verifique que los productos estén creados en SAP antes de registrar la recepción.`;
+    }
+
+    throw new Error(errorMessage);
+  }
+
+  const result = await response.json();
+  console.log('SAP Purchase Delivery Note created:', result.DocNum);
+
+  return {
+    DocEntry: result.DocEntry,
+    DocNum: result.DocNum,
+  };
+}
+
+/**
+ * Create a Purchase Order (Orden de Compra) in SAP B1
+ * Lines are posted in the order given, so items[i] becomes LineNum i; goods
+ * receipts reference them through BaseEntry/BaseLine.
+ *
+ * @param {Object} params Order parameters
+ * @param {string} params.cardCode Supplier code (e.g. P00031)
+ * @param {Array} params.items Items ordered
+ * @param {string} params.items[].itemCode SAP item code
+ * @param {number} params.items[].quantity Quantity ordered
+ * @param {string} params.docDate Order date (YYYY-MM-DD)
+ * @param {string} params.docDueDate Expected delivery date (YYYY-MM-DD, required by SAP)
+ * @param {string} params.comments Optional comments
+ * @returns {Object} SAP document info { DocEntry, DocNum }
+ */
+async function createPurchaseOrder({ cardCode, items, docDate, docDueDate, comments }) {
+  await ensureSession();
+
+  const documentLines = items.map((item, index) => ({
+    LineNum: index,
+    ItemCode: item.itemCode,
+    Quantity: item.quantity,
+    TaxCode: 'EXE',
+  }));
+
+  const missingItemCodes = documentLines.filter(line => !line.ItemCode);
+  if (missingItemCodes.length > 0) {
+    throw new Error(`${missingItemCodes.length} line(s) missing ItemCode - check product mapping`);
+  }
+
+  const orderDate = docDate || new Date().toISOString().split('T')[0];
+  const payload = {
+    DocDate: orderDate,
+    DocDueDate: docDueDate || orderDate,
+    CardCode: cardCode,
+    Comments: comments || 'Pedido desde Vasculares App',
+    DocumentLines: documentLines,
+  };
+
+  if (DEBUG_SAP) {
+    console.log('Creating SAP Purchase Order:', JSON.stringify(payload, null, 2));
+  }
+
+  const response = await sapRequest('POST', '/PurchaseOrders', payload);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    let errorMessage = errorData.error?.message?.value || response.statusText;
+    const errorCode = errorData.error?.code;
+
+    if (errorCode === -5009 || errorMessage.includes('Item number is missing')) {
+      const itemCodes = documentLines.map(l => l.ItemCode).join(', ');
+      errorMessage = `Uno o más productos no existen en SAP (códigos: ${itemCodes}). Verifique que los productos estén creados en SAP antes de crear el pedido.`;
+    }
+
+    throw new Error(errorMessage);
+  }
+
+  const result = await response.json();
+  console.log('SAP Purchase Order created:', result.DocNum);
+
+  return {
+    DocEntry: result.DocEntry,
+    DocNum: result.DocNum,
+  };
+}
+
+/**
+ * Get a Purchase Order with the open quantity of each line
+ *
+ * @param {number} docEntry - SAP document entry number
+ * @returns {Promise<Object>} { docEntry, docNum, status: 'OPEN' | 'CLOSED' | 'CANCELLED',
+ *   lines: [{ lineNum, itemCode, quantity, openQuantity, status: 'OPEN' | 'CLOSED' }] }
+ */
+async function getPurchaseOrder(docEntry) {
+  await ensureSession();
+
+  const response = await sapRequest('GET', `/PurchaseOrders(${parseInt(docEntry)})`);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = errorData.error?.message?.value || response.statusText;
+    throw new Error(`SAP purchase order lookup failed: ${errorMessage}`);
+  }
+
+  const data = await response.json();
+  const documentStatus = data.Cancelled === 'tYES' ? 'CANCELLED' : data.DocumentStatus === 'bost_Open' ? 'OPEN' : 'CLOSED';
+
+  return {
+    docEntry: data.DocEntry,
+    docNum: data.DocNum,
+    status: documentStatus,
+    lines: (data.DocumentLines || []).map(line => ({
+      lineNum: line.LineNum,
+      itemCode: line.ItemCode,
+      quantity: line.Quantity,
+      openQuantity: line.RemainingOpenQuantity,
+      status: line.LineStatus === 'bost_Open' ? 'OPEN' : 'CLOSED',
+    })),
+  };
+}
+
+/**
+ * Close a Purchase Order so SAP stops expecting its open quantities
+ *
+ * @param {number} docEntry - SAP document entry number
+ */
+async function closePurchaseOrder(docEntry) {
+  await ensureSession();
+
+  const response = await sapRequest('POST', `/PurchaseOrders(${parseInt(docEntry)})/Close`);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = errorData.error?.message?.value || response.statusText;
+    throw new Error(`SAP purchase order close failed: ${errorMessage}`);
+  }
+}
+
+/**
+ * Find a document whose Comments contain a marker string
+ * Used by the SAP outbox to detect documents created by an attempt whose
+ * response was lost (timeout, dropped connection) before re-sending.
+ *
+ * @param {string} entitySet - 'StockTransfers', 'DeliveryNotes', 'PurchaseDeliveryNotes' or 'PurchaseOrders'
+ * @param {string} marker - Unique marker written into Comments
+ * @returns {Promise<Object|null>} { DocEntry, DocNum } or null if not found
+ */
+async function findDocumentByComment(entitySet, marker) {
+  await ensureSession();
+
+  const safeMarker = sanitizeODataValue(marker, 'marker');
+  const endpoint = `/${entitySet}?$filter=${encodeURIComponent(`contains(Comments,'${safeMarker}')`)}&$select=DocEntry,DocNum&$top=1`;
+  const response = await sapRequest('GET', endpoint);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = errorData.error?.message?.value || response.statusText;
+    throw new Error(`SAP lookup failed: ${errorMessage}`);
+  }
+
+  const data = await response.json();
+  const doc = data.value?.[0];
+  return doc ? { DocEntry: doc.DocEntry, DocNum: doc.DocNum } : null;
+}
+
+/**
+ * Upload files as a new SAP attachment (Attachments2)
+ * Service Layer copies them into the company's attachments folder, where
+ * file names must be unique, so callers should pass unique names.
+ *
+ * @param {Array<{filename: string, mimetype: string, buffer: Buffer}>} files - Files to upload
+ * @returns {Promise<Object>} { AbsoluteEntry }
+ */
+async function createAttachment(files) {
+  await ensureSession();
+
+  const form = new FormData();
+  for (const file of files) {
+    form.append('files', new Blob([file.buffer], { type: file.mimetype }), file.filename);
+  }
+
+  const response = await sapRequest('POST', '/Attachments2', form);
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = errorData.error?.message?.value || response.statusText;
+    throw new Error(`SAP attachment upload failed: ${errorMessage}`);
+  }
+
+  const result = await response.json();
+  console.log('SAP attachment created:', result.AbsoluteEntry);
+
+  return {
+    AbsoluteEntry: result.AbsoluteEntry,
+  };
+}
+
+/**
+ * Link an attachment to a document
+ *
+ * @param {string} entitySet - 'DeliveryNotes' or 'PurchaseDeliveryNotes'
+ * @param {number} docEntry - Document DocEntry
+ * @param {number} attachmentEntry - Attachments2 AbsoluteEntry
+ */
+async function setDocumentAttachment(entitySet, docEntry, attachmentEntry) {
+  await ensureSession();
+
+  const response = await sapRequest('PATCH', `/${entitySet}(${parseInt(docEntry)})`, {
+    AttachmentEntry: attachmentEntry,
+  });
+
+  if (!response.ok) {
+    const errorData = await response.json().catch(() => ({}));
+    const errorMessage = errorData.error?.message?.value || response.statusText;
+    throw new Error(`SAP attachment link failed: ${errorMessage}`);
+  }
+}
+
 /**
  * Get SAP Service Layer base URL
  * Exposes only the URL, not credentials
@@ -1556,7 +1999,19 @@ module.exports = {
   getItemBatches,
   verifyConnection,
   getCustomers,
+  getSuppliers,
   createDeliveryNote,
+  createInventoryGenExit,
+  createInventoryGenEntry,
+  createPurchaseDeliveryNote,
+  // Purchase orders (pedidos)
+  createPurchaseOrder,
+  getPurchaseOrder,
+  closePurchaseOrder,
+  findDocumentByComment,
+  // Attachments (source documents)
+  createAttachment,
+  setDocumentAttachment,
   getServiceUrl,
   validateBatchItem,
   validateBatchItems,
@@ -0,0 +1,529 @@
+/**
+ * Stock Level Service
+ * Calculates safety stock, reorder point and target stock per product and
+ * location instead of entering them by hand.
+ *
+ * - Demand: monthly consumption at each centro, and monthly consignment
+ *   outflow for the warehouse (all warehouses together, as in planning)
+ * - Lead time: supplier lead time measured on received pedidos (order date →
+ *   first linked goods receipt) for the warehouse, per product or else per
+ *   supplier; the configured replenishment time for centros
+ * - Service level: company setting (vascularesConfig.planning), can be
+ *   overridden per run
+ *
+ *   safetyStock  = z · √(L·σd² + d²·σL²)
+ *   reorderPoint = d·L + safetyStock
+ *   targetStock  = reorderPoint + d·R          (R = review period)
+ *
+ * with d, σd the monthly demand mean and deviation, L, σL the lead time in
+ * months. Results are stored as a preview run and applied in bulk; applying
+ * records the values each item replaced.
+ *
+ * Used by:
+ * - Inventario objetivos controller (calculator endpoints)
+ */
+const mongoose = require('mongoose');
+const {
+  getStockLevelRunsModel,
+  getInventarioObjetivosModel,
+  getProductosModel,
+  getLocacionesModel,
+  getPedidosModel,
+  getGoodsReceiptsModel,
+  getVascularesConfigModel,
+} = require('../getModel');
+const consumptionStatsService = require('./consumptionStatsService');
+const { trimLeadingZeros } = require('./forecastService');
+
+const HISTORY_MONTHS = 12;
+const DAYS_PER_MONTH = 30;
+// Received pedidos needed before a product's own lead time is trusted
+const MIN_LEAD_TIME_SAMPLES = 2;
+// Only recent pedidos describe the current supplier
+const LEAD_TIME_HISTORY_MONTHS = 24;
+
+const DEFAULT_CONFIG = {
+  serviceLevel: 0.95,
+  reviewPeriodDays: 30,
+  centroLeadTimeDays: 7,
+  supplierLeadTimeDays: 30,
+};
+
+const round = (value, decimals = 2) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+
+/**
+ * Build an error with a code the controllers map to HTTP statuses
+ */
+function stockLevelError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+function userRef(user) {
+  return {
+    _id: user._id,
+    firstname: user.firstname,
+    lastname: user.lastname,
+    email: user.email,
+  };
+}
+
+/**
+ * z-score of a service level (standard normal quantile)
+ * Abramowitz & Stegun 26.2.23, error below 5e-4
+ * @param {number} p - Service level between 0.5 and 1 (exclusive)
+ */
+function serviceLevelZ(p) {
+  const t = Math.sqrt(-2 * Math.log(1 - p));
+  const z = t - (2.515517 + 0.802853 * t + 0.010328 * t * t) /
+    (1 + 1.432788 * t + 0.189269 * t * t + 0.001308 * t * t * t);
+  return round(z, 3);
+}
+
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+function sampleDeviation(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+/**
+ * Mean and deviation of monthly demand
+ * With fewer than 3 months the deviation falls back to √mean (Poisson), as
+ * one or two months say nothing about variability
+ */
+function demandStats(series) {
+  if (!series.length) return { mean: 0, std: 0 };
+  const m = mean(series);
+  return { mean: m, std: series.length < 3 ? Math.sqrt(m) : sampleDeviation(series) };
+}
+
+/**
+ * Safety stock, reorder point and target stock from demand and lead time
+ * @param {Object} inputs
+ * @param {number} inputs.avgMonthlyDemand
+ * @param {number} inputs.stdMonthlyDemand
+ * @param {number} inputs.leadTimeDays
+ * @param {number} inputs.leadTimeStdDays
+ * @param {number} inputs.z - Service level z-score
+ * @param {number} inputs.reviewPeriodDays
+ * @returns {Object} { safetyStock, reorderPoint, targetStock } in whole units
+ */
+function calculateLevels({ avgMonthlyDemand, stdMonthlyDemand, leadTimeDays, leadTimeStdDays = 0, z, reviewPeriodDays }) {
+  const d = avgMonthlyDemand;
+  const leadTime = leadTimeDays / DAYS_PER_MONTH;
+  const leadTimeStd = leadTimeStdDays / DAYS_PER_MONTH;
+  const review = reviewPeriodDays / DAYS_PER_MONTH;
+
+  const safety = z * Math.sqrt(leadTime * stdMonthlyDemand ** 2 + d ** 2 * leadTimeStd ** 2);
+  // Round before ceil so float noise (2.0000000001) does not add a unit
+  const safetyStock = Math.ceil(round(safety, 6));
+  const reorderPoint = Math.ceil(round(d * leadTime + safety, 6));
+  const targetStock = Math.max(reorderPoint, Math.ceil(round(d * leadTime + safety + d * review, 6)));
+
+  return { safetyStock, reorderPoint, targetStock };
+}
+
+/**
+ * Planning settings of a company, with defaults
+ */
+async function getPlanningConfig(companyId) {
+  const VascularesConfig = await getVascularesConfigModel(companyId);
+  const config = await VascularesConfig.findOne({ companyId }).lean();
+  const planning = config?.planning || {};
+  return Object.fromEntries(
+    Object.entries(DEFAULT_CONFIG).map(([key, value]) => [key, planning[key] ?? value])
+  );
+}
+
+/**
+ * Update planning settings (only the given fields)
+ */
+async function updatePlanningConfig(companyId, changes) {
+  const $set = {};
+  for (const key of Object.keys(DEFAULT_CONFIG)) {
+    if (changes[key] !== undefined) $set[`planning.${key}`] = changes[key];
+  }
+
+  const VascularesConfig = await getVascularesConfigModel(companyId);
+  await VascularesConfig.findOneAndUpdate({ companyId }, { $set }, { upsert: true, runValidators: true });
+  return getPlanningConfig(companyId);
+}
+
+/**
+ * Supplier lead times measured on received pedidos
+ * The lead time of a pedido is the days from orderDate to its first linked goods receipt.
+ * @returns {Promise<Object>} { byProduct, bySupplier: Map<key, number[]>, all: number[] } days
+ *   per pedido, and productSupplier: Map<productId, supplierCode> of the latest pedido
+ */
+async function getSupplierLeadTimes(companyId) {
+  const Pedidos = await getPedidosModel(companyId);
+  const GoodsReceipts = await getGoodsReceiptsModel(companyId);
+
+  const since = new Date();
+  since.setUTCMonth(since.getUTCMonth() - LEAD_TIME_HISTORY_MONTHS);
+
+  const pedidos = await Pedidos.find({
+    companyId,
+    status: { $in: ['PARCIAL', 'COMPLETO'] },
+    orderDate: { $gte: since },
+    'goodsReceipts.0': { $exists: true },
+  }).sort({ orderDate: 1 }).lean();
+
+  const receiptIds = pedidos.flatMap((p) => p.goodsReceipts);
+  const receipts = await GoodsReceipts.find({ _id: { $in: receiptIds } }, 'receiptDate createdAt').lean();
+  const receiptDate = new Map(receipts.map((r) => [r._id.toString(), r.receiptDate || r.createdAt]));
+
+  const byProduct = new Map();
+  const bySupplier = new Map();
+  const productSupplier = new Map();
+  const all = [];
+  for (const pedido of pedidos) {
+    const dates = pedido.goodsReceipts
+      .map((id) => receiptDate.get(id.toString()))
+      .filter(Boolean)
+      .map((date) => new Date(date).getTime());
+    if (!dates.length) continue;
+
+    const days = Math.max(0, (Math.min(...dates) - new Date(pedido.orderDate).getTime()) / 86400000);
+    all.push(days);
+    if (pedido.supplierCode) {
+      if (!bySupplier.has(pedido.supplierCode)) bySupplier.set(pedido.supplierCode, []);
+      bySupplier.get(pedido.supplierCode).push(days);
+    }
+    for (const item of pedido.items) {
+      if (!item.quantityReceived) continue;
+      const productId = item.productId.toString();
+      if (!byProduct.has(productId)) byProduct.set(productId, []);
+      byProduct.get(productId).push(days);
+      if (pedido.supplierCode) productSupplier.set(productId, pedido.supplierCode);
+    }
+  }
+
+  return { byProduct, bySupplier, productSupplier, all };
+}
+
+/**
+ * Lead time of the warehouse for one product: its own pedidos, the pedidos of
+ * its latest supplier, all pedidos, or the default
+ */
+function supplierLeadTime(leadTimes, productId, config) {
+  const own = leadTimes.byProduct.get(productId) || [];
+  const supplier = leadTimes.bySupplier?.get(leadTimes.productSupplier?.get(productId)) || [];
+  const [samples, source] = own.length >= MIN_LEAD_TIME_SAMPLES
+    ? [own, 'PRODUCT']
+    : supplier.length >= MIN_LEAD_TIME_SAMPLES
+      ? [supplier, 'SUPPLIER']
+      : leadTimes.all.length >= MIN_LEAD_TIME_SAMPLES ? [leadTimes.all, 'ALL_PEDIDOS'] : [[], 'DEFAULT'];
+
+  if (!samples.length) {
+    return { leadTimeDays: config.supplierLeadTimeDays, leadTimeStdDays: 0, leadTimeSamples: 0, leadTimeSource: source };
+  }
+  return {
+    leadTimeDays: round(mean(samples), 1),
+    leadTimeStdDays: round(sampleDeviation(samples), 1),
+    leadTimeSamples: samples.length,
+    leadTimeSource: source,
+  };
+}
+
+/**
+ * Calculate stock levels and store them as a preview run
+ * Products without demand in the history window are left out.
+ * @param {string} companyId
+ * @param {Object} options
+ * @param {number} options.serviceLevel - Override the configured service level (0.5-0.999)
+ * @param {string} options.locationId - Only this centro, or only the warehouse row for a warehouse
+ * @param {string} options.category - Only products of this category
+ * @param {Object} options.user - Who ran the preview
+ * @returns {Promise<Object>} The stored run
+ */
+async function previewStockLevels(companyId, { serviceLevel, locationId, category, user } = {}) {
+  const config = await getPlanningConfig(companyId);
+  const level = serviceLevel ?? config.serviceLevel;
+  if (!(level >= 0.5 && level <= 0.999)) {
+    throw stockLevelError('INVALID', 'serviceLevel must be between 0.5 and 0.999');
+  }
+  const z = serviceLevelZ(level);
+
+  const Productos = await getProductosModel(companyId);
+  const Locaciones = await getLocacionesModel(companyId);
+  const InventarioObjetivos = await getInventarioObjetivosModel(companyId);
+  const StockLevelRuns = await getStockLevelRunsModel(companyId);
+
+  let location = null;
+  if (locationId) {
+    location = await Locaciones.findById(locationId).lean();
+    if (!location) throw stockLevelError('NOT_FOUND', 'Locación no encontrada');
+  }
+  const includeWarehouse = !location || location.type === 'WAREHOUSE';
+  const centros = location
+    ? (location.type === 'CENTRO' ? [location] : [])
+    : await Locaciones.find({ type: 'CENTRO', active: true }, 'name').lean();
+
+  const productQuery = { active: true };
+  if (category) productQuery.category = category;
+  const products = await Productos.find(productQuery).sort({ name: 1 }).lean();
+
+  const [centroSeries, outflowSeries, leadTimes, objetivos] = await Promise.all([
+    centros.length
+      ? consumptionStatsService.getMonthlySeries(companyId, {
+        centroId: location?.type === 'CENTRO' ? location._id : null,
+        byCentro: true,
+        months: HISTORY_MONTHS,
+      })
+      : new Map(),
+    includeWarehouse
+      ? consumptionStatsService.getOutflowSeries(companyId, { months: HISTORY_MONTHS })
+      : new Map(),
+    includeWarehouse ? getSupplierLeadTimes(companyId) : { byProduct: new Map(), all: [] },
+    InventarioObjetivos.find({ locationId: { $in: centros.map((c) => c._id) } }).lean(),
+  ]);
+  const objetivoByKey = new Map(objetivos.map((o) => [`${o.productId}:${o.locationId}`, o]));
+
+  const items = [];
+  const addItem = (product, series, leadTime, extra) => {
+    const demand = trimLeadingZeros(series || []);
+    if (!demand.length) return;
+    const stats = demandStats(demand);
+    const inputs = {
+      demandMonths: demand.length,
+      avgMonthlyDemand: round(stats.mean),
+      stdMonthlyDemand: round(stats.std),
+      ...leadTime,
+    };
+    items.push({
+      productId: product._id,
+      productName: product.name,
+      productCode: product.code,
+      inputs,
+      calculated: calculateLevels({
+        avgMonthlyDemand: stats.mean,
+        stdMonthlyDemand: stats.std,
+        leadTimeDays: leadTime.leadTimeDays,
+        leadTimeStdDays: leadTime.leadTimeStdDays,
+        z,
+        reviewPeriodDays: config.reviewPeriodDays,
+      }),
+      ...extra,
+    });
+  };
+
+  for (const product of products) {
+    const productId = product._id.toString();
+
+    if (includeWarehouse) {
+      const settings = product.inventorySettings || {};
+      addItem(product, outflowSeries.get(productId), supplierLeadTime(leadTimes, productId, config), {
+        scope: 'WAREHOUSE',
+        locationId: null,
+        locationName: 'Almacén',
+        current: {
+          safetyStock: settings.safetyStockWarehouse || 0,
+          reorderPoint: settings.reorderPointWarehouse || 0,
+          targetStock: settings.targetStockWarehouse || 0,
+        },
+      });
+    }
+
+    for (const centro of centros) {
+      const objetivo = objetivoByKey.get(`${productId}:${centro._id}`);
+      addItem(product, centroSeries.get(`${productId}:${centro._id}`), {
+        leadTimeDays: config.centroLeadTimeDays,
+        leadTimeStdDays: 0,
+        leadTimeSamples: 0,
+        leadTimeSource: 'CENTRO',
+      }, {
+        scope: 'CENTRO',
+        locationId: centro._id,
+        locationName: centro.name,
+        current: {
+          safetyStock: objetivo?.safetyStock || 0,
+          reorderPoint: objetivo?.reorderPoint || 0,
+          targetStock: objetivo?.active ? objetivo.targetStock || 0 : 0,
+        },
+      });
+    }
+  }
+
+  const run = new StockLevelRuns({
+    status: 'PREVIEW',
+    config: {
+      serviceLevel: level,
+      z,
+      reviewPeriodDays: config.reviewPeriodDays,
+      centroLeadTimeDays: config.centroLeadTimeDays,
+      supplierLeadTimeDays: config.supplierLeadTimeDays,
+      historyMonths: HISTORY_MONTHS,
+      locationId: location?._id || null,
+      category: category || null,
+    },
+    items,
+    createdBy: user ? userRef(user) : undefined,
+    companyId,
+  });
+  await run.save();
+  return run;
+}
+
+const sameLevels = (a, b) =>
+  a.safetyStock === b.safetyStock && a.reorderPoint === b.reorderPoint && a.targetStock === b.targetStock;
+
+const itemKey = (productId, locationId) => `${productId}:${locationId || 'WAREHOUSE'}`;
+
+/**
+ * Apply a preview run: write the calculated levels and record what they replaced
+ * Centro items update (or create) their inventarioObjetivos row; warehouse
+ * items update the product's inventorySettings.
+ * @param {string} companyId
+ * @param {string} runId
+ * @param {Object} options
+ * @param {Array} options.items - [{ productId, locationId }] to apply (locationId null for the warehouse);
+ *   omit to apply every item whose levels change
+ * @param {Object} options.user - Who applied
+ * @returns {Promise<Object>} The applied run
+ */
+async function applyStockLevels(companyId, runId, { items, user }) {
+  const StockLevelRuns = await getStockLevelRunsModel(companyId);
+  const InventarioObjetivos = await getInventarioObjetivosModel(companyId);
+  const Productos = await getProductosModel(companyId);
+
+  const run = await StockLevelRuns.findOne({ _id: runId, companyId });
+  if (!run) throw stockLevelError('NOT_FOUND', 'Cálculo no encontrado');
+  if (run.status === 'APPLIED') throw stockLevelError('CONFLICT', 'Este cálculo ya fue aplicado');
+
+  const selected = items
+    ? new Set(items.map((i) => itemKey(i.productId, i.locationId)))
+    : null;
+  const toApply = run.items.filter((item) => (selected
+    ? selected.has(itemKey(item.productId, item.locationId))
+    : !sameLevels(item.calculated, item.current)));
+  if (!toApply.length) throw stockLevelError('INVALID', 'No hay cambios para aplicar');
+
+  const updatedBy = { _id: user._id, firstname: user.firstname, lastname: user.lastname };
+
+  const session = await mongoose.startSession();
+  session.startTransaction();
+  try {
+    for (const item of toApply) {
+      const { safetyStock, reorderPoint, targetStock } = item.calculated;
+
+      if (item.scope === 'WAREHOUSE') {
+        const product = await Productos.findById(item.productId).session(session);
+        const settings = product.inventorySettings || {};
+        item.previous = {
+          safetyStock: settings.safetyStockWarehouse || 0,
+          reorderPoint: settings.reorderPointWarehouse || 0,
+          targetStock: settings.targetStockWarehouse || 0,
+        };
+        product.set('inventorySettings.safetyStockWarehouse', safetyStock);
+        product.set('inventorySettings.reorderPointWarehouse', reorderPoint);
+        product.set('inventorySettings.targetStockWarehouse', targetStock);
+        await product.save({ session });
+      } else {
+        let objetivo = await InventarioObjetivos.findOne({
+          productId: item.productId,
+          locationId: item.locationId,
+        }).session(session);
+        item.previous = {
+          safetyStock: objetivo?.safetyStock || 0,
+          reorderPoint: objetivo?.reorderPoint || 0,
+          targetStock: objetivo?.active ? objetivo.targetStock || 0 : 0,
+        };
+        if (!objetivo) {
+          objetivo = new InventarioObjetivos({
+            productId: item.productId,
+            locationId: item.locationId,
+            createdBy: updatedBy,
+          });
+        }
+        objetivo.set({ safetyStock, reorderPoint, targetStock, active: true, updatedBy });
+        objetivo.notes = `Calculado (nivel de servicio ${Math.round(run.config.serviceLevel * 1000) / 10}%)`;
+        await objetivo.save({ session });
+      }
+      item.applied = true;
+    }
+
+    run.status = 'APPLIED';
+    run.appliedAt = new Date();
+    run.appliedBy = userRef(user);
+    await run.save({ session });
+
+    await session.commitTransaction();
+  } catch (error) {
+    await session.abortTransaction();
+    throw error;
+  } finally {
+    session.endSession();
+  }
+
+  return run;
+}
+
+/**
+ * Calculator runs, newest first (items omitted)
+ * @param {Object} options - { status, limit (default 20) }
+ */
+async function listRuns(companyId, { status, limit = 20 } = {}) {
+  const StockLevelRuns = await getStockLevelRunsModel(companyId);
+  const query = { companyId };
+  if (status) query.status = status;
+  const runs = await StockLevelRuns.find(query, { items: 0 })
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .lean();
+
+  // Item counts without loading the items
+  const counts = await StockLevelRuns.aggregate([
+    { $match: { _id: { $in: runs.map((r) => r._id) } } },
+    {
+      $project: {
+        itemCount: { $size: '$items' },
+        appliedCount: { $size: { $filter: { input: '$items', cond: '$$this.applied' } } },
+      },
+    },
+  ]);
+  const countById = new Map(counts.map((c) => [c._id.toString(), c]));
+  return runs.map((run) => ({
+    ...run,
+    itemCount: countById.get(run._id.toString())?.itemCount || 0,
+    appliedCount: countById.get(run._id.toString())?.appliedCount || 0,
+  }));
+}
+
+async function getRun(companyId, runId) {
+  const StockLevelRuns = await getStockLevelRunsModel(companyId);
+  const run = await StockLevelRuns.findOne({ _id: runId, companyId }).lean();
+  if (!run) throw stockLevelError('NOT_FOUND', 'Cálculo no encontrado');
+  return run;
+}
+
+/**
+ * Map service errors to an HTTP response (null for unexpected errors)
+ */
+function getErrorResponse(error) {
+  const statusByCode = {
+    NOT_FOUND: 404,
+    INVALID: 400,
+    CONFLICT: 409,
+  };
+  const status = statusByCode[error.code];
+  return status ? { status, body: { error: error.message } } : null;
+}
+
+module.exports = {
+  DEFAULT_CONFIG,
+  serviceLevelZ,
+  demandStats,
+  calculateLevels,
+  getPlanningConfig,
+  updatePlanningConfig,
+  getSupplierLeadTimes,
+  previewStockLevels,
+  applyStockLevels,
+  listRuns,
+  getRun,
+  getErrorResponse,
+};
@@ -0,0 +1,341 @@
+/**
+ * Supplier Service
+ * Supplier master data from SAP and delivery performance measured on pedidos.
+ *
+ * - Sync: SAP Business Partners of type cSupplier are upserted by CardCode;
+ *   frozen suppliers and suppliers no longer returned are deactivated
+ * - Deliveries: each pedido with a supplier code is measured against its
+ *   linked goods receipts
+ *     lead time  = order date → first receipt
+ *     due date   = expected arrival date, or order date + the supplier's
+ *                  committed lead time
+ *     on time    = first receipt by the end of the due date (an open pedido
+ *                  past its due date counts as late)
+ *     fill rate  = received / ordered (each line capped at its order) over
+ *                  pedidos that are complete or past their due date
+ * - Scorecard: the measures above aggregated per supplier over a window
+ *
+ * Used by:
+ * - Proveedores controller (sync, scorecard, supplier detail)
+ * - Pedidos controller (supplier name from the master data)
+ */
+const {
+  getProveedoresModel,
+  getPedidosModel,
+  getGoodsReceiptsModel,
+} = require('../getModel');
+const sapService = require('./sapService');
+
+const DAY_MS = 86400000;
+const DEFAULT_MONTHS = 12;
+
+/**
+ * Build an error with a code the controllers map to HTTP statuses
+ */
+function supplierError(code, message) {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+}
+
+const round = (value, decimals = 1) => Math.round(value * 10 ** decimals) / 10 ** decimals;
+const mean = (values) => values.reduce((sum, v) => sum + v, 0) / values.length;
+
+function sampleDeviation(values) {
+  if (values.length < 2) return 0;
+  const m = mean(values);
+  return Math.sqrt(values.reduce((sum, v) => sum + (v - m) ** 2, 0) / (values.length - 1));
+}
+
+function median(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  const middle = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[middle] : (sorted[middle - 1] + sorted[middle]) / 2;
+}
+
+const endOfDay = (date) => {
+  const end = new Date(date);
+  end.setUTCHours(23, 59, 59, 999);
+  return end;
+};
+
+/**
+ * Sync suppliers from SAP Business Partners
+ *
+ * @param {string} companyId - Company ID
+ * @returns {Promise<Object>} { total, created, updated, deactivated }
+ * @throws SAP_ERROR
+ */
+async function syncFromSap(companyId) {
+  let partners;
+  try {
+    partners = await sapService.getSuppliers();
+  } catch (sapError) {
+    throw supplierError('SAP_ERROR', `No se pudieron leer los proveedores de SAP: ${sapError.message}`);
+  }
+
+  const Proveedores = await getProveedoresModel(companyId);
+  const existing = await Proveedores.find({}, 'cardCode').lean();
+  const existingCodes = new Set(existing.map(p => p.cardCode));
+  const syncedAt = new Date();
+
+  const operations = partners.map(partner => {
+    const frozen = partner.Frozen === 'tYES';
+    return {
+      updateOne: {
+        filter: { cardCode: partner.CardCode },
+        update: {
+          $set: {
+            name: partner.CardName || partner.CardCode,
+            phone: partner.Phone1 || undefined,
+            email: partner.EmailAddress || undefined,
+            address: partner.Address || undefined,
+            active: !frozen,
+            'sapSync.syncedAt': syncedAt,
+            'sapSync.frozen': frozen,
+            'sapSync.missing': false,
+          },
+        },
+        upsert: true,
+      },
+    };
+  });
+  if (operations.length > 0) {
+    await Proveedores.bulkWrite(operations);
+  }
+
+  const returnedCodes = partners.map(p => p.CardCode);
+  const missing = await Proveedores.updateMany(
+    { cardCode: { $nin: returnedCodes }, 'sapSync.missing': { $ne: true } },
+    { $set: { active: false, 'sapSync.missing': true, 'sapSync.syncedAt': syncedAt } }
+  );
+
+  const created = returnedCodes.filter(code => !existingCodes.has(code)).length;
+  return {
+    total: partners.length,
+    created,
+    updated: partners.length - created,
+    deactivated: missing.modifiedCount,
+  };
+}
+
+/**
+ * Supplier name for a CardCode, from the master data
+ * @returns {Promise<string|null>}
+ */
+async function getSupplierName(companyId, cardCode) {
+  if (!cardCode) return null;
+  const Proveedores = await getProveedoresModel(companyId);
+  const proveedor = await Proveedores.findOne({ cardCode }, 'name').lean();
+  return proveedor?.name || null;
+}
+
+/**
+ * Delivery measures of the pedidos with a supplier code
+ *
+ * @param {string} companyId - Company ID
+ * @param {Object} options
+ * @param {Date} options.since - Pedidos ordered since
+ * @param {string} options.supplierCode - Only this supplier
+ * @param {Date} options.now - Reference date for overdue pedidos (default now)
+ * @returns {Promise<Array>} Per pedido: { pedidoId, supplierCode, orderDate, dueDate,
+ *   firstReceiptDate, lastReceiptDate, leadTimeDays, onTime, delayDays, ordered,
+ *   received, countsForFillRate, status, docNum, pedido }
+ */
+async function getPedidoDeliveries(companyId, { since, supplierCode, now = new Date() } = {}) {
+  const Pedidos = await getPedidosModel(companyId);
+  const GoodsReceipts = await getGoodsReceiptsModel(companyId);
+  const Proveedores = await getProveedoresModel(companyId);
+
+  const query = {
+    companyId,
+    status: { $ne: 'CANCELADO' },
+    supplierCode: supplierCode || { $exists: true, $nin: [null, ''] },
+  };
+  if (since) query.orderDate = { $gte: since };
+
+  const pedidos = await Pedidos.find(query).sort({ orderDate: 1 }).lean();
+
+  const receiptIds = pedidos.flatMap(p => p.goodsReceipts || []);
+  const receipts = await GoodsReceipts.find({ _id: { $in: receiptIds } }, 'receiptDate createdAt').lean();
+  const receiptDates = new Map(receipts.map(r => [r._id.toString(), new Date(r.receiptDate || r.createdAt).getTime()]));
+
+  const proveedores = await Proveedores.find({}, 'cardCode leadTimeCommitmentDays').lean();
+  const commitments = new Map(proveedores.map(p => [p.cardCode, p.leadTimeCommitmentDays]));
+
+  return pedidos.map(pedido => {
+    const orderDate = new Date(pedido.orderDate);
+    const dates = (pedido.goodsReceipts || [])
+      .map(id => receiptDates.get(id.toString()))
+      .filter(Boolean);
+    const firstReceipt = dates.length ? Math.min(...dates) : null;
+    const lastReceipt = dates.length ? Math.max(...dates) : null;
+
+    const commitment = commitments.get(pedido.supplierCode);
+    let dueDate = null;
+    if (pedido.expectedArrivalDate) {
+      dueDate = new Date(pedido.expectedArrivalDate);
+    } else if (commitment != null) {
+      dueDate = new Date(orderDate.getTime() + commitment * DAY_MS);
+    }
+
+    // On time once delivered; late while still open past the due date
+    let onTime = null;
+    let delayDays = null;
+    if (dueDate) {
+      const deadline = endOfDay(dueDate).getTime();
+      if (firstReceipt != null) {
+        onTime = firstReceipt <= deadline;
+        delayDays = onTime ? 0 : Math.ceil((firstReceipt - deadline) / DAY_MS);
+      } else if (now.getTime() > deadline) {
+        onTime = false;
+        delayDays = Math.ceil((now.getTime() - deadline) / DAY_MS);
+      }
+    }
+
+    const ordered = pedido.items.reduce((sum, item) => sum + item.quantityOrdered, 0);
+    const received = pedido.items.reduce((sum, item) => sum + Math.min(item.quantityReceived, item.quantityOrdered), 0);
+
+    return {
+      pedidoId: pedido._id,
+      supplierCode: pedido.supplierCode,
+      status: pedido.status,
+      docNum: pedido.sapIntegration?.docNum,
+      orderDate,
+      dueDate,
+      firstReceiptDate: firstReceipt != null ? new Date(firstReceipt) : null,
+      lastReceiptDate: lastReceipt != null ? new Date(lastReceipt) : null,
+      leadTimeDays: firstReceipt != null ? round(Math.max(0, (firstReceipt - orderDate.getTime()) / DAY_MS)) : null,
+      onTime,
+      delayDays,
+      ordered,
+      received,
+      countsForFillRate: pedido.status === 'COMPLETO' || (dueDate != null && now.getTime() > endOfDay(dueDate).getTime()),
+      pedido,
+    };
+  });
+}
+
+/**
+ * Aggregate delivery measures (see getPedidoDeliveries)
+ * Rates are null when nothing could be measured.
+ */
+function summarizeDeliveries(deliveries) {
+  const leadTimes = deliveries.map(d => d.leadTimeDays).filter(days => days != null);
+  const measured = deliveries.filter(d => d.onTime != null);
+  const late = measured.filter(d => !d.onTime);
+  const due = deliveries.filter(d => d.countsForFillRate);
+  const dueOrdered = due.reduce((sum, d) => sum + d.ordered, 0);
+
+  return {
+    pedidos: deliveries.length,
+    openPedidos: deliveries.filter(d => d.status === 'PENDIENTE' || d.status === 'PARCIAL').length,
+    overduePedidos: deliveries.filter(d => d.firstReceiptDate == null && d.onTime === false).length,
+    leadTime: leadTimes.length ? {
+      meanDays: round(mean(leadTimes)),
+      stdDays: round(sampleDeviation(leadTimes)),
+      medianDays: round(median(leadTimes)),
+      minDays: Math.min(...leadTimes),
+      maxDays: Math.max(...leadTimes),
+      samples: leadTimes.length,
+    } : null,
+    onTimeRate: measured.length ? round((measured.length - late.length) / measured.length, 3) : null,
+    onTimeSamples: measured.length,
+    lateCount: late.length,
+    avgDelayDays: late.length ? round(mean(late.map(d => d.delayDays))) : null,
+    fillRate: dueOrdered > 0 ? round(due.reduce((sum, d) => sum + d.received, 0) / dueOrdered, 3) : null,
+    fillRateSamples: due.length,
+  };
+}
+
+const windowStart = (months) => {
+  const since = new Date();
+  since.setUTCMonth(since.getUTCMonth() - months);
+  return since;
+};
+
+/**
+ * Scorecard of every supplier: master data and delivery performance
+ * Suppliers found on pedidos but missing from the master data are included.
+ *
+ * @param {string} companyId - Company ID
+ * @param {Object} options
+ * @param {number} options.months - Window of pedido order dates (default 12)
+ * @param {boolean} options.includeInactive - Also inactive suppliers without pedidos
+ * @returns {Promise<Array>} Suppliers with { stats }
+ */
+async function getScorecard(companyId, { months = DEFAULT_MONTHS, includeInactive = false } = {}) {
+  const Proveedores = await getProveedoresModel(companyId);
+  const proveedores = await Proveedores.find({}).sort({ name: 1 }).lean();
+  const deliveries = await getPedidoDeliveries(companyId, { since: windowStart(months) });
+
+  const bySupplier = new Map();
+  for (const delivery of deliveries) {
+    if (!bySupplier.has(delivery.supplierCode)) bySupplier.set(delivery.supplierCode, []);
+    bySupplier.get(delivery.supplierCode).push(delivery);
+  }
+
+  const known = new Set(proveedores.map(p => p.cardCode));
+  const unknown = [...bySupplier.keys()]
+    .filter(code => !known.has(code))
+    .map(code => ({ cardCode: code, name: code, active: true, notInMasterData: true }));
+
+  return [...proveedores, ...unknown]
+    .filter(p => includeInactive || p.active || bySupplier.has(p.cardCode))
+    .map(p => ({ ...p, stats: summarizeDeliveries(bySupplier.get(p.cardCode) || []) }));
+}
+
+/**
+ * One supplier with its stats and the pedidos behind them
+ *
+ * @param {string} companyId - Company ID
+ * @param {string} id - Supplier ID
+ * @param {Object} options - months (default 12)
+ * @returns {Promise<Object>} Supplier with { stats, deliveries }
+ * @throws NOT_FOUND
+ */
+async function getSupplierDetail(companyId, id, { months = DEFAULT_MONTHS } = {}) {
+  const Proveedores = await getProveedoresModel(companyId);
+  const proveedor = await Proveedores.findById(id).lean();
+  if (!proveedor) {
+    throw supplierError('NOT_FOUND', 'Proveedor no encontrado');
+  }
+
+  const deliveries = await getPedidoDeliveries(companyId, {
+    since: windowStart(months),
+    supplierCode: proveedor.cardCode,
+  });
+
+  return {
+    ...proveedor,
+    stats: summarizeDeliveries(deliveries),
+    deliveries: deliveries.reverse().map(({ pedido, ...delivery }) => ({
+      ...delivery,
+      supplier: pedido.supplier,
+    })),
+  };
+}
+
+/**
+ * Map a supplier error to an HTTP response
+ * @returns {Object|null} { status, body } or null for unexpected errors
+ */
+function getErrorResponse(error) {
+  const statusByCode = {
+    NOT_FOUND: 404,
+    INVALID: 400,
+    SAP_ERROR: 502,
+  };
+  const status = statusByCode[error.code];
+  return status ? { status, body: { error: error.message } } : null;
+}
+
+module.exports = {
+  syncFromSap,
+  getSupplierName,
+  getPedidoDeliveries,
+  summarizeDeliveries,
+  getScorecard,
+  getSupplierDetail,
+  getErrorResponse,
+};
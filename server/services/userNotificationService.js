@@ -0,0 +1,109 @@
+/**
+ * User Notification Service
+ * In-app notifications: the bell in the app and the activity feed.
+ * Notifications are created by the notification service alongside the
+ * emails; this service stores them and reads them back per user.
+ *
+ * Used by:
+ * - Notification service (delivery)
+ * - Notifications controller (feed, unread count, mark as read)
+ */
+const mongoose = require('mongoose');
+const { getUserNotificationsModel } = require('../getModel');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 100;
+
+/**
+ * Store one notification per user
+ *
+ * @param {string} companyId - Company ID
+ * @param {Array} userIds - Recipients (shared user IDs)
+ * @param {Object} notification - { event, title, message, link, reference }
+ * @returns {Promise<number>} Notifications created
+ */
+async function deliver(companyId, userIds, notification) {
+  if (userIds.length === 0) return 0;
+
+  const UserNotifications = await getUserNotificationsModel(companyId);
+  const created = await UserNotifications.insertMany(
+    userIds.map(userId => ({ ...notification, userId }))
+  );
+  return created.length;
+}
+
+/**
+ * Notifications of a user, newest first
+ *
+ * @param {string} companyId - Company ID
+ * @param {string} userId - Shared user ID
+ * @param {Object} options
+ * @param {boolean} options.unread - Only unread notifications
+ * @param {Date} options.before - Page: notifications created before this date
+ * @param {number} options.limit - Page size (default 20, max 100)
+ * @returns {Promise<Object>} { notifications, unreadCount, hasMore }
+ */
+async function list(companyId, userId, { unread = false, before, limit = DEFAULT_LIMIT } = {}) {
+  const UserNotifications = await getUserNotificationsModel(companyId);
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+
+  const query = { userId };
+  if (unread) query.readAt = null;
+  if (before) query.createdAt = { $lt: new Date(before) };
+
+  const [notifications, unreadCount] = await Promise.all([
+    UserNotifications.find(query).sort({ createdAt: -1, _id: -1 }).limit(pageSize + 1).lean(),
+    countUnread(companyId, userId),
+  ]);
+
+  return {
+    notifications: notifications.slice(0, pageSize),
+    unreadCount,
+    hasMore: notifications.length > pageSize,
+  };
+}
+
+/**
+ * Unread notifications of a user
+ * @returns {Promise<number>}
+ */
+async function countUnread(companyId, userId) {
+  const UserNotifications = await getUserNotificationsModel(companyId);
+  return UserNotifications.countDocuments({ userId, readAt: null });
+}
+
+/**
+ * Mark one of the user's notifications as read
+ * @returns {Promise<Object|null>} The notification, null when it isn't the user's
+ */
+async function markRead(companyId, userId, notificationId) {
+  if (!mongoose.Types.ObjectId.isValid(notificationId)) return null;
+
+  const UserNotifications = await getUserNotificationsModel(companyId);
+  const notification = await UserNotifications.findOne({ _id: notificationId, userId });
+  if (!notification) return null;
+
+  if (!notification.readAt) {
+    notification.readAt = new Date();
+    await notification.save();
+  }
+  return notification;
+}
+
+/**
+ * Mark all the user's notifications as read
+ * @returns {Promise<number>} Notifications marked
+ */
+async function markAllRead(companyId, userId) {
+  const UserNotifications = await getUserNotificationsModel(companyId);
+  const result = await UserNotifications.updateMany({ userId, readAt: null }, { $set: { readAt: new Date() } });
+  return result.modifiedCount;
+}
+
+module.exports = {
+  deliver,
+  list,
+  countUnread,
+  markRead,
+  markAllRead,
+};
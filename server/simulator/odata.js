@@ -0,0 +1,285 @@
+/**
+ * OData query helpers for the SAP Service Layer simulator
+ * Covers the subset of OData v3 the app sends: $filter, $select, $orderby,
+ * $top, $skip and server-driven paging via odata.nextLink.
+ *
+ * $filter grammar:
+ *   expr    := or
+ *   or      := and ('or' and)*
+ *   and     := unary ('and' unary)*
+ *   unary   := 'not' unary | '(' expr ')' | func | compare
+ *   func    := (contains|startswith|endswith|substringof) '(' args ')'
+ *   compare := field (eq|ne|gt|ge|lt|le) literal
+ */
+
+/**
+ * Split a $filter string into tokens
+ * @param {string} input - Raw $filter value
+ * @returns {Array<{type: string, value: *}>}
+ */
+function tokenize(input) {
+  const tokens = [];
+  let i = 0;
+
+  while (i < input.length) {
+    const ch = input[i];
+
+    if (/\s/.test(ch)) {
+      i++;
+      continue;
+    }
+
+    if (ch === '(' || ch === ')' || ch === ',') {
+      tokens.push({ type: ch });
+      i++;
+      continue;
+    }
+
+    // String literal: '' is an escaped quote
+    if (ch === "'") {
+      let value = '';
+      i++;
+      while (i < input.length) {
+        if (input[i] === "'" && input[i + 1] === "'") {
+          value += "'";
+          i += 2;
+        } else if (input[i] === "'") {
+          break;
+        } else {
+          value += input[i++];
+        }
+      }
+      if (input[i] !== "'") {
+        throw new Error('Unterminated string literal in $filter');
+      }
+      i++;
+      tokens.push({ type: 'string', value });
+      continue;
+    }
+
+    const numberMatch = /^-?\d+(\.\d+)?/.exec(input.slice(i));
+    if (numberMatch) {
+      tokens.push({ type: 'number', value: parseFloat(numberMatch[0]) });
+      i += numberMatch[0].length;
+      continue;
+    }
+
+    const wordMatch = /^[A-Za-z_][A-Za-z0-9_/]*/.exec(input.slice(i));
+    if (wordMatch) {
+      tokens.push({ type: 'word', value: wordMatch[0] });
+      i += wordMatch[0].length;
+      continue;
+    }
+
+    throw new Error(`Unexpected character in $filter: ${ch}`);
+  }
+
+  return tokens;
+}
+
+const COMPARATORS = {
+  eq: (a, b) => a === b,
+  ne: (a, b) => a !== b,
+  gt: (a, b) => a > b,
+  ge: (a, b) => a >= b,
+  lt: (a, b) => a < b,
+  le: (a, b) => a <= b,
+};
+
+const FUNCTIONS = {
+  contains: (field, value) => String(field ?? '').includes(value),
+  startswith: (field, value) => String(field ?? '').startsWith(value),
+  endswith: (field, value) => String(field ?? '').endsWith(value),
+  // OData v2 argument order: substringof('needle', Field)
+  substringof: (value, field) => String(field ?? '').includes(value),
+};
+
+/**
+ * Parse a $filter string into a predicate
+ * @param {string} filter - Raw $filter value
+ * @returns {Function} (record) => boolean
+ */
+function parseFilter(filter) {
+  if (!filter) return () => true;
+
+  const tokens = tokenize(filter);
+  let pos = 0;
+
+  const peek = () => tokens[pos];
+  const next = () => tokens[pos++];
+  const expect = (type) => {
+    const token = next();
+    if (!token || token.type !== type) {
+      throw new Error(`Expected '${type}' in $filter`);
+    }
+    return token;
+  };
+  const isWord = (token, word) => token && token.type === 'word' && token.value.toLowerCase() === word;
+
+  // A function argument is either a field reference or a literal
+  const parseOperand = () => {
+    const token = next();
+    if (!token) throw new Error('Unexpected end of $filter');
+    if (token.type === 'string' || token.type === 'number') {
+      return () => token.value;
+    }
+    if (token.type === 'word') {
+      return (record) => getField(record, token.value);
+    }
+    throw new Error('Invalid operand in $filter');
+  };
+
+  const parseUnary = () => {
+    const token = peek();
+
+    if (isWord(token, 'not')) {
+      next();
+      const inner = parseUnary();
+      return (record) => !inner(record);
+    }
+
+    if (token?.type === '(') {
+      next();
+      const inner = parseOr();
+      expect(')');
+      return inner;
+    }
+
+    if (token?.type === 'word' && FUNCTIONS[token.value.toLowerCase()] && tokens[pos + 1]?.type === '(') {
+      const fn = FUNCTIONS[next().value.toLowerCase()];
+      expect('(');
+      const first = parseOperand();
+      expect(',');
+      const second = parseOperand();
+      expect(')');
+      return (record) => fn(first(record), second(record));
+    }
+
+    const left = parseOperand();
+    const op = next();
+    if (!op || op.type !== 'word' || !COMPARATORS[op.value.toLowerCase()]) {
+      throw new Error('Expected comparison operator in $filter');
+    }
+    const compare = COMPARATORS[op.value.toLowerCase()];
+    const right = parseOperand();
+    return (record) => compare(left(record), right(record));
+  };
+
+  const parseAnd = () => {
+    let left = parseUnary();
+    while (isWord(peek(), 'and')) {
+      next();
+      const prev = left;
+      const right = parseUnary();
+      left = (record) => prev(record) && right(record);
+    }
+    return left;
+  };
+
+  const parseOr = () => {
+    let left = parseAnd();
+    while (isWord(peek(), 'or')) {
+      next();
+      const prev = left;
+      const right = parseAnd();
+      left = (record) => prev(record) || right(record);
+    }
+    return left;
+  };
+
+  const predicate = parseOr();
+  if (pos < tokens.length) {
+    throw new Error('Unexpected trailing tokens in $filter');
+  }
+  return predicate;
+}
+
+/**
+ * Read a (possibly nested, slash-separated) field from a record
+ */
+function getField(record, path) {
+  return path.split('/').reduce((value, key) => (value == null ? undefined : value[key]), record);
+}
+
+/**
+ * Sort records by a $orderby clause ("DocDate desc,DocEntry")
+ */
+function applyOrderBy(records, orderby) {
+  if (!orderby) return records;
+
+  const keys = orderby.split(',').map((part) => {
+    const [field, direction] = part.trim().split(/\s+/);
+    return { field, desc: direction?.toLowerCase() === 'desc' };
+  });
+
+  return [...records].sort((a, b) => {
+    for (const { field, desc } of keys) {
+      const av = getField(a, field);
+      const bv = getField(b, field);
+      if (av === bv) continue;
+      const result = av > bv ? 1 : -1;
+      return desc ? -result : result;
+    }
+    return 0;
+  });
+}
+
+/**
+ * Keep only the $select fields of a record
+ */
+function applySelect(record, select) {
+  if (!select) return record;
+
+  const selected = {};
+  for (const field of select.split(',').map((f) => f.trim()).filter(Boolean)) {
+    if (field in record) {
+      selected[field] = record[field];
+    }
+  }
+  return selected;
+}
+
+/**
+ * Run a collection query and build the Service Layer response body
+ *
+ * @param {Array} records - Full entity set
+ * @param {Object} query - Parsed query string ($filter, $select, ...)
+ * @param {Object} options
+ * @param {string} options.entitySet - Name used for metadata and nextLink
+ * @param {number} options.pageSize - Server page size (SAP default is 20)
+ * @returns {Object} { 'odata.metadata', value, 'odata.nextLink'? }
+ */
+function queryCollection(records, query, { entitySet, pageSize }) {
+  const predicate = parseFilter(query.$filter);
+  const sorted = applyOrderBy(records.filter(predicate), query.$orderby);
+
+  const skip = parseInt(query.$skip) || 0;
+  const top = query.$top !== undefined ? parseInt(query.$top) : null;
+
+  const available = sorted.slice(skip, top !== null ? skip + top : undefined);
+  const page = available.slice(0, pageSize);
+
+  const body = {
+    'odata.metadata': `$metadata#${entitySet}`,
+    value: page.map((record) => applySelect(record, query.$select)),
+  };
+
+  if (available.length > page.length) {
+    const params = new URLSearchParams();
+    for (const [key, value] of Object.entries(query)) {
+      if (key !== '$skip' && key !== '$top') params.set(key, value);
+    }
+    params.set('$skip', String(skip + page.length));
+    if (top !== null) params.set('$top', String(top - page.length));
+    body['odata.nextLink'] = `${entitySet}?${params.toString()}`;
+  }
+
+  return body;
+}
+
+module.exports = {
+  parseFilter,
+  applyOrderBy,
+  applySelect,
+  queryCollection,
+};
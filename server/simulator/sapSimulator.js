@@ -0,0 +1,471 @@
+/**
+ * SAP B1 Service Layer Simulator
+ * Express app that speaks enough of the Service Layer protocol for
+ * services/sapService.js to run against it unchanged:
+ *
+ * - POST /Login, /Logout with B1SESSION cookies and idle-timeout expiry (401)
+ * - GET collections with $filter/$select/$orderby/$top/$skip and odata.nextLink paging
+ * - GET /<EntitySet>(<key>) for documents and master data
+ * - POST /StockTransfers, /DeliveryNotes, /PurchaseDeliveryNotes,
+ *   /InventoryGenExits, /InventoryGenEntries (move in-memory batch/bin stock)
+ * - POST /PurchaseOrders (open quantities, drawn down by PurchaseDeliveryNotes
+ *   lines with BaseType 22) and /PurchaseOrders(<DocEntry>)/Close
+ * - PATCH /<Documents>(<DocEntry>) for header fields such as AttachmentEntry
+ * - POST /Attachments2 (multipart upload)
+ * - POST /SQLQueries and /SQLQueries('<code>')/List (allowlisted tables)
+ *
+ * A control API under /__simulator (no session needed) lets tests inspect
+ * state, set stock, expire sessions and inject faults.
+ *
+ * Fault rules ({ method, path, mode, status, code, message, times, probability, delayMs }):
+ * - mode 'error'          Reject before processing (default)
+ * - mode 'afterCommit'    Process the request, then answer with an error (lost response)
+ * - mode 'disconnect'     Drop the connection without answering
+ * - mode 'expireSession'  Answer 401 as if the session had timed out
+ *
+ * Usage:
+ *   const { createSapSimulator } = require('./simulator/sapSimulator');
+ *   const sim = createSapSimulator();
+ *   const { url } = await sim.listen(0);   // process.env.SAP_B1_SERVICE_URL = url
+ *   sim.faults.add({ method: 'POST', path: '/StockTransfers', status: 500 });
+ *   await sim.close();
+ */
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+const defaultSeed = require('./seedData');
+const { createStore, SapError, DOCUMENT_TYPES } = require('./sapStore');
+const { queryCollection } = require('./odata');
+const { executeSql } = require('./sqlQueries');
+
+const BASE_PATH = '/b1s/v1';
+const CONTROL_PATH = '/__simulator';
+
+// Key field for GET /<EntitySet>(<key>) on master data
+const ENTITY_KEYS = {
+  Items: 'ItemCode',
+  BusinessPartners: 'CardCode',
+  Warehouses: 'WarehouseCode',
+  BinLocations: 'AbsEntry',
+  BatchNumberDetails: 'DocEntry',
+  Attachments2: 'AbsoluteEntry',
+};
+
+/**
+ * Write a Service Layer error body
+ */
+function sendError(res, status, code, message) {
+  res.status(status).json({
+    error: {
+      code,
+      message: { lang: 'en-us', value: message },
+    },
+  });
+}
+
+/**
+ * Parse "'abc'" / "123" entity keys
+ */
+function parseKey(raw) {
+  const key = decodeURIComponent(raw);
+  return /^'.*'$/.test(key) ? key.slice(1, -1).replace(/''/g, "'") : Number(key);
+}
+
+function parseCookies(header = '') {
+  return Object.fromEntries(
+    header.split(';')
+      .map((part) => part.trim().split('='))
+      .filter(([name]) => name)
+      .map(([name, ...rest]) => [name, rest.join('=')])
+  );
+}
+
+/**
+ * Create a simulator instance
+ *
+ * @param {Object} options
+ * @param {Object} options.seed - Initial data (defaults to simulator/seedData.js)
+ * @param {string} options.companyDB - Accepted CompanyDB (null accepts any)
+ * @param {Object} options.users - { username: password } (null accepts any user name)
+ * @param {number} options.sessionTimeoutMs - Idle timeout before 401 (default 30 min, like SAP)
+ * @param {number} options.pageSize - Records per page for collections and SQL results (default 20)
+ * @param {Array<string>} options.sqlAllowlist - Tables SQLQueries may read (default all, see docs/sap-sqltable-allowlist.md)
+ * @param {boolean} options.log - Log each request to the console
+ * @returns {Object} { app, store, faults, expireSessions, reset, listen, close }
+ */
+function createSapSimulator(options = {}) {
+  const {
+    seed = defaultSeed,
+    companyDB = null,
+    users = null,
+    sessionTimeoutMs = 30 * 60 * 1000,
+    pageSize = 20,
+    sqlAllowlist = null,
+    log = false,
+  } = options;
+
+  const store = createStore(seed);
+  const sessions = new Map(); // sessionId -> { user, lastActivity }
+  const sqlQueries = new Map(); // SqlCode -> { SqlCode, SqlName, SqlText }
+  let faultRules = [];
+  let nextFaultId = 1;
+  let server = null;
+
+  // ------------------------------------------------------------
+  // Fault injection
+  // ------------------------------------------------------------
+
+  const faults = {
+    add(rule) {
+      const fault = {
+        id: nextFaultId++,
+        method: rule.method ? rule.method.toUpperCase() : null,
+        path: rule.path || '',
+        mode: rule.mode || 'error',
+        status: rule.status || 500,
+        code: rule.code ?? -1,
+        message: rule.message || 'Simulated Service Layer failure',
+        times: rule.times === undefined ? 1 : rule.times, // null = until cleared
+        probability: rule.probability ?? 1,
+        delayMs: rule.delayMs || 0,
+      };
+      faultRules.push(fault);
+      return fault;
+    },
+    remove(id) {
+      faultRules = faultRules.filter((f) => f.id !== id);
+    },
+    clear() {
+      faultRules = [];
+    },
+    list() {
+      return [...faultRules];
+    },
+  };
+
+  /**
+   * Find (and consume) the first fault rule that applies to a request
+   */
+  function takeFault(method, endpoint) {
+    const fault = faultRules.find((f) =>
+      (!f.method || f.method === method) &&
+      endpoint.startsWith(f.path) &&
+      Math.random() < f.probability
+    );
+    if (!fault) return null;
+
+    if (fault.times !== null) {
+      fault.times--;
+      if (fault.times <= 0) faults.remove(fault.id);
+    }
+    return fault;
+  }
+
+  function expireSessions() {
+    sessions.clear();
+  }
+
+  function reset(newSeed) {
+    store.reset(newSeed || seed);
+    sessions.clear();
+    sqlQueries.clear();
+    faults.clear();
+  }
+
+  // ------------------------------------------------------------
+  // Service Layer routes
+  // ------------------------------------------------------------
+
+  const api = express.Router();
+
+  if (log) {
+    api.use((req, res, next) => {
+      res.on('finish', () => console.log(`[SAP sim] ${req.method} ${req.originalUrl} -> ${res.statusCode}`));
+      next();
+    });
+  }
+
+  // Fault injection runs before anything else, including login
+  api.use(async (req, res, next) => {
+    const fault = takeFault(req.method, req.path);
+    if (!fault) return next();
+
+    if (fault.delayMs) {
+      await new Promise((resolve) => setTimeout(resolve, fault.delayMs));
+    }
+
+    switch (fault.mode) {
+      case 'disconnect':
+        return req.socket.destroy();
+      case 'expireSession':
+        return sendError(res, 401, 301, 'Invalid session or session already timeout.');
+      case 'afterCommit': {
+        // Let the handler run, then replace its successful answer
+        const json = res.json.bind(res);
+        res.json = (body) => {
+          if (res.statusCode < 400) {
+            res.status(fault.status);
+            return json({ error: { code: fault.code, message: { lang: 'en-us', value: fault.message } } });
+          }
+          return json(body);
+        };
+        return next();
+      }
+      default:
+        return sendError(res, fault.status, fault.code, fault.message);
+    }
+  });
+
+  api.post('/Login', (req, res) => {
+    const { CompanyDB, UserName, Password } = req.body || {};
+
+    const validCompany = !companyDB || CompanyDB === companyDB;
+    const validUser = users ? users[UserName] !== undefined && users[UserName] === Password : !!UserName;
+
+    if (!validCompany || !validUser) {
+      return sendError(res, 401, -304, 'Fail to get DB Credentials from SLD');
+    }
+
+    const sessionId = crypto.randomUUID();
+    sessions.set(sessionId, { user: UserName, lastActivity: Date.now() });
+
+    res.cookie('B1SESSION', sessionId, { httpOnly: true, path: BASE_PATH });
+    res.cookie('ROUTEID', '.node1', { path: BASE_PATH });
+    res.json({
+      'odata.metadata': '$metadata#B1Sessions/@Element',
+      SessionId: sessionId,
+      Version: '1000190',
+      SessionTimeout: Math.round(sessionTimeoutMs / 60000),
+    });
+  });
+
+  // Everything else needs a live session
+  api.use((req, res, next) => {
+    const sessionId = parseCookies(req.headers.cookie).B1SESSION;
+    const session = sessionId && sessions.get(sessionId);
+
+    if (!session || Date.now() - session.lastActivity > sessionTimeoutMs) {
+      if (sessionId) sessions.delete(sessionId);
+      return sendError(res, 401, 301, 'Invalid session or session already timeout.');
+    }
+
+    session.lastActivity = Date.now();
+    req.sapSessionId = sessionId;
+    next();
+  });
+
+  api.post('/Logout', (req, res) => {
+    sessions.delete(req.sapSessionId);
+    res.status(204).end();
+  });
+
+  api.post('/SQLQueries', (req, res) => {
+    const { SqlCode, SqlName, SqlText } = req.body || {};
+    if (!SqlCode || !SqlText) {
+      return sendError(res, 400, -1, 'SqlCode and SqlText are required');
+    }
+    if (sqlQueries.has(SqlCode)) {
+      return sendError(res, 400, -2035, `Query ${SqlCode} already exists`);
+    }
+    sqlQueries.set(SqlCode, { SqlCode, SqlName: SqlName || SqlCode, SqlText });
+    res.status(201).json(sqlQueries.get(SqlCode));
+  });
+
+  // /SQLQueries('<code>') and /SQLQueries('<code>')/List
+  api.all(/^\/SQLQueries\((.+?)\)(\/List)?\/?$/, (req, res) => {
+    const code = parseKey(req.params[0]);
+    const query = sqlQueries.get(code);
+
+    if (!query) {
+      return sendError(res, 404, -2028, `No matching records found (SQLQueries '${code}')`);
+    }
+
+    if (!req.params[1]) {
+      if (req.method === 'DELETE') {
+        sqlQueries.delete(code);
+        return res.status(204).end();
+      }
+      return res.json(query);
+    }
+
+    const rows = executeSql(store, query.SqlText, sqlAllowlist);
+    const skip = parseInt(req.query.$skip) || 0;
+    const page = rows.slice(skip, skip + pageSize);
+
+    const body = { 'odata.metadata': '$metadata#SQLQueryResult', SqlText: query.SqlText, value: page };
+    if (skip + page.length < rows.length) {
+      body['odata.nextLink'] = `SQLQueries('${code}')/List?$skip=${skip + page.length}`;
+    }
+    res.json(body);
+  });
+
+  api.post('/Attachments2', multer({ storage: multer.memoryStorage() }).array('files'), (req, res) => {
+    if (!req.files?.length) {
+      return sendError(res, 400, -1, 'No files in the request');
+    }
+    const attachment = store.postAttachment(req.files);
+    res.status(201).json({ 'odata.metadata': '$metadata#Attachments2/@Element', ...attachment });
+  });
+
+  // /<Documents>(<DocEntry>)/Close
+  api.post(/^\/([A-Za-z]+)\((.+?)\)\/Close\/?$/, (req, res) => {
+    const { 0: entitySetName, 1: rawKey } = req.params;
+    if (!DOCUMENT_TYPES[entitySetName]) {
+      return sendError(res, 404, -1, `Invalid resource path: ${entitySetName}`);
+    }
+    store.closeDocument(entitySetName, parseKey(rawKey));
+    res.status(204).end();
+  });
+
+  // /<EntitySet> and /<EntitySet>(<key>)
+  api.all(/^\/([A-Za-z]+)(?:\((.+?)\))?\/?$/, (req, res) => {
+    const { 0: entitySetName, 1: rawKey } = req.params;
+    const records = store.entitySet(entitySetName);
+
+    if (!records) {
+      return sendError(res, 404, -1, `Invalid resource path: ${entitySetName}`);
+    }
+
+    if (req.method === 'POST' && !rawKey && DOCUMENT_TYPES[entitySetName]) {
+      const document = store.postDocument(entitySetName, req.body || {});
+      return res.status(201).json({ 'odata.metadata': `$metadata#${entitySetName}/@Element`, ...document });
+    }
+
+    if (req.method === 'PATCH' && rawKey && DOCUMENT_TYPES[entitySetName]) {
+      store.patchDocument(entitySetName, parseKey(rawKey), req.body || {});
+      return res.status(204).end();
+    }
+
+    if (req.method !== 'GET') {
+      return sendError(res, 405, -1, `Method ${req.method} not supported on ${entitySetName}`);
+    }
+
+    if (rawKey) {
+      const key = parseKey(rawKey);
+      const keyField = ENTITY_KEYS[entitySetName] || 'DocEntry';
+      const record = records.find((r) => r[keyField] === key);
+      if (!record) {
+        return sendError(res, 404, -2028, 'No matching records found (ODBC -2028)');
+      }
+      return res.json({ 'odata.metadata': `$metadata#${entitySetName}/@Element`, ...record });
+    }
+
+    const maxPageSize = /odata\.maxpagesize=(\d+)/.exec(req.headers.prefer || '');
+    res.json(queryCollection(records, req.query, {
+      entitySet: entitySetName,
+      pageSize: maxPageSize ? parseInt(maxPageSize[1]) : pageSize,
+    }));
+  });
+
+  api.use((req, res) => {
+    sendError(res, 404, -1, `Invalid resource path: ${req.path}`);
+  });
+
+  api.use((error, req, res, next) => {
+    if (error instanceof SapError) {
+      return sendError(res, error.status, error.code, error.message);
+    }
+    if (error.type === 'entity.parse.failed') {
+      return sendError(res, 400, -1, 'Invalid JSON in request body');
+    }
+    console.error('[SAP sim] Unexpected error:', error);
+    sendError(res, 500, -1, error.message);
+  });
+
+  // ------------------------------------------------------------
+  // Control API
+  // ------------------------------------------------------------
+
+  const control = express.Router();
+
+  control.get('/state', (req, res) => {
+    res.json({
+      sessions: sessions.size,
+      faults: faults.list(),
+      sqlQueries: [...sqlQueries.keys()],
+      stock: store.listStock(),
+      documents: Object.fromEntries(
+        Object.keys(DOCUMENT_TYPES).map((name) => [name, store.entitySet(name).length])
+      ),
+    });
+  });
+
+  control.get('/documents/:entitySet', (req, res) => {
+    const records = DOCUMENT_TYPES[req.params.entitySet] && store.entitySet(req.params.entitySet);
+    if (!records) {
+      return res.status(404).json({ error: 'Unknown document type' });
+    }
+    res.json(records);
+  });
+
+  control.post('/stock', (req, res) => {
+    const rows = Array.isArray(req.body) ? req.body : [req.body];
+    rows.forEach((row) => store.setStock(row));
+    res.json({ success: true, stock: store.listStock() });
+  });
+
+  control.get('/faults', (req, res) => res.json(faults.list()));
+  control.post('/faults', (req, res) => res.status(201).json(faults.add(req.body || {})));
+  control.delete('/faults', (req, res) => {
+    faults.clear();
+    res.json({ success: true });
+  });
+  control.delete('/faults/:id', (req, res) => {
+    faults.remove(parseInt(req.params.id));
+    res.json({ success: true });
+  });
+
+  control.post('/sessions/expire', (req, res) => {
+    expireSessions();
+    res.json({ success: true });
+  });
+
+  control.post('/reset', (req, res) => {
+    reset(req.body && Object.keys(req.body).length > 0 ? req.body : undefined);
+    res.json({ success: true });
+  });
+
+  const app = express();
+  app.use(express.json({ limit: '5mb' }));
+  app.use(BASE_PATH, api);
+  app.use(CONTROL_PATH, control);
+
+  /**
+   * Start listening
+   * @param {number} port - 0 picks a free port
+   * @returns {Promise<{ port: number, url: string }>} url is the Service Layer base URL
+   */
+  function listen(port = 0, host = '127.0.0.1') {
+    return new Promise((resolve, reject) => {
+      server = app.listen(port, host, () => {
+        const actualPort = server.address().port;
+        resolve({ port: actualPort, url: `http://${host}:${actualPort}${BASE_PATH}` });
+      });
+      server.on('error', reject);
+    });
+  }
+
+  function close() {
+    return new Promise((resolve) => {
+      if (!server) return resolve();
+      server.closeAllConnections?.();
+      server.close(() => resolve());
+      server = null;
+    });
+  }
+
+  return {
+    app,
+    store,
+    faults,
+    expireSessions,
+    reset,
+    listen,
+    close,
+  };
+}
+
+module.exports = {
+  createSapSimulator,
+  BASE_PATH,
+};
@@ -0,0 +1,616 @@
+/**
+ * In-memory SAP B1 data for the Service Layer simulator
+ * Holds master data (items, business partners, warehouses, bins, batches),
+ * batch stock per warehouse/bin, the marketing documents posted to it and
+ * their attachments (file names and sizes only).
+ *
+ * Posting a document validates every line first and only then moves stock,
+ * so a rejected document leaves the stock untouched (same as SAP).
+ *
+ * Purchase orders move no stock: their lines keep a RemainingOpenQuantity
+ * that purchase delivery notes copied from them (BaseType 22) draw down, and
+ * the order closes itself once every line is fully delivered.
+ *
+ * Stock key: ItemCode|Batch|WarehouseCode|BinAbsEntry (0 = warehouse without bins)
+ */
+
+/**
+ * Service Layer style error
+ * Serialized as { error: { code, message: { lang, value } } }
+ */
+class SapError extends Error {
+  constructor(code, message, status = 400) {
+    super(message);
+    this.code = code;
+    this.status = status;
+  }
+}
+
+// Entity sets the simulator accepts documents for
+const DOCUMENT_TYPES = {
+  PurchaseOrders: { linesKey: 'DocumentLines', binKey: 'DocumentLinesBinAllocations', firstDocNum: 1000, movesStock: false },
+  StockTransfers: { linesKey: 'StockTransferLines', binKey: 'StockTransferLinesBinAllocations', firstDocNum: 5000 },
+  DeliveryNotes: { linesKey: 'DocumentLines', binKey: 'DocumentLinesBinAllocations', firstDocNum: 7000 },
+  PurchaseDeliveryNotes: { linesKey: 'DocumentLines', binKey: 'DocumentLinesBinAllocations', firstDocNum: 3000 },
+  InventoryGenExits: { linesKey: 'DocumentLines', binKey: 'DocumentLinesBinAllocations', firstDocNum: 9000 },
+  InventoryGenEntries: { linesKey: 'DocumentLines', binKey: 'DocumentLinesBinAllocations', firstDocNum: 8000 },
+};
+
+// SAP object type of a base document (BaseType) and its entity set
+const BASE_DOCUMENT_TYPES = {
+  22: 'PurchaseOrders',
+};
+
+const toDateString = (value) => (value ? new Date(value).toISOString().split('T')[0] : null);
+const stockKey = (itemCode, batch, warehouseCode, binAbsEntry) =>
+  `${itemCode}|${batch}|${warehouseCode}|${binAbsEntry || 0}`;
+
+/**
+ * Create a store loaded with seed data
+ *
+ * @param {Object} seed - See simulator/seedData.js for the shape
+ * @returns {Object} Store API
+ */
+function createStore(seed) {
+  let state;
+
+  function reset(newSeed = seed) {
+    const data = JSON.parse(JSON.stringify(newSeed));
+
+    state = {
+      items: new Map(data.items.map((i) => [i.ItemCode, i])),
+      businessPartners: new Map(data.businessPartners.map((bp) => [bp.CardCode, bp])),
+      warehouses: new Map(data.warehouses.map((w) => [w.WarehouseCode, w])),
+      bins: new Map(data.bins.map((b) => [b.AbsEntry, b])),
+      batches: new Map(),
+      stock: new Map(),
+      documents: {},
+      sequences: {},
+      nextBatchAbsEntry: 1,
+      attachments: [],
+      nextAttachmentEntry: 1,
+    };
+
+    for (const [entitySet, config] of Object.entries(DOCUMENT_TYPES)) {
+      state.documents[entitySet] = [];
+      state.sequences[entitySet] = { docEntry: 1, docNum: config.firstDocNum };
+    }
+
+    for (const row of data.stock || []) {
+      ensureBatch(row.ItemCode, row.Batch, row.ExpDate);
+      setStock(row);
+    }
+  }
+
+  // ------------------------------------------------------------
+  // Master data
+  // ------------------------------------------------------------
+
+  function getBatch(itemCode, batchNumber) {
+    return state.batches.get(`${itemCode}|${batchNumber}`) || null;
+  }
+
+  function ensureBatch(itemCode, batchNumber, expiryDate = null) {
+    const existing = getBatch(itemCode, batchNumber);
+    if (existing) return existing;
+
+    const batch = {
+      AbsEntry: state.nextBatchAbsEntry++,
+      ItemCode: itemCode,
+      Batch: batchNumber,
+      ExpDate: toDateString(expiryDate),
+      InDate: toDateString(new Date()),
+    };
+    state.batches.set(`${itemCode}|${batchNumber}`, batch);
+    return batch;
+  }
+
+  /**
+   * Default bin for a bin-enabled warehouse (SAP's system bin)
+   */
+  function getDefaultBin(warehouseCode) {
+    const warehouse = state.warehouses.get(warehouseCode);
+    return warehouse?.DefaultBin || null;
+  }
+
+  /**
+   * Overwrite the quantity of one stock position (used by seed and the control API)
+   */
+  function setStock({ ItemCode, Batch, WarehouseCode, BinAbsEntry, Quantity, ExpDate }) {
+    const binAbsEntry = BinAbsEntry || getDefaultBin(WarehouseCode) || 0;
+    ensureBatch(ItemCode, Batch, ExpDate);
+    const key = stockKey(ItemCode, Batch, WarehouseCode, binAbsEntry);
+    if (Quantity > 0) {
+      state.stock.set(key, Quantity);
+    } else {
+      state.stock.delete(key);
+    }
+  }
+
+  function getStock(itemCode, batchNumber, warehouseCode, binAbsEntry) {
+    return state.stock.get(stockKey(itemCode, batchNumber, warehouseCode, binAbsEntry)) || 0;
+  }
+
+  /**
+   * All non-zero stock positions with batch and bin details
+   */
+  function listStock() {
+    const rows = [];
+    for (const [key, quantity] of state.stock) {
+      const [itemCode, batchNumber, warehouseCode, bin] = key.split('|');
+      const binAbsEntry = parseInt(bin) || null;
+      const batch = getBatch(itemCode, batchNumber);
+      rows.push({
+        ItemCode: itemCode,
+        Batch: batchNumber,
+        BatchAbsEntry: batch?.AbsEntry,
+        ExpDate: batch?.ExpDate || null,
+        WarehouseCode: warehouseCode,
+        BinAbsEntry: binAbsEntry,
+        BinCode: binAbsEntry ? state.bins.get(binAbsEntry)?.BinCode : null,
+        Quantity: quantity,
+      });
+    }
+    return rows;
+  }
+
+  // ------------------------------------------------------------
+  // Documents
+  // ------------------------------------------------------------
+
+  /**
+   * Resolve the bin for one side of a movement
+   * Bin-enabled warehouses fall back to their default bin when no allocation is sent.
+   */
+  function resolveBin(warehouseCode, binAbsEntry, lineLabel) {
+    const warehouse = state.warehouses.get(warehouseCode);
+    if (!warehouse) {
+      throw new SapError(-2028, `Warehouse ${warehouseCode} does not exist ${lineLabel}`);
+    }
+
+    if (warehouse.EnableBinLocations !== 'tYES') {
+      if (binAbsEntry) {
+        throw new SapError(-10, `Bin locations are not enabled for warehouse ${warehouseCode} ${lineLabel}`);
+      }
+      return 0;
+    }
+
+    const resolved = binAbsEntry || warehouse.DefaultBin;
+    const bin = state.bins.get(resolved);
+    if (!bin || bin.Warehouse !== warehouseCode) {
+      throw new SapError(-10, `Bin location ${resolved} does not belong to warehouse ${warehouseCode} ${lineLabel}`);
+    }
+    return resolved;
+  }
+
+  /**
+   * Turn a document payload into stock movements
+   * @returns {Array} [{ itemCode, batch, expiryDate, warehouseCode, binAbsEntry, delta, line }]
+   */
+  function buildMovements(entitySet, payload) {
+    const { linesKey, binKey } = DOCUMENT_TYPES[entitySet];
+    const lines = payload[linesKey];
+
+    if (!Array.isArray(lines) || lines.length === 0) {
+      throw new SapError(-5002, `Document must contain at least one line [${linesKey}]`);
+    }
+
+    const movements = [];
+
+    lines.forEach((line, index) => {
+      const lineLabel = `[${linesKey}.ItemCode][line: ${index + 1}]`;
+
+      if (!line.ItemCode || !state.items.has(line.ItemCode)) {
+        throw new SapError(-5009, `Item number is missing or invalid ${lineLabel}`);
+      }
+      if (!(line.Quantity > 0)) {
+        throw new SapError(-5002, `Quantity must be greater than zero ${lineLabel}`);
+      }
+      if (DOCUMENT_TYPES[entitySet].movesStock === false) {
+        return;
+      }
+
+      const batches = line.BatchNumbers || [];
+      if (batches.length === 0) {
+        throw new SapError(-10, `Batch number is required for item ${line.ItemCode} ${lineLabel}`);
+      }
+      const batchTotal = batches.reduce((sum, b) => sum + (b.Quantity || 0), 0);
+      if (batchTotal !== line.Quantity) {
+        throw new SapError(-10, `Batch quantities (${batchTotal}) do not match line quantity (${line.Quantity}) ${lineLabel}`);
+      }
+
+      const allocations = line[binKey] || [];
+      const fromAllocation = allocations.find((a) => a.BinActionType === 'batFromWarehouse');
+      const toAllocation = allocations.find((a) => a.BinActionType === 'batToWarehouse');
+      const plainAllocation = allocations.find((a) => !a.BinActionType);
+
+      for (const batch of batches) {
+        const base = {
+          itemCode: line.ItemCode,
+          batch: batch.BatchNumber,
+          expiryDate: batch.ExpiryDate || null,
+          line: index,
+        };
+
+        if (entitySet === 'StockTransfers') {
+          const fromWarehouse = line.FromWarehouseCode || payload.FromWarehouse;
+          const toWarehouse = line.WarehouseCode || payload.ToWarehouse;
+          movements.push({
+            ...base,
+            warehouseCode: fromWarehouse,
+            binAbsEntry: resolveBin(fromWarehouse, fromAllocation?.BinAbsEntry, lineLabel),
+            delta: -batch.Quantity,
+          });
+          movements.push({
+            ...base,
+            warehouseCode: toWarehouse,
+            binAbsEntry: resolveBin(toWarehouse, toAllocation?.BinAbsEntry, lineLabel),
+            delta: batch.Quantity,
+          });
+        } else {
+          const inbound = entitySet === 'PurchaseDeliveryNotes' || entitySet === 'InventoryGenEntries';
+          movements.push({
+            ...base,
+            warehouseCode: line.WarehouseCode,
+            binAbsEntry: resolveBin(line.WarehouseCode, plainAllocation?.BinAbsEntry, lineLabel),
+            delta: inbound ? batch.Quantity : -batch.Quantity,
+          });
+        }
+      }
+    });
+
+    return movements;
+  }
+
+  /**
+   * Validate movements against current stock without applying them
+   */
+  function checkMovements(entitySet, movements) {
+    const { linesKey } = DOCUMENT_TYPES[entitySet];
+    const needed = new Map();
+
+    for (const m of movements) {
+      const existing = getBatch(m.itemCode, m.batch);
+
+      if (m.delta > 0) {
+        // Inbound documents may create the batch; transfers can only move existing ones
+        if (!existing && !m.expiryDate && entitySet === 'PurchaseDeliveryNotes') {
+          throw new SapError(-10, `Expiry date is required for new batch ${m.batch} [${linesKey}][line: ${m.line + 1}]`);
+        }
+        continue;
+      }
+
+      if (!existing) {
+        throw new SapError(-10, `Batch ${m.batch} does not exist for item ${m.itemCode} [${linesKey}][line: ${m.line + 1}]`);
+      }
+
+      const key = stockKey(m.itemCode, m.batch, m.warehouseCode, m.binAbsEntry);
+      needed.set(key, { movement: m, quantity: (needed.get(key)?.quantity || 0) - m.delta });
+    }
+
+    for (const [key, { movement, quantity }] of needed) {
+      const available = state.stock.get(key) || 0;
+      if (available < quantity) {
+        throw new SapError(
+          -10,
+          `Quantity falls into negative inventory: item ${movement.itemCode}, batch ${movement.batch}, ` +
+          `warehouse ${movement.warehouseCode}${movement.binAbsEntry ? `, bin ${movement.binAbsEntry}` : ''} ` +
+          `(available ${available}, requested ${quantity}) [${linesKey}][line: ${movement.line + 1}]`
+        );
+      }
+    }
+  }
+
+  function applyMovements(movements) {
+    for (const m of movements) {
+      if (m.delta > 0) {
+        ensureBatch(m.itemCode, m.batch, m.expiryDate);
+      }
+      const key = stockKey(m.itemCode, m.batch, m.warehouseCode, m.binAbsEntry);
+      const quantity = (state.stock.get(key) || 0) + m.delta;
+      if (quantity > 0) {
+        state.stock.set(key, quantity);
+      } else {
+        state.stock.delete(key);
+      }
+    }
+  }
+
+  /**
+   * Validate the business partner required by a document type
+   */
+  function checkBusinessPartner(entitySet, payload) {
+    const cardType = {
+      DeliveryNotes: 'cCustomer',
+      PurchaseDeliveryNotes: 'cSupplier',
+      PurchaseOrders: 'cSupplier',
+    }[entitySet];
+
+    if (!cardType && !payload.CardCode) return null;
+
+    const bp = state.businessPartners.get(payload.CardCode);
+    if (!bp) {
+      throw new SapError(-2028, `Business partner ${payload.CardCode || '(empty)'} does not exist [CardCode]`);
+    }
+    if (cardType && bp.CardType !== cardType) {
+      throw new SapError(-5002, `Business partner ${payload.CardCode} is not a ${cardType === 'cCustomer' ? 'customer' : 'supplier'} [CardCode]`);
+    }
+    return bp;
+  }
+
+  /**
+   * Validate lines copied from a base document (BaseType/BaseEntry/BaseLine)
+   * The base line must be open, for the same item and partner, and have enough
+   * open quantity for every line of this document that draws on it.
+   *
+   * @returns {Array} [{ baseLine, quantity }] to draw down once the document is posted
+   */
+  function checkBaseDocuments(entitySet, payload) {
+    const { linesKey } = DOCUMENT_TYPES[entitySet];
+    const draws = new Map();
+
+    payload[linesKey].forEach((line, index) => {
+      if (line.BaseType === undefined || line.BaseType === null || line.BaseType === -1) return;
+
+      const lineLabel = `[${linesKey}.BaseEntry][line: ${index + 1}]`;
+      const baseEntitySet = BASE_DOCUMENT_TYPES[line.BaseType];
+      if (!baseEntitySet) {
+        throw new SapError(-5002, `Base document type ${line.BaseType} is not supported ${lineLabel}`);
+      }
+
+      const base = getDocument(baseEntitySet, line.BaseEntry);
+      if (!base) {
+        throw new SapError(-2028, `Base document ${line.BaseEntry} does not exist ${lineLabel}`);
+      }
+      if (base.CardCode !== payload.CardCode) {
+        throw new SapError(-5002, `Base document ${base.DocNum} belongs to business partner ${base.CardCode} ${lineLabel}`);
+      }
+
+      const baseLine = base[DOCUMENT_TYPES[baseEntitySet].linesKey].find((l) => l.LineNum === line.BaseLine);
+      if (!baseLine) {
+        throw new SapError(-2028, `Line ${line.BaseLine} does not exist in base document ${base.DocNum} ${lineLabel}`);
+      }
+      if (baseLine.ItemCode !== line.ItemCode) {
+        throw new SapError(-5002, `Item ${line.ItemCode} does not match base document line item ${baseLine.ItemCode} ${lineLabel}`);
+      }
+      if (base.DocumentStatus !== 'bost_Open' || baseLine.LineStatus !== 'bost_Open') {
+        throw new SapError(-5002, `Base document ${base.DocNum} line ${line.BaseLine} is closed ${lineLabel}`);
+      }
+
+      const quantity = (draws.get(baseLine)?.quantity || 0) + line.Quantity;
+      if (quantity > baseLine.RemainingOpenQuantity) {
+        throw new SapError(
+          -5002,
+          `Quantity exceeds the open quantity of base document ${base.DocNum} line ${line.BaseLine} ` +
+          `(open ${baseLine.RemainingOpenQuantity}, requested ${quantity}) ${lineLabel}`
+        );
+      }
+      draws.set(baseLine, { base, baseEntitySet, baseLine, quantity });
+    });
+
+    return [...draws.values()];
+  }
+
+  /**
+   * Draw down base lines; a document closes once all its lines are delivered
+   */
+  function applyBaseDraws(draws) {
+    for (const { base, baseEntitySet, baseLine, quantity } of draws) {
+      baseLine.RemainingOpenQuantity -= quantity;
+      if (baseLine.RemainingOpenQuantity === 0) {
+        baseLine.LineStatus = 'bost_Close';
+      }
+      if (base[DOCUMENT_TYPES[baseEntitySet].linesKey].every((l) => l.LineStatus === 'bost_Close')) {
+        base.DocumentStatus = 'bost_Close';
+      }
+    }
+  }
+
+  /**
+   * Post a document: validate, move stock, store it
+   *
+   * @param {string} entitySet - Key of DOCUMENT_TYPES
+   * @param {Object} payload - Request body as sent to the Service Layer
+   * @returns {Object} Stored document (with DocEntry, DocNum)
+   * @throws {SapError} When the document is rejected
+   */
+  function postDocument(entitySet, payload) {
+    const { linesKey, binKey } = DOCUMENT_TYPES[entitySet];
+
+    const bp = checkBusinessPartner(entitySet, payload);
+    const movements = buildMovements(entitySet, payload);
+    checkMovements(entitySet, movements);
+    const draws = checkBaseDocuments(entitySet, payload);
+    applyMovements(movements);
+    applyBaseDraws(draws);
+
+    const sequence = state.sequences[entitySet];
+    const document = {
+      ...payload,
+      DocEntry: sequence.docEntry++,
+      DocNum: sequence.docNum++,
+      DocDate: toDateString(payload.DocDate || new Date()),
+      CardName: bp?.CardName || null,
+      Comments: payload.Comments || null,
+      DocumentStatus: 'bost_Open',
+      CreationDate: toDateString(new Date()),
+      [linesKey]: payload[linesKey].map((line, index) => {
+        // Record the bins actually used so fetches and SQL joins see them
+        const lineMovements = movements.filter((m) => m.line === index && m.binAbsEntry);
+        const allocations = lineMovements.map((m) => ({
+          BinAbsEntry: m.binAbsEntry,
+          Quantity: Math.abs(m.delta),
+          SerialAndBatchNumbersBaseLine: 0,
+          ...(entitySet === 'StockTransfers' && {
+            BinActionType: m.delta < 0 ? 'batFromWarehouse' : 'batToWarehouse',
+          }),
+        }));
+
+        return {
+          ...line,
+          LineNum: index,
+          ...(entitySet === 'PurchaseOrders' && {
+            RemainingOpenQuantity: line.Quantity,
+            LineStatus: 'bost_Open',
+          }),
+          ...(entitySet === 'StockTransfers' && {
+            FromWarehouseCode: line.FromWarehouseCode || payload.FromWarehouse,
+            WarehouseCode: line.WarehouseCode || payload.ToWarehouse,
+          }),
+          [binKey]: allocations,
+        };
+      }),
+    };
+
+    state.documents[entitySet].push(document);
+    return document;
+  }
+
+  function getDocument(entitySet, docEntry) {
+    return state.documents[entitySet].find((d) => d.DocEntry === docEntry) || null;
+  }
+
+  /**
+   * Update header fields of a posted document (PATCH)
+   * Lines are fixed once posted, as in SAP.
+   *
+   * @throws {SapError} When the document or the referenced attachment does not exist
+   */
+  function patchDocument(entitySet, docEntry, changes) {
+    const document = getDocument(entitySet, docEntry);
+    if (!document) {
+      throw new SapError(-2028, 'No matching records found (ODBC -2028)', 404);
+    }
+    if (changes[DOCUMENT_TYPES[entitySet].linesKey]) {
+      throw new SapError(-5006, 'Document lines cannot be updated');
+    }
+    if (changes.AttachmentEntry !== undefined && !state.attachments.some((a) => a.AbsoluteEntry === changes.AttachmentEntry)) {
+      throw new SapError(-2028, `Attachment ${changes.AttachmentEntry} does not exist [AttachmentEntry]`);
+    }
+    Object.assign(document, changes);
+    return document;
+  }
+
+  /**
+   * Close an open document (POST /<Documents>(<DocEntry>)/Close)
+   * Open lines are closed as they are; their remaining quantity is no longer expected.
+   *
+   * @throws {SapError} When the document does not exist or is already closed
+   */
+  function closeDocument(entitySet, docEntry) {
+    const document = getDocument(entitySet, docEntry);
+    if (!document) {
+      throw new SapError(-2028, 'No matching records found (ODBC -2028)', 404);
+    }
+    if (document.DocumentStatus !== 'bost_Open') {
+      throw new SapError(-5002, `Document ${document.DocNum} is already closed`);
+    }
+    document.DocumentStatus = 'bost_Close';
+    for (const line of document[DOCUMENT_TYPES[entitySet].linesKey]) {
+      line.LineStatus = 'bost_Close';
+    }
+    return document;
+  }
+
+  /**
+   * Store an attachment (Attachments2) for uploaded files
+   * @param {Array<{ originalname: string, size: number }>} files
+   * @throws {SapError} When a file name is already in the attachments folder
+   */
+  function postAttachment(files) {
+    const lines = files.map((file, index) => {
+      const dot = file.originalname.lastIndexOf('.');
+      return {
+        LineNum: index + 1,
+        SourcePath: 'C:\\SAP\\Attachments',
+        FileName: dot > 0 ? file.originalname.slice(0, dot) : file.originalname,
+        FileExtension: dot > 0 ? file.originalname.slice(dot + 1) : '',
+        AttachmentDate: toDateString(new Date()),
+        Size: file.size,
+      };
+    });
+
+    const existing = new Set(state.attachments.flatMap((a) => a.Attachments2_Lines.map((l) => `${l.FileName}.${l.FileExtension}`)));
+    const duplicate = lines.find((l) => existing.has(`${l.FileName}.${l.FileExtension}`));
+    if (duplicate) {
+      throw new SapError(-5002, `File ${duplicate.FileName}.${duplicate.FileExtension} already exists in the attachments folder`);
+    }
+
+    const attachment = { AbsoluteEntry: state.nextAttachmentEntry++, Attachments2_Lines: lines };
+    state.attachments.push(attachment);
+    return attachment;
+  }
+
+  // ------------------------------------------------------------
+  // Entity set views (what GET /<EntitySet> returns)
+  // ------------------------------------------------------------
+
+  function entitySet(name) {
+    if (DOCUMENT_TYPES[name]) {
+      return state.documents[name];
+    }
+
+    switch (name) {
+      case 'Items':
+        return [...state.items.values()];
+      case 'BusinessPartners':
+        return [...state.businessPartners.values()];
+      case 'Warehouses':
+        return [...state.warehouses.values()];
+      case 'BinLocations':
+        return [...state.bins.values()];
+      case 'Attachments2':
+        return state.attachments;
+      case 'BatchNumberDetails':
+        // Like the real endpoint: master data only, no quantities
+        return [...state.batches.values()].map((b) => ({
+          DocEntry: b.AbsEntry,
+          ItemCode: b.ItemCode,
+          ItemDescription: state.items.get(b.ItemCode)?.ItemName || null,
+          Batch: b.Batch,
+          ExpirationDate: b.ExpDate,
+          AdmissionDate: b.InDate,
+          Status: 'bdsStatus_Released',
+        }));
+      case 'ItemWarehouseInfoCollection': {
+        const totals = new Map();
+        for (const row of listStock()) {
+          const key = `${row.ItemCode}|${row.WarehouseCode}`;
+          totals.set(key, (totals.get(key) || 0) + row.Quantity);
+        }
+        return [...totals].map(([key, inStock]) => {
+          const [itemCode, warehouseCode] = key.split('|');
+          return { ItemCode: itemCode, WarehouseCode: warehouseCode, InStock: inStock, Committed: 0, Ordered: 0 };
+        });
+      }
+      default:
+        return null;
+    }
+  }
+
+  reset(seed);
+
+  return {
+    reset,
+    getBatch,
+    ensureBatch,
+    setStock,
+    getStock,
+    listStock,
+    postDocument,
+    getDocument,
+    patchDocument,
+    closeDocument,
+    postAttachment,
+    entitySet,
+    get state() {
+      return state;
+    },
+  };
+}
+
+module.exports = {
+  createStore,
+  SapError,
+  DOCUMENT_TYPES,
+};
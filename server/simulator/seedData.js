@@ -0,0 +1,45 @@
+/**
+ * Default data for the SAP Service Layer simulator
+ * Mirrors the production layout: warehouse 01 (main, no bins) and
+ * warehouse 10 (consignment, one bin per centro — see scripts/import-centros.js).
+ *
+ * A different seed can be passed with --seed <file.json> (same shape).
+ */
+module.exports = {
+  items: [
+    { ItemCode: '419113', ItemName: 'Orsiro Mission 2.25/15', ManageBatchNumbers: 'tYES' },
+    { ItemCode: '419119', ItemName: 'Orsiro Mission 2.25/18', ManageBatchNumbers: 'tYES' },
+    { ItemCode: '419125', ItemName: 'Orsiro Mission 2.25/22', ManageBatchNumbers: 'tYES' },
+    { ItemCode: '419165', ItemName: 'Orsiro Mission 3.0/15', ManageBatchNumbers: 'tYES' },
+    { ItemCode: '419183', ItemName: 'Orsiro Mission 3.5/15', ManageBatchNumbers: 'tYES' },
+  ],
+
+  businessPartners: [
+    { CardCode: 'P00031', CardName: 'CENTRALMED', CardType: 'cSupplier', Phone1: null, EmailAddress: null, Address: null },
+    { CardCode: 'C00013', CardName: 'CECANOR', CardType: 'cCustomer', Phone1: null, EmailAddress: null, Address: null },
+    { CardCode: 'C00017', CardName: 'CDC', CardType: 'cCustomer', Phone1: null, EmailAddress: null, Address: null },
+    { CardCode: 'C00021', CardName: 'INCAE', CardType: 'cCustomer', Phone1: null, EmailAddress: null, Address: null },
+  ],
+
+  warehouses: [
+    { WarehouseCode: '01', WarehouseName: 'Bodega Principal', EnableBinLocations: 'tNO' },
+    { WarehouseCode: '10', WarehouseName: 'Consignación', EnableBinLocations: 'tYES', DefaultBin: 1 },
+  ],
+
+  bins: [
+    { AbsEntry: 1, BinCode: '10-SYSTEM-BIN-LOCATION', Warehouse: '10' },
+    { AbsEntry: 4, BinCode: '10-CECANOR', Warehouse: '10' },
+    { AbsEntry: 37, BinCode: '10-INCAE', Warehouse: '10' },
+    { AbsEntry: 38, BinCode: '10-CENICARDIO', Warehouse: '10' },
+    { AbsEntry: 40, BinCode: '10-CERECA', Warehouse: '10' },
+    { AbsEntry: 45, BinCode: '10-CCVNORTE', Warehouse: '10' },
+  ],
+
+  stock: [
+    { ItemCode: '419113', Batch: '06253084', ExpDate: '2028-07-09', WarehouseCode: '01', Quantity: 10 },
+    { ItemCode: '419119', Batch: '06253781', ExpDate: '2028-07-12', WarehouseCode: '01', Quantity: 8 },
+    { ItemCode: '419125', Batch: '06252210', ExpDate: '2027-11-30', WarehouseCode: '01', Quantity: 5 },
+    { ItemCode: '419113', Batch: '06251742', ExpDate: '2027-03-15', WarehouseCode: '10', BinAbsEntry: 4, Quantity: 3 },
+    { ItemCode: '419165', Batch: '06250918', ExpDate: '2027-06-01', WarehouseCode: '10', BinAbsEntry: 37, Quantity: 2 },
+  ],
+};
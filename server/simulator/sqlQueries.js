@@ -0,0 +1,405 @@
+/**
+ * SQLQueries support for the SAP Service Layer simulator
+ *
+ * The app reads batch stock and reconciliation data through stored SQL
+ * queries (see docs/sap-sqlqueries-setup.md). This module exposes the
+ * allowlisted tables as virtual tables over the in-memory store and runs
+ * the small SQL subset those queries use:
+ *
+ *   SELECT [DISTINCT] [TOP n] col [AS alias], ...
+ *   FROM table alias
+ *   [INNER|LEFT] JOIN table alias ON a.x = b.y [AND a.z = 1] ...
+ *   [WHERE cond AND cond ...]       -- =, <>, >, >=, <, <=, LIKE, IN (...)
+ *   [ORDER BY col [ASC|DESC], ...]
+ *
+ * Column names are case-insensitive, like SQL Server.
+ */
+const { SapError } = require('./sapStore');
+
+// SAP object type codes used in IBT1.BaseType
+const BASE_TYPES = {
+  PurchaseDeliveryNotes: 20,
+  DeliveryNotes: 15,
+  StockTransfers: 67,
+};
+
+/**
+ * Build the rows of every allowlisted table from the store
+ * @returns {Object} { TABLE: Array<row> }
+ */
+function buildTables(store) {
+  const { state } = store;
+  const stock = store.listStock();
+
+  const tables = {
+    OBTN: [...state.batches.values()].map((b) => ({
+      AbsEntry: b.AbsEntry,
+      ItemCode: b.ItemCode,
+      DistNumber: b.Batch,
+      ExpDate: b.ExpDate,
+      InDate: b.InDate,
+    })),
+    OBIN: [...state.bins.values()].map((b) => ({
+      AbsEntry: b.AbsEntry,
+      BinCode: b.BinCode,
+      WhsCode: b.Warehouse,
+    })),
+    OBBQ: stock
+      .filter((s) => s.BinAbsEntry)
+      .map((s) => ({
+        ItemCode: s.ItemCode,
+        SnBMDAbs: s.BatchAbsEntry,
+        BinAbs: s.BinAbsEntry,
+        WhsCode: s.WarehouseCode,
+        OnHandQty: s.Quantity,
+      })),
+    OIBT: [],
+  };
+
+  // OIBT is per warehouse: sum the bins
+  const byWarehouse = new Map();
+  for (const s of stock) {
+    const key = `${s.ItemCode}|${s.Batch}|${s.WarehouseCode}`;
+    const row = byWarehouse.get(key) || {
+      ItemCode: s.ItemCode,
+      BatchNum: s.Batch,
+      WhsCode: s.WarehouseCode,
+      Quantity: 0,
+      ExpDate: s.ExpDate,
+    };
+    row.Quantity += s.Quantity;
+    byWarehouse.set(key, row);
+  }
+  tables.OIBT = [...byWarehouse.values()];
+
+  // Document headers, lines, batch and bin allocations
+  tables.IBT1 = [];
+  tables.WTQ1 = [];
+
+  const documentTables = [
+    ['PurchaseDeliveryNotes', 'OPDN', 'PDN1', 'DocumentLines'],
+    ['DeliveryNotes', 'ODLN', 'DLN1', 'DocumentLines'],
+    ['StockTransfers', 'OWTR', 'WTR1', 'StockTransferLines'],
+  ];
+
+  for (const [entitySet, headerTable, lineTable, linesKey] of documentTables) {
+    tables[headerTable] = [];
+    tables[lineTable] = [];
+
+    for (const doc of state.documents[entitySet]) {
+      tables[headerTable].push({
+        DocEntry: doc.DocEntry,
+        DocNum: doc.DocNum,
+        DocDate: doc.DocDate,
+        CardCode: doc.CardCode || null,
+        CardName: doc.CardName || null,
+        Comments: doc.Comments || null,
+        Filler: doc.FromWarehouse || null,
+        ToWhsCode: doc.ToWarehouse || null,
+      });
+
+      for (const line of doc[linesKey]) {
+        tables[lineTable].push({
+          DocEntry: doc.DocEntry,
+          LineNum: line.LineNum,
+          ItemCode: line.ItemCode,
+          Quantity: line.Quantity,
+          WhsCode: line.WarehouseCode,
+          FromWhsCod: line.FromWarehouseCode || null,
+        });
+
+        for (const batch of line.BatchNumbers || []) {
+          tables.IBT1.push({
+            BaseType: BASE_TYPES[entitySet],
+            BaseEntry: doc.DocEntry,
+            BaseLinNum: line.LineNum,
+            ItemCode: line.ItemCode,
+            BatchNum: batch.BatchNumber,
+            Quantity: batch.Quantity,
+            WhsCode: line.WarehouseCode,
+          });
+        }
+
+        if (entitySet === 'StockTransfers') {
+          for (const allocation of line.StockTransferLinesBinAllocations || []) {
+            tables.WTQ1.push({
+              DocEntry: doc.DocEntry,
+              LineNum: line.LineNum,
+              BinActTyp: allocation.BinActionType === 'batFromWarehouse' ? 1 : 2,
+              BnAbsEntry: allocation.BinAbsEntry,
+              Quantity: allocation.Quantity,
+            });
+          }
+        }
+      }
+    }
+  }
+
+  return tables;
+}
+
+/**
+ * Split on a keyword/character at parenthesis depth 0, outside string literals
+ */
+function splitTopLevel(text, separator) {
+  const parts = [];
+  let depth = 0;
+  let inString = false;
+  let start = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+    if (ch === "'") inString = !inString;
+    if (inString) continue;
+    if (ch === '(') depth++;
+    if (ch === ')') depth--;
+
+    if (depth === 0) {
+      const match = separator.exec(text.slice(i));
+      if (match && match.index === 0) {
+        parts.push(text.slice(start, i));
+        i += match[0].length - 1;
+        start = i + 1;
+      }
+    }
+  }
+  parts.push(text.slice(start));
+  return parts.map((p) => p.trim()).filter(Boolean);
+}
+
+/**
+ * Parse a value expression: column reference, string or number literal
+ * @returns {Function} (row) => value
+ */
+function parseValue(expr) {
+  const text = expr.trim();
+
+  if (/^'.*'$/s.test(text)) {
+    const value = text.slice(1, -1).replace(/''/g, "'");
+    return () => value;
+  }
+  if (/^-?\d+(\.\d+)?$/.test(text)) {
+    const value = parseFloat(text);
+    return () => value;
+  }
+  if (/^[A-Za-z_]\w*(\.[A-Za-z_]\w*)?$/.test(text)) {
+    return (row) => resolveColumn(row, text);
+  }
+  throw new SapError(-1, `Unsupported SQL expression: ${text}`);
+}
+
+/**
+ * Look up "T0.Column" (or an unqualified column) in a joined row
+ * Row shape: { alias: { lowercasecolumn: value } | null }
+ */
+function resolveColumn(row, reference) {
+  const [aliasOrColumn, column] = reference.split('.');
+
+  if (column) {
+    const source = row[aliasOrColumn.toLowerCase()];
+    if (source === undefined) {
+      throw new SapError(-1, `Unknown table alias in SQL: ${aliasOrColumn}`);
+    }
+    return source ? source[column.toLowerCase()] ?? null : null;
+  }
+
+  for (const source of Object.values(row)) {
+    if (source && aliasOrColumn.toLowerCase() in source) {
+      return source[aliasOrColumn.toLowerCase()];
+    }
+  }
+  return null;
+}
+
+function compareValues(a, b) {
+  if (a === null || b === null) return null;
+  if (typeof a === 'number' || typeof b === 'number') {
+    return Number(a) - Number(b);
+  }
+  return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+/**
+ * Parse one condition of a WHERE / ON clause
+ * @returns {Function} (row) => boolean
+ */
+function parseCondition(text) {
+  const inMatch = /^(.+?)\s+IN\s*\((.*)\)$/is.exec(text);
+  if (inMatch) {
+    const left = parseValue(inMatch[1]);
+    const values = splitTopLevel(inMatch[2], /^,/).map((v) => parseValue(v)());
+    return (row) => values.some((v) => compareValues(left(row), v) === 0);
+  }
+
+  const likeMatch = /^(.+?)\s+LIKE\s+(.+)$/is.exec(text);
+  if (likeMatch) {
+    const left = parseValue(likeMatch[1]);
+    const pattern = parseValue(likeMatch[2])();
+    const regex = new RegExp(
+      `^${String(pattern).replace(/[.*+?^${}()|[\]\\]/g, '\\$&').replace(/%/g, '.*').replace(/_/g, '.')}$`,
+      'i'
+    );
+    return (row) => left(row) !== null && regex.test(String(left(row)));
+  }
+
+  const compareMatch = /^(.+?)\s*(<>|!=|>=|<=|=|>|<)\s*(.+)$/s.exec(text);
+  if (compareMatch) {
+    const left = parseValue(compareMatch[1]);
+    const right = parseValue(compareMatch[3]);
+    const op = compareMatch[2];
+    return (row) => {
+      const result = compareValues(left(row), right(row));
+      if (result === null) return false;
+      switch (op) {
+        case '=': return result === 0;
+        case '<>':
+        case '!=': return result !== 0;
+        case '>': return result > 0;
+        case '>=': return result >= 0;
+        case '<': return result < 0;
+        default: return result <= 0;
+      }
+    };
+  }
+
+  throw new SapError(-1, `Unsupported SQL condition: ${text}`);
+}
+
+function parseConditions(text) {
+  const conditions = splitTopLevel(text, /^\s+AND\s+/i).map(parseCondition);
+  return (row) => conditions.every((condition) => condition(row));
+}
+
+/**
+ * Parse a stored query into an executable plan
+ * @param {string} sqlText - SQL text as saved through POST /SQLQueries
+ * @returns {Object} Plan for executeSql
+ */
+function parseSql(sqlText) {
+  const sql = sqlText.replace(/\s+/g, ' ').trim();
+
+  const match = /^SELECT (DISTINCT )?(?:TOP (\d+) )?(.+?) FROM (.+?)(?: WHERE (.+?))?(?: ORDER BY (.+))?$/i.exec(sql);
+  if (!match) {
+    throw new SapError(-1, 'Unsupported SQL statement');
+  }
+  const [, distinct, top, columnList, fromClause, whereClause, orderClause] = match;
+
+  // FROM table alias [INNER|LEFT] JOIN table alias ON ...
+  const joinParts = fromClause.split(/(?<!INNER|LEFT|OUTER) (?=(?:INNER |LEFT (?:OUTER )?)?JOIN )/i);
+  const [baseTable, baseAlias] = joinParts.shift().trim().split(' ');
+  const joins = joinParts.map((part) => {
+    const joinMatch = /^(INNER |LEFT (?:OUTER )?)?JOIN (\w+) (\w+) ON (.+)$/i.exec(part.trim());
+    if (!joinMatch) {
+      throw new SapError(-1, `Unsupported JOIN: ${part}`);
+    }
+    return {
+      left: /^LEFT/i.test(joinMatch[1] || ''),
+      table: joinMatch[2].toUpperCase(),
+      alias: joinMatch[3].toLowerCase(),
+      on: parseConditions(joinMatch[4]),
+    };
+  });
+
+  const columns = splitTopLevel(columnList, /^,/).map((column) => {
+    const aliasMatch = /^(.+?) AS (\w+)$/i.exec(column);
+    const expr = aliasMatch ? aliasMatch[1] : column;
+    return {
+      name: aliasMatch ? aliasMatch[2] : expr.split('.').pop(),
+      value: parseValue(expr),
+    };
+  });
+
+  const orderBy = orderClause
+    ? splitTopLevel(orderClause, /^,/).map((part) => {
+      const [expr, direction] = part.split(' ');
+      return { value: parseValue(expr), desc: direction?.toUpperCase() === 'DESC' };
+    })
+    : [];
+
+  return {
+    distinct: !!distinct,
+    top: top ? parseInt(top) : null,
+    base: { table: baseTable.toUpperCase(), alias: (baseAlias || baseTable).toLowerCase() },
+    joins,
+    where: whereClause ? parseConditions(whereClause) : () => true,
+    columns,
+    orderBy,
+  };
+}
+
+const lowerKeys = (row) => Object.fromEntries(Object.entries(row).map(([k, v]) => [k.toLowerCase(), v]));
+
+/**
+ * Execute a stored query against the store
+ *
+ * @param {Object} store - Simulator store
+ * @param {string} sqlText - SQL text
+ * @param {Array<string>|null} allowlist - Tables enabled in b1s_sqltable.conf (null = all)
+ * @returns {Array<Object>} Result rows keyed by column name / alias
+ */
+function executeSql(store, sqlText, allowlist = null) {
+  const plan = parseSql(sqlText);
+  const tables = buildTables(store);
+
+  const tableRows = (name) => {
+    if (!tables[name] || (allowlist && !allowlist.includes(name))) {
+      throw new SapError(-1, `Table ${name} is not in the SQL allowlist`);
+    }
+    return tables[name].map(lowerKeys);
+  };
+
+  let rows = tableRows(plan.base.table).map((r) => ({ [plan.base.alias]: r }));
+
+  for (const join of plan.joins) {
+    const candidates = tableRows(join.table);
+    const joined = [];
+    for (const row of rows) {
+      const matches = candidates
+        .map((candidate) => ({ ...row, [join.alias]: candidate }))
+        .filter((combined) => join.on(combined));
+      if (matches.length > 0) {
+        joined.push(...matches);
+      } else if (join.left) {
+        joined.push({ ...row, [join.alias]: null });
+      }
+    }
+    rows = joined;
+  }
+
+  rows = rows.filter(plan.where);
+
+  if (plan.orderBy.length > 0) {
+    rows.sort((a, b) => {
+      for (const { value, desc } of plan.orderBy) {
+        const result = compareValues(value(a), value(b)) || 0;
+        if (result !== 0) return desc ? -result : result;
+      }
+      return 0;
+    });
+  }
+
+  let results = rows.map((row) => {
+    const result = {};
+    for (const column of plan.columns) {
+      result[column.name] = column.value(row);
+    }
+    return result;
+  });
+
+  if (plan.distinct) {
+    const seen = new Set();
+    results = results.filter((r) => {
+      const key = JSON.stringify(r);
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+  }
+
+  return plan.top !== null ? results.slice(0, plan.top) : results;
+}
+
+module.exports = {
+  parseSql,
+  executeSql,
+};
@@ -0,0 +1,109 @@
+/**
+ * Inventory adjustments: units that leave the lot come off its total, a
+ * pending adjustment is applied once however many admins approve it, and the
+ * SAP Goods Issue is queued in the outbox with the local change.
+ */
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, TEST_USER } = require('./helpers/testServer');
+const { seedCatalog, findLote, findTransacciones, setUserRole, SUPPLIER_CODE } = require('./helpers/fixtures');
+const { assertInventoryInvariants, assertQuantities } = require('./helpers/invariants');
+
+const LOT = 'T-AJUSTE-001';
+
+describe('ajustes', () => {
+  let ctx;
+  let stent;
+  let warehouse;
+
+  before(async () => {
+    ctx = await startTestServer();
+    const catalog = await seedCatalog(ctx.companyId);
+    ({ warehouse } = catalog);
+    stent = catalog.products.stent;
+    await setUserRole(ctx.companyId, TEST_USER._id, 'admin');
+
+    const res = await ctx.api.post('/api/goods-receipt', {
+      locationId: warehouse._id,
+      supplierCode: SUPPLIER_CODE,
+      items: [{ productId: stent._id, lotNumber: LOT, quantity: 20, expiryDate: '2028-06-30' }],
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  afterEach(() => {
+    ctx.sim.faults.clear();
+  });
+
+  const lote = () => findLote(ctx.companyId, stent._id, LOT, warehouse._id);
+
+  const adjust = async (body) => {
+    const res = await ctx.api.post('/api/ajustes', { locationId: warehouse._id, loteId: (await lote())._id, ...body });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body.ajuste;
+  };
+
+  it('takes lost and expired units off the lot total, damaged ones stay in it', async () => {
+    await adjust({ reason: 'LOST', quantity: 2 });
+    await adjust({ reason: 'CORRECTION', direction: 'OUT', quantity: 1 });
+    await adjust({ reason: 'DAMAGED', quantity: 1 });
+
+    assertQuantities(await lote(), { quantityTotal: 17, quantityAvailable: 16, quantityDamaged: 1 });
+    await assertInventoryInvariants(ctx.companyId);
+  });
+
+  it('applies a pending adjustment once when approved twice at the same time', async () => {
+    const ajuste = await adjust({ reason: 'EXPIRED', quantity: 6 });
+    assert.equal(ajuste.status, 'PENDIENTE');
+
+    const results = await Promise.all([
+      ctx.api.put(`/api/ajustes/${ajuste._id}/approve`, {}),
+      ctx.api.put(`/api/ajustes/${ajuste._id}/approve`, {}),
+    ]);
+    assert.deepEqual(results.map((r) => r.status).sort(), [200, 400], JSON.stringify(results.map((r) => r.body)));
+
+    assertQuantities(await lote(), { quantityTotal: 11, quantityAvailable: 10 });
+    await assertInventoryInvariants(ctx.companyId);
+
+    const reject = await ctx.api.put(`/api/ajustes/${ajuste._id}/reject`, { reason: 'tarde' });
+    assert.equal(reject.status, 400);
+    assert.match(reject.body.error, /aplicado/);
+  });
+
+  it('puts the adjustment back in the queue when it can no longer be applied', async () => {
+    const ajuste = await adjust({ reason: 'LOST', quantity: 8 });
+    await adjust({ reason: 'LOST', quantity: 4 });
+
+    const res = await ctx.api.put(`/api/ajustes/${ajuste._id}/approve`, {});
+    assert.equal(res.status, 400, JSON.stringify(res.body));
+    assert.equal((await ctx.api.get(`/api/ajustes/${ajuste._id}`)).body.status, 'PENDIENTE');
+  });
+
+  it('applies the adjustment while SAP fails, then syncs on retry', async () => {
+    const exitsBefore = ctx.sim.store.state.documents.InventoryGenExits.length;
+
+    ctx.sim.faults.add({ method: 'POST', path: '/InventoryGenExits', status: 500 });
+    const ajuste = await adjust({ reason: 'LOST', quantity: 1 });
+    assert.equal(ajuste.status, 'APLICADO');
+    assert.equal(ajuste.sapIntegration.status, 'RETRYING');
+    assert.equal(ctx.sim.store.state.documents.InventoryGenExits.length, exitsBefore);
+
+    assertQuantities(await lote(), { quantityTotal: 6, quantityAvailable: 5 });
+    await assertInventoryInvariants(ctx.companyId);
+
+    const res = await ctx.api.post(`/api/ajustes/${ajuste._id}/retry-sap`);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.success, true);
+
+    const current = await ctx.api.get(`/api/ajustes/${ajuste._id}`);
+    assert.equal(current.body.sapIntegration.status, 'SYNCED');
+    assert.equal(ctx.sim.store.state.documents.InventoryGenExits.length, exitsBefore + 1);
+
+    const [transaccion] = await findTransacciones(ctx.companyId, { _id: ajuste.transaccionId });
+    assert.equal(transaccion.sapIntegration.docNum, current.body.sapIntegration.docNum);
+  });
+});
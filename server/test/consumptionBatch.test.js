@@ -0,0 +1,218 @@
+/**
+ * Consumption batches: many forms from several hospitals in one upload,
+ * extracted in the background, matched to their centro and grouped into one
+ * draft per centro and procedure date.
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { startTestServer, createClient, signToken, TEST_USER } = require('./helpers/testServer');
+const { seedCatalog, setUserRole, findLote, SUPPLIER_CODE } = require('./helpers/fixtures');
+
+// consumptionBatchService loads getModel, which connects on load
+const batchService = () => require('../services/consumptionBatchService');
+
+const LOT = '06253084';
+const REVIEWER = { _id: '64b000000000000000000003', email: 'batch-reviewer@vasculares.test', firstname: 'Batch', lastname: 'Reviewer' };
+
+// One form per file: { file name: [hospital, customer code, procedure date, lot, lot confidence] }
+const FORMS = {
+  'form-1.jpg': ['Hospital CECANOR', null, '2026-03-05', LOT, 0.97],
+  'form-2.jpg': [null, 'C00013', '2026-03-05', LOT, 0.97],
+  'form-3.jpg': ['cecanor', null, '2026-03-06', 'O6253O84', 0.6],
+  'form-4.jpg': ['Clínica Desconocida', null, '2026-03-06', LOT, 0.97],
+};
+
+function fixtureFor([hospital, customerCode, procedureDate, lotNumber, lotConfidence]) {
+  return {
+    items: [{
+      code: '419113',
+      name: 'Orsiro Mission 2.25/15',
+      lotNumber,
+      quantity: 1,
+      patientName: `Paciente ${procedureDate}`,
+      doctorName: 'Dr. Gómez',
+      procedureDate,
+      confidence: { code: 0.98, lotNumber: lotConfidence, quantity: 0.98 },
+    }],
+    documentInfo: { hospital, customerCode },
+    warnings: [],
+  };
+}
+
+describe('consumption batches', () => {
+  let ctx;
+  let reviewer;
+  let stent;
+  let warehouse;
+  let centro;
+  let centroLote;
+  let batchId;
+  let fixturesDir;
+
+  before(async () => {
+    ctx = await startTestServer();
+    const catalog = await seedCatalog(ctx.companyId);
+    ({ warehouse, centro } = catalog);
+    stent = catalog.products.stent;
+
+    await setUserRole(ctx.companyId, TEST_USER._id, 'admin');
+    await setUserRole(ctx.companyId, REVIEWER._id, 'almacen');
+    reviewer = createClient(ctx.baseUrl, signToken({ ...REVIEWER, companyId: ctx.companyId }));
+
+    // No default consumption.json here, so a form without its own fixture fails
+    fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'vasculares-batch-fixtures-'));
+    for (const [name, form] of Object.entries(FORMS)) {
+      fs.writeFileSync(path.join(fixturesDir, `${name}.json`), JSON.stringify(fixtureFor(form)));
+    }
+    process.env.EXTRACTION_FIXTURES_DIR = fixturesDir;
+    await ctx.api.put('/api/extraction/config', { provider: 'fixture' });
+
+    // 4 units of the lot at CECANOR
+    await ctx.api.post('/api/goods-receipt', {
+      locationId: warehouse._id,
+      supplierCode: SUPPLIER_CODE,
+      items: [{ productId: stent._id, lotNumber: LOT, quantity: 5, expiryDate: '2028-06-30' }],
+    });
+    const warehouseLote = await findLote(ctx.companyId, stent._id, LOT, warehouse._id);
+    const consignacion = await ctx.api.post('/api/consignaciones', {
+      fromLocationId: warehouse._id,
+      toLocationId: centro._id,
+      items: [{ productId: stent._id, loteId: warehouseLote._id, lotNumber: LOT, quantitySent: 4 }],
+    });
+    await ctx.api.put(`/api/consignaciones/${consignacion.body.consignacion._id}/confirm`, {
+      items: [{ productId: stent._id, quantityReceived: 4 }],
+    });
+    centroLote = await findLote(ctx.companyId, stent._id, LOT, centro._id);
+  });
+
+  after(async () => {
+    delete process.env.EXTRACTION_FIXTURES_DIR;
+    if (fixturesDir) fs.rmSync(fixturesDir, { recursive: true, force: true });
+    await ctx?.stop();
+  });
+
+  async function waitForBatch(id) {
+    for (let attempt = 0; attempt < 50; attempt++) {
+      const res = await ctx.api.get(`/api/consumption-batches/${id}`);
+      if (res.body.status !== 'PROCESANDO') return res.body;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    throw new Error('Batch did not finish');
+  }
+
+  const draftFor = (batch, date) => batch.drafts.find((d) => d.date === date && d.status !== 'DESCARTADO');
+  const lines = (count) => Array.from({ length: count }, () => ({ loteId: centroLote._id, productId: stent._id, quantity: 1 }));
+
+  it('matches hospitals by SAP customer code, then by name', () => {
+    const { matchCentro } = batchService();
+    const centros = [
+      { name: 'CECANOR', fullName: 'Centro Cardiovascular del Norte', sapIntegration: { cardCode: 'C00013' } },
+      { name: 'CDC', sapIntegration: { cardCode: 'C00020' } },
+    ];
+
+    assert.equal(matchCentro(centros, { customerCode: 'c00020', hospital: 'CECANOR' }).centro.name, 'CDC');
+    assert.equal(matchCentro(centros, { hospital: 'CENTRO CARDIOVASCULAR DEL NORTE' }).matchedBy, 'NAME');
+    assert.equal(matchCentro(centros, { hospital: 'Clínica CDC, Santo Domingo' }).centro.name, 'CDC');
+    assert.equal(matchCentro(centros, { hospital: 'Hospital Metropolitano' }), null);
+    assert.equal(matchCentro(centros, {}), null);
+  });
+
+  it('extracts every form in the background and groups them per centro and date', async () => {
+    const files = [...Object.keys(FORMS), 'unreadable.jpg'].map((name) => ({
+      name,
+      type: 'image/jpeg',
+      content: Buffer.from(`scan of ${name}`),
+    }));
+    const res = await ctx.api.upload('/api/consumption-batches', files);
+    assert.equal(res.status, 202, JSON.stringify(res.body));
+    batchId = res.body.batch._id;
+
+    const batch = await waitForBatch(batchId);
+    assert.equal(batch.status, 'COMPLETADA');
+    assert.deepEqual(batch.progress, { total: 5, processed: 5, failed: 1 });
+
+    const byName = Object.fromEntries(batch.forms.map((form) => [form.filename, form]));
+    assert.equal(byName['form-1.jpg'].matchedBy, 'NAME');
+    assert.equal(byName['form-2.jpg'].matchedBy, 'CARD_CODE');
+    assert.equal(byName['form-4.jpg'].status, 'SIN_CENTRO');
+    assert.equal(byName['unreadable.jpg'].status, 'ERROR');
+
+    assert.equal(batch.drafts.length, 2);
+    const first = draftFor(batch, '2026-03-05');
+    assert.equal(first.centroName, 'CECANOR');
+    assert.equal(first.items.length, 2);
+    assert.equal(first.documentIds.length, 2);
+    assert.equal(first.needsReview, false);
+    assert.equal(draftFor(batch, '2026-03-06').needsReview, true);
+  });
+
+  it('adds a form to its draft once a centro is assigned', async () => {
+    let batch = await ctx.api.get(`/api/consumption-batches/${batchId}`);
+    const form = batch.body.forms.find((f) => f.filename === 'form-4.jpg');
+
+    const res = await ctx.api.put(`/api/consumption-batches/${batchId}/forms/${form._id}/centro`, { centroId: centro._id });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+
+    batch = res.body.batch;
+    assert.equal(batch.forms.find((f) => f._id === form._id).matchedBy, 'MANUAL');
+    assert.equal(draftFor(batch, '2026-03-06').items.length, 2);
+
+    const again = await ctx.api.put(`/api/consumption-batches/${batchId}/forms/${form._id}/centro`, { centroId: centro._id });
+    assert.equal(again.status, 409);
+  });
+
+  it('registers a confirmed draft with its forms', async () => {
+    const batch = (await ctx.api.get(`/api/consumption-batches/${batchId}`)).body;
+    const draft = draftFor(batch, '2026-03-05');
+    const consumption = { centroId: centro._id, items: lines(2), extractionBatchId: batchId, batchDraftId: draft._id };
+
+    const unconfirmed = await ctx.api.post('/api/consumption', consumption);
+    assert.equal(unconfirmed.status, 409);
+    assert.match(unconfirmed.body.error, /no está confirmado/);
+
+    const approved = await ctx.api.put(`/api/consumption-batches/${batchId}/drafts/${draft._id}/approve`, { items: lines(2) });
+    assert.equal(approved.status, 200, JSON.stringify(approved.body));
+
+    const created = await ctx.api.post('/api/consumption', consumption);
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+
+    const consumo = await ctx.api.get(`/api/consumption/${created.body.consumo._id}`);
+    assert.deepEqual(consumo.body.documents.map((d) => d.documentId).sort(), draft.documentIds.sort());
+
+    const updated = (await ctx.api.get(`/api/consumption-batches/${batchId}`)).body;
+    const registered = updated.drafts.find((d) => d._id === draft._id);
+    assert.equal(registered.status, 'REGISTRADO');
+    assert.equal(registered.consumoId, created.body.consumo._id);
+
+    const again = await ctx.api.post('/api/consumption', consumption);
+    assert.equal(again.status, 409);
+  });
+
+  it('needs a second person for drafts with low-confidence lines', async () => {
+    const batch = (await ctx.api.get(`/api/consumption-batches/${batchId}`)).body;
+    const draft = draftFor(batch, '2026-03-06');
+    const approvePath = `/api/consumption-batches/${batchId}/drafts/${draft._id}/approve`;
+
+    const own = await ctx.api.put(approvePath, { items: lines(2) });
+    assert.equal(own.status, 403);
+
+    const short = await reviewer.put(approvePath, { items: [{ loteId: centroLote._id, quantity: 5 }] });
+    assert.equal(short.status, 400);
+    assert.match(short.body.error, /Cantidad insuficiente/);
+
+    const approved = await reviewer.put(approvePath, { items: lines(2) });
+    assert.equal(approved.status, 200, JSON.stringify(approved.body));
+
+    const created = await ctx.api.post('/api/consumption', {
+      centroId: centro._id,
+      items: lines(2),
+      extractionBatchId: batchId,
+      batchDraftId: draft._id,
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    assert.equal((await findLote(ctx.companyId, stent._id, LOT, centro._id)).quantityAvailable, 0);
+  });
+});
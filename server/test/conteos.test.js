@@ -0,0 +1,96 @@
+/**
+ * Cycle counts: the session covers every lot the app holds at the location,
+ * even with nothing available, and each variance is adjusted once.
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, TEST_USER } = require('./helpers/testServer');
+const { seedCatalog, findLote, setUserRole, SUPPLIER_CODE } = require('./helpers/fixtures');
+const { assertInventoryInvariants, assertQuantities } = require('./helpers/invariants');
+
+describe('conteos', () => {
+  let ctx;
+  let stent;
+  let warehouse;
+  let centro;
+  let conteo;
+
+  before(async () => {
+    ctx = await startTestServer();
+    const catalog = await seedCatalog(ctx.companyId);
+    ({ warehouse, centro } = catalog);
+    stent = catalog.products.stent;
+    await setUserRole(ctx.companyId, TEST_USER._id, 'admin');
+
+    const receipt = await ctx.api.post('/api/goods-receipt', {
+      locationId: warehouse._id,
+      supplierCode: SUPPLIER_CODE,
+      items: [
+        { productId: stent._id, lotNumber: 'T-CONTEO-001', quantity: 4, expiryDate: '2028-06-30' },
+        { productId: stent._id, lotNumber: 'T-CONTEO-002', quantity: 2, expiryDate: '2028-06-30' },
+      ],
+    });
+    assert.equal(receipt.status, 201, JSON.stringify(receipt.body));
+
+    // Everything from the second lot goes out on consignment
+    const lote = await findLote(ctx.companyId, stent._id, 'T-CONTEO-002', warehouse._id);
+    const consigned = await ctx.api.post('/api/consignaciones', {
+      fromLocationId: warehouse._id,
+      toLocationId: centro._id,
+      items: [{ productId: stent._id, loteId: lote._id, lotNumber: 'T-CONTEO-002', quantitySent: 2 }],
+    });
+    assert.equal(consigned.status, 201, JSON.stringify(consigned.body));
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  const itemFor = (lotNumber) => conteo.items.find((i) => i.lotNumber === lotNumber);
+
+  it('snapshots lots with nothing available', async () => {
+    const res = await ctx.api.post('/api/conteos', { locationId: warehouse._id });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    conteo = res.body;
+
+    assert.deepEqual(conteo.items.map((i) => [i.lotNumber, i.expectedQuantity]).sort(), [
+      ['T-CONTEO-001', 4],
+      ['T-CONTEO-002', 0],
+    ]);
+
+    const counts = await ctx.api.put(`/api/conteos/${conteo._id}/counts`, {
+      items: [
+        { itemId: itemFor('T-CONTEO-001')._id, countedQuantity: 3 },
+        { itemId: itemFor('T-CONTEO-002')._id, countedQuantity: 1 },
+      ],
+    });
+    assert.equal(counts.status, 200, JSON.stringify(counts.body));
+
+    const submitted = await ctx.api.put(`/api/conteos/${conteo._id}/submit`);
+    assert.equal(submitted.status, 200, JSON.stringify(submitted.body));
+    conteo = submitted.body;
+    assert.ok(conteo.items.every((i) => i.varianceStatus === 'PENDIENTE'));
+  });
+
+  it('adjusts a variance once when approved twice at the same time', async () => {
+    const path = `/api/conteos/${conteo._id}/items/${itemFor('T-CONTEO-001')._id}/approve`;
+    const results = await Promise.all([ctx.api.post(path, {}), ctx.api.post(path, {})]);
+    assert.deepEqual(results.map((r) => r.status).sort(), [200, 400], JSON.stringify(results.map((r) => r.body)));
+
+    const lote = await findLote(ctx.companyId, stent._id, 'T-CONTEO-001', warehouse._id);
+    assertQuantities(lote, { quantityTotal: 3, quantityAvailable: 3 });
+
+    const rejected = await ctx.api.post(`/api/conteos/${conteo._id}/items/${itemFor('T-CONTEO-001')._id}/reject`, {});
+    assert.equal(rejected.status, 400);
+  });
+
+  it('adds units found in a lot with nothing available', async () => {
+    const res = await ctx.api.post(`/api/conteos/${conteo._id}/items/${itemFor('T-CONTEO-002')._id}/approve`, {});
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.conteo.status, 'COMPLETADO');
+
+    const lote = await findLote(ctx.companyId, stent._id, 'T-CONTEO-002', warehouse._id);
+    assertQuantities(lote, { quantityTotal: 3, quantityAvailable: 1, quantityConsigned: 2 });
+    await assertInventoryInvariants(ctx.companyId);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Devoluciones: the return commits locally with its SAP StockTransfer queued
+ * in the outbox, so a SAP failure leaves it RETRYING instead of unsaved.
+ */
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { seedCatalog, findLote, findTransacciones, SUPPLIER_CODE } = require('./helpers/fixtures');
+const { assertInventoryInvariants, assertQuantities } = require('./helpers/invariants');
+
+const LOT = 'T-DEVOL-001';
+
+describe('devoluciones', () => {
+  let ctx;
+  let stent;
+  let warehouse;
+  let centro;
+
+  before(async () => {
+    ctx = await startTestServer();
+    const catalog = await seedCatalog(ctx.companyId);
+    ({ warehouse, centro } = catalog);
+    stent = catalog.products.stent;
+
+    const receipt = await ctx.api.post('/api/goods-receipt', {
+      locationId: warehouse._id,
+      supplierCode: SUPPLIER_CODE,
+      items: [{ productId: stent._id, lotNumber: LOT, quantity: 4, expiryDate: '2028-06-30' }],
+    });
+    assert.equal(receipt.status, 201, JSON.stringify(receipt.body));
+
+    const lote = await findLote(ctx.companyId, stent._id, LOT, warehouse._id);
+    const consigned = await ctx.api.post('/api/consignaciones', {
+      fromLocationId: warehouse._id,
+      toLocationId: centro._id,
+      items: [{ productId: stent._id, loteId: lote._id, lotNumber: LOT, quantitySent: 4 }],
+    });
+    assert.equal(consigned.status, 201, JSON.stringify(consigned.body));
+    const confirmed = await ctx.api.put(`/api/consignaciones/${consigned.body.consignacion._id}/confirm`, {
+      items: [{ productId: stent._id, quantityReceived: 4 }],
+    });
+    assert.equal(confirmed.status, 200, JSON.stringify(confirmed.body));
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  afterEach(() => {
+    ctx.sim.faults.clear();
+  });
+
+  const documents = (entitySet) => ctx.sim.store.state.documents[entitySet];
+
+  it('commits the return while SAP fails, then syncs on retry', async () => {
+    const transfersBefore = documents('StockTransfers').length;
+    const centroLote = await findLote(ctx.companyId, stent._id, LOT, centro._id);
+
+    ctx.sim.faults.add({ method: 'POST', path: '/StockTransfers', status: 500 });
+    const created = await ctx.api.post('/api/devoluciones', {
+      fromLocationId: centro._id,
+      toLocationId: warehouse._id,
+      reason: 'EXCESO',
+      items: [{ loteId: centroLote._id, quantitySent: 2 }],
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    assert.equal(created.body.sapResult.success, false);
+    assert.equal(created.body.sapResult.queued, true);
+    assert.equal(created.body.devolucion.sapIntegration.status, 'RETRYING');
+    assert.equal(documents('StockTransfers').length, transfersBefore);
+
+    assertQuantities(
+      await findLote(ctx.companyId, stent._id, LOT, centro._id),
+      { quantityAvailable: 2, quantityReturned: 2 },
+      'centro lote'
+    );
+    await assertInventoryInvariants(ctx.companyId);
+
+    const devolucionId = created.body.devolucion._id;
+    const res = await ctx.api.post(`/api/devoluciones/${devolucionId}/retry-sap`);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.success, true);
+
+    const current = await ctx.api.get(`/api/devoluciones/${devolucionId}`);
+    assert.equal(current.body.sapIntegration.status, 'SYNCED');
+    assert.ok(current.body.sapIntegration.docNum);
+    assert.equal(documents('StockTransfers').length, transfersBefore + 1);
+
+    const [transaccion] = await findTransacciones(ctx.companyId, { type: 'RETURN', lotNumber: LOT });
+    assert.equal(transaccion.sapIntegration.docNum, current.body.sapIntegration.docNum);
+  });
+});
@@ -0,0 +1,117 @@
+/**
+ * Doctor analytics: consumption per physician (managed doctors and
+ * free-text names), preferred sizes, product-line share and size demand.
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { seedCatalog, findLote, SUPPLIER_CODE } = require('./helpers/fixtures');
+
+// doctorStatsService loads getModel, which connects on load
+const doctorStats = () => require('../services/doctorStatsService');
+
+const RANGE = 'startDate=2026-01-01&endDate=2026-06-30';
+
+describe('doctor analytics', () => {
+  let ctx;
+  let stent;
+  let stentLong;
+  let centro;
+  let medico;
+
+  before(async () => {
+    ctx = await startTestServer();
+    const catalog = await seedCatalog(ctx.companyId);
+    const { warehouse } = catalog;
+    ({ centro } = catalog);
+    ({ stent, stentLong } = catalog.products);
+
+    for (const [product, lotNumber] of [[stent, 'D-001'], [stentLong, 'D-002']]) {
+      await ctx.api.post('/api/goods-receipt', {
+        locationId: warehouse._id,
+        supplierCode: SUPPLIER_CODE,
+        items: [{ productId: product._id, lotNumber, quantity: 10, expiryDate: '2028-06-30' }],
+      });
+      const lote = await findLote(ctx.companyId, product._id, lotNumber, warehouse._id);
+      const consignacion = await ctx.api.post('/api/consignaciones', {
+        fromLocationId: warehouse._id,
+        toLocationId: centro._id,
+        items: [{ productId: product._id, loteId: lote._id, lotNumber, quantitySent: 10 }],
+      });
+      await ctx.api.put(`/api/consignaciones/${consignacion.body.consignacion._id}/confirm`, {
+        items: [{ productId: product._id, quantityReceived: 10 }],
+      });
+    }
+
+    const created = await ctx.api.post('/api/medicos', { name: 'Dra. Ana Pérez', centroIds: [centro._id] });
+    medico = created.body.medico;
+
+    const consume = async (lines, extra) => {
+      const items = [];
+      for (const [product, lotNumber, quantity] of lines) {
+        const lote = await findLote(ctx.companyId, product._id, lotNumber, centro._id);
+        items.push({ loteId: lote._id, productId: product._id, quantity });
+      }
+      const res = await ctx.api.post('/api/consumption', { centroId: centro._id, items, ...extra });
+      assert.equal(res.status, 201, JSON.stringify(res.body));
+    };
+
+    await consume([[stent, 'D-001', 2], [stentLong, 'D-002', 1]], { doctorId: medico._id, procedureDate: '2026-02-10' });
+    // Typed before she was registered: counts for the same doctor
+    await consume([[stent, 'D-001', 1]], { doctorName: 'dra ana perez', procedureDate: '2026-03-04' });
+    await consume([[stentLong, 'D-002', 2]], { doctorName: 'Dr. Luis Gómez', procedureDate: '2026-03-20' });
+    await consume([[stent, 'D-001', 1]], { procedureDate: '2026-04-01' });
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  it('normalizes doctor names and reads sizes from product names', () => {
+    const { normalizeDoctorName, productSize, productLine } = doctorStats();
+    assert.equal(normalizeDoctorName('Dra. Ána  Pérez'), 'ana perez');
+    assert.equal(normalizeDoctorName('  '), '');
+    assert.deepEqual(productSize({ name: 'Orsiro Mission 2.25/15' }), { size: '2.25/15', diameter: 2.25, length: 15 });
+    assert.equal(productSize({ name: 'Guía Runthrough' }), null);
+    assert.equal(productLine({ name: 'Orsiro Mission 2.25/15' }), 'Orsiro');
+  });
+
+  it('breaks consumption down by doctor', async () => {
+    const res = await ctx.api.get(`/api/analytics/consumption/by-doctor?${RANGE}`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.months, 6);
+
+    const [ana, luis, none] = res.body.doctors;
+    assert.equal(ana.doctorKey, medico._id);
+    assert.equal(ana.doctorName, 'Dra. Ana Pérez');
+    assert.equal(ana.totalQuantity, 4);
+    assert.equal(ana.consumptionCount, 2);
+    assert.equal(ana.avgMonthly, 0.67);
+    assert.deepEqual(ana.monthly.map((m) => [m.month, m.quantity]), [[2, 3], [3, 1]]);
+    assert.deepEqual(ana.sizes.map((s) => [s.size, s.quantity, s.share]), [['2.25/15', 3, 0.75], ['2.25/18', 1, 0.25]]);
+    assert.deepEqual(ana.productLines, [{ line: 'Orsiro', quantity: 4, share: 1 }]);
+    assert.equal(ana.centros[0].locationName, 'CECANOR');
+
+    assert.equal(luis.doctorKey, 'name:luis gomez');
+    assert.equal(luis.totalQuantity, 2);
+    assert.equal(none.doctorKey, 'none');
+    assert.equal(none.totalQuantity, 1);
+
+    const single = await ctx.api.get(`/api/analytics/consumption/by-doctor?${RANGE}&doctor=${encodeURIComponent('name:luis gomez')}`);
+    assert.equal(single.body.doctors.length, 1);
+  });
+
+  it('splits size demand at a centro by doctor', async () => {
+    const res = await ctx.api.get(`/api/analytics/consumption/size-demand?${RANGE}&locationId=${centro._id}`);
+    assert.equal(res.status, 200);
+
+    const [short, long] = res.body.sizes;
+    assert.equal(short.size, '2.25/15');
+    assert.equal(short.quantity, 4);
+    assert.equal(long.size, '2.25/18');
+    assert.deepEqual(long.doctors.map((d) => [d.doctorName, d.quantity, d.share]), [
+      ['Dr. Luis Gómez', 2, 0.667],
+      ['Dra. Ana Pérez', 1, 0.333],
+    ]);
+  });
+});
@@ -0,0 +1,115 @@
+/**
+ * Source documents: uploads kept by the document store, linked to the goods
+ * receipt created from them and attached to its SAP document.
+ */
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, TEST_USER } = require('./helpers/testServer');
+const { seedCatalog, setUserRole, SUPPLIER_CODE } = require('./helpers/fixtures');
+
+describe('source documents', () => {
+  let ctx;
+  let stent;
+  let warehouse;
+
+  before(async () => {
+    ctx = await startTestServer();
+    const catalog = await seedCatalog(ctx.companyId);
+    ({ warehouse } = catalog);
+    stent = catalog.products.stent;
+
+    await setUserRole(ctx.companyId, TEST_USER._id, 'admin');
+    await ctx.api.put('/api/extraction/config', { provider: 'fixture' });
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  afterEach(() => {
+    ctx.sim.faults.clear();
+  });
+
+  async function uploadPackingList(content) {
+    const image = { name: 'packing.jpg', type: 'image/jpeg', content: Buffer.from(content) };
+    const res = await ctx.api.upload('/api/goods-receipt/extract', [image]);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body.documents[0];
+  }
+
+  function receive(lotNumber, documentIds) {
+    return ctx.api.post('/api/goods-receipt', {
+      locationId: warehouse._id,
+      supplierCode: SUPPLIER_CODE,
+      items: [{ productId: stent._id, lotNumber, quantity: 2, expiryDate: '2028-06-30' }],
+      documentIds,
+    });
+  }
+
+  it('keeps the uploaded packing list', async () => {
+    const document = await uploadPackingList('packing list scan');
+    assert.equal(document.filename, 'packing.jpg');
+    assert.equal(document.mimetype, 'image/jpeg');
+
+    const meta = await ctx.api.get(`/api/documents/${document.documentId}`);
+    assert.equal(meta.body.kind, 'PACKING_LIST');
+    assert.equal(meta.body.linkedTo?.id, undefined);
+
+    const content = await ctx.api.get(`/api/documents/${document.documentId}/content`);
+    assert.equal(content.status, 200);
+    assert.equal(content.body, 'packing list scan');
+  });
+
+  it('links the packing list to the receipt and attaches it to the SAP document', async () => {
+    const document = await uploadPackingList('receipt evidence');
+
+    const created = await receive('T-DOC-001', [document.documentId]);
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+
+    const receipt = await ctx.api.get(`/api/goods-receipt/${created.body.receiptId}`);
+    assert.equal(receipt.body.documents[0].documentId, document.documentId);
+    assert.ok(receipt.body.sapIntegration.attachedAt);
+
+    const meta = await ctx.api.get(`/api/documents/${document.documentId}`);
+    assert.equal(meta.body.linkedTo.id, created.body.receiptId);
+    assert.ok(meta.body.sapAttachedAt);
+
+    const entry = receipt.body.sapIntegration.attachmentEntry;
+    const sapDoc = ctx.sim.store.state.documents.PurchaseDeliveryNotes
+      .find((doc) => doc.DocEntry === receipt.body.sapIntegration.docEntry);
+    assert.equal(sapDoc.AttachmentEntry, entry);
+
+    const attachment = ctx.sim.store.state.attachments.find((a) => a.AbsoluteEntry === entry);
+    assert.equal(attachment.Attachments2_Lines[0].FileName, `${document.documentId}_packing`);
+  });
+
+  it('refuses a document already linked to another receipt', async () => {
+    const document = await uploadPackingList('used once');
+    assert.equal((await receive('T-DOC-002', [document.documentId])).status, 201);
+
+    const again = await receive('T-DOC-003', [document.documentId]);
+    assert.equal(again.status, 409);
+    assert.match(again.body.error, /ya está vinculado/);
+  });
+
+  it('retries the attachment when SAP rejects it', async () => {
+    const document = await uploadPackingList('attach later');
+    ctx.sim.faults.add({ method: 'POST', path: '/Attachments2', status: 500 });
+
+    const created = await receive('T-DOC-004', [document.documentId]);
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    assert.equal(created.body.sapResult.success, true);
+
+    let receipt = await ctx.api.get(`/api/goods-receipt/${created.body.receiptId}`);
+    assert.equal(receipt.body.sapIntegration.attachedAt, undefined);
+    assert.ok(receipt.body.sapIntegration.attachmentError);
+
+    ctx.sim.faults.clear();
+    const res = await ctx.api.post(`/api/goods-receipt/${created.body.receiptId}/attach-documents`);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+
+    receipt = await ctx.api.get(`/api/goods-receipt/${created.body.receiptId}`);
+    assert.ok(receipt.body.sapIntegration.attachedAt);
+    assert.equal(receipt.body.sapIntegration.attachmentError, null);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Document extraction: OCR text parsing, output normalization shared by all
+ * providers, and provider selection per company (fixture provider, so no
+ * network access is needed).
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseDocumentText } = require('../services/extractionProviders/textParser');
+const { startTestServer, TEST_USER } = require('./helpers/testServer');
+const { seedCatalog, setUserRole } = require('./helpers/fixtures');
+
+// extractionService loads getModel, which connects on load
+const extractionService = () => require('../services/extractionService');
+
+const PACKING_LIST_TEXT = `
+BIOTRONIK AG
+Delivery Note: 80012345
+Date: 14.03.2026
+419113 Orsiro Mission 2.25/15
+  Lot 06253084  UBD 09.07.2028  Qty 2
+419119 Orsiro Mission 2.5/18
+  Lot 06253091  UBD 31.12.2028  Qty 1
+`;
+
+const CONSUMPTION_TEXT = `
+REPORTE MATERIAL A CONSIGNACION
+HOSPITAL: Centro Cardiovascular del Norte
+CLIENTE: C00013
+PACIENTE: Juan Pérez
+RESPONSABLE: Dr. Gómez
+FECHA: 05/03/26
+Orsiro Mission 2.25/15 REF 419113
+LOT 06253O84
+`;
+
+describe('OCR text parser', () => {
+  it('reads packing list rows with lot, UBD and quantity', () => {
+    const result = parseDocumentText(PACKING_LIST_TEXT, { kind: 'packingList' });
+    assert.deepEqual(result.items, [
+      { code: '419113', name: 'Orsiro Mission 2.25/15', lotNumber: '06253084', expiryDate: '2028-07-09', quantity: 2 },
+      { code: '419119', name: 'Orsiro Mission 2.5/18', lotNumber: '06253091', expiryDate: '2028-12-31', quantity: 1 },
+    ]);
+    assert.deepEqual(result.documentInfo, { documentNumber: '80012345', date: '2026-03-14', supplier: 'BIOTRONIK' });
+  });
+
+  it('reads consumption forms and flags lots not at the centro', () => {
+    const result = parseDocumentText(CONSUMPTION_TEXT, {
+      kind: 'consumption',
+      products: [{ code: '419113', name: 'Orsiro Mission 2.25/15' }],
+      lots: [{ lotNumber: '06253084' }],
+    });
+    assert.equal(result.items.length, 1);
+    assert.deepEqual(result.items[0], {
+      code: '419113',
+      name: 'Orsiro Mission 2.25/15',
+      lotNumber: '06253O84',
+      quantity: 1,
+      patientName: 'Juan Pérez',
+      doctorName: 'Dr. Gómez',
+      procedureDate: '2026-03-05',
+    });
+    assert.deepEqual(result.documentInfo, { hospital: 'Centro Cardiovascular del Norte', customerCode: 'C00013' });
+    assert.match(result.warnings[0], /06253O84/);
+  });
+});
+
+describe('extraction providers', () => {
+  let ctx;
+  let centro;
+
+  before(async () => {
+    ctx = await startTestServer();
+    ({ centro } = await seedCatalog(ctx.companyId));
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  const image = { name: 'packing.jpg', type: 'image/jpeg', content: Buffer.from('not really a jpeg') };
+
+  it('normalizes any provider output the same way', () => {
+    const result = extractionService().validateExtraction('packingList', {
+      items: [
+        { code: 419113, lotNumber: ' 0625 ', expiryDate: '09.07.2028', quantity: '0' },
+        { name: 'sin datos' },
+      ],
+    });
+    assert.deepEqual(result.items, [
+      { code: '419113', name: null, lotNumber: '0625', quantity: 1, expiryDate: null },
+    ]);
+    assert.equal(result.warnings.length, 3);
+    assert.throws(() => extractionService().validateExtraction('consumption', {}), /missing items array/);
+  });
+
+  it('lets an admin choose the provider per company', async () => {
+    const denied = await ctx.api.put('/api/extraction/config', { provider: 'fixture' });
+    assert.equal(denied.status, 403);
+
+    await setUserRole(ctx.companyId, TEST_USER._id, 'admin');
+    const invalid = await ctx.api.put('/api/extraction/config', { provider: 'nope' });
+    assert.equal(invalid.status, 400);
+
+    const res = await ctx.api.put('/api/extraction/config', { provider: 'fixture' });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.provider, 'fixture');
+
+    const config = await ctx.api.get('/api/extraction/config');
+    assert.equal(config.body.provider, 'fixture');
+    assert.deepEqual(config.body.providers.map((p) => p.value), ['gemini', 'tesseract', 'fixture']);
+  });
+
+  it('only offers tesseract with local language data', async () => {
+    const langPath = process.env.TESSERACT_LANG_PATH;
+    delete process.env.TESSERACT_LANG_PATH;
+    try {
+      const config = await ctx.api.get('/api/extraction/config');
+      assert.equal(config.body.providers.find((p) => p.value === 'tesseract').available, false);
+
+      const res = await ctx.api.put('/api/extraction/config', { provider: 'tesseract' });
+      assert.equal(res.status, 400, JSON.stringify(res.body));
+    } finally {
+      if (langPath) process.env.TESSERACT_LANG_PATH = langPath;
+    }
+  });
+
+  it('extracts packing lists and consumption documents through the fixture provider', async () => {
+    const packingList = await ctx.api.upload('/api/goods-receipt/extract', [image]);
+    assert.equal(packingList.status, 200, JSON.stringify(packingList.body));
+    assert.equal(packingList.body.provider, 'fixture');
+    assert.equal(packingList.body.items.length, 2);
+    assert.equal(packingList.body.items[0].code, '419113');
+    assert.equal(packingList.body.items[0].existsInDb, true);
+    assert.equal(packingList.body.documentInfo.documentNumber, 'FIXTURE-0001');
+
+    const consumption = await ctx.api.upload('/api/consumption/extract', [image], { centroId: centro._id });
+    assert.equal(consumption.status, 200, JSON.stringify(consumption.body));
+    assert.equal(consumption.body.provider, 'fixture');
+    assert.equal(consumption.body.items[0].lotNumber, '06253084');
+  });
+});
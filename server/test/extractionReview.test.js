@@ -0,0 +1,146 @@
+/**
+ * Extraction review: per-field scoring against the centro's stock and the
+ * second-person approval that gates consumption creation.
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createClient, signToken, TEST_USER } = require('./helpers/testServer');
+const { seedCatalog, setUserRole, findLote, SUPPLIER_CODE } = require('./helpers/fixtures');
+
+// extractionReviewService loads getModel, which connects on load
+const reviewService = () => require('../services/extractionReviewService');
+
+const LOT = '06253084';
+const REVIEWER = { _id: '64b000000000000000000002', email: 'reviewer@vasculares.test', firstname: 'Second', lastname: 'Reviewer' };
+
+describe('extraction review', () => {
+  let ctx;
+  let reviewer;
+  let stent;
+  let warehouse;
+  let centro;
+  let centroLote;
+  let reviewId;
+
+  before(async () => {
+    ctx = await startTestServer();
+    const catalog = await seedCatalog(ctx.companyId);
+    ({ warehouse, centro } = catalog);
+    stent = catalog.products.stent;
+
+    await setUserRole(ctx.companyId, TEST_USER._id, 'admin');
+    await setUserRole(ctx.companyId, REVIEWER._id, 'almacen');
+    reviewer = createClient(ctx.baseUrl, signToken({ ...REVIEWER, companyId: ctx.companyId }));
+
+    await ctx.api.put('/api/extraction/config', { provider: 'fixture' });
+
+    // 3 units of the lot at CECANOR
+    await ctx.api.post('/api/goods-receipt', {
+      locationId: warehouse._id,
+      supplierCode: SUPPLIER_CODE,
+      items: [{ productId: stent._id, lotNumber: LOT, quantity: 5, expiryDate: '2028-06-30' }],
+    });
+    const warehouseLote = await findLote(ctx.companyId, stent._id, LOT, warehouse._id);
+    const consignacion = await ctx.api.post('/api/consignaciones', {
+      fromLocationId: warehouse._id,
+      toLocationId: centro._id,
+      items: [{ productId: stent._id, loteId: warehouseLote._id, lotNumber: LOT, quantitySent: 3 }],
+    });
+    await ctx.api.put(`/api/consignaciones/${consignacion.body.consignacion._id}/confirm`, {
+      items: [{ productId: stent._id, quantityReceived: 3 }],
+    });
+    centroLote = await findLote(ctx.companyId, stent._id, LOT, centro._id);
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  it('scores each field against the lots at the centro', () => {
+    const { scoreConsumptionItem } = reviewService();
+    const lotsAtCentro = [{ _id: 'a', productId: stent._id, lotNumber: LOT, quantityAvailable: 3 }];
+    const context = { product: stent, lotsAtCentro, threshold: 0.8 };
+
+    const exact = scoreConsumptionItem({ code: '419113', lotNumber: LOT, quantity: 1 }, context);
+    assert.equal(exact.needsReview, false);
+    assert.deepEqual(exact.flags, []);
+
+    const misread = scoreConsumptionItem({ code: '419113', lotNumber: 'O6253O84', quantity: 1 }, context);
+    assert.equal(misread.needsReview, true);
+    assert.equal(misread.flags[0].type, 'LOT_CORRECTED');
+    assert.equal(misread.flags[0].suggestion.lotNumber, LOT);
+
+    const elsewhere = scoreConsumptionItem({ code: '419113', lotNumber: '06253085', quantity: 5 }, {
+      ...context,
+      lotsElsewhere: [{ lotNumber: '06253085', locationName: 'CDC' }],
+    });
+    assert.deepEqual(elsewhere.flags.map((f) => f.type), ['LOT_NOT_AT_CENTRO']);
+    assert.match(elsewhere.flags[0].message, /está en CDC/);
+    assert.equal(elsewhere.flags[0].suggestion.lotNumber, LOT);
+    assert.equal(elsewhere.confidence.overall, 0.2);
+
+    const tooMany = scoreConsumptionItem({ code: '419113', lotNumber: LOT, quantity: 5 }, context);
+    assert.equal(tooMany.flags[0].type, 'INSUFFICIENT_QUANTITY');
+  });
+
+  it('does not guess between equally close lots', () => {
+    const { findClosestLot } = reviewService();
+    const candidates = [{ lotNumber: '06253081' }, { lotNumber: '06253082' }];
+    assert.equal(findClosestLot('06253080', candidates), null);
+    assert.equal(findClosestLot('O6253O81', candidates).lotNumber, '06253081');
+  });
+
+  it('queues low-confidence extractions with their images', async () => {
+    const image = { name: 'consumption-handwritten.jpg', type: 'image/jpeg', content: Buffer.from('handwritten form') };
+    const res = await ctx.api.upload('/api/consumption/extract', [image], { centroId: centro._id });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.needsReview, true);
+    assert.equal(res.body.review.status, 'PENDIENTE');
+    assert.equal(res.body.items[0].confidence.lotNumber, 0.62);
+    assert.equal(res.body.items[0].flags[0].type, 'LOT_CORRECTED');
+    reviewId = res.body.review._id;
+
+    const review = await ctx.api.get(`/api/extraction-reviews/${reviewId}`);
+    assert.equal(review.body.patientName, 'Juan Pérez');
+    assert.equal(review.body.files[0].documentId, res.body.documents[0].documentId);
+
+    const file = await ctx.api.get(`/api/documents/${review.body.files[0].documentId}/content`);
+    assert.equal(file.status, 200);
+    assert.equal(file.body, 'handwritten form');
+  });
+
+  it('blocks the consumption until a second person approves', async () => {
+    const items = [{ loteId: centroLote._id, productId: stent._id, quantity: 1 }];
+    const consumption = { centroId: centro._id, items, extractionReviewId: reviewId };
+
+    const pending = await ctx.api.post('/api/consumption', consumption);
+    assert.equal(pending.status, 409);
+    assert.match(pending.body.error, /pendiente de revisión/);
+
+    const selfApproval = await ctx.api.put(`/api/extraction-reviews/${reviewId}/approve`, { items });
+    assert.equal(selfApproval.status, 403);
+
+    const approved = await reviewer.put(`/api/extraction-reviews/${reviewId}/approve`, { items });
+    assert.equal(approved.status, 200, JSON.stringify(approved.body));
+    assert.equal(approved.body.review.status, 'APROBADA');
+    assert.equal(approved.body.review.reviewedBy.email, REVIEWER.email);
+
+    const changed = await ctx.api.post('/api/consumption', { ...consumption, items: [{ ...items[0], quantity: 2 }] });
+    assert.equal(changed.status, 409);
+
+    const created = await ctx.api.post('/api/consumption', consumption);
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+
+    const review = await ctx.api.get(`/api/extraction-reviews/${reviewId}`);
+    assert.equal(review.body.status, 'REGISTRADA');
+    assert.equal(review.body.consumoId, created.body.consumo._id);
+
+    // The reviewed form stays with the consumption
+    const consumo = await ctx.api.get(`/api/consumption/${created.body.consumo._id}`);
+    assert.equal(consumo.body.documents[0].documentId, review.body.files[0].documentId);
+
+    const again = await ctx.api.post('/api/consumption', consumption);
+    assert.equal(again.status, 409);
+    assert.equal((await findLote(ctx.companyId, stent._id, LOT, centro._id)).quantityAvailable, 2);
+  });
+});
@@ -0,0 +1,128 @@
+/**
+ * Demand forecasting: model selection by back-test, confidence band, and
+ * the planning suggestions built on it.
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const forecastService = require('../services/forecastService');
+const { startTestServer } = require('./helpers/testServer');
+const { seedCatalog } = require('./helpers/fixtures');
+
+describe('forecast models', () => {
+  it('follows a growing centro with the trend model', () => {
+    const growing = [1, 2, 3, 4, 5, 6, 7, 8, 9, 10, 11, 12];
+    const forecast = forecastService.forecastDemand(growing, { coverageMonths: 2 });
+
+    assert.equal(forecast.model, 'HOLT');
+    assert.ok(forecast.monthly[0] > 12);
+    assert.ok(forecast.monthly[1] > forecast.monthly[0]);
+    const average = forecast.candidates.find((c) => c.model === 'AVERAGE');
+    assert.ok(forecast.mae < average.mae);
+  });
+
+  it('repeats last year for seasonal demand', () => {
+    const year = [5, 2, 2, 2, 3, 8, 5, 2, 2, 2, 3, 8];
+    const forecast = forecastService.forecastDemand([...year, ...year], { coverageMonths: 1 });
+
+    assert.equal(forecast.model, 'SEASONAL_NAIVE');
+    assert.equal(forecast.mae, 0);
+    assert.deepEqual(forecast.monthly, [5]);
+  });
+
+  it('considers Croston only for intermittent sizes', () => {
+    const rare = [1, 0, 0, 0, 2, 0, 0, 1, 0, 0, 0, 0, 2, 0, 0, 1, 0, 0];
+    const forecast = forecastService.forecastDemand(rare);
+
+    assert.equal(forecast.intermittent, true);
+    assert.ok(forecast.candidates.some((c) => c.model === 'CROSTON'));
+    assert.ok(forecast.expected < 1);
+    assert.ok(forecast.need <= 2);
+
+    const steady = forecastService.forecastDemand([3, 4, 3, 5, 4, 3, 4, 5, 3, 4]);
+    assert.equal(steady.intermittent, false);
+    assert.ok(!steady.candidates.some((c) => c.model === 'CROSTON'));
+  });
+
+  it('falls back to the average without enough history to back-test', () => {
+    const forecast = forecastService.forecastDemand([0, 0, 3, 4, 3], { coverageMonths: 2 });
+
+    assert.equal(forecast.model, 'AVERAGE');
+    assert.equal(forecast.backtested, false);
+    assert.equal(forecast.historyMonths, 3);
+    assert.equal(forecast.mae, null);
+    assert.ok(forecast.upper > forecast.expected);
+    assert.equal(forecast.need, Math.ceil(forecast.upper));
+  });
+
+  it('has no forecast without demand', () => {
+    assert.equal(forecastService.forecastDemand([0, 0, 0]), null);
+    assert.equal(forecastService.forecastDemand([]), null);
+  });
+});
+
+describe('planning with forecasts', () => {
+  let ctx;
+  let stent;
+  let centro;
+
+  before(async () => {
+    ctx = await startTestServer();
+    const catalog = await seedCatalog(ctx.companyId);
+    ({ centro } = catalog);
+    ({ stent } = catalog.products);
+
+    // 3 units a month over the last 8 complete months
+    const { getConsumosModel } = require('../getModel');
+    const Consumos = await getConsumosModel(ctx.companyId);
+    const now = new Date();
+    for (let monthsAgo = 1; monthsAgo <= 8; monthsAgo++) {
+      await Consumos.create({
+        centroId: centro._id,
+        centroName: centro.name,
+        items: [{ productId: stent._id, sapItemCode: stent.sapItemCode, lotNumber: 'F-001', quantity: 3 }],
+        consumptionDate: new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - monthsAgo, 15)),
+      });
+    }
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  it('suggests the forecast need at a centro', async () => {
+    const res = await ctx.api.get(`/api/analytics/planning-data?locationId=${centro._id}`);
+    assert.equal(res.status, 200);
+
+    const row = res.body.find((p) => p.productId === stent._id.toString());
+    assert.equal(row.planningBasis, 'FORECAST');
+    assert.equal(row.coverageMonths, 1);
+    assert.equal(row.forecast.expected, 3);
+    assert.equal(row.forecast.backtested, true);
+    assert.equal(row.requiredStock, row.forecast.need);
+    assert.equal(row.suggestedConsignment, row.forecast.need);
+
+    const byTarget = await ctx.api.get(`/api/analytics/planning-data?locationId=${centro._id}&basis=target`);
+    const targetRow = byTarget.body.find((p) => p.productId === stent._id.toString());
+    assert.equal(targetRow.planningBasis, 'TARGET');
+    assert.equal(targetRow.suggestedConsignment, 0);
+  });
+
+  it('orders for the centro deficit and the warehouse lead time', async () => {
+    const res = await ctx.api.get('/api/analytics/planning-data');
+    const row = res.body.find((p) => p.productId === stent._id.toString());
+
+    assert.equal(row.coverageMonths, 3);
+    assert.equal(row.forecast.expected, 9);
+    assert.ok(row.totalCentroDeficit >= 3);
+    assert.equal(row.suggestedOrder, row.totalCentroDeficit + row.requiredStock);
+  });
+
+  it('shows the back-test of one product', async () => {
+    const res = await ctx.api.get(`/api/analytics/forecast?productId=${stent._id}&locationId=${centro._id}&coverageMonths=2`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.history.length, 24);
+    assert.equal(res.body.history.at(-1).quantity, 3);
+    assert.deepEqual(res.body.forecast.monthly, [3, 3]);
+    assert.ok(res.body.forecast.candidates.length >= 3);
+  });
+});
@@ -0,0 +1,173 @@
+/**
+ * Test fixtures
+ * Master data that lines up with the SAP simulator seed (simulator/seedData.js):
+ * items 419113/419119, supplier P00031, warehouse 01 and consignment
+ * warehouse 10 with the CECANOR bin.
+ *
+ * getModel is required lazily: loading it opens the MongoDB connection, which
+ * must wait until startTestServer() has set MONGODB_URI.
+ */
+const models = () => require('../../getModel');
+
+const SUPPLIER_CODE = 'P00031';
+
+/**
+ * Create every collection the flows write to, with its indexes.
+ * Collections created implicitly inside a transaction race with Mongoose's
+ * background index builds and abort the transaction with a catalog conflict.
+ */
+async function prepareCollections(companyId) {
+  const {
+    getProductosModel,
+    getLocacionesModel,
+    getLotesModel,
+    getInventarioModel,
+    getTransaccionesModel,
+    getConsignacionesModel,
+    getGoodsReceiptsModel,
+    getConsumosModel,
+    getPedidosModel,
+    getSapOutboxModel,
+    getRevisionesExtraccionModel,
+    getDocumentosModel,
+    getTandasExtraccionModel,
+    getProcedimientosModel,
+    getRecallsModel,
+    getInventarioObjetivosModel,
+    getStockLevelRunsModel,
+    getAjustesModel,
+    getConteosModel,
+    getDevolucionesModel,
+    getTrasladosModel,
+  } = models();
+  const getters = [
+    getProductosModel,
+    getLocacionesModel,
+    getLotesModel,
+    getInventarioModel,
+    getTransaccionesModel,
+    getConsignacionesModel,
+    getGoodsReceiptsModel,
+    getConsumosModel,
+    getPedidosModel,
+    getSapOutboxModel,
+    getRevisionesExtraccionModel,
+    getDocumentosModel,
+    getTandasExtraccionModel,
+    getProcedimientosModel,
+    getRecallsModel,
+    getInventarioObjetivosModel,
+    getStockLevelRunsModel,
+    getAjustesModel,
+    getConteosModel,
+    getDevolucionesModel,
+    getTrasladosModel,
+  ];
+
+  for (const getModel of getters) {
+    const Model = await getModel(companyId);
+    await Model.createCollection();
+    await Model.init();
+  }
+}
+
+/**
+ * Seed products and locations
+ * @returns {Promise<Object>} { products: { stent, stentLong }, warehouse, centro }
+ */
+async function seedCatalog(companyId) {
+  await prepareCollections(companyId);
+
+  const Productos = await models().getProductosModel(companyId);
+  const Locaciones = await models().getLocacionesModel(companyId);
+
+  const stent = await Productos.create({
+    name: 'Orsiro Mission 2.25/15',
+    code: 419113,
+    sapItemCode: '419113',
+    category: 'STENTS_CORONARIOS',
+  });
+  const stentLong = await Productos.create({
+    name: 'Orsiro Mission 2.25/18',
+    code: 419119,
+    sapItemCode: '419119',
+    category: 'STENTS_CORONARIOS',
+  });
+
+  const warehouse = await Locaciones.create({
+    name: 'Bodega Principal',
+    type: 'WAREHOUSE',
+    sapIntegration: { warehouseCode: '01' },
+  });
+  const centro = await Locaciones.create({
+    name: 'CECANOR',
+    type: 'CENTRO',
+    sapIntegration: {
+      warehouseCode: '10',
+      binAbsEntry: 4,
+      binCode: '10-CECANOR',
+      cardCode: 'C00013',
+    },
+  });
+
+  return {
+    products: { stent: stent.toObject(), stentLong: stentLong.toObject() },
+    warehouse: warehouse.toObject(),
+    centro: centro.toObject(),
+  };
+}
+
+/**
+ * Find the lote for a lot number at a location
+ */
+async function findLote(companyId, productId, lotNumber, locationId) {
+  const Lotes = await models().getLotesModel(companyId);
+  return Lotes.findOne({ productId, lotNumber, currentLocationId: locationId }).lean();
+}
+
+/**
+ * Inventario row for a product at a location (null if none)
+ */
+async function findInventario(companyId, productId, locationId) {
+  const Inventario = await models().getInventarioModel(companyId);
+  return Inventario.findOne({ productId, locationId }).lean();
+}
+
+/**
+ * Transacciones matching a filter
+ */
+async function findTransacciones(companyId, filter) {
+  const Transacciones = await models().getTransaccionesModel(companyId);
+  return Transacciones.find(filter).lean();
+}
+
+/**
+ * Create an extra product outside the SAP seed
+ */
+async function createProduct(companyId, fields) {
+  const Productos = await models().getProductosModel(companyId);
+  return (await Productos.create(fields)).toObject();
+}
+
+/**
+ * Give a user a role (profiles are otherwise auto-created as viewer)
+ */
+async function setUserRole(companyId, userId, role) {
+  const UserProfiles = await models().getUserProfilesModel(companyId);
+  await UserProfiles.findOneAndUpdate(
+    { userId, companyId },
+    { $set: { role, isActive: true } },
+    { upsert: true }
+  );
+}
+
+module.exports = {
+  SUPPLIER_CODE,
+  prepareCollections,
+  seedCatalog,
+  findLote,
+  findInventario,
+  findTransacciones,
+  createProduct,
+  setUserRole,
+};
@@ -0,0 +1,84 @@
+/**
+ * Quantity invariants shared by every inventory flow
+ *
+ * Lote:       quantityTotal = available + consigned + consumed + damaged + returned,
+ *             and no bucket goes negative
+ * Inventario: each (product, location) row equals the sum of its lotes
+ */
+const assert = require('node:assert/strict');
+
+const BUCKETS = [
+  'quantityAvailable',
+  'quantityConsigned',
+  'quantityConsumed',
+  'quantityDamaged',
+  'quantityReturned',
+];
+
+const AGGREGATED_FIELDS = ['quantityTotal', ...BUCKETS];
+
+/**
+ * Assert the invariants over the whole tenant database
+ */
+async function assertInventoryInvariants(companyId) {
+  // Lazy: getModel connects on load (see fixtures.js)
+  const { getLotesModel, getInventarioModel } = require('../../getModel');
+  const Lotes = await getLotesModel(companyId);
+  const Inventario = await getInventarioModel(companyId);
+
+  const lotes = await Lotes.find().lean();
+  const sums = new Map();
+
+  for (const lote of lotes) {
+    const label = `lote ${lote.lotNumber} @ ${lote.currentLocationId}`;
+
+    for (const field of AGGREGATED_FIELDS) {
+      assert.ok((lote[field] || 0) >= 0, `${label}: ${field} is negative (${lote[field]})`);
+    }
+
+    const bucketSum = BUCKETS.reduce((sum, field) => sum + (lote[field] || 0), 0);
+    assert.equal(lote.quantityTotal, bucketSum, `${label}: quantityTotal ${lote.quantityTotal} != sum of buckets ${bucketSum}`);
+
+    const key = `${lote.productId}|${lote.currentLocationId}`;
+    const acc = sums.get(key) || Object.fromEntries(AGGREGATED_FIELDS.map((f) => [f, 0]));
+    for (const field of AGGREGATED_FIELDS) {
+      acc[field] += lote[field] || 0;
+    }
+    sums.set(key, acc);
+  }
+
+  const rows = await Inventario.find().lean();
+  const seen = new Set();
+
+  for (const row of rows) {
+    const key = `${row.productId}|${row.locationId}`;
+    seen.add(key);
+    const expected = sums.get(key) || Object.fromEntries(AGGREGATED_FIELDS.map((f) => [f, 0]));
+
+    for (const field of AGGREGATED_FIELDS) {
+      assert.equal(row[field] || 0, expected[field], `inventario ${key}: ${field} ${row[field]} != lotes ${expected[field]}`);
+    }
+  }
+
+  for (const [key, expected] of sums) {
+    if (seen.has(key)) continue;
+    assert.equal(expected.quantityTotal, 0, `inventario ${key} missing for lotes holding ${expected.quantityTotal} units`);
+  }
+}
+
+/**
+ * Assert selected quantities on a lote
+ * @param {Object} lote - Lean lote document
+ * @param {Object} expected - e.g. { quantityAvailable: 3, quantityConsigned: 2 }
+ */
+function assertQuantities(lote, expected, label = 'lote') {
+  assert.ok(lote, `${label} not found`);
+  for (const [field, value] of Object.entries(expected)) {
+    assert.equal(lote[field], value, `${label}: ${field}`);
+  }
+}
+
+module.exports = {
+  assertInventoryInvariants,
+  assertQuantities,
+};
@@ -0,0 +1,134 @@
+/**
+ * API test harness
+ *
+ * Boots the Express app against an in-memory MongoDB replica set (the
+ * controllers run multi-document transactions, which a standalone mongod
+ * rejects) and the local SAP Service Layer simulator, then exposes a small
+ * fetch-based client that signs requests the way util/authenticate.js expects.
+ *
+ * Everything the app reads at require time (MONGODB_URI, JWT_SECRET,
+ * SAP_B1_SERVICE_URL) is set before app.js is loaded, so each test file gets
+ * its own database, SAP stock, company and document store directory.
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const jwt = require('jsonwebtoken');
+const mongoose = require('mongoose');
+const { MongoMemoryReplSet } = require('mongodb-memory-server');
+const { createSapSimulator } = require('../../simulator/sapSimulator');
+
+const JWT_SECRET = 'vasculares-test-secret';
+
+const TEST_USER = {
+  _id: '64b000000000000000000001',
+  email: 'tester@vasculares.test',
+  firstname: 'Test',
+  lastname: 'Runner',
+};
+
+/**
+ * Start MongoDB, the SAP simulator and the API
+ * @returns {Promise<Object>} { api, companyId, token, sim, stop }
+ */
+async function startTestServer() {
+  const replSet = await MongoMemoryReplSet.create({ replSet: { count: 1, storageEngine: 'wiredTiger' } });
+  const sim = createSapSimulator({ log: false });
+  const { url: sapUrl } = await sim.listen(0);
+
+  process.env.NODE_ENV = 'test';
+  process.env.MONGODB_URI = replSet.getUri('vasculares_test');
+  process.env.JWT_SECRET = JWT_SECRET;
+  process.env.SAP_B1_SERVICE_URL = sapUrl;
+  process.env.SAP_B1_USERNAME = 'manager';
+  process.env.SAP_B1_PASSWORD = 'test';
+  process.env.DOCUMENT_STORE_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'vasculares-documents-'));
+  process.env.NOTIFICATIONS_TRANSPORT = 'file';
+  process.env.NOTIFICATIONS_DIR = fs.mkdtempSync(path.join(os.tmpdir(), 'vasculares-notifications-'));
+
+  const app = require('../../app');
+  const { mongoDb } = require('../../connection');
+  await mongoDb;
+
+  const server = await new Promise((resolve, reject) => {
+    const s = app.listen(0, '127.0.0.1', () => resolve(s));
+    s.on('error', reject);
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  // companyId doubles as the tenant database name and must be a valid ObjectId
+  // (pedidos store it as one)
+  const companyId = new mongoose.Types.ObjectId().toString();
+  const token = signToken({ companyId });
+
+  const api = createClient(baseUrl, token);
+
+  async function stop() {
+    await new Promise((resolve) => {
+      server.closeAllConnections?.();
+      server.close(() => resolve());
+    });
+    await mongoose.disconnect();
+    await sim.close();
+    await replSet.stop();
+    fs.rmSync(process.env.DOCUMENT_STORE_DIR, { recursive: true, force: true });
+    fs.rmSync(process.env.NOTIFICATIONS_DIR, { recursive: true, force: true });
+  }
+
+  return { api, baseUrl, companyId, token, sim, stop };
+}
+
+/**
+ * Sign a token with the payload util/authenticate.js decodes
+ * @param {Object} claims - Extra claims (companyId, overrides for TEST_USER)
+ */
+function signToken(claims = {}) {
+  return jwt.sign({ ...TEST_USER, ...claims }, JWT_SECRET, { algorithm: 'HS256', expiresIn: '1h' });
+}
+
+/**
+ * JSON client bound to one token
+ * Each method resolves to { status, body } and never throws on HTTP errors.
+ * upload() sends multipart form data: files as [{ name, type, content }].
+ */
+function createClient(baseUrl, token) {
+  async function request(method, path, body) {
+    const isForm = body instanceof FormData;
+    const headers = { Authorization: `Bearer ${token}` };
+    if (!isForm) headers['Content-Type'] = 'application/json';
+
+    const res = await fetch(`${baseUrl}${path}`, {
+      method,
+      headers,
+      body: body === undefined || isForm ? body : JSON.stringify(body),
+    });
+    const text = await res.text();
+    let parsed = null;
+    try {
+      parsed = text ? JSON.parse(text) : null;
+    } catch {
+      parsed = text;
+    }
+    return { status: res.status, body: parsed };
+  }
+
+  return {
+    get: (path) => request('GET', path),
+    post: (path, body) => request('POST', path, body ?? {}),
+    put: (path, body) => request('PUT', path, body ?? {}),
+    delete: (path) => request('DELETE', path),
+    upload: (path, files, fields = {}) => {
+      const form = new FormData();
+      for (const [key, value] of Object.entries(fields)) form.append(key, String(value));
+      for (const file of files) form.append('files', new Blob([file.content], { type: file.type }), file.name);
+      return request('POST', path, form);
+    },
+  };
+}
+
+module.exports = {
+  startTestServer,
+  signToken,
+  createClient,
+  TEST_USER,
+};
@@ -0,0 +1,162 @@
+/**
+ * Implant registry: managed doctors, procedure records created with each
+ * consumption, encrypted patient identifiers and "who received lot X".
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createClient, signToken, TEST_USER } = require('./helpers/testServer');
+const { seedCatalog, setUserRole, findLote, SUPPLIER_CODE } = require('./helpers/fixtures');
+
+const SALES = { _id: '64b000000000000000000005', email: 'registry-sales@vasculares.test', firstname: 'Registry', lastname: 'Sales' };
+const PATIENT_ID = '001-1234567-8';
+
+describe('implant registry', () => {
+  let ctx;
+  let stent;
+  let warehouse;
+  let centro;
+  let medico;
+  let procedimiento;
+
+  before(async () => {
+    process.env.SAP_CREDENTIALS_KEY = 'ab'.repeat(32);
+    ctx = await startTestServer();
+    const catalog = await seedCatalog(ctx.companyId);
+    ({ warehouse, centro } = catalog);
+    ({ stent } = catalog.products);
+
+    await setUserRole(ctx.companyId, TEST_USER._id, 'admin');
+
+    // Stock at CECANOR: 5 units of lot R-001
+    await ctx.api.post('/api/goods-receipt', {
+      locationId: warehouse._id,
+      supplierCode: SUPPLIER_CODE,
+      items: [{ productId: stent._id, lotNumber: 'R-001', quantity: 5, expiryDate: '2028-06-30' }],
+    });
+    const lote = await findLote(ctx.companyId, stent._id, 'R-001', warehouse._id);
+    const consignacion = await ctx.api.post('/api/consignaciones', {
+      fromLocationId: warehouse._id,
+      toLocationId: centro._id,
+      items: [{ productId: stent._id, loteId: lote._id, lotNumber: 'R-001', quantitySent: 5 }],
+    });
+    await ctx.api.put(`/api/consignaciones/${consignacion.body.consignacion._id}/confirm`, {
+      items: [{ productId: stent._id, quantityReceived: 5 }],
+    });
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  async function consume(body) {
+    const lote = await findLote(ctx.companyId, stent._id, 'R-001', centro._id);
+    return ctx.api.post('/api/consumption', {
+      centroId: centro._id,
+      items: [{ loteId: lote._id, productId: stent._id, quantity: 1 }],
+      ...body,
+    });
+  }
+
+  it('manages doctors per centro', async () => {
+    const created = await ctx.api.post('/api/medicos', {
+      name: 'Dra. Ana Pérez',
+      licenseNumber: 'EX-1234',
+      specialty: 'Cardiología intervencionista',
+      centroIds: [centro._id],
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    medico = created.body.medico;
+
+    const elsewhere = await ctx.api.post('/api/medicos', {
+      name: 'Dr. Luis Gómez',
+      centroIds: [warehouse._id],
+    });
+    assert.equal(elsewhere.status, 201);
+
+    const list = await ctx.api.get(`/api/medicos?centroId=${centro._id}`);
+    assert.deepEqual(list.body.map((m) => m.name), ['Dra. Ana Pérez']);
+
+    const rejected = await consume({ doctorId: elsewhere.body.medico._id });
+    assert.equal(rejected.status, 400);
+    assert.match(rejected.body.error, /no está registrado en este Centro/);
+  });
+
+  it('records a procedure with the doctor and an encrypted identifier', async () => {
+    const res = await consume({
+      doctorId: medico._id,
+      patientName: 'Juan Rodríguez',
+      patientIdentifier: PATIENT_ID,
+      procedureDate: '2026-04-02',
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+
+    const consumo = (await ctx.api.get(`/api/consumption/${res.body.consumo._id}`)).body;
+    assert.equal(consumo.doctorName, 'Dra. Ana Pérez');
+    assert.ok(consumo.procedimientoId);
+
+    const detail = await ctx.api.get(`/api/procedimientos/${consumo.procedimientoId}`);
+    assert.equal(detail.status, 200);
+    procedimiento = detail.body;
+    assert.equal(procedimiento.doctorId, medico._id);
+    assert.equal(procedimiento.implants[0].lotNumber, 'R-001');
+    assert.ok(procedimiento.implants[0].expiryDate);
+    assert.equal(procedimiento.patient.hasIdentifier, true);
+    assert.equal(procedimiento.patient.identifierLast4, '5678');
+    assert.equal(procedimiento.patient.identifier, undefined);
+    assert.equal(procedimiento.patient.identifierHash, undefined);
+    assert.ok(!JSON.stringify(procedimiento).includes('1234567'));
+  });
+
+  it('finds patients by lot, including consumptions before the registry', async () => {
+    const { getConsumosModel } = require('../getModel');
+    const Consumos = await getConsumosModel(ctx.companyId);
+    const lote = await findLote(ctx.companyId, stent._id, 'R-001', centro._id);
+    await Consumos.create({
+      centroId: centro._id,
+      centroName: centro.name,
+      items: [{ productId: stent._id, sapItemCode: stent.sapItemCode, loteId: lote._id, lotNumber: 'R-001', quantity: 1 }],
+      patientName: 'Paciente anterior',
+      procedureDate: new Date('2025-12-01'),
+    });
+
+    const res = await ctx.api.get('/api/procedimientos/search?lotNumber=R-001');
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map((p) => p.patient.name), ['Juan Rodríguez', 'Paciente anterior']);
+    assert.equal(res.body[1].legacy, true);
+
+    const none = await ctx.api.get('/api/procedimientos/search');
+    assert.equal(none.status, 400);
+  });
+
+  it('finds a patient by identifier in any format', async () => {
+    const res = await ctx.api.get('/api/procedimientos/search?patientIdentifier=00112345678');
+    assert.equal(res.status, 200);
+    assert.equal(res.body.length, 1);
+    assert.equal(res.body[0]._id, procedimiento._id);
+  });
+
+  it('only reveals the identifier with viewPatientData', async () => {
+    await setUserRole(ctx.companyId, SALES._id, 'sales');
+    const sales = createClient(ctx.baseUrl, signToken({ ...SALES, companyId: ctx.companyId }));
+
+    const denied = await sales.get(`/api/procedimientos/${procedimiento._id}/patient-identifier`);
+    assert.equal(denied.status, 403);
+
+    const res = await ctx.api.get(`/api/procedimientos/${procedimiento._id}/patient-identifier`);
+    assert.equal(res.status, 200);
+    assert.equal(res.body.identifier, '00112345678');
+  });
+
+  it('lists the patients implanted with a recalled lot', async () => {
+    const recall = await ctx.api.post('/api/recalls', {
+      reference: 'FSCA-2026-07',
+      lotNumbers: ['R-001'],
+    });
+    assert.equal(recall.status, 201, JSON.stringify(recall.body));
+
+    const res = await ctx.api.get(`/api/recalls/${recall.body._id}/patients`);
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.map((p) => p.patient.name), ['Juan Rodríguez', 'Paciente anterior']);
+    assert.equal(res.body[0].doctorName, 'Dra. Ana Pérez');
+  });
+});
@@ -0,0 +1,136 @@
+/**
+ * Inventory check: detects Lote / Inventario / ledger drift, repairs the
+ * derived data and leaves lote quantities alone.
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, TEST_USER } = require('./helpers/testServer');
+const { seedCatalog, findLote, findInventario, setUserRole, SUPPLIER_CODE } = require('./helpers/fixtures');
+
+// getModel connects on load, so it is required after the server is up
+const models = () => require('../getModel');
+
+const LOT = 'T-CHECK-001';
+
+describe('inventory check', () => {
+  let ctx;
+  let stent;
+  let warehouse;
+  let centro;
+
+  before(async () => {
+    ctx = await startTestServer();
+    const catalog = await seedCatalog(ctx.companyId);
+    ({ warehouse, centro } = catalog);
+    stent = catalog.products.stent;
+
+    // Receive 5, consign all of them and confirm: the warehouse lote ends empty
+    await ctx.api.post('/api/goods-receipt', {
+      locationId: warehouse._id,
+      supplierCode: SUPPLIER_CODE,
+      items: [{ productId: stent._id, lotNumber: LOT, quantity: 5, expiryDate: '2028-06-30' }],
+    });
+    const lote = await findLote(ctx.companyId, stent._id, LOT, warehouse._id);
+    const consigned = await ctx.api.post('/api/consignaciones', {
+      fromLocationId: warehouse._id,
+      toLocationId: centro._id,
+      items: [{ productId: stent._id, loteId: lote._id, lotNumber: LOT, quantitySent: 5 }],
+    });
+    await ctx.api.put(`/api/consignaciones/${consigned.body.consignacion._id}/confirm`, {
+      items: [{ productId: stent._id, quantityReceived: 5 }],
+    });
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  const countOf = (run, type) => run.mismatches.filter(m => m.type === type);
+
+  it('is restricted to admins', async () => {
+    const res = await ctx.api.post('/api/inventory-check/run', {});
+    assert.equal(res.status, 403);
+
+    await setUserRole(ctx.companyId, TEST_USER._id, 'admin');
+  });
+
+  it('finds no drift after the regular flows besides the emptied lote status', async () => {
+    const res = await ctx.api.post('/api/inventory-check/run', {});
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.status, 'COMPLETED');
+    assert.ok(res.body.stats.transactionsReplayed >= 2);
+
+    // consignaciones.confirm leaves the emptied warehouse lote ACTIVE
+    assert.deepEqual(res.body.mismatches.map(m => m.type), ['LOTE_STATUS']);
+    assert.equal(res.body.mismatches[0].repaired, false);
+  });
+
+  it('reports and repairs Inventario drift and lote status', async () => {
+    const { getInventarioModel, getLotesModel } = models();
+    const Inventario = await getInventarioModel(ctx.companyId);
+    const Lotes = await getLotesModel(ctx.companyId);
+
+    // The kind of drift an $inc-based update leaves behind
+    await Inventario.updateOne(
+      { productId: stent._id, locationId: centro._id },
+      { $inc: { quantityAvailable: 3 } }
+    );
+    // Lote quantity edited outside any flow: nothing records it
+    await Lotes.updateOne(
+      { productId: stent._id, lotNumber: LOT, currentLocationId: centro._id },
+      { $inc: { quantityConsumed: 1 } }
+    );
+
+    const reportOnly = await ctx.api.post('/api/inventory-check/run', {});
+    assert.equal(reportOnly.status, 200, JSON.stringify(reportOnly.body));
+    assert.equal(countOf(reportOnly.body, 'INVENTARIO_MISMATCH').length, 1);
+    assert.equal(countOf(reportOnly.body, 'LOTE_TOTAL').length, 1);
+    assert.ok(reportOnly.body.mismatches.every(m => !m.repaired));
+    assert.equal((await findInventario(ctx.companyId, stent._id, centro._id)).quantityAvailable, 8);
+
+    const repaired = await ctx.api.post('/api/inventory-check/run', { repair: true });
+    assert.equal(repaired.status, 200, JSON.stringify(repaired.body));
+
+    const inventarioMismatch = countOf(repaired.body, 'INVENTARIO_MISMATCH')[0];
+    assert.equal(inventarioMismatch.repaired, true);
+    assert.deepEqual(inventarioMismatch.expected, { quantityAvailable: 5, quantityConsumed: 1 });
+    assert.equal((await findInventario(ctx.companyId, stent._id, centro._id)).quantityAvailable, 5);
+
+    assert.equal(countOf(repaired.body, 'LOTE_STATUS')[0].repaired, true);
+    assert.equal((await findLote(ctx.companyId, stent._id, LOT, warehouse._id)).status, 'DEPLETED');
+
+    // Lote quantities are reported, never rewritten
+    const loteTotal = countOf(repaired.body, 'LOTE_TOTAL')[0];
+    assert.equal(loteTotal.repairable, false);
+    assert.equal(loteTotal.repaired, false);
+    assert.equal((await findLote(ctx.companyId, stent._id, LOT, centro._id)).quantityConsumed, 1);
+  });
+
+  it('reports ledger drift per lot', async () => {
+    const { getLotesModel } = models();
+    const Lotes = await getLotesModel(ctx.companyId);
+
+    await Lotes.updateOne(
+      { productId: stent._id, lotNumber: LOT, currentLocationId: centro._id },
+      { $inc: { quantityAvailable: -2, quantityTotal: -2 } }
+    );
+
+    const res = await ctx.api.post('/api/inventory-check/run', { repair: true });
+    const drift = countOf(res.body, 'LEDGER_DRIFT');
+    assert.equal(drift.length, 1);
+    assert.equal(drift[0].lotNumber, LOT);
+    assert.equal(drift[0].expected, 5);
+    assert.equal(drift[0].actual, 3);
+  });
+
+  it('keeps the run history', async () => {
+    const history = await ctx.api.get('/api/inventory-check/runs');
+    assert.equal(history.status, 200);
+    assert.equal(history.body.length, 4);
+    assert.equal(history.body[0].mismatches, undefined);
+
+    const run = await ctx.api.get(`/api/inventory-check/runs/${history.body[0]._id}`);
+    assert.equal(run.status, 200);
+    assert.ok(Array.isArray(run.body.mismatches));
+  });
+});
@@ -0,0 +1,232 @@
+/**
+ * Goods receipt → consignment → confirm → consumption
+ *
+ * Walks one lot through the whole chain and checks the Lote/Inventario
+ * quantities (and the simulator's SAP stock) after every step. The steps
+ * share state and run in order.
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { seedCatalog, findLote, findInventario, findTransacciones, SUPPLIER_CODE } = require('./helpers/fixtures');
+const { assertInventoryInvariants, assertQuantities } = require('./helpers/invariants');
+
+const LOT = 'T-FLOW-001';
+
+describe('inventory flow', () => {
+  let ctx;
+  let stent;
+  let warehouse;
+  let centro;
+  let firstConsignacionId;
+
+  before(async () => {
+    ctx = await startTestServer();
+    const catalog = await seedCatalog(ctx.companyId);
+    ({ warehouse, centro } = catalog);
+    stent = catalog.products.stent;
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  const warehouseLote = () => findLote(ctx.companyId, stent._id, LOT, warehouse._id);
+  const centroLote = () => findLote(ctx.companyId, stent._id, LOT, centro._id);
+  const sapStock = (warehouseCode, bin) => ctx.sim.store.getStock('419113', LOT, warehouseCode, bin);
+
+  async function consign(quantitySent) {
+    const lote = await warehouseLote();
+    const res = await ctx.api.post('/api/consignaciones', {
+      fromLocationId: warehouse._id,
+      toLocationId: centro._id,
+      items: [{ productId: stent._id, loteId: lote._id, lotNumber: LOT, quantitySent }],
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body.consignacion;
+  }
+
+  function confirm(consignacionId, quantityReceived) {
+    return ctx.api.put(`/api/consignaciones/${consignacionId}/confirm`, {
+      items: [{ productId: stent._id, quantityReceived }],
+    });
+  }
+
+  it('goods receipt creates the warehouse lote and posts to SAP', async () => {
+    const res = await ctx.api.post('/api/goods-receipt', {
+      locationId: warehouse._id,
+      supplierCode: SUPPLIER_CODE,
+      items: [{ productId: stent._id, lotNumber: LOT, quantity: 10, expiryDate: '2028-06-30' }],
+    });
+
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    assert.equal(res.body.sapResult.success, true);
+
+    assertQuantities(await warehouseLote(), {
+      quantityTotal: 10,
+      quantityAvailable: 10,
+      quantityConsigned: 0,
+    }, 'warehouse lote');
+    assert.equal((await findInventario(ctx.companyId, stent._id, warehouse._id)).quantityAvailable, 10);
+    assert.equal(sapStock('01'), 10);
+
+    await assertInventoryInvariants(ctx.companyId);
+  });
+
+  it('consignment puts the stock in transit to the centro', async () => {
+    const consignacion = await consign(6);
+    firstConsignacionId = consignacion._id;
+
+    assert.equal(consignacion.status, 'EN_TRANSITO');
+    assert.equal(consignacion.sapIntegration.status, 'SYNCED');
+
+    assertQuantities(await warehouseLote(), {
+      quantityTotal: 10,
+      quantityAvailable: 4,
+      quantityConsigned: 6,
+    }, 'warehouse lote');
+    assertQuantities(await centroLote(), {
+      quantityTotal: 6,
+      quantityAvailable: 0,
+      quantityConsigned: 6,
+    }, 'centro lote');
+    assert.equal(sapStock('01'), 4);
+    assert.equal(sapStock('10', 4), 6);
+
+    await assertInventoryInvariants(ctx.companyId);
+  });
+
+  it('rejects receiving more than was sent and leaves quantities untouched', async () => {
+    const res = await confirm(firstConsignacionId, 7);
+    assert.equal(res.status, 400);
+
+    assertQuantities(await warehouseLote(), { quantityAvailable: 4, quantityConsigned: 6 }, 'warehouse lote');
+    assertQuantities(await centroLote(), { quantityAvailable: 0, quantityConsigned: 6 }, 'centro lote');
+
+    await assertInventoryInvariants(ctx.companyId);
+  });
+
+  it('full confirmation hands the stock over to the centro', async () => {
+    const res = await confirm(firstConsignacionId, 6);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.consignacion.status, 'RECIBIDO');
+
+    assertQuantities(await warehouseLote(), {
+      quantityTotal: 4,
+      quantityAvailable: 4,
+      quantityConsigned: 0,
+    }, 'warehouse lote');
+    assertQuantities(await centroLote(), {
+      quantityTotal: 6,
+      quantityAvailable: 6,
+      quantityConsigned: 0,
+    }, 'centro lote');
+    assert.equal((await findInventario(ctx.companyId, stent._id, centro._id)).quantityAvailable, 6);
+
+    await assertInventoryInvariants(ctx.companyId);
+  });
+
+  it('does not confirm the same consignment twice', async () => {
+    const res = await confirm(firstConsignacionId, 6);
+    assert.equal(res.status, 400);
+
+    assertQuantities(await centroLote(), { quantityTotal: 6, quantityAvailable: 6 }, 'centro lote');
+    await assertInventoryInvariants(ctx.companyId);
+  });
+
+  it('consumption deducts from the centro lote and posts a delivery to SAP', async () => {
+    const lote = await centroLote();
+    const res = await ctx.api.post('/api/consumption', {
+      centroId: centro._id,
+      items: [{ loteId: lote._id, productId: stent._id, quantity: 2 }],
+      patientName: 'Paciente Prueba',
+      doctorName: 'Dr. Prueba',
+    });
+
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    assert.equal(res.body.consumo.status, 'SYNCED');
+    assert.equal(res.body.sapResult.success, true);
+
+    assertQuantities(await centroLote(), {
+      quantityTotal: 6,
+      quantityAvailable: 4,
+      quantityConsumed: 2,
+    }, 'centro lote');
+    assert.equal(sapStock('10', 4), 4);
+
+    await assertInventoryInvariants(ctx.companyId);
+  });
+
+  it('rejects consuming more than is available at the centro', async () => {
+    const lote = await centroLote();
+    const res = await ctx.api.post('/api/consumption', {
+      centroId: centro._id,
+      items: [{ loteId: lote._id, quantity: 5 }],
+    });
+
+    assert.equal(res.status, 400);
+    assertQuantities(await centroLote(), { quantityAvailable: 4, quantityConsumed: 2 }, 'centro lote');
+  });
+
+  it('partial confirmation returns the difference to the warehouse', async () => {
+    const consignacion = await consign(3);
+
+    assertQuantities(await warehouseLote(), {
+      quantityTotal: 4,
+      quantityAvailable: 1,
+      quantityConsigned: 3,
+    }, 'warehouse lote');
+    assertQuantities(await centroLote(), {
+      quantityTotal: 9,
+      quantityAvailable: 4,
+      quantityConsigned: 3,
+      quantityConsumed: 2,
+    }, 'centro lote');
+    await assertInventoryInvariants(ctx.companyId);
+
+    const res = await confirm(consignacion._id, 1);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.consignacion.items[0].quantityReceived, 1);
+
+    assertQuantities(await warehouseLote(), {
+      quantityTotal: 3,
+      quantityAvailable: 3,
+      quantityConsigned: 0,
+    }, 'warehouse lote');
+    assertQuantities(await centroLote(), {
+      quantityTotal: 7,
+      quantityAvailable: 5,
+      quantityConsigned: 0,
+      quantityConsumed: 2,
+    }, 'centro lote');
+
+    const returns = await findTransacciones(ctx.companyId, {
+      type: 'RETURN',
+      notes: { $regex: `Consignment #${consignacion._id}` },
+    });
+    assert.equal(returns.length, 1);
+    assert.equal(returns[0].quantity, 2);
+
+    await assertInventoryInvariants(ctx.companyId);
+  });
+
+  it('confirming with nothing received sends everything back', async () => {
+    const consignacion = await consign(2);
+
+    const res = await confirm(consignacion._id, 0);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+
+    assertQuantities(await warehouseLote(), {
+      quantityTotal: 3,
+      quantityAvailable: 3,
+      quantityConsigned: 0,
+    }, 'warehouse lote');
+    assertQuantities(await centroLote(), {
+      quantityTotal: 7,
+      quantityAvailable: 5,
+      quantityConsigned: 0,
+    }, 'centro lote');
+
+    await assertInventoryInvariants(ctx.companyId);
+  });
+});
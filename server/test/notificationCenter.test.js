@@ -0,0 +1,189 @@
+/**
+ * In-app notifications: the bell and the activity feed. Events reach the
+ * users with the event's permission (and centro), or the users they are
+ * about, with a link to the document concerned.
+ */
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+
+// Outbox entries go dead on the first failure
+process.env.SAP_OUTBOX_MAX_ATTEMPTS = '1';
+
+const { startTestServer, TEST_USER } = require('./helpers/testServer');
+const { seedCatalog, setUserRole, findLote, SUPPLIER_CODE } = require('./helpers/fixtures');
+
+describe('notification center', () => {
+  let ctx;
+  let stent;
+  let warehouse;
+  let centro;
+  let otherCentro;
+  const viewerUserId = new mongoose.Types.ObjectId();
+
+  before(async () => {
+    ctx = await startTestServer();
+    const catalog = await seedCatalog(ctx.companyId);
+    ({ warehouse, centro } = catalog);
+    stent = catalog.products.stent;
+    await setUserRole(ctx.companyId, TEST_USER._id, 'admin');
+    await setUserRole(ctx.companyId, viewerUserId, 'viewer');
+
+    const { getLocacionesModel } = require('../getModel');
+    const Locaciones = await getLocacionesModel(ctx.companyId);
+    otherCentro = (await Locaciones.create({ name: 'HOMS', type: 'CENTRO' })).toObject();
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  afterEach(() => {
+    ctx.sim.faults.clear();
+  });
+
+  const feed = async (query = '') => {
+    const res = await ctx.api.get(`/api/notifications${query}`);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    return res.body;
+  };
+
+  // In-app notifications from request paths do not hold up the response
+  async function waitForNotifications(count) {
+    for (let i = 0; i < 50; i++) {
+      const current = await feed('?limit=100');
+      if (current.notifications.length >= count) return current;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    assert.fail(`expected ${count} notifications`);
+  }
+
+  async function consign(lotNumber, quantity) {
+    const receipt = await ctx.api.post('/api/goods-receipt', {
+      locationId: warehouse._id,
+      supplierCode: SUPPLIER_CODE,
+      pushToSap: false,
+      items: [{ productId: stent._id, lotNumber, quantity, expiryDate: '2028-06-30' }],
+    });
+    assert.equal(receipt.status, 201, JSON.stringify(receipt.body));
+
+    const lote = await findLote(ctx.companyId, stent._id, lotNumber, warehouse._id);
+    const res = await ctx.api.post('/api/consignaciones', {
+      fromLocationId: warehouse._id,
+      toLocationId: centro._id,
+      items: [{ productId: stent._id, loteId: lote._id, lotNumber, quantitySent: quantity }],
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body.consignacion;
+  }
+
+  it('notifies a new consignment with a link to it, without a subscription', async () => {
+    const consignacion = await consign('T-BELL-001', 2);
+
+    const { notifications, unreadCount } = await waitForNotifications(1);
+    assert.equal(unreadCount, 1);
+    assert.equal(notifications[0].event, 'CONSIGNMENT_CREATED');
+    assert.equal(notifications[0].link, `/consignaciones?id=${consignacion._id}`);
+    assert.match(notifications[0].title, /CECANOR/);
+
+    const count = await ctx.api.get('/api/notifications/unread-count');
+    assert.deepEqual(count.body, { count: 1 });
+
+    const read = await ctx.api.put(`/api/notifications/${notifications[0]._id}/read`);
+    assert.equal(read.status, 200, JSON.stringify(read.body));
+    assert.ok(read.body.readAt);
+    assert.equal((await feed('?unread=true')).notifications.length, 0);
+
+    // Viewers don't handle consignments
+    const { getUserNotificationsModel } = require('../getModel');
+    const UserNotifications = await getUserNotificationsModel(ctx.companyId);
+    assert.equal(await UserNotifications.countDocuments({ userId: viewerUserId }), 0);
+  });
+
+  it('only notifies the centros the user follows', async () => {
+    const res = await ctx.api.put('/api/notifications/subscriptions', { events: [], centroIds: [otherCentro._id] });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.deepEqual(res.body.centroIds, [otherCentro._id.toString()]);
+
+    const notWarehouse = await ctx.api.put('/api/notifications/subscriptions', { events: [], centroIds: [warehouse._id] });
+    assert.equal(notWarehouse.status, 400);
+
+    const before = (await feed('?limit=100')).notifications.length;
+    await consign('T-BELL-002', 1);
+    await new Promise((resolve) => setTimeout(resolve, 500));
+    assert.equal((await feed('?limit=100')).notifications.length, before);
+
+    await ctx.api.put('/api/notifications/subscriptions', { events: [], centroIds: [] });
+  });
+
+  it('links an SAP failure to the consignment that failed', async () => {
+    const before = (await feed('?limit=100')).notifications.length;
+    ctx.sim.faults.add({ method: 'POST', path: '/StockTransfers', status: 500 });
+    const consignacion = await consign('T-BELL-003', 1);
+
+    // The consignment and the failure
+    const { notifications } = await waitForNotifications(before + 2);
+    const failure = notifications.find((n) => n.event === 'SAP_PUSH_FAILED');
+    assert.ok(failure, JSON.stringify(notifications.map((n) => n.event)));
+    assert.equal(failure.link, `/consignaciones?id=${consignacion._id}`);
+  });
+
+  it('tells a user their role changed', async () => {
+    const { getUserProfilesModel, getUserNotificationsModel } = require('../getModel');
+    const UserProfiles = await getUserProfilesModel(ctx.companyId);
+    const profile = await UserProfiles.findOne({ userId: viewerUserId });
+
+    const res = await ctx.api.put(`/api/user-profiles/${profile._id}/role`, { role: 'almacen' });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+
+    const UserNotifications = await getUserNotificationsModel(ctx.companyId);
+    let notification;
+    for (let i = 0; i < 50 && !notification; i++) {
+      notification = await UserNotifications.findOne({ userId: viewerUserId, event: 'ROLE_CHANGED' }).lean();
+      if (!notification) await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    assert.ok(notification);
+    assert.equal(notification.title, 'Su rol ahora es Almacén');
+    assert.match(notification.message, /de Visualizador a Almacén/);
+  });
+
+  it('reports reconciliation results', async () => {
+    const notificationService = require('../services/notificationService');
+    const before = (await feed('?limit=100')).notifications.length;
+
+    const failed = await notificationService.notifyReconciliationResult(ctx.companyId, {
+      runId: new mongoose.Types.ObjectId(),
+      status: 'FAILED',
+      startedAt: new Date(),
+      errors: [{ message: 'SAP no responde' }],
+    });
+    // The admin (manageSapQueue); the almacen user from the previous test doesn't have it
+    assert.equal(failed.inApp, 1);
+
+    const completed = await notificationService.notifyReconciliationResult(ctx.companyId, {
+      runId: new mongoose.Types.ObjectId(),
+      status: 'COMPLETED',
+      stats: { externalDocsFound: 0 },
+    }, { triggeredBy: TEST_USER._id });
+    assert.equal(completed.inApp, 1);
+
+    const { notifications } = await feed('?limit=100');
+    const [latest, previous] = notifications.slice(0, notifications.length - before);
+    assert.equal(latest.event, 'RECONCILIATION_COMPLETED');
+    assert.equal(previous.event, 'RECONCILIATION_FAILED');
+    assert.match(previous.message, /SAP no responde/);
+
+    const readAll = await ctx.api.put('/api/notifications/read-all');
+    assert.ok(readAll.body.updated >= 2);
+    assert.deepEqual((await ctx.api.get('/api/notifications/unread-count')).body, { count: 0 });
+  });
+
+  it('pages the feed', async () => {
+    const { notifications: page, hasMore } = await feed('?limit=2');
+    assert.equal(page.length, 2);
+    assert.equal(hasMore, true);
+
+    const next = await feed(`?limit=2&before=${encodeURIComponent(page[1].createdAt)}`);
+    assert.ok(new Date(next.notifications[0].createdAt) < new Date(page[1].createdAt));
+  });
+});
@@ -0,0 +1,203 @@
+/**
+ * Email notifications: subscriptions, the consignment and SAP failure
+ * messages sent as things happen, and the daily checks. The test server
+ * writes messages to NOTIFICATIONS_DIR (file transport).
+ */
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const mongoose = require('mongoose');
+
+// Outbox entries go dead on the first failure
+process.env.SAP_OUTBOX_MAX_ATTEMPTS = '1';
+
+const { startTestServer, TEST_USER } = require('./helpers/testServer');
+const { seedCatalog, setUserRole, findLote, SUPPLIER_CODE } = require('./helpers/fixtures');
+
+const CENTRO_EMAIL = 'farmacia@centro.test';
+const STAFF_EMAIL = 'logistica@vasculares.test';
+
+describe('notifications', () => {
+  let ctx;
+  let stent;
+  let stentLong;
+  let warehouse;
+  let centro;
+
+  const inDays = (days) => new Date(Date.now() + days * 86400000).toISOString().split('T')[0];
+
+  before(async () => {
+    ctx = await startTestServer();
+    const catalog = await seedCatalog(ctx.companyId);
+    ({ warehouse, centro } = catalog);
+    ({ stent, stentLong } = catalog.products);
+    await setUserRole(ctx.companyId, TEST_USER._id, 'admin');
+
+    const { getLocacionesModel } = require('../getModel');
+    const Locaciones = await getLocacionesModel(ctx.companyId);
+    await Locaciones.updateOne({ _id: centro._id }, { 'settings.notificationEmail': CENTRO_EMAIL });
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  afterEach(() => {
+    ctx.sim.faults.clear();
+  });
+
+  function messages() {
+    const dir = process.env.NOTIFICATIONS_DIR;
+    if (!fs.existsSync(dir)) return [];
+    return fs.readdirSync(dir).sort()
+      .map((file) => JSON.parse(fs.readFileSync(path.join(dir, file), 'utf8')));
+  }
+
+  // Messages sent from request paths do not hold up the response
+  async function waitForMessages(count) {
+    for (let i = 0; i < 50; i++) {
+      const current = messages();
+      if (current.length >= count) return current;
+      await new Promise((resolve) => setTimeout(resolve, 100));
+    }
+    assert.fail(`expected ${count} notification messages, got ${messages().length}`);
+  }
+
+  async function receive(product, lotNumber, quantity, expiryDate = '2028-06-30') {
+    const res = await ctx.api.post('/api/goods-receipt', {
+      locationId: warehouse._id,
+      supplierCode: SUPPLIER_CODE,
+      pushToSap: false,
+      items: [{ productId: product._id, lotNumber, quantity, expiryDate }],
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+  }
+
+  async function consign(product, lotNumber, quantitySent) {
+    const lote = await findLote(ctx.companyId, product._id, lotNumber, warehouse._id);
+    const res = await ctx.api.post('/api/consignaciones', {
+      fromLocationId: warehouse._id,
+      toLocationId: centro._id,
+      items: [{ productId: product._id, loteId: lote._id, lotNumber, quantitySent }],
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body.consignacion;
+  }
+
+  it('lists the events and saves the subscriptions', async () => {
+    const initial = await ctx.api.get('/api/notifications/subscriptions');
+    assert.equal(initial.status, 200, JSON.stringify(initial.body));
+    assert.equal(initial.body.email, TEST_USER.email);
+    assert.equal(initial.body.transport, 'file');
+    assert.ok(initial.body.events.some((e) => e.event === 'SAP_PUSH_FAILED'));
+    assert.ok(initial.body.events.every((e) => !e.subscribed));
+
+    const unknown = await ctx.api.put('/api/notifications/subscriptions', { email: STAFF_EMAIL, events: ['NOPE'] });
+    assert.equal(unknown.status, 400);
+
+    const res = await ctx.api.put('/api/notifications/subscriptions', {
+      email: STAFF_EMAIL,
+      events: ['CONSIGNMENT_CREATED', 'SAP_PUSH_FAILED', 'CONSIGNMENT_IN_TRANSIT', 'LOTS_EXPIRING', 'STOCK_BELOW_TARGET'],
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.email, STAFF_EMAIL);
+    assert.equal(res.body.events.filter((e) => e.subscribed).length, 5);
+
+    const test = await ctx.api.post('/api/notifications/subscriptions/test');
+    assert.equal(test.status, 200, JSON.stringify(test.body));
+    const [message] = await waitForMessages(1);
+    assert.equal(message.to, STAFF_EMAIL);
+    assert.match(message.subject, /prueba/);
+  });
+
+  it('emails a new consignment to the subscribers and the centro', async () => {
+    const before = messages().length;
+    await receive(stent, 'T-NOTIF-001', 5);
+    await consign(stent, 'T-NOTIF-001', 3);
+
+    const sent = (await waitForMessages(before + 2)).slice(before);
+    assert.deepEqual(sent.map((m) => m.to).sort(), [CENTRO_EMAIL, STAFF_EMAIL]);
+    for (const message of sent) {
+      assert.match(message.subject, /Consignación en camino/);
+      assert.match(message.text, /T-NOTIF-001/);
+    }
+  });
+
+  it('emails when an SAP push runs out of attempts', async () => {
+    await receive(stent, 'T-NOTIF-002', 2);
+    const before = messages().length;
+
+    ctx.sim.faults.add({ method: 'POST', path: '/StockTransfers', status: 500 });
+    await consign(stent, 'T-NOTIF-002', 1);
+
+    // The consignment message (2 recipients) and the failure
+    const sent = (await waitForMessages(before + 3)).slice(before);
+    const failure = sent.find((m) => /Envío a SAP fallido/.test(m.subject));
+    assert.ok(failure, JSON.stringify(sent.map((m) => m.subject)));
+    assert.equal(failure.to, STAFF_EMAIL);
+    assert.match(failure.text, /StockTransfer/);
+  });
+
+  it('reports stuck consignments, expiring lots and stock below target once', async () => {
+    const notificationService = require('../services/notificationService');
+    const { getConsignacionesModel } = require('../getModel');
+    const start = messages().length;
+
+    // A consignment dispatched 5 days ago and never confirmed
+    await receive(stentLong, 'T-NOTIF-003', 2);
+    const stuck = await consign(stentLong, 'T-NOTIF-003', 2);
+    const Consignaciones = await getConsignacionesModel(ctx.companyId);
+    await Consignaciones.collection.updateOne(
+      { _id: new mongoose.Types.ObjectId(stuck._id) },
+      { $set: { createdAt: new Date(Date.now() - 5 * 86400000) } }
+    );
+
+    // A lot at the centro expiring in 30 days
+    await receive(stent, 'T-NOTIF-004', 2, inDays(30));
+    const expiring = await consign(stent, 'T-NOTIF-004', 2);
+    const confirm = await ctx.api.put(`/api/consignaciones/${expiring._id}/confirm`, {
+      items: [{ productId: stent._id, quantityReceived: 2 }],
+    });
+    assert.equal(confirm.status, 200, JSON.stringify(confirm.body));
+
+    const objetivo = await ctx.api.post('/api/inventario-objetivos', {
+      productId: stentLong._id,
+      locationId: centro._id,
+      targetStock: 6,
+    });
+    assert.ok([200, 201].includes(objetivo.status), JSON.stringify(objetivo.body));
+
+    // Both consignment messages (2 recipients each) are out before the checks
+    const before = (await waitForMessages(start + 4)).length;
+    const first = await notificationService.runDailyChecks(ctx.companyId);
+    assert.deepEqual(first, { consignmentsInTransit: 1, lotsExpiring: 1, stockBelowTarget: 1 });
+
+    const sent = messages().slice(before);
+    assert.ok(sent.every((m) => m.to === STAFF_EMAIL));
+    assert.ok(sent.some((m) => /sin confirmar hace 5 días/.test(m.subject)));
+    assert.ok(sent.some((m) => /lotes por vencer/.test(m.subject) && /T-NOTIF-004/.test(m.text)));
+    assert.ok(sent.some((m) => /bajo el stock objetivo/.test(m.subject)));
+
+    const second = await notificationService.runDailyChecks(ctx.companyId);
+    assert.deepEqual(second, { consignmentsInTransit: 0, lotsExpiring: 0, stockBelowTarget: 0 });
+  });
+
+  it('lets only admins change the thresholds', async () => {
+    const res = await ctx.api.put('/api/notifications/config', { lotExpiryDays: 90 });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.deepEqual(res.body, { consignmentTransitDays: 3, lotExpiryDays: 90 });
+
+    const invalid = await ctx.api.put('/api/notifications/config', { consignmentTransitDays: 0 });
+    assert.equal(invalid.status, 400);
+
+    await setUserRole(ctx.companyId, TEST_USER._id, 'viewer');
+    const denied = await ctx.api.put('/api/notifications/config', { lotExpiryDays: 30 });
+    assert.equal(denied.status, 403);
+
+    // Events that need a permission drop out of the list
+    const subscriptions = await ctx.api.get('/api/notifications/subscriptions');
+    assert.ok(!subscriptions.body.events.some((e) => e.event === 'SAP_PUSH_FAILED'));
+    await setUserRole(ctx.companyId, TEST_USER._id, 'admin');
+  });
+});
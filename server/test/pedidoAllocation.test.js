@@ -0,0 +1,200 @@
+/**
+ * Allocation of goods receipts to open pedidos: oldest lines first, partial
+ * shipments, over-delivery, legacy code substitutions, and the link kept on
+ * both the receipt and the pedido.
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { seedCatalog, createProduct, SUPPLIER_CODE } = require('./helpers/fixtures');
+
+describe('pedido allocation', () => {
+  let ctx;
+  let warehouse;
+  let nextCode = 930001;
+
+  before(async () => {
+    ctx = await startTestServer();
+    ({ warehouse } = await seedCatalog(ctx.companyId));
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  // Each test gets its own products, so pedidos of other tests never match
+  function newProduct(fields = {}) {
+    const code = nextCode++;
+    return createProduct(ctx.companyId, {
+      name: `Orsiro Mission ${code}`,
+      code,
+      sapItemCode: String(code),
+      category: 'STENTS_CORONARIOS',
+      ...fields,
+    });
+  }
+
+  async function createPedido(items, fields = {}) {
+    const res = await ctx.api.post('/api/pedidos', {
+      items: items.map(([product, quantityOrdered]) => ({ productId: product._id, quantityOrdered })),
+      ...fields,
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+  }
+
+  async function receive(items, fields = {}) {
+    const res = await ctx.api.post('/api/goods-receipt', {
+      locationId: warehouse._id,
+      pushToSap: false,
+      items: items.map(([product, lotNumber, quantity]) => ({ productId: product._id, lotNumber, quantity, expiryDate: '2028-06-30' })),
+      ...fields,
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+  }
+
+  const getPedido = async (pedido) => (await ctx.api.get(`/api/pedidos/${pedido._id}`)).body;
+  const received = (pedido) => pedido.items.map((i) => i.quantityReceived);
+
+  it('fills the oldest pedidos first and links both documents', async () => {
+    const product = await newProduct();
+    const older = await createPedido([[product, 4]], { orderDate: '2026-01-10' });
+    const newer = await createPedido([[product, 5]], { orderDate: '2026-02-10' });
+
+    // Partial shipment: the older pedido completes, the newer one stays open
+    const receipt = await receive([[product, 'T-AL-001', 3], [product, 'T-AL-002', 3]]);
+    assert.deepEqual(receipt.pedidos.map((p) => [p._id, p.status]), [[older._id, 'COMPLETO'], [newer._id, 'PARCIAL']]);
+    assert.deepEqual(
+      receipt.allocations.map((a) => a.pedidoAllocations.map((p) => [p.pedidoId, p.quantity])),
+      [[[older._id, 3]], [[older._id, 1], [newer._id, 2]]]
+    );
+
+    const stored = (await ctx.api.get(`/api/goods-receipt/${receipt.receiptId}`)).body;
+    assert.deepEqual(stored.pedidoIds, [older._id, newer._id]);
+    assert.ok(stored.pedidosAllocatedAt);
+
+    const newerNow = await getPedido(newer);
+    assert.deepEqual(received(newerNow), [2]);
+    assert.deepEqual(newerNow.goodsReceipts.map(String), [String(receipt.receiptId)]);
+    assert.deepEqual(newerNow.items[0].receipts.map((r) => [r.lotNumber, r.quantity]), [['T-AL-002', 2]]);
+
+    const pending = await ctx.api.get('/api/pedidos/pending-by-product');
+    assert.equal(pending.body[product._id.toString()], 3);
+  });
+
+  it('leaves over-delivered quantities unallocated', async () => {
+    const product = await newProduct();
+    const pedido = await createPedido([[product, 2]]);
+
+    const receipt = await receive([[product, 'T-AL-010', 5]]);
+    assert.equal(receipt.allocations[0].unallocatedQuantity, 3);
+    assert.deepEqual(received(await getPedido(pedido)), [2]);
+  });
+
+  it('receives a legacy code against the new code', async () => {
+    const legacy = await newProduct({ name: 'Orsiro 2.5/15' });
+    const mission = await newProduct({ legacyCode: legacy.code });
+    const pedido = await createPedido([[mission, 4]]);
+
+    const receipt = await receive([[legacy, 'T-AL-020', 3]]);
+    assert.deepEqual(receipt.allocations[0].pedidoAllocations.map((a) => [a.productId, a.quantity, a.substitution]), [
+      [mission._id.toString(), 3, true],
+    ]);
+
+    const current = await getPedido(pedido);
+    assert.deepEqual(received(current), [3]);
+    assert.equal(current.items[0].receipts[0].productId, legacy._id.toString());
+  });
+
+  it('matches the exact code before substitutions', async () => {
+    const legacy = await newProduct({ name: 'Orsiro 2.75/15' });
+    const mission = await newProduct({ legacyCode: legacy.code });
+    const legacyPedido = await createPedido([[legacy, 2]], { orderDate: '2026-01-10' });
+    const missionPedido = await createPedido([[mission, 2]], { orderDate: '2026-02-10' });
+
+    // The mission surplus must not take the legacy line the legacy item fills
+    const receipt = await receive([[mission, 'T-AL-030', 4], [legacy, 'T-AL-031', 2]]);
+    assert.deepEqual(receipt.allocations.map((a) => a.unallocatedQuantity), [2, 0]);
+    assert.equal(receipt.allocations[1].pedidoAllocations[0].pedidoId, legacyPedido._id);
+    assert.deepEqual(received(await getPedido(legacyPedido)), [2]);
+    assert.deepEqual(received(await getPedido(missionPedido)), [2]);
+  });
+
+  it('skips pedidos of other suppliers, and can be turned off', async () => {
+    const product = await newProduct();
+    const other = await createPedido([[product, 2]], { supplierCode: 'P00099', pushToSap: false });
+
+    const receipt = await receive([[product, 'T-AL-040', 1]], { supplierCode: SUPPLIER_CODE });
+    assert.deepEqual(receipt.pedidos, []);
+
+    const ours = await createPedido([[product, 2]]);
+    const skipped = await receive([[product, 'T-AL-041', 1]], { allocateToPedidos: false });
+    assert.deepEqual(skipped.pedidos, []);
+    assert.deepEqual(received(await getPedido(ours)), [0]);
+    assert.deepEqual(received(await getPedido(other)), [0]);
+  });
+
+  it('references several purchase orders on one delivery note', async () => {
+    const product = await newProduct();
+    const first = await createPedido([[product, 2]], { supplierCode: SUPPLIER_CODE, orderDate: '2026-01-10' });
+    const second = await createPedido([[product, 3]], { supplierCode: SUPPLIER_CODE, orderDate: '2026-02-10' });
+
+    const receipt = await receive([[product, 'T-AL-050', 4]], { pushToSap: true, supplierCode: SUPPLIER_CODE });
+    assert.equal(receipt.sapResult.success, true);
+
+    const note = ctx.sim.store.state.documents.PurchaseDeliveryNotes.at(-1);
+    assert.deepEqual(
+      note.DocumentLines.map((l) => [l.BaseEntry, l.BaseLine, l.Quantity]),
+      [[first.sapIntegration.docEntry, 0, 2], [second.sapIntegration.docEntry, 0, 2]]
+    );
+    assert.match(note.Comments, new RegExp(`OC ${first.sapIntegration.docNum}, ${second.sapIntegration.docNum}`));
+  });
+
+  it('closes a purchase order completed by a substitution', async () => {
+    const legacy = await newProduct({ name: 'Orsiro 3.0/15' });
+    const mission = await newProduct({ legacyCode: legacy.code });
+    const pedido = await createPedido([[mission, 2]], { supplierCode: SUPPLIER_CODE });
+
+    const receipt = await receive([[legacy, 'T-AL-060', 2]], { pushToSap: true, supplierCode: SUPPLIER_CODE });
+    assert.equal(receipt.sapResult.success, true);
+
+    // The substituted line can't reference the PO line
+    const note = ctx.sim.store.state.documents.PurchaseDeliveryNotes.at(-1);
+    assert.equal(note.DocumentLines[0].BaseEntry ?? null, null);
+
+    const current = await getPedido(pedido);
+    assert.equal(current.status, 'COMPLETO');
+    assert.equal(current.sapIntegration.documentStatus, 'CLOSED');
+    assert.equal(ctx.sim.store.getDocument('PurchaseOrders', pedido.sapIntegration.docEntry).DocumentStatus, 'bost_Close');
+  });
+
+  it('previews the allocation without saving it', async () => {
+    const product = await newProduct();
+    const pedido = await createPedido([[product, 3]]);
+
+    const res = await ctx.api.post('/api/pedidos/allocation-preview', {
+      items: [{ productId: product._id, quantity: 5 }],
+      pushToSap: false,
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.deepEqual(res.body[0].allocations.map((a) => [a.pedidoId, a.quantity]), [[pedido._id, 3]]);
+    assert.equal(res.body[0].unallocatedQuantity, 2);
+    assert.deepEqual(received(await getPedido(pedido)), [0]);
+  });
+
+  it('allocates an older receipt once', async () => {
+    const product = await newProduct();
+    const receipt = await receive([[product, 'T-AL-070', 2]], { allocateToPedidos: false });
+    const pedido = await createPedido([[product, 2]], { orderDate: '2020-01-01' });
+
+    const url = `/api/goods-receipt/${receipt.receiptId}/allocate-pedidos`;
+    const res = await ctx.api.post(url);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.deepEqual(res.body.pedidoIds, [pedido._id]);
+    assert.equal((await getPedido(pedido)).status, 'COMPLETO');
+
+    const again = await ctx.api.post(url);
+    assert.equal(again.status, 409);
+  });
+});
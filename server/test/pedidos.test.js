@@ -0,0 +1,133 @@
+/**
+ * pedidos.receiveItems
+ * Received quantities accumulate per product, goods receipts are linked once
+ * and the status follows PENDIENTE → PARCIAL → COMPLETO.
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { seedCatalog, createProduct } = require('./helpers/fixtures');
+
+describe('pedidos receiveItems', () => {
+  let ctx;
+  let stent;
+  let stentLong;
+  let warehouse;
+
+  before(async () => {
+    ctx = await startTestServer();
+    const catalog = await seedCatalog(ctx.companyId);
+    ({ stent, stentLong } = catalog.products);
+    warehouse = catalog.warehouse;
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  async function createPedido() {
+    const res = await ctx.api.post('/api/pedidos', {
+      supplier: 'CENTRALMED',
+      items: [
+        { productId: stent._id, quantityOrdered: 5 },
+        { productId: stentLong._id, quantityOrdered: 3 },
+      ],
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    assert.equal(res.body.status, 'PENDIENTE');
+    return res.body;
+  }
+
+  async function createReceipt(lotNumber, quantity) {
+    const res = await ctx.api.post('/api/goods-receipt', {
+      locationId: warehouse._id,
+      pushToSap: false,
+      allocateToPedidos: false,
+      items: [{ productId: stent._id, lotNumber, quantity, expiryDate: '2028-06-30' }],
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body.receiptId;
+  }
+
+  const itemFor = (pedido, product) =>
+    pedido.items.find((i) => i.productId.toString() === product._id.toString());
+
+  it('moves from PENDIENTE to PARCIAL to COMPLETO', async () => {
+    const pedido = await createPedido();
+    const receiptId = await createReceipt('T-PED-001', 3);
+
+    let res = await ctx.api.post(`/api/pedidos/${pedido._id}/receive`, {
+      items: [{ productId: stent._id, quantityReceived: 3 }],
+      goodsReceiptId: receiptId,
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.status, 'PARCIAL');
+    assert.equal(itemFor(res.body, stent).quantityReceived, 3);
+    assert.equal(itemFor(res.body, stentLong).quantityReceived, 0);
+    assert.deepEqual(res.body.goodsReceipts.map(String), [String(receiptId)]);
+
+    // Same receipt again: quantities add up, the link is not duplicated
+    res = await ctx.api.post(`/api/pedidos/${pedido._id}/receive`, {
+      items: [
+        { productId: stent._id, quantityReceived: 2 },
+        { productId: stentLong._id, quantityReceived: 3 },
+      ],
+      goodsReceiptId: receiptId,
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.status, 'COMPLETO');
+    assert.equal(itemFor(res.body, stent).quantityReceived, 5);
+    assert.equal(itemFor(res.body, stentLong).quantityReceived, 3);
+    assert.equal(res.body.goodsReceipts.length, 1);
+  });
+
+  it('ignores products that are not on the order', async () => {
+    const pedido = await createPedido();
+    const other = await createProduct(ctx.companyId, { name: 'Guía de prueba', code: 900001, category: 'GUIAS' });
+
+    const res = await ctx.api.post(`/api/pedidos/${pedido._id}/receive`, {
+      items: [{ productId: other._id, quantityReceived: 4 }],
+    });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.status, 'PENDIENTE');
+    assert.ok(res.body.items.every((i) => i.quantityReceived === 0));
+  });
+
+  it('rejects receipts on completed orders', async () => {
+    const pedido = await createPedido();
+    await ctx.api.post(`/api/pedidos/${pedido._id}/receive`, {
+      items: [
+        { productId: stent._id, quantityReceived: 5 },
+        { productId: stentLong._id, quantityReceived: 3 },
+      ],
+    });
+
+    const res = await ctx.api.post(`/api/pedidos/${pedido._id}/receive`, {
+      items: [{ productId: stent._id, quantityReceived: 1 }],
+    });
+    assert.equal(res.status, 400);
+
+    const current = await ctx.api.get(`/api/pedidos/${pedido._id}`);
+    assert.equal(itemFor(current.body, stent).quantityReceived, 5);
+  });
+
+  it('rejects receipts on cancelled orders', async () => {
+    const pedido = await createPedido();
+    const cancel = await ctx.api.delete(`/api/pedidos/${pedido._id}`);
+    assert.equal(cancel.status, 200, JSON.stringify(cancel.body));
+
+    const res = await ctx.api.post(`/api/pedidos/${pedido._id}/receive`, {
+      items: [{ productId: stent._id, quantityReceived: 1 }],
+    });
+    assert.equal(res.status, 400);
+  });
+
+  it('validates the payload', async () => {
+    const pedido = await createPedido();
+
+    const res = await ctx.api.post(`/api/pedidos/${pedido._id}/receive`, {
+      items: [{ productId: stent._id, quantityReceived: 0 }],
+    });
+    assert.equal(res.status, 400);
+  });
+});
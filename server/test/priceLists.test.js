@@ -0,0 +1,173 @@
+/**
+ * Price lists: negotiated prices per centro stamped onto consumptions, sent
+ * to SAP as UnitPrice and summed in the revenue report.
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createClient, signToken, TEST_USER } = require('./helpers/testServer');
+const { seedCatalog, setUserRole, findLote, SUPPLIER_CODE } = require('./helpers/fixtures');
+
+const VIEWER = { _id: '64b000000000000000000004', email: 'prices-viewer@vasculares.test', firstname: 'Price', lastname: 'Viewer' };
+
+describe('price lists', () => {
+  let ctx;
+  let stent;
+  let stentLong;
+  let warehouse;
+  let centro;
+  let categoryPrice;
+
+  before(async () => {
+    ctx = await startTestServer();
+    const catalog = await seedCatalog(ctx.companyId);
+    ({ warehouse, centro } = catalog);
+    ({ stent, stentLong } = catalog.products);
+
+    await setUserRole(ctx.companyId, TEST_USER._id, 'admin');
+
+    // Stock at CECANOR: 4 of each product
+    for (const [product, lotNumber] of [[stent, 'P-001'], [stentLong, 'P-002']]) {
+      await ctx.api.post('/api/goods-receipt', {
+        locationId: warehouse._id,
+        supplierCode: SUPPLIER_CODE,
+        items: [{ productId: product._id, lotNumber, quantity: 4, expiryDate: '2028-06-30' }],
+      });
+      const lote = await findLote(ctx.companyId, product._id, lotNumber, warehouse._id);
+      const consignacion = await ctx.api.post('/api/consignaciones', {
+        fromLocationId: warehouse._id,
+        toLocationId: centro._id,
+        items: [{ productId: product._id, loteId: lote._id, lotNumber, quantitySent: 4 }],
+      });
+      await ctx.api.put(`/api/consignaciones/${consignacion.body.consignacion._id}/confirm`, {
+        items: [{ productId: product._id, quantityReceived: 4 }],
+      });
+    }
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  async function consume(lines, procedureDate) {
+    const items = [];
+    for (const [product, lotNumber, quantity] of lines) {
+      const lote = await findLote(ctx.companyId, product._id, lotNumber, centro._id);
+      items.push({ loteId: lote._id, productId: product._id, quantity });
+    }
+    const res = await ctx.api.post('/api/consumption', { centroId: centro._id, items, procedureDate });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return (await ctx.api.get(`/api/consumption/${res.body.consumo._id}`)).body;
+  }
+
+  const sapLines = (consumo) => ctx.sim.store.state.documents.DeliveryNotes
+    .find((doc) => doc.DocEntry === consumo.sapIntegration.docEntry)
+    .DocumentLines;
+
+  it('keeps prices with the same scope from overlapping', async () => {
+    const category = await ctx.api.post('/api/price-lists', {
+      centroId: centro._id,
+      category: 'STENTS_CORONARIOS',
+      price: 900,
+      validFrom: '2026-01-01',
+    });
+    assert.equal(category.status, 201, JSON.stringify(category.body));
+    categoryPrice = category.body.precio;
+
+    const first = await ctx.api.post('/api/price-lists', {
+      centroId: centro._id,
+      productId: stent._id,
+      price: 750,
+      validFrom: '2026-01-01',
+      validTo: '2026-06-30',
+    });
+    assert.equal(first.status, 201, JSON.stringify(first.body));
+    assert.equal(first.body.precio.productName, stent.name);
+
+    const overlapping = await ctx.api.post('/api/price-lists', {
+      centroId: centro._id,
+      productId: stent._id,
+      price: 800,
+      validFrom: '2026-06-01',
+    });
+    assert.equal(overlapping.status, 409);
+
+    const next = await ctx.api.post('/api/price-lists', {
+      centroId: centro._id,
+      productId: stent._id,
+      price: 800,
+      validFrom: '2026-07-01',
+    });
+    assert.equal(next.status, 201, JSON.stringify(next.body));
+  });
+
+  it('only lets managePrices edit prices', async () => {
+    await setUserRole(ctx.companyId, VIEWER._id, 'viewer');
+    const viewer = createClient(ctx.baseUrl, signToken({ ...VIEWER, companyId: ctx.companyId }));
+
+    const res = await viewer.post('/api/price-lists', {
+      centroId: centro._id,
+      category: 'GUIAS',
+      price: 100,
+      validFrom: '2026-01-01',
+    });
+    assert.equal(res.status, 403);
+
+    const list = await viewer.get(`/api/price-lists?centroId=${centro._id}`);
+    assert.equal(list.status, 200);
+    assert.equal(list.body.length, 3);
+  });
+
+  it('stamps the most specific price in effect on the procedure date', async () => {
+    const march = await consume([[stent, 'P-001', 2], [stentLong, 'P-002', 1]], '2026-03-10');
+    assert.deepEqual(march.items.map((item) => item.price), [750, 900]);
+    assert.equal(march.totalValue, 2400);
+    assert.deepEqual(march.totalsByCurrency, [{ currency: 'USD', amount: 2400 }]);
+    assert.deepEqual(sapLines(march).map((line) => line.UnitPrice), [750, 900]);
+
+    const august = await consume([[stent, 'P-001', 1]], '2026-08-01');
+    assert.equal(august.items[0].price, 800);
+    assert.equal(sapLines(august)[0].UnitPrice, 800);
+  });
+
+  it('leaves items unpriced when no price applies', async () => {
+    const res = await ctx.api.delete(`/api/price-lists/${categoryPrice._id}`);
+    assert.equal(res.status, 200);
+
+    const consumo = await consume([[stentLong, 'P-002', 1]], '2026-03-11');
+    assert.equal(consumo.items[0].price, null);
+    assert.equal(sapLines(consumo)[0].UnitPrice, undefined);
+  });
+
+  it('totals each currency separately', async () => {
+    const dopPrice = await ctx.api.post('/api/price-lists', {
+      centroId: centro._id,
+      productId: stentLong._id,
+      price: 50000,
+      currency: 'DOP',
+      validFrom: '2026-09-01',
+    });
+    assert.equal(dopPrice.status, 201, JSON.stringify(dopPrice.body));
+
+    const consumo = await consume([[stent, 'P-001', 1], [stentLong, 'P-002', 1]], '2026-09-15');
+    assert.deepEqual(consumo.totalsByCurrency, [
+      { currency: 'DOP', amount: 50000 },
+      { currency: 'USD', amount: 800 },
+    ]);
+    assert.equal(consumo.totalValue, null);
+  });
+
+  it('reports revenue per centro and currency', async () => {
+    const res = await ctx.api.get('/api/analytics/revenue/by-location?startDate=2026-01-01&endDate=2026-12-31');
+    assert.equal(res.status, 200);
+
+    const [row] = res.body;
+    assert.equal(row.locationName, 'CECANOR');
+    assert.deepEqual(row.revenue, [
+      { currency: 'DOP', amount: 50000, quantity: 1 },
+      { currency: 'USD', amount: 4000, quantity: 5 },
+    ]);
+    assert.equal(row.totalQuantity, 7);
+    assert.equal(row.unpricedQuantity, 1);
+    assert.equal(row.consumptionCount, 4);
+  });
+});
@@ -0,0 +1,175 @@
+/**
+ * Pedidos as SAP Purchase Orders
+ *
+ * A pedido with a supplier code becomes a Purchase Order; goods receipts
+ * against it are PurchaseDeliveryNotes copied from the PO lines, so SAP
+ * draws down the open quantities, and cancelling the pedido closes the PO.
+ */
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { seedCatalog, SUPPLIER_CODE } = require('./helpers/fixtures');
+
+describe('pedidos as SAP purchase orders', () => {
+  let ctx;
+  let stent;
+  let stentLong;
+  let warehouse;
+
+  before(async () => {
+    ctx = await startTestServer();
+    const catalog = await seedCatalog(ctx.companyId);
+    ({ stent, stentLong } = catalog.products);
+    warehouse = catalog.warehouse;
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  afterEach(() => {
+    ctx.sim.faults.clear();
+  });
+
+  const purchaseOrder = (docEntry) => ctx.sim.store.getDocument('PurchaseOrders', docEntry);
+  const lastDeliveryNote = () => ctx.sim.store.state.documents.PurchaseDeliveryNotes.at(-1);
+
+  async function createPedido() {
+    const res = await ctx.api.post('/api/pedidos', {
+      supplier: 'CENTRALMED',
+      supplierCode: SUPPLIER_CODE,
+      expectedArrivalDate: '2030-01-15',
+      items: [
+        { productId: stent._id, quantityOrdered: 5 },
+        { productId: stentLong._id, quantityOrdered: 3 },
+      ],
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+  }
+
+  function receive(pedido, items, supplierCode = SUPPLIER_CODE) {
+    return ctx.api.post('/api/goods-receipt', {
+      locationId: warehouse._id,
+      supplierCode,
+      pedidoId: pedido._id,
+      items: items.map(([product, lotNumber, quantity]) => ({ productId: product._id, lotNumber, quantity, expiryDate: '2028-06-30' })),
+    });
+  }
+
+  it('creates the purchase order in SAP', async () => {
+    const pedido = await createPedido();
+
+    assert.equal(pedido.sapResult.success, true);
+    assert.equal(pedido.sapIntegration.status, 'SYNCED');
+    assert.ok(pedido.sapIntegration.docNum);
+    assert.deepEqual(pedido.items.map((i) => i.sapLineNum), [0, 1]);
+
+    const po = purchaseOrder(pedido.sapIntegration.docEntry);
+    assert.equal(po.CardCode, SUPPLIER_CODE);
+    assert.equal(po.DocDueDate, '2030-01-15');
+    assert.deepEqual(po.DocumentLines.map((l) => [l.ItemCode, l.Quantity]), [['419113', 5], ['419119', 3]]);
+  });
+
+  it('receives against the PO lines and reads the open quantities back', async () => {
+    const pedido = await createPedido();
+    const docEntry = pedido.sapIntegration.docEntry;
+
+    const res = await receive(pedido, [[stent, 'T-PO-001', 2], [stent, 'T-PO-002', 1]]);
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    assert.equal(res.body.sapResult.success, true);
+    assert.equal(res.body.pedidos[0].status, 'PARCIAL');
+
+    const note = lastDeliveryNote();
+    assert.deepEqual(
+      note.DocumentLines.map((l) => [l.BaseType, l.BaseEntry, l.BaseLine, l.Quantity]),
+      [[22, docEntry, 0, 2], [22, docEntry, 0, 1]]
+    );
+    assert.equal(purchaseOrder(docEntry).DocumentLines[0].RemainingOpenQuantity, 2);
+
+    const status = await ctx.api.get(`/api/pedidos/${pedido._id}/sap-status`);
+    assert.equal(status.status, 200, JSON.stringify(status.body));
+    assert.equal(status.body.sapIntegration.documentStatus, 'OPEN');
+    assert.deepEqual(status.body.items.map((i) => [i.quantityReceived, i.sapOpenQuantity, i.sapLineStatus]), [[3, 2, 'OPEN'], [0, 3, 'OPEN']]);
+    assert.deepEqual(status.body.goodsReceipts.map(String), [String(res.body.receiptId)]);
+  });
+
+  it('sends the surplus of an over-delivery without base line and closes the PO', async () => {
+    const pedido = await createPedido();
+    const docEntry = pedido.sapIntegration.docEntry;
+
+    const res = await receive(pedido, [[stent, 'T-PO-010', 7], [stentLong, 'T-PO-011', 3]]);
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    assert.equal(res.body.pedidos[0].status, 'COMPLETO');
+
+    const note = lastDeliveryNote();
+    assert.deepEqual(
+      note.DocumentLines.map((l) => [l.ItemCode, l.BaseLine ?? null, l.Quantity]),
+      [['419113', 0, 5], ['419113', null, 2], ['419119', 1, 3]]
+    );
+    assert.equal(purchaseOrder(docEntry).DocumentStatus, 'bost_Close');
+
+    const again = await receive(pedido, [[stent, 'T-PO-012', 1]]);
+    assert.equal(again.status, 400);
+  });
+
+  it('rejects a receipt from another supplier', async () => {
+    const pedido = await createPedido();
+    const res = await receive(pedido, [[stent, 'T-PO-020', 1]], 'P00099');
+    assert.equal(res.status, 400);
+  });
+
+  it('waits for the PO before receiving, and sends it on retry', async () => {
+    ctx.sim.faults.add({ method: 'POST', path: '/PurchaseOrders', status: 500, times: 1 });
+    const pedido = await createPedido();
+    assert.equal(pedido.sapIntegration.status, 'RETRYING');
+
+    const early = await receive(pedido, [[stent, 'T-PO-030', 1]]);
+    assert.equal(early.status, 409);
+
+    const retry = await ctx.api.post(`/api/pedidos/${pedido._id}/retry-sap`);
+    assert.equal(retry.status, 200, JSON.stringify(retry.body));
+    assert.equal(retry.body.success, true);
+
+    const res = await receive(pedido, [[stent, 'T-PO-030', 1]]);
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+  });
+
+  it('only receives by hand while the PO is not in SAP', async () => {
+    const pedido = await createPedido();
+    const res = await ctx.api.post(`/api/pedidos/${pedido._id}/receive`, {
+      items: [{ productId: stent._id, quantityReceived: 1 }],
+    });
+    assert.equal(res.status, 409, JSON.stringify(res.body));
+
+    const current = await ctx.api.get(`/api/pedidos/${pedido._id}`);
+    assert.deepEqual(current.body.items.map((i) => i.quantityReceived), [0, 0]);
+
+    const local = await ctx.api.post('/api/pedidos', { items: [{ productId: stent._id, quantityOrdered: 2 }] });
+    const received = await ctx.api.post(`/api/pedidos/${local.body._id}/receive`, {
+      items: [{ productId: stent._id, quantityReceived: 2 }],
+    });
+    assert.equal(received.status, 200, JSON.stringify(received.body));
+    assert.equal(received.body.status, 'COMPLETO');
+  });
+
+  it('closes the PO when the pedido is cancelled', async () => {
+    const pedido = await createPedido();
+
+    const locked = await ctx.api.put(`/api/pedidos/${pedido._id}`, { items: [{ productId: stent._id, quantityOrdered: 9 }] });
+    assert.equal(locked.status, 400);
+
+    const res = await ctx.api.delete(`/api/pedidos/${pedido._id}`);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.pedido.sapIntegration.documentStatus, 'CLOSED');
+    assert.equal(purchaseOrder(pedido.sapIntegration.docEntry).DocumentStatus, 'bost_Close');
+  });
+
+  it('keeps pedidos without supplier code local', async () => {
+    const before = ctx.sim.store.state.documents.PurchaseOrders.length;
+    const res = await ctx.api.post('/api/pedidos', { items: [{ productId: stent._id, quantityOrdered: 1 }] });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    assert.equal(res.body.sapIntegration?.status, undefined);
+    assert.equal(ctx.sim.store.state.documents.PurchaseOrders.length, before);
+  });
+});
@@ -0,0 +1,92 @@
+/**
+ * Recall notices matched by lot number or product code. Product codes on a
+ * notice can be the app code, the legacy code or the SAP item code, which
+ * is not always numeric. Only users with manageRecalls open, resolve and
+ * close them.
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, createClient, signToken, TEST_USER } = require('./helpers/testServer');
+const { seedCatalog, createProduct, findLote, setUserRole, SUPPLIER_CODE } = require('./helpers/fixtures');
+
+const VIEWER = { _id: '64b000000000000000000005', email: 'recalls-viewer@vasculares.test', firstname: 'Recall', lastname: 'Viewer' };
+
+describe('recalls', () => {
+  let ctx;
+  let warehouse;
+  let product;
+  let recall;
+
+  before(async () => {
+    ctx = await startTestServer();
+    ({ warehouse } = await seedCatalog(ctx.companyId));
+    await setUserRole(ctx.companyId, TEST_USER._id, 'almacen');
+    product = await createProduct(ctx.companyId, {
+      name: 'Orsiro Mission 3.00/22',
+      code: 950001,
+      sapItemCode: 'ORS-1',
+      category: 'STENTS_CORONARIOS',
+    });
+
+    const res = await ctx.api.post('/api/goods-receipt', {
+      locationId: warehouse._id,
+      supplierCode: SUPPLIER_CODE,
+      pushToSap: false,
+      items: [{ productId: product._id, lotNumber: 'T-RECALL-001', quantity: 3, expiryDate: '2028-06-30' }],
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  it('previews a notice with non-numeric product codes', async () => {
+    const res = await ctx.api.post('/api/recalls/preview', { productCodes: ['ORS-1', 'XYZ-9'] });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.deepEqual(res.body.matchedProducts.map((p) => p.code), [950001]);
+    assert.equal(res.body.totalUnits, 3);
+    assert.deepEqual(res.body.unmatchedProductCodes, ['XYZ-9']);
+  });
+
+  it('matches the numeric code as well', async () => {
+    const res = await ctx.api.post('/api/recalls/preview', { productCodes: ['950001'] });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.matchedLotes, 1);
+    assert.deepEqual(res.body.unmatchedProductCodes, []);
+  });
+
+  it('does not let view-only users open a recall', async () => {
+    await setUserRole(ctx.companyId, VIEWER._id, 'viewer');
+    const viewer = createClient(ctx.baseUrl, signToken({ ...VIEWER, companyId: ctx.companyId }));
+
+    const res = await viewer.post('/api/recalls', { reference: 'FSCA-2026-10', productCodes: 'ORS-1' });
+    assert.equal(res.status, 403);
+
+    const list = await viewer.get('/api/recalls');
+    assert.equal(list.status, 200);
+    assert.equal(list.body.length, 0);
+  });
+
+  it('opens a recall from a SAP item code', async () => {
+    const res = await ctx.api.post('/api/recalls', { reference: 'FSCA-2026-11', productCodes: 'ORS-1' });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    recall = res.body;
+
+    const lote = await findLote(ctx.companyId, product._id, 'T-RECALL-001', warehouse._id);
+    assert.equal(lote.status, 'RECALLED');
+  });
+
+  it('adds resolved quantities sent as strings', async () => {
+    const [unit] = recall.units;
+    const path = `/api/recalls/${recall._id}/units/${unit._id}/resolve`;
+
+    assert.equal((await ctx.api.post(path, { action: 'QUARANTINED', quantity: '2' })).status, 200);
+    const res = await ctx.api.post(path, { action: 'QUARANTINED', quantity: '1' });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+
+    const resolved = res.body.units.find((u) => u._id === unit._id);
+    assert.equal(resolved.quantityQuarantined, 3);
+    assert.equal(resolved.status, 'RESUELTO');
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * SAP outbox and the retry-sap endpoints
+ *
+ * Local changes commit even when SAP is down; the document stays RETRYING
+ * until a retry reaches SAP. A retry after a lost response must find the
+ * document SAP already created instead of posting it twice.
+ */
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { seedCatalog, findLote, SUPPLIER_CODE } = require('./helpers/fixtures');
+const { assertInventoryInvariants, assertQuantities } = require('./helpers/invariants');
+
+describe('retry-sap', () => {
+  let ctx;
+  let stent;
+  let warehouse;
+  let centro;
+
+  before(async () => {
+    ctx = await startTestServer();
+    const catalog = await seedCatalog(ctx.companyId);
+    ({ warehouse, centro } = catalog);
+    stent = catalog.products.stent;
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  afterEach(() => {
+    ctx.sim.faults.clear();
+  });
+
+  const documents = (entitySet) => ctx.sim.store.state.documents[entitySet];
+
+  async function receive(lotNumber, quantity) {
+    const res = await ctx.api.post('/api/goods-receipt', {
+      locationId: warehouse._id,
+      supplierCode: SUPPLIER_CODE,
+      items: [{ productId: stent._id, lotNumber, quantity, expiryDate: '2028-06-30' }],
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+  }
+
+  async function consign(lotNumber, quantitySent) {
+    const lote = await findLote(ctx.companyId, stent._id, lotNumber, warehouse._id);
+    const res = await ctx.api.post('/api/consignaciones', {
+      fromLocationId: warehouse._id,
+      toLocationId: centro._id,
+      items: [{ productId: stent._id, loteId: lote._id, lotNumber, quantitySent }],
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+  }
+
+  it('consignment commits locally while SAP fails, then syncs on retry', async () => {
+    await receive('T-RETRY-001', 4);
+    const transfersBefore = documents('StockTransfers').length;
+
+    ctx.sim.faults.add({ method: 'POST', path: '/StockTransfers', status: 500 });
+    const created = await consign('T-RETRY-001', 3);
+
+    assert.equal(created.sapResult.success, false);
+    assert.equal(created.consignacion.sapIntegration.status, 'RETRYING');
+    assert.equal(created.consignacion.sapIntegration.pushed, false);
+    assert.equal(documents('StockTransfers').length, transfersBefore);
+
+    // Local stock moved regardless of SAP
+    assertQuantities(
+      await findLote(ctx.companyId, stent._id, 'T-RETRY-001', warehouse._id),
+      { quantityAvailable: 1, quantityConsigned: 3 },
+      'warehouse lote'
+    );
+    await assertInventoryInvariants(ctx.companyId);
+
+    const res = await ctx.api.post(`/api/consignaciones/${created.consignacion._id}/retry-sap`);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.outbox.status, 'SENT');
+    assert.equal(res.body.outbox.attempts, 2);
+
+    const current = await ctx.api.get(`/api/consignaciones/${created.consignacion._id}`);
+    assert.equal(current.body.sapIntegration.status, 'SYNCED');
+    assert.equal(current.body.sapIntegration.pushed, true);
+    assert.ok(current.body.sapIntegration.docNum);
+    assert.equal(documents('StockTransfers').length, transfersBefore + 1);
+    assert.equal(ctx.sim.store.getStock('419113', 'T-RETRY-001', '10', 4), 3);
+  });
+
+  it('does not post twice when SAP created the document but the response was lost', async () => {
+    await receive('T-RETRY-002', 2);
+    const transfersBefore = documents('StockTransfers').length;
+
+    ctx.sim.faults.add({ method: 'POST', path: '/StockTransfers', mode: 'afterCommit', status: 500 });
+    const created = await consign('T-RETRY-002', 2);
+
+    assert.equal(created.consignacion.sapIntegration.status, 'RETRYING');
+    assert.equal(documents('StockTransfers').length, transfersBefore + 1);
+
+    const res = await ctx.api.post(`/api/consignaciones/${created.consignacion._id}/retry-sap`);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.success, true);
+    assert.equal(res.body.sapResult.recovered, true);
+
+    assert.equal(documents('StockTransfers').length, transfersBefore + 1);
+    assert.equal(ctx.sim.store.getStock('419113', 'T-RETRY-002', '10', 4), 2);
+  });
+
+  it('rejects retrying a document that is already synced', async () => {
+    await receive('T-RETRY-003', 1);
+    const created = await consign('T-RETRY-003', 1);
+    assert.equal(created.consignacion.sapIntegration.status, 'SYNCED');
+
+    const res = await ctx.api.post(`/api/consignaciones/${created.consignacion._id}/retry-sap`);
+    assert.equal(res.status, 400);
+  });
+
+  it('returns 404 for unknown documents', async () => {
+    const res = await ctx.api.post('/api/consignaciones/64b0000000000000000000ff/retry-sap');
+    assert.equal(res.status, 404);
+  });
+
+  it('retries a consumption delivery note', async () => {
+    await receive('T-RETRY-004', 2);
+    const consigned = await consign('T-RETRY-004', 2);
+    const confirmed = await ctx.api.put(`/api/consignaciones/${consigned.consignacion._id}/confirm`, {
+      items: [{ productId: stent._id, quantityReceived: 2 }],
+    });
+    assert.equal(confirmed.status, 200, JSON.stringify(confirmed.body));
+
+    const centroLote = await findLote(ctx.companyId, stent._id, 'T-RETRY-004', centro._id);
+    ctx.sim.faults.add({ method: 'POST', path: '/DeliveryNotes', mode: 'disconnect' });
+
+    const created = await ctx.api.post('/api/consumption', {
+      centroId: centro._id,
+      items: [{ loteId: centroLote._id, quantity: 1 }],
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    assert.equal(created.body.consumo.status, 'RETRYING');
+
+    assertQuantities(
+      await findLote(ctx.companyId, stent._id, 'T-RETRY-004', centro._id),
+      { quantityAvailable: 1, quantityConsumed: 1 },
+      'centro lote'
+    );
+    await assertInventoryInvariants(ctx.companyId);
+
+    const res = await ctx.api.post(`/api/consumption/${created.body.consumo._id}/retry-sap`);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.success, true);
+
+    const current = await ctx.api.get(`/api/consumption/${created.body.consumo._id}`);
+    assert.equal(current.body.status, 'SYNCED');
+    assert.equal(ctx.sim.store.getStock('419113', 'T-RETRY-004', '10', 4), 1);
+  });
+
+  it('retries a goods receipt purchase delivery note', async () => {
+    ctx.sim.faults.add({ method: 'POST', path: '/PurchaseDeliveryNotes', status: 503 });
+
+    const created = await receive('T-RETRY-005', 5);
+    assert.equal(created.sapResult.success, false);
+    assert.equal(ctx.sim.store.getStock('419113', 'T-RETRY-005', '01'), 0);
+
+    const res = await ctx.api.post(`/api/goods-receipt/${created.receiptId}/retry-sap`);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.success, true);
+
+    const current = await ctx.api.get(`/api/goods-receipt/${created.receiptId}`);
+    assert.equal(current.body.sapIntegration.status, 'SYNCED');
+    assert.equal(ctx.sim.store.getStock('419113', 'T-RETRY-005', '01'), 5);
+  });
+});
@@ -0,0 +1,102 @@
+/**
+ * Rotation suggestions: centro stock that will expire before the centro
+ * consumes it goes to a faster-consuming centro first, the rest back to the
+ * warehouse.
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { seedCatalog } = require('./helpers/fixtures');
+
+// getModel connects on load, so it is required after the server is up
+const models = () => require('../getModel');
+
+const DAY_MS = 1000 * 60 * 60 * 24;
+const inDays = (days) => new Date(Date.now() + days * DAY_MS);
+
+describe('rotation suggestions', () => {
+  let ctx;
+  let stent;
+  let warehouse;
+  let centro;
+  let cdc;
+
+  before(async () => {
+    ctx = await startTestServer();
+    const catalog = await seedCatalog(ctx.companyId);
+    ({ warehouse, centro } = catalog);
+    stent = catalog.products.stent;
+
+    const { getLocacionesModel, getLotesModel, getConsumosModel } = models();
+    const Locaciones = await getLocacionesModel(ctx.companyId);
+    const Lotes = await getLotesModel(ctx.companyId);
+    const Consumos = await getConsumosModel(ctx.companyId);
+
+    cdc = (await Locaciones.create({ name: 'CDC', type: 'CENTRO' })).toObject();
+
+    const lote = (lotNumber, locationId, quantity, expiryDate) => ({
+      productId: stent._id,
+      lotNumber,
+      expiryDate,
+      quantityTotal: quantity,
+      quantityAvailable: quantity,
+      currentLocationId: locationId,
+      receivedDate: new Date(),
+    });
+    await Lotes.create([
+      // CECANOR uses 2/month: 4 of these 10 go before expiry
+      lote('T-ROT-SOON', centro._id, 10, inDays(61)),
+      // Far from expiry: queued behind the first lote, never at risk here
+      lote('T-ROT-LATE', centro._id, 3, inDays(400)),
+    ]);
+
+    const consumo = (centroId, quantity) => ({
+      centroId,
+      items: [{ productId: stent._id, sapItemCode: '419113', lotNumber: 'T-HIST', quantity }],
+      consumptionDate: inDays(-10),
+    });
+    // CDC uses 3/month: room for 5 units in the 54 days left after transit
+    await Consumos.create([consumo(centro._id, 2), consumo(cdc._id, 3)]);
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  it('moves at-risk units to the faster centro and returns the rest', async () => {
+    const res = await ctx.api.get('/api/inventario/lotes/rotation');
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+
+    assert.deepEqual(res.body.summary, {
+      lotesAtRisk: 1,
+      unitsAtRisk: 6,
+      unitsToTransfer: 5,
+      unitsToReturn: 1,
+    });
+
+    const [transfer, ret] = res.body.suggestions;
+    assert.equal(transfer.action, 'TRANSFER');
+    assert.equal(transfer.lotNumber, 'T-ROT-SOON');
+    assert.equal(transfer.from._id, centro._id.toString());
+    assert.equal(transfer.to._id, cdc._id.toString());
+    assert.equal(transfer.quantity, 5);
+    assert.equal(transfer.projectedConsumption, 4);
+
+    assert.equal(ret.action, 'RETURN');
+    assert.equal(ret.to._id, warehouse._id.toString());
+    assert.equal(ret.quantity, 1);
+  });
+
+  it('filters by horizon and origin centro', async () => {
+    const shortHorizon = await ctx.api.get('/api/inventario/lotes/rotation?days=30');
+    assert.equal(shortHorizon.body.suggestions.length, 0);
+
+    const fromCdc = await ctx.api.get(`/api/inventario/lotes/rotation?centroId=${cdc._id}`);
+    assert.equal(fromCdc.body.suggestions.length, 0);
+  });
+
+  it('rejects invalid filters', async () => {
+    const res = await ctx.api.get('/api/inventario/lotes/rotation?centroId=nope');
+    assert.equal(res.status, 400);
+  });
+});
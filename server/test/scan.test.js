@@ -0,0 +1,100 @@
+/**
+ * GS1 DataMatrix scans: parsing the element string and resolving it to
+ * product, lot and expiry at a location.
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseGs1, isValidGtin } = require('../util/gs1');
+const { startTestServer } = require('./helpers/testServer');
+const { seedCatalog, SUPPLIER_CODE } = require('./helpers/fixtures');
+
+// getModel connects on load, so it is required after the server is up
+const models = () => require('../getModel');
+
+const GTIN = '04035479123451';
+const GS = '\x1d';
+
+describe('GS1 parser', () => {
+  it('reads raw DataMatrix data with FNC1 separators', () => {
+    const result = parseGs1(`]d201${GTIN}17280630` + `10ABC123${GS}21SN0001`);
+    assert.equal(result.gtin, GTIN);
+    assert.equal(result.lotNumber, 'ABC123');
+    assert.equal(result.serialNumber, 'SN0001');
+    assert.equal(result.expiryDate.toISOString(), '2028-06-30T00:00:00.000Z');
+  });
+
+  it('reads the human-readable form and a missing separator at the end', () => {
+    assert.equal(parseGs1(`(01)${GTIN}(17)280600(10)ABC123`).expiryDate.toISOString(), '2028-06-30T00:00:00.000Z');
+    assert.equal(parseGs1(`01${GTIN}1728063010ABC123`).lotNumber, 'ABC123');
+  });
+
+  it('pads a linear GTIN-13 and rejects bad check digits', () => {
+    assert.equal(parseGs1('4006381333931').gtin, '04006381333931');
+    assert.equal(isValidGtin('04035479123450'), false);
+    assert.throws(() => parseGs1(`01${GTIN.slice(0, 13)}0`), /dígito verificador/);
+    assert.throws(() => parseGs1('10ABC123'), /GTIN/);
+  });
+});
+
+describe('scan resolution', () => {
+  let ctx;
+  let stent;
+  let warehouse;
+  let centro;
+
+  before(async () => {
+    ctx = await startTestServer();
+    const catalog = await seedCatalog(ctx.companyId);
+    ({ warehouse, centro } = catalog);
+    stent = catalog.products.stent;
+
+    const Productos = await models().getProductosModel(ctx.companyId);
+    await Productos.updateOne({ _id: stent._id }, { $set: { gtin: GTIN } });
+
+    await ctx.api.post('/api/goods-receipt', {
+      locationId: warehouse._id,
+      supplierCode: SUPPLIER_CODE,
+      items: [{ productId: stent._id, lotNumber: 'T-SCAN-001', quantity: 2, expiryDate: '2028-06-30' }],
+    });
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  const scan = (lot, expiry = '280630') => `01${GTIN}17${expiry}10${lot}`;
+
+  it('resolves product, lot and expiry at the warehouse', async () => {
+    const res = await ctx.api.post('/api/scan/resolve', { code: scan('T-SCAN-001'), locationId: warehouse._id });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.product._id, stent._id.toString());
+    assert.equal(res.body.lote.quantityAvailable, 2);
+    assert.equal(res.body.valid, true);
+    assert.deepEqual(res.body.warnings, []);
+  });
+
+  it('accepts a new lot at the warehouse and flags an expiry mismatch', async () => {
+    const newLot = await ctx.api.post('/api/scan/resolve', { code: scan('T-SCAN-NEW'), locationId: warehouse._id });
+    assert.equal(newLot.body.valid, true);
+    assert.equal(newLot.body.lote, null);
+
+    const mismatch = await ctx.api.post('/api/scan/resolve', { code: scan('T-SCAN-001', '280531'), locationId: warehouse._id });
+    assert.match(mismatch.body.warnings[0], /difiere/);
+  });
+
+  it('requires the lot to be available at a centro', async () => {
+    const res = await ctx.api.post('/api/scan/resolve', { code: scan('T-SCAN-001'), locationId: centro._id });
+    assert.equal(res.status, 200);
+    assert.equal(res.body.valid, false);
+    assert.match(res.body.warnings[0], /no está en CECANOR/);
+  });
+
+  it('rejects unknown GTINs and unreadable codes', async () => {
+    const unknown = await ctx.api.post('/api/scan/resolve', { code: '4006381333931' });
+    assert.equal(unknown.status, 404);
+    assert.equal(unknown.body.gs1.gtin, '04006381333931');
+
+    const garbage = await ctx.api.post('/api/scan/resolve', { code: 'hola' });
+    assert.equal(garbage.status, 400);
+  });
+});
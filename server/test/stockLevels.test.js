@@ -0,0 +1,181 @@
+/**
+ * Stock level calculator: safety stock, reorder point and target stock from
+ * demand variability and measured lead times, previewed and then applied
+ * with the replaced values kept on the run.
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, TEST_USER } = require('./helpers/testServer');
+const { seedCatalog, setUserRole } = require('./helpers/fixtures');
+
+// stockLevelService loads getModel, which connects on load
+const stockLevels = () => require('../services/stockLevelService');
+
+describe('stock level calculator', () => {
+  let ctx;
+  let stent;
+  let centro;
+  let warehouse;
+
+  const daysAgo = (days) => new Date(Date.now() - days * 86400000).toISOString();
+
+  before(async () => {
+    ctx = await startTestServer();
+    const catalog = await seedCatalog(ctx.companyId);
+    ({ centro, warehouse } = catalog);
+    ({ stent } = catalog.products);
+
+    const { getConsumosModel, getTransaccionesModel } = require('../getModel');
+    const Consumos = await getConsumosModel(ctx.companyId);
+    const Transacciones = await getTransaccionesModel(ctx.companyId);
+    const now = new Date();
+    // Centro consumes 2, 4, 2, 4, ... and the warehouse ships 10 a month
+    for (let monthsAgo = 1; monthsAgo <= 6; monthsAgo++) {
+      const date = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - monthsAgo, 15));
+      await Consumos.create({
+        centroId: centro._id,
+        centroName: centro.name,
+        items: [{ productId: stent._id, sapItemCode: stent.sapItemCode, lotNumber: 'S-001', quantity: monthsAgo % 2 ? 2 : 4 }],
+        consumptionDate: date,
+      });
+      await Transacciones.create({
+        type: 'CONSIGNMENT',
+        productId: stent._id,
+        fromLocationId: warehouse._id,
+        toLocationId: centro._id,
+        quantity: 10,
+        transactionDate: date,
+      });
+    }
+
+    // Two pedidos received today, ordered 20 and 30 days ago
+    for (const [days, lotNumber] of [[20, 'S-PED-1'], [30, 'S-PED-2']]) {
+      const pedido = await ctx.api.post('/api/pedidos', {
+        orderDate: daysAgo(days),
+        items: [{ productId: stent._id, quantityOrdered: 5 }],
+      });
+      const receipt = await ctx.api.post('/api/goods-receipt', {
+        locationId: warehouse._id,
+        pushToSap: false,
+        items: [{ productId: stent._id, lotNumber, quantity: 5, expiryDate: '2028-06-30' }],
+      });
+      await ctx.api.post(`/api/pedidos/${pedido.body._id}/receive`, {
+        items: [{ productId: stent._id, quantityReceived: 5 }],
+        goodsReceiptId: receipt.body.receiptId,
+      });
+    }
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  it('derives the levels from demand, lead time and service level', () => {
+    const { serviceLevelZ, calculateLevels } = stockLevels();
+    assert.ok(Math.abs(serviceLevelZ(0.95) - 1.645) < 0.002);
+    assert.ok(Math.abs(serviceLevelZ(0.99) - 2.326) < 0.002);
+
+    // Steady demand and lead time: no safety stock
+    assert.deepEqual(
+      calculateLevels({ avgMonthlyDemand: 10, stdMonthlyDemand: 0, leadTimeDays: 30, leadTimeStdDays: 0, z: 1.645, reviewPeriodDays: 30 }),
+      { safetyStock: 0, reorderPoint: 10, targetStock: 20 }
+    );
+    // Variable demand: z · σd · √L = 1.645 · 4 · 1 = 6.58
+    assert.deepEqual(
+      calculateLevels({ avgMonthlyDemand: 10, stdMonthlyDemand: 4, leadTimeDays: 30, leadTimeStdDays: 0, z: 1.645, reviewPeriodDays: 30 }),
+      { safetyStock: 7, reorderPoint: 17, targetStock: 27 }
+    );
+  });
+
+  it('previews centro and warehouse levels', async () => {
+    const res = await ctx.api.post('/api/inventario-objetivos/calculator/preview', {});
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    assert.equal(res.body.status, 'PREVIEW');
+    assert.equal(res.body.config.serviceLevel, 0.95);
+
+    const centroItem = res.body.items.find((i) => i.scope === 'CENTRO');
+    assert.equal(centroItem.locationName, 'CECANOR');
+    assert.equal(centroItem.inputs.avgMonthlyDemand, 3);
+    assert.equal(centroItem.inputs.leadTimeSource, 'CENTRO');
+    assert.equal(centroItem.inputs.leadTimeDays, 7);
+    assert.deepEqual(centroItem.current, { safetyStock: 0, reorderPoint: 0, targetStock: 0 });
+    assert.ok(centroItem.calculated.safetyStock > 0);
+    assert.ok(centroItem.calculated.targetStock > centroItem.calculated.reorderPoint);
+
+    const warehouseItem = res.body.items.find((i) => i.scope === 'WAREHOUSE');
+    assert.equal(warehouseItem.locationId, null);
+    assert.equal(warehouseItem.inputs.avgMonthlyDemand, 10);
+    assert.equal(warehouseItem.inputs.leadTimeSource, 'PRODUCT');
+    assert.equal(warehouseItem.inputs.leadTimeSamples, 2);
+    assert.ok(Math.abs(warehouseItem.inputs.leadTimeDays - 25) < 0.5);
+    // Lead time varies: safety stock even with steady demand
+    assert.ok(warehouseItem.calculated.safetyStock > 0);
+
+    // A higher service level holds more safety stock
+    const strict = await ctx.api.post('/api/inventario-objetivos/calculator/preview', { serviceLevel: 0.99 });
+    const strictWarehouse = strict.body.items.find((i) => i.scope === 'WAREHOUSE');
+    assert.ok(strictWarehouse.calculated.safetyStock > warehouseItem.calculated.safetyStock);
+  });
+
+  it('applies a preview and keeps the replaced values', async () => {
+    await ctx.api.post('/api/inventario-objetivos', { productId: stent._id, locationId: centro._id, targetStock: 9 });
+    const preview = await ctx.api.post('/api/inventario-objetivos/calculator/preview', { locationId: centro._id });
+    assert.deepEqual(preview.body.items.map((i) => i.scope), ['CENTRO']);
+    const [item] = preview.body.items;
+    assert.equal(item.current.targetStock, 9);
+
+    const applyUrl = `/api/inventario-objetivos/calculator/runs/${preview.body._id}/apply`;
+    const denied = await ctx.api.post(applyUrl, {});
+    assert.equal(denied.status, 403);
+
+    await setUserRole(ctx.companyId, TEST_USER._id, 'admin');
+    const applied = await ctx.api.post(applyUrl, {});
+    assert.equal(applied.status, 200, JSON.stringify(applied.body));
+    assert.equal(applied.body.status, 'APPLIED');
+    assert.equal(applied.body.appliedBy.email, TEST_USER.email);
+    assert.equal(applied.body.items[0].applied, true);
+    assert.deepEqual(applied.body.items[0].previous, { safetyStock: 0, reorderPoint: 0, targetStock: 9 });
+
+    const objetivos = await ctx.api.get(`/api/inventario-objetivos?locationId=${centro._id}`);
+    const [objetivo] = objetivos.body;
+    assert.equal(objetivo.targetStock, item.calculated.targetStock);
+    assert.equal(objetivo.reorderPoint, item.calculated.reorderPoint);
+    assert.equal(objetivo.safetyStock, item.calculated.safetyStock);
+
+    const again = await ctx.api.post(applyUrl, {});
+    assert.equal(again.status, 409);
+
+    const runs = await ctx.api.get('/api/inventario-objetivos/calculator/runs?status=APPLIED');
+    assert.equal(runs.body.length, 1);
+    assert.equal(runs.body[0].appliedCount, 1);
+  });
+
+  it('applies only the selected warehouse item to the product settings', async () => {
+    const preview = await ctx.api.post('/api/inventario-objetivos/calculator/preview', {});
+    const warehouseItem = preview.body.items.find((i) => i.scope === 'WAREHOUSE');
+
+    const applied = await ctx.api.post(`/api/inventario-objetivos/calculator/runs/${preview.body._id}/apply`, {
+      items: [{ productId: stent._id, locationId: null }],
+    });
+    assert.equal(applied.status, 200, JSON.stringify(applied.body));
+    assert.deepEqual(applied.body.items.filter((i) => i.applied).map((i) => i.scope), ['WAREHOUSE']);
+
+    const product = await ctx.api.get(`/api/productos/${stent._id}`);
+    assert.equal(product.body.inventorySettings.targetStockWarehouse, warehouseItem.calculated.targetStock);
+    assert.equal(product.body.inventorySettings.reorderPointWarehouse, warehouseItem.calculated.reorderPoint);
+
+    const planning = await ctx.api.get('/api/analytics/planning-data');
+    const row = planning.body.find((p) => p.productId === stent._id.toString());
+    assert.equal(row.reorderPoint, warehouseItem.calculated.reorderPoint);
+  });
+
+  it('saves the service level setting', async () => {
+    const res = await ctx.api.put('/api/inventario-objetivos/calculator/config', { serviceLevel: 0.98 });
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.serviceLevel, 0.98);
+    assert.equal(res.body.reviewPeriodDays, 30);
+
+    const invalid = await ctx.api.put('/api/inventario-objetivos/calculator/config', { serviceLevel: 1.5 });
+    assert.equal(invalid.status, 400);
+  });
+});
@@ -0,0 +1,141 @@
+/**
+ * Supplier master data synced from SAP Business Partners, and the scorecard
+ * measured on pedidos: lead time, on-time delivery against the expected or
+ * committed date, and fill rate.
+ */
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer, TEST_USER } = require('./helpers/testServer');
+const { seedCatalog, createProduct, setUserRole, SUPPLIER_CODE } = require('./helpers/fixtures');
+
+const SUPPLIER = 'P00078';
+
+describe('suppliers', () => {
+  let ctx;
+  let warehouse;
+  let nextCode = 940001;
+
+  const daysAgo = (days) => new Date(Date.now() - days * 86400000).toISOString();
+
+  before(async () => {
+    ctx = await startTestServer();
+    ({ warehouse } = await seedCatalog(ctx.companyId));
+    await setUserRole(ctx.companyId, TEST_USER._id, 'almacen');
+
+    const partners = ctx.sim.store.state.businessPartners;
+    partners.set(SUPPLIER, { CardCode: SUPPLIER, CardName: 'BIOTRONIK', CardType: 'cSupplier', Phone1: '809-555-0100', Frozen: 'tNO' });
+    partners.set('P00079', { CardCode: 'P00079', CardName: 'ANTIGUO', CardType: 'cSupplier', Frozen: 'tYES' });
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  function newProduct() {
+    const code = nextCode++;
+    return createProduct(ctx.companyId, {
+      name: `Orsiro Mission ${code}`,
+      code,
+      sapItemCode: String(code),
+      category: 'STENTS_CORONARIOS',
+    });
+  }
+
+  async function createPedido(product, quantityOrdered, fields) {
+    const res = await ctx.api.post('/api/pedidos', {
+      supplierCode: SUPPLIER,
+      pushToSap: false,
+      items: [{ productId: product._id, quantityOrdered }],
+      ...fields,
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+    return res.body;
+  }
+
+  async function receive(product, lotNumber, quantity) {
+    const res = await ctx.api.post('/api/goods-receipt', {
+      locationId: warehouse._id,
+      supplierCode: SUPPLIER,
+      pushToSap: false,
+      items: [{ productId: product._id, lotNumber, quantity, expiryDate: '2028-06-30' }],
+    });
+    assert.equal(res.status, 201, JSON.stringify(res.body));
+  }
+
+  const findSupplier = async (cardCode) =>
+    (await ctx.api.get('/api/proveedores?active=all')).body.find((p) => p.cardCode === cardCode);
+
+  it('syncs suppliers from SAP and deactivates the missing ones', async () => {
+    const res = await ctx.api.post('/api/proveedores/sync');
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.deepEqual(res.body, { total: 3, created: 3, updated: 0, deactivated: 0 });
+
+    const list = await ctx.api.get('/api/proveedores');
+    assert.deepEqual(list.body.map((p) => p.cardCode), [SUPPLIER, SUPPLIER_CODE]);
+    assert.equal(list.body[0].phone, '809-555-0100');
+    assert.equal((await findSupplier('P00079')).sapSync.frozen, true);
+
+    ctx.sim.store.state.businessPartners.delete('P00079');
+    ctx.sim.store.state.businessPartners.get(SUPPLIER_CODE).CardName = 'CENTRALMED SRL';
+    const again = await ctx.api.post('/api/proveedores/sync');
+    assert.deepEqual(again.body, { total: 2, created: 0, updated: 2, deactivated: 1 });
+    assert.equal((await findSupplier(SUPPLIER_CODE)).name, 'CENTRALMED SRL');
+    assert.equal((await findSupplier('P00079')).sapSync.missing, true);
+  });
+
+  it('names pedidos after the master data', async () => {
+    const pedido = await createPedido(await newProduct(), 1);
+    assert.equal(pedido.supplier, 'BIOTRONIK');
+  });
+
+  it('scores lead time, on-time delivery and fill rate', async () => {
+    const supplier = await findSupplier(SUPPLIER);
+    const update = await ctx.api.put(`/api/proveedores/${supplier._id}`, { leadTimeCommitmentDays: 40 });
+    assert.equal(update.status, 200, JSON.stringify(update.body));
+
+    // Late: expected 10 days ago, received today after 20 days
+    const late = await newProduct();
+    await createPedido(late, 5, { orderDate: daysAgo(20), expectedArrivalDate: daysAgo(10) });
+    await receive(late, 'T-SUP-001', 5);
+
+    // On time: no expected date, due 40 days after the order (committed lead time)
+    const onTime = await newProduct();
+    await createPedido(onTime, 5, { orderDate: daysAgo(30) });
+    await receive(onTime, 'T-SUP-002', 5);
+
+    // Overdue and nothing received
+    await createPedido(await newProduct(), 4, { orderDate: daysAgo(15), expectedArrivalDate: daysAgo(5) });
+
+    const scorecard = await ctx.api.get('/api/proveedores/scorecard?months=6');
+    assert.equal(scorecard.status, 200, JSON.stringify(scorecard.body));
+    const { stats } = scorecard.body.find((p) => p.cardCode === SUPPLIER);
+    assert.equal(stats.leadTime.samples, 2);
+    assert.ok(Math.abs(stats.leadTime.meanDays - 25) < 0.5);
+    assert.equal(stats.onTimeRate, 0.333);
+    assert.equal(stats.lateCount, 2);
+    assert.equal(stats.overduePedidos, 1);
+    // The open pedido from the previous test is not due yet
+    assert.equal(stats.fillRate, Number((10 / 14).toFixed(3)));
+    assert.equal(stats.fillRateSamples, 3);
+
+    const detail = await ctx.api.get(`/api/proveedores/${supplier._id}`);
+    assert.equal(detail.status, 200, JSON.stringify(detail.body));
+    const lateDelivery = detail.body.deliveries.find((d) => d.ordered === 5 && d.onTime === false);
+    assert.equal(lateDelivery.delayDays, 10);
+    assert.equal(detail.body.deliveries.filter((d) => d.onTime).length, 1);
+  });
+
+  it('feeds the supplier lead time to the stock level calculator', async () => {
+    const { getSupplierLeadTimes } = require('../services/stockLevelService');
+    const leadTimes = await getSupplierLeadTimes(ctx.companyId);
+    assert.equal(leadTimes.bySupplier.get(SUPPLIER).length, 2);
+  });
+
+  it('requires the pedidos permission to edit', async () => {
+    await setUserRole(ctx.companyId, TEST_USER._id, 'viewer');
+    const supplier = await findSupplier(SUPPLIER);
+    const res = await ctx.api.put(`/api/proveedores/${supplier._id}`, { leadTimeCommitmentDays: 10 });
+    assert.equal(res.status, 403);
+    await setUserRole(ctx.companyId, TEST_USER._id, 'almacen');
+  });
+});
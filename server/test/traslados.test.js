@@ -0,0 +1,93 @@
+/**
+ * Traslados: the centro → centro move commits locally with its bin-to-bin
+ * StockTransfer queued in the SAP outbox, so a SAP failure leaves it
+ * RETRYING instead of unsaved.
+ */
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startTestServer } = require('./helpers/testServer');
+const { seedCatalog, findLote, findTransacciones, SUPPLIER_CODE } = require('./helpers/fixtures');
+const { assertInventoryInvariants, assertQuantities } = require('./helpers/invariants');
+
+const LOT = 'T-TRASLADO-001';
+
+describe('traslados', () => {
+  let ctx;
+  let stent;
+  let warehouse;
+  let centro;
+  let otherCentro;
+
+  before(async () => {
+    ctx = await startTestServer();
+    const catalog = await seedCatalog(ctx.companyId);
+    ({ warehouse, centro } = catalog);
+    stent = catalog.products.stent;
+
+    const { getLocacionesModel } = require('../getModel');
+    const Locaciones = await getLocacionesModel(ctx.companyId);
+    otherCentro = (await Locaciones.create({
+      name: 'INCAE',
+      type: 'CENTRO',
+      sapIntegration: { warehouseCode: '10', binAbsEntry: 37, binCode: '10-INCAE' },
+    })).toObject();
+
+    const receipt = await ctx.api.post('/api/goods-receipt', {
+      locationId: warehouse._id,
+      supplierCode: SUPPLIER_CODE,
+      items: [{ productId: stent._id, lotNumber: LOT, quantity: 3, expiryDate: '2028-06-30' }],
+    });
+    assert.equal(receipt.status, 201, JSON.stringify(receipt.body));
+
+    const lote = await findLote(ctx.companyId, stent._id, LOT, warehouse._id);
+    const consigned = await ctx.api.post('/api/consignaciones', {
+      fromLocationId: warehouse._id,
+      toLocationId: centro._id,
+      items: [{ productId: stent._id, loteId: lote._id, lotNumber: LOT, quantitySent: 3 }],
+    });
+    assert.equal(consigned.status, 201, JSON.stringify(consigned.body));
+    const confirmed = await ctx.api.put(`/api/consignaciones/${consigned.body.consignacion._id}/confirm`, {
+      items: [{ productId: stent._id, quantityReceived: 3 }],
+    });
+    assert.equal(confirmed.status, 200, JSON.stringify(confirmed.body));
+  });
+
+  after(async () => {
+    await ctx?.stop();
+  });
+
+  afterEach(() => {
+    ctx.sim.faults.clear();
+  });
+
+  it('commits the transfer while SAP fails, then syncs on retry', async () => {
+    const centroLote = await findLote(ctx.companyId, stent._id, LOT, centro._id);
+
+    ctx.sim.faults.add({ method: 'POST', path: '/StockTransfers', status: 500 });
+    const created = await ctx.api.post('/api/traslados', {
+      fromLocationId: centro._id,
+      toLocationId: otherCentro._id,
+      items: [{ loteId: centroLote._id, quantity: 2 }],
+    });
+    assert.equal(created.status, 201, JSON.stringify(created.body));
+    assert.equal(created.body.sapResult.queued, true);
+    assert.equal(created.body.traslado.sapIntegration.status, 'RETRYING');
+
+    assertQuantities(await findLote(ctx.companyId, stent._id, LOT, centro._id), { quantityAvailable: 1 }, 'source lote');
+    assertQuantities(await findLote(ctx.companyId, stent._id, LOT, otherCentro._id), { quantityAvailable: 2 }, 'destination lote');
+    await assertInventoryInvariants(ctx.companyId);
+    assert.equal(ctx.sim.store.getStock('419113', LOT, '10', 37), 0);
+
+    const trasladoId = created.body.traslado._id;
+    const res = await ctx.api.post(`/api/traslados/${trasladoId}/retry-sap`);
+    assert.equal(res.status, 200, JSON.stringify(res.body));
+    assert.equal(res.body.success, true);
+
+    const current = await ctx.api.get(`/api/traslados/${trasladoId}`);
+    assert.equal(current.body.sapIntegration.status, 'SYNCED');
+    assert.equal(ctx.sim.store.getStock('419113', LOT, '10', 37), 2);
+
+    const [transaccion] = await findTransacciones(ctx.companyId, { type: 'TRANSFER', toLocationId: otherCentro._id });
+    assert.equal(transaccion.sapIntegration.docNum, current.body.sapIntegration.docNum);
+  });
+});
@@ -0,0 +1,215 @@
+/**
+ * GS1 element string parser
+ * Reads the DataMatrix / GS1-128 codes printed on stent boxes and stickers
+ * (UDI): GTIN (01), expiry (17), lot (10), serial (21).
+ *
+ * Accepts what scanners actually send:
+ * - Raw data with FNC1 as the GS character (\x1d), with or without a
+ *   symbology identifier prefix (]d2, ]C1, ]Q3)
+ * - Human-readable form with parentheses: (01)04035479123456(17)280630(10)ABC
+ * - A bare GTIN-8/12/13/14 from a linear barcode
+ *
+ * USB wedge scanners often drop the GS character. A variable-length field
+ * without a separator then runs to the end of the code, which is still right
+ * for the usual label order (01, 17, then 10 last).
+ */
+
+const GS = '\x1d';
+
+// AIs with a fixed value length
+const FIXED_LENGTH = {
+  '00': 18,
+  '01': 14,
+  '02': 14,
+  '11': 6,
+  '12': 6,
+  '13': 6,
+  '15': 6,
+  '16': 6,
+  '17': 6,
+  '20': 2,
+};
+
+// Variable-length AIs we name in the result (max value length)
+const VARIABLE_LENGTH = {
+  '10': 20,
+  '21': 20,
+  '22': 20,
+  '30': 8,
+  '37': 8,
+};
+
+/**
+ * Work out the AI at the start of `data`
+ * @returns {{ ai: string, length: number|null, max: number }} length is set for fixed-length AIs
+ */
+function readAi(data) {
+  const two = data.slice(0, 2);
+  if (FIXED_LENGTH[two]) return { ai: two, length: FIXED_LENGTH[two] };
+  if (VARIABLE_LENGTH[two]) return { ai: two, length: null, max: VARIABLE_LENGTH[two] };
+
+  // Measures (310n-369n): 4-digit AI, 6-digit value
+  if (/^3[1-6]\d\d/.test(data)) return { ai: data.slice(0, 4), length: 6 };
+  // Location numbers (410-417): 3-digit AI, 13-digit value
+  if (/^41\d/.test(data)) return { ai: data.slice(0, 3), length: 13 };
+  // 24x, 25x, 40x, 42x: 3-digit AI, variable value
+  if (/^(24|25|40|42)\d/.test(data)) return { ai: data.slice(0, 3), length: null, max: 30 };
+  // 7xxx, 8xxx: 4-digit AI, variable value
+  if (/^[78]\d{3}/.test(data)) return { ai: data.slice(0, 4), length: null, max: 90 };
+  // Company internal (90-99)
+  if (/^9\d/.test(data)) return { ai: two, length: null, max: 90 };
+
+  throw new Error(`Identificador de aplicación GS1 no soportado: ${data.slice(0, 4)}`);
+}
+
+/**
+ * GS1 mod-10 check digit
+ * @param {string} gtin - GTIN-8/12/13/14 digits
+ * @returns {boolean}
+ */
+function isValidGtin(gtin) {
+  if (!/^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(String(gtin || ''))) return false;
+  const digits = String(gtin).split('').map(Number);
+  const check = digits.pop();
+  const sum = digits
+    .reverse()
+    .reduce((acc, digit, i) => acc + digit * (i % 2 === 0 ? 3 : 1), 0);
+  return (10 - (sum % 10)) % 10 === check;
+}
+
+/**
+ * Pad a GTIN to 14 digits (the form stored on productos)
+ * @param {string} gtin
+ * @returns {string}
+ */
+function normalizeGtin(gtin) {
+  return String(gtin).trim().padStart(14, '0');
+}
+
+/**
+ * GS1 date (YYMMDD) to a UTC Date. Day 00 means the last day of the month.
+ * The century follows the GS1 sliding window (up to 49 years ahead, 50 back).
+ */
+function parseGs1Date(value) {
+  if (!/^\d{6}$/.test(value)) {
+    throw new Error(`Fecha GS1 inválida: ${value}`);
+  }
+  const yy = parseInt(value.slice(0, 2), 10);
+  const month = parseInt(value.slice(2, 4), 10);
+  const day = parseInt(value.slice(4, 6), 10);
+  if (month < 1 || month > 12 || day > 31) {
+    throw new Error(`Fecha GS1 inválida: ${value}`);
+  }
+
+  const currentYear = new Date().getUTCFullYear();
+  let century = Math.floor(currentYear / 100) * 100;
+  const diff = yy - (currentYear % 100);
+  if (diff >= 51) century -= 100;
+  if (diff <= -50) century += 100;
+  const year = century + yy;
+
+  // Date.UTC(year, month, 0) is the last day of `month`
+  return day === 0 ? new Date(Date.UTC(year, month, 0)) : new Date(Date.UTC(year, month - 1, day));
+}
+
+/**
+ * Split a GS1 element string into { ai: value }
+ */
+function splitElements(raw) {
+  let data = String(raw || '').replace(/[\r\n]+$/, '');
+
+  // Symbology identifier (]d2 DataMatrix, ]C1 GS1-128, ]Q3 QR)
+  data = data.replace(/^\][A-Za-z]\d/, '');
+
+  // Human-readable form: (01)...(17)...(10)...
+  if (data.startsWith('(')) {
+    const elements = {};
+    const pattern = /\((\d{2,4})\)([^(]*)/g;
+    let match;
+    while ((match = pattern.exec(data)) !== null) {
+      elements[match[1]] = match[2].trim();
+    }
+    if (Object.keys(elements).length === 0) {
+      throw new Error('Código GS1 vacío');
+    }
+    return elements;
+  }
+
+  // Leading FNC1
+  data = data.replace(new RegExp(`^${GS}+`), '');
+
+  const elements = {};
+  while (data.length > 0) {
+    const { ai, length, max } = readAi(data);
+    data = data.slice(ai.length);
+
+    let value;
+    if (length) {
+      value = data.slice(0, length);
+      if (value.length < length) {
+        throw new Error(`Valor incompleto para AI (${ai})`);
+      }
+      data = data.slice(length);
+    } else {
+      const end = data.indexOf(GS);
+      value = end === -1 ? data : data.slice(0, end);
+      data = end === -1 ? '' : data.slice(end);
+      if (value.length > max) {
+        throw new Error(`Valor demasiado largo para AI (${ai})`);
+      }
+    }
+
+    elements[ai] = value;
+    // Separator after a field
+    data = data.replace(new RegExp(`^${GS}+`), '');
+  }
+
+  return elements;
+}
+
+/**
+ * Parse a scanned GS1 code
+ * @param {string} raw - Scanner output
+ * @returns {Object} { gtin, lotNumber, expiryDate, productionDate, serialNumber, elements }
+ * @throws {Error} When the code is not a valid GS1 element string or has an invalid GTIN
+ */
+function parseGs1(raw) {
+  const trimmed = String(raw || '').trim();
+  if (!trimmed) {
+    throw new Error('Código vacío');
+  }
+
+  // Linear barcode with only the GTIN
+  const elements = /^(\d{8}|\d{12}|\d{13}|\d{14})$/.test(trimmed)
+    ? { '01': trimmed }
+    : splitElements(trimmed);
+
+  const result = {
+    gtin: null,
+    lotNumber: elements['10'] || null,
+    expiryDate: elements['17'] ? parseGs1Date(elements['17']) : null,
+    productionDate: elements['11'] ? parseGs1Date(elements['11']) : null,
+    serialNumber: elements['21'] || null,
+    elements,
+  };
+
+  const gtin = elements['01'] || elements['02'];
+  if (gtin) {
+    if (!isValidGtin(gtin)) {
+      throw new Error(`GTIN con dígito verificador inválido: ${gtin}`);
+    }
+    result.gtin = normalizeGtin(gtin);
+  }
+
+  if (!result.gtin) {
+    throw new Error('El código no contiene un GTIN (01)');
+  }
+
+  return result;
+}
+
+module.exports = {
+  parseGs1,
+  isValidGtin,
+  normalizeGtin,
+};